@@ -1,4 +1,16 @@
 import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+
+// Production build checked by the JavaScript budget test, and the origin it
+// is served from inside the browser.
+const BUILD_DIR = path.resolve(__dirname, '..', 'build');
+const BUILD_ORIGIN = 'http://dgbstats.build';
+
+// Gzipped JavaScript for a first visit to the home page: the entry bundle plus
+// the page-HomePage chunk (about 212 KB at the time of writing).
+const HOME_JS_BUDGET_KB = 250;
 
 // Helper function to navigate with retry on connection issues
 async function navigateWithRetry(page, url, options = {}) {
@@ -451,6 +463,63 @@ test.describe('Performance Tests', () => {
     }
   });
 
+  test('home page loads other pages on demand', async ({ page }) => {
+    // Pages are lazy chunks named page-<Component> (src/lazyPages.js)
+    const scripts = [];
+    page.on('request', (request) => {
+      if (/\.js(\?|$)/.test(request.url())) scripts.push(request.url());
+    });
+
+    await navigateWithRetry(page, '/');
+    await page.waitForLoadState('networkidle');
+
+    const pageChunks = () => scripts
+      .map((url) => url.match(/page-(\w+)[.-]/)?.[1])
+      .filter(Boolean);
+
+    expect(pageChunks()).toContain('HomePage');
+    ['RoadmapPage', 'DigiDollarPage', 'NodesPage', 'DDActivationPage']
+      .forEach((name) => expect(pageChunks()).not.toContain(name));
+
+    // Hovering a desktop menu link prefetches that page's chunk before the click
+    const viewport = page.viewportSize();
+    if (viewport && viewport.width >= 1200) {
+      await page.locator('header a[href="/roadmap"]').first().hover();
+      await expect.poll(pageChunks, { timeout: 10000 }).toContain('RoadmapPage');
+    }
+  });
+
+  test('production home page stays within the JavaScript budget', async ({ page }, testInfo) => {
+    // Measured on the minified `npm run build` output, gzipped as served:
+    // build/ is served through request interception, so no server is needed
+    // and the dev server's unminified bundle never counts. Override the
+    // budget with E2E_JS_BUDGET_KB.
+    testInfo.skip(!fs.existsSync(path.join(BUILD_DIR, 'asset-manifest.json')), 'needs `npm run build`');
+    const budgetKb = Number(process.env.E2E_JS_BUDGET_KB) || HOME_JS_BUDGET_KB;
+    const scripts = new Map();
+
+    await page.route(`${BUILD_ORIGIN}/**`, (route) => {
+      const { pathname } = new URL(route.request().url());
+      const file = path.join(BUILD_DIR, decodeURIComponent(pathname));
+      if (file.startsWith(BUILD_DIR) && fs.existsSync(file) && fs.statSync(file).isFile()) {
+        if (file.endsWith('.js')) scripts.set(pathname, zlib.gzipSync(fs.readFileSync(file)).length);
+        return route.fulfill({ path: file });
+      }
+      if (route.request().resourceType() === 'document') {
+        return route.fulfill({ path: path.join(BUILD_DIR, 'index.html') });
+      }
+      // API calls have no backend here
+      return route.abort();
+    });
+
+    await page.goto(`${BUILD_ORIGIN}/`, { waitUntil: 'networkidle' });
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(BUILD_DIR, 'asset-manifest.json'), 'utf8'));
+    expect([...scripts.keys()]).toContain(manifest.files['page-HomePage.js']);
+    const jsKb = [...scripts.values()].reduce((sum, size) => sum + size, 0) / 1024;
+    expect(jsKb).toBeLessThan(budgetKb);
+  });
+
   test('measure API response times', async ({ page }) => {
     const apiCalls = [];
     const requestTimes = new Map();
@@ -0,0 +1,81 @@
+/* eslint-disable no-restricted-globals */
+/**
+ * DigiByte Stats service worker — keeps the app shell available offline.
+ *
+ * - Page navigations: network first, each cached under its own URL (the
+ *   prerendered routes carry their own head tags); offline, a page never
+ *   visited falls back to the cached '/' so client-side routing still opens it.
+ * - runtime-config.json: network first, so a redeploy's endpoints apply on
+ *   the next online visit, with the cached copy used offline.
+ * - /static/ build assets (content-hashed, immutable): cache first.
+ * - Other same-origin files (manifest, icons): served from cache when
+ *   present and refreshed in the background.
+ *
+ * API calls and the WebSocket go to the backend origin and are never
+ * intercepted; last-known live data is kept in IndexedDB by the app itself
+ * (src/utils/offlineSnapshot.js). Bump CACHE_VERSION to drop old caches.
+ */
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `dgbstats-shell-${CACHE_VERSION}`;
+const SHELL_FILES = ['/', '/index.html', '/manifest.json', '/logo.png', '/logo192.png', '/logo512.png'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys
+          .filter((key) => key.startsWith('dgbstats-shell-') && key !== SHELL_CACHE)
+          .map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+const putInCache = (request, response) => {
+  if (response && response.ok) {
+    const copy = response.clone();
+    caches.open(SHELL_CACHE).then((cache) => cache.put(request, copy));
+  }
+  return response;
+};
+
+const networkFirst = (request, fallback) => fetch(request)
+  .then((response) => putInCache(request, response))
+  .catch(() => caches.match(request)
+    .then((cached) => cached || (fallback && caches.match(fallback))));
+
+const cacheFirst = (request) => caches.match(request)
+  .then((cached) => cached || fetch(request).then((response) => putInCache(request, response)));
+
+const staleWhileRevalidate = (request) => caches.match(request).then((cached) => {
+  const refreshed = fetch(request)
+    .then((response) => putInCache(request, response))
+    .catch(() => cached);
+  return cached || refreshed;
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, '/'));
+  } else if (url.pathname === '/runtime-config.json') {
+    event.respondWith(networkFirst(request));
+  } else if (url.pathname.startsWith('/static/')) {
+    event.respondWith(cacheFirst(request));
+  } else {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
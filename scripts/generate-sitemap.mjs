@@ -0,0 +1,55 @@
+/**
+ * Regenerate public/sitemap.xml from the route registry (src/routes.js).
+ *
+ * Runs before every production build (`prebuild`) and on demand with
+ * `npm run sitemap`. Routes with URL parameters (/block/:hashOrHeight, ...)
+ * are left out; change frequency and priority come from each route entry.
+ */
+
+import { writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { ROOT_DIR, loadRoutes } from './routes.mjs';
+
+export const SITEMAP_FILE = path.join(ROOT_DIR, 'public', 'sitemap.xml');
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const urlEntry = (route) => [
+  '  <url>',
+  `    <loc>${escapeXml(route.url)}</loc>`,
+  `    <changefreq>${route.changefreq}</changefreq>`,
+  `    <priority>${Number(route.priority).toFixed(1)}</priority>`,
+  '  </url>',
+].join('\n');
+
+/**
+ * Sitemap XML for a list of routes, mainnet pages first.
+ *
+ * @param {Array<{ network: string, url: string, changefreq: string, priority: number }>} routes
+ * @returns {string}
+ */
+export function buildSitemap(routes) {
+  const section = (network, comment) => {
+    const entries = routes.filter((route) => route.network === network);
+    return entries.length ? [`  <!-- ${comment} -->`, ...entries.map(urlEntry)] : [];
+  };
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...section('mainnet', 'Mainnet Pages'),
+    ...section('testnet', 'Testnet Pages'),
+    '</urlset>',
+    '',
+  ].join('\n');
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const routes = loadRoutes();
+  writeFileSync(SITEMAP_FILE, buildSitemap(routes));
+  console.log(`Wrote ${path.relative(ROOT_DIR, SITEMAP_FILE)} with ${routes.length} URLs`);
+}
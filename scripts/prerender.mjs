@@ -0,0 +1,105 @@
+/**
+ * Prerender one HTML file per route into build/ after `react-scripts build`.
+ *
+ * Each page gets its own <title>, description, canonical URL and Open Graph /
+ * Twitter tags, plus a static heading, summary and page list inside #root, so
+ * link previews and crawlers see the right page without running JavaScript.
+ * The app mounts with createRoot (src/index.js), which replaces that markup on
+ * its first render; it is not hydrated (hydrateRoot), since it is not what the
+ * app renders. components/PageMeta.js keeps the tags current on client-side
+ * navigation.
+ *
+ * Output is build/<route>/index.html (build/index.html for "/"), which static
+ * hosts serve for the matching path. Routes with URL parameters keep falling
+ * back to build/index.html.
+ */
+
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { ROOT_DIR, loadRoutes } from './routes.mjs';
+
+export const BUILD_DIR = path.join(ROOT_DIR, 'build');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// [attribute selecting the tag, meta field] for the tags rewritten per page.
+const META_TAGS = [
+  ['name="title"', 'title'],
+  ['name="description"', 'description'],
+  ['property="og:url"', 'url'],
+  ['property="og:title"', 'title'],
+  ['property="og:description"', 'description'],
+  ['property="og:image"', 'image'],
+  ['name="twitter:url"', 'url'],
+  ['name="twitter:title"', 'title'],
+  ['name="twitter:description"', 'description'],
+  ['name="twitter:image"', 'image'],
+];
+
+/**
+ * Static markup shown inside #root until the app mounts.
+ *
+ * @param {Object} route - A loadRoutes() entry
+ * @param {Array<Object>} links - Pages of the same network to list
+ * @returns {string}
+ */
+export function renderRouteBody(route, links) {
+  const items = links
+    .map((link) => `<li><a href="${escapeHtml(link.path)}">${escapeHtml(link.heading)}</a></li>`)
+    .join('');
+  return `<main><h1>${escapeHtml(route.heading)}</h1><p>${escapeHtml(route.description)}</p>`
+    + `<nav aria-label="Pages"><ul>${items}</ul></nav></main>`;
+}
+
+/**
+ * A route's HTML: the built index.html with its head tags and #root content
+ * replaced. Safe to run on an already prerendered file.
+ *
+ * @param {string} template - Contents of build/index.html
+ * @param {Object} route - A loadRoutes() entry
+ * @param {Array<Object>} links - Pages of the same network to list
+ * @returns {string}
+ */
+export function renderRouteHtml(template, route, links) {
+  let html = template
+    .replace(/<title>[\s\S]*?<\/title>/, () => `<title>${escapeHtml(route.title)}</title>`)
+    .replace(/(<link rel="canonical" href=")[^"]*"/, (match, open) => `${open}${escapeHtml(route.url)}"`)
+    .replace(/<div id="root">[\s\S]*?<\/div>/, () => `<div id="root">${renderRouteBody(route, links)}</div>`);
+
+  META_TAGS.forEach(([selector, field]) => {
+    html = html.replace(
+      new RegExp(`(<meta ${selector} content=")[^"]*"`),
+      (match, open) => `${open}${escapeHtml(route[field])}"`
+    );
+  });
+  return html;
+}
+
+/**
+ * Output file for a route path.
+ *
+ * @param {string} routePath - e.g. '/testnet/blocks'
+ * @param {string} [buildDir]
+ * @returns {string}
+ */
+export const outputFile = (routePath, buildDir = BUILD_DIR) => (
+  path.join(buildDir, ...routePath.split('/').filter(Boolean), 'index.html')
+);
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const template = readFileSync(path.join(BUILD_DIR, 'index.html'), 'utf8');
+  const routes = loadRoutes();
+
+  routes.forEach((route) => {
+    const links = routes.filter((link) => link.network === route.network);
+    const file = outputFile(route.path);
+    mkdirSync(path.dirname(file), { recursive: true });
+    writeFileSync(file, renderRouteHtml(template, route, links));
+  });
+  console.log(`Prerendered ${routes.length} routes into ${path.relative(ROOT_DIR, BUILD_DIR)}/`);
+}
@@ -0,0 +1,36 @@
+/**
+ * Route list for the build scripts.
+ *
+ * Pages come from the route registry (src/routes.js), the same table App.js
+ * and the Header are generated from, so the sitemap and prerendered pages
+ * always match what the app serves. Feature flags disabled through
+ * REACT_APP_DISABLED_FEATURES are left out here too.
+ */
+
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { SITE, routesFor, networkPath } from '../src/routes.js';
+import { resolvePageMeta } from '../src/utils/pageMeta.js';
+
+export const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const NETWORKS = ['mainnet', 'testnet'];
+
+/**
+ * Every enabled page of both networks, mainnet first, with its resolved
+ * metadata.
+ *
+ * @param {{ includeDynamic?: boolean, disabled?: Set<string> }} [options]
+ * @returns {Array<Object>} - resolvePageMeta() results plus the full `path`
+ */
+export function loadRoutes({ includeDynamic = false, disabled } = {}) {
+  return NETWORKS.flatMap((network) => {
+    const routes = routesFor(network, disabled);
+    return routes
+      .filter((route) => includeDynamic || !route.path.includes(':'))
+      .map((route) => {
+        const fullPath = networkPath(route.path, network);
+        return { ...resolvePageMeta(fullPath, SITE, routes), path: fullPath };
+      });
+  });
+}
@@ -1,214 +1,62 @@
-import React, { useState, useEffect } from 'react';
+import React, { Suspense, lazy } from 'react';
 import { BrowserRouter, Routes, Route } from 'react-router-dom';
-import { ThemeProvider, createTheme, CssBaseline } from '@mui/material';
-import { formatNumber, numberWithCommas } from './utils';
 import styles from './App.module.css';
-import HomePage from './pages/HomePage';
-import DifficultiesPage from './pages/DifficultiesPage';
-import BlocksPage from './pages/BlocksPage';
-import AlgosPage from './pages/AlgosPage';
-import PoolsPage from './pages/PoolsPage';
-import SupplyPage from './pages/SupplyPage';
-import DownloadsPage from './pages/DownloadsPage';
-import NodesPage from './pages/NodesPage';
+import { ColorModeProvider } from './context/ColorModeContext';
+import { LocaleProvider } from './context/LocaleContext';
+import PageMeta from './components/PageMeta';
+import { PageSkeleton } from './components/LoadingCard';
+import { routesFor } from './routes';
+import { LAZY_PAGES } from './lazyPages';
 import MainnetLayout from './components/MainnetLayout';
 import TestnetLayout from './components/TestnetLayout';
-import config from './config';
-import HashratePage from './pages/HashratePage';
-import TaprootPage from './pages/TaprootPage';
-import TxsPage from './pages/TxsPage';
-import RoadmapPage from './pages/RoadmapPage';
-import DigiDollarPage from './pages/DigiDollarPage';
-import OraclesPage from './pages/OraclesPage';
-import DDStatsPage from './pages/DDStatsPage';
-import DDActivationPage from './pages/DDActivationPage';
-import WalletConvertPage from './pages/WalletConvertPage';
-import PoolUpgradeTrackerPage from './pages/PoolUpgradeTrackerPage';
-import ChainTipsPage from './pages/ChainTipsPage';
-
-export const parseBlockRewardResponse = (data) => {
-  const rewardValue = data?.blockReward?.blockreward ?? data?.blockreward ?? data?.blockReward;
-  if (rewardValue == null) return null;
-
-  const parsedReward = parseFloat(rewardValue);
-  return Number.isFinite(parsedReward) ? parsedReward : null;
-};
-
-// Create a custom theme with DigiByte colors
-const theme = createTheme({
-  palette: {
-    primary: {
-      main: '#002352',
-      light: '#0066cc',
-      dark: '#001c41',
-      contrastText: '#ffffff',
-    },
-    secondary: {
-      main: '#0066cc',
-      light: '#4395ff',
-      dark: '#003b99',
-      contrastText: '#ffffff',
-    },
-  },
-  typography: {
-    fontFamily: '"Roboto", "Helvetica", "Arial", sans-serif',
-    h1: {
-      fontWeight: 700,
-    },
-    h2: {
-      fontWeight: 600,
-    },
-    h3: {
-      fontWeight: 600,
-    },
-    h4: {
-      fontWeight: 600,
-    },
-    h5: {
-      fontWeight: 500,
-    },
-    h6: {
-      fontWeight: 500,
-    },
-  },
-  components: {
-    MuiButton: {
-      styleOverrides: {
-        root: {
-          borderRadius: 8,
-          textTransform: 'none',
-          fontWeight: 500,
-        },
-      },
-    },
-    MuiCard: {
-      styleOverrides: {
-        root: {
-          borderRadius: 8,
-          boxShadow: '0 4px 8px rgba(0,0,0,0.05)',
-        },
-      },
-    },
-  },
-});
-
-const App = () => {
-  const [blockchainInfo, setBlockchainInfo] = useState(null);
-  const [, setChainTxStats] = useState(null);
-  const [txOutsetInfo, setTxOutsetInfo] = useState(null);
-  const [, setBlockReward] = useState(null);
-  const worldPopulation = 8100000000; // Assuming a world population of 8.1 billion
-
-  useEffect(() => {
-    let isMounted = true;
-
-    const fetchData = async () => {
-      try {
-        const response1 = await fetch(`${config.apiBaseUrl}/api/getblockchaininfo`);
-        const data1 = await response1.json();
-        if (!isMounted) return;
-        setBlockchainInfo(data1);
-
-        const response2 = await fetch(`${config.apiBaseUrl}/api/getchaintxstats`);
-        const data2 = await response2.json();
-        if (!isMounted) return;
-        setChainTxStats(data2);
-
-        const response3 = await fetch(`${config.apiBaseUrl}/api/gettxoutsetinfo`);
-        const data3 = await response3.json();
-        if (!isMounted) return;
-        setTxOutsetInfo(data3);
-
-        const response4 = await fetch(`${config.apiBaseUrl}/api/getblockreward`);
-        const data4 = await response4.json();
-        if (!isMounted) return;
-        setBlockReward(parseBlockRewardResponse(data4));
-      } catch (error) {
-        console.error('Error fetching data:', error);
-      }
-    };
-
-    fetchData();
-
-    const interval = setInterval(() => {
-      fetchData();
-    }, 30000);
-
-    return () => {
-      isMounted = false;
-      clearInterval(interval);
-    };
-  }, []);
-
-  return (
-    <ThemeProvider theme={theme}>
-      <CssBaseline />
-      <BrowserRouter>
+import NotFoundPage from './pages/NotFoundPage';
+
+// Chromeless iframe widgets (src/utils/embed.js) — no layout, own chunk.
+const EmbedPage = lazy(() => import(/* webpackChunkName: "embed" */ './pages/EmbedPage'));
+
+// Kept for existing imports; the parser now lives with the network data hooks.
+export { parseBlockRewardResponse } from './hooks/useNetworkData';
+
+// Child routes of a network layout; paths are relative so the same entries
+// serve "/" and "/testnet". Each page is a lazy chunk (src/lazyPages.js) shown
+// behind a skeleton until it arrives.
+const networkRoutes = (network) => [
+  ...routesFor(network).map((route) => {
+    const Page = LAZY_PAGES[route.page];
+    const element = (
+      <Suspense fallback={<PageSkeleton />}>
+        <Page {...route.props} />
+      </Suspense>
+    );
+    return route.path === '/'
+      ? <Route key={route.id} index element={element} />
+      : <Route key={route.id} path={route.path.slice(1)} element={element} />;
+  }),
+  <Route key="not-found" path="*" element={<NotFoundPage />} />,
+];
+
+const App = () => (
+  <ColorModeProvider>
+    <BrowserRouter>
+      <LocaleProvider>
+        <PageMeta />
         <div className={styles.app}>
           <Routes>
-            {/* Mainnet routes */}
+            <Route
+              path="/embed/:widget"
+              element={<Suspense fallback={null}><EmbedPage /></Suspense>}
+            />
             <Route element={<MainnetLayout />}>
-              <Route
-                index
-                path="/"
-                element={
-                  <HomePage
-                    numberWithCommas={numberWithCommas}
-                    formatNumber={formatNumber}
-                  />
-                }
-              />
-              <Route path="/blocks" element={<BlocksPage />} />
-              <Route path="/tips" element={<ChainTipsPage />} />
-              <Route path="/txs" element={<TxsPage />} />
-              <Route path="/downloads" element={<DownloadsPage />} />
-              <Route path="/roadmap" element={<RoadmapPage />} />
-              <Route path="/digidollar" element={<DigiDollarPage />} />
-              <Route path="/activation" element={<DDActivationPage />} />
-              <Route path="/oracles" element={<OraclesPage />} />
-              <Route path="/ddstats" element={<DDStatsPage />} />
-              <Route path="/nodes" element={<NodesPage />} />
-              <Route path="/pools" element={<PoolsPage />} />
-              <Route path="/pool-upgrades" element={<PoolUpgradeTrackerPage />} />
-              <Route path="/supply" element={<SupplyPage txOutsetInfo={txOutsetInfo} worldPopulation={worldPopulation} />} />
-              <Route path="/algos" element={<AlgosPage />} />
-              <Route path="/difficulties" element={<DifficultiesPage difficultiesData={blockchainInfo?.difficulties} />} />
-              <Route path="/hashrate" element={<HashratePage difficultiesData={blockchainInfo?.difficulties} />} />
-              <Route path="/taproot" element={<TaprootPage />} />
+              {networkRoutes('mainnet')}
             </Route>
-
-            {/* Testnet routes */}
             <Route path="/testnet" element={<TestnetLayout />}>
-              <Route
-                index
-                element={
-                  <HomePage
-                    numberWithCommas={numberWithCommas}
-                    formatNumber={formatNumber}
-                  />
-                }
-              />
-              <Route path="blocks" element={<BlocksPage />} />
-              <Route path="tips" element={<ChainTipsPage />} />
-              <Route path="txs" element={<TxsPage />} />
-              <Route path="supply" element={<SupplyPage worldPopulation={worldPopulation} />} />
-              <Route path="algos" element={<AlgosPage />} />
-              <Route path="difficulties" element={<DifficultiesPage />} />
-              <Route path="hashrate" element={<HashratePage />} />
-              <Route path="nodes" element={<NodesPage />} />
-              <Route path="pool-upgrades" element={<PoolUpgradeTrackerPage />} />
-              <Route path="activation" element={<DDActivationPage />} />
-              <Route path="oracles" element={<OraclesPage />} />
-              <Route path="ddstats" element={<DDStatsPage />} />
-              <Route path="digidollar" element={<DigiDollarPage />} />
-              <Route path="convert" element={<WalletConvertPage />} />
-              <Route path="taproot" element={<TaprootPage />} />
+              {networkRoutes('testnet')}
             </Route>
           </Routes>
         </div>
-      </BrowserRouter>
-    </ThemeProvider>
-  );
-};
+      </LocaleProvider>
+    </BrowserRouter>
+  </ColorModeProvider>
+);
 
 export default App;
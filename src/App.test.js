@@ -6,14 +6,6 @@ import App from './App';
 // Create a default theme for tests
 const theme = createTheme();
 
-// Mock the config
-vi.mock('./config', () => ({
-  default: {
-    apiBaseUrl: 'http://localhost:5001',
-    wsBaseUrl: 'ws://localhost:5002'
-  }
-}));
-
 // Mock Chart.js
 vi.mock('chart.js', () => {
   const Chart = vi.fn().mockImplementation(() => ({
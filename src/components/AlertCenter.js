@@ -0,0 +1,239 @@
+import React, { useState } from 'react';
+import {
+  Badge, Box, Button, Divider, Drawer, FormControl, IconButton, InputLabel, List, ListItem,
+  ListItemText, MenuItem, Select, Switch, TextField, Tooltip, Typography,
+} from '@mui/material';
+import NotificationsIcon from '@mui/icons-material/Notifications';
+import CloseIcon from '@mui/icons-material/Close';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import { useNetwork } from '../context/NetworkContext';
+import { useLocale } from '../context/LocaleContext';
+import { useAlerts } from '../context/AlertsContext';
+import {
+  ALERT_METRICS, FORK_LEVELS, OPERATOR_SYMBOLS, describeAlert,
+} from '../utils/alerts';
+
+/**
+ * AlertCenter — Header bell with the unread-alert count; opens a drawer with
+ * the fired-alert history and the editor for this network's alert rules
+ * (see context/AlertsContext.js). Unread alerts are marked read when the drawer
+ * closes.
+ */
+
+const METRIC_KEYS = Object.keys(ALERT_METRICS);
+
+const RuleForm = ({ onAdd }) => {
+  const { t } = useLocale();
+  const [metric, setMetric] = useState(METRIC_KEYS[0]);
+  const [operator, setOperator] = useState(ALERT_METRICS[METRIC_KEYS[0]].operators[0]);
+  const [threshold, setThreshold] = useState(ALERT_METRICS[METRIC_KEYS[0]].defaultThreshold);
+  const definition = ALERT_METRICS[metric];
+
+  const handleMetric = (event) => {
+    const next = ALERT_METRICS[event.target.value];
+    setMetric(event.target.value);
+    setOperator(next.operators[0]);
+    setThreshold(next.defaultThreshold);
+  };
+
+  const thresholdValid = definition.kind !== 'number' || (threshold !== '' && Number.isFinite(Number(threshold)));
+
+  const handleAdd = () => {
+    onAdd(metric, {
+      operator,
+      threshold: definition.kind === 'number' ? Number(threshold) : threshold,
+    });
+  };
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.5 }}>
+      <FormControl size="small" fullWidth>
+        <InputLabel id="alert-metric-label">{t('alerts.condition')}</InputLabel>
+        <Select
+          labelId="alert-metric-label"
+          label={t('alerts.condition')}
+          value={metric}
+          onChange={handleMetric}
+        >
+          {METRIC_KEYS.map((key) => (
+            <MenuItem key={key} value={key}>{t(`alerts.metrics.${key}`)}</MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+      {definition.kind !== 'flag' && (
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <FormControl size="small" sx={{ minWidth: 90 }}>
+            <InputLabel id="alert-operator-label">{t('alerts.comparison')}</InputLabel>
+            <Select
+              labelId="alert-operator-label"
+              label={t('alerts.comparison')}
+              value={operator}
+              onChange={(event) => setOperator(event.target.value)}
+            >
+              {definition.operators.map((op) => (
+                <MenuItem key={op} value={op}>{OPERATOR_SYMBOLS[op]}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          {definition.kind === 'level' ? (
+            <FormControl size="small" fullWidth>
+              <InputLabel id="alert-threshold-label">{t('alerts.threshold')}</InputLabel>
+              <Select
+                labelId="alert-threshold-label"
+                label={t('alerts.threshold')}
+                value={threshold}
+                onChange={(event) => setThreshold(event.target.value)}
+              >
+                {FORK_LEVELS.slice(1).map((level) => (
+                  <MenuItem key={level} value={level}>{t(`alerts.levels.${level}`)}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          ) : (
+            <TextField
+              size="small"
+              type="number"
+              fullWidth
+              label={t('alerts.threshold')}
+              value={threshold}
+              error={!thresholdValid}
+              onChange={(event) => setThreshold(event.target.value)}
+              inputProps={{ min: 0 }}
+            />
+          )}
+        </Box>
+      )}
+      <Button variant="contained" size="small" onClick={handleAdd} disabled={!thresholdValid}>
+        {t('alerts.addRule')}
+      </Button>
+    </Box>
+  );
+};
+
+const AlertCenter = () => {
+  const { isTestnet } = useNetwork();
+  const { t, formatDate } = useLocale();
+  const {
+    rules, addRule, updateRule, removeRule,
+    history, unreadCount, markAllRead, clearHistory,
+    permission, requestPermission,
+  } = useAlerts();
+  const [open, setOpen] = useState(false);
+  const describe = describeAlert(t);
+
+  const handleClose = () => {
+    setOpen(false);
+    if (unreadCount > 0) markAllRead();
+  };
+
+  const permissionText = {
+    granted: t('alerts.notificationsOn'),
+    denied: t('alerts.notificationsBlocked'),
+    unsupported: t('alerts.notificationsUnsupported'),
+  }[permission];
+
+  return (
+    <>
+      <Tooltip title={t('alerts.open')}>
+        <IconButton
+          aria-label={t('alerts.open')}
+          onClick={() => setOpen(true)}
+          sx={{ color: 'white' }}
+          size="small"
+        >
+          <Badge badgeContent={unreadCount} color="error" max={99}>
+            <NotificationsIcon fontSize="small" />
+          </Badge>
+        </IconButton>
+      </Tooltip>
+      <Drawer anchor="right" open={open} onClose={handleClose}>
+        <Box sx={{ width: { xs: '100vw', sm: 380 }, p: 2 }} role="region" aria-label={t('alerts.title')}>
+          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+            <Typography variant="h6" fontWeight="bold">{t('alerts.title')}</Typography>
+            <IconButton aria-label="close" onClick={handleClose} size="small">
+              <CloseIcon />
+            </IconButton>
+          </Box>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            {t('alerts.intro', { network: t(isTestnet ? 'header.testnet' : 'header.mainnet') })}
+          </Typography>
+
+          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+            <Typography variant="subtitle1" fontWeight="bold">{t('alerts.notifications')}</Typography>
+            <Box>
+              <Button size="small" onClick={markAllRead} disabled={unreadCount === 0}>
+                {t('alerts.markAllRead')}
+              </Button>
+              <Button size="small" onClick={clearHistory} disabled={history.length === 0}>
+                {t('alerts.clear')}
+              </Button>
+            </Box>
+          </Box>
+          {history.length === 0 ? (
+            <Typography variant="body2" color="text.secondary" sx={{ py: 1 }}>
+              {t('alerts.noAlerts')}
+            </Typography>
+          ) : (
+            <List dense disablePadding data-testid="alert-history" sx={{ maxHeight: 260, overflowY: 'auto' }}>
+              {history.map((entry) => (
+                <ListItem key={entry.id} disableGutters data-read={entry.read}>
+                  <ListItemText
+                    primary={entry.title}
+                    secondary={`${entry.detail} · ${formatDate(entry.at, { dateStyle: 'short', timeStyle: 'short' })}`}
+                    primaryTypographyProps={{ fontWeight: entry.read ? 'normal' : 'bold' }}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          )}
+
+          <Divider sx={{ my: 2 }} />
+
+          <Typography variant="subtitle1" fontWeight="bold">{t('alerts.rules')}</Typography>
+          {rules.length === 0 ? (
+            <Typography variant="body2" color="text.secondary" sx={{ py: 1 }}>
+              {t('alerts.noRules')}
+            </Typography>
+          ) : (
+            <List dense disablePadding data-testid="alert-rules">
+              {rules.map((rule) => (
+                <ListItem
+                  key={rule.id}
+                  disableGutters
+                  secondaryAction={(
+                    <IconButton edge="end" aria-label={t('alerts.removeRule')} onClick={() => removeRule(rule.id)} size="small">
+                      <DeleteOutlineIcon fontSize="small" />
+                    </IconButton>
+                  )}
+                >
+                  <Switch
+                    size="small"
+                    checked={rule.enabled}
+                    onChange={(event) => updateRule(rule.id, { enabled: event.target.checked })}
+                    inputProps={{ 'aria-label': describe.rule(rule) }}
+                  />
+                  <ListItemText primary={describe.rule(rule)} />
+                </ListItem>
+              ))}
+            </List>
+          )}
+          <Box sx={{ mt: 2 }}>
+            <RuleForm onAdd={addRule} />
+          </Box>
+
+          <Divider sx={{ my: 2 }} />
+
+          {permission === 'default' ? (
+            <Button variant="outlined" size="small" fullWidth onClick={requestPermission} startIcon={<NotificationsIcon />}>
+              {t('alerts.enableNotifications')}
+            </Button>
+          ) : (
+            <Typography variant="body2" color="text.secondary">{permissionText}</Typography>
+          )}
+        </Box>
+      </Drawer>
+    </>
+  );
+};
+
+export default AlertCenter;
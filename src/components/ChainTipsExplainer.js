@@ -11,6 +11,7 @@ import SpeedIcon from '@mui/icons-material/Speed';
 import HelpOutlineIcon from '@mui/icons-material/HelpOutline';
 import SyncAltIcon from '@mui/icons-material/SyncAlt';
 import WarningAmberIcon from '@mui/icons-material/WarningAmber';
+import { useLocale } from '../context/LocaleContext';
 
 /**
  * ChainTipsExplainer — a collapsible, mobile-friendly educational section that
@@ -22,6 +23,8 @@ import WarningAmberIcon from '@mui/icons-material/WarningAmber';
  * the exact STATUS_COLORS from ForkTreeMap / ChainTipsPage so the legend here
  * matches the live fork-tree map above it.
  *
+ * Copy comes from the `chainTips` message catalog (src/locales).
+ *
  * Props:
  *   accentColor – network accent colour for the card border and headings.
  */
@@ -36,15 +39,17 @@ const STATUS_COLORS = {
   invalid: '#f44336',
 };
 
-// getchaintips status legend (label + plain-language meaning).
+// getchaintips status legend (label + catalog key of its plain-language meaning).
 const STATUS_ITEMS = [
-  { status: 'active', desc: 'On the main chain — the best (most cumulative work) chain this node follows.' },
-  { status: 'valid-fork', desc: 'A fully-validated competing block off the main chain — a stale / orphan block.' },
-  { status: 'valid-headers', desc: 'The block has been seen and its header checked, but the full block was not validated.' },
-  { status: 'headers-only', desc: 'Only the block header is known; the full block has not been downloaded yet.' },
-  { status: 'invalid', desc: 'Violates consensus rules and was rejected. This is the status to watch.' },
+  { status: 'active', descKey: 'chainTips.statusActive' },
+  { status: 'valid-fork', descKey: 'chainTips.statusValidFork' },
+  { status: 'valid-headers', descKey: 'chainTips.statusValidHeaders' },
+  { status: 'headers-only', descKey: 'chainTips.statusHeadersOnly' },
+  { status: 'invalid', descKey: 'chainTips.statusInvalid' },
 ];
 
+const BODY_SX = { color: 'text.secondary', lineHeight: 1.7 };
+
 const StatusChip = ({ status }) => (
   <Chip
     label={status}
@@ -59,75 +64,47 @@ const StatusChip = ({ status }) => (
 );
 
 const ChainTipsExplainer = ({ accentColor = '#0066cc' }) => {
+  const { t, tRich } = useLocale();
+
   // Each topic renders as its own collapsible Accordion. The first is open by
   // default so the section teaches at a glance without dominating the page.
   const topics = [
     {
       icon: <AccountTreeIcon sx={{ color: accentColor }} />,
-      title: 'What is a chain tip?',
+      title: t('chainTips.tipTitle'),
       body: (
         <>
-          <Typography variant="body2" sx={{ mb: 1.5, color: '#444', lineHeight: 1.7 }}>
-            A <strong>chain tip</strong> is the newest block of any chain branch a node knows about.
-            Every node tracks the <strong>active (best) chain</strong> — the branch with the most
-            accumulated proof-of-work — plus <em>every</em> competing branch tip it has ever seen.
-          </Typography>
-          <Typography variant="body2" sx={{ color: '#444', lineHeight: 1.7 }}>
-            The <code>getchaintips</code> RPC lists them all: the one active tip you would call
-            "the blockchain," alongside the stray tips of shorter, competing branches. This page maps
-            those tips live so you can see the whole picture, not just the winning chain.
-          </Typography>
+          <Typography variant="body2" sx={{ mb: 1.5, ...BODY_SX }}>{tRich('chainTips.tipBody1')}</Typography>
+          <Typography variant="body2" sx={BODY_SX}>{tRich('chainTips.tipBody2')}</Typography>
         </>
       ),
     },
     {
       icon: <CallSplitIcon sx={{ color: STATUS_COLORS['valid-fork'] }} />,
-      title: 'What is an orphan / stale block?',
+      title: t('chainTips.staleTitle'),
       body: (
         <>
-          <Typography variant="body2" sx={{ mb: 1.5, color: '#444', lineHeight: 1.7 }}>
-            An orphan / stale block is a <strong>fully-valid block that isn't on the main chain</strong>{' '}
-            because another block at the same height won the race. It broke no rules — it simply arrived
-            a moment too late (or with slightly less work behind it) and the network built on the other
-            block instead.
-          </Typography>
-          <Typography variant="body2" sx={{ color: '#444', lineHeight: 1.7 }}>
-            The precise term matters: in Bitcoin-family chains these are usually called{' '}
-            <strong>"stale" blocks</strong>. True <em>"orphans"</em> — genuinely parentless blocks —
-            effectively don't exist anymore now that nodes sync headers first. A stale block is{' '}
-            <strong>real mining work that didn't make the canonical chain</strong>, not an error or an attack.
-          </Typography>
+          <Typography variant="body2" sx={{ mb: 1.5, ...BODY_SX }}>{tRich('chainTips.staleBody1')}</Typography>
+          <Typography variant="body2" sx={BODY_SX}>{tRich('chainTips.staleBody2')}</Typography>
         </>
       ),
     },
     {
       icon: <SpeedIcon sx={{ color: accentColor }} />,
-      title: 'Why does DigiByte produce them?',
+      title: t('chainTips.whyTitle'),
       body: (
         <>
-          <Typography variant="body2" sx={{ mb: 1.5, color: '#444', lineHeight: 1.7 }}>
-            DigiByte targets a <strong>15-second block time</strong> across{' '}
-            <strong>5 independent mining algorithms</strong> — SHA256D, Scrypt, Skein, Qubit and
-            Odocrypt. Fast blocks plus many miners on different algos mean two perfectly valid blocks
-            are frequently found at nearly the same instant.
-          </Typography>
-          <Typography variant="body2" sx={{ color: '#444', lineHeight: 1.7 }}>
-            When that happens, one block becomes the tip and the other goes stale. So a steady trickle
-            of <strong>single-block stales is healthy and expected</strong> on DigiByte — it is the
-            normal cost of very fast, multi-algorithm blocks, not a fork or a sign of trouble.
-          </Typography>
+          <Typography variant="body2" sx={{ mb: 1.5, ...BODY_SX }}>{tRich('chainTips.whyBody1')}</Typography>
+          <Typography variant="body2" sx={BODY_SX}>{tRich('chainTips.whyBody2')}</Typography>
         </>
       ),
     },
     {
       icon: <HelpOutlineIcon sx={{ color: accentColor }} />,
-      title: 'Tip statuses',
+      title: t('chainTips.statusTitle'),
       body: (
         <>
-          <Typography variant="body2" sx={{ mb: 2, color: '#444', lineHeight: 1.7 }}>
-            Every tip <code>getchaintips</code> returns carries a status. These chips use the exact
-            same colours as the live fork-tree map above:
-          </Typography>
+          <Typography variant="body2" sx={{ mb: 2, ...BODY_SX }}>{tRich('chainTips.statusIntro')}</Typography>
           <Box
             data-testid="status-legend"
             sx={{ display: 'flex', flexDirection: 'column', gap: 1.5 }}
@@ -145,8 +122,8 @@ const ChainTipsExplainer = ({ accentColor = '#0066cc' }) => {
                 <Box sx={{ flexShrink: 0, minWidth: { sm: 120 } }}>
                   <StatusChip status={item.status} />
                 </Box>
-                <Typography variant="body2" sx={{ color: '#444', lineHeight: 1.6 }}>
-                  {item.desc}
+                <Typography variant="body2" sx={{ color: 'text.secondary', lineHeight: 1.6 }}>
+                  {t(item.descKey)}
                 </Typography>
               </Box>
             ))}
@@ -156,50 +133,37 @@ const ChainTipsExplainer = ({ accentColor = '#0066cc' }) => {
     },
     {
       icon: <SyncAltIcon sx={{ color: accentColor }} />,
-      title: 'Branch length & reorganizations (reorgs)',
+      title: t('chainTips.reorgTitle'),
       body: (
         <>
-          <Typography variant="body2" sx={{ mb: 1.5, color: '#444', lineHeight: 1.7 }}>
-            <strong>Branch length</strong> is how many blocks a competing chain has that aren't on the
-            main chain. A branch length of <strong>1 is a lone stale</strong> — completely normal.
-            Longer branches mean a competitor is being actively extended.
-          </Typography>
-          <Typography variant="body2" sx={{ color: '#444', lineHeight: 1.7 }}>
-            A <strong>reorganization (reorg)</strong> happens when the node switches to a longer
-            competing chain, replacing one or more recent blocks with the competitor's. Shallow reorgs
-            are routine; <strong>deeper reorgs can affect transaction finality</strong>, because a
-            transaction that looked confirmed can briefly return to unconfirmed while the chain re-settles.
-          </Typography>
+          <Typography variant="body2" sx={{ mb: 1.5, ...BODY_SX }}>{tRich('chainTips.reorgBody1')}</Typography>
+          <Typography variant="body2" sx={BODY_SX}>{tRich('chainTips.reorgBody2')}</Typography>
         </>
       ),
     },
     {
       icon: <WarningAmberIcon sx={{ color: STATUS_COLORS.invalid }} />,
-      title: 'When is it a real fork risk?',
+      title: t('chainTips.riskTitle'),
       body: (
         <>
-          <Typography variant="body2" sx={{ mb: 1.5, color: '#444', lineHeight: 1.7 }}>
-            Single-block stales are routine and healthy. The risk rises when a competing branch:
-          </Typography>
-          <Box component="ul" sx={{ pl: 3, m: 0, mb: 1.5, color: '#444' }}>
-            <Typography component="li" variant="body2" sx={{ mb: 0.75, lineHeight: 1.6 }}>
-              is <strong>4 or more blocks deep</strong>, not just a single lone stale;
-            </Typography>
-            <Typography component="li" variant="body2" sx={{ mb: 0.75, lineHeight: 1.6 }}>
-              <strong>keeps growing across time</strong> — a sign it is being actively mined, not abandoned;
-            </Typography>
-            <Typography component="li" variant="body2" sx={{ mb: 0.75, lineHeight: 1.6 }}>
-              is flagged <strong>invalid</strong> (breaks consensus rules); or
-            </Typography>
-            <Typography component="li" variant="body2" sx={{ lineHeight: 1.6 }}>
-              triggers a <strong>deep reorg</strong> that rewrites several confirmed blocks.
-            </Typography>
+          <Typography variant="body2" sx={{ mb: 1.5, ...BODY_SX }}>{t('chainTips.riskIntro')}</Typography>
+          <Box component="ul" sx={{ pl: 3, m: 0, mb: 1.5, color: 'text.secondary' }}>
+            {['riskDeep', 'riskGrowing', 'riskInvalid', 'riskReorg'].map((key, index, keys) => (
+              <Typography
+                key={key}
+                component="li"
+                variant="body2"
+                sx={{ mb: index < keys.length - 1 ? 0.75 : 0, lineHeight: 1.6 }}
+              >
+                {tRich(`chainTips.${key}`)}
+              </Typography>
+            ))}
           </Box>
-          <Typography variant="body2" sx={{ color: '#444', lineHeight: 1.7 }}>
-            Those are exactly the conditions that turn this page's status banner{' '}
-            <Box component="span" sx={{ color: '#e65100', fontWeight: 700 }}>amber</Box> or{' '}
-            <Box component="span" sx={{ color: '#c62828', fontWeight: 700 }}>red</Box>. Until then, a
-            calm feed of lone single-block stales is simply DigiByte working as designed.
+          <Typography variant="body2" sx={BODY_SX}>
+            {tRich('chainTips.riskOutro', {
+              amber: <Box component="span" sx={{ color: '#e65100', fontWeight: 700 }}>{t('chainTips.amber')}</Box>,
+              red: <Box component="span" sx={{ color: '#c62828', fontWeight: 700 }}>{t('chainTips.red')}</Box>,
+            })}
           </Typography>
         </>
       ),
@@ -225,24 +189,24 @@ const ChainTipsExplainer = ({ accentColor = '#0066cc' }) => {
             fontWeight="bold"
             sx={{ color: accentColor, fontSize: { xs: '1.25rem', sm: '1.5rem' } }}
           >
-            Understanding Chain Tips & Orphans
+            {t('chainTips.title')}
           </Typography>
         </Box>
-        <Typography variant="body2" sx={{ color: '#666', mb: 2, lineHeight: 1.6 }}>
-          New to what you're seeing above? These short, plain-language sections explain chain tips,
-          stale blocks, and when a competing branch is worth worrying about. Tap any heading to expand it.
+        <Typography variant="body2" sx={{ color: 'text.secondary', mb: 2, lineHeight: 1.6 }}>
+          {t('chainTips.intro')}
         </Typography>
         <Divider sx={{ mb: 2, borderColor: `${accentColor}33` }} />
 
         {topics.map((topic, index) => (
           <Accordion
-            key={topic.title}
+            key={index}
             defaultExpanded={index === 0}
             disableGutters
             elevation={0}
             TransitionProps={{ unmountOnExit: true }}
             sx={{
-              border: '1px solid #eee',
+              border: '1px solid',
+              borderColor: 'divider',
               borderRadius: '8px !important',
               mb: 1.5,
               overflow: 'hidden',
@@ -263,14 +227,14 @@ const ChainTipsExplainer = ({ accentColor = '#0066cc' }) => {
               <Typography
                 variant="subtitle1"
                 fontWeight="bold"
-                sx={{ color: '#222', fontSize: { xs: '0.95rem', sm: '1.05rem' } }}
+                sx={{ color: 'text.primary', fontSize: { xs: '0.95rem', sm: '1.05rem' } }}
               >
                 {topic.title}
               </Typography>
             </AccordionSummary>
             <AccordionDetails
               data-testid={`topic-body-${index}`}
-              sx={{ backgroundColor: '#fff', px: { xs: 2, sm: 3 }, py: 2 }}
+              sx={{ backgroundColor: 'background.paper', px: { xs: 2, sm: 3 }, py: 2 }}
             >
               {topic.body}
             </AccordionDetails>
@@ -0,0 +1,105 @@
+import React, { useEffect, useState } from 'react';
+import { Button, Menu, MenuItem, ListItemText, Snackbar, useTheme } from '@mui/material';
+import IosShareIcon from '@mui/icons-material/IosShare';
+import { useNetwork } from '../context/NetworkContext';
+import { useLocale } from '../context/LocaleContext';
+import { IMAGE_FORMATS, chartImageFilename, downloadChartImage } from '../utils/chartImage';
+import { chartShareUrl } from '../utils/chartLink';
+
+const FORMAT_LABELS = { png: 'common.downloadPng', svg: 'common.downloadSvg' };
+
+/**
+ * ChartActions — "Share" button with PNG / SVG downloads of a chart
+ * (utils/chartImage.js) and a "Copy link" that encodes its view state
+ * (utils/chartLink.js).
+ *
+ * The chart's card carries `id`, which becomes the link's fragment; when the
+ * page is opened on that fragment the card is scrolled into view once the
+ * chart is ready.
+ *
+ * @param {Object} props
+ * @param {string} props.id element id of the chart's card
+ * @param {string} props.name chart name used in the file name
+ * @param {{ current: HTMLCanvasElement|SVGSVGElement|null }} props.target the chart element
+ * @param {object|(() => object)} [props.linkState] view state for the link (range / zoom / hidden)
+ * @param {{ range?: string, hidden?: string[] }} [props.linkDefaults] state left out of the link
+ * @param {boolean} [props.ready=true] false while the chart is not drawn
+ * @param {string} [props.color] button colour
+ * @param {object} [props.sx]
+ */
+const ChartActions = ({
+  id, name, target, linkState, linkDefaults, ready = true, color, sx,
+}) => {
+  const { name: network } = useNetwork();
+  const { t } = useLocale();
+  const theme = useTheme();
+  const [anchor, setAnchor] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  // Opened from a copied link: bring the chart into view once it is drawn.
+  useEffect(() => {
+    if (!ready || window.location.hash !== `#${id}`) return;
+    const card = document.getElementById(id);
+    if (card && typeof card.scrollIntoView === 'function') card.scrollIntoView({ block: 'start' });
+  }, [ready, id]);
+
+  const download = async (format) => {
+    setAnchor(null);
+    if (!target.current) return;
+    try {
+      await downloadChartImage(target.current, format, {
+        filename: chartImageFilename(name, network, format),
+        background: theme.palette.background.paper,
+      });
+    } catch (error) {
+      console.error('Chart image export failed:', error);
+    }
+  };
+
+  const copyLink = async () => {
+    setAnchor(null);
+    const state = typeof linkState === 'function' ? linkState() : linkState;
+    try {
+      await navigator.clipboard.writeText(chartShareUrl(window.location, id, state, linkDefaults));
+      setCopied(true);
+    } catch (error) {
+      // No clipboard access (insecure context); nothing else to offer here.
+    }
+  };
+
+  return (
+    <>
+      <Button
+        size="small"
+        variant="outlined"
+        startIcon={<IosShareIcon />}
+        onClick={(event) => setAnchor(event.currentTarget)}
+        disabled={!ready}
+        aria-haspopup="menu"
+        aria-label={`${t('common.share')} ${name}`}
+        sx={{ textTransform: 'none', flexShrink: 0, ...(color ? { color, borderColor: `${color}66` } : {}), ...sx }}
+      >
+        {t('common.share')}
+      </Button>
+      <Menu anchorEl={anchor} open={Boolean(anchor)} onClose={() => setAnchor(null)}>
+        {IMAGE_FORMATS.map((format) => (
+          <MenuItem key={format} onClick={() => download(format)}>
+            <ListItemText primary={t(FORMAT_LABELS[format])} />
+          </MenuItem>
+        ))}
+        <MenuItem onClick={copyLink}>
+          <ListItemText primary={t('common.copyLink')} />
+        </MenuItem>
+      </Menu>
+      <Snackbar
+        open={copied}
+        autoHideDuration={3000}
+        onClose={() => setCopied(false)}
+        message={t('common.linkCopied')}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      />
+    </>
+  );
+};
+
+export default ChartActions;
@@ -0,0 +1,40 @@
+import React from 'react';
+import { IconButton, Tooltip } from '@mui/material';
+import LightModeIcon from '@mui/icons-material/LightMode';
+import DarkModeIcon from '@mui/icons-material/DarkMode';
+import SettingsBrightnessIcon from '@mui/icons-material/SettingsBrightness';
+import { useColorMode } from '../context/ColorModeContext';
+
+/**
+ * ColorModeToggle — Header button cycling the colour-mode preference
+ * light → dark → system. The icon shows the current preference; the tooltip
+ * names it and, for system, the mode it currently resolves to.
+ */
+
+const PREFERENCES = {
+  light: { label: 'Light', icon: LightModeIcon },
+  dark: { label: 'Dark', icon: DarkModeIcon },
+  system: { label: 'System', icon: SettingsBrightnessIcon },
+};
+
+const ColorModeToggle = () => {
+  const { preference, mode, cyclePreference } = useColorMode();
+  const { label, icon: Icon } = PREFERENCES[preference];
+  const title = preference === 'system' ? `Theme: System (${mode})` : `Theme: ${label}`;
+
+  return (
+    <Tooltip title={title}>
+      <IconButton
+        size="small"
+        color="inherit"
+        aria-label={`${title}. Switch theme`}
+        onClick={cyclePreference}
+        sx={{ color: 'white' }}
+      >
+        <Icon fontSize="small" />
+      </IconButton>
+    </Tooltip>
+  );
+};
+
+export default ColorModeToggle;
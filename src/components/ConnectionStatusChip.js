@@ -0,0 +1,126 @@
+import React, { useEffect, useState } from 'react';
+import { Box, Chip, Tooltip, Typography } from '@mui/material';
+import { useNetwork } from '../context/NetworkContext';
+import { useWsStatus } from '../hooks/useWsMessage';
+import { useLocale } from '../context/LocaleContext';
+import { DEFAULT_LOCALE, translate } from '../locales';
+
+/**
+ * ConnectionStatusChip — live-feed health indicator for the Header.
+ *
+ * Reads the network's shared WebSocket client and shows one of:
+ *   - Connected     (green)  socket open
+ *   - Reconnecting  (amber)  a retry is scheduled or in flight
+ *   - Offline       (red)    closed with no retry pending (e.g. browser offline)
+ * together with "last update N s ago", so a dead feed can be told apart from
+ * a quiet chain. Renders nothing until something has subscribed to the feed.
+ *
+ * While not connected, and data is on screen (from this visit or restored
+ * from the offline snapshot store), an extra "Offline — data as of HH:MM"
+ * chip says how old that data is. Labels come from the `connection.*`
+ * locale messages.
+ */
+
+const STATE_COLORS = {
+  connected: '#4caf50',
+  reconnecting: '#ffb300',
+  offline: '#f44336',
+};
+
+const englishT = (key, vars) => translate(DEFAULT_LOCALE, key, vars);
+
+/**
+ * Format the age of the last update, e.g. "last update 12 s ago".
+ *
+ * @param {number|null} lastMessageAt epoch ms of the last frame
+ * @param {number} now epoch ms
+ * @param {Function} [t] the locale's message lookup (English by default)
+ * @returns {string}
+ */
+export const formatLastUpdate = (lastMessageAt, now, t = englishT) => {
+  if (!lastMessageAt) return t('connection.noUpdates');
+  const seconds = Math.max(0, Math.floor((now - lastMessageAt) / 1000));
+  if (seconds < 60) return t('connection.lastUpdateSeconds', { count: seconds });
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return t('connection.lastUpdateMinutes', { count: minutes });
+  return t('connection.lastUpdateHours', { count: Math.floor(minutes / 60) });
+};
+
+const ConnectionStatusChip = ({ compact = false }) => {
+  const { wsClient } = useNetwork();
+  const { t, formatDate } = useLocale();
+  const status = useWsStatus();
+  const [now, setNow] = useState(() => Date.now());
+
+  // Tick once a second so the age stays current between messages.
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  if (!wsClient || status === 'idle') return null;
+
+  let state = 'offline';
+  if (status === 'open') {
+    state = 'connected';
+  } else if (status === 'connecting' || wsClient.isReconnecting()) {
+    state = 'reconnecting';
+  }
+  const label = t(`connection.${state}`);
+  const color = STATE_COLORS[state];
+  const lastUpdate = formatLastUpdate(wsClient.getLastMessageAt(), now, t);
+  const dataAt = Math.max(wsClient.getLastMessageAt() || 0, wsClient.getRestoredAt() || 0);
+  const snapshotLabel = state !== 'connected' && dataAt > 0
+    ? t('connection.offlineSnapshot', { time: formatDate(dataAt, { hour: '2-digit', minute: '2-digit' }) })
+    : null;
+
+  return (
+    <Tooltip title={`${t(`connection.liveFeed.${state}`)} · ${lastUpdate}`}>
+      <Box
+        data-testid="connection-status"
+        data-state={state}
+        sx={{ display: 'flex', alignItems: 'center', gap: 1, color: 'white' }}
+      >
+        <Chip
+          label={label}
+          size="small"
+          icon={(
+            <Box
+              component="span"
+              sx={{ width: 8, height: 8, borderRadius: '50%', bgcolor: color, ml: '8px !important' }}
+            />
+          )}
+          sx={{
+            height: 24,
+            color: 'white',
+            fontWeight: 600,
+            fontSize: '0.75rem',
+            bgcolor: 'rgba(255, 255, 255, 0.12)',
+            border: `1px solid ${color}`,
+          }}
+        />
+        {snapshotLabel && (
+          <Chip
+            data-testid="offline-snapshot"
+            label={snapshotLabel}
+            size="small"
+            sx={{
+              height: 24,
+              color: 'white',
+              fontSize: '0.75rem',
+              bgcolor: 'rgba(255, 179, 0, 0.25)',
+              border: '1px solid #ffb300',
+            }}
+          />
+        )}
+        {!compact && (
+          <Typography variant="caption" sx={{ opacity: 0.8, whiteSpace: 'nowrap' }}>
+            {lastUpdate}
+          </Typography>
+        )}
+      </Box>
+    </Tooltip>
+  );
+};
+
+export default ConnectionStatusChip;
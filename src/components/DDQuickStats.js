@@ -0,0 +1,97 @@
+import React from 'react';
+import { Card, Grid, Tooltip, Typography } from '@mui/material';
+import LockIcon from '@mui/icons-material/Lock';
+import TrendingUpIcon from '@mui/icons-material/TrendingUp';
+import AccountBalanceIcon from '@mui/icons-material/AccountBalance';
+import SpeedIcon from '@mui/icons-material/Speed';
+import { useLocale } from '../context/LocaleContext';
+import { formatNumber } from '../utils/format';
+
+/**
+ * Format a DigiDollar amount in cents, e.g. 12345 → "$123.45 DD".
+ *
+ * @param {number} cents - DD amount in cents
+ * @param {string} [locale] - BCP 47 tag for the digit grouping
+ * @returns {string} - Formatted amount, or 'Not Reporting' when empty
+ */
+export const formatDD = (cents, locale = 'en') => {
+  if (!cents || cents === 0) return 'Not Reporting';
+  return '$' + formatNumber(cents / 100, locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) + ' DD';
+};
+
+/**
+ * Colour of a system-health percentage.
+ *
+ * @param {number} health - Collateralization in percent
+ * @returns {string} - Hex colour
+ */
+export const getHealthColor = (health) => {
+  if (health >= 150) return '#4caf50'; // Green - Healthy
+  if (health >= 120) return '#ff9800'; // Orange - Warning
+  if (health >= 100) return '#f44336'; // Red - Critical
+  return '#d32f2f'; // Dark Red - Emergency
+};
+
+/**
+ * DDQuickStats - the four DigiDollar headline tiles (DD supply, DGB locked,
+ * collateral ratio, active oracles). Shown on DDStatsPage and as the DD
+ * supply embed widget.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.stats - Mapped `ddStatsData` stats (total_dd_supply,
+ *   total_collateral_dgb, health_percentage)
+ * @param {number} props.oracleCount - Oracles currently reporting
+ * @param {Object} [props.sx] - Extra styles for the grid
+ * @returns {JSX.Element} Tile grid
+ */
+const DDQuickStats = ({ stats, oracleCount, sx }) => {
+  const { locale } = useLocale();
+  const healthColor = getHealthColor(stats.health_percentage);
+
+  return (
+    <Grid container spacing={3} sx={sx}>
+      {/* DD Supply - Green */}
+      <Grid item xs={6} md={3}>
+        <Tooltip title="Total DigiDollars in circulation across the network" arrow>
+          <Card elevation={2} sx={{ p: 2, textAlign: 'center', borderRadius: '12px', borderTop: '4px solid #2e7d32', cursor: 'help' }}>
+            <AccountBalanceIcon sx={{ fontSize: '2.5rem', color: '#2e7d32', mb: 1 }} />
+            <Typography variant="body2" color="text.secondary">Total DD Supply</Typography>
+            <Typography variant="h5" fontWeight="bold" sx={{ color: '#2e7d32' }}>{formatDD(stats.total_dd_supply, locale)}</Typography>
+          </Card>
+        </Tooltip>
+      </Grid>
+      {/* DGB Locked - Blue */}
+      <Grid item xs={6} md={3}>
+        <Tooltip title="Total DGB locked as collateral backing DigiDollars" arrow>
+          <Card elevation={2} sx={{ p: 2, textAlign: 'center', borderRadius: '12px', borderTop: '4px solid #0066cc', cursor: 'help' }}>
+            <LockIcon sx={{ fontSize: '2.5rem', color: '#0066cc', mb: 1 }} />
+            <Typography variant="body2" color="text.secondary">DGB Locked</Typography>
+            <Typography variant="h5" fontWeight="bold" sx={{ color: '#0066cc' }}>{(stats.total_collateral_dgb / 1000000).toFixed(2)}M</Typography>
+          </Card>
+        </Tooltip>
+      </Grid>
+      {/* Collateral Ratio - Health Color */}
+      <Grid item xs={6} md={3}>
+        <Tooltip title="System health percentage - collateral value divided by DD supply" arrow>
+          <Card elevation={2} sx={{ p: 2, textAlign: 'center', borderRadius: '12px', borderTop: `4px solid ${healthColor}`, cursor: 'help' }}>
+            <TrendingUpIcon sx={{ fontSize: '2.5rem', color: healthColor, mb: 1 }} />
+            <Typography variant="body2" color="text.secondary">Collateral Ratio</Typography>
+            <Typography variant="h5" fontWeight="bold" sx={{ color: healthColor }}>{stats.health_percentage}%</Typography>
+          </Card>
+        </Tooltip>
+      </Grid>
+      {/* Active Oracles - Green */}
+      <Grid item xs={6} md={3}>
+        <Tooltip title="Number of oracles currently providing price feeds to the network" arrow>
+          <Card elevation={2} sx={{ p: 2, textAlign: 'center', borderRadius: '12px', borderTop: '4px solid #2e7d32', cursor: 'help' }}>
+            <SpeedIcon sx={{ fontSize: '2.5rem', color: '#2e7d32', mb: 1 }} />
+            <Typography variant="body2" color="text.secondary">Active Oracles</Typography>
+            <Typography variant="h5" fontWeight="bold" sx={{ color: '#2e7d32' }}>{oracleCount}</Typography>
+          </Card>
+        </Tooltip>
+      </Grid>
+    </Grid>
+  );
+};
+
+export default DDQuickStats;
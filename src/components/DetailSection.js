@@ -0,0 +1,46 @@
+import React from 'react';
+import { Card, CardContent, Grid, Typography } from '@mui/material';
+
+/**
+ * Building blocks shared by the detail pages (block, transaction, address): a
+ * titled card with a coloured top border, and label / value cells for its grid.
+ */
+
+/**
+ * Label / value cell of a detail grid. Long values (hashes, scripts) wrap in
+ * a monospace box.
+ */
+export const DetailField = ({ label, children, mono = false, xs = 12, md = 6 }) => (
+  <Grid item xs={xs} md={md}>
+    <Typography variant="body2" color="text.secondary" sx={{ fontSize: '0.75rem' }}>
+      {label}
+    </Typography>
+    <Typography
+      component="div"
+      variant="body2"
+      fontWeight="medium"
+      sx={mono ? {
+        fontFamily: 'monospace',
+        fontSize: '0.8rem',
+        bgcolor: 'background.code',
+        p: 0.5,
+        borderRadius: 1,
+        overflowWrap: 'anywhere',
+      } : undefined}
+    >
+      {children}
+    </Typography>
+  </Grid>
+);
+
+/** Titled section card; `testId` lands on the card for tests and e2e specs. */
+export const SectionCard = ({ title, color, children, testId }) => (
+  <Card elevation={3} sx={{ borderRadius: '12px', borderTop: `4px solid ${color}`, mb: 3 }} data-testid={testId}>
+    <CardContent>
+      <Typography variant="h5" fontWeight="bold" sx={{ color, mb: 2 }}>
+        {title}
+      </Typography>
+      {children}
+    </CardContent>
+  </Card>
+);
@@ -0,0 +1,226 @@
+import React, { useState } from 'react';
+import {
+  Box, Card, CardContent, CircularProgress, Grid, Typography, useTheme
+} from '@mui/material';
+import BlockIcon from '@mui/icons-material/ViewCompact';
+import AttachMoneyIcon from '@mui/icons-material/AttachMoney';
+import SpeedIcon from '@mui/icons-material/Speed';
+import { useNetwork } from '../context/NetworkContext';
+import { useLocale } from '../context/LocaleContext';
+import { useWsMessage, useWsStatusChange } from '../hooks/useWsMessage';
+import StatCard from './StatCard';
+import ForkRiskStrip from './ForkRiskStrip';
+import DDQuickStats from './DDQuickStats';
+import { OraclePriceTile, OracleUpdateTile } from './OraclePriceTiles';
+import { HASHRATE_ALGOS, hashratesByAlgo, formatHashrate } from '../utils/miningStats';
+
+/**
+ * Embed widgets — the live pieces served chromeless under `/embed/:widget`
+ * (see pages/EmbedPage.js and utils/embed.js). Each one subscribes to the same
+ * WebSocket messages as the page it comes from and reuses that page's
+ * presentational component; the accent colour is the theme's primary colour,
+ * which the embed URL can override.
+ */
+
+/**
+ * Until the first message arrives a widget shows a spinner; if the socket
+ * closes first it says so instead of spinning forever.
+ */
+const useFeedState = () => {
+  const [state, setState] = useState('loading');
+  useWsStatusChange((status) => {
+    if (status === 'closed') setState((prev) => (prev === 'loading' ? 'offline' : prev));
+  });
+  return [state, () => setState('ready')];
+};
+
+const WidgetPlaceholder = ({ state, color }) => (
+  <Box sx={{ textAlign: 'center', py: 3 }}>
+    {state === 'loading' ? (
+      <CircularProgress size={32} sx={{ color }} />
+    ) : (
+      <Typography variant="body2" color="text.secondary">Live data unavailable</Typography>
+    )}
+  </Box>
+);
+
+const WidgetHeading = ({ icon: Icon, color, children }) => (
+  <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+    <Icon sx={{ fontSize: '1.75rem', color, mr: 1 }} />
+    <Typography variant="h6" fontWeight="bold" sx={{ color }}>
+      {children}
+    </Typography>
+  </Box>
+);
+
+/** Current block height in the HomePage StatCard. */
+const BlockHeightWidget = () => {
+  const { palette } = useTheme();
+  const { displayName } = useNetwork();
+  const { formatNumber } = useLocale();
+  const [state, markReady] = useFeedState();
+  const [height, setHeight] = useState(null);
+
+  useWsMessage(['initialData', 'newBlock'], (message) => {
+    const next = message.type === 'initialData'
+      ? message.data?.blockchainInfo?.blocks
+      : message.data?.height;
+    if (!Number.isFinite(next)) return;
+    setHeight((prev) => Math.max(prev || 0, next));
+    markReady();
+  });
+
+  return (
+    <StatCard
+      title="Block Height"
+      value={height !== null ? formatNumber(height) : '—'}
+      icon={<BlockIcon />}
+      description={`Latest block on ${displayName}`}
+      loading={state === 'loading'}
+      color={palette.primary.main}
+    />
+  );
+};
+
+/** Oracle consensus price and its last update, as on OraclesPage. */
+const OraclePriceWidget = () => {
+  const { palette } = useTheme();
+  const { displayName } = useNetwork();
+  const [state, markReady] = useFeedState();
+  const [price, setPrice] = useState(null);
+  const color = palette.primary.main;
+
+  useWsMessage('oracleData', (message) => {
+    const data = message.data?.price;
+    if (!data) return;
+    setPrice({
+      price_micro_usd: data.price_micro_usd || 0,
+      last_update_height: data.last_update_height || 0,
+      is_stale: data.is_stale || false,
+    });
+    markReady();
+  });
+
+  return (
+    <Card elevation={3} sx={{ p: 2, borderRadius: '12px', borderTop: `4px solid ${color}` }}>
+      <WidgetHeading icon={AttachMoneyIcon} color={color}>
+        {displayName} Oracle Price
+      </WidgetHeading>
+      {state !== 'ready' ? (
+        <WidgetPlaceholder state={state} color={color} />
+      ) : (
+        <Grid container spacing={2}>
+          <Grid item xs={12} sm={6}>
+            <OraclePriceTile priceMicroUsd={price.price_micro_usd} color={color} />
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <OracleUpdateTile lastUpdateHeight={price.last_update_height} isStale={price.is_stale} color={color} />
+          </Grid>
+        </Grid>
+      )}
+    </Card>
+  );
+};
+
+/** DigiDollar headline tiles, as on DDStatsPage. */
+const DDSupplyWidget = () => {
+  const { palette } = useTheme();
+  const [state, markReady] = useFeedState();
+  const [stats, setStats] = useState(null);
+  const [oracleCount, setOracleCount] = useState(0);
+
+  useWsMessage('ddStatsData', (message) => {
+    const data = message.data?.stats;
+    if (!data) return;
+    setStats({
+      total_dd_supply: data.total_dd_supply || 0,
+      total_collateral_dgb: data.total_collateral_dgb || 0,
+      health_percentage: data.health_percentage || 0,
+    });
+    setOracleCount(message.data.oraclePrice?.oracle_count || 0);
+    markReady();
+  });
+
+  if (state !== 'ready') {
+    return (
+      <Card elevation={2} sx={{ borderRadius: '12px' }}>
+        <WidgetPlaceholder state={state} color={palette.primary.main} />
+      </Card>
+    );
+  }
+  return <DDQuickStats stats={stats} oracleCount={oracleCount} />;
+};
+
+/** Last-hour hashrate of each algorithm (HashratePage's estimate). */
+const HashrateWidget = () => {
+  const { palette } = useTheme();
+  const [state, markReady] = useFeedState();
+  const [blocks, setBlocks] = useState([]);
+  const color = palette.primary.main;
+
+  useWsMessage(['recentBlocks', 'newBlock'], (message) => {
+    if (message.type === 'recentBlocks') {
+      setBlocks(message.data || []);
+      markReady();
+    } else if (message.data) {
+      setBlocks((prev) => [message.data, ...prev].slice(0, 240));
+    }
+  });
+
+  const hashrates = hashratesByAlgo(blocks);
+
+  return (
+    <Card elevation={3} sx={{ borderRadius: '12px', borderTop: `4px solid ${color}` }}>
+      <CardContent>
+        <WidgetHeading icon={SpeedIcon} color={color}>
+          Hashrate by Algorithm
+        </WidgetHeading>
+        {state !== 'ready' ? (
+          <WidgetPlaceholder state={state} color={color} />
+        ) : (
+          HASHRATE_ALGOS.map((algo) => (
+            <Box
+              key={algo}
+              sx={{ display: 'flex', justifyContent: 'space-between', py: 0.75, borderBottom: 1, borderColor: 'divider' }}
+            >
+              <Typography variant="body2" color="text.secondary">{algo}</Typography>
+              <Typography variant="body2" fontWeight="bold">{formatHashrate(hashrates[algo])}</Typography>
+            </Box>
+          ))
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+/** ChainTipsPage's fork-risk strip. */
+const ForkRiskWidget = () => {
+  const { palette } = useTheme();
+  const [state, markReady] = useFeedState();
+  const [alert, setAlert] = useState(null);
+
+  useWsMessage(['chainTips', 'forkAlert'], (message) => {
+    if (message.type === 'forkAlert' && message.data) setAlert(message.data);
+    markReady();
+  });
+
+  if (state !== 'ready') {
+    return (
+      <Card elevation={2} sx={{ borderRadius: '12px' }}>
+        <WidgetPlaceholder state={state} color={palette.primary.main} />
+      </Card>
+    );
+  }
+  return <ForkRiskStrip alert={alert} />;
+};
+
+/** Widget component per EMBED_WIDGETS id. */
+export const EMBED_COMPONENTS = {
+  'block-height': BlockHeightWidget,
+  'oracle-price': OraclePriceWidget,
+  'dd-supply': DDSupplyWidget,
+  hashrate: HashrateWidget,
+  'fork-risk': ForkRiskWidget,
+};
+
+export default EMBED_COMPONENTS;
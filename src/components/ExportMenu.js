@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { Button, Menu, MenuItem, ListItemText } from '@mui/material';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+import { useNetwork } from '../context/NetworkContext';
+import { useLocale } from '../context/LocaleContext';
+import {
+  EXPORT_FORMATS, buildExport, downloadFile, exportFilename, exportMetadata, tipHeight
+} from '../utils/dataExport';
+
+const FORMAT_LABELS = { csv: 'common.exportCsv', json: 'common.exportJson' };
+
+/**
+ * ExportMenu — "Export" button with CSV and JSON downloads of one table or
+ * chart (utils/dataExport.js).
+ *
+ * `rows` are the payload objects behind the table, or a function returning
+ * them so large lists are only copied when a download is asked for. The
+ * metadata header takes the network from context and the height from the
+ * shared WebSocket client's cached blocks.
+ *
+ * @param {Object} props
+ * @param {string} props.name dataset name used in the file name ('blocks', 'mempool', ...)
+ * @param {object[]|(() => object[])} props.rows
+ * @param {string[]} [props.fields] CSV column order (flattened keys); defaults to every key
+ * @param {string} [props.color] button colour
+ * @param {object} [props.sx]
+ */
+const ExportMenu = ({ name, rows, fields, color, sx }) => {
+  const { name: network, wsClient } = useNetwork();
+  const { t } = useLocale();
+  const [anchor, setAnchor] = useState(null);
+  const rowCount = typeof rows === 'function' ? null : (rows || []).length;
+
+  const download = (format) => {
+    setAnchor(null);
+    const data = (typeof rows === 'function' ? rows() : rows) || [];
+    const meta = exportMetadata({ network, height: tipHeight(wsClient) });
+    const { content, mimeType } = buildExport(format, data, meta, fields);
+    downloadFile(exportFilename(name, meta, format), content, mimeType);
+  };
+
+  return (
+    <>
+      <Button
+        size="small"
+        variant="outlined"
+        startIcon={<FileDownloadIcon />}
+        onClick={(event) => setAnchor(event.currentTarget)}
+        disabled={rowCount === 0}
+        aria-haspopup="menu"
+        aria-label={`${t('common.export')} ${name}`}
+        sx={{ textTransform: 'none', flexShrink: 0, ...(color ? { color, borderColor: `${color}66` } : {}), ...sx }}
+      >
+        {t('common.export')}
+      </Button>
+      <Menu anchorEl={anchor} open={Boolean(anchor)} onClose={() => setAnchor(null)}>
+        {EXPORT_FORMATS.map((format) => (
+          <MenuItem key={format} onClick={() => download(format)}>
+            <ListItemText primary={t(FORMAT_LABELS[format])} />
+          </MenuItem>
+        ))}
+      </Menu>
+    </>
+  );
+};
+
+export default ExportMenu;
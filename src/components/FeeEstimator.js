@@ -0,0 +1,203 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useLocation } from 'react-router-dom';
+import { Chart, registerables } from 'chart.js';
+import {
+  Box, Card, Grid, Tooltip, Typography, useTheme,
+} from '@mui/material';
+import SpeedIcon from '@mui/icons-material/Speed';
+import { useLocale } from '../context/LocaleContext';
+import { getChartColors } from '../utils/theme';
+import { applyHiddenDatasets, decodeChartState, hiddenDatasetLabels } from '../utils/chartLink';
+import { FEE_TARGETS, appendFeeSample, estimateFees } from '../utils/feeEstimate';
+import ExportMenu from './ExportMenu';
+import ChartActions from './ChartActions';
+
+Chart.register(...registerables);
+
+// One colour per FEE_TARGETS entry, fastest first.
+const TARGET_COLORS = ['#f44336', '#ff9800', '#4caf50'];
+
+const BASIS_LABELS = {
+  mempool: 'From the mempool queue',
+  observed: 'From recent confirmations',
+  minimum: 'Lowest fee rate accepted',
+};
+
+// Stable defaults: the estimate is memoized on these props.
+const NO_TRANSACTIONS = [];
+const NO_FIRST_SEEN = {};
+
+const formatRate = (rate) => (rate < 10 ? rate.toFixed(1) : String(Math.round(rate)));
+
+/**
+ * FeeEstimator — recommended feerates for the FEE_TARGETS confirmation
+ * targets (utils/feeEstimate.js), the mempool feerate percentiles they are
+ * read against, and a chart of the recommendations over this session.
+ *
+ * The session history is sampled once per block interval while the page is
+ * open; it starts empty on every visit.
+ *
+ * @param {Object} props
+ * @param {object[]} props.transactions mempool transactions
+ * @param {object[]} [props.confirmed] recently confirmed transactions
+ * @param {Object<string, number>} [props.firstSeen] txid → first seen in the
+ *   mempool (epoch seconds), for confirmed transactions without `firstSeen`
+ * @param {number} [props.minFeeRate] mempool minimum fee (sat/vB)
+ */
+const FeeEstimator = ({
+  transactions, confirmed = NO_TRANSACTIONS, firstSeen = NO_FIRST_SEEN, minFeeRate = 0,
+}) => {
+  const { formatNumber, formatDate } = useLocale();
+  const chartColors = getChartColors(useTheme());
+  const estimate = useMemo(
+    () => estimateFees({ mempool: transactions, confirmed, firstSeen, minFeeRate }),
+    [transactions, confirmed, firstSeen, minFeeRate]
+  );
+
+  const [history, setHistory] = useState([]);
+  useEffect(() => {
+    setHistory((prev) => appendFeeSample(prev, estimate, Date.now()));
+  }, [estimate]);
+
+  const chartRef = useRef(null);
+  const chartInstance = useRef(null);
+  // Series switched off in the legend: from a shared link at first, then
+  // carried across the rebuilds that follow each new sample.
+  const { search } = useLocation();
+  const hiddenSeries = useRef(null);
+  if (hiddenSeries.current === null) hiddenSeries.current = decodeChartState(search).hidden || [];
+
+  useEffect(() => {
+    const ctx = chartRef.current?.getContext('2d');
+    if (!ctx || !history.length) return undefined;
+
+    chartInstance.current = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: history.map((sample) => formatDate(sample.time, { timeStyle: 'medium' })),
+        datasets: FEE_TARGETS.map((target, index) => ({
+          label: target.label,
+          data: history.map((sample) => sample[target.key]),
+          borderColor: TARGET_COLORS[index],
+          backgroundColor: 'transparent',
+          borderWidth: 2,
+          pointRadius: history.length > 1 ? 0 : 3,
+          stepped: true,
+        })),
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        interaction: { mode: 'index', intersect: false },
+        plugins: {
+          legend: { display: true, position: 'top', labels: { boxWidth: 12, usePointStyle: true, color: chartColors.text } },
+          tooltip: {
+            backgroundColor: chartColors.tooltip,
+            titleColor: chartColors.tooltipText,
+            bodyColor: chartColors.tooltipText,
+            callbacks: { label: (item) => `${item.dataset.label}: ${formatRate(item.parsed.y)} sat/vB` },
+          },
+        },
+        scales: {
+          y: {
+            beginAtZero: true,
+            title: { display: true, text: 'sat/vB', color: chartColors.text },
+            ticks: { color: chartColors.text },
+            grid: { color: chartColors.grid },
+          },
+          x: { grid: { display: false }, ticks: { maxRotation: 0, autoSkip: true, maxTicksLimit: 8, color: chartColors.text } },
+        },
+      },
+    });
+    applyHiddenDatasets(chartInstance.current, hiddenSeries.current);
+
+    return () => {
+      if (chartInstance.current) {
+        hiddenSeries.current = hiddenDatasetLabels(chartInstance.current);
+        chartInstance.current.destroy();
+        chartInstance.current = null;
+      }
+    };
+  }, [history, chartColors, formatDate]);
+
+  const exportRows = () => history.map((sample) => ({
+    time: new Date(sample.time).toISOString(),
+    ...Object.fromEntries(FEE_TARGETS.map((target) => [target.key, sample[target.key]])),
+  }));
+
+  const { percentiles } = estimate;
+
+  return (
+    <Card id="fee-estimates" elevation={2} sx={{ p: 2, mb: 3, scrollMarginTop: 80 }} data-testid="fee-estimator">
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: 1, mb: 1 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+          <SpeedIcon sx={{ mr: 1, color: '#0066cc' }} />
+          <Typography variant="subtitle2" color="text.secondary">
+            Fee Estimates
+          </Typography>
+        </Box>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <ExportMenu name="fee-estimates" rows={exportRows} />
+          <ChartActions
+            id="fee-estimates"
+            name="fee-estimates"
+            target={chartRef}
+            ready={history.length > 0}
+            linkState={() => ({ hidden: hiddenDatasetLabels(chartInstance.current) })}
+          />
+        </Box>
+      </Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        The fee rate to pay for each confirmation target: the rate that beats the queued mempool for that many blocks, or the rate recently confirmed transactions needed, whichever is higher.
+      </Typography>
+
+      <Grid container spacing={2} sx={{ mb: 2 }}>
+        {estimate.targets.map((target, index) => (
+          <Grid item xs={12} sm={4} key={target.key}>
+            <Box
+              data-testid="fee-target"
+              sx={{ p: 1.5, borderRadius: 1, borderLeft: `4px solid ${TARGET_COLORS[index]}`, bgcolor: 'action.hover' }}
+            >
+              <Typography variant="caption" color="text.secondary" display="block">
+                {target.label}
+              </Typography>
+              <Typography variant="h5" fontWeight="bold">
+                {formatRate(target.feeRate)} <Typography component="span" variant="body2">sat/vB</Typography>
+              </Typography>
+              <Typography variant="caption" color="text.secondary" display="block">
+                {BASIS_LABELS[target.basis]}
+              </Typography>
+            </Box>
+          </Grid>
+        ))}
+      </Grid>
+
+      {percentiles.p50 !== null && (
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mb: 1 }} data-testid="fee-percentiles">
+          <Typography variant="caption" color="text.secondary">
+            Mempool fee rates:
+          </Typography>
+          {Object.entries(percentiles).map(([key, rate]) => (
+            <Tooltip key={key} title={`${key.slice(1)}% of queued transactions pay this or less`}>
+              <Typography variant="caption">
+                <strong>{key}</strong> {formatRate(rate)} sat/vB
+              </Typography>
+            </Tooltip>
+          ))}
+        </Box>
+      )}
+      <Typography variant="caption" color="text.secondary" display="block" sx={{ mb: 2 }}>
+        {estimate.observations
+          ? `Based on ${formatNumber(transactions.length)} queued and ${formatNumber(estimate.observations)} recently confirmed transactions.`
+          : `Based on ${formatNumber(transactions.length)} queued transactions; recent confirmations count once their first-seen time is known.`}
+      </Typography>
+
+      <Box sx={{ height: 200, position: 'relative' }}>
+        <canvas ref={chartRef} style={{ width: '100%', height: '100%' }} />
+      </Box>
+    </Card>
+  );
+};
+
+export default FeeEstimator;
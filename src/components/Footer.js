@@ -8,9 +8,12 @@ import XIcon from './XIcon';
 import MonetizationOnIcon from '@mui/icons-material/MonetizationOn';
 import BarChartIcon from '@mui/icons-material/BarChart';
 import axios from 'axios';
-import config from '../config';
+import { useNetwork } from '../context/NetworkContext';
+import { useLocale } from '../context/LocaleContext';
 
 const Footer = () => {
+  const { formatNumber } = useLocale();
+  const { apiBaseUrl } = useNetwork();
   const [visitStats, setVisitStats] = useState({
     visitsLast30Days: 0,
     totalVisits: 0,
@@ -22,7 +25,7 @@ const Footer = () => {
 
     const fetchVisitStats = async () => {
       try {
-        const response = await axios.get(`${config.apiBaseUrl}/api/visitstats`);
+        const response = await axios.get(`${apiBaseUrl}/api/visitstats`);
         console.log('Fetched visit stats:', response.data);
         if (isMounted) {
           setVisitStats(response.data);
@@ -43,7 +46,7 @@ const Footer = () => {
       isMounted = false;
       clearInterval(interval);
     };
-  }, []);
+  }, [apiBaseUrl]);
 
   return (
     <Box 
@@ -99,13 +102,13 @@ const Footer = () => {
             <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
               <BarChartIcon sx={{ mr: 1 }} />
               <Typography variant="body2">
-                Pageviews Last 30 Days: {visitStats.visitsLast30Days.toLocaleString()}
+                Pageviews Last 30 Days: {formatNumber(visitStats.visitsLast30Days)}
               </Typography>
             </Box>
             <Box sx={{ display: 'flex', alignItems: 'center' }}>
               <BarChartIcon sx={{ mr: 1 }} />
               <Typography variant="body2">
-                Total Pageviews: {visitStats.totalVisits.toLocaleString()}
+                Total Pageviews: {formatNumber(visitStats.totalVisits)}
               </Typography>
             </Box>
           </Grid>
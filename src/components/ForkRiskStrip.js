@@ -0,0 +1,81 @@
+import React from 'react';
+import { Box, Typography } from '@mui/material';
+import { useLocale } from '../context/LocaleContext';
+
+// Fork-risk banner states, keyed by the latest forkAlert level. The text and
+// default reason are the forkRisk.<level> and forkRisk.<level>Reason messages.
+export const RISK_STATES = {
+  none: { color: '#2e7d32', bg: '#e8f5e9' },
+  elevated: { color: '#e65100', bg: '#fff3e0' },
+  critical: { color: '#c62828', bg: '#ffebee' },
+};
+
+/**
+ * Risk state for the latest `forkAlert` message data. No alert, or an
+ * unknown level, reads as 'none'. The server's reason is shown as sent.
+ *
+ * @param {{ level?: string, reason?: string }|null} alert
+ * @param {Function} t - Message lookup from useLocale()
+ * @returns {{ level: string, text: string, color: string, bg: string, reason: string }}
+ */
+export const resolveForkRisk = (alert, t) => {
+  const level = alert?.level && RISK_STATES[alert.level] ? alert.level : 'none';
+  return {
+    level,
+    ...RISK_STATES[level],
+    text: t(`forkRisk.${level}`),
+    reason: alert?.reason || t(`forkRisk.${level}Reason`),
+  };
+};
+
+/**
+ * ForkRiskStrip - slim status strip with a glowing dot, the risk level and
+ * its reason. Shown on ChainTipsPage and as the fork-risk embed widget.
+ *
+ * @param {Object} props - Component props
+ * @param {Object|null} props.alert - Latest forkAlert data, or null
+ * @param {Object} [props.sx] - Extra styles for the strip
+ * @returns {JSX.Element} Fork-risk strip
+ */
+const ForkRiskStrip = ({ alert, sx }) => {
+  const { t } = useLocale();
+  const risk = resolveForkRisk(alert, t);
+
+  return (
+    <Box
+      data-risk-level={risk.level}
+      sx={{
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        flexWrap: 'wrap',
+        gap: { xs: 0.5, sm: 1.5 },
+        borderRadius: '12px',
+        px: 2,
+        py: 1.5,
+        backgroundColor: risk.bg,
+        border: `1px solid ${risk.color}30`,
+        ...sx,
+      }}
+    >
+      <Box
+        sx={{
+          width: 12,
+          height: 12,
+          borderRadius: '50%',
+          bgcolor: risk.color,
+          flexShrink: 0,
+          boxShadow: `0 0 8px ${risk.color}90`,
+        }}
+      />
+      <Typography variant="h6" fontWeight="800" sx={{ color: risk.color, letterSpacing: '0.3px', lineHeight: 1.3 }}>
+        {risk.text}
+      </Typography>
+      <Typography variant="body2" sx={{ color: '#5a6b7f', textAlign: 'center' }}>
+        {risk.reason}
+      </Typography>
+    </Box>
+  );
+};
+
+export default ForkRiskStrip;
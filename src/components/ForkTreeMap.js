@@ -1,6 +1,8 @@
 import React, { useMemo, useState } from 'react';
-import { Box, Typography } from '@mui/material';
+import { Box, Typography, useTheme } from '@mui/material';
 import { useWidth } from '../utils';
+import { getChartColors } from '../utils/theme';
+import { useLocale } from '../context/LocaleContext';
 
 /**
  * ForkTreeMap — a hand-rolled, responsive, real-time SVG map of the DigiByte
@@ -23,6 +25,9 @@ import { useWidth } from '../utils';
  *   tips        – chainTips.tips array (fork tips, each with forkHeight).
  *   activeHash  – hash of the active tip (top of spine); pulses.
  *   accentColor – network accent colour for the spine.
+ *
+ * Node outlines, labels and the tooltip follow the theme's chart tokens so
+ * the map reads on light and dark backgrounds.
  */
 
 const STATUS_COLORS = {
@@ -54,16 +59,19 @@ const algoColor = (algo) => ALGO_COLORS[String(algo || '').toLowerCase()] || '#9
 
 const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
 
+// Legend chips, labelled by forkTree.* messages.
 const LEGEND_ITEMS = [
-  { label: 'Active tip', color: STATUS_COLORS.active },
-  { label: 'Valid fork', color: STATUS_COLORS['valid-fork'] },
-  { label: 'Valid headers', color: STATUS_COLORS['valid-headers'] },
-  { label: 'Headers only', color: STATUS_COLORS['headers-only'] },
-  { label: 'Invalid', color: STATUS_COLORS.invalid },
+  { labelKey: 'forkTree.activeTip', color: STATUS_COLORS.active },
+  { labelKey: 'forkTree.validFork', color: STATUS_COLORS['valid-fork'] },
+  { labelKey: 'forkTree.validHeaders', color: STATUS_COLORS['valid-headers'] },
+  { labelKey: 'forkTree.headersOnly', color: STATUS_COLORS['headers-only'] },
+  { labelKey: 'forkTree.invalid', color: STATUS_COLORS.invalid },
 ];
 
 function ForkTreeMap({ blocks = [], tips = [], activeHash = null, accentColor = '#002352' }) {
+  const { t } = useLocale();
   const width = useWidth();
+  const chartColors = getChartColors(useTheme());
   const [hovered, setHovered] = useState(null);
 
   const isMobile = width < 600;
@@ -215,8 +223,8 @@ function ForkTreeMap({ blocks = [], tips = [], activeHash = null, accentColor =
       `}</style>
 
       {!hasData ? (
-        <Box sx={{ py: 3, textAlign: 'center', color: '#90a4ae' }}>
-          <Typography variant="body2">Waiting for live chain data…</Typography>
+        <Box sx={{ py: 3, textAlign: 'center', color: 'text.disabled' }}>
+          <Typography variant="body2">{t('forkTree.waiting')}</Typography>
         </Box>
       ) : (
         <>
@@ -228,7 +236,7 @@ function ForkTreeMap({ blocks = [], tips = [], activeHash = null, accentColor =
               preserveAspectRatio="xMidYMin meet"
               style={{ display: 'block', maxWidth: Math.max(vbW, 150), margin: '0 auto' }}
               role="img"
-              aria-label="Live chain tips and fork branches map"
+              aria-label={t('forkTree.mapLabel')}
             >
               <defs>
                 <linearGradient id="ftm-spine" x1="0" y1="0" x2="0" y2="1">
@@ -275,7 +283,7 @@ function ForkTreeMap({ blocks = [], tips = [], activeHash = null, accentColor =
                     />
                   )}
                   {/* fork-point marker on the spine */}
-                  <circle cx={branch.forkPoint.x} cy={branch.forkPoint.y} r={3.2} fill="#ffffff" stroke={branch.color} strokeWidth={2} />
+                  <circle cx={branch.forkPoint.x} cy={branch.forkPoint.y} r={3.2} fill={chartColors.stroke} stroke={branch.color} strokeWidth={2} />
                   {branch.nodes.map((node, j) => (
                     <circle
                       key={`bn-${i}-${j}`}
@@ -286,7 +294,7 @@ function ForkTreeMap({ blocks = [], tips = [], activeHash = null, accentColor =
                       cy={node.y}
                       r={node.isTip ? nodeR : nodeR - 2}
                       fill={branch.color}
-                      stroke="#ffffff"
+                      stroke={chartColors.stroke}
                       strokeWidth={1.5}
                       style={{ cursor: 'pointer' }}
                       onMouseOver={() => showBranchTooltip(branch, node)}
@@ -334,7 +342,7 @@ function ForkTreeMap({ blocks = [], tips = [], activeHash = null, accentColor =
                     cy={node.y}
                     r={nodeR + 1}
                     fill={node.active ? STATUS_COLORS.active : accentColor}
-                    stroke="#ffffff"
+                    stroke={chartColors.stroke}
                     strokeWidth={1.5}
                   />
                   <circle cx={node.x} cy={node.y} r={2.5} fill={algoColor(node.block.algo)} />
@@ -343,7 +351,7 @@ function ForkTreeMap({ blocks = [], tips = [], activeHash = null, accentColor =
                       x={node.x - nodeR - 8}
                       y={node.y + 3}
                       fontSize="9"
-                      fill="#607d8b"
+                      fill={chartColors.text}
                       fontFamily="monospace"
                       textAnchor="end"
                     >
@@ -362,8 +370,8 @@ function ForkTreeMap({ blocks = [], tips = [], activeHash = null, accentColor =
                 position: 'absolute',
                 top: 6,
                 left: 6,
-                bgcolor: 'rgba(0,0,0,0.82)',
-                color: '#fff',
+                bgcolor: chartColors.tooltip,
+                color: chartColors.tooltipText,
                 px: 1.25,
                 py: 0.75,
                 borderRadius: 1,
@@ -374,11 +382,11 @@ function ForkTreeMap({ blocks = [], tips = [], activeHash = null, accentColor =
                 zIndex: 2,
               }}
             >
-              <Box sx={{ fontWeight: 'bold' }}>Height {hovered.height}</Box>
+              <Box sx={{ fontWeight: 'bold' }}>{t('forkTree.height', { height: hovered.height })}</Box>
               <Box sx={{ fontFamily: 'monospace' }}>{shortHash(hovered.hash)}</Box>
-              <Box>Status: {hovered.status}</Box>
-              {hovered.algo && <Box>Algo: {hovered.algo}</Box>}
-              {hovered.pool && <Box>Pool: {hovered.pool}</Box>}
+              <Box>{t('forkTree.status', { status: hovered.status })}</Box>
+              {hovered.algo && <Box>{t('forkTree.algo', { algo: hovered.algo })}</Box>}
+              {hovered.pool && <Box>{t('forkTree.pool', { pool: hovered.pool })}</Box>}
             </Box>
           )}
         </>
@@ -390,9 +398,11 @@ function ForkTreeMap({ blocks = [], tips = [], activeHash = null, accentColor =
           data-testid="fork-older-note"
           variant="caption"
           component="p"
-          sx={{ textAlign: 'center', color: '#90a4ae', mt: 0.5 }}
+          sx={{ textAlign: 'center', color: 'text.disabled', mt: 0.5 }}
         >
-          + {olderTips.length} older stale tip{olderTips.length > 1 ? 's' : ''} beyond this window — see the orphan table below
+          {olderTips.length > 1
+            ? t('forkTree.olderTips', { count: olderTips.length })
+            : t('forkTree.olderTipOne')}
         </Typography>
       )}
 
@@ -403,7 +413,7 @@ function ForkTreeMap({ blocks = [], tips = [], activeHash = null, accentColor =
       >
         {LEGEND_ITEMS.map((item) => (
           <Box
-            key={item.label}
+            key={item.labelKey}
             sx={{
               display: 'flex',
               alignItems: 'center',
@@ -416,8 +426,8 @@ function ForkTreeMap({ blocks = [], tips = [], activeHash = null, accentColor =
             }}
           >
             <Box sx={{ width: 8, height: 8, borderRadius: '50%', bgcolor: item.color, flexShrink: 0 }} />
-            <Typography variant="caption" sx={{ color: '#4a5a6d', fontWeight: 600, fontSize: '0.68rem' }}>
-              {item.label}
+            <Typography variant="caption" sx={{ color: 'text.secondary', fontWeight: 600, fontSize: '0.68rem' }}>
+              {t(item.labelKey)}
             </Typography>
           </Box>
         ))}
@@ -0,0 +1,186 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Autocomplete, Box, InputAdornment, TextField, Tooltip, Typography,
+} from '@mui/material';
+import SearchIcon from '@mui/icons-material/Search';
+import HistoryIcon from '@mui/icons-material/History';
+import { useNavigate } from 'react-router-dom';
+import { useNetwork } from '../context/NetworkContext';
+import {
+  classifyQuery, loadSearchHistory, saveSearchHistory, shortHash,
+} from '../utils/search';
+
+/**
+ * GlobalSearch — Header search box for heights, block hashes, txids,
+ * addresses, oracles and pools.
+ *
+ * Typing lists the matches from `classifyQuery`; Enter takes the first one.
+ * A 64-hex hash is looked up with `/api/getblock/:hash` and opens the block
+ * page when the node knows it, the transaction page otherwise. Targets are
+ * prefixed for the current network, and each resolved search is kept in the
+ * per-network recent-search history shown while the box is empty.
+ */
+
+const KIND_LABELS = {
+  height: 'Block',
+  hash: 'Block / Tx',
+  address: 'Address',
+  oracle: 'Oracle',
+  pool: 'Pool',
+  recent: 'Recent',
+};
+
+const NO_MATCH = 'No block, transaction, address, oracle or pool matches';
+
+const GlobalSearch = ({ fullWidth = false }) => {
+  const navigate = useNavigate();
+  const { name: network, getApiUrl, getNetworkPath, wsClient } = useNetwork();
+  const [input, setInput] = useState('');
+  const [history, setHistory] = useState(() => loadSearchHistory(network));
+  const [noMatch, setNoMatch] = useState(false);
+
+  useEffect(() => {
+    setHistory(loadSearchHistory(network));
+  }, [network]);
+
+  // Pool names come from the cached recent-blocks snapshot of the live feed.
+  const classify = (text) => {
+    const blocks = wsClient?.getLastMessage('recentBlocks')?.data;
+    const poolNames = (Array.isArray(blocks) ? blocks : [])
+      .map((block) => (block.poolIdentifier || '').trim())
+      .filter((name) => name && name.toLowerCase() !== 'unknown');
+    return classifyQuery(text, { poolNames });
+  };
+
+  const options = input.trim()
+    ? classify(input)
+    : history.map((entry) => ({ ...entry, kind: 'recent' }));
+
+  const resolveTarget = async (candidate) => {
+    switch (candidate.kind) {
+      case 'height':
+        return { label: candidate.label, path: getNetworkPath(`/block/${candidate.value}`) };
+      case 'hash': {
+        let isBlock = false;
+        try {
+          const response = await fetch(getApiUrl(`/getblock/${candidate.value}`));
+          isBlock = response.ok;
+        } catch (error) {
+          // Unreachable API: let the transaction page report it.
+        }
+        return isBlock
+          ? { label: `Block ${shortHash(candidate.value)}`, path: getNetworkPath(`/block/${candidate.value}`) }
+          : { label: `Transaction ${shortHash(candidate.value)}`, path: getNetworkPath(`/tx/${candidate.value}`) };
+      }
+      case 'address':
+        // The address decides the network, whichever one we are on.
+        return {
+          label: candidate.label,
+          path: `${candidate.network === 'testnet' ? '/testnet' : ''}/address/${candidate.value}`,
+        };
+      case 'oracle':
+        return { label: candidate.label, path: getNetworkPath(`/oracles#oracle-${candidate.value}`) };
+      case 'pool':
+        return { label: candidate.label, path: getNetworkPath(`/pool-upgrades?pool=${encodeURIComponent(candidate.value)}`) };
+      default:
+        return null;
+    }
+  };
+
+  const go = async (option) => {
+    setNoMatch(false);
+    const target = option.kind === 'recent' ? option : await resolveTarget(option);
+    if (!target) return;
+    setHistory(saveSearchHistory({
+      label: target.label,
+      network,
+      ...(target.href ? { href: target.href } : { path: target.path }),
+    }));
+    setInput('');
+    if (target.href) {
+      window.open(target.href, '_blank', 'noopener,noreferrer');
+    } else {
+      navigate(target.path);
+    }
+  };
+
+  const handleChange = (event, value) => {
+    if (!value) return;
+    if (typeof value !== 'string') {
+      go(value);
+      return;
+    }
+    const [first] = classify(value);
+    if (first) {
+      go(first);
+    } else {
+      setNoMatch(true);
+    }
+  };
+
+  return (
+    <Autocomplete
+      freeSolo
+      autoHighlight
+      value={null}
+      inputValue={input}
+      onInputChange={(event, value) => {
+        setInput(value);
+        setNoMatch(false);
+      }}
+      onChange={handleChange}
+      options={options}
+      filterOptions={(x) => x}
+      getOptionLabel={(option) => (typeof option === 'string' ? option : option.label)}
+      groupBy={(option) => (option.kind === 'recent' ? 'Recent searches' : 'Matches')}
+      renderOption={(props, option) => (
+        <Box
+          component="li"
+          {...props}
+          key={`${option.kind}-${option.path || option.href || option.value}`}
+          sx={{ display: 'flex', alignItems: 'center', gap: 1 }}
+        >
+          {option.kind === 'recent' && <HistoryIcon fontSize="small" sx={{ color: 'text.secondary' }} />}
+          <Typography variant="body2" sx={{ flexGrow: 1, overflowWrap: 'anywhere' }}>{option.label}</Typography>
+          <Typography variant="caption" color="text.secondary">{KIND_LABELS[option.kind]}</Typography>
+        </Box>
+      )}
+      sx={{ width: fullWidth ? '100%' : 340 }}
+      renderInput={(params) => (
+        <Tooltip open={noMatch} title={NO_MATCH} arrow>
+          <TextField
+            {...params}
+            size="small"
+            placeholder="Height, hash, address, oracle or pool"
+            error={noMatch}
+            inputProps={{
+              ...params.inputProps,
+              'aria-label': 'Search blocks, transactions, addresses, oracles and pools',
+            }}
+            InputProps={{
+              ...params.InputProps,
+              startAdornment: (
+                <InputAdornment position="start">
+                  <SearchIcon sx={{ color: 'rgba(255, 255, 255, 0.8)', fontSize: 18 }} />
+                </InputAdornment>
+              ),
+            }}
+            sx={{
+              '& .MuiOutlinedInput-root': {
+                color: 'white',
+                fontSize: '0.85rem',
+                bgcolor: 'rgba(255, 255, 255, 0.12)',
+                borderRadius: '8px',
+                '& fieldset': { borderColor: 'rgba(255, 255, 255, 0.24)' },
+                '&:hover fieldset': { borderColor: 'rgba(255, 255, 255, 0.5)' },
+              },
+              '& input::placeholder': { color: 'rgba(255, 255, 255, 0.7)', opacity: 1 },
+            }}
+          />
+        </Tooltip>
+      )}
+    />
+  );
+};
+
+export default GlobalSearch;
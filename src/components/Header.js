@@ -1,17 +1,26 @@
 import React, { useState } from 'react';
 import {
   AppBar, Toolbar, Typography, Box, IconButton,
-  Button, Container, Drawer, List, ListItem, ListItemText, Chip, Divider
+  Button, Container, Drawer, List, ListItem, ListItemText, ListSubheader, Chip, Divider
 } from '@mui/material';
 import MenuIcon from '@mui/icons-material/Menu';
 import GitHubIcon from '@mui/icons-material/GitHub';
 import OpenInNewIcon from '@mui/icons-material/OpenInNew';
 import { Link as RouterLink } from 'react-router-dom';
 import { useNetwork } from '../context/NetworkContext';
+import ConnectionStatusChip from './ConnectionStatusChip';
+import GlobalSearch from './GlobalSearch';
+import ColorModeToggle from './ColorModeToggle';
+import LanguageSelector from './LanguageSelector';
+import AlertCenter from './AlertCenter';
+import { useLocale } from '../context/LocaleContext';
+import { navGroupsFor } from '../routes';
+import { prefetchPage } from '../lazyPages';
 
 const Header = () => {
   const [mobileOpen, setMobileOpen] = useState(false);
   const network = useNetwork();
+  const { t } = useLocale();
   const isTestnet = network?.isTestnet || false;
   const networkTheme = network?.theme || { gradient: 'linear-gradient(135deg, #002352 0%, #0066cc 100%)' };
   const basePath = network?.basePath || '';
@@ -27,41 +36,12 @@ const Header = () => {
     setMobileOpen(!mobileOpen);
   };
 
-  // Primary navigation items (internal site links)
-  const primaryMenuItems = isTestnet ? [
-    { text: 'Home', path: withBase('/') },
-    { text: 'Blocks', path: withBase('/blocks') },
-    { text: 'Tips', path: withBase('/tips') },
-    { text: 'Txs', path: withBase('/txs') },
-    { text: 'Supply', path: withBase('/supply') },
-    { text: 'Algos', path: withBase('/algos') },
-    { text: 'Difficulties', path: withBase('/difficulties') },
-    { text: 'Hashrate', path: withBase('/hashrate') },
-    { text: 'Nodes', path: withBase('/nodes') },
-    { text: 'Upgrades', path: withBase('/pool-upgrades') },
-    { text: 'Activation', path: withBase('/activation') },
-    { text: 'Oracles', path: withBase('/oracles') },
-    { text: 'DD Stats', path: withBase('/ddstats') },
-    { text: 'DigiDollar', path: withBase('/digidollar') },
-  ] : [
-    { text: 'Home', path: '/' },
-    { text: 'Blocks', path: '/blocks' },
-    { text: 'Tips', path: '/tips' },
-    { text: 'Txs', path: '/txs' },
-    { text: 'Supply', path: '/supply' },
-    { text: 'Algos', path: '/algos' },
-    { text: 'Difficulties', path: '/difficulties' },
-    { text: 'Hashrate', path: '/hashrate' },
-    { text: 'Pools', path: '/pools' },
-    { text: 'Upgrades', path: '/pool-upgrades' },
-    { text: 'Nodes', path: '/nodes' },
-    { text: 'Downloads', path: '/downloads' },
-    { text: 'Roadmap', path: '/roadmap' },
-    { text: 'DigiDollar', path: '/digidollar' },
-    { text: 'Activation', path: '/activation' },
-    { text: 'Oracles', path: '/oracles' },
-    { text: 'DD Stats', path: '/ddstats' },
-  ];
+  // Primary navigation, generated from the route registry (src/routes.js)
+  const navGroups = navGroupsFor(isTestnet ? 'testnet' : 'mainnet').map((group) => ({
+    ...group,
+    items: group.routes.map((route) => ({ text: t(route.label), path: withBase(route.path), page: route.page })),
+  }));
+  const primaryMenuItems = navGroups.flatMap((group) => group.items);
 
   // External links
   const externalLinks = [
@@ -108,27 +88,35 @@ const Header = () => {
         )}
       </Box>
 
-      {/* Primary navigation */}
-      <List>
-        {primaryMenuItems.map((item) => (
-          <ListItem
-            button
-            component={RouterLink}
-            to={item.path}
-            key={item.text}
-            sx={{
-              '&:hover': { bgcolor: '#e3f2fd' }
-            }}
-          >
-            <ListItemText primary={item.text} />
-          </ListItem>
-        ))}
-      </List>
+      {/* Primary navigation, one section per nav group */}
+      {navGroups.map((group) => (
+        <List
+          key={group.id}
+          dense
+          subheader={<ListSubheader disableSticky>{t(group.label)}</ListSubheader>}
+        >
+          {group.items.map((item) => (
+            <ListItem
+              button
+              component={RouterLink}
+              to={item.path}
+              key={item.path}
+              onMouseEnter={() => prefetchPage(item.page)}
+              onFocus={() => prefetchPage(item.page)}
+              sx={{
+                '&:hover': { bgcolor: '#e3f2fd' }
+              }}
+            >
+              <ListItemText primary={item.text} />
+            </ListItem>
+          ))}
+        </List>
+      ))}
 
       {/* External links section */}
       <Divider />
       <Typography variant="caption" sx={{ display: 'block', mt: 2, mb: 1, color: 'text.secondary' }}>
-        External Resources
+        {t('header.externalResources')}
       </Typography>
       <List>
         {externalLinks.map((item) => (
@@ -160,8 +148,8 @@ const Header = () => {
       <Divider />
       <List>
         {[
-          { text: 'Mainnet', path: '/', active: network?.isMainnet },
-          { text: 'Testnet', path: '/testnet', active: isTestnet }
+          { text: t('header.mainnet'), path: '/', active: network?.isMainnet },
+          { text: t('header.testnet'), path: '/testnet', active: isTestnet }
         ].map((item) => (
           <ListItem
             button
@@ -251,9 +239,11 @@ const Header = () => {
             >
               {primaryMenuItems.map((item) => (
                 <Button
-                  key={item.text}
+                  key={item.path}
                   component={RouterLink}
                   to={item.path}
+                  onMouseEnter={() => prefetchPage(item.page)}
+                  onFocus={() => prefetchPage(item.page)}
                   size="small"
                   sx={{
                     color: 'white',
@@ -275,7 +265,11 @@ const Header = () => {
             </Box>
 
             {/* Mobile menu button */}
-            <Box sx={{ display: { xs: 'flex', lg: 'none' }, ml: 'auto' }}>
+            <Box sx={{ display: { xs: 'flex', lg: 'none' }, alignItems: 'center', ml: 'auto' }}>
+              <ConnectionStatusChip compact />
+              <AlertCenter />
+              <LanguageSelector />
+              <ColorModeToggle />
               <IconButton
                 size="large"
                 color="inherit"
@@ -293,6 +287,11 @@ const Header = () => {
               </Drawer>
             </Box>
           </Toolbar>
+
+          {/* Mobile search */}
+          <Box sx={{ display: { xs: 'block', lg: 'none' }, pb: 1.5 }}>
+            <GlobalSearch fullWidth />
+          </Box>
         </Container>
       </AppBar>
 
@@ -312,6 +311,12 @@ const Header = () => {
               py: 0.75
             }}
           >
+              {/* Live feed status + search */}
+              <Box sx={{ mr: 'auto', display: 'flex', alignItems: 'center', gap: 2 }}>
+                <ConnectionStatusChip />
+                <GlobalSearch />
+              </Box>
+
               {externalLinks.map((item) => (
                 <Button
                   key={item.text}
@@ -343,8 +348,8 @@ const Header = () => {
 
               {/* Network switch */}
               {[
-                { text: 'Mainnet', path: '/', active: network?.isMainnet, color: '#0066cc' },
-                { text: 'Testnet', path: '/testnet', active: isTestnet, color: '#4caf50' }
+                { text: t('header.mainnet'), path: '/', active: network?.isMainnet, color: '#0066cc' },
+                { text: t('header.testnet'), path: '/testnet', active: isTestnet, color: '#4caf50' }
               ].map((item) => (
                 <Button
                   key={item.text}
@@ -369,6 +374,12 @@ const Header = () => {
                   {item.text}
                 </Button>
               ))}
+
+              <Box sx={{ ml: 1, display: 'flex', alignItems: 'center' }}>
+                <AlertCenter />
+                <LanguageSelector />
+                <ColorModeToggle />
+              </Box>
           </Box>
         </Container>
       </Box>
@@ -5,6 +5,13 @@ import {
   Box, Card, CardContent, Typography, Divider, CircularProgress,
   ToggleButtonGroup, ToggleButton, Slider, useTheme, useMediaQuery,
 } from '@mui/material';
+import { useLocation } from 'react-router-dom';
+import { getChartColors } from '../utils/theme';
+import { decodeChartState, parseZoom, formatZoom } from '../utils/chartLink';
+import { enumParam } from '../utils/queryParams';
+import { useQueryParams } from '../hooks/useQueryParams';
+import ExportMenu from './ExportMenu';
+import ChartActions from './ChartActions';
 
 Chart.register(...registerables);
 
@@ -27,6 +34,13 @@ export const DEFAULT_RANGE_KEY = '30d';
 // Long ranges get a brush slider to zoom into a sub-period.
 export const ZOOMABLE_RANGES = ['1y', '3y', '5y', 'all'];
 
+// Range and zoom window live in the query string (?range=&zoom=), so a reload
+// keeps the view and back / forward step through range and zoom changes.
+const HISTORY_QUERY = {
+  range: enumParam(HISTORY_RANGES.map((r) => r.key), DEFAULT_RANGE_KEY),
+  zoom: { defaultValue: null, parse: parseZoom, serialize: formatZoom },
+};
+
 /**
  * Entries + granularity to plot for a range key. Pure/testable.
  * @returns {{ entries: Array, granularity: 'daily'|'hourly' }}
@@ -52,6 +66,16 @@ export const applyZoom = (entries = [], zoom) => {
   return entries.slice(lo, hi + 1);
 };
 
+/**
+ * Fit a zoom window (e.g. from the URL) to `length` entries; null when it
+ * would span fewer than three. Pure/testable.
+ */
+export const clampZoom = (zoom, length) => {
+  if (!zoom || length < 3) return null;
+  const hi = Math.min(zoom[1], length - 1);
+  return hi - zoom[0] >= 2 ? [zoom[0], hi] : null;
+};
+
 const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 
 /** Short axis label for a bucket. Daily → 'Jun 8'; hourly → local hour like '2p'. Pure/testable. */
@@ -200,14 +224,17 @@ export const toggleHidden = (hidden, algo, windowAlgos = []) => {
   return next;
 };
 
-/** Faint plot-surface tint so thin light-colored lines keep contrast (dataviz). */
+/**
+ * Faint plot-surface tint so thin light-colored lines keep contrast (dataviz).
+ * Tint comes from options.plugins.historySurface.color (theme chart.surface).
+ */
 const surfacePlugin = {
   id: 'historySurface',
   beforeDraw: (chart) => {
     const { ctx, chartArea } = chart;
     if (!chartArea) return;
     ctx.save();
-    ctx.fillStyle = '#f7f8fb';
+    ctx.fillStyle = chart.options.plugins.historySurface?.color || '#f7f8fb';
     ctx.fillRect(chartArea.left, chartArea.top, chartArea.right - chartArea.left, chartArea.bottom - chartArea.top);
     ctx.restore();
   },
@@ -217,7 +244,8 @@ const surfacePlugin = {
 const endLabelPlugin = {
   id: 'historyEndLabels',
   afterDatasetsDraw: (chart) => {
-    if (!chart.options.plugins.historyEndLabels?.show) return;
+    const opts = chart.options.plugins.historyEndLabels;
+    if (!opts?.show) return;
     const { ctx } = chart;
     ctx.save();
     ctx.font = '600 11px Roboto, Helvetica, Arial, sans-serif';
@@ -234,9 +262,9 @@ const endLabelPlugin = {
       ctx.fillStyle = ds.borderColor;
       ctx.fill();
       ctx.lineWidth = 3;
-      ctx.strokeStyle = 'rgba(255,255,255,0.85)';
+      ctx.strokeStyle = opts.halo || 'rgba(255,255,255,0.85)';
       ctx.strokeText(ds.label, last.x + 9, last.y);
-      ctx.fillStyle = '#333';
+      ctx.fillStyle = opts.color || '#333';
       ctx.fillText(ds.label, last.x + 9, last.y);
     });
     ctx.restore();
@@ -248,7 +276,8 @@ const endLabelPlugin = {
  * options.plugins.eraDividers.boundaries = [{ time:<ms>, name }]. Draws a dashed
  * vertical line at each boundary that lands inside the plot, then labels it near
  * the BOTTOM of the chart. Labels are stacked into lanes (greedy) so tightly
- * clustered eras (2014–2015) never overlap.
+ * clustered eras (2014–2015) never overlap. Label backdrops use
+ * options.plugins.eraDividers.labelBackground (theme chart.stroke).
  */
 const eraDividerPlugin = {
   id: 'eraDividers',
@@ -294,7 +323,7 @@ const eraDividerPlugin = {
       laneRightEdge[lane] = lx + tw;
       const ly = chartArea.bottom - 4 - lane * 14;
 
-      ctx.fillStyle = 'rgba(255,255,255,0.88)';
+      ctx.fillStyle = cfg.labelBackground || 'rgba(255,255,255,0.88)';
       ctx.fillRect(lx - 3, ly - 12, tw + 6, 14);
       ctx.fillStyle = ERA_COLORS[b.key] || '#2b2b33';
       ctx.fillText(b.name, lx, ly);
@@ -311,8 +340,8 @@ const eraDividerPlugin = {
 const EraLegend = React.memo(({ eras }) => {
   if (!eras || !eras.length) return null;
   return (
-    <Box sx={{ mt: 2, pt: 1.5, borderTop: '1px solid #eee' }}>
-      <Typography variant="caption" sx={{ display: 'block', color: '#555', fontWeight: 700, mb: 1 }}>
+    <Box sx={{ mt: 2, pt: 1.5, borderTop: '1px solid', borderColor: 'divider' }}>
+      <Typography variant="caption" sx={{ display: 'block', color: 'text.secondary', fontWeight: 700, mb: 1 }}>
         DigiByte mining eras in view
       </Typography>
       <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
@@ -320,17 +349,17 @@ const EraLegend = React.memo(({ eras }) => {
           <Box
             key={e.key}
             sx={{
-              flex: '1 1 240px', minWidth: 200, border: '1px solid #eee',
+              flex: '1 1 240px', minWidth: 200, border: '1px solid', borderColor: 'divider',
               borderLeft: `3px solid ${ERA_COLORS[e.key] || '#888'}`,
-              borderRadius: '8px', p: 1.25, bgcolor: '#fafbfd',
+              borderRadius: '8px', p: 1.25, bgcolor: 'background.subtle',
             }}
           >
             <Box sx={{ display: 'flex', alignItems: 'baseline', flexWrap: 'wrap', gap: 0.75, mb: 0.25 }}>
-              <Typography variant="body2" sx={{ fontWeight: 700, color: '#222' }}>{e.name}</Typography>
-              <Typography variant="caption" sx={{ color: '#888' }}>{eraSpanLabel(e)}</Typography>
+              <Typography variant="body2" sx={{ fontWeight: 700, color: 'text.primary' }}>{e.name}</Typography>
+              <Typography variant="caption" sx={{ color: 'text.secondary' }}>{eraSpanLabel(e)}</Typography>
             </Box>
-            <Typography variant="caption" sx={{ display: 'block', color: '#666', lineHeight: 1.35 }}>{e.note}</Typography>
-            <Typography variant="caption" sx={{ display: 'block', color: '#9098a6', mt: 0.5, fontWeight: 600 }}>
+            <Typography variant="caption" sx={{ display: 'block', color: 'text.secondary', lineHeight: 1.35 }}>{e.note}</Typography>
+            <Typography variant="caption" sx={{ display: 'block', color: 'text.disabled', mt: 0.5, fontWeight: 600 }}>
               {e.algos.join(' · ')}
             </Typography>
           </Box>
@@ -351,7 +380,7 @@ const AlgoFilter = React.memo(({ algos, hidden, colors, onToggle, onReset, showR
   if (!algos || algos.length <= 1) return null; // nothing to compare
   return (
     <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 0.75, mb: 1.5 }}>
-      <Typography variant="caption" sx={{ color: '#888', fontWeight: 700, mr: 0.25 }}>Show:</Typography>
+      <Typography variant="caption" sx={{ color: 'text.secondary', fontWeight: 700, mr: 0.25 }}>Show:</Typography>
       {algos.map((a) => {
         const off = hidden.has(a);
         const color = colors[a] || '#0066cc';
@@ -368,16 +397,16 @@ const AlgoFilter = React.memo(({ algos, hidden, colors, onToggle, onReset, showR
               display: 'inline-flex', alignItems: 'center', gap: 0.75, px: 1, py: 0.4,
               borderRadius: '16px', cursor: 'pointer', userSelect: 'none', minHeight: 30,
               border: '1px solid', transition: 'all .15s',
-              borderColor: off ? '#e0e0e0' : `${color}66`,
-              bgcolor: off ? '#f6f6f6' : `${color}14`,
+              borderColor: off ? 'divider' : `${color}66`,
+              bgcolor: off ? 'action.hover' : `${color}14`,
               opacity: off ? 0.65 : 1,
-              '&:hover': { borderColor: off ? '#c8c8c8' : color },
+              '&:hover': { borderColor: off ? 'text.disabled' : color },
             }}
           >
-            <Box sx={{ width: 10, height: 10, borderRadius: '50%', bgcolor: off ? '#bbb' : color, flexShrink: 0 }} />
+            <Box sx={{ width: 10, height: 10, borderRadius: '50%', bgcolor: off ? 'action.disabled' : color, flexShrink: 0 }} />
             <Typography
               variant="caption"
-              sx={{ fontWeight: 700, color: off ? '#999' : '#333', textDecoration: off ? 'line-through' : 'none' }}
+              sx={{ fontWeight: 700, color: off ? 'text.disabled' : 'text.primary', textDecoration: off ? 'line-through' : 'none' }}
             >
               {a}
             </Typography>
@@ -391,7 +420,7 @@ const AlgoFilter = React.memo(({ algos, hidden, colors, onToggle, onReset, showR
           tabIndex={0}
           onClick={onReset}
           onKeyDown={(e) => { if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); onReset(); } }}
-          sx={{ color: '#0066cc', cursor: 'pointer', fontWeight: 700, ml: 0.5, '&:hover': { textDecoration: 'underline' } }}
+          sx={{ color: 'secondary.main', cursor: 'pointer', fontWeight: 700, ml: 0.5, '&:hover': { textDecoration: 'underline' } }}
         >
           Reset
         </Typography>
@@ -411,23 +440,36 @@ AlgoFilter.displayName = 'AlgoFilter';
  *
  * Ranges: Daily / 7D / 30D / 3M / 6M / 1Y / 3Y (default 30D). On 1Y & 3Y a brush
  * slider under the chart zooms into a sub-period.
+ *
+ * The Export menu downloads exactly the entries in view — the current range
+ * after any zoom — as the history API returned them. Share saves the chart as
+ * PNG / SVG or copies a link carrying the range, zoom window and hidden algos
+ * (`?range=&zoom=&hide=`, utils/chartLink.js). Range and zoom are read from
+ * and written to the URL as they change (useQueryParams); hidden algos are
+ * read from it once, when the chart opens. `exportName` names the files and
+ * is the card's id (the link's fragment).
  */
 const HistoryChart = ({
   mode = 'lines-log', daily = [], hourly = [], algos = [], colors = {}, getValue,
   valueFormat = (n) => `${n}`, title, subtitle, yLabel,
   loading = false, error = null, height = 380, accentColor = '#002352',
-  defaultHidden = [],
+  defaultHidden = [], exportName = 'history',
 }) => {
   const theme = useTheme();
+  const chartColors = getChartColors(theme);
   const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
   const canvasRef = useRef(null);
   const chartRef = useRef(null);
-  const [rangeKey, setRangeKey] = useState(DEFAULT_RANGE_KEY);
-  const [zoom, setZoom] = useState(null);
-  // Algos toggled off on line charts. Starts from defaultHidden (e.g. the retired
-  // Myriad-Groestl, whose near-zero recent difficulty would otherwise squash the
-  // log axis) — always one tap away via its chip.
-  const [hidden, setHidden] = useState(() => new Set(defaultHidden));
+  const [query, setQuery] = useQueryParams(HISTORY_QUERY);
+  const rangeKey = query.range;
+  // While a slider handle is dragged the window follows it here; the URL is
+  // written once the drag ends.
+  const [dragZoom, setDragZoom] = useState(null);
+  // Algos toggled off on line charts. Starts from a shared link's ?hide=, else
+  // defaultHidden (e.g. the retired Myriad-Groestl, whose near-zero recent
+  // difficulty would otherwise squash the log axis) — always one tap away via its chip.
+  const { search } = useLocation();
+  const [hidden, setHidden] = useState(() => new Set(decodeChartState(search).hidden || defaultHidden));
 
   const stacked = mode === 'stacked-100';
   const zoomable = ZOOMABLE_RANGES.includes(rangeKey);
@@ -437,8 +479,21 @@ const HistoryChart = ({
     () => resolveView(daily, hourly, rangeKey), [daily, hourly, rangeKey],
   );
 
-  // Reset the zoom window whenever the range or the data length changes.
-  useEffect(() => { setZoom(null); }, [rangeKey, fullEntries.length]);
+  // The URL's zoom indexes into data that may not have loaded yet; until it
+  // has there is no window.
+  const zoom = useMemo(
+    () => (zoomable ? clampZoom(dragZoom || query.zoom, fullEntries.length) : null),
+    [zoomable, dragZoom, query.zoom, fullEntries.length],
+  );
+
+  const changeRange = (key) => key && setQuery({ range: key, zoom: null });
+  const commitZoom = (value) => {
+    const next = Array.isArray(value) && value[1] - value[0] >= 2 ? value : dragZoom;
+    setDragZoom(null);
+    if (!next) return;
+    // The whole range is no zoom at all.
+    setQuery({ zoom: next[0] === 0 && next[1] === fullEntries.length - 1 ? null : next });
+  };
 
   const entries = useMemo(
     () => (zoomable ? applyZoom(fullEntries, zoom) : fullEntries), [fullEntries, zoom, zoomable],
@@ -503,7 +558,7 @@ const HistoryChart = ({
           _share: share,
           _raw: raw,
           backgroundColor: `${color}D9`,
-          borderColor: '#ffffff',
+          borderColor: chartColors.stroke,
           borderWidth: 1,
           fill: idx === 0 ? 'origin' : '-1',
           pointRadius: 0,
@@ -525,7 +580,7 @@ const HistoryChart = ({
         pointRadius: 0,
         pointHoverRadius: 5,
         pointHoverBackgroundColor: color,
-        pointHoverBorderColor: '#fff',
+        pointHoverBorderColor: chartColors.stroke,
         cubicInterpolationMode: 'monotone',
         spanGaps: true,
       };
@@ -542,8 +597,10 @@ const HistoryChart = ({
         layout: { padding: { right: !stacked && !isMobile ? 64 : 8, top: 4 } },
         interaction: { mode: 'index', intersect: false },
         plugins: {
-          historyEndLabels: { show: !stacked && !isMobile },
+          historySurface: { color: chartColors.surface },
+          historyEndLabels: { show: !stacked && !isMobile, color: chartColors.text, halo: chartColors.stroke },
           eraDividers: {
+            labelBackground: chartColors.stroke,
             boundaries: eraBoundaries.map((b) => ({
               key: b.key, name: b.name, time: Date.parse(`${b.start}T00:00:00Z`),
             })),
@@ -551,11 +608,11 @@ const HistoryChart = ({
           legend: {
             // On line charts the AlgoFilter chip row is the (interactive) legend.
             display: !filterable, position: 'top',
-            labels: { usePointStyle: true, boxWidth: 8, padding: 14, color: '#333', font: { size: 12, weight: '600' } },
+            labels: { usePointStyle: true, boxWidth: 8, padding: 14, color: chartColors.text, font: { size: 12, weight: '600' } },
           },
           tooltip: {
-            backgroundColor: 'rgba(255,255,255,0.97)', titleColor: '#111', bodyColor: '#333',
-            borderColor: '#ddd', borderWidth: 1, padding: 10, usePointStyle: true,
+            backgroundColor: chartColors.tooltip, titleColor: chartColors.tooltipText, bodyColor: chartColors.tooltipText,
+            borderColor: chartColors.grid, borderWidth: 1, padding: 10, usePointStyle: true,
             callbacks: {
               title: (items) => {
                 const e = entries[items[0]?.dataIndex];
@@ -594,28 +651,28 @@ const HistoryChart = ({
             },
             grid: { display: false },
             ticks: {
-              color: '#888', font: { size: 10 }, maxRotation: 0,
+              color: chartColors.text, font: { size: 10 }, maxRotation: 0,
               autoSkip: true, maxTicksLimit: isMobile ? 7 : 13, major: { enabled: true },
             },
           },
           y: stacked
             ? {
                 min: 0, max: 100,
-                grid: { color: 'rgba(0,0,0,0.05)' },
-                ticks: { color: '#888', font: { size: 10 }, callback: (v) => `${v}%` },
-                title: { display: !!yLabel, text: yLabel, color: '#888' },
+                grid: { color: chartColors.grid },
+                ticks: { color: chartColors.text, font: { size: 10 }, callback: (v) => `${v}%` },
+                title: { display: !!yLabel, text: yLabel, color: chartColors.text },
               }
             : {
                 type: 'logarithmic',
-                grid: { color: 'rgba(0,0,0,0.05)' },
+                grid: { color: chartColors.grid },
                 ticks: {
-                  color: '#888', font: { size: 10 },
+                  color: chartColors.text, font: { size: 10 },
                   callback: (v) => {
                     const l = Math.log10(v);
                     return Math.abs(l - Math.round(l)) < 1e-9 ? valueFormat(v) : '';
                   },
                 },
-                title: { display: !!yLabel, text: yLabel, color: '#888' },
+                title: { display: !!yLabel, text: yLabel, color: chartColors.text },
               },
         },
         animation: { duration: 300 },
@@ -623,45 +680,62 @@ const HistoryChart = ({
     });
 
     return () => { if (chartRef.current) { chartRef.current.destroy(); chartRef.current = null; } };
-  }, [entries, labels, granularity, drawAlgos, colors, getValue, valueFormat, stacked, filterable, yLabel, loading, error, isMobile, eraBoundaries]);
+  }, [entries, labels, granularity, drawAlgos, colors, getValue, valueFormat, stacked, filterable, yLabel, loading, error, isMobile, eraBoundaries, chartColors]);
 
   const hourlyMissing = rangeKey === 'daily' && !loading && !error && entries.length === 0;
+  const linkState = {
+    range: rangeKey,
+    zoom: zoomable ? zoom : null,
+    hidden: filterable ? hidden : null,
+  };
 
   return (
-    <Card elevation={3} sx={{ borderRadius: '12px', mb: 4 }}>
+    <Card id={exportName} elevation={3} sx={{ borderRadius: '12px', mb: 4, scrollMarginTop: 80 }}>
       <CardContent sx={{ p: { xs: 2, md: 3 } }}>
         <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', justifyContent: 'space-between', gap: 1, mb: 0.5 }}>
           <Typography variant="h5" fontWeight="bold" sx={{ color: accentColor }}>{title}</Typography>
-          <ToggleButtonGroup
-            size="small" exclusive value={rangeKey}
-            onChange={(_, v) => v && setRangeKey(v)}
-            aria-label="history range" sx={{ flexWrap: 'wrap' }}
-          >
-            {HISTORY_RANGES.map((r) => (
-              <ToggleButton key={r.key} value={r.key} sx={{ px: 1.25, py: 0.25, textTransform: 'none' }}>
-                {r.label}
-              </ToggleButton>
-            ))}
-          </ToggleButtonGroup>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 1 }}>
+            <ToggleButtonGroup
+              size="small" exclusive value={rangeKey}
+              onChange={(_, v) => changeRange(v)}
+              aria-label="history range" sx={{ flexWrap: 'wrap' }}
+            >
+              {HISTORY_RANGES.map((r) => (
+                <ToggleButton key={r.key} value={r.key} sx={{ px: 1.25, py: 0.25, textTransform: 'none' }}>
+                  {r.label}
+                </ToggleButton>
+              ))}
+            </ToggleButtonGroup>
+            <ExportMenu name={exportName} rows={loading || error ? [] : entries} color={accentColor} />
+            <ChartActions
+              id={exportName}
+              name={exportName}
+              target={canvasRef}
+              linkState={linkState}
+              linkDefaults={{ range: DEFAULT_RANGE_KEY, hidden: defaultHidden }}
+              ready={!loading && !error && entries.length > 0}
+              color={accentColor}
+            />
+          </Box>
         </Box>
-        {subtitle && <Typography variant="body2" sx={{ color: '#666', mb: 1 }}>{subtitle}</Typography>}
+        {subtitle && <Typography variant="body2" sx={{ color: 'text.secondary', mb: 1 }}>{subtitle}</Typography>}
         <Divider sx={{ mb: 2 }} />
 
         {loading ? (
           <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height }}><CircularProgress /></Box>
         ) : error ? (
           <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height, textAlign: 'center' }}>
-            <Typography variant="body2" color="#888">
+            <Typography variant="body2" color="text.secondary">
               History data isn't available yet{error ? ` (${error})` : ''}. It fills in as the server records stats.
             </Typography>
           </Box>
         ) : hourlyMissing ? (
           <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height, textAlign: 'center' }}>
-            <Typography variant="body2" color="#888">Hourly data is still filling in — try 7D / 30D / 3M.</Typography>
+            <Typography variant="body2" color="text.secondary">Hourly data is still filling in — try 7D / 30D / 3M.</Typography>
           </Box>
         ) : entries.length === 0 ? (
           <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height }}>
-            <Typography variant="body2" color="#888">No history recorded yet — check back soon.</Typography>
+            <Typography variant="body2" color="text.secondary">No history recorded yet — check back soon.</Typography>
           </Box>
         ) : (
           <>
@@ -680,15 +754,16 @@ const HistoryChart = ({
                   min={0}
                   max={fullEntries.length - 1}
                   marks={marks}
-                  onChange={(_, v) => Array.isArray(v) && v[1] - v[0] >= 2 && setZoom(v)}
+                  onChange={(_, v) => Array.isArray(v) && v[1] - v[0] >= 2 && setDragZoom(v)}
+                  onChangeCommitted={(_, v) => commitZoom(v)}
                   valueLabelDisplay="auto"
                   valueLabelFormat={(idx) => fullDateLabel(fullEntries[idx])}
                   disableSwap
                   getAriaLabel={(i) => (i === 0 ? 'Zoom period start' : 'Zoom period end')}
                   getAriaValueText={(idx) => fullDateLabel(fullEntries[idx])}
-                  sx={{ color: accentColor, '& .MuiSlider-markLabel': { fontSize: '0.68rem', color: '#888' } }}
+                  sx={{ color: accentColor, '& .MuiSlider-markLabel': { fontSize: '0.68rem', color: 'text.secondary' } }}
                 />
-                <Typography variant="caption" sx={{ display: 'block', color: '#888', textAlign: 'center' }}>
+                <Typography variant="caption" sx={{ display: 'block', color: 'text.secondary', textAlign: 'center' }}>
                   Drag the handles to zoom into a specific time period
                 </Typography>
               </Box>
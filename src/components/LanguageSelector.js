@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import { Button, Menu, MenuItem, Tooltip } from '@mui/material';
+import TranslateIcon from '@mui/icons-material/Translate';
+import { useLocale } from '../context/LocaleContext';
+import { LOCALES } from '../locales';
+
+/**
+ * LanguageSelector — Header button showing the active locale code; opens a
+ * menu of the supported languages, each listed under its own name.
+ */
+const LanguageSelector = () => {
+  const { locale, setLocale, t } = useLocale();
+  const [anchorEl, setAnchorEl] = useState(null);
+  const current = LOCALES.find((entry) => entry.code === locale) || LOCALES[0];
+  const title = `${t('header.language')}: ${current.label}`;
+
+  const handleSelect = (code) => {
+    setLocale(code);
+    setAnchorEl(null);
+  };
+
+  return (
+    <>
+      <Tooltip title={title}>
+        <Button
+          size="small"
+          aria-label={title}
+          aria-haspopup="true"
+          aria-controls={anchorEl ? 'language-menu' : undefined}
+          onClick={(event) => setAnchorEl(event.currentTarget)}
+          startIcon={<TranslateIcon sx={{ fontSize: 16 }} />}
+          sx={{ color: 'white', minWidth: 'auto', px: 1, fontSize: '0.75rem', fontWeight: 'bold' }}
+        >
+          {current.code.toUpperCase()}
+        </Button>
+      </Tooltip>
+      <Menu
+        id="language-menu"
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={() => setAnchorEl(null)}
+      >
+        {LOCALES.map((entry) => (
+          <MenuItem
+            key={entry.code}
+            lang={entry.code}
+            selected={entry.code === locale}
+            onClick={() => handleSelect(entry.code)}
+          >
+            {entry.label}
+          </MenuItem>
+        ))}
+      </Menu>
+    </>
+  );
+};
+
+export default LanguageSelector;
@@ -0,0 +1,42 @@
+import React from 'react';
+import { Box, Card, Container, LinearProgress, Skeleton, Typography } from '@mui/material';
+import { useLocale } from '../context/LocaleContext';
+
+/**
+ * Loading placeholders: the card pages show while their data arrives, and
+ * the skeleton App.js shows while a lazily loaded page chunk downloads.
+ */
+
+/**
+ * Centered card with a loading message and an optional progress bar.
+ * @param {Object} props - Component props
+ * @param {string} props.message - Text to show
+ * @param {boolean} [props.progress=false] - Show an indeterminate progress bar
+ * @returns {JSX.Element} Loading card
+ */
+const LoadingCard = ({ message, progress = false }) => (
+  <Card elevation={3} sx={{ p: 4, textAlign: 'center', borderRadius: '12px' }}>
+    <Typography variant="h5" sx={{ mb: progress ? 2 : 0 }}>{message}</Typography>
+    {progress && <LinearProgress sx={{ maxWidth: 300, mx: 'auto' }} />}
+  </Card>
+);
+
+/**
+ * Suspense fallback for a page chunk: a hero-shaped skeleton above a loading
+ * card, roughly the layout every page opens with.
+ * @returns {JSX.Element} Page skeleton
+ */
+export const PageSkeleton = () => {
+  const { t } = useLocale();
+
+  return (
+    <Box sx={{ py: 4, minHeight: '100vh' }} data-testid="page-skeleton" aria-busy="true">
+      <Container maxWidth="lg">
+        <Skeleton variant="rounded" height={160} sx={{ mb: 4, borderRadius: '12px' }} />
+        <LoadingCard message={t('common.loading')} progress />
+      </Container>
+    </Box>
+  );
+};
+
+export default LoadingCard;
@@ -1,6 +1,9 @@
 import React from 'react';
 import { Outlet } from 'react-router-dom';
 import { NetworkProvider } from '../context/NetworkContext';
+import { AlertsProvider } from '../context/AlertsContext';
+import { TxWatchProvider } from '../context/TxWatchContext';
+import NetworkThemeProvider from './NetworkThemeProvider';
 import Header from './Header';
 import Footer from './Footer';
 import ForkAlertBanner from './ForkAlertBanner';
@@ -9,14 +12,20 @@ import styles from '../App.module.css';
 const MainnetLayout = () => {
   return (
     <NetworkProvider network="mainnet">
-      <div className={styles.app}>
-        <Header />
-        <ForkAlertBanner />
-        <div className={styles.contentContainer}>
-          <Outlet />
-        </div>
-        <Footer />
-      </div>
+      <AlertsProvider>
+        <TxWatchProvider>
+          <NetworkThemeProvider>
+            <div className={styles.app}>
+              <Header />
+              <ForkAlertBanner />
+              <div className={styles.contentContainer}>
+                <Outlet />
+              </div>
+              <Footer />
+            </div>
+          </NetworkThemeProvider>
+        </TxWatchProvider>
+      </AlertsProvider>
     </NetworkProvider>
   );
 };
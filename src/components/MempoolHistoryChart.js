@@ -0,0 +1,277 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useLocation } from 'react-router-dom';
+import { Chart, registerables } from 'chart.js';
+import 'chartjs-adapter-luxon';
+import {
+  Box, Card, ToggleButton, ToggleButtonGroup, Typography, useTheme,
+} from '@mui/material';
+import TimelineIcon from '@mui/icons-material/Timeline';
+import { useNetwork } from '../context/NetworkContext';
+import { useLocale } from '../context/LocaleContext';
+import { useWsMessage } from '../hooks/useWsMessage';
+import { useQueryParams } from '../hooks/useQueryParams';
+import { useMempoolHistory } from '../hooks/useMempoolHistory';
+import { getChartColors } from '../utils/theme';
+import { enumParam } from '../utils/queryParams';
+import { applyHiddenDatasets, decodeChartState, hiddenDatasetLabels } from '../utils/chartLink';
+import {
+  MEMPOOL_HISTORY_RANGES, DEFAULT_MEMPOOL_RANGE, MARKED_RANGES, SAMPLE_INTERVAL_MS,
+  appendMempoolSample, blockMarkersBetween, loadSessionHistory, mempoolRange, mempoolSample,
+  mergeMempoolHistory, recordBlockArrivals, samplesInRange, saveSessionHistory,
+} from '../utils/mempoolHistory';
+import ExportMenu from './ExportMenu';
+import ChartActions from './ChartActions';
+
+Chart.register(...registerables);
+
+const MEMPOOL_HISTORY_QUERY = {
+  range: enumParam(MEMPOOL_HISTORY_RANGES.map((range) => range.key), DEFAULT_MEMPOOL_RANGE),
+};
+
+const MB = 1048576;
+
+const EMPTY_SESSION = [];
+
+// label, y axis, colour and value of each series.
+const SERIES = [
+  { label: 'Transactions', axis: 'count', color: '#0066cc', value: (sample) => sample.count },
+  { label: 'Size (MB)', axis: 'size', color: '#9c27b0', value: (sample) => (sample.bytes === null ? null : sample.bytes / MB) },
+  { label: 'Median fee rate (sat/vB)', axis: 'fee', color: '#ff9800', value: (sample) => sample.medianFeeRate },
+];
+
+/**
+ * Block arrivals as faint vertical lines with a tick at the top. Reads
+ * options.plugins.blockMarkers = { times: [<ms>], color }.
+ */
+const blockMarkerPlugin = {
+  id: 'blockMarkers',
+  afterDatasetsDraw: (chart) => {
+    const cfg = chart.options.plugins.blockMarkers;
+    if (!cfg?.times?.length) return;
+    const { ctx, chartArea, scales } = chart;
+    if (!chartArea || !scales.x) return;
+    ctx.save();
+    ctx.strokeStyle = cfg.color || 'rgba(0, 0, 0, 0.5)';
+    ctx.lineWidth = 1;
+    cfg.times.forEach((time) => {
+      const x = scales.x.getPixelForValue(time);
+      if (x == null || x < chartArea.left || x > chartArea.right) return;
+      ctx.globalAlpha = 0.15;
+      ctx.beginPath();
+      ctx.moveTo(x, chartArea.top);
+      ctx.lineTo(x, chartArea.bottom);
+      ctx.stroke();
+      ctx.globalAlpha = 0.8;
+      ctx.beginPath();
+      ctx.moveTo(x, chartArea.top);
+      ctx.lineTo(x, chartArea.top + 6);
+      ctx.stroke();
+    });
+    ctx.restore();
+  },
+};
+
+/**
+ * MempoolHistoryChart — mempool transaction count, size and median feerate
+ * over time (utils/mempoolHistory.js), with 1H / 24H / 7D ranges.
+ *
+ * Samples the `mempool` messages itself into this session's ring buffer and
+ * continues the server's `/api/history/mempool` series with it where the
+ * backend records one. On the 1H range each block seen on the feed
+ * (`recentBlocks`, `newBlock`) is marked. The range is kept in `?range=`;
+ * the Share link also carries the series switched off in the legend.
+ */
+const MempoolHistoryChart = () => {
+  const { name: network } = useNetwork();
+  const { formatDate } = useLocale();
+  const chartColors = getChartColors(useTheme());
+  const [query, setQuery] = useQueryParams(MEMPOOL_HISTORY_QUERY);
+  const rangeKey = query.range;
+  const server = useMempoolHistory();
+
+  // Samples keyed by network, so the previous network's buffer is neither
+  // charted nor saved under the new one before the switch has reloaded it.
+  const [stored, setStored] = useState(() => ({ network, samples: loadSessionHistory(network) }));
+  const [arrivals, setArrivals] = useState([]);
+  const session = stored.network === network ? stored.samples : EMPTY_SESSION;
+
+  useEffect(() => {
+    setStored({ network, samples: loadSessionHistory(network) });
+    setArrivals([]);
+  }, [network]);
+
+  // Persist once per sample interval rather than on every message, and once
+  // more on unmount so the newest sample survives navigating away.
+  const storedRef = useRef(stored);
+  storedRef.current = stored;
+  const lastSample = stored.samples[stored.samples.length - 1];
+  const lastInterval = lastSample ? Math.floor(lastSample.time / SAMPLE_INTERVAL_MS) : null;
+  useEffect(() => {
+    if (lastInterval !== null) saveSessionHistory(storedRef.current.network, storedRef.current.samples);
+  }, [stored.network, lastInterval]);
+  useEffect(() => () => {
+    const latest = storedRef.current;
+    if (latest.samples.length) saveSessionHistory(latest.network, latest.samples);
+  }, []);
+
+  useWsMessage(['mempool', 'recentBlocks', 'newBlock'], (message) => {
+    if (!message.data) return;
+    if (message.type === 'mempool') {
+      const sample = mempoolSample(message.data, Date.now());
+      setStored((prev) => (prev.network === network
+        ? { network, samples: appendMempoolSample(prev.samples, sample) }
+        : prev));
+    } else {
+      const blocks = message.type === 'recentBlocks' ? message.data : [message.data];
+      setArrivals((prev) => recordBlockArrivals(prev, Array.isArray(blocks) ? blocks : []));
+    }
+  });
+
+  const view = useMemo(() => {
+    const now = Date.now();
+    const samples = samplesInRange(mergeMempoolHistory(server.samples, session), rangeKey, now);
+    const markers = MARKED_RANGES.includes(rangeKey)
+      ? blockMarkersBetween(arrivals, now - mempoolRange(rangeKey).ms, now)
+      : [];
+    return { samples, markers };
+  }, [server.samples, session, arrivals, rangeKey]);
+
+  const chartRef = useRef(null);
+  const chartInstance = useRef(null);
+  // Series switched off in the legend: from a shared link at first, then
+  // carried across rebuilds.
+  const { search } = useLocation();
+  const hiddenSeries = useRef(null);
+  if (hiddenSeries.current === null) hiddenSeries.current = decodeChartState(search).hidden || [];
+
+  useEffect(() => {
+    const ctx = chartRef.current?.getContext('2d');
+    if (!ctx || !view.samples.length) return undefined;
+    const axis = (position, title, grid) => ({
+      position,
+      beginAtZero: true,
+      title: { display: true, text: title, color: chartColors.text },
+      ticks: { color: chartColors.text, font: { size: 10 } },
+      grid: grid ? { color: chartColors.grid } : { display: false },
+    });
+
+    chartInstance.current = new Chart(ctx, {
+      type: 'line',
+      data: {
+        datasets: SERIES.map((series) => ({
+          label: series.label,
+          yAxisID: series.axis,
+          data: view.samples.map((sample) => ({ x: sample.time, y: series.value(sample) })),
+          borderColor: series.color,
+          backgroundColor: 'transparent',
+          borderWidth: 2,
+          pointRadius: view.samples.length > 1 ? 0 : 3,
+          spanGaps: true,
+        })),
+      },
+      plugins: [blockMarkerPlugin],
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        interaction: { mode: 'index', intersect: false },
+        plugins: {
+          blockMarkers: { times: view.markers.map((marker) => marker.time), color: chartColors.text },
+          legend: { display: true, position: 'top', labels: { boxWidth: 12, usePointStyle: true, color: chartColors.text } },
+          tooltip: {
+            backgroundColor: chartColors.tooltip,
+            titleColor: chartColors.tooltipText,
+            bodyColor: chartColors.tooltipText,
+            callbacks: {
+              title: (items) => (items.length ? formatDate(items[0].parsed.x, { dateStyle: 'medium', timeStyle: 'short' }) : ''),
+            },
+          },
+        },
+        scales: {
+          x: {
+            type: 'time',
+            min: Date.now() - mempoolRange(rangeKey).ms,
+            grid: { display: false },
+            ticks: { color: chartColors.text, font: { size: 10 }, maxRotation: 0, autoSkip: true, maxTicksLimit: 8 },
+          },
+          count: axis('left', 'Transactions', true),
+          size: axis('right', 'MB', false),
+          fee: axis('right', 'sat/vB', false),
+        },
+      },
+    });
+    applyHiddenDatasets(chartInstance.current, hiddenSeries.current);
+
+    return () => {
+      if (chartInstance.current) {
+        hiddenSeries.current = hiddenDatasetLabels(chartInstance.current);
+        chartInstance.current.destroy();
+        chartInstance.current = null;
+      }
+    };
+  }, [view, rangeKey, chartColors, formatDate]);
+
+  const exportRows = () => view.samples.map((sample) => ({
+    time: new Date(sample.time).toISOString(),
+    count: sample.count,
+    bytes: sample.bytes,
+    medianFeeRate: sample.medianFeeRate,
+  }));
+
+  let note = server.available
+    ? 'Recorded by the server, continued with the samples taken while this page is open.'
+    : 'Sampled while this page is open; longer history appears once the server records it.';
+  if (MARKED_RANGES.includes(rangeKey)) note += ' Tick marks show block arrivals.';
+
+  return (
+    <Card id="mempool-history" elevation={2} sx={{ p: 2, mb: 3, scrollMarginTop: 80 }} data-testid="mempool-history">
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: 1, mb: 1 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+          <TimelineIcon sx={{ mr: 1, color: '#0066cc' }} />
+          <Typography variant="subtitle2" color="text.secondary">
+            Mempool History
+          </Typography>
+        </Box>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <ToggleButtonGroup
+            size="small" exclusive value={rangeKey}
+            onChange={(_, key) => key && setQuery({ range: key })}
+            aria-label="mempool history range"
+          >
+            {MEMPOOL_HISTORY_RANGES.map((range) => (
+              <ToggleButton key={range.key} value={range.key} sx={{ px: 1.25, py: 0.25, textTransform: 'none' }}>
+                {range.label}
+              </ToggleButton>
+            ))}
+          </ToggleButtonGroup>
+          <ExportMenu name="mempool-history" rows={exportRows} />
+          <ChartActions
+            id="mempool-history"
+            name="mempool-history"
+            target={chartRef}
+            ready={view.samples.length > 0}
+            linkState={() => ({ range: rangeKey, hidden: hiddenDatasetLabels(chartInstance.current) })}
+            linkDefaults={{ range: DEFAULT_MEMPOOL_RANGE }}
+          />
+        </Box>
+      </Box>
+      <Typography variant="caption" color="text.secondary" display="block" sx={{ mb: 2 }}>
+        {note}
+      </Typography>
+
+      {view.samples.length ? (
+        <Box sx={{ height: 240, position: 'relative' }}>
+          <canvas ref={chartRef} style={{ width: '100%', height: '100%' }} />
+        </Box>
+      ) : (
+        <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: 240 }}>
+          <Typography variant="body2" color="text.secondary">
+            {server.loading ? 'Loading mempool history...' : 'No mempool samples in this range yet.'}
+          </Typography>
+        </Box>
+      )}
+    </Card>
+  );
+};
+
+export default MempoolHistoryChart;
@@ -0,0 +1,211 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Alert, Box, Card, Tooltip, Typography,
+} from '@mui/material';
+import ViewInArIcon from '@mui/icons-material/ViewInAr';
+import { useLocale } from '../context/LocaleContext';
+import {
+  BLOCK_MAX_VSIZE, PROJECTED_BLOCKS, bandBreakdown, findInProjection, projectBlocks,
+} from '../utils/mempoolProjection';
+
+// How long a mined block stays on screen while it slides out.
+const LEAVE_MS = 1500;
+
+const BLOCK_HEIGHT = 140;
+
+const formatKvB = (vsize) => `${(vsize / 1000).toFixed(vsize < 10000 ? 1 : 0)} kvB`;
+const formatRate = (rate) => (rate < 10 ? rate.toFixed(1) : String(Math.round(rate)));
+
+/**
+ * The txid a search term points at: an exact match, or the only mempool
+ * transaction whose txid contains it.
+ */
+const searchedTxid = (transactions, searchTerm) => {
+  const term = searchTerm.trim().toLowerCase();
+  if (!term) return null;
+  const exact = transactions.find((tx) => tx.txid.toLowerCase() === term);
+  if (exact) return exact.txid;
+  const matches = transactions.filter((tx) => tx.txid.toLowerCase().includes(term));
+  return matches.length === 1 ? matches[0].txid : null;
+};
+
+// "In 4+ blocks" for a last block holding more than one block's worth.
+const blockLabel = ({ index, overflow }) => {
+  if (index === 0 && !overflow) return 'Next block';
+  return `In ${index + 1}${overflow ? '+' : ''} blocks`;
+};
+
+/**
+ * One block drawn as fee bands stacked highest first, filled from the bottom
+ * in proportion to its virtual size.
+ */
+const BandStack = ({ bands, vsize, maxVsize, markBand }) => (
+  <Box
+    sx={{
+      height: BLOCK_HEIGHT,
+      display: 'flex',
+      flexDirection: 'column',
+      borderRadius: 1,
+      overflow: 'hidden',
+      bgcolor: 'action.hover',
+    }}
+  >
+    {vsize < maxVsize && <Box sx={{ flexGrow: maxVsize - vsize }} />}
+    {bands.map((band) => (
+      <Tooltip key={band.key} title={`${band.key} sat/vB: ${band.count} txs, ${formatKvB(band.vsize)}`}>
+        <Box
+          data-testid="projection-band"
+          data-band={band.key}
+          sx={{
+            flexGrow: band.vsize,
+            minHeight: 6,
+            bgcolor: band.color,
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            transition: 'flex-grow 0.4s ease',
+            ...(band.key === markBand && { outline: '2px solid', outlineColor: 'text.primary', outlineOffset: -2 }),
+          }}
+        >
+          {band.key === markBand && (
+            <Typography variant="caption" fontWeight="bold" sx={{ color: '#fff', lineHeight: 1 }}>
+              Your tx
+            </Typography>
+          )}
+        </Box>
+      </Tooltip>
+    ))}
+  </Box>
+);
+
+/**
+ * MempoolProjection — the next block templates the mempool would fill
+ * (utils/mempoolProjection.js), each drawn as stacked fee bands, with the
+ * position of a searched transaction in the queue. When a block is mined
+ * (`minedBlock`, from `transactionConfirmed`) its transactions slide out on
+ * the left.
+ *
+ * @param {Object} props
+ * @param {object[]} props.transactions mempool transactions
+ * @param {string} [props.searchTerm] the Txs search box; an exact txid or a
+ *   fragment matching a single transaction is located in the queue
+ * @param {{ height: number, transactions: object[] }|null} [props.minedBlock]
+ *   the latest confirmed block (a new object per block)
+ * @param {number} [props.count] blocks to project
+ * @param {number} [props.maxVsize] template size (vB)
+ */
+const MempoolProjection = ({
+  transactions, searchTerm = '', minedBlock = null, count = PROJECTED_BLOCKS, maxVsize = BLOCK_MAX_VSIZE,
+}) => {
+  const { formatNumber } = useLocale();
+  const blocks = useMemo(() => projectBlocks(transactions, { count, maxVsize }), [transactions, count, maxVsize]);
+  const txid = useMemo(() => searchedTxid(transactions, searchTerm), [transactions, searchTerm]);
+  const position = txid ? findInProjection(blocks, txid) : null;
+  const positionLabel = position ? blockLabel(blocks[position.block]) : null;
+
+  const [leaving, setLeaving] = useState(null);
+  useEffect(() => {
+    if (!minedBlock) return undefined;
+    const bands = bandBreakdown(minedBlock.transactions);
+    setLeaving({
+      height: minedBlock.height,
+      count: minedBlock.transactions.length,
+      vsize: bands.reduce((sum, band) => sum + band.vsize, 0),
+      bands,
+    });
+    const timer = setTimeout(() => setLeaving(null), LEAVE_MS);
+    return () => clearTimeout(timer);
+  }, [minedBlock]);
+
+  return (
+    <Card elevation={2} sx={{ p: 2, mb: 3 }} data-testid="mempool-projection">
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+        <ViewInArIcon sx={{ mr: 1, color: '#0066cc' }} />
+        <Typography variant="subtitle2" color="text.secondary">
+          Projected Next Blocks
+        </Typography>
+      </Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        The mempool packed into block templates by fee rate, highest first. Each band is a fee range; its height is the space it takes.
+      </Typography>
+
+      <Box sx={{ display: 'flex', gap: 2, overflowX: 'auto', pb: 1 }}>
+        {leaving && (
+          <Box
+            data-testid="mined-block"
+            sx={{
+              flex: '0 0 140px',
+              animation: `mempool-block-leave ${LEAVE_MS}ms ease-in forwards`,
+              '@keyframes mempool-block-leave': {
+                '0%': { opacity: 1, transform: 'translateX(0)' },
+                '100%': { opacity: 0, transform: 'translateX(-120%)' },
+              },
+              '@media (prefers-reduced-motion: reduce)': {
+                animation: 'none',
+              },
+            }}
+          >
+            <Typography variant="caption" fontWeight="bold" color="success.main" display="block" noWrap>
+              Mined in block {formatNumber(leaving.height)}
+            </Typography>
+            <BandStack bands={leaving.bands} vsize={Math.min(leaving.vsize, maxVsize)} maxVsize={maxVsize} />
+            <Typography variant="caption" color="text.secondary">
+              {formatNumber(leaving.count)} txs
+            </Typography>
+          </Box>
+        )}
+
+        {blocks.map((block) => (
+          <Box
+            key={block.index}
+            data-testid="projected-block"
+            sx={{
+              flex: '0 0 140px',
+              ...(position?.block === block.index && {
+                outline: '2px solid', outlineColor: 'primary.main', outlineOffset: 4, borderRadius: 1,
+              }),
+            }}
+          >
+            <Typography variant="caption" fontWeight="bold" display="block" noWrap>
+              {blockLabel(block)}
+            </Typography>
+            <BandStack
+              bands={block.bands}
+              vsize={Math.min(block.vsize, maxVsize)}
+              maxVsize={maxVsize}
+              markBand={position?.block === block.index ? position.band : null}
+            />
+            <Typography variant="body2" fontWeight="medium">
+              ~{formatRate(block.medianFeeRate)} sat/vB
+            </Typography>
+            <Typography variant="caption" color="text.secondary" display="block">
+              {formatRate(block.minFeeRate)}–{formatRate(block.maxFeeRate)} sat/vB
+            </Typography>
+            <Typography variant="caption" color="text.secondary" display="block">
+              {formatNumber(block.txs.length)} txs · {formatKvB(block.vsize)}
+              {block.overflow && ` (${Math.ceil(block.vsize / maxVsize)} blocks' worth)`}
+            </Typography>
+          </Box>
+        ))}
+      </Box>
+
+      {searchTerm.trim() && (
+        position ? (
+          <Alert severity="info" sx={{ mt: 2 }} data-testid="projection-position">
+            Transaction {txid.substring(0, 16)}... is #{formatNumber(position.rank)} in the queue
+            at {formatRate(position.feeRate)} sat/vB with {formatKvB(position.vsizeAhead)} ahead of it:
+            {' '}{positionLabel === 'Next block' ? 'projected for the next block' : `projected ${positionLabel.toLowerCase()}`}.
+          </Alert>
+        ) : (
+          <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 2 }}>
+            {transactions.some((tx) => tx.txid.toLowerCase().includes(searchTerm.trim().toLowerCase()))
+              ? 'Type more of the txid to locate it in the queue.'
+              : 'The searched transaction is not in the mempool.'}
+          </Typography>
+        )
+      )}
+    </Card>
+  );
+};
+
+export default MempoolProjection;
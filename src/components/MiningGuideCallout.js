@@ -1,5 +1,6 @@
 import React from 'react';
 import { Card, Box, Typography, Button, Chip } from '@mui/material';
+import { alpha } from '@mui/material/styles';
 import MenuBookIcon from '@mui/icons-material/MenuBook';
 import LaunchIcon from '@mui/icons-material/Launch';
 
@@ -59,8 +60,8 @@ export default function MiningGuideCallout() {
               display: { xs: 'none', sm: 'flex' },
               alignItems: 'center',
               justifyContent: 'center',
-              backgroundColor: '#e8f5e9',
-              color: '#2e7d32',
+              backgroundColor: (theme) => alpha(theme.palette.success.main, 0.12),
+              color: 'success.main',
             }}
           >
             <MenuBookIcon sx={{ fontSize: '1.8rem' }} />
@@ -69,12 +70,18 @@ export default function MiningGuideCallout() {
             <Chip
               label="MINING POOL OPERATORS"
               size="small"
-              sx={{ mb: 1, backgroundColor: '#e8f5e9', color: '#2e7d32', fontWeight: 'bold', letterSpacing: '0.5px' }}
+              sx={{
+                mb: 1,
+                backgroundColor: (theme) => alpha(theme.palette.success.main, 0.12),
+                color: 'success.main',
+                fontWeight: 'bold',
+                letterSpacing: '0.5px',
+              }}
             />
-            <Typography variant="h6" fontWeight="bold" sx={{ color: '#002352', lineHeight: 1.25 }}>
+            <Typography variant="h6" fontWeight="bold" sx={{ lineHeight: 1.25 }}>
               Add DigiDollar support to your pool
             </Typography>
-            <Typography variant="body2" sx={{ color: '#555', mt: 0.75, lineHeight: 1.6 }}>
+            <Typography variant="body2" sx={{ color: 'text.secondary', mt: 0.75, lineHeight: 1.6 }}>
               Request the <Box component="code" sx={code}>digidollar-oracle</Box> rule in your{' '}
               <Box component="code" sx={code}>getblocktemplate</Box> call and preserve the{' '}
               <Box component="code" sx={code}>default_oracle_commitment</Box> in the coinbase. The
@@ -0,0 +1,29 @@
+import React, { useMemo } from 'react';
+import { CssBaseline, ThemeProvider } from '@mui/material';
+import { useNetwork } from '../context/NetworkContext';
+import { useColorMode } from '../context/ColorModeContext';
+import { createAppTheme } from '../utils/theme';
+
+/**
+ * MUI theme for the current network in the current colour mode. Sits inside
+ * NetworkProvider in each layout, so everything under it — including the
+ * Header — gets the network's palette. `accent` replaces the primary colour
+ * (embed widgets take it from the URL).
+ */
+const NetworkThemeProvider = ({ children, accent = null }) => {
+  const { theme: networkTheme } = useNetwork();
+  const { mode } = useColorMode();
+  const theme = useMemo(
+    () => createAppTheme({ mode, networkTheme: accent ? { ...networkTheme, primary: accent } : networkTheme }),
+    [mode, networkTheme, accent]
+  );
+
+  return (
+    <ThemeProvider theme={theme}>
+      <CssBaseline enableColorScheme />
+      {children}
+    </ThemeProvider>
+  );
+};
+
+export default NetworkThemeProvider;
@@ -0,0 +1,88 @@
+import React from 'react';
+import { Box, Chip, Tooltip, Typography } from '@mui/material';
+import { useLocale } from '../context/LocaleContext';
+
+/**
+ * Format an oracle price from micro-USD, e.g. 12345 → "$0.012345".
+ *
+ * @param {number} microUsd - Price in micro-USD
+ * @returns {string} - Formatted price, or 'Not Reporting' when empty
+ */
+export const formatOraclePrice = (microUsd) => {
+  if (!microUsd || microUsd === 0) return 'Not Reporting';
+  return '$' + (microUsd / 1000000).toFixed(6);
+};
+
+const TILE_SX = {
+  textAlign: 'center',
+  p: 2,
+  backgroundColor: 'background.subtle',
+  borderRadius: '8px',
+  cursor: 'help',
+  minHeight: 160,
+  display: 'flex',
+  flexDirection: 'column',
+  justifyContent: 'center',
+};
+
+/**
+ * OraclePriceTile - the consensus DGB/USD price from the oracle network.
+ * Part of OraclesPage's current-price card and the oracle price embed widget.
+ *
+ * @param {Object} props - Component props
+ * @param {number} props.priceMicroUsd - Consensus price in micro-USD
+ * @param {string} props.color - Accent colour for a live price
+ * @returns {JSX.Element} Price tile
+ */
+export const OraclePriceTile = ({ priceMicroUsd, color }) => {
+  const { t, formatNumber } = useLocale();
+  return (
+    <Tooltip title={t('oracleTiles.priceTooltip')} arrow placement="top">
+      <Box sx={TILE_SX}>
+        <Typography variant="body2" color="text.secondary">{t('oracleTiles.price')}</Typography>
+        <Typography variant="h3" fontWeight="bold" sx={{ color: priceMicroUsd > 0 ? color : '#9e9e9e' }}>
+          {priceMicroUsd > 0 ? formatOraclePrice(priceMicroUsd) : t('oracleTiles.notReporting')}
+        </Typography>
+        {priceMicroUsd > 0 && (
+          <Typography variant="caption" color="text.secondary">
+            {t('oracleTiles.microUsd', { amount: formatNumber(priceMicroUsd) })}
+          </Typography>
+        )}
+      </Box>
+    </Tooltip>
+  );
+};
+
+/**
+ * OracleUpdateTile - block height of the last oracle price update, with a
+ * Fresh / Stale chip.
+ *
+ * @param {Object} props - Component props
+ * @param {number} props.lastUpdateHeight - Height of the last price update
+ * @param {boolean} props.isStale - Whether the price has gone stale
+ * @param {string} props.color - Accent colour once a height is known
+ * @returns {JSX.Element} Last-update tile
+ */
+export const OracleUpdateTile = ({ lastUpdateHeight, isStale, color }) => {
+  const { t, formatNumber } = useLocale();
+  return (
+    <Tooltip title={t('oracleTiles.updateTooltip')} arrow placement="top">
+      <Box sx={TILE_SX}>
+        <Typography variant="body2" color="text.secondary">{t('oracleTiles.lastUpdate')}</Typography>
+        <Typography variant="h4" fontWeight="bold" sx={{ color: lastUpdateHeight > 0 ? color : '#9e9e9e' }}>
+          {lastUpdateHeight > 0
+            ? t('oracleTiles.block', { height: formatNumber(lastUpdateHeight) })
+            : t('oracleTiles.noData')}
+        </Typography>
+        {lastUpdateHeight > 0 && (
+          <Chip
+            label={t(isStale ? 'oracleTiles.stale' : 'oracleTiles.fresh')}
+            color={isStale ? 'error' : 'success'}
+            size="small"
+            sx={{ mt: 1 }}
+          />
+        )}
+      </Box>
+    </Tooltip>
+  );
+};
@@ -0,0 +1,27 @@
+import { useEffect } from 'react';
+import { useLocation } from 'react-router-dom';
+import { ROUTES, SITE, isRouteEnabled } from '../routes';
+import { applyPageMeta, resolvePageMeta } from '../utils/pageMeta';
+
+const ENABLED_ROUTES = ROUTES.filter((route) => isRouteEnabled(route));
+
+/**
+ * PageMeta — keeps the document title, description, canonical URL and Open
+ * Graph / Twitter tags in step with the current route (see utils/pageMeta.js).
+ * The prerendered HTML of each route already carries the same tags for
+ * crawlers and link previews; this covers client-side navigation. Renders
+ * nothing.
+ */
+const PageMeta = () => {
+  const { pathname } = useLocation();
+
+  useEffect(() => {
+    // Embed widgets set their own title and stay out of search results.
+    if (pathname.startsWith('/embed/')) return;
+    applyPageMeta(resolvePageMeta(pathname, SITE, ENABLED_ROUTES));
+  }, [pathname]);
+
+  return null;
+};
+
+export default PageMeta;
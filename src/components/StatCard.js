@@ -0,0 +1,66 @@
+import React from 'react';
+import { Avatar, Box, Card, CardContent, Typography } from '@mui/material';
+import { useLocale } from '../context/LocaleContext';
+
+/**
+ * StatCard - one headline statistic with an icon, as on the HomePage grid.
+ * Also rendered by the block-height embed widget (pages/EmbedPage.js).
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.title - Card title
+ * @param {string|number} props.value - Main statistical value to display
+ * @param {React.Element} props.icon - Material-UI icon component
+ * @param {string} props.description - Explanatory text for the statistic
+ * @param {boolean} props.loading - Loading state indicator
+ * @param {string} [props.color='#0066cc'] - Theme color for the card accent
+ * @returns {JSX.Element} Statistic card
+ */
+const StatCard = ({ title, value, icon, description, loading, color = '#0066cc' }) => {
+  const { t } = useLocale();
+
+  return (
+    <Card
+      elevation={3}
+      sx={{
+        height: '100%',
+        transition: 'transform 0.3s, box-shadow 0.3s',
+        '&:hover': {
+          transform: 'translateY(-5px)',
+          boxShadow: '0 10px 20px rgba(0,0,0,0.1)',
+        },
+        borderTop: `4px solid ${color}`,
+        borderRadius: '8px'
+      }}
+    >
+      <CardContent>
+        {/* Card header with title and icon */}
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 2 }}>
+          <Typography variant="h6" fontWeight="bold" color="text.primary">
+            {title}
+          </Typography>
+          <Avatar sx={{ bgcolor: color }}>
+            {icon}
+          </Avatar>
+        </Box>
+
+        {/* Main value display with loading state */}
+        {loading ? (
+          <Typography variant="h4" sx={{ fontWeight: 'bold', mb: 1 }}>
+            {t('common.loading')}
+          </Typography>
+        ) : (
+          <Typography variant="h4" sx={{ fontWeight: 'bold', mb: 1 }}>
+            {value}
+          </Typography>
+        )}
+
+        {/* Descriptive text */}
+        <Typography variant="body2" color="text.secondary">
+          {description}
+        </Typography>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default StatCard;
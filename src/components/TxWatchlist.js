@@ -0,0 +1,169 @@
+import React from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Box, Button, Card, Chip, IconButton, LinearProgress, MenuItem, TextField, Tooltip, Typography,
+} from '@mui/material';
+import VisibilityIcon from '@mui/icons-material/Visibility';
+import CloseIcon from '@mui/icons-material/Close';
+import NotificationsActiveIcon from '@mui/icons-material/NotificationsActive';
+import { useNetwork } from '../context/NetworkContext';
+import { useLocale } from '../context/LocaleContext';
+import { useAlerts } from '../context/AlertsContext';
+import { useTxWatch } from '../context/TxWatchContext';
+import { CONFIRMATION_TARGETS, watchDurations } from '../utils/txWatch';
+
+const STATUS_CHIPS = {
+  pending: { label: 'Not seen yet', color: '#9e9e9e' },
+  mempool: { label: 'In mempool', color: '#ff9800' },
+  confirming: { label: 'Confirming', color: '#0066cc' },
+  complete: { label: 'Confirmed', color: '#4caf50' },
+  left: { label: 'Left mempool', color: '#9e9e9e' },
+  evicted: { label: 'Evicted', color: '#f44336' },
+  replaced: { label: 'Replaced', color: '#f44336' },
+};
+
+/** "45s", "3m 20s", "1h 5m". */
+const formatDuration = (ms) => {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+const shortTxid = (txid) => `${txid.substring(0, 16)}...`;
+
+/** One watched transaction: status, its stages so far and its target. */
+const WatchRow = ({ watch }) => {
+  const { getNetworkPath } = useNetwork();
+  const { formatNumber, formatRelativeTime } = useLocale();
+  const { unwatch, setTarget } = useTxWatch();
+  const chip = STATUS_CHIPS[watch.status] || STATUS_CHIPS.pending;
+  const { toBlock, toTarget } = watchDurations(watch);
+  const progress = Math.min(100, (watch.confirmations / watch.target) * 100);
+
+  const stages = [`Watched ${formatRelativeTime(watch.addedAt)}`];
+  if (watch.firstSeen !== null) stages.push(`first seen ${formatRelativeTime(watch.firstSeen)}`);
+  if (watch.blockHeight !== null) {
+    stages.push(`in block ${formatNumber(watch.blockHeight)}${toBlock !== null ? ` after ${formatDuration(toBlock)}` : ''}`);
+  }
+  if (toTarget !== null) stages.push(`${watch.target} confirmations after ${formatDuration(toTarget)}`);
+
+  return (
+    <Box data-testid="watch-row" sx={{ py: 1.5, borderTop: '1px solid', borderColor: 'divider' }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1 }}>
+        <Typography
+          component={RouterLink}
+          to={getNetworkPath(`/tx/${watch.txid}`)}
+          variant="body2"
+          sx={{ fontFamily: 'monospace', color: 'inherit', textDecoration: 'none', '&:hover': { color: '#0066cc' } }}
+        >
+          {shortTxid(watch.txid)}
+        </Typography>
+        <Chip
+          label={chip.label}
+          size="small"
+          sx={{ bgcolor: `${chip.color}20`, color: chip.color, fontWeight: 'medium' }}
+        />
+        <Box sx={{ flexGrow: 1 }} />
+        <TextField
+          select
+          size="small"
+          label="Target"
+          value={watch.target}
+          onChange={(event) => setTarget(watch.txid, Number(event.target.value))}
+          sx={{ minWidth: 110 }}
+          SelectProps={{ inputProps: { 'aria-label': `Confirmation target for ${watch.txid}` } }}
+        >
+          {[...new Set([...CONFIRMATION_TARGETS, watch.target])].sort((a, b) => a - b).map((target) => (
+            <MenuItem key={target} value={target}>{target} conf.</MenuItem>
+          ))}
+        </TextField>
+        <Tooltip title="Stop watching">
+          <IconButton size="small" aria-label={`Stop watching ${watch.txid}`} onClick={() => unwatch(watch.txid)}>
+            <CloseIcon fontSize="small" />
+          </IconButton>
+        </Tooltip>
+      </Box>
+
+      {watch.blockHeight !== null && (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1 }}>
+          <LinearProgress
+            variant="determinate"
+            value={progress}
+            color={watch.status === 'complete' ? 'success' : 'primary'}
+            sx={{ flexGrow: 1, height: 6, borderRadius: 3 }}
+          />
+          <Typography variant="caption" color="text.secondary" sx={{ whiteSpace: 'nowrap' }}>
+            {formatNumber(watch.confirmations)}/{watch.target} confirmations
+          </Typography>
+        </Box>
+      )}
+
+      <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 0.5 }}>
+        {stages.join(' · ')}
+      </Typography>
+      {watch.status === 'replaced' && (
+        <Typography variant="caption" color="error" display="block">
+          {watch.replacedBy ? (
+            <>
+              Replaced by{' '}
+              <Box component={RouterLink} to={getNetworkPath(`/tx/${watch.replacedBy}`)} sx={{ fontFamily: 'monospace', color: 'inherit' }}>
+                {shortTxid(watch.replacedBy)}
+              </Box>
+              {watch.leftAt !== null && ` ${formatRelativeTime(watch.leftAt)}`}
+            </>
+          ) : 'Replaced by a conflicting transaction'}
+        </Typography>
+      )}
+      {watch.status === 'evicted' && (
+        <Typography variant="caption" color="error" display="block">
+          Dropped from the mempool without confirming{watch.leftAt !== null && ` ${formatRelativeTime(watch.leftAt)}`}
+        </Typography>
+      )}
+      {watch.status === 'left' && (
+        <Typography variant="caption" color="text.secondary" display="block">
+          Left the mempool; waiting for the next block to include it
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+/**
+ * TxWatchlist — the watched transactions (TxWatchContext) with their status,
+ * stages, time to confirm and confirmation target. Watches are added with
+ * the eye button on a TransactionCard; the panel is hidden while there are
+ * none. Offers to enable browser notifications for completed watches.
+ */
+const TxWatchlist = () => {
+  const { watches, clearFinished } = useTxWatch();
+  const { permission, requestPermission } = useAlerts();
+  if (!watches.length) return null;
+
+  return (
+    <Card elevation={2} sx={{ p: 2, mb: 3 }} data-testid="tx-watchlist">
+      <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: 1 }}>
+        <VisibilityIcon sx={{ color: '#0066cc' }} />
+        <Typography variant="subtitle2" color="text.secondary" sx={{ flexGrow: 1 }}>
+          Watched Transactions ({watches.length})
+        </Typography>
+        {permission === 'default' && (
+          <Button size="small" startIcon={<NotificationsActiveIcon />} onClick={requestPermission}>
+            Notify me
+          </Button>
+        )}
+        {watches.some((watch) => watch.status === 'complete') && (
+          <Button size="small" onClick={clearFinished}>
+            Clear confirmed
+          </Button>
+        )}
+      </Box>
+      {watches.map((watch) => (
+        <WatchRow key={watch.txid} watch={watch} />
+      ))}
+    </Card>
+  );
+};
+
+export default TxWatchlist;
@@ -0,0 +1,215 @@
+import React, { useCallback, useEffect, useLayoutEffect, useRef, useState } from 'react';
+import { Box } from '@mui/material';
+
+// The last row starting at or above `top` (the first row when none does).
+const rowAt = (offsets, top) => {
+  let low = 0;
+  let high = offsets.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (offsets[mid] <= top) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+};
+
+// The window's viewport in the list's own coordinates.
+const viewportOf = (element) => {
+  const rect = element.getBoundingClientRect();
+  return { top: -rect.top, bottom: window.innerHeight - rect.top };
+};
+
+/**
+ * VirtualList — a long list scrolled with the window, of which only the rows
+ * near the viewport are mounted (the Txs mempool and confirmed lists, the
+ * Blocks list).
+ *
+ * Rows are laid out absolutely inside a container of the full list height;
+ * a row counts as `estimateHeight` until it has been measured
+ * (ResizeObserver). Scrolling re-renders only when the mounted range changes.
+ *
+ * Scroll position is kept while items are prepended (new transactions and
+ * blocks from the WebSocket) or rows above the viewport change height: once
+ * the list has been scrolled into, the first visible row is the anchor, and
+ * when a layout moves it the window is scrolled by the same amount. At the
+ * top of the list new items simply appear above.
+ *
+ * Rows are list items with `aria-setsize` / `aria-posinset`, so the length
+ * of the whole list is exposed even though most of it is not mounted.
+ * Other props (`aria-label`, `aria-busy`, …) go to the list element.
+ *
+ * @param {object} props
+ * @param {Array} props.items
+ * @param {(item: *) => string} props.getKey stable key of an item
+ * @param {(item: *, index: number) => React.ReactNode} props.renderItem
+ * @param {number} [props.estimateHeight=150] px, for rows not yet measured
+ * @param {number} [props.gap=16] px between rows
+ * @param {number} [props.overscan=800] px mounted above and below the viewport
+ * @param {Function} [props.onEndReached] called when the last row comes
+ *   within the overscan (load more)
+ * @returns {JSX.Element}
+ */
+const VirtualList = ({
+  items, getKey, renderItem, estimateHeight = 150, gap = 16, overscan = 800, onEndReached, sx, ...rest
+}) => {
+  const container = useRef(null);
+  const heights = useRef(new Map());
+  const [, setMeasured] = useState(0);
+  const [range, setRange] = useState({ start: 0, end: 0 });
+
+  // Layout of every row: cheap next to rendering one.
+  const keys = items.map((item) => String(getKey(item)));
+  const offsets = new Array(items.length);
+  let total = 0;
+  keys.forEach((key, index) => {
+    offsets[index] = total;
+    total += (heights.current.get(key) || estimateHeight) + gap;
+  });
+  total = Math.max(0, total - gap);
+
+  const layout = useRef(null);
+  layout.current = { keys, offsets };
+
+  // The first visible row and where it was, while the list is scrolled into.
+  const anchor = useRef(null);
+
+  const updateRange = useCallback(() => {
+    if (!container.current) return;
+    const { keys: rowKeys, offsets: rows } = layout.current;
+    if (!rows.length) {
+      anchor.current = null;
+      setRange((prev) => (prev.start === 0 && prev.end === 0 ? prev : { start: 0, end: 0 }));
+      return;
+    }
+    const { top, bottom } = viewportOf(container.current);
+    const next = { start: rowAt(rows, top - overscan), end: rowAt(rows, bottom + overscan) + 1 };
+    setRange((prev) => (prev.start === next.start && prev.end === next.end ? prev : next));
+    const first = rowAt(rows, top);
+    anchor.current = top > 0 ? { key: rowKeys[first], offset: rows[first] } : null;
+  }, [overscan]);
+
+  useEffect(() => {
+    let frame = null;
+    const onScroll = () => {
+      if (!window.requestAnimationFrame) {
+        updateRange();
+        return;
+      }
+      if (frame !== null) return;
+      frame = window.requestAnimationFrame(() => {
+        frame = null;
+        updateRange();
+      });
+    };
+    window.addEventListener('scroll', onScroll, { passive: true });
+    window.addEventListener('resize', onScroll);
+    return () => {
+      window.removeEventListener('scroll', onScroll);
+      window.removeEventListener('resize', onScroll);
+      if (frame !== null) window.cancelAnimationFrame(frame);
+    };
+  }, [updateRange]);
+
+  // After every layout: scroll by however far the anchor row moved, then
+  // mount the rows around the viewport and take the new anchor.
+  useLayoutEffect(() => {
+    if (!container.current) return;
+    const { keys: rowKeys, offsets: rows } = layout.current;
+    if (anchor.current) {
+      const index = rowKeys.indexOf(anchor.current.key);
+      const moved = index === -1 ? 0 : rows[index] - anchor.current.offset;
+      if (moved) window.scrollBy(0, moved);
+    }
+    updateRange();
+  });
+
+  // Row heights, measured as rows mount and whenever they change size.
+  const observer = useRef(null);
+  const rowElements = useRef(new Map());
+  useEffect(() => {
+    if (typeof ResizeObserver === 'undefined') return undefined;
+    const resizes = new ResizeObserver((entries) => {
+      let changed = false;
+      entries.forEach(({ target }) => {
+        const height = target.offsetHeight;
+        if (height > 0 && heights.current.get(target.dataset.key) !== height) {
+          heights.current.set(target.dataset.key, height);
+          changed = true;
+        }
+      });
+      if (changed) setMeasured((count) => count + 1);
+    });
+    observer.current = resizes;
+    rowElements.current.forEach((element) => resizes.observe(element));
+    return () => {
+      resizes.disconnect();
+      observer.current = null;
+    };
+  }, []);
+
+  // One ref callback per mounted row, so re-renders do not re-observe it.
+  const rowRefs = useRef(new Map());
+  const rowRef = (key) => {
+    if (!rowRefs.current.has(key)) {
+      rowRefs.current.set(key, (element) => {
+        const previous = rowElements.current.get(key);
+        if (previous && observer.current) observer.current.unobserve(previous);
+        if (element) {
+          rowElements.current.set(key, element);
+          if (observer.current) observer.current.observe(element);
+        } else {
+          rowElements.current.delete(key);
+          rowRefs.current.delete(key);
+        }
+      });
+    }
+    return rowRefs.current.get(key);
+  };
+
+  // Forget the heights of items that have left the list (mempool churn).
+  useEffect(() => {
+    if (heights.current.size <= 2 * items.length) return;
+    const present = new Set(layout.current.keys);
+    heights.current.forEach((_, key) => {
+      if (!present.has(key)) heights.current.delete(key);
+    });
+  }, [items]);
+
+  const endReached = useRef(onEndReached);
+  endReached.current = onEndReached;
+  useEffect(() => {
+    if (items.length && range.end >= items.length && endReached.current) endReached.current();
+  }, [range.end, items.length]);
+
+  const start = Math.min(range.start, items.length);
+  const end = Math.min(range.end, items.length);
+
+  return (
+    <Box
+      ref={container}
+      role="list"
+      sx={{ position: 'relative', height: total, overflowAnchor: 'none', ...sx }}
+      {...rest}
+    >
+      {items.slice(start, end).map((item, offset) => {
+        const index = start + offset;
+        const key = keys[index];
+        return (
+          <Box
+            key={key}
+            ref={rowRef(key)}
+            role="listitem"
+            aria-setsize={items.length}
+            aria-posinset={index + 1}
+            data-key={key}
+            sx={{ position: 'absolute', top: offsets[index], left: 0, right: 0 }}
+          >
+            {renderItem(item, index)}
+          </Box>
+        );
+      })}
+    </Box>
+  );
+};
+
+export default VirtualList;
@@ -0,0 +1,189 @@
+import React, {
+  createContext, useCallback, useContext, useEffect, useMemo, useRef, useState,
+} from 'react';
+import { useNetwork } from './NetworkContext';
+import { useLocale } from './LocaleContext';
+import {
+  ALERT_MESSAGE_TYPES, applyAlertMessage, createAlertRule, describeAlert, evaluateRule, metricValue,
+  loadAlertHistory, loadAlertRules, saveAlertHistory, saveAlertRules,
+} from '../utils/alerts';
+import { NOTIFICATION_TITLE, notificationPermission, showBrowserNotification } from '../utils/notifications';
+
+/** How often time-based rules ("no new block for N minutes") are re-checked. */
+export const ALERT_CHECK_INTERVAL = 15000;
+
+/**
+ * Alert rules and the notification center's history for the current network.
+ *
+ * AlertsProvider sits inside each layout's NetworkProvider, so exactly one
+ * monitor runs per page whatever renders the Header's AlertCenter (it appears
+ * in both the desktop and the mobile toolbar).
+ *
+ * A rule fires once when its condition starts to hold and re-arms when it
+ * stops holding, so a stale oracle price raises one alert rather than one per
+ * message. Each firing is added to the history (unread) and, once the user
+ * has granted permission, shown as a browser notification. The feed is only
+ * subscribed to while at least one rule is enabled.
+ *
+ * `useAlerts()` returns `{ rules, addRule, updateRule, removeRule, history,
+ * unreadCount, markAllRead, clearHistory, permission, requestPermission }`.
+ * Outside a provider (isolated component tests) it has no rules and no-ops.
+ */
+
+const AlertsContext = createContext(null);
+
+export const AlertsProvider = ({ children }) => {
+  const { name: network, wsClient } = useNetwork();
+  const { t } = useLocale();
+  const [rules, setRules] = useState(() => loadAlertRules(network));
+  const [history, setHistory] = useState(() => loadAlertHistory(network));
+  const [permission, setPermission] = useState(notificationPermission);
+
+  // Block-gap alerts count from when monitoring started until a block arrives.
+  const readingsRef = useRef({ lastBlockAt: Date.now() });
+  const firingRef = useRef(new Set());
+  const rulesRef = useRef(rules);
+  rulesRef.current = rules;
+  const tRef = useRef(t);
+  tRef.current = t;
+
+  useEffect(() => {
+    setRules(loadAlertRules(network));
+    setHistory(loadAlertHistory(network));
+    firingRef.current = new Set();
+  }, [network]);
+
+  const updateRules = useCallback((update) => {
+    setRules((prev) => {
+      const next = update(prev);
+      saveAlertRules(network, next);
+      return next;
+    });
+  }, [network]);
+
+  const updateHistory = useCallback((update) => {
+    setHistory((prev) => saveAlertHistory(network, update(prev)));
+  }, [network]);
+
+  const evaluate = useCallback(() => {
+    const now = Date.now();
+    const describe = describeAlert(tRef.current);
+    const fired = [];
+    rulesRef.current.forEach((rule) => {
+      if (!rule.enabled) return;
+      const holds = evaluateRule(rule, readingsRef.current, now);
+      if (!holds) {
+        firingRef.current.delete(rule.id);
+        return;
+      }
+      if (firingRef.current.has(rule.id)) return;
+      firingRef.current.add(rule.id);
+      const value = metricValue(rule.metric, readingsRef.current, now);
+      fired.push({
+        id: `${rule.id}-${now}`,
+        ruleId: rule.id,
+        network,
+        title: describe.rule(rule),
+        detail: tRef.current('alerts.currentValue', { value: describe.value(rule.metric, value) }),
+        at: now,
+        read: false,
+      });
+    });
+    if (!fired.length) return;
+    updateHistory((prev) => [...fired, ...prev]);
+    fired.forEach((entry) => showBrowserNotification(NOTIFICATION_TITLE, {
+      body: `${entry.title} — ${entry.detail}`,
+      tag: entry.ruleId,
+    }));
+  }, [network, updateHistory]);
+
+  const monitoring = rules.some((rule) => rule.enabled);
+
+  useEffect(() => {
+    if (!wsClient || !monitoring) return undefined;
+    const unsubscribe = wsClient.subscribe(ALERT_MESSAGE_TYPES, (message) => {
+      readingsRef.current = applyAlertMessage(readingsRef.current, message, Date.now());
+      evaluate();
+    });
+    const timer = setInterval(evaluate, ALERT_CHECK_INTERVAL);
+    return () => {
+      unsubscribe();
+      clearInterval(timer);
+    };
+  }, [wsClient, monitoring, evaluate]);
+
+  // Re-check after the rule set changes, so a new rule fires on known data.
+  useEffect(() => {
+    if (monitoring) evaluate();
+  }, [rules, monitoring, evaluate]);
+
+  const addRule = useCallback((metric, overrides) => {
+    updateRules((prev) => [...prev, createAlertRule(network, metric, overrides)]);
+  }, [network, updateRules]);
+
+  const updateRule = useCallback((id, changes) => {
+    if ('enabled' in changes || 'threshold' in changes || 'operator' in changes) {
+      firingRef.current.delete(id);
+    }
+    updateRules((prev) => prev.map((rule) => (rule.id === id ? { ...rule, ...changes } : rule)));
+  }, [updateRules]);
+
+  const removeRule = useCallback((id) => {
+    firingRef.current.delete(id);
+    updateRules((prev) => prev.filter((rule) => rule.id !== id));
+  }, [updateRules]);
+
+  const markAllRead = useCallback(() => {
+    updateHistory((prev) => prev.map((entry) => (entry.read ? entry : { ...entry, read: true })));
+  }, [updateHistory]);
+
+  const clearHistory = useCallback(() => updateHistory(() => []), [updateHistory]);
+
+  const requestPermission = useCallback(() => {
+    if (notificationPermission() === 'unsupported') return Promise.resolve('unsupported');
+    return Promise.resolve(window.Notification.requestPermission())
+      .then((result) => {
+        setPermission(result);
+        return result;
+      })
+      .catch(() => notificationPermission());
+  }, []);
+
+  const value = useMemo(() => ({
+    rules,
+    addRule,
+    updateRule,
+    removeRule,
+    history,
+    unreadCount: history.filter((entry) => !entry.read).length,
+    markAllRead,
+    clearHistory,
+    permission,
+    requestPermission,
+  }), [rules, addRule, updateRule, removeRule, history, markAllRead, clearHistory, permission, requestPermission]);
+
+  return (
+    <AlertsContext.Provider value={value}>
+      {children}
+    </AlertsContext.Provider>
+  );
+};
+
+const noop = () => {};
+
+const FALLBACK = {
+  rules: [],
+  addRule: noop,
+  updateRule: noop,
+  removeRule: noop,
+  history: [],
+  unreadCount: 0,
+  markAllRead: noop,
+  clearHistory: noop,
+  permission: notificationPermission(),
+  requestPermission: () => Promise.resolve(notificationPermission()),
+};
+
+export const useAlerts = () => useContext(AlertsContext) || FALLBACK;
+
+export default AlertsContext;
@@ -0,0 +1,99 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+
+/**
+ * Light / dark / system colour-mode preference, persisted in localStorage.
+ *
+ * `preference` is what the user picked; `mode` is what is rendered — for
+ * 'system' it follows `prefers-color-scheme` and updates live when the OS
+ * setting changes. Consumers outside a provider (isolated component tests)
+ * get a fixed light mode; FixedColorModeProvider pins a mode for a subtree
+ * (embed widgets take theirs from the URL).
+ */
+
+export const COLOR_MODE_KEY = 'dgbstats.colorMode';
+export const COLOR_MODE_PREFERENCES = ['light', 'dark', 'system'];
+
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+const ColorModeContext = createContext(null);
+
+const FALLBACK = {
+  preference: 'light',
+  mode: 'light',
+  setPreference: () => {},
+  cyclePreference: () => {},
+};
+
+const readPreference = () => {
+  try {
+    const stored = window.localStorage.getItem(COLOR_MODE_KEY);
+    return COLOR_MODE_PREFERENCES.includes(stored) ? stored : 'system';
+  } catch (error) {
+    return 'system';
+  }
+};
+
+const systemPrefersDark = () => (
+  typeof window !== 'undefined' && typeof window.matchMedia === 'function'
+    ? !!window.matchMedia(DARK_QUERY)?.matches
+    : false
+);
+
+export const ColorModeProvider = ({ children }) => {
+  const [preference, setPreferenceState] = useState(readPreference);
+  const [systemDark, setSystemDark] = useState(systemPrefersDark);
+
+  useEffect(() => {
+    if (typeof window.matchMedia !== 'function') return undefined;
+    const query = window.matchMedia(DARK_QUERY);
+    if (!query?.addEventListener) return undefined;
+    const handleChange = (event) => setSystemDark(event.matches);
+    query.addEventListener('change', handleChange);
+    return () => query.removeEventListener('change', handleChange);
+  }, []);
+
+  const value = useMemo(() => {
+    const setPreference = (next) => {
+      if (!COLOR_MODE_PREFERENCES.includes(next)) return;
+      setPreferenceState(next);
+      try {
+        window.localStorage.setItem(COLOR_MODE_KEY, next);
+      } catch (error) {
+        // Unpersisted is fine; the choice still applies to this visit.
+      }
+    };
+    const index = COLOR_MODE_PREFERENCES.indexOf(preference);
+    return {
+      preference,
+      mode: preference === 'system' ? (systemDark ? 'dark' : 'light') : preference,
+      setPreference,
+      cyclePreference: () => setPreference(COLOR_MODE_PREFERENCES[(index + 1) % COLOR_MODE_PREFERENCES.length]),
+    };
+  }, [preference, systemDark]);
+
+  return (
+    <ColorModeContext.Provider value={value}>
+      {children}
+    </ColorModeContext.Provider>
+  );
+};
+
+/**
+ * Pin the colour mode of a subtree, ignoring the stored preference. Changes
+ * requested inside it are ignored.
+ *
+ * @param {{ mode: 'light'|'dark', children: React.ReactNode }} props
+ */
+export const FixedColorModeProvider = ({ mode, children }) => {
+  const value = useMemo(() => ({ ...FALLBACK, preference: mode, mode }), [mode]);
+
+  return (
+    <ColorModeContext.Provider value={value}>
+      {children}
+    </ColorModeContext.Provider>
+  );
+};
+
+export const useColorMode = () => useContext(ColorModeContext) || FALLBACK;
+
+export default ColorModeContext;
@@ -0,0 +1,133 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { DEFAULT_LOCALE, matchLocale, translate } from '../locales';
+import * as format from '../utils/format';
+
+/**
+ * Interface language and locale-aware formatting.
+ *
+ * The locale comes from, in order: a `?lang=` URL parameter (so links can be
+ * shared in a language), the choice stored in localStorage, the browser's
+ * languages, then English. A `?lang=` value is also stored, so it sticks once
+ * the parameter is gone. `setLocale` (the Header language selector) stores
+ * the choice and rewrites `?lang=` when the current URL carries one.
+ *
+ * The provider sits inside the router. Consumers outside a provider
+ * (isolated component tests) get English and a no-op `setLocale`.
+ */
+
+export const LOCALE_KEY = 'dgbstats.locale';
+export const LANG_PARAM = 'lang';
+
+const LocaleContext = createContext(null);
+
+const RICH_TOKEN = /<(strong|em|code)>(.*?)<\/\1>|\{(\w+)\}/g;
+
+const readStoredLocale = () => {
+  try {
+    return matchLocale(window.localStorage.getItem(LOCALE_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+const storeLocale = (locale) => {
+  try {
+    window.localStorage.setItem(LOCALE_KEY, locale);
+  } catch (error) {
+    // Unpersisted is fine; the choice still applies to this visit.
+  }
+};
+
+const browserLocale = () => {
+  const tags = window.navigator?.languages?.length
+    ? window.navigator.languages
+    : [window.navigator?.language];
+  return tags.map(matchLocale).find(Boolean) || null;
+};
+
+const urlLocale = (search) => matchLocale(new URLSearchParams(search).get(LANG_PARAM));
+
+/**
+ * Render a message with <strong>/<em>/<code> tags and `{name}` placeholders
+ * as React nodes; placeholder values may themselves be elements.
+ */
+const renderRich = (message, vars = {}) => {
+  const nodes = [];
+  const token = new RegExp(RICH_TOKEN.source, 'g');
+  let last = 0;
+  let match;
+  while ((match = token.exec(message))) {
+    if (match.index > last) nodes.push(message.slice(last, match.index));
+    const key = nodes.length;
+    if (match[1]) {
+      nodes.push(React.createElement(match[1], { key }, renderRich(match[2], vars)));
+    } else {
+      nodes.push(match[3] in vars ? <React.Fragment key={key}>{vars[match[3]]}</React.Fragment> : match[0]);
+    }
+    last = token.lastIndex;
+  }
+  if (last < message.length) nodes.push(message.slice(last));
+  return nodes;
+};
+
+const buildValue = (locale, setLocale) => ({
+  locale,
+  setLocale,
+  t: (key, vars) => translate(locale, key, vars),
+  tRich: (key, vars) => renderRich(translate(locale, key), vars),
+  formatNumber: (value, options) => format.formatNumber(value, locale, options),
+  formatDate: (value, options) => format.formatDate(value, locale, options),
+  formatDgb: (value) => format.formatDgb(value, locale),
+  formatBlockTime: (seconds) => format.formatBlockTime(seconds, locale),
+  formatRelativeTime: (timestamp, options) => format.formatRelativeTime(timestamp, locale, {
+    justNow: translate(locale, 'time.justNow'),
+    ...options,
+  }),
+});
+
+const FALLBACK = buildValue(DEFAULT_LOCALE, () => {});
+
+export const LocaleProvider = ({ children }) => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [locale, setLocaleState] = useState(() => (
+    urlLocale(location.search) || readStoredLocale() || browserLocale() || DEFAULT_LOCALE
+  ));
+
+  // Follow ?lang= on the initial URL and on later navigations.
+  useEffect(() => {
+    const requested = urlLocale(location.search);
+    if (!requested) return;
+    setLocaleState(requested);
+    storeLocale(requested);
+  }, [location.search]);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const setLocale = useCallback((next) => {
+    const code = matchLocale(next);
+    if (!code) return;
+    setLocaleState(code);
+    storeLocale(code);
+    const params = new URLSearchParams(location.search);
+    if (params.has(LANG_PARAM)) {
+      params.set(LANG_PARAM, code);
+      navigate({ pathname: location.pathname, search: `?${params}`, hash: location.hash }, { replace: true });
+    }
+  }, [location.pathname, location.search, location.hash, navigate]);
+
+  const value = useMemo(() => buildValue(locale, setLocale), [locale, setLocale]);
+
+  return (
+    <LocaleContext.Provider value={value}>
+      {children}
+    </LocaleContext.Provider>
+  );
+};
+
+export const useLocale = () => useContext(LocaleContext) || FALLBACK;
+
+export default LocaleContext;
@@ -1,4 +1,8 @@
-import React, { createContext, useContext, useMemo } from 'react';
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { createWsClient } from '../utils/wsClient';
+import { createSnapshotStore } from '../utils/offlineSnapshot';
+import { getRuntimeEndpoints } from '../utils/runtimeConfig';
+import { useColorMode } from './ColorModeContext';
 
 const NetworkContext = createContext(null);
 
@@ -18,6 +22,12 @@ const NETWORK_CONFIG = {
       secondary: '#0066cc',
       gradient: 'linear-gradient(135deg, #002352 0%, #0066cc 100%)'
     },
+    // Lifted for contrast on dark surfaces; served as `theme` in dark mode.
+    darkTheme: {
+      primary: '#3d8bfd',
+      secondary: '#6ea8fe',
+      gradient: 'linear-gradient(135deg, #0a3a7a 0%, #3d8bfd 100%)'
+    },
     activation: {
       activationThreshold: 70,
       activationWindow: 40320,
@@ -48,10 +58,7 @@ const NETWORK_CONFIG = {
       totalSlots: 35,
       activeSlots: 35,
       threshold: 7,
-      releaseLabel: 'Mainnet',
-      rosterLabel: 'mainnet roster',
-      operatorSlotLabel: 'assigned mainnet oracle slot',
-      phaseSummary: '7 of 35 signatures required | 35-slot reserved roster | MuSig2 aggregate signing (v0x03)'
+      releaseLabel: 'Mainnet'
     },
     cliDeploymentCommand: 'digibyte-cli getdigidollardeploymentinfo'
   },
@@ -68,6 +75,11 @@ const NETWORK_CONFIG = {
       secondary: '#4caf50',
       gradient: 'linear-gradient(135deg, #2e7d32 0%, #4caf50 100%)'
     },
+    darkTheme: {
+      primary: '#43a047',
+      secondary: '#66bb6a',
+      gradient: 'linear-gradient(135deg, #1b5e20 0%, #43a047 100%)'
+    },
     activation: {
       activationThreshold: 70,
       activationWindow: 200,
@@ -98,10 +110,7 @@ const NETWORK_CONFIG = {
       totalSlots: 35,
       activeSlots: 35,
       threshold: 7,
-      releaseLabel: 'Testnet26',
-      rosterLabel: 'testnet roster',
-      operatorSlotLabel: 'assigned testnet26 oracle slot',
-      phaseSummary: '7 of 35 signatures required | 35-slot reserved roster | 35 testnet roster oracles | MuSig2 aggregate signing (v0x03)'
+      releaseLabel: 'Testnet26'
     },
     cliDeploymentCommand: 'digibyte-cli -testnet getdigidollardeploymentinfo'
   }
@@ -113,23 +122,54 @@ function joinNetworkPath(basePath, endpoint) {
   return `${basePath || ''}${normalizedEndpoint}`;
 }
 
+/**
+ * Network config with any `/runtime-config.json` endpoint overrides applied
+ * (see utils/runtimeConfig.js).
+ */
 export const getNetworkConfig = (network = 'mainnet') => {
-  return NETWORK_CONFIG[network] || NETWORK_CONFIG.mainnet;
+  const config = NETWORK_CONFIG[network] || NETWORK_CONFIG.mainnet;
+  const overrides = getRuntimeEndpoints(config.name);
+  return Object.keys(overrides).length ? { ...config, ...overrides } : config;
 };
 
 export const NetworkProvider = ({ children, network = 'mainnet' }) => {
-  const config = getNetworkConfig(network);
+  const config = useMemo(() => getNetworkConfig(network), [network]);
+  const { mode } = useColorMode();
+
+  // One shared WebSocket per network; pages subscribe through useWsMessage.
+  // Its snapshots are kept in IndexedDB so offline visits show last-known data.
+  // The client is created by the effect that closes it, so every mount (also
+  // StrictMode's development remount) gets a live client of its own; it is
+  // null until then, and never the previous network's client after a switch.
+  const clientKey = `${config.name}|${config.wsBaseUrl}`;
+  const [client, setClient] = useState({ key: null, wsClient: null });
+  useEffect(() => {
+    const created = createWsClient(config.wsBaseUrl, { snapshotStore: createSnapshotStore(config.name) });
+    setClient({ key: clientKey, wsClient: created });
+    return () => created.close();
+  }, [clientKey, config.wsBaseUrl, config.name]);
+  const wsClient = client.key === clientKey ? client.wsClient : null;
+
+  // URL builders depend on the config alone, so a theme toggle or a new
+  // client does not re-run every effect that fetches through them.
+  const getApiUrl = useCallback((endpoint) => {
+    const prefix = config.apiPrefix || '';
+    return `${config.apiBaseUrl}/api${prefix}${endpoint}`;
+  }, [config]);
+  const getNetworkPath = useCallback(
+    (endpoint) => joinNetworkPath(config.basePath, endpoint),
+    [config]
+  );
 
   const value = useMemo(() => ({
     ...config,
+    theme: mode === 'dark' ? config.darkTheme : config.theme,
+    wsClient,
     isTestnet: config.name === 'testnet',
     isMainnet: config.name === 'mainnet',
-    getApiUrl: (endpoint) => {
-      const prefix = config.apiPrefix || '';
-      return `${config.apiBaseUrl}/api${prefix}${endpoint}`;
-    },
-    getNetworkPath: (endpoint) => joinNetworkPath(config.basePath, endpoint)
-  }), [config]);
+    getApiUrl,
+    getNetworkPath
+  }), [config, mode, wsClient, getApiUrl, getNetworkPath]);
 
   return (
     <NetworkContext.Provider value={value}>
@@ -0,0 +1,122 @@
+import React, {
+  createContext, useCallback, useContext, useEffect, useMemo, useRef, useState,
+} from 'react';
+import { useNetwork } from './NetworkContext';
+import {
+  TX_WATCH_MESSAGE_TYPES, DEFAULT_CONFIRMATION_TARGET, applyWatchMessage, createWatch, settleWatch,
+  newlyCompleted, loadWatches, saveWatches,
+} from '../utils/txWatch';
+import { NOTIFICATION_TITLE, showBrowserNotification } from '../utils/notifications';
+
+/**
+ * Watched transactions of the current network (utils/txWatch.js).
+ *
+ * TxWatchProvider sits next to AlertsProvider in each layout, so a watch
+ * keeps following the feed while the user browses other pages. The feed is
+ * only subscribed to while a watch has not completed; its snapshots
+ * (`recentBlocks`, `mempool`, `recentTransactions`) are replayed on
+ * subscribing, so a watchlist restored from localStorage catches up at once.
+ * A watch reaching its confirmation target raises a browser notification
+ * once the user has granted permission (see `useAlerts().requestPermission`).
+ *
+ * `useTxWatch()` returns `{ watches, isWatched, watch, unwatch, setTarget,
+ * clearFinished }`. Outside a provider (isolated component tests) it has no
+ * watches and no-ops.
+ */
+
+const TxWatchContext = createContext(null);
+
+const shortTxid = (txid) => `${txid.slice(0, 10)}…${txid.slice(-6)}`;
+
+export const TxWatchProvider = ({ children }) => {
+  const { name: network, wsClient } = useNetwork();
+  const [state, setState] = useState(() => ({ watches: loadWatches(network), tipHeight: null }));
+  const stateRef = useRef(state);
+
+  // Every change goes through here: saved, rendered, and completions notified.
+  const commit = useCallback((next) => {
+    const prev = stateRef.current;
+    if (next === prev) return;
+    const watches = saveWatches(network, next.watches);
+    stateRef.current = { ...next, watches };
+    setState(stateRef.current);
+    newlyCompleted(prev.watches, watches).forEach((watch) => showBrowserNotification(NOTIFICATION_TITLE, {
+      body: `Transaction ${shortTxid(watch.txid)} reached ${watch.confirmations} confirmations (block ${watch.blockHeight})`,
+      tag: `tx-${watch.txid}`,
+    }));
+  }, [network]);
+
+  useEffect(() => {
+    stateRef.current = { watches: loadWatches(network), tipHeight: null };
+    setState(stateRef.current);
+  }, [network]);
+
+  const tracking = state.watches.some((watch) => watch.status !== 'complete');
+
+  useEffect(() => {
+    if (!wsClient || !tracking) return undefined;
+    return wsClient.subscribe(TX_WATCH_MESSAGE_TYPES, (message) => {
+      commit(applyWatchMessage(stateRef.current, message, Date.now()));
+    });
+  }, [wsClient, tracking, commit]);
+
+  const watch = useCallback((tx, target = DEFAULT_CONFIRMATION_TARGET) => {
+    const current = stateRef.current;
+    if (!tx?.txid || current.watches.some((entry) => entry.txid === tx.txid)) return;
+    const entry = createWatch(network, tx, { target, tipHeight: current.tipHeight });
+    commit({ ...current, watches: [entry, ...current.watches] });
+  }, [network, commit]);
+
+  const unwatch = useCallback((txid) => {
+    const current = stateRef.current;
+    commit({ ...current, watches: current.watches.filter((entry) => entry.txid !== txid) });
+  }, [commit]);
+
+  const setTarget = useCallback((txid, target) => {
+    const current = stateRef.current;
+    commit({
+      ...current,
+      watches: current.watches.map((entry) => (
+        entry.txid === txid ? settleWatch({ ...entry, target }, current.tipHeight) : entry
+      )),
+    });
+  }, [commit]);
+
+  const clearFinished = useCallback(() => {
+    const current = stateRef.current;
+    commit({ ...current, watches: current.watches.filter((entry) => entry.status !== 'complete') });
+  }, [commit]);
+
+  const value = useMemo(() => {
+    const watched = new Set(state.watches.map((entry) => entry.txid));
+    return {
+      watches: state.watches,
+      isWatched: (txid) => watched.has(txid),
+      watch,
+      unwatch,
+      setTarget,
+      clearFinished,
+    };
+  }, [state.watches, watch, unwatch, setTarget, clearFinished]);
+
+  return (
+    <TxWatchContext.Provider value={value}>
+      {children}
+    </TxWatchContext.Provider>
+  );
+};
+
+const noop = () => {};
+
+const FALLBACK = {
+  watches: [],
+  isWatched: () => false,
+  watch: noop,
+  unwatch: noop,
+  setTarget: noop,
+  clearFinished: noop,
+};
+
+export const useTxWatch = () => useContext(TxWatchContext) || FALLBACK;
+
+export default TxWatchContext;
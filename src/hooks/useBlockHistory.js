@@ -0,0 +1,156 @@
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { useNetwork } from '../context/NetworkContext';
+import { useWsMessage } from './useWsMessage';
+import {
+  BLOCK_FETCH_LIMIT, BLOCK_FETCH_MAX, blockMatchesFilters, mergeBlocks, lowestHeight,
+  blocksEndpoint, parseBlocksResponse,
+} from '../utils/blockPaging';
+
+// Pause in pool-filter typing (ms) before it starts a new history fetch.
+export const POOL_FILTER_DELAY = 300;
+
+const EMPTY_LIVE = { blocks: [], loaded: false };
+const EMPTY_PAGES = { key: null, blocks: [], cursor: null, hasMore: true, loadingMore: false, error: null };
+
+/**
+ * useBlockHistory — the block list for BlocksPage: the live WebSocket window
+ * (`recentBlocks` + `newBlock`) continued downwards with older blocks from
+ * `GET /api/blocks?before=&limit=` (see src/utils/blockPaging.js).
+ *
+ * Live pushes are merged in at the top (a replayed or reconnect
+ * `recentBlocks` is merged too, so older pages already loaded stay put).
+ * Older pages are fetched only while fewer than `needed` blocks pass the
+ * filters, and are dropped when the filters, the start height or the
+ * network change; a request still in flight then is aborted. The pool
+ * filter is free text, so it applies once typing pauses for
+ * POOL_FILTER_DELAY rather than on every keystroke.
+ *
+ * @param {object} opts
+ * @param {import('../utils/blockPaging').BlockFilters} [opts.filters]
+ * @param {number|null} [opts.startHeight] browse from this height down
+ *   (height jump) instead of from the chain tip; live pushes are not shown
+ * @param {number} [opts.needed] how many matching blocks the caller wants
+ * @returns {{ blocks:Array, loading:boolean, loadingMore:boolean, hasMore:boolean, error:string|null, retry:Function }}
+ */
+export const useBlockHistory = ({ filters = {}, startHeight = null, needed = 0 } = {}) => {
+  const { name, getApiUrl } = useNetwork();
+  const { algo = '', bundle = false } = filters;
+  const typedPool = (filters.pool || '').trim();
+
+  const [pool, setPool] = useState(typedPool);
+  useEffect(() => {
+    if (typedPool === pool) return undefined;
+    const timer = setTimeout(() => setPool(typedPool), POOL_FILTER_DELAY);
+    return () => clearTimeout(timer);
+  }, [typedPool, pool]);
+
+  // Keyed by network, so switching networks starts from the new live window.
+  const [liveState, setLive] = useState({ network: name, blocks: [], loaded: false });
+  const live = liveState.network === name ? liveState : EMPTY_LIVE;
+  const [pages, setPages] = useState(EMPTY_PAGES);
+
+  useWsMessage(['recentBlocks', 'newBlock'], (message) => {
+    setLive((prev) => {
+      const prevBlocks = prev.network === name ? prev.blocks : [];
+      if (message.type === 'recentBlocks') {
+        return { network: name, blocks: mergeBlocks(message.data, prevBlocks), loaded: true };
+      }
+      return {
+        network: name,
+        blocks: mergeBlocks([message.data], prevBlocks),
+        loaded: prev.network === name && prev.loaded,
+      };
+    });
+  });
+
+  const key = `${name}|${algo}|${pool}|${bundle ? 1 : 0}|${startHeight ?? ''}`;
+  const current = pages.key === key ? pages : EMPTY_PAGES;
+
+  // Live blocks in view, and how far down the live window has been scanned:
+  // older pages continue from there, or from the jump height when the live
+  // window does not reach down to it.
+  const { liveBlocks, liveCursor } = useMemo(() => {
+    const low = lowestHeight(live.blocks);
+    const inView = startHeight === null
+      ? live.blocks
+      : live.blocks.filter((block) => block.height <= startHeight);
+    const cursor = startHeight === null || (low !== null && startHeight >= low) ? low : startHeight + 1;
+    return {
+      liveBlocks: inView.filter((block) => blockMatchesFilters(block, { algo, pool, bundle })),
+      liveCursor: cursor,
+    };
+  }, [live.blocks, startHeight, algo, pool, bundle]);
+
+  const blocks = useMemo(
+    () => mergeBlocks(liveBlocks, current.blocks),
+    [liveBlocks, current.blocks],
+  );
+
+  const cursor = current.cursor ?? liveCursor;
+  const hasMore = current.hasMore && cursor !== null && cursor > 0;
+
+  const isMounted = useRef(true);
+  useEffect(() => {
+    isMounted.current = true;
+    return () => { isMounted.current = false; };
+  }, []);
+
+  // The history request in flight, aborted once its key is superseded.
+  const inFlight = useRef(null);
+  useEffect(() => () => {
+    if (inFlight.current) inFlight.current.abort();
+    inFlight.current = null;
+  }, [key]);
+
+  const wantMore = live.loaded && hasMore && !current.loadingMore && !current.error && blocks.length < needed;
+  const shortfall = needed - blocks.length;
+
+  useEffect(() => {
+    if (!wantMore) return;
+    const limit = Math.min(BLOCK_FETCH_MAX, Math.max(BLOCK_FETCH_LIMIT, shortfall));
+    setPages((prev) => ({ ...(prev.key === key ? prev : EMPTY_PAGES), key, loadingMore: true, error: null }));
+
+    // Only the response for the current key is applied.
+    const apply = (update) => {
+      if (!isMounted.current) return;
+      setPages((prev) => (prev.key === key ? { ...prev, loadingMore: false, ...update(prev) } : prev));
+    };
+
+    const controller = new AbortController();
+    inFlight.current = controller;
+
+    fetch(getApiUrl(blocksEndpoint({ before: cursor, limit, algo, pool, bundle })), { signal: controller.signal })
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then((json) => apply((prev) => {
+        const page = parseBlocksResponse(json, limit);
+        const low = lowestHeight(page.blocks);
+        // A page that does not reach below the cursor would be fetched forever.
+        if (low === null || low >= cursor) return { hasMore: false };
+        return { blocks: mergeBlocks(prev.blocks, page.blocks), cursor: low, hasMore: page.hasMore };
+      }))
+      .catch((err) => {
+        if (err.name !== 'AbortError') apply(() => ({ error: err.message }));
+      })
+      .finally(() => {
+        if (inFlight.current === controller) inFlight.current = null;
+      });
+  }, [wantMore, key, cursor, shortfall, getApiUrl, algo, pool, bundle]);
+
+  const retry = useCallback(() => {
+    setPages((prev) => (prev.key === key ? { ...prev, error: null } : prev));
+  }, [key]);
+
+  return {
+    blocks,
+    loading: !live.loaded,
+    loadingMore: current.loadingMore,
+    hasMore,
+    error: current.error,
+    retry,
+  };
+};
+
+export default useBlockHistory;
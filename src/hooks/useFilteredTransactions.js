@@ -0,0 +1,70 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  WORKER_THRESHOLD, filterAndSortTransactions, txFilterRow,
+} from '../utils/txFilter';
+
+/**
+ * useFilteredTransactions — a transaction list searched, filtered and sorted
+ * for TxsPage (src/utils/txFilter.js).
+ *
+ * Lists shorter than WORKER_THRESHOLD are filtered during render. Longer
+ * ones (a busy mempool, re-filtered on every feed message) go to a web
+ * worker (src/workers/txFilter.worker.js): the page keeps showing the last
+ * answer, marked `pending`, until the worker returns the new order, and an
+ * answer to a superseded request is dropped. Before the first answer the
+ * list is filtered during render, so unfiltered rows are never shown. Without Worker support, or if
+ * the worker fails, everything is filtered during render.
+ *
+ * @param {object[]} transactions
+ * @param {{ search: string, priority: string, sort: string }} options
+ * @returns {{ transactions: object[], pending: boolean }}
+ */
+export const useFilteredTransactions = (transactions, { search, priority, sort }) => {
+  const [workerFailed, setWorkerFailed] = useState(false);
+  const inWorker = !workerFailed && typeof Worker !== 'undefined' && transactions.length >= WORKER_THRESHOLD;
+  const key = `${search}|${priority}|${sort}`;
+
+  // The worker's last answer, with the list and options it answers for.
+  const [answer, setAnswer] = useState({ source: null, key: null, transactions: null });
+
+  const filterLocally = !inWorker || answer.transactions === null;
+  const local = useMemo(
+    () => (filterLocally ? filterAndSortTransactions(transactions, { search, priority, sort }) : null),
+    [filterLocally, transactions, search, priority, sort]
+  );
+  const worker = useRef(null);
+  const lastRequest = useRef(0);
+
+  useEffect(() => {
+    if (!inWorker) return;
+    if (!worker.current) {
+      try {
+        worker.current = new Worker(new URL('../workers/txFilter.worker.js', import.meta.url));
+      } catch (error) {
+        setWorkerFailed(true);
+        return;
+      }
+    }
+    lastRequest.current += 1;
+    const id = lastRequest.current;
+    worker.current.onmessage = ({ data }) => {
+      if (data.id !== lastRequest.current) return;
+      setAnswer({ source: transactions, key, transactions: data.indices.map((index) => transactions[index]) });
+    };
+    worker.current.onerror = () => setWorkerFailed(true);
+    worker.current.postMessage({ id, rows: transactions.map(txFilterRow), options: { search, priority, sort } });
+  }, [inWorker, transactions, key, search, priority, sort]);
+
+  useEffect(() => () => {
+    if (worker.current) worker.current.terminate();
+    worker.current = null;
+  }, []);
+
+  if (!inWorker) return { transactions: local, pending: false };
+  return {
+    transactions: answer.transactions || local,
+    pending: answer.source !== transactions || answer.key !== key,
+  };
+};
+
+export default useFilteredTransactions;
@@ -0,0 +1,47 @@
+import { useState, useEffect } from 'react';
+import { useNetwork } from '../context/NetworkContext';
+import { parseMempoolHistory } from '../utils/mempoolHistory';
+
+/**
+ * useMempoolHistory — fetch the server's recorded mempool series for the
+ * current network, for the ranges the session buffer cannot cover.
+ *
+ * Endpoint (network-aware via getApiUrl):
+ *   GET /api/history/mempool?hours=168 → `{ data: [{ time, count, bytes, medianFeeRate }] }`
+ *
+ * The series is optional: a backend without it answers 404, and the chart
+ * falls back to this session's samples (`available: false`).
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.hours=168] depth to request (the 7D range)
+ * @returns {{ samples: Array, available: boolean, loading: boolean }}
+ */
+export const useMempoolHistory = ({ hours = 168 } = {}) => {
+  const { getApiUrl } = useNetwork();
+  const [state, setState] = useState({ samples: [], available: false, loading: true });
+
+  useEffect(() => {
+    let alive = true;
+    setState((s) => ({ ...s, loading: true }));
+
+    fetch(getApiUrl(`/history/mempool?hours=${hours}`))
+      .then((r) => {
+        if (!r.ok) throw new Error(`HTTP ${r.status}`);
+        return r.json();
+      })
+      .then((json) => {
+        if (!alive) return;
+        setState({ samples: parseMempoolHistory(json), available: true, loading: false });
+      })
+      .catch(() => {
+        if (!alive) return;
+        setState({ samples: [], available: false, loading: false });
+      });
+
+    return () => { alive = false; };
+  }, [getApiUrl, hours]);
+
+  return state;
+};
+
+export default useMempoolHistory;
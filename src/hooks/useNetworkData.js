@@ -1,157 +1,113 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { useNetwork } from '../context/NetworkContext';
+import { useWsMessage, useWsStatus } from './useWsMessage';
+import { ALL_MESSAGES } from '../utils/wsClient';
 
 /**
- * Hook for fetching blockchain info with network awareness
+ * Parse a /getblockreward response into a number. Accepts the current
+ * `{ blockReward: { blockreward } }` shape and the legacy flat shapes.
  */
-export const useBlockchainInfo = () => {
+export const parseBlockRewardResponse = (data) => {
+  const rewardValue = data?.blockReward?.blockreward ?? data?.blockreward ?? data?.blockReward;
+  if (rewardValue == null) return null;
+
+  const parsedReward = parseFloat(rewardValue);
+  return Number.isFinite(parsedReward) ? parsedReward : null;
+};
+
+/**
+ * Shared fetch (and optional poll) of one network-prefixed REST endpoint.
+ * `loading` is only true until the first response; polls refresh `data` in place.
+ */
+const useNetworkEndpoint = (endpoint, errorMessage, { pollInterval = 0, transform } = {}) => {
   const { getApiUrl } = useNetwork();
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const transformRef = useRef(transform);
+  transformRef.current = transform;
 
-  const fetchData = useCallback(async () => {
+  // `isCancelled` belongs to one effect run, so a response that lands after a
+  // network switch or unmount is dropped even if a newer run is already live.
+  const fetchData = useCallback(async (isCancelled = () => false) => {
     try {
-      setLoading(true);
-      const response = await fetch(getApiUrl('/getblockchaininfo'));
-      if (!response.ok) throw new Error('Failed to fetch blockchain info');
+      const response = await fetch(getApiUrl(endpoint));
+      if (!response.ok) throw new Error(errorMessage);
       const result = await response.json();
-      setData(result);
+      if (isCancelled()) return;
+      setData(transformRef.current ? transformRef.current(result) : result);
       setError(null);
     } catch (err) {
+      if (isCancelled()) return;
       setError(err);
-      console.error('Error fetching blockchain info:', err);
+      console.error(`${errorMessage}:`, err);
     } finally {
-      setLoading(false);
+      if (!isCancelled()) setLoading(false);
     }
-  }, [getApiUrl]);
+  }, [getApiUrl, endpoint, errorMessage]);
 
   useEffect(() => {
-    fetchData();
-  }, [fetchData]);
+    let cancelled = false;
+    const run = () => fetchData(() => cancelled);
+    run();
+    const interval = pollInterval > 0 ? setInterval(run, pollInterval) : null;
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [fetchData, pollInterval]);
+
+  const refetch = useCallback(() => fetchData(), [fetchData]);
 
-  return { data, loading, error, refetch: fetchData };
+  return { data, loading, error, refetch };
 };
 
 /**
- * Hook for fetching chain tx stats with network awareness
+ * Hook for fetching blockchain info with network awareness
+ *
+ * @param {{ pollInterval?: number }} [options] re-fetch every `pollInterval` ms
  */
-export const useChainTxStats = () => {
-  const { getApiUrl } = useNetwork();
-  const [data, setData] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-
-  useEffect(() => {
-    const fetchData = async () => {
-      try {
-        const response = await fetch(getApiUrl('/getchaintxstats'));
-        if (!response.ok) throw new Error('Failed to fetch chain tx stats');
-        const result = await response.json();
-        setData(result);
-      } catch (err) {
-        setError(err);
-      } finally {
-        setLoading(false);
-      }
-    };
-    fetchData();
-  }, [getApiUrl]);
+export const useBlockchainInfo = (options) =>
+  useNetworkEndpoint('/getblockchaininfo', 'Failed to fetch blockchain info', options);
 
-  return { data, loading, error };
-};
+/**
+ * Hook for fetching chain tx stats with network awareness
+ *
+ * @param {{ pollInterval?: number }} [options]
+ */
+export const useChainTxStats = (options) =>
+  useNetworkEndpoint('/getchaintxstats', 'Failed to fetch chain tx stats', options);
 
 /**
  * Hook for fetching tx outset info with network awareness
+ *
+ * @param {{ pollInterval?: number }} [options]
  */
-export const useTxOutsetInfo = () => {
-  const { getApiUrl } = useNetwork();
-  const [data, setData] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-
-  useEffect(() => {
-    const fetchData = async () => {
-      try {
-        const response = await fetch(getApiUrl('/gettxoutsetinfo'));
-        if (!response.ok) throw new Error('Failed to fetch tx outset info');
-        const result = await response.json();
-        setData(result);
-      } catch (err) {
-        setError(err);
-      } finally {
-        setLoading(false);
-      }
-    };
-    fetchData();
-  }, [getApiUrl]);
-
-  return { data, loading, error };
-};
+export const useTxOutsetInfo = (options) =>
+  useNetworkEndpoint('/gettxoutsetinfo', 'Failed to fetch tx outset info', options);
 
 /**
- * Hook for fetching block reward with network awareness
+ * Hook for fetching block reward with network awareness (parsed to a number)
+ *
+ * @param {{ pollInterval?: number }} [options]
  */
-export const useBlockReward = () => {
-  const { getApiUrl } = useNetwork();
-  const [data, setData] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-
-  useEffect(() => {
-    const fetchData = async () => {
-      try {
-        const response = await fetch(getApiUrl('/getblockreward'));
-        if (!response.ok) throw new Error('Failed to fetch block reward');
-        const result = await response.json();
-        setData(parseFloat(result.blockReward?.blockreward));
-      } catch (err) {
-        setError(err);
-      } finally {
-        setLoading(false);
-      }
-    };
-    fetchData();
-  }, [getApiUrl]);
-
-  return { data, loading, error };
-};
+export const useBlockReward = (options) =>
+  useNetworkEndpoint('/getblockreward', 'Failed to fetch block reward', {
+    ...options,
+    transform: parseBlockRewardResponse,
+  });
 
 /**
- * Hook for WebSocket connection with network awareness
+ * Hook for every message on the network's shared WebSocket
  */
 export const useNetworkWebSocket = (onMessage) => {
-  const { wsBaseUrl } = useNetwork();
-  const [connected, setConnected] = useState(false);
+  const connected = useWsStatus() === 'open';
 
-  useEffect(() => {
-    const socket = new WebSocket(wsBaseUrl);
-
-    socket.onopen = () => {
-      console.log('WebSocket connection established');
-      setConnected(true);
-    };
-
-    socket.onmessage = (event) => {
-      const message = JSON.parse(event.data);
-      if (onMessage) {
-        onMessage(message);
-      }
-    };
-
-    socket.onclose = () => {
-      console.log('WebSocket connection closed');
-      setConnected(false);
-    };
-
-    socket.onerror = (error) => {
-      console.error('WebSocket error:', error);
-    };
-
-    return () => {
-      socket.close();
-    };
-  }, [wsBaseUrl, onMessage]);
+  useWsMessage(ALL_MESSAGES, (message) => {
+    if (onMessage) {
+      onMessage(message);
+    }
+  });
 
   return { connected };
 };
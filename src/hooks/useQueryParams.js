@@ -0,0 +1,38 @@
+import { useCallback, useMemo } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { readQuery, writeQuery } from '../utils/queryParams';
+
+/**
+ * useQueryParams — page view state (filters, pagination, chart ranges) kept
+ * in the URL's query string instead of component state, so a reload or a
+ * shared link opens the same view and back / forward step through it.
+ *
+ * Values are read from the current location on every render; `setQuery`
+ * navigates to the same path with the patched query string (the hash is
+ * kept). Each call adds a history entry unless `{ replace: true }` is passed
+ * — use that for continuous input such as typing, so back does not step
+ * through every keystroke. Patch related parameters in one call (e.g. a new
+ * filter and `page: null`): two calls in the same event would each start
+ * from the same location.
+ *
+ * @param {object} schema parameter → codec (utils/queryParams.js); keep it
+ *   a module-level constant
+ * @returns {[Object<string, *>, (patch: object, options?: { replace?: boolean }) => void]}
+ */
+export const useQueryParams = (schema) => {
+  const { pathname, search, hash } = useLocation();
+  const navigate = useNavigate();
+
+  const query = useMemo(() => readQuery(search, schema), [search, schema]);
+
+  const setQuery = useCallback((patch, { replace = false } = {}) => {
+    const next = writeQuery(search, schema, patch);
+    // Compare in the same encoding, so an unchanged value is not a new entry.
+    if (next === writeQuery(search, schema, {})) return;
+    navigate({ pathname, search: next, hash }, { replace });
+  }, [pathname, search, hash, schema, navigate]);
+
+  return [query, setQuery];
+};
+
+export default useQueryParams;
@@ -0,0 +1,66 @@
+import { useEffect, useRef, useState } from 'react';
+import { useNetwork } from '../context/NetworkContext';
+
+/**
+ * useWsMessage — subscribe to one or more message types on the network's
+ * shared WebSocket (owned by NetworkProvider, see utils/wsClient.js).
+ *
+ * The handler receives the parsed message (`{ type, data, ... }`). If the
+ * client already holds a snapshot for a subscribed type it is replayed on
+ * mount, so pages render cached data instantly when navigated to.
+ *
+ * The latest handler is always used, so callers do not need to memoize it;
+ * only a change to `types` re-subscribes.
+ *
+ * @param {string|string[]} types message type(s), e.g. 'newBlock' or ['recentBlocks', 'newBlock']
+ * @param {(message: object) => void} handler
+ */
+export const useWsMessage = (types, handler) => {
+  const { wsClient } = useNetwork();
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  const typeKey = Array.isArray(types) ? types.join('|') : types;
+
+  useEffect(() => {
+    if (!wsClient) return undefined;
+    return wsClient.subscribe(typeKey.split('|'), (message) => handlerRef.current(message));
+  }, [wsClient, typeKey]);
+};
+
+/**
+ * useWsStatus — current status of the network's shared WebSocket:
+ * 'idle' | 'connecting' | 'open' | 'closed'.
+ */
+export const useWsStatus = () => {
+  const { wsClient } = useNetwork();
+  const [status, setStatus] = useState(() => (wsClient ? wsClient.getStatus() : 'idle'));
+
+  useEffect(() => {
+    if (!wsClient) return undefined;
+    setStatus(wsClient.getStatus());
+    return wsClient.onStatus(setStatus);
+  }, [wsClient]);
+
+  return status;
+};
+
+/**
+ * useWsStatusChange — run a callback whenever the shared WebSocket's status
+ * changes, without re-rendering the caller. Use this instead of useWsStatus
+ * when a page only reacts to a failed connection (e.g. to end its spinner).
+ *
+ * @param {(status: string) => void} handler
+ */
+export const useWsStatusChange = (handler) => {
+  const { wsClient } = useNetwork();
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => {
+    if (!wsClient) return undefined;
+    return wsClient.onStatus((status) => handlerRef.current(status));
+  }, [wsClient]);
+};
+
+export default useWsMessage;
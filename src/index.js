@@ -1,34 +1,23 @@
 import React from 'react';
-import ReactDOM from 'react-dom';
+import { createRoot } from 'react-dom/client';
 import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
-import { ThemeProvider, createTheme } from '@mui/material/styles';
+import { loadRuntimeConfig } from './utils/runtimeConfig';
+import { registerServiceWorker } from './utils/serviceWorker';
 
-const theme = createTheme({
-  palette: {
-    primary: {
-      main: '#0066CC',
-    },
-    secondary: {
-      main: '#002352',
-    },
-    background: {
-      default: '#002352',
-    },
-    text: {
-      primary: '#FFFFFF',
-    },
-  },
+// Endpoints can be overridden per deployment before anything connects.
+// createRoot enables concurrent rendering: WebSocket-driven state updates are
+// batched automatically, and pages can mark heavy work as a transition.
+loadRuntimeConfig().then(() => {
+  createRoot(document.getElementById('root')).render(
+    <React.StrictMode>
+      <App />
+    </React.StrictMode>
+  );
 });
 
-ReactDOM.render(
-  <React.StrictMode>
-    <ThemeProvider theme={theme}>
-      <App />
-    </ThemeProvider>
-  </React.StrictMode>,
-  document.getElementById('root')
-);
+// App shell offline support and home-screen install (production builds only).
+registerServiceWorker();
 
 reportWebVitals();
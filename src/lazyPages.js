@@ -0,0 +1,81 @@
+/**
+ * Lazily loaded page components, keyed by the route registry's `page` names
+ * (see src/routes.js).
+ *
+ * Each page is its own webpack chunk (`page-<Name>`), so the first visit only
+ * downloads the shell and the page it lands on. `prefetchPage()` starts a
+ * chunk download early — the Header calls it when a menu link is hovered or
+ * focused — and shares the promise with `React.lazy`, so the click renders
+ * without a second request.
+ */
+
+import { lazy } from 'react';
+
+const LOADERS = {
+  HomePage: () => import(/* webpackChunkName: "page-HomePage" */ './pages/HomePage'),
+  BlocksPage: () => import(/* webpackChunkName: "page-BlocksPage" */ './pages/BlocksPage'),
+  BlockPage: () => import(/* webpackChunkName: "page-BlockPage" */ './pages/BlockPage'),
+  TxPage: () => import(/* webpackChunkName: "page-TxPage" */ './pages/TxPage'),
+  AddressPage: () => import(/* webpackChunkName: "page-AddressPage" */ './pages/AddressPage'),
+  ChainTipsPage: () => import(/* webpackChunkName: "page-ChainTipsPage" */ './pages/ChainTipsPage'),
+  TxsPage: () => import(/* webpackChunkName: "page-TxsPage" */ './pages/TxsPage'),
+  SupplyPage: () => import(/* webpackChunkName: "page-SupplyPage" */ './pages/SupplyPage'),
+  AlgosPage: () => import(/* webpackChunkName: "page-AlgosPage" */ './pages/AlgosPage'),
+  DifficultiesPage: () => import(/* webpackChunkName: "page-DifficultiesPage" */ './pages/DifficultiesPage'),
+  HashratePage: () => import(/* webpackChunkName: "page-HashratePage" */ './pages/HashratePage'),
+  PoolsPage: () => import(/* webpackChunkName: "page-PoolsPage" */ './pages/PoolsPage'),
+  PoolUpgradeTrackerPage: () => import(/* webpackChunkName: "page-PoolUpgradeTrackerPage" */ './pages/PoolUpgradeTrackerPage'),
+  NodesPage: () => import(/* webpackChunkName: "page-NodesPage" */ './pages/NodesPage'),
+  DownloadsPage: () => import(/* webpackChunkName: "page-DownloadsPage" */ './pages/DownloadsPage'),
+  RoadmapPage: () => import(/* webpackChunkName: "page-RoadmapPage" */ './pages/RoadmapPage'),
+  EmbedGeneratorPage: () => import(/* webpackChunkName: "page-EmbedGeneratorPage" */ './pages/EmbedGeneratorPage'),
+  DigiDollarPage: () => import(/* webpackChunkName: "page-DigiDollarPage" */ './pages/DigiDollarPage'),
+  DDActivationPage: () => import(/* webpackChunkName: "page-DDActivationPage" */ './pages/DDActivationPage'),
+  OraclesPage: () => import(/* webpackChunkName: "page-OraclesPage" */ './pages/OraclesPage'),
+  DDStatsPage: () => import(/* webpackChunkName: "page-DDStatsPage" */ './pages/DDStatsPage'),
+  WalletConvertPage: () => import(/* webpackChunkName: "page-WalletConvertPage" */ './pages/WalletConvertPage'),
+  TaprootPage: () => import(/* webpackChunkName: "page-TaprootPage" */ './pages/TaprootPage'),
+};
+
+export const PAGE_NAMES = Object.keys(LOADERS);
+
+const pending = new Map();
+
+/**
+ * Load a page module once; later calls share the same promise. A failed
+ * download is forgotten so the next attempt retries it.
+ *
+ * @param {string} name - registry `page` name
+ * @returns {Promise<{ default: React.ComponentType }>}
+ */
+export const loadPage = (name) => {
+  if (!LOADERS[name]) {
+    return Promise.reject(new Error(`Unknown page: ${name}`));
+  }
+  if (!pending.has(name)) {
+    pending.set(name, LOADERS[name]().catch((error) => {
+      pending.delete(name);
+      throw error;
+    }));
+  }
+  return pending.get(name);
+};
+
+/**
+ * Start downloading a page chunk without waiting for it. Unknown names and
+ * failed downloads are ignored; the route itself reports a real failure.
+ *
+ * @param {string} name - registry `page` name
+ */
+export const prefetchPage = (name) => {
+  if (LOADERS[name]) {
+    loadPage(name).catch(() => {});
+  }
+};
+
+/** `React.lazy` component per page name. */
+export const LAZY_PAGES = Object.fromEntries(
+  PAGE_NAMES.map((name) => [name, lazy(() => loadPage(name))])
+);
+
+export default LAZY_PAGES;
@@ -0,0 +1,720 @@
+/**
+ * English message catalog — the source catalog. Every other locale mirrors
+ * these keys; a key missing there falls back to the English text.
+ *
+ * `{name}` placeholders are filled from the `vars` passed to `t()`. Messages
+ * rendered with `tRich()` may also use <strong>, <em> and <code>.
+ */
+const en = {
+  common: {
+    loading: 'Loading...',
+    export: 'Export',
+    exportCsv: 'Download CSV',
+    exportJson: 'Download JSON',
+    share: 'Share',
+    downloadPng: 'Download PNG',
+    downloadSvg: 'Download SVG',
+    copyLink: 'Copy link',
+    linkCopied: 'Link copied',
+  },
+  time: {
+    justNow: 'just now',
+  },
+  nav: {
+    home: 'Home',
+    blocks: 'Blocks',
+    tips: 'Tips',
+    txs: 'Txs',
+    supply: 'Supply',
+    algos: 'Algos',
+    difficulties: 'Difficulties',
+    hashrate: 'Hashrate',
+    pools: 'Pools',
+    upgrades: 'Upgrades',
+    nodes: 'Nodes',
+    downloads: 'Downloads',
+    roadmap: 'Roadmap',
+    digidollar: 'DigiDollar',
+    activation: 'Activation',
+    oracles: 'Oracles',
+    ddStats: 'DD Stats',
+    block: 'Block',
+    tx: 'Transaction',
+    address: 'Address',
+    convert: 'Wallet Converter',
+    taproot: 'Taproot',
+    embed: 'Embed',
+    groups: {
+      chain: 'Blockchain',
+      mining: 'Mining',
+      community: 'Network & Project',
+      digidollar: 'DigiDollar',
+    },
+  },
+  header: {
+    externalResources: 'External Resources',
+    mainnet: 'Mainnet',
+    testnet: 'Testnet',
+    language: 'Language',
+  },
+  connection: {
+    connected: 'Connected',
+    reconnecting: 'Reconnecting',
+    offline: 'Offline',
+    liveFeed: {
+      connected: 'Live feed connected',
+      reconnecting: 'Live feed reconnecting',
+      offline: 'Live feed offline',
+    },
+    noUpdates: 'no updates yet',
+    lastUpdateSeconds: 'last update {count} s ago',
+    lastUpdateMinutes: 'last update {count} min ago',
+    lastUpdateHours: 'last update {count} h ago',
+    offlineSnapshot: 'Offline — data as of {time}',
+  },
+  alerts: {
+    open: 'Alerts and notifications',
+    title: 'Alerts',
+    intro: 'Rules are checked against the live {network} feed while this site is open and are saved in this browser.',
+    notifications: 'Notifications',
+    noAlerts: 'No alerts yet.',
+    markAllRead: 'Mark all read',
+    clear: 'Clear',
+    rules: 'Alert rules',
+    noRules: 'No rules yet. Add one below.',
+    removeRule: 'Remove rule',
+    condition: 'Condition',
+    comparison: 'Comparison',
+    threshold: 'Threshold',
+    addRule: 'Add rule',
+    enableNotifications: 'Enable browser notifications',
+    notificationsOn: 'Browser notifications are on.',
+    notificationsBlocked: 'Browser notifications are blocked in this site\'s settings.',
+    notificationsUnsupported: 'This browser does not support notifications.',
+    currentValue: 'Now: {value}',
+    yes: 'yes',
+    no: 'no',
+    metrics: {
+      forkLevel: 'Fork alert level',
+      oracleStale: 'Oracle price is stale',
+      ddHealth: 'DD health',
+      blockGap: 'Minutes without a new block',
+      orphans24h: 'Orphans (24h)',
+    },
+    levels: {
+      none: 'None',
+      elevated: 'Elevated',
+      critical: 'Critical',
+    },
+  },
+  notFound: {
+    title: 'Page not found',
+    message: 'There is no page at {path}.',
+    back: 'Back to the mainnet dashboard',
+    backTestnet: 'Back to the testnet dashboard',
+    pages: 'Pages on this network',
+  },
+  embed: {
+    title: 'Embed Widgets',
+    intro: 'Show live DigiByte numbers on your own site. Pick a widget and a look, then paste the code into your page.',
+    widget: 'Widget',
+    theme: 'Theme',
+    light: 'Light',
+    dark: 'Dark',
+    accent: 'Accent colour',
+    accentHelp: 'Hex colour such as ff6600; leave empty for the network colour.',
+    accentInvalid: 'Not a hex colour; the network colour is used.',
+    network: 'Network',
+    preview: 'Preview',
+    code: 'Embed code',
+    copy: 'Copy code',
+    copied: 'Copied',
+  },
+  home: {
+    title: 'DigiByte Blockchain Statistics',
+    titleTestnet: 'DigiByte Testnet Blockchain Statistics',
+    intro: 'This is a free & open source website to find real time data & information about DigiByte blockchain pulled directly from the blockchain via digibyted.',
+    about: 'The DigiByte blockchain launched on January 10th, 2014. There is <strong>NO</strong> company, centralized group, mass premine, entity or person who controls DGB. DGB is a truly decentralized combination of speed, security & innovation.',
+    totalBlocks: 'Total Blocks',
+    totalBlocksDescription: 'Total blocks in the DigiByte blockchain since the chain was started on Jan 10th, 2014.',
+    totalTransactions: 'Total Transactions',
+    totalTransactionsDescription: 'Total Transactions sent on the DigiByte blockchain since launch on Jan 10th, 2014.',
+    totalSize: 'Total Size',
+    totalSizeDescription: 'Total size in GB needed to store the entire DGB blockchain going back to Jan 10th, 2014.',
+    circulatingSupply: 'Current Circulating Supply',
+    circulatingSupplyDescription: "Current circulating supply calculated from all UTXO's as of the latest block.",
+    remainingSupply: 'Remaining Supply To Be Mined',
+    remainingSupplyDescription: 'Remaining DGB to be mined until the maximum supply of 21 billion DGB is reached.',
+    lastBlockReward: 'Last Block Reward',
+    lastBlockRewardDescription: 'The DigiByte mining reward amount for the most recent block on the blockchain.',
+    algoDifficulties: 'Algo Difficulties',
+    algoDifficultiesDescription: 'The current mining difficulties for each of the 5 DigiByte mining algorithms.',
+    latestVersion: 'Latest Version',
+    latestVersionDescription: 'Latest DGB core version.',
+    softforks: 'Active Softforks',
+    softforksLoading: 'Loading deployment data...',
+    softforksDescription: 'Active on-chain softforks.',
+    testnetStatus: 'Testnet26 DigiDollar Status',
+    testnetStatusDescription: 'Current {network} network where DigiDollar has been active since block 600. DigiDollar shipped on mainnet in v9.26.2; mainnet activation now awaits 70% miner BIP9 signaling.',
+    oracleConsensus: '{consensus} oracle consensus',
+    testnet: 'Testnet',
+    p2pPort: 'P2P Port',
+    rpcPort: 'RPC Port',
+    ddActivation: 'DD Activation',
+    oracleRoster: 'Oracle Roster',
+    oracleRosterValue: '35-slot roster, 7-of-35 quorum',
+    mainnetMinActivation: 'Mainnet Min Activation Height (passed)',
+    blockHeight: 'Block {height}',
+  },
+  blocks: {
+    title: 'Realtime DigiByte Blocks',
+    intro: 'This page pre-loads the 240 most recent DGB blocks & will keep incrementing in realtime as long as you leave it open as blocks are mined. Keep scrolling (or jump to a height) to browse older blocks, and filter by algorithm, pool or DigiDollar bundle.',
+    height: 'Height',
+    hash: 'Hash',
+    algorithm: 'Algorithm',
+    pool: 'Pool',
+    txCount: 'TX Count',
+    bundle: 'DigiDollar Bundle',
+    unknownPool: 'Unknown',
+    signers: '{count} signers',
+    attached: 'Attached',
+    allAlgorithms: 'All algorithms',
+    poolPlaceholder: 'e.g. DigiHash',
+    bundleOnly: 'DigiDollar bundle only',
+    jumpToHeight: 'Jump to height',
+    go: 'Go',
+    browsingFrom: 'Browsing from height {height} down',
+    backToLatest: 'Back to latest',
+    noMatches: 'No blocks match these filters.',
+    loadingOlder: 'Loading older blocks...',
+    listLabel: 'Blocks',
+    retry: 'Retry',
+    loadOlderError: 'Could not load older blocks ({error}).',
+    loadOlder: 'Load older blocks',
+    noOlder: 'No older blocks.',
+  },
+  supply: {
+    title: 'DigiByte Supply Statistics',
+    intro: 'DigiByte has a limited supply of 21 billion DGB that will be fully mined by the year 2035. The blockchain was launched on January 10th, 2014 with a fair, pre-announced public launch.',
+    billionDgb: '{amount} Billion DGB',
+    ofMaxSupply: 'of the maximum supply',
+    currentTitle: 'Current Circulating Supply',
+    currentDescription: "The current circulating supply calculated from all UTXO's as of the latest block.",
+    remainingTitle: 'Remaining Supply To Be Mined',
+    remainingDescription: 'Remaining DGB to be mined until the maximum supply of 21 billion DGB is reached in 2035.',
+    perPersonTitle: 'DGB Per Person',
+    worldPopulation: 'World Population',
+    perPersonDescription: 'The amount of DigiByte available per person on Earth if evenly distributed based on current supply.',
+    miningEndTitle: 'Mining End Date',
+    miningYears: '21 Years Total',
+    miningDuration: 'Mining Duration',
+    miningEndDescription: 'DigiByte follows a 21 year mining schedule which will be completed in the year 2035.',
+    chartTitle: 'DigiByte Supply Distribution Timeline',
+    chartCaption: 'This chart shows the historical and projected supply distribution of DigiByte from launch in 2014 until mining completion in 2035.',
+    supplyHistory: 'DGB Supply History',
+    maxSupply: 'Max DGB Supply',
+    yetToBeMined: 'DGB Yet To Be Mined',
+    year: 'Year',
+    supplyAxis: 'DGB Supply (in Billions)',
+    billionsShort: '{amount} B',
+  },
+  chainTips: {
+    title: 'Understanding Chain Tips & Orphans',
+    intro: "New to what you're seeing above? These short, plain-language sections explain chain tips, stale blocks, and when a competing branch is worth worrying about. Tap any heading to expand it.",
+    tipTitle: 'What is a chain tip?',
+    tipBody1: 'A <strong>chain tip</strong> is the newest block of any chain branch a node knows about. Every node tracks the <strong>active (best) chain</strong> — the branch with the most accumulated proof-of-work — plus <em>every</em> competing branch tip it has ever seen.',
+    tipBody2: 'The <code>getchaintips</code> RPC lists them all: the one active tip you would call "the blockchain," alongside the stray tips of shorter, competing branches. This page maps those tips live so you can see the whole picture, not just the winning chain.',
+    staleTitle: 'What is an orphan / stale block?',
+    staleBody1: "An orphan / stale block is a <strong>fully-valid block that isn't on the main chain</strong> because another block at the same height won the race. It broke no rules — it simply arrived a moment too late (or with slightly less work behind it) and the network built on the other block instead.",
+    staleBody2: "The precise term matters: in Bitcoin-family chains these are usually called <strong>\"stale\" blocks</strong>. True <em>\"orphans\"</em> — genuinely parentless blocks — effectively don't exist anymore now that nodes sync headers first. A stale block is <strong>real mining work that didn't make the canonical chain</strong>, not an error or an attack.",
+    whyTitle: 'Why does DigiByte produce them?',
+    whyBody1: 'DigiByte targets a <strong>15-second block time</strong> across <strong>5 independent mining algorithms</strong> — SHA256D, Scrypt, Skein, Qubit and Odocrypt. Fast blocks plus many miners on different algos mean two perfectly valid blocks are frequently found at nearly the same instant.',
+    whyBody2: 'When that happens, one block becomes the tip and the other goes stale. So a steady trickle of <strong>single-block stales is healthy and expected</strong> on DigiByte — it is the normal cost of very fast, multi-algorithm blocks, not a fork or a sign of trouble.',
+    statusTitle: 'Tip statuses',
+    statusIntro: 'Every tip <code>getchaintips</code> returns carries a status. These chips use the exact same colours as the live fork-tree map above:',
+    statusActive: 'On the main chain — the best (most cumulative work) chain this node follows.',
+    statusValidFork: 'A fully-validated competing block off the main chain — a stale / orphan block.',
+    statusValidHeaders: 'The block has been seen and its header checked, but the full block was not validated.',
+    statusHeadersOnly: 'Only the block header is known; the full block has not been downloaded yet.',
+    statusInvalid: 'Violates consensus rules and was rejected. This is the status to watch.',
+    reorgTitle: 'Branch length & reorganizations (reorgs)',
+    reorgBody1: "<strong>Branch length</strong> is how many blocks a competing chain has that aren't on the main chain. A branch length of <strong>1 is a lone stale</strong> — completely normal. Longer branches mean a competitor is being actively extended.",
+    reorgBody2: "A <strong>reorganization (reorg)</strong> happens when the node switches to a longer competing chain, replacing one or more recent blocks with the competitor's. Shallow reorgs are routine; <strong>deeper reorgs can affect transaction finality</strong>, because a transaction that looked confirmed can briefly return to unconfirmed while the chain re-settles.",
+    riskTitle: 'When is it a real fork risk?',
+    riskIntro: 'Single-block stales are routine and healthy. The risk rises when a competing branch:',
+    riskDeep: 'is <strong>4 or more blocks deep</strong>, not just a single lone stale;',
+    riskGrowing: '<strong>keeps growing across time</strong> — a sign it is being actively mined, not abandoned;',
+    riskInvalid: 'is flagged <strong>invalid</strong> (breaks consensus rules); or',
+    riskReorg: 'triggers a <strong>deep reorg</strong> that rewrites several confirmed blocks.',
+    riskOutro: "Those are exactly the conditions that turn this page's status banner {amber} or {red}. Until then, a calm feed of lone single-block stales is simply DigiByte working as designed.",
+    amber: 'amber',
+    red: 'red',
+    pageTitle: 'Chain Tips & Orphans',
+    pageSubtitle: "A live window into DigiByte's chain tips, stale blocks, and fork risk.",
+    pageNote: '15s blocks across 5 algos make the occasional single-block stale normal — deep or growing branches are what matter.',
+    activeHeight: 'Active Height',
+    activeHeightCaption: 'main chain tip',
+    competingTips: 'Competing Tips',
+    competingTipsCaption: 'near the tip',
+    orphans24h: 'Orphans (24h)',
+    orphans24hCaption: 'stale blocks seen',
+    deepestBranch: 'Deepest Branch',
+    deepestBranchCaption: 'blocks off-chain',
+    mapTitle: 'Live Fork-Tree Map',
+    live: 'LIVE',
+    updated: '· updated {time}',
+    tipsTitle: 'Current Chain Tips',
+    status: 'Status',
+    height: 'Height',
+    branchLen: 'Branch Len',
+    hash: 'Hash',
+    noCompeting: 'Only the active tip — no competing branches right now.',
+    orphansTitle: 'Recent Orphans (last 24h)',
+    noOrphans: 'No orphaned blocks in the last 24 hours.',
+    algo: 'Algo',
+    pool: 'Pool',
+    branch: 'Branch',
+    seen: 'Seen',
+    chartTitle: 'Orphans per Day (30 days)',
+    avgPerDay: 'Avg {avg} / day',
+    avgPerDayTrackedOne: 'Avg {avg} / day · 1 day tracked',
+    avgPerDayTracked: 'Avg {avg} / day · {days} days tracked',
+    rollingAverage: '7-day average',
+    orphansPerDay: 'Orphans/day',
+    secondsAgo: '{count}s ago',
+    minutesAgo: '{count}m ago',
+    hoursAgo: '{count}h ago',
+    daysAgo: '{count}d ago',
+  },
+  forkRisk: {
+    none: 'Network Healthy',
+    noneReason: 'Only routine single-block stale tips — DigiByte working as designed.',
+    elevated: 'Elevated — Competing Branch',
+    elevatedReason: 'A competing branch is being tracked near the chain tip.',
+    critical: 'Fork Risk',
+    criticalReason: 'A deep competing branch has been detected.',
+  },
+  forkTree: {
+    waiting: 'Waiting for live chain data…',
+    mapLabel: 'Live chain tips and fork branches map',
+    height: 'Height {height}',
+    status: 'Status: {status}',
+    algo: 'Algo: {algo}',
+    pool: 'Pool: {pool}',
+    olderTipOne: '+ 1 older stale tip beyond this window — see the orphan table below',
+    olderTips: '+ {count} older stale tips beyond this window — see the orphan table below',
+    activeTip: 'Active tip',
+    validFork: 'Valid fork',
+    validHeaders: 'Valid headers',
+    headersOnly: 'Headers only',
+    invalid: 'Invalid',
+  },
+  digiDollar: {
+    subtitle: 'Decentralized USD Stablecoin on DigiByte',
+    intro: "The world's first truly decentralized stablecoin native on a UTXO blockchain, enabling stable value transactions without centralized control.",
+    highlights: 'DGB becomes the strategic reserve asset (21B max, ~2.59 per person) • Everything happens inside DigiByte Core wallet • You never give up control of your private keys',
+    status: "<strong>Status:</strong> <strong>Shipped — released on mainnet</strong> in DigiByte v9.26.2 (June 29, 2026); current release <strong>v9.26.4</strong> adds pruned-node support. Mainnet activation is now in miners' hands via BIP9 signaling (bit\u00a023) — track it live on the Activation page. Fully operational on testnet26, where the oracle network runs a 7-signature MuSig2 quorum across 35 oracle slots, backed by an extensive automated test suite.",
+    what: {
+      title: 'What is DigiDollar?',
+      scarcity: "<strong>DGB is a Limited, Finite Strategic Reserve Asset:</strong> With a maximum supply of 21 billion DGB, there are only {perPerson} on Earth (based on 8.1 billion world population). Combined with DigiByte's {blockSpeed} (40x faster than Bitcoin), this extreme scarcity and fast settlement makes DGB ideal as collateral for DigiDollar - a truly finite backing for instant, stable currency transactions.",
+      perPerson: '2.59 DGB per person',
+      blockSpeed: '15-second block speed',
+      simpleTitle: 'Simple Explanation',
+      simple1: "DigiDollar is a stable digital currency that equals $1 USD, created by locking up DigiByte (DGB) as collateral. DGB becomes the strategic reserve asset - with only 21 billion max supply (just ~2.59 DGB per person on Earth), it's a truly finite asset backing the stability of DigiDollars.",
+      simple2: "Unlike traditional stablecoins backed by bank accounts, DigiDollar is the world's first truly decentralized stablecoin on a UTXO blockchain. No company or bank controls it.",
+      simple3: 'Most importantly: Everything happens directly in your DigiByte Core wallet - you never give up control of your private keys or trust a third party.',
+      benefitsTitle: 'Key Benefits',
+      benefitFirst: "World's first truly decentralized stablecoin on UTXO blockchain",
+      benefitStable: 'Always worth $1 USD - stable and predictable',
+      benefitKeys: 'You keep full control of private keys in Core wallet',
+      benefitReserve: 'DGB becomes strategic reserve asset',
+      benefitSpeed: '15-second blocks (40x faster than BTC), $0.01 fees',
+    },
+    how: {
+      title: 'How It Works',
+      coreIdea: 'Core Idea: The Silver Safe Analogy',
+      silver1: '<strong>Imagine DGB is silver</strong> stored in your basement safe. You have $1,000 worth of silver but need cash today. Instead of selling your silver (and losing future gains), you lock it in a special time-locked safe.',
+      silver2: "The safe gives you $500 cash to spend today. <strong>The silver NEVER leaves your possession</strong> - it stays in YOUR basement, in YOUR safe. You just can't access it until the timelock expires.",
+      silver3: '10 years later, your silver is worth $10,000 (10x gain)! To unlock: Simply return the $500 to the safe → get your $10,000 silver back. You kept ALL the appreciation.',
+      exactlyTitle: "That's EXACTLY how DigiDollar works:",
+      lockWallet: 'Lock DGB in YOUR wallet (never leaves your control)',
+      keepKeys: 'You ALWAYS keep control of your private keys',
+      getDd: 'Get DigiDollars to spend today',
+      burnDd: 'When timelock expires, burn DD → get your DGB back',
+      keepGains: 'Keep ALL the DGB price appreciation',
+      taxTitle: '💡 The Tax Advantage: Liquidity Without Selling',
+      taxBody: 'In most jurisdictions, <strong>borrowing against assets is NOT a taxable event</strong>. This is exactly what billionaires do - they never sell their stocks, they borrow against them.',
+      saleTitle: 'Traditional Crypto Sale:',
+      saleTax: '❌ Sell DGB → Pay 20-40% capital gains tax',
+      saleLoss: '❌ Lose future appreciation',
+      saleEvent: '❌ Taxable event recorded',
+      methodTitle: 'DigiDollar Method:',
+      methodLock: '✅ Lock DGB → Get DigiDollars',
+      methodNoTax: '✅ No taxable event (in most jurisdictions)',
+      methodGains: '✅ Keep ALL future DGB gains',
+      methodNeverSell: '✅ Theoretically never need to sell DGB',
+      taxNote: '* Tax laws vary by jurisdiction. Consult a tax professional for your specific situation.',
+      incentivesTitle: 'Economic Incentives: Why This Benefits Everyone',
+      scarceTitle: '🔒 DGB Becomes More Scarce',
+      perPersonEarth: 'Per person on Earth',
+      perPersonMath: '(21B max supply ÷ 8.1B population)',
+      scarceBody: 'With only 21 billion DGB ever to exist, locking DGB for DigiDollars makes an already scarce asset even more scarce. This creates natural price support.',
+      sellingPressure: 'Reduced selling pressure',
+      sellingPressureDetail: "Locked DGB can't be panic sold during market volatility",
+      supplyShock: 'Supply shock potential',
+      supplyShockDetail: 'Significant locking could create supply squeeze',
+      allHolders: 'Benefits all DGB holders',
+      allHoldersDetail: 'Even unlocked DGB benefits from reduced circulating supply',
+      personalTitle: '💰 Personal Financial Benefits',
+      personalBody: 'DigiDollar provides unprecedented financial flexibility for DGB holders, enabling sophisticated wealth management strategies.',
+      taxEfficient: 'Tax-efficient liquidity',
+      taxEfficientDetail: 'Access funds without triggering capital gains',
+      upside: 'Keep upside potential',
+      upsideDetail: 'Maintain full exposure to DGB price appreciation',
+      flexibility: 'Strategic flexibility',
+      flexibilityDetail: 'Lock portions based on liquidity needs',
+      networkEffect: "<strong>The Network Effect:</strong> The more people use DigiDollar, the stronger the DGB ecosystem becomes. Locked DGB creates scarcity → drives price → attracts more users → creates more demand for both DGB and DigiDollar. It's a positive feedback loop that benefits all participants.",
+      processTitle: 'The Technical Process',
+      lockTitle: '1. Lock DGB Collateral',
+      lockBody: 'Users lock DigiByte as collateral in a time-locked P2TR output. The amount depends on the lock period (200%-1000% of DigiDollar value, with shorter locks requiring more collateral).',
+      mintTitle: '2. Mint DigiDollars',
+      mintBody: 'DigiDollars are automatically minted based on the locked DGB value and current USD exchange rate from decentralized oracles.',
+      redeemTitle: '3. Use & Redeem',
+      redeemBody: 'Use DigiDollars for stable transactions. After the lock period expires, burn the required DigiDollars to unlock your full DGB collateral.',
+    },
+    collateral: {
+      title: 'Collateral Requirements',
+      intro: 'DigiDollar uses a sliding collateral scale to prevent attacks while rewarding long-term participants:',
+      lockPeriod: 'Lock Period',
+      ratio: 'Collateral Ratio',
+      undercollateralizedAfter: 'Undercollateralized After',
+      dgbFor100: 'DGB for $100',
+      test: 'TEST',
+      hourOne: '{count} hour',
+      days: '{count} days',
+      months: '{count} months',
+      yearOne: '{count} year',
+      years: '{count} years',
+      drop: '{percent} drop',
+      note: '<strong>Note:</strong> 10-tier collateral system ranging from 1000% (1 hour) to 200% (10 years). The 1-hour tier is canonical on all networks (mainnet, testnet, and regtest) and locks real collateral until expiry. Mint validation enforces the canonical tier window declared in the mint OP_RETURN; under-locked or custom durations are rejected. The "Undercollateralized After" column shows how much DGB price can drop before a position becomes undercollateralized.',
+    },
+    useCases: {
+      title: 'Revolutionary Use Cases',
+      bonds: 'Corporate Bonds',
+      bondsBody: '$140.7 Trillion market - Instant settlement vs 2-3 day traditional clearing',
+      realEstate: 'Real Estate',
+      realEstateBody: '$79.7 Trillion market - Fractional ownership democratizes property investment',
+      vehicles: 'Autonomous Vehicles',
+      vehiclesBody: '$13.7 Trillion by 2030 - Self-driving cars manage their own finances',
+      remittances: 'Global Remittances',
+      remittancesBody: '$685 Billion market - Reduce costs from 6.3% average to $0.01 flat fee',
+      healthcare: 'Healthcare Payments',
+      healthcareBody: '$550 Billion market - Real-time claim adjudication and transparent pricing',
+      more: 'And 45+ More',
+      moreBody: 'From supply chain to gaming, DigiDollar enables countless innovations',
+    },
+    tech: {
+      title: 'Technical Implementation',
+      architecture: "<strong>Revolutionary Architecture:</strong> DigiDollar is the world's first truly decentralized stablecoin built natively on a UTXO (Unspent Transaction Output) blockchain. All operations occur directly in DigiByte Core wallet - users maintain complete control of their private keys throughout the entire process.",
+      coreTitle: 'Core Technologies',
+      taproot: 'Taproot Integration',
+      taprootDetail: 'Enhanced privacy using P2TR outputs and Schnorr signatures',
+      oracles: 'Decentralized Oracles',
+      oraclesDetail: 'Live on testnet26 (port 12033): 7-signature MuSig2 quorum, 35 active oracle slots (0-34). On-chain oracle bundle format: v0x03 (MuSig2).',
+      mast: 'MAST Implementation',
+      mastDetail: 'Efficient script execution with Merkleized Alternative Script Trees',
+      featuresTitle: 'Key Features',
+      noLiquidations: 'No forced liquidations during market volatility',
+      identicalTx: 'All transactions appear identical on-chain (privacy)',
+      batchVerify: 'Batch signature verification for efficiency',
+      native: 'Native blockchain integration (no side chains)',
+    },
+    details: {
+      title: 'Technical Implementation Details',
+      intro: "DigiDollar leverages advanced Bitcoin Script opcodes and DigiByte's unique capabilities to create a trustless, decentralized stablecoin system:",
+      timeLockTitle: 'Time Lock Mechanism',
+      cltvDetail: 'Enforces time-based collateral lock periods (1 hour to 10 years)',
+      csvDetail: 'Enables relative time locks for redemption windows',
+      nLockTimeDetail: 'Prevents transactions from being mined until specified block height',
+      scriptTitle: 'Core Script Functions',
+      oracleValidation: 'Oracle Validation',
+      scriptPaths: 'Taproot Script Paths',
+      scriptPathsDetail: 'Multiple redemption conditions in a single P2TR output',
+      mastTrees: 'MAST Trees',
+      mastTreesDetail: 'Merkleized scripts for privacy and efficiency',
+      flowTitle: 'How It Works - Simple Technical Flow',
+      mintingTitle: '1. Minting Process',
+      mintingBody: 'User creates a P2TR output with DGB collateral, embedding time lock (CLTV) and oracle price data. Script validates collateral ratio and mints corresponding DigiDollars.',
+      verifyTitle: '2. Oracle Verification',
+      verifyBody: '35 active oracle slots (0-34) with a 7-signature MuSig2 quorum on testnet26. Six active exchange APIs (Binance, KuCoin, Gate.io, HTX, Crypto.com, CoinGecko) feed oracle signatures using MuSig2 aggregate signing (v0x03).',
+      redemptionTitle: '3. Redemption Process',
+      redemptionBody: "After time lock expires (verified by CLTV), user can redeem DigiDollars to unlock DGB. Script burns DigiDollars and releases collateral to user's address.",
+      innovation: '<strong>Key Innovation:</strong> Unlike Ethereum-based stablecoins that require smart contracts and gas fees, DigiDollar uses native UTXO script capabilities for superior security, lower costs, and true decentralization. The entire system operates without intermediaries, smart contract risks, or custody requirements.',
+    },
+    protection: {
+      title: 'Four-Layer Protection System',
+      challenge: '<strong>The Time-Lock Challenge:</strong> Since collateral is cryptographically time-locked, there are NO forced liquidations or margin calls. Positions must ride out the full term regardless of market conditions. This requires a unique protection approach.',
+      layer1Title: '1️⃣ Higher Collateral Requirements',
+      layer1Chip: 'First Defense',
+      layer1Body: 'The 1000%→200% sliding scale provides massive buffer against price drops. The one-hour tier requires 10x collateral, protecting against short-term volatility.',
+      layer1Example: '<strong>Example:</strong> With 1000% collateral, DGB can drop 90% before undercollateralization.',
+      layer2Title: '2️⃣ Dynamic Collateral Adjustment',
+      layer2Chip: 'Second Defense',
+      layer2Body: 'As system health changes, collateral requirements automatically adjust:',
+      dcaNormal: '• ≥150%: Normal (1.0x multiplier)',
+      dcaLow: '• 120-149%: +25% collateral (1.25x)',
+      dcaWarning: '• 110-119%: +50% collateral (1.5x)',
+      dcaCritical: '• <110%: +100% collateral (2.0x)',
+      layer3Title: '3️⃣ Emergency Redemption Ratio',
+      layer3Chip: 'Third Defense',
+      layer3Body: 'If system drops below 100% collateralized, redemptions require <strong>more DD to burn</strong>, but you <strong>ALWAYS get 100% of your collateral back</strong>.',
+      errTiers: '<strong>ERR Tiers:</strong> 95-100% → burn 105.3% DD | 90-95% → burn 111.1% DD | 85-90% → burn 117.6% DD | <85% → burn 125% DD',
+      layer3Example: 'Example: At 80% system health, burn 125 DD to redeem 100 DD position → get FULL collateral back',
+      layer4Title: '4️⃣ Supply & Demand Dynamics',
+      layer4Chip: 'Natural Defense',
+      layer4Body: 'Locked DGB reduces circulating supply, creating natural price support. With only 21B DGB max, locking creates scarcity.',
+      layer4Effect: '<strong>Effect:</strong> More locking → Less supply → Higher DGB price → Better collateralization',
+      monitoringTitle: '🔍 Real-Time System Monitoring',
+      monitoringBody: 'The system continuously tracks critical health metrics to ensure stability:',
+      monitorLocked: '• Total DGB locked per tier',
+      monitorMinted: '• Total DigiDollars minted',
+      monitorRatios: '• Per-tier collateral ratios',
+      monitorHealth: '• Aggregate system health',
+      rpcAccess: 'Accessible via RPC command: {command}',
+      insight: '<strong>Key Insight:</strong> These four layers work together without forced liquidations. Prevention (higher collateral), adaptation (dynamic adjustment), crisis management (emergency ratios), and market forces (scarcity) create a self-balancing, resilient system.',
+    },
+    roadmap: {
+      title: 'Development Roadmap',
+      specsTitle: 'DigiDollar Implementation Specs',
+      shippedChip: 'SHIPPED — v9.26.4',
+      specsSummary: 'All milestones complete — shipped in v9.26.2, current release v9.26.4',
+      specs: {
+        addresses: '<strong>DD/TD/RD Address System</strong> - Complete',
+        tiers: '<strong>10-Tier Collateral System</strong> - Complete',
+        minting: '<strong>Minting Process (Fully Refactored)</strong> - Complete',
+        transfers: '<strong>Send/Receive DigiDollars</strong> - Complete',
+        walletUi: '<strong>Complete Wallet UI (7 Tabs)</strong> - Complete',
+        utxoTracking: '<strong>Network-Wide UTXO Tracking</strong> - Complete',
+        redemption: '<strong>Redemption System</strong> - Complete',
+        protection: '<strong>DCA/ERR/Volatility Protection</strong> - Complete',
+        oracles: '<strong>Oracle System</strong> - 7-signature MuSig2 quorum across 35 active oracle slots, live on testnet26',
+        musig2: '<strong>MuSig2 Oracle Validation (7-of-35 active roster)</strong> - Complete',
+        mainnet: '<strong>Mainnet Release (v9.26.2) + Pruned-Node Support (v9.26.4)</strong> - Complete',
+      },
+      specsCount: '11/11 milestones completed • shipped on mainnet',
+      released: '<strong>RELEASED:</strong> DigiByte v9.26.2 launched on mainnet June 29, 2026 — miners can now signal for DigiDollar activation',
+      releaseTitle: 'DigiByte v9.26.2 DigiDollar Release',
+      mainnetChip: 'MAINNET RELEASED',
+      releaseSummary: 'Oracle System - 35 active oracle slots (0-34), 7-signature MuSig2 quorum (BIP-327 over BIP-340 Schnorr)',
+      release: {
+        opcode: 'OP_ORACLE opcode (0xbf) Integration',
+        opcodeDetail: 'Complete - Compact 22-byte oracle format',
+        exchanges: 'Six Active Exchange API Integration',
+        exchangesDetail: 'Complete - Binance, KuCoin, Gate.io, HTX, Crypto.com, CoinGecko',
+        p2p: 'P2P Message Handling',
+        p2pDetail: 'Complete - ORACLEPRICE, MuSig2 nonce/context/partial-sig, GETORACLES',
+        validation: 'Testnet/Regtest Block Validation',
+        validationDetail: 'Complete - Activation heights: Testnet26 600, Regtest 650',
+        schnorr: 'Schnorr Signatures (BIP-340)',
+        schnorrDetail: 'Complete - Price cache with ConnectBlock/DisconnectBlock',
+        consensus: 'Oracle Consensus (7-signature MuSig2)',
+        consensusDetail: 'Active on testnet26 - 35 active oracle slots (0-34), 7 signatures required',
+        testnet: 'DigiDollar Activated on Testnet',
+        testnetDetail: 'Complete - v9.26.0-RC44, testnet26 with oracle price feeds',
+        mainnet: 'DigiByte v9.26.2 Mainnet Release',
+        mainnetDetail: 'Complete - Released June 29, 2026; DigiDollar activation pending via BIP9 signaling',
+      },
+      releaseCount: '8/8 milestones completed • Mainnet v9.26.2 released June 29, 2026',
+      currentStatus: '<strong>Current Status:</strong> DigiByte <strong>v9.26.2 released on mainnet June 29, 2026</strong> with DigiDollar and a 7-signature MuSig2 oracle quorum across 35 active oracle slots (0-34). DigiDollar is already active on testnet26. On mainnet, DigiDollar activates through BIP9 miner signaling (version bit 23, 70% threshold — 28,224 of 40,320 blocks per signaling window; the minimum activation height of 23,627,520 has already passed, so activation now depends solely on miner signaling). For complete details and all other upgrades, see the full {roadmapLink}.',
+      roadmapLink: 'DigiByte Roadmap',
+    },
+    resources: {
+      title: 'Learn More',
+      whitePaper: 'White Paper',
+      techSpecs: 'Tech Specs',
+      useCases: '50 Use Cases',
+      discussion: 'Join Discussion',
+      closing: "DigiDollar represents a paradigm shift in decentralized finance - the world's first truly decentralized stablecoin on a UTXO blockchain where DGB becomes the strategic reserve asset and users never surrender control of their private keys.",
+    },
+  },
+  integrationGuides: {
+    title: 'DigiDollar Integration Guides',
+    intro: 'Ready to integrate DigiDollar into your wallet or exchange? These guides cover everything you need to get started, including testnet quick start so you can begin integrating right now.',
+    walletTitle: 'Wallet Integration',
+    walletBody: 'For wallet providers who already support DigiByte. Covers DD/TD address generation, balance tracking, minting with all 10 lock tiers, sending/receiving DD, collateral management, redemption, and full RPC reference.',
+    walletGuide: 'Wallet Integration Guide',
+    exchangeTitle: 'Exchange Integration',
+    exchangeBody: 'For exchanges that already support DigiByte. Covers deposit detection, withdrawal processing, confirmation thresholds, hot wallet architecture, DGB fee requirements, and essential RPCs. Includes common pitfalls like filtering 0-sat DD outputs.',
+    exchangeGuide: 'Exchange Integration Guide',
+    quickStart: 'Both guides include a testnet quick start — begin integrating on testnet today',
+    docsTitle: 'Documentation & Specifications',
+    docsIntro: 'The complete, code-aligned DigiDollar reference docs (DigiByte Core v9.26.4). Start with the DigiDollar Explainer for a plain-language overview, then dive into the architecture, oracle, and activation specifications.',
+    docs: {
+      explainer: 'DigiDollar Explainer',
+      architecture: 'DigiDollar Architecture',
+      oracleExplainer: 'Oracle Explainer',
+      oracleArchitecture: 'Oracle Architecture',
+      activation: 'BIP9 Activation Explainer',
+      mining: 'Mining Integration Guide',
+    },
+  },
+  oracles: {
+    title: 'DigiDollar {label} Oracles',
+    subtitle: 'Decentralized Price Feed Network',
+    intro: 'The oracle network provides real-time DGB/USD price feeds to the DigiDollar system using BIP-340 Schnorr signature consensus.',
+    feedError: 'Unable to connect to oracle data feed. Network may be unavailable.',
+    ageUnknown: 'unknown',
+    ageSeconds: '{s}s ago',
+    ageMinutes: '{m}m {s}s ago',
+    ageHours: '{h}h {m}m ago',
+    ageDays: '{d}d {h}h ago',
+    durationSeconds: '~{s}s',
+    durationMinutes: '~{m}m {s}s',
+    durationHours: '~{h}h {m}m',
+    consensusLabel: '{threshold} of {total}',
+    roster: {
+      mainnet: 'mainnet roster',
+      testnet: 'testnet roster',
+    },
+    operatorSlot: {
+      mainnet: 'assigned mainnet oracle slot',
+      testnet: 'assigned testnet26 oracle slot',
+    },
+    phaseSummary: {
+      mainnet: '7 of 35 signatures required | 35-slot reserved roster | MuSig2 aggregate signing (v0x03)',
+      testnet: '7 of 35 signatures required | 35-slot reserved roster | 35 testnet roster oracles | MuSig2 aggregate signing (v0x03)',
+    },
+    priceTitle: '{network} Oracle Price',
+    updated: 'Updated: {time}',
+    loadingData: 'Loading oracle data...',
+    waitingTitle: 'Oracle Network Waiting for Activation',
+    waitingBody: 'DigiDollar is currently in the {stage} stage, so live oracle price reporting is not available yet.',
+    unavailableTitle: 'Oracle Network Unavailable',
+    unavailableBody: 'Unable to fetch oracle data from the network',
+    consensusTooltip: "Latest on-chain MuSig2 bundle signer count decoded from Core's participation bitmap. This is the actual 7-oracle signing set for the newest bundle.",
+    consensusTitle: 'Oracle Consensus',
+    signaturesRequired: 'signatures required',
+    signingCount: '{count}/{required} signing',
+    noBundleData: 'bundle signer data unavailable',
+    releaseSummary: '<strong>{release}:</strong> {summary} | {count} {roster} oracles visible',
+    statusTitle: 'Oracle Network Status',
+    consensusReady: 'consensus ready',
+    belowThreshold: 'below ready threshold',
+    signing: 'Signing',
+    signingDetail: 'actual 7-signer list from block {height}',
+    signingWaiting: 'waiting for getoraclesigners data',
+    liveFeeds: 'Live Price Feeds',
+    liveFeedsDetail: '{count} valid signed price feeds required',
+    heartbeats: 'Online Heartbeats',
+    heartbeatsDetail: 'signed operator status, fresh under 30 minutes',
+    compatible: 'Compatible Software',
+    compatibleDetail: 'MuSig2 context {version}+ with valid heartbeat',
+    rosterOracles: 'Roster Oracles',
+    rosterDetailOne: 'configured {roster} from Core; 1 local oracle visible',
+    rosterDetail: 'configured {roster} from Core; {count} local oracles visible',
+    statusNote: 'Signing means this oracle actually signed the newest on-chain DigiDollar price bundle. Live price feed means the oracle is online and broadcasting a valid signed price. Roster oracles are the configured {roster} loaded from Core.',
+    versions: 'Oracle Versions',
+    noVersion: 'No version reported',
+    operatorOne: '{count} operator',
+    operators: '{count} operators',
+    versionFeeds: '{reporting} live price feeds · {fresh} fresh heartbeats',
+    roundClock: 'Oracle Round Clock',
+    musig2State: 'MuSig2 {state}',
+    currentRound: 'Current Round',
+    round: 'Round {round}',
+    currentBlock: 'Current block {height}',
+    roundBlocks: 'Round Blocks',
+    blockRange: 'Blocks {start}-{end}',
+    blocksObserved: '{mined}/{total} blocks observed',
+    nextRound: 'Next Round',
+    nextRoundAt: 'Next round: block {height}',
+    blocksAway: '{count} blocks away',
+    signingProgress: 'Signing Progress',
+    nonces: 'Nonces {count}/{required}',
+    signatures: 'Signatures {count}/{required}',
+    whatTitle: 'What Are Oracles?',
+    blindSpot: '<strong>The Blockchain Blind Spot:</strong> Blockchains are isolated by design - they can\'t access the internet or "see" outside their own network. Without oracles, the blockchain has no idea what DGB is worth in USD.',
+    withOracles: '<strong>With Oracles:</strong> The blockchain receives verified price feeds from the real world. Now it knows: "1,000 DGB = $6.03 USD at block height 1,234,567"',
+    howItWorks: 'How It Works:',
+    howFetch: 'Oracles fetch prices from six active exchanges (Binance, KuCoin, Gate.io, HTX, Crypto.com, CoinGecko) every 60 seconds',
+    howMedian: 'Calculate median price with MAD outlier filtering',
+    howSign: 'Sign price data with BIP-340 Schnorr signatures',
+    howBroadcast: 'Broadcast to P2P network - all nodes validate and relay',
+    becomeTitle: 'Become an Oracle Operator',
+    becomeIntro: 'Help secure the DigiDollar network by running an {slot}.',
+    step1Title: 'Step 1: Create Oracle Key',
+    step1Body: 'Run <code>createoraclekey</code> in your DigiByte Core wallet to generate a secure keypair. The private key stays in your wallet - never leaves.',
+    step2Title: 'Step 2: Coordinate Slot Assignment',
+    step2Body: 'Coordinate an assigned active oracle ID with the operator group before publishing a key. The live roster above shows every slot Core currently marks active for consensus.',
+    step3Title: 'Step 3: Start Oracle',
+    step3Body: 'Once included in a release, run <code>startoracle</code> and your node will automatically fetch prices and broadcast to the network.',
+    setupGuide: 'Oracle Setup Guide',
+    coordinateSlot: 'Coordinate Operator Slot',
+    networkTitle: '{network} Oracle Network',
+    signingChip: '{count} / {required} Signing',
+    liveFeedsChip: '{count} / {total} Live Price Feeds',
+    notReporting: 'Not Reporting',
+    loadingNetwork: 'Loading oracle network...',
+    noDataTitle: 'No Oracle Data Available',
+    noDataBody: 'Unable to fetch oracle network status',
+    colOracle: 'Oracle',
+    colOracleTip: 'Oracle operator name and unique identifier',
+    colStatus: 'Status',
+    colStatusTip: 'Reporting = actively broadcasting prices. No Data = not currently online',
+    colPrice: 'Price',
+    colPriceTip: 'Current price this oracle is reporting to the network',
+    colHeartbeat: 'Heartbeat / Version',
+    colHeartbeatTip: 'Signed operator heartbeat and software/protocol versions reported by this oracle',
+    colSigning: 'Signing / Live',
+    colSigningTip: 'Signing means this oracle ID is in the newest on-chain MuSig2 participation bitmap and signed the latest bundle. Live price feed means it is currently broadcasting a valid signed price.',
+    colEndpoint: 'Endpoint',
+    colEndpointTip: 'P2P network address plus the shortened BIP-340 public key used to verify this oracle',
+    oracleName: 'Oracle {id}',
+    oracleId: 'ID: {id}',
+    reporting: 'reporting',
+    noData: 'no data',
+    noPriceSource: 'no price source',
+    musig2Context: 'MuSig2 ctx {version}',
+    protocolVersions: 'Client {client} · P2P {p2p} · Oracle {oracle}',
+    notSigning: 'Not signing',
+    liveFeed: 'Live price feed',
+    noLivePrice: 'No live price',
+    local: 'local',
+    pubkeyTip: '{pubkey} (Click to view in source code)',
+    priceFormat: '<strong>Price Format:</strong> Oracle prices use micro-USD format where 1,000,000 = $1.00. This ensures exact arithmetic with no floating-point errors. Consensus is {consensus} across {slots} reserved slots, with {count} {roster} oracles displayed above.',
+    techTitle: 'Technical Specifications',
+    configTitle: '{network} Oracle Configuration',
+    specQuorum: '{threshold}-signature oracle quorum',
+    specSlots: '{consensus} reserved oracle slots required for consensus, with {count} {roster} oracles',
+    specRelease: '{version} on {network}, P2P port {port}',
+    specMusigOnly: 'MuSig2 aggregate signing (v0x03) only',
+    specBip9Feed: 'BIP9 deployment status comes from the local Core RPC feed',
+    sharedTitle: 'Shared Production Rules',
+    ruleMusig: 'MuSig2 aggregate signing (v0x03)',
+    ruleRoster: '35-slot oracle roster with 7 of 35 signature quorum',
+    ruleBip9: 'BIP9 activation for deployment',
+    ruleFetch: 'Exchange fetch and oracle broadcast every 60 seconds',
+    ruleBundle: 'Compact MuSig2 v0x03 bundle per block (~91 bytes: participation bitmap, price, timestamp, 64-byte aggregate signature)',
+    ruleEndpoints: 'Production oracle endpoints',
+    limitsTitle: 'Price Validation Limits:',
+    limitMin: 'Min: $0.0001/DGB (100 micro-USD)',
+    limitMax: 'Max: $100.00/DGB (100M micro-USD)',
+    limitValid: 'Valid for 20 blocks',
+    trackActivation: 'Track Activation →',
+    notActive: '<strong>DigiDollar is not active yet.</strong> Currently in the <strong>{stage}</strong> stage of BIP9 activation.',
+  },
+  oracleTiles: {
+    priceTooltip: 'Consensus price from oracle network - median of all active oracle price feeds with outlier filtering',
+    price: 'DGB/USD Price',
+    notReporting: 'Not Reporting',
+    microUsd: '{amount} micro-USD',
+    updateTooltip: 'Block height when the oracle price was last updated. Price becomes stale after 20 blocks without update',
+    lastUpdate: 'Last Update',
+    block: 'Block {height}',
+    noData: 'No Data',
+    stale: 'Stale',
+    fresh: 'Fresh',
+  },
+};
+
+export default en;
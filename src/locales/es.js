@@ -0,0 +1,716 @@
+/**
+ * Spanish message catalog. Keys mirror en.js.
+ */
+const es = {
+  common: {
+    loading: 'Cargando...',
+    export: 'Exportar',
+    exportCsv: 'Descargar CSV',
+    exportJson: 'Descargar JSON',
+    share: 'Compartir',
+    downloadPng: 'Descargar PNG',
+    downloadSvg: 'Descargar SVG',
+    copyLink: 'Copiar enlace',
+    linkCopied: 'Enlace copiado',
+  },
+  time: {
+    justNow: 'justo ahora',
+  },
+  nav: {
+    home: 'Inicio',
+    blocks: 'Bloques',
+    tips: 'Puntas',
+    txs: 'Txs',
+    supply: 'Suministro',
+    algos: 'Algoritmos',
+    difficulties: 'Dificultades',
+    hashrate: 'Hashrate',
+    pools: 'Pools',
+    upgrades: 'Actualizaciones',
+    nodes: 'Nodos',
+    downloads: 'Descargas',
+    roadmap: 'Hoja de ruta',
+    digidollar: 'DigiDollar',
+    activation: 'Activación',
+    oracles: 'Oráculos',
+    ddStats: 'Estadísticas DD',
+    block: 'Bloque',
+    tx: 'Transacción',
+    address: 'Dirección',
+    convert: 'Conversor de monederos',
+    taproot: 'Taproot',
+    embed: 'Insertar',
+    groups: {
+      chain: 'Blockchain',
+      mining: 'Minería',
+      community: 'Red y proyecto',
+      digidollar: 'DigiDollar',
+    },
+  },
+  header: {
+    externalResources: 'Recursos externos',
+    mainnet: 'Mainnet',
+    testnet: 'Testnet',
+    language: 'Idioma',
+  },
+  connection: {
+    connected: 'Conectado',
+    reconnecting: 'Reconectando',
+    offline: 'Sin conexión',
+    liveFeed: {
+      connected: 'Datos en vivo conectados',
+      reconnecting: 'Datos en vivo reconectando',
+      offline: 'Datos en vivo sin conexión',
+    },
+    noUpdates: 'sin actualizaciones todavía',
+    lastUpdateSeconds: 'última actualización hace {count} s',
+    lastUpdateMinutes: 'última actualización hace {count} min',
+    lastUpdateHours: 'última actualización hace {count} h',
+    offlineSnapshot: 'Sin conexión — datos de las {time}',
+  },
+  alerts: {
+    open: 'Alertas y notificaciones',
+    title: 'Alertas',
+    intro: 'Las reglas se comprueban con el flujo en vivo de {network} mientras este sitio está abierto y se guardan en este navegador.',
+    notifications: 'Notificaciones',
+    noAlerts: 'Aún no hay alertas.',
+    markAllRead: 'Marcar todo como leído',
+    clear: 'Borrar',
+    rules: 'Reglas de alerta',
+    noRules: 'Aún no hay reglas. Añada una abajo.',
+    removeRule: 'Eliminar regla',
+    condition: 'Condición',
+    comparison: 'Comparación',
+    threshold: 'Umbral',
+    addRule: 'Añadir regla',
+    enableNotifications: 'Activar notificaciones del navegador',
+    notificationsOn: 'Las notificaciones del navegador están activadas.',
+    notificationsBlocked: 'Las notificaciones del navegador están bloqueadas en la configuración de este sitio.',
+    notificationsUnsupported: 'Este navegador no admite notificaciones.',
+    currentValue: 'Ahora: {value}',
+    yes: 'sí',
+    no: 'no',
+    metrics: {
+      forkLevel: 'Nivel de alerta de bifurcación',
+      oracleStale: 'El precio del oráculo está obsoleto',
+      ddHealth: 'Salud de DD',
+      blockGap: 'Minutos sin un bloque nuevo',
+      orphans24h: 'Huérfanos (24 h)',
+    },
+    levels: {
+      none: 'Ninguno',
+      elevated: 'Elevado',
+      critical: 'Crítico',
+    },
+  },
+  notFound: {
+    title: 'Página no encontrada',
+    message: 'No existe ninguna página en {path}.',
+    back: 'Volver al panel de mainnet',
+    backTestnet: 'Volver al panel de testnet',
+    pages: 'Páginas de esta red',
+  },
+  embed: {
+    title: 'Widgets para insertar',
+    intro: 'Muestra datos de DigiByte en vivo en tu propio sitio. Elige un widget y un estilo, y pega el código en tu página.',
+    widget: 'Widget',
+    theme: 'Tema',
+    light: 'Claro',
+    dark: 'Oscuro',
+    accent: 'Color de acento',
+    accentHelp: 'Color hexadecimal como ff6600; déjalo vacío para usar el color de la red.',
+    accentInvalid: 'No es un color hexadecimal; se usa el color de la red.',
+    network: 'Red',
+    preview: 'Vista previa',
+    code: 'Código para insertar',
+    copy: 'Copiar código',
+    copied: 'Copiado',
+  },
+  home: {
+    title: 'Estadísticas de la blockchain de DigiByte',
+    titleTestnet: 'Estadísticas de la blockchain Testnet de DigiByte',
+    intro: 'Este es un sitio web libre y de código abierto con datos e información en tiempo real sobre la blockchain de DigiByte, obtenidos directamente de la blockchain mediante digibyted.',
+    about: 'La blockchain de DigiByte se lanzó el 10 de enero de 2014. <strong>NO</strong> hay ninguna empresa, grupo centralizado, preminado masivo, entidad o persona que controle DGB. DGB es una combinación verdaderamente descentralizada de velocidad, seguridad e innovación.',
+    totalBlocks: 'Bloques totales',
+    totalBlocksDescription: 'Total de bloques en la blockchain de DigiByte desde que la cadena comenzó el 10 de enero de 2014.',
+    totalTransactions: 'Transacciones totales',
+    totalTransactionsDescription: 'Total de transacciones enviadas en la blockchain de DigiByte desde su lanzamiento el 10 de enero de 2014.',
+    totalSize: 'Tamaño total',
+    totalSizeDescription: 'Tamaño total en GB necesario para almacenar toda la blockchain de DGB desde el 10 de enero de 2014.',
+    circulatingSupply: 'Suministro circulante actual',
+    circulatingSupplyDescription: 'Suministro circulante actual calculado a partir de todos los UTXO hasta el último bloque.',
+    remainingSupply: 'Suministro restante por minar',
+    remainingSupplyDescription: 'DGB restantes por minar hasta alcanzar el suministro máximo de 21 mil millones de DGB.',
+    lastBlockReward: 'Última recompensa de bloque',
+    lastBlockRewardDescription: 'La recompensa de minería de DigiByte del bloque más reciente de la blockchain.',
+    algoDifficulties: 'Dificultades por algoritmo',
+    algoDifficultiesDescription: 'Las dificultades de minería actuales de cada uno de los 5 algoritmos de minería de DigiByte.',
+    latestVersion: 'Última versión',
+    latestVersionDescription: 'Última versión de DGB Core.',
+    softforks: 'Softforks activos',
+    softforksLoading: 'Cargando datos de despliegue...',
+    softforksDescription: 'Softforks activos en la cadena.',
+    testnetStatus: 'Estado de DigiDollar en Testnet26',
+    testnetStatusDescription: 'Red {network} actual, donde DigiDollar está activo desde el bloque 600. DigiDollar se lanzó en mainnet con la v9.26.2; la activación en mainnet espera ahora la señalización BIP9 del 70% de los mineros.',
+    oracleConsensus: 'Consenso de oráculos {consensus}',
+    testnet: 'Testnet',
+    p2pPort: 'Puerto P2P',
+    rpcPort: 'Puerto RPC',
+    ddActivation: 'Activación DD',
+    oracleRoster: 'Lista de oráculos',
+    oracleRosterValue: 'Lista de 35 plazas, quórum de 7 de 35',
+    mainnetMinActivation: 'Altura mínima de activación en mainnet (superada)',
+    blockHeight: 'Bloque {height}',
+  },
+  blocks: {
+    title: 'Bloques de DigiByte en tiempo real',
+    intro: 'Esta página precarga los 240 bloques de DGB más recientes y seguirá añadiendo nuevos en tiempo real mientras la mantenga abierta y se minen bloques. Siga desplazándose (o salte a una altura) para ver bloques anteriores, y filtre por algoritmo, pool o paquete de DigiDollar.',
+    height: 'Altura',
+    hash: 'Hash',
+    algorithm: 'Algoritmo',
+    pool: 'Pool',
+    txCount: 'Nº de TX',
+    bundle: 'Paquete de DigiDollar',
+    unknownPool: 'Desconocido',
+    signers: '{count} firmantes',
+    attached: 'Incluido',
+    allAlgorithms: 'Todos los algoritmos',
+    poolPlaceholder: 'p. ej. DigiHash',
+    bundleOnly: 'Solo con paquete de DigiDollar',
+    jumpToHeight: 'Saltar a la altura',
+    go: 'Ir',
+    browsingFrom: 'Mostrando desde la altura {height} hacia abajo',
+    backToLatest: 'Volver a los más recientes',
+    noMatches: 'Ningún bloque coincide con estos filtros.',
+    loadingOlder: 'Cargando bloques anteriores...',
+    listLabel: 'Bloques',
+    retry: 'Reintentar',
+    loadOlderError: 'No se pudieron cargar los bloques anteriores ({error}).',
+    loadOlder: 'Cargar bloques anteriores',
+    noOlder: 'No hay bloques anteriores.',
+  },
+  supply: {
+    title: 'Estadísticas de suministro de DigiByte',
+    intro: 'DigiByte tiene un suministro limitado de 21 mil millones de DGB que se terminará de minar en el año 2035. La blockchain se lanzó el 10 de enero de 2014 con un lanzamiento público justo y anunciado de antemano.',
+    billionDgb: '{amount} mil millones de DGB',
+    ofMaxSupply: 'del suministro máximo',
+    currentTitle: 'Suministro circulante actual',
+    currentDescription: 'El suministro circulante actual, calculado a partir de todos los UTXO hasta el último bloque.',
+    remainingTitle: 'Suministro restante por minar',
+    remainingDescription: 'DGB que quedan por minar hasta alcanzar el suministro máximo de 21 mil millones de DGB en 2035.',
+    perPersonTitle: 'DGB por persona',
+    worldPopulation: 'Población mundial',
+    perPersonDescription: 'La cantidad de DigiByte disponible por persona en la Tierra si se repartiera por igual según el suministro actual.',
+    miningEndTitle: 'Fin de la minería',
+    miningYears: '21 años en total',
+    miningDuration: 'Duración de la minería',
+    miningEndDescription: 'DigiByte sigue un calendario de minería de 21 años que concluirá en el año 2035.',
+    chartTitle: 'Cronología de la distribución del suministro de DigiByte',
+    chartCaption: 'Este gráfico muestra la distribución histórica y proyectada del suministro de DigiByte desde su lanzamiento en 2014 hasta el fin de la minería en 2035.',
+    supplyHistory: 'Historial del suministro de DGB',
+    maxSupply: 'Suministro máximo de DGB',
+    yetToBeMined: 'DGB aún por minar',
+    year: 'Año',
+    supplyAxis: 'Suministro de DGB (en miles de millones)',
+    billionsShort: '{amount} mil M',
+  },
+  chainTips: {
+    title: 'Entender las puntas de cadena y los huérfanos',
+    intro: '¿Es nuevo en lo que ve arriba? Estas secciones breves y sencillas explican las puntas de cadena, los bloques obsoletos y cuándo una rama competidora es motivo de preocupación. Toque cualquier título para desplegarlo.',
+    tipTitle: '¿Qué es una punta de cadena?',
+    tipBody1: 'Una <strong>punta de cadena</strong> es el bloque más reciente de cualquier rama que conoce un nodo. Cada nodo sigue la <strong>cadena activa (la mejor)</strong> — la rama con más prueba de trabajo acumulada — además de <em>todas</em> las puntas de ramas competidoras que ha visto.',
+    tipBody2: 'La RPC <code>getchaintips</code> las enumera todas: la única punta activa que llamaría "la blockchain", junto con las puntas sueltas de ramas competidoras más cortas. Esta página las representa en vivo para que vea el panorama completo, no solo la cadena ganadora.',
+    staleTitle: '¿Qué es un bloque huérfano u obsoleto?',
+    staleBody1: 'Un bloque huérfano u obsoleto es un <strong>bloque totalmente válido que no está en la cadena principal</strong> porque otro bloque a la misma altura ganó la carrera. No rompió ninguna regla: simplemente llegó un momento tarde (o con algo menos de trabajo detrás) y la red construyó sobre el otro bloque.',
+    staleBody2: 'El término preciso importa: en las cadenas de la familia de Bitcoin suelen llamarse <strong>bloques "obsoletos" (stale)</strong>. Los verdaderos <em>"huérfanos"</em> — bloques sin padre — prácticamente ya no existen ahora que los nodos sincronizan primero las cabeceras. Un bloque obsoleto es <strong>trabajo de minería real que no entró en la cadena canónica</strong>, no un error ni un ataque.',
+    whyTitle: '¿Por qué los produce DigiByte?',
+    whyBody1: 'DigiByte apunta a un <strong>tiempo de bloque de 15 segundos</strong> con <strong>5 algoritmos de minería independientes</strong> — SHA256D, Scrypt, Skein, Qubit y Odocrypt. Bloques rápidos y muchos mineros en distintos algoritmos hacen que a menudo se encuentren dos bloques perfectamente válidos casi al mismo instante.',
+    whyBody2: 'Cuando eso ocurre, un bloque se convierte en la punta y el otro queda obsoleto. Así que un goteo constante de <strong>bloques obsoletos aislados es sano y esperado</strong> en DigiByte: es el coste normal de bloques muy rápidos con varios algoritmos, no una bifurcación ni una señal de problemas.',
+    statusTitle: 'Estados de las puntas',
+    statusIntro: 'Cada punta que devuelve <code>getchaintips</code> lleva un estado. Estas etiquetas usan exactamente los mismos colores que el mapa de bifurcaciones en vivo de arriba:',
+    statusActive: 'En la cadena principal: la mejor cadena (con más trabajo acumulado) que sigue este nodo.',
+    statusValidFork: 'Un bloque competidor totalmente validado fuera de la cadena principal: un bloque obsoleto o huérfano.',
+    statusValidHeaders: 'El bloque se ha visto y su cabecera se ha comprobado, pero el bloque completo no se validó.',
+    statusHeadersOnly: 'Solo se conoce la cabecera del bloque; el bloque completo aún no se ha descargado.',
+    statusInvalid: 'Viola las reglas de consenso y fue rechazado. Este es el estado que hay que vigilar.',
+    reorgTitle: 'Longitud de rama y reorganizaciones (reorgs)',
+    reorgBody1: 'La <strong>longitud de rama</strong> es cuántos bloques tiene una cadena competidora que no están en la cadena principal. Una longitud de <strong>1 es un bloque obsoleto aislado</strong>, algo completamente normal. Ramas más largas significan que alguien está extendiendo activamente a la competidora.',
+    reorgBody2: 'Una <strong>reorganización (reorg)</strong> ocurre cuando el nodo cambia a una cadena competidora más larga y reemplaza uno o más bloques recientes por los de la competidora. Las reorgs poco profundas son rutinarias; <strong>las más profundas pueden afectar a la firmeza de las transacciones</strong>, porque una transacción que parecía confirmada puede volver brevemente a sin confirmar mientras la cadena se asienta.',
+    riskTitle: '¿Cuándo hay un riesgo real de bifurcación?',
+    riskIntro: 'Los bloques obsoletos aislados son rutinarios y sanos. El riesgo aumenta cuando una rama competidora:',
+    riskDeep: 'tiene <strong>4 o más bloques de profundidad</strong>, no un único bloque obsoleto;',
+    riskGrowing: '<strong>sigue creciendo con el tiempo</strong>, señal de que se mina activamente y no está abandonada;',
+    riskInvalid: 'está marcada como <strong>invalid</strong> (rompe las reglas de consenso); o',
+    riskReorg: 'provoca una <strong>reorg profunda</strong> que reescribe varios bloques confirmados.',
+    riskOutro: 'Esas son exactamente las condiciones que ponen el aviso de estado de esta página en {amber} o {red}. Hasta entonces, un flujo tranquilo de bloques obsoletos aislados es simplemente DigiByte funcionando según lo previsto.',
+    amber: 'ámbar',
+    red: 'rojo',
+    pageTitle: 'Puntas de cadena y huérfanos',
+    pageSubtitle: 'Una ventana en vivo a las puntas de cadena, los bloques obsoletos y el riesgo de bifurcación de DigiByte.',
+    pageNote: 'Con bloques de 15 s en 5 algoritmos, un bloque obsoleto ocasional es normal: lo que importa son las ramas profundas o que siguen creciendo.',
+    activeHeight: 'Altura activa',
+    activeHeightCaption: 'punta de la cadena principal',
+    competingTips: 'Puntas competidoras',
+    competingTipsCaption: 'cerca de la punta',
+    orphans24h: 'Huérfanos (24 h)',
+    orphans24hCaption: 'bloques obsoletos vistos',
+    deepestBranch: 'Rama más profunda',
+    deepestBranchCaption: 'bloques fuera de la cadena',
+    mapTitle: 'Mapa en vivo del árbol de bifurcaciones',
+    live: 'EN VIVO',
+    updated: '· actualizado {time}',
+    tipsTitle: 'Puntas de cadena actuales',
+    status: 'Estado',
+    height: 'Altura',
+    branchLen: 'Long. de rama',
+    hash: 'Hash',
+    noCompeting: 'Solo la punta activa: ninguna rama competidora en este momento.',
+    orphansTitle: 'Huérfanos recientes (últimas 24 h)',
+    noOrphans: 'No hay bloques huérfanos en las últimas 24 horas.',
+    algo: 'Algoritmo',
+    pool: 'Pool',
+    branch: 'Rama',
+    seen: 'Visto',
+    chartTitle: 'Huérfanos por día (30 días)',
+    avgPerDay: 'Media de {avg} / día',
+    avgPerDayTrackedOne: 'Media de {avg} / día · 1 día registrado',
+    avgPerDayTracked: 'Media de {avg} / día · {days} días registrados',
+    rollingAverage: 'Media de 7 días',
+    orphansPerDay: 'Huérfanos/día',
+    secondsAgo: 'hace {count} s',
+    minutesAgo: 'hace {count} min',
+    hoursAgo: 'hace {count} h',
+    daysAgo: 'hace {count} d',
+  },
+  forkRisk: {
+    none: 'Red saludable',
+    noneReason: 'Solo puntas obsoletas rutinarias de un bloque: DigiByte funciona según lo previsto.',
+    elevated: 'Elevado — Rama competidora',
+    elevatedReason: 'Se está siguiendo una rama competidora cerca de la punta de la cadena.',
+    critical: 'Riesgo de bifurcación',
+    criticalReason: 'Se ha detectado una rama competidora profunda.',
+  },
+  forkTree: {
+    waiting: 'Esperando datos de la cadena en vivo…',
+    mapLabel: 'Mapa en vivo de puntas de cadena y ramas de bifurcación',
+    height: 'Altura {height}',
+    status: 'Estado: {status}',
+    algo: 'Algoritmo: {algo}',
+    pool: 'Pool: {pool}',
+    olderTipOne: '+ 1 punta obsoleta más antigua fuera de esta ventana — consulte la tabla de huérfanos',
+    olderTips: '+ {count} puntas obsoletas más antiguas fuera de esta ventana — consulte la tabla de huérfanos',
+    activeTip: 'Punta activa',
+    validFork: 'Bifurcación válida',
+    validHeaders: 'Cabeceras válidas',
+    headersOnly: 'Solo cabeceras',
+    invalid: 'Inválida',
+  },
+  digiDollar: {
+    subtitle: 'Stablecoin descentralizada en USD sobre DigiByte',
+    intro: 'La primera stablecoin verdaderamente descentralizada nativa de una blockchain UTXO, que permite transacciones de valor estable sin control centralizado.',
+    highlights: 'DGB se convierte en el activo de reserva estratégico (máx. 21B, ~2,59 por persona) • Todo ocurre dentro de la cartera DigiByte Core • Nunca cede el control de sus claves privadas',
+    status: '<strong>Estado:</strong> <strong>Publicado — lanzado en la red principal</strong> en DigiByte v9.26.2 (29 de junio de 2026); la versión actual <strong>v9.26.4</strong> añade compatibilidad con nodos podados. La activación en la red principal está ahora en manos de los mineros mediante la señalización BIP9 (bit\u00a023) — sígala en directo en la página de activación. Plenamente operativo en testnet26, donde la red de oráculos funciona con un quórum MuSig2 de 7 firmas sobre 35 espacios de oráculo, respaldado por un amplio conjunto de pruebas automatizadas.',
+    what: {
+      title: '¿Qué es DigiDollar?',
+      scarcity: '<strong>DGB es un activo de reserva estratégico limitado y finito:</strong> con un suministro máximo de 21 000 millones de DGB, solo hay {perPerson} en la Tierra (según una población mundial de 8100 millones). Junto con la {blockSpeed} de DigiByte (40 veces más rápida que Bitcoin), esta escasez extrema y la rápida liquidación hacen de DGB la garantía ideal para DigiDollar: un respaldo verdaderamente finito para transacciones instantáneas en una moneda estable.',
+      perPerson: '2,59 DGB por persona',
+      blockSpeed: 'velocidad de bloque de 15 segundos',
+      simpleTitle: 'Explicación sencilla',
+      simple1: 'DigiDollar es una moneda digital estable que equivale a 1 USD y se crea bloqueando DigiByte (DGB) como garantía. DGB se convierte en el activo de reserva estratégico: con un suministro máximo de solo 21 000 millones (apenas ~2,59 DGB por persona en la Tierra), es un activo verdaderamente finito que respalda la estabilidad de los DigiDollars.',
+      simple2: 'A diferencia de las stablecoins tradicionales respaldadas por cuentas bancarias, DigiDollar es la primera stablecoin verdaderamente descentralizada del mundo sobre una blockchain UTXO. Ninguna empresa ni banco la controla.',
+      simple3: 'Lo más importante: todo ocurre directamente en su cartera DigiByte Core; nunca cede el control de sus claves privadas ni confía en un tercero.',
+      benefitsTitle: 'Ventajas principales',
+      benefitFirst: 'La primera stablecoin verdaderamente descentralizada del mundo sobre una blockchain UTXO',
+      benefitStable: 'Siempre vale 1 USD: estable y predecible',
+      benefitKeys: 'Mantiene el control total de sus claves privadas en la cartera Core',
+      benefitReserve: 'DGB se convierte en activo de reserva estratégico',
+      benefitSpeed: 'Bloques de 15 segundos (40 veces más rápidos que BTC), comisiones de 0,01 USD',
+    },
+    how: {
+      title: 'Cómo funciona',
+      coreIdea: 'La idea central: la analogía de la caja fuerte de plata',
+      silver1: '<strong>Imagine que DGB es plata</strong> guardada en la caja fuerte de su sótano. Tiene plata por valor de 1000 USD, pero necesita efectivo hoy. En lugar de vender su plata (y perder las ganancias futuras), la guarda en una caja fuerte especial con cierre temporizado.',
+      silver2: 'La caja fuerte le da 500 USD en efectivo para gastar hoy. <strong>La plata NUNCA sale de su posesión</strong>: se queda en SU sótano, en SU caja fuerte. Simplemente no puede acceder a ella hasta que venza el bloqueo temporal.',
+      silver3: '¡10 años después, su plata vale 10 000 USD (10 veces más)! Para desbloquearla, solo tiene que devolver los 500 USD a la caja fuerte → recupera su plata de 10 000 USD. Se ha quedado con TODA la revalorización.',
+      exactlyTitle: 'Así es EXACTAMENTE como funciona DigiDollar:',
+      lockWallet: 'Bloquee DGB en SU cartera (nunca sale de su control)',
+      keepKeys: 'SIEMPRE conserva el control de sus claves privadas',
+      getDd: 'Obtenga DigiDollars para gastar hoy',
+      burnDd: 'Cuando vence el bloqueo temporal, queme DD → recupere sus DGB',
+      keepGains: 'Quédese con TODA la revalorización del precio de DGB',
+      taxTitle: '💡 La ventaja fiscal: liquidez sin vender',
+      taxBody: 'En la mayoría de las jurisdicciones, <strong>pedir prestado con garantía de activos NO es un hecho imponible</strong>. Es exactamente lo que hacen los multimillonarios: nunca venden sus acciones, piden prestado con ellas como garantía.',
+      saleTitle: 'Venta tradicional de criptomonedas:',
+      saleTax: '❌ Vender DGB → pagar entre un 20 y un 40 % de impuesto sobre las ganancias de capital',
+      saleLoss: '❌ Perder la revalorización futura',
+      saleEvent: '❌ Queda registrado un hecho imponible',
+      methodTitle: 'Método DigiDollar:',
+      methodLock: '✅ Bloquear DGB → obtener DigiDollars',
+      methodNoTax: '✅ Sin hecho imponible (en la mayoría de las jurisdicciones)',
+      methodGains: '✅ Conservar TODAS las ganancias futuras de DGB',
+      methodNeverSell: '✅ En teoría, nunca necesita vender DGB',
+      taxNote: '* La legislación fiscal varía según la jurisdicción. Consulte a un asesor fiscal sobre su situación concreta.',
+      incentivesTitle: 'Incentivos económicos: por qué esto beneficia a todos',
+      scarceTitle: '🔒 DGB se vuelve más escaso',
+      perPersonEarth: 'Por persona en la Tierra',
+      perPersonMath: '(suministro máximo de 21 000 M ÷ población de 8100 M)',
+      scarceBody: 'Con solo 21 000 millones de DGB que llegarán a existir, bloquear DGB para obtener DigiDollars hace que un activo ya escaso lo sea aún más. Esto crea un soporte natural para el precio.',
+      sellingPressure: 'Menor presión vendedora',
+      sellingPressureDetail: 'Los DGB bloqueados no pueden venderse por pánico durante la volatilidad del mercado',
+      supplyShock: 'Posible shock de oferta',
+      supplyShockDetail: 'Un bloqueo significativo podría provocar una contracción de la oferta',
+      allHolders: 'Beneficia a todos los poseedores de DGB',
+      allHoldersDetail: 'Incluso los DGB no bloqueados se benefician de un menor suministro circulante',
+      personalTitle: '💰 Beneficios financieros personales',
+      personalBody: 'DigiDollar ofrece a los poseedores de DGB una flexibilidad financiera sin precedentes, lo que permite estrategias sofisticadas de gestión patrimonial.',
+      taxEfficient: 'Liquidez fiscalmente eficiente',
+      taxEfficientDetail: 'Acceda a fondos sin generar ganancias de capital',
+      upside: 'Conserve el potencial alcista',
+      upsideDetail: 'Mantenga la exposición total a la revalorización del precio de DGB',
+      flexibility: 'Flexibilidad estratégica',
+      flexibilityDetail: 'Bloquee partes según sus necesidades de liquidez',
+      networkEffect: '<strong>El efecto de red:</strong> cuantas más personas usen DigiDollar, más fuerte será el ecosistema de DGB. Los DGB bloqueados crean escasez → impulsan el precio → atraen a más usuarios → generan más demanda tanto de DGB como de DigiDollar. Es un círculo virtuoso que beneficia a todos los participantes.',
+      processTitle: 'El proceso técnico',
+      lockTitle: '1. Bloquear DGB como garantía',
+      lockBody: 'Los usuarios bloquean DigiByte como garantía en una salida P2TR con bloqueo temporal. La cantidad depende del periodo de bloqueo (entre el 200 % y el 1000 % del valor en DigiDollar; los bloqueos más cortos exigen más garantía).',
+      mintTitle: '2. Emitir DigiDollars',
+      mintBody: 'Los DigiDollars se emiten automáticamente según el valor de los DGB bloqueados y el tipo de cambio actual en USD que proporcionan los oráculos descentralizados.',
+      redeemTitle: '3. Usar y canjear',
+      redeemBody: 'Use los DigiDollars para transacciones estables. Cuando vence el periodo de bloqueo, queme los DigiDollars necesarios para desbloquear toda su garantía en DGB.',
+    },
+    collateral: {
+      title: 'Requisitos de garantía',
+      intro: 'DigiDollar usa una escala de garantía decreciente que evita ataques y recompensa a los participantes a largo plazo:',
+      lockPeriod: 'Periodo de bloqueo',
+      ratio: 'Ratio de garantía',
+      undercollateralizedAfter: 'Infragarantizado tras',
+      dgbFor100: 'DGB por 100 USD',
+      test: 'PRUEBA',
+      hourOne: '{count} hora',
+      days: '{count} días',
+      months: '{count} meses',
+      yearOne: '{count} año',
+      years: '{count} años',
+      drop: 'caída del {percent}',
+      note: '<strong>Nota:</strong> sistema de garantía de 10 niveles, desde el 1000 % (1 hora) hasta el 200 % (10 años). El nivel de 1 hora es canónico en todas las redes (principal, de pruebas y regtest) y bloquea garantía real hasta su vencimiento. La validación de la emisión exige la ventana de nivel canónica declarada en el OP_RETURN de la emisión; se rechazan las duraciones personalizadas o con bloqueo insuficiente. La columna «Infragarantizado tras» muestra cuánto puede caer el precio de DGB antes de que una posición quede infragarantizada.',
+    },
+    useCases: {
+      title: 'Casos de uso revolucionarios',
+      bonds: 'Bonos corporativos',
+      bondsBody: 'Mercado de 140,7 billones de USD: liquidación instantánea frente a los 2-3 días de la compensación tradicional',
+      realEstate: 'Inmobiliario',
+      realEstateBody: 'Mercado de 79,7 billones de USD: la propiedad fraccionada democratiza la inversión inmobiliaria',
+      vehicles: 'Vehículos autónomos',
+      vehiclesBody: '13,7 billones de USD en 2030: los coches autónomos gestionan sus propias finanzas',
+      remittances: 'Remesas internacionales',
+      remittancesBody: 'Mercado de 685 000 millones de USD: reduce los costes del 6,3 % de media a una tarifa fija de 0,01 USD',
+      healthcare: 'Pagos sanitarios',
+      healthcareBody: 'Mercado de 550 000 millones de USD: resolución de reclamaciones en tiempo real y precios transparentes',
+      more: 'Y más de 45 más',
+      moreBody: 'De la cadena de suministro a los videojuegos, DigiDollar hace posibles innumerables innovaciones',
+    },
+    tech: {
+      title: 'Implementación técnica',
+      architecture: '<strong>Arquitectura revolucionaria:</strong> DigiDollar es la primera stablecoin verdaderamente descentralizada del mundo construida de forma nativa sobre una blockchain UTXO (Unspent Transaction Output, salida de transacción no gastada). Todas las operaciones se realizan directamente en la cartera DigiByte Core: los usuarios mantienen el control total de sus claves privadas durante todo el proceso.',
+      coreTitle: 'Tecnologías principales',
+      taproot: 'Integración de Taproot',
+      taprootDetail: 'Mayor privacidad gracias a las salidas P2TR y las firmas Schnorr',
+      oracles: 'Oráculos descentralizados',
+      oraclesDetail: 'En funcionamiento en testnet26 (puerto 12033): quórum MuSig2 de 7 firmas, 35 espacios de oráculo activos (0-34). Formato del paquete de oráculos en cadena: v0x03 (MuSig2).',
+      mast: 'Implementación de MAST',
+      mastDetail: 'Ejecución eficiente de scripts con árboles de scripts alternativos merkleizados (MAST)',
+      featuresTitle: 'Características principales',
+      noLiquidations: 'Sin liquidaciones forzosas durante la volatilidad del mercado',
+      identicalTx: 'Todas las transacciones parecen idénticas en la cadena (privacidad)',
+      batchVerify: 'Verificación de firmas por lotes para mayor eficiencia',
+      native: 'Integración nativa en la blockchain (sin cadenas laterales)',
+    },
+    details: {
+      title: 'Detalles de la implementación técnica',
+      intro: 'DigiDollar aprovecha opcodes avanzados de Bitcoin Script y las capacidades únicas de DigiByte para crear un sistema de stablecoin descentralizado y sin necesidad de confianza:',
+      timeLockTitle: 'Mecanismo de bloqueo temporal',
+      cltvDetail: 'Impone periodos de bloqueo de la garantía basados en el tiempo (de 1 hora a 10 años)',
+      csvDetail: 'Permite bloqueos temporales relativos para las ventanas de canje',
+      nLockTimeDetail: 'Impide que las transacciones se minen antes de la altura de bloque indicada',
+      scriptTitle: 'Funciones de script principales',
+      oracleValidation: 'Validación de oráculos',
+      scriptPaths: 'Rutas de script de Taproot',
+      scriptPathsDetail: 'Varias condiciones de canje en una sola salida P2TR',
+      mastTrees: 'Árboles MAST',
+      mastTreesDetail: 'Scripts merkleizados para mayor privacidad y eficiencia',
+      flowTitle: 'Cómo funciona: flujo técnico simplificado',
+      mintingTitle: '1. Proceso de emisión',
+      mintingBody: 'El usuario crea una salida P2TR con garantía en DGB que incorpora el bloqueo temporal (CLTV) y los datos de precio de los oráculos. El script valida el ratio de garantía y emite los DigiDollars correspondientes.',
+      verifyTitle: '2. Verificación por oráculos',
+      verifyBody: '35 espacios de oráculo activos (0-34) con un quórum MuSig2 de 7 firmas en testnet26. Seis API de exchanges activas (Binance, KuCoin, Gate.io, HTX, Crypto.com, CoinGecko) alimentan las firmas de los oráculos mediante firma agregada MuSig2 (v0x03).',
+      redemptionTitle: '3. Proceso de canje',
+      redemptionBody: 'Una vez vencido el bloqueo temporal (verificado por CLTV), el usuario puede canjear DigiDollars para desbloquear sus DGB. El script quema los DigiDollars y libera la garantía a la dirección del usuario.',
+      innovation: '<strong>Innovación clave:</strong> a diferencia de las stablecoins basadas en Ethereum, que requieren contratos inteligentes y comisiones de gas, DigiDollar usa las capacidades nativas de script UTXO para ofrecer mayor seguridad, menores costes y una verdadera descentralización. Todo el sistema funciona sin intermediarios, sin riesgos de contratos inteligentes y sin requisitos de custodia.',
+    },
+    protection: {
+      title: 'Sistema de protección de cuatro capas',
+      challenge: '<strong>El reto del bloqueo temporal:</strong> como la garantía está bloqueada criptográficamente en el tiempo, NO hay liquidaciones forzosas ni llamadas de margen. Las posiciones deben mantenerse hasta el final del plazo, sean cuales sean las condiciones del mercado. Esto exige un enfoque de protección único.',
+      layer1Title: '1️⃣ Mayores requisitos de garantía',
+      layer1Chip: 'Primera defensa',
+      layer1Body: 'La escala decreciente del 1000 %→200 % ofrece un enorme margen frente a las caídas de precio. El nivel de una hora exige 10 veces la garantía, lo que protege frente a la volatilidad a corto plazo.',
+      layer1Example: '<strong>Ejemplo:</strong> con una garantía del 1000 %, DGB puede caer un 90 % antes de quedar infragarantizado.',
+      layer2Title: '2️⃣ Ajuste dinámico de la garantía',
+      layer2Chip: 'Segunda defensa',
+      layer2Body: 'A medida que cambia la salud del sistema, los requisitos de garantía se ajustan automáticamente:',
+      dcaNormal: '• ≥150 %: normal (multiplicador 1,0x)',
+      dcaLow: '• 120-149 %: +25 % de garantía (1,25x)',
+      dcaWarning: '• 110-119 %: +50 % de garantía (1,5x)',
+      dcaCritical: '• <110 %: +100 % de garantía (2,0x)',
+      layer3Title: '3️⃣ Ratio de canje de emergencia',
+      layer3Chip: 'Tercera defensa',
+      layer3Body: 'Si el sistema cae por debajo del 100 % de garantía, los canjes exigen <strong>quemar más DD</strong>, pero usted <strong>SIEMPRE recupera el 100 % de su garantía</strong>.',
+      errTiers: '<strong>Niveles de ERR:</strong> 95-100 % → quemar 105,3 % DD | 90-95 % → quemar 111,1 % DD | 85-90 % → quemar 117,6 % DD | <85 % → quemar 125 % DD',
+      layer3Example: 'Ejemplo: con una salud del sistema del 80 %, queme 125 DD para canjear una posición de 100 DD → recupere TODA la garantía',
+      layer4Title: '4️⃣ Dinámica de oferta y demanda',
+      layer4Chip: 'Defensa natural',
+      layer4Body: 'Los DGB bloqueados reducen el suministro circulante y crean un soporte natural para el precio. Con un máximo de solo 21 000 M de DGB, el bloqueo genera escasez.',
+      layer4Effect: '<strong>Efecto:</strong> más bloqueo → menos oferta → mayor precio de DGB → mejor garantía',
+      monitoringTitle: '🔍 Supervisión del sistema en tiempo real',
+      monitoringBody: 'El sistema sigue continuamente métricas de salud críticas para garantizar la estabilidad:',
+      monitorLocked: '• Total de DGB bloqueados por nivel',
+      monitorMinted: '• Total de DigiDollars emitidos',
+      monitorRatios: '• Ratios de garantía por nivel',
+      monitorHealth: '• Salud agregada del sistema',
+      rpcAccess: 'Disponible mediante el comando RPC: {command}',
+      insight: '<strong>Idea clave:</strong> estas cuatro capas funcionan juntas sin liquidaciones forzosas. La prevención (mayor garantía), la adaptación (ajuste dinámico), la gestión de crisis (ratios de emergencia) y las fuerzas del mercado (escasez) crean un sistema resistente que se autoequilibra.',
+    },
+    roadmap: {
+      title: 'Hoja de ruta de desarrollo',
+      specsTitle: 'Especificaciones de implementación de DigiDollar',
+      shippedChip: 'PUBLICADO — v9.26.4',
+      specsSummary: 'Todos los hitos completados — publicado en v9.26.2, versión actual v9.26.4',
+      specs: {
+        addresses: '<strong>Sistema de direcciones DD/TD/RD</strong> - Completado',
+        tiers: '<strong>Sistema de garantía de 10 niveles</strong> - Completado',
+        minting: '<strong>Proceso de emisión (totalmente refactorizado)</strong> - Completado',
+        transfers: '<strong>Enviar/recibir DigiDollars</strong> - Completado',
+        walletUi: '<strong>Interfaz de cartera completa (7 pestañas)</strong> - Completado',
+        utxoTracking: '<strong>Seguimiento de UTXO en toda la red</strong> - Completado',
+        redemption: '<strong>Sistema de canje</strong> - Completado',
+        protection: '<strong>Protección DCA/ERR/volatilidad</strong> - Completado',
+        oracles: '<strong>Sistema de oráculos</strong> - quórum MuSig2 de 7 firmas sobre 35 espacios de oráculo activos, en funcionamiento en testnet26',
+        musig2: '<strong>Validación de oráculos MuSig2 (lista activa de 7 de 35)</strong> - Completado',
+        mainnet: '<strong>Lanzamiento en la red principal (v9.26.2) + compatibilidad con nodos podados (v9.26.4)</strong> - Completado',
+      },
+      specsCount: '11/11 hitos completados • publicado en la red principal',
+      released: '<strong>PUBLICADO:</strong> DigiByte v9.26.2 se lanzó en la red principal el 29 de junio de 2026 — los mineros ya pueden señalizar la activación de DigiDollar',
+      releaseTitle: 'Versión DigiDollar de DigiByte v9.26.2',
+      mainnetChip: 'PUBLICADO EN LA RED PRINCIPAL',
+      releaseSummary: 'Sistema de oráculos - 35 espacios de oráculo activos (0-34), quórum MuSig2 de 7 firmas (BIP-327 sobre Schnorr BIP-340)',
+      release: {
+        opcode: 'Integración del opcode OP_ORACLE (0xbf)',
+        opcodeDetail: 'Completado - formato compacto de oráculo de 22 bytes',
+        exchanges: 'Integración de seis API de exchanges activas',
+        exchangesDetail: 'Completado - Binance, KuCoin, Gate.io, HTX, Crypto.com, CoinGecko',
+        p2p: 'Gestión de mensajes P2P',
+        p2pDetail: 'Completado - ORACLEPRICE, nonce/contexto/firma parcial de MuSig2, GETORACLES',
+        validation: 'Validación de bloques en testnet/regtest',
+        validationDetail: 'Completado - alturas de activación: Testnet26 600, Regtest 650',
+        schnorr: 'Firmas Schnorr (BIP-340)',
+        schnorrDetail: 'Completado - caché de precios con ConnectBlock/DisconnectBlock',
+        consensus: 'Consenso de oráculos (MuSig2 de 7 firmas)',
+        consensusDetail: 'Activo en testnet26 - 35 espacios de oráculo activos (0-34), 7 firmas requeridas',
+        testnet: 'DigiDollar activado en la red de pruebas',
+        testnetDetail: 'Completado - v9.26.0-RC44, testnet26 con feeds de precio de oráculos',
+        mainnet: 'Lanzamiento de DigiByte v9.26.2 en la red principal',
+        mainnetDetail: 'Completado - publicado el 29 de junio de 2026; activación de DigiDollar pendiente mediante señalización BIP9',
+      },
+      releaseCount: '8/8 hitos completados • v9.26.2 publicada en la red principal el 29 de junio de 2026',
+      currentStatus: '<strong>Estado actual:</strong> DigiByte <strong>v9.26.2 publicada en la red principal el 29 de junio de 2026</strong> con DigiDollar y un quórum de oráculos MuSig2 de 7 firmas sobre 35 espacios de oráculo activos (0-34). DigiDollar ya está activo en testnet26. En la red principal, DigiDollar se activa mediante la señalización BIP9 de los mineros (bit de versión 23, umbral del 70 % — 28.224 de 40.320 bloques por ventana de señalización; la altura mínima de activación de 23.627.520 ya se ha superado, así que la activación depende ahora únicamente de la señalización de los mineros). Para conocer todos los detalles y el resto de mejoras, consulte la {roadmapLink} completa.',
+      roadmapLink: 'Hoja de ruta de DigiByte',
+    },
+    resources: {
+      title: 'Más información',
+      whitePaper: 'Libro blanco',
+      techSpecs: 'Especificaciones técnicas',
+      useCases: '50 casos de uso',
+      discussion: 'Únase al debate',
+      closing: 'DigiDollar supone un cambio de paradigma en las finanzas descentralizadas: la primera stablecoin verdaderamente descentralizada del mundo sobre una blockchain UTXO, donde DGB se convierte en el activo de reserva estratégico y los usuarios nunca renuncian al control de sus claves privadas.',
+    },
+  },
+  integrationGuides: {
+    title: 'Guías de integración de DigiDollar',
+    intro: '¿Listo para integrar DigiDollar en su cartera o exchange? Estas guías cubren todo lo necesario para empezar, incluido un inicio rápido en la red de pruebas para que pueda comenzar a integrar ahora mismo.',
+    walletTitle: 'Integración en carteras',
+    walletBody: 'Para proveedores de carteras que ya admiten DigiByte. Cubre la generación de direcciones DD/TD, el seguimiento de saldos, la emisión con los 10 niveles de bloqueo, el envío y la recepción de DD, la gestión de la garantía, el canje y la referencia completa de RPC.',
+    walletGuide: 'Guía de integración en carteras',
+    exchangeTitle: 'Integración en exchanges',
+    exchangeBody: 'Para exchanges que ya admiten DigiByte. Cubre la detección de depósitos, el procesamiento de retiradas, los umbrales de confirmación, la arquitectura de hot wallet, los requisitos de comisiones en DGB y las RPC esenciales. Incluye errores habituales, como filtrar las salidas DD de 0 sat.',
+    exchangeGuide: 'Guía de integración en exchanges',
+    quickStart: 'Ambas guías incluyen un inicio rápido en la red de pruebas: empiece a integrar en testnet hoy mismo',
+    docsTitle: 'Documentación y especificaciones',
+    docsIntro: 'La documentación de referencia completa de DigiDollar, alineada con el código (DigiByte Core v9.26.4). Empiece por el explicador de DigiDollar para una visión general en lenguaje sencillo y después profundice en las especificaciones de arquitectura, oráculos y activación.',
+    docs: {
+      explainer: 'Explicador de DigiDollar',
+      architecture: 'Arquitectura de DigiDollar',
+      oracleExplainer: 'Explicador de los oráculos',
+      oracleArchitecture: 'Arquitectura de los oráculos',
+      activation: 'Explicador de la activación BIP9',
+      mining: 'Guía de integración para minería',
+    },
+  },
+  oracles: {
+    title: 'Oráculos de DigiDollar {label}',
+    subtitle: 'Red descentralizada de precios',
+    intro: 'La red de oráculos proporciona precios DGB/USD en tiempo real al sistema DigiDollar mediante consenso de firmas Schnorr BIP-340.',
+    feedError: 'No se puede conectar con el flujo de datos de los oráculos. Es posible que la red no esté disponible.',
+    ageUnknown: 'desconocido',
+    ageSeconds: 'hace {s} s',
+    ageMinutes: 'hace {m} min {s} s',
+    ageHours: 'hace {h} h {m} min',
+    ageDays: 'hace {d} d {h} h',
+    durationSeconds: '~{s} s',
+    durationMinutes: '~{m} min {s} s',
+    durationHours: '~{h} h {m} min',
+    consensusLabel: '{threshold} de {total}',
+    roster: {
+      mainnet: 'lista de mainnet',
+      testnet: 'lista de testnet',
+    },
+    operatorSlot: {
+      mainnet: 'puesto de oráculo asignado en mainnet',
+      testnet: 'puesto de oráculo asignado en testnet26',
+    },
+    phaseSummary: {
+      mainnet: 'Se requieren 7 de 35 firmas | Lista reservada de 35 puestos | Firma agregada MuSig2 (v0x03)',
+      testnet: 'Se requieren 7 de 35 firmas | Lista reservada de 35 puestos | 35 oráculos en la lista de testnet | Firma agregada MuSig2 (v0x03)',
+    },
+    priceTitle: 'Precio del oráculo en {network}',
+    updated: 'Actualizado: {time}',
+    loadingData: 'Cargando datos de los oráculos...',
+    waitingTitle: 'La red de oráculos espera la activación',
+    waitingBody: 'DigiDollar está actualmente en la fase {stage}, por lo que todavía no hay informes de precios de los oráculos en vivo.',
+    unavailableTitle: 'Red de oráculos no disponible',
+    unavailableBody: 'No se pudieron obtener los datos de los oráculos de la red',
+    consensusTooltip: 'Número de firmantes del último paquete MuSig2 en cadena, decodificado del mapa de bits de participación de Core. Es el conjunto real de 7 oráculos que firmó el paquete más reciente.',
+    consensusTitle: 'Consenso de oráculos',
+    signaturesRequired: 'firmas requeridas',
+    signingCount: '{count}/{required} firmando',
+    noBundleData: 'datos de firmantes del paquete no disponibles',
+    releaseSummary: '<strong>{release}:</strong> {summary} | {count} oráculos visibles de la {roster}',
+    statusTitle: 'Estado de la red de oráculos',
+    consensusReady: 'consenso listo',
+    belowThreshold: 'por debajo del umbral',
+    signing: 'Firmando',
+    signingDetail: 'lista real de 7 firmantes del bloque {height}',
+    signingWaiting: 'esperando datos de getoraclesigners',
+    liveFeeds: 'Precios en vivo',
+    liveFeedsDetail: 'se requieren {count} precios firmados válidos',
+    heartbeats: 'Latidos en línea',
+    heartbeatsDetail: 'estado firmado del operador, reciente si tiene menos de 30 minutos',
+    compatible: 'Software compatible',
+    compatibleDetail: 'contexto MuSig2 {version}+ con latido válido',
+    rosterOracles: 'Oráculos de la lista',
+    rosterDetailOne: '{roster} configurada en Core; 1 oráculo local visible',
+    rosterDetail: '{roster} configurada en Core; {count} oráculos locales visibles',
+    statusNote: 'Firmando significa que este oráculo firmó realmente el paquete de precios de DigiDollar más reciente en cadena. Precio en vivo significa que el oráculo está en línea y emite un precio firmado válido. Los oráculos de la lista son la {roster} configurada que se carga desde Core.',
+    versions: 'Versiones de los oráculos',
+    noVersion: 'Sin versión informada',
+    operatorOne: '{count} operador',
+    operators: '{count} operadores',
+    versionFeeds: '{reporting} precios en vivo · {fresh} latidos recientes',
+    roundClock: 'Reloj de rondas de los oráculos',
+    musig2State: 'MuSig2 {state}',
+    currentRound: 'Ronda actual',
+    round: 'Ronda {round}',
+    currentBlock: 'Bloque actual {height}',
+    roundBlocks: 'Bloques de la ronda',
+    blockRange: 'Bloques {start}-{end}',
+    blocksObserved: '{mined}/{total} bloques observados',
+    nextRound: 'Próxima ronda',
+    nextRoundAt: 'Próxima ronda: bloque {height}',
+    blocksAway: 'dentro de {count} bloques',
+    signingProgress: 'Progreso de la firma',
+    nonces: 'Nonces {count}/{required}',
+    signatures: 'Firmas {count}/{required}',
+    whatTitle: '¿Qué son los oráculos?',
+    blindSpot: '<strong>El punto ciego de la blockchain:</strong> las blockchains están aisladas por diseño: no pueden acceder a internet ni "ver" fuera de su propia red. Sin oráculos, la blockchain no sabe cuánto vale DGB en USD.',
+    withOracles: '<strong>Con oráculos:</strong> la blockchain recibe precios verificados del mundo real. Ahora sabe que "1.000 DGB = 6,03 USD en la altura de bloque 1.234.567"',
+    howItWorks: 'Cómo funciona:',
+    howFetch: 'Los oráculos obtienen precios de seis exchanges activos (Binance, KuCoin, Gate.io, HTX, Crypto.com, CoinGecko) cada 60 segundos',
+    howMedian: 'Calculan el precio mediano filtrando los valores atípicos con MAD',
+    howSign: 'Firman los datos de precio con firmas Schnorr BIP-340',
+    howBroadcast: 'Los difunden a la red P2P: todos los nodos los validan y retransmiten',
+    becomeTitle: 'Conviértase en operador de oráculo',
+    becomeIntro: 'Ayude a proteger la red DigiDollar operando un {slot}.',
+    step1Title: 'Paso 1: Crear la clave del oráculo',
+    step1Body: 'Ejecute <code>createoraclekey</code> en su billetera DigiByte Core para generar un par de claves seguro. La clave privada se queda en su billetera: nunca sale de ella.',
+    step2Title: 'Paso 2: Coordinar la asignación del puesto',
+    step2Body: 'Coordine un ID de oráculo activo asignado con el grupo de operadores antes de publicar una clave. La lista en vivo de arriba muestra todos los puestos que Core marca actualmente como activos para el consenso.',
+    step3Title: 'Paso 3: Iniciar el oráculo',
+    step3Body: 'Una vez incluido en una versión, ejecute <code>startoracle</code> y su nodo obtendrá precios y los difundirá a la red automáticamente.',
+    setupGuide: 'Guía de configuración del oráculo',
+    coordinateSlot: 'Coordinar un puesto de operador',
+    networkTitle: 'Red de oráculos de {network}',
+    signingChip: '{count} / {required} firmando',
+    liveFeedsChip: '{count} / {total} precios en vivo',
+    notReporting: 'Sin informar',
+    loadingNetwork: 'Cargando la red de oráculos...',
+    noDataTitle: 'No hay datos de oráculos',
+    noDataBody: 'No se pudo obtener el estado de la red de oráculos',
+    colOracle: 'Oráculo',
+    colOracleTip: 'Nombre del operador del oráculo e identificador único',
+    colStatus: 'Estado',
+    colStatusTip: 'Informando = emitiendo precios activamente. Sin datos = no está en línea ahora',
+    colPrice: 'Precio',
+    colPriceTip: 'Precio actual que este oráculo informa a la red',
+    colHeartbeat: 'Latido / Versión',
+    colHeartbeatTip: 'Latido firmado del operador y versiones de software y protocolo que informa este oráculo',
+    colSigning: 'Firma / En vivo',
+    colSigningTip: 'Firmando significa que el ID de este oráculo está en el mapa de bits de participación MuSig2 más reciente en cadena y firmó el último paquete. Precio en vivo significa que ahora emite un precio firmado válido.',
+    colEndpoint: 'Endpoint',
+    colEndpointTip: 'Dirección de red P2P y clave pública BIP-340 abreviada que se usa para verificar este oráculo',
+    oracleName: 'Oráculo {id}',
+    oracleId: 'ID: {id}',
+    reporting: 'informando',
+    noData: 'sin datos',
+    noPriceSource: 'sin fuente de precio',
+    musig2Context: 'Contexto MuSig2 {version}',
+    protocolVersions: 'Cliente {client} · P2P {p2p} · Oráculo {oracle}',
+    notSigning: 'No firma',
+    liveFeed: 'Precio en vivo',
+    noLivePrice: 'Sin precio en vivo',
+    local: 'local',
+    pubkeyTip: '{pubkey} (haga clic para verla en el código fuente)',
+    priceFormat: '<strong>Formato de precio:</strong> los precios de los oráculos usan el formato micro-USD, donde 1.000.000 = 1,00 USD. Así la aritmética es exacta, sin errores de coma flotante. El consenso es de {consensus} en {slots} puestos reservados, con {count} oráculos de la {roster} mostrados arriba.',
+    techTitle: 'Especificaciones técnicas',
+    configTitle: 'Configuración de oráculos de {network}',
+    specQuorum: 'Quórum de oráculos de {threshold} firmas',
+    specSlots: 'Se requieren {consensus} puestos de oráculo reservados para el consenso, con {count} oráculos de la {roster}',
+    specRelease: '{version} en {network}, puerto P2P {port}',
+    specMusigOnly: 'Solo firma agregada MuSig2 (v0x03)',
+    specBip9Feed: 'El estado del despliegue BIP9 procede del flujo RPC local de Core',
+    sharedTitle: 'Reglas comunes de producción',
+    ruleMusig: 'Firma agregada MuSig2 (v0x03)',
+    ruleRoster: 'Lista de 35 puestos de oráculo con quórum de 7 de 35 firmas',
+    ruleBip9: 'Activación BIP9 para el despliegue',
+    ruleFetch: 'Consulta a exchanges y difusión del oráculo cada 60 segundos',
+    ruleBundle: 'Paquete compacto MuSig2 v0x03 por bloque (~91 bytes: mapa de bits de participación, precio, marca de tiempo y firma agregada de 64 bytes)',
+    ruleEndpoints: 'Endpoints de oráculos de producción',
+    limitsTitle: 'Límites de validación de precios:',
+    limitMin: 'Mín.: 0,0001 $/DGB (100 micro-USD)',
+    limitMax: 'Máx.: 100,00 $/DGB (100 M micro-USD)',
+    limitValid: 'Válido durante 20 bloques',
+    trackActivation: 'Seguir la activación →',
+    notActive: '<strong>DigiDollar todavía no está activo.</strong> Actualmente está en la fase <strong>{stage}</strong> de la activación BIP9.',
+  },
+  oracleTiles: {
+    priceTooltip: 'Precio de consenso de la red de oráculos: mediana de todos los precios de los oráculos activos con filtrado de valores atípicos',
+    price: 'Precio DGB/USD',
+    notReporting: 'Sin informar',
+    microUsd: '{amount} micro-USD',
+    updateTooltip: 'Altura de bloque de la última actualización del precio del oráculo. El precio queda obsoleto tras 20 bloques sin actualizarse',
+    lastUpdate: 'Última actualización',
+    block: 'Bloque {height}',
+    noData: 'Sin datos',
+    stale: 'Obsoleto',
+    fresh: 'Reciente',
+  },
+};
+
+export default es;
@@ -0,0 +1,54 @@
+import en from './en';
+import es from './es';
+import zh from './zh';
+
+/**
+ * Supported locales and message lookup. Catalogs are nested objects keyed by
+ * page or component; `translate()` takes dotted keys ('home.totalBlocks').
+ */
+
+export const DEFAULT_LOCALE = 'en';
+
+/** Selector entries, in display order; `label` is the language's own name. */
+export const LOCALES = [
+  { code: 'en', label: 'English' },
+  { code: 'es', label: 'Español' },
+  { code: 'zh', label: '中文' },
+];
+
+export const catalogs = { en, es, zh };
+
+/**
+ * Map a BCP 47 tag ('es-MX', 'zh-Hans-CN') to a supported locale code.
+ *
+ * @param {string} tag - Language tag from a URL, storage or the browser
+ * @returns {string|null} - Supported code, or null when there is none
+ */
+export const matchLocale = (tag) => {
+  if (typeof tag !== 'string' || !tag) return null;
+  const base = tag.toLowerCase().split(/[-_]/)[0];
+  return catalogs[base] ? base : null;
+};
+
+const lookup = (catalog, key) => key.split('.').reduce(
+  (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+  catalog
+);
+
+/**
+ * Message for `key` in `locale`, falling back to English, then to the key.
+ * `{name}` placeholders are replaced from `vars`; unknown ones are kept.
+ *
+ * @param {string} locale - Supported locale code
+ * @param {string} key - Dotted message key
+ * @param {Object} [vars] - Placeholder values
+ * @returns {string}
+ */
+export const translate = (locale, key, vars) => {
+  const message = lookup(catalogs[locale], key) ?? lookup(catalogs[DEFAULT_LOCALE], key);
+  if (typeof message !== 'string') return key;
+  if (!vars) return message;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (
+    vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : match
+  ));
+};
@@ -0,0 +1,716 @@
+/**
+ * Simplified Chinese message catalog. Keys mirror en.js.
+ */
+const zh = {
+  common: {
+    loading: '加载中...',
+    export: '导出',
+    exportCsv: '下载 CSV',
+    exportJson: '下载 JSON',
+    share: '分享',
+    downloadPng: '下载 PNG',
+    downloadSvg: '下载 SVG',
+    copyLink: '复制链接',
+    linkCopied: '链接已复制',
+  },
+  time: {
+    justNow: '刚刚',
+  },
+  nav: {
+    home: '首页',
+    blocks: '区块',
+    tips: '链尖',
+    txs: '交易',
+    supply: '供应量',
+    algos: '算法',
+    difficulties: '难度',
+    hashrate: '算力',
+    pools: '矿池',
+    upgrades: '升级',
+    nodes: '节点',
+    downloads: '下载',
+    roadmap: '路线图',
+    digidollar: 'DigiDollar',
+    activation: '激活',
+    oracles: '预言机',
+    ddStats: 'DD 统计',
+    block: '区块',
+    tx: '交易',
+    address: '地址',
+    convert: '钱包转换',
+    taproot: 'Taproot',
+    embed: '嵌入',
+    groups: {
+      chain: '区块链',
+      mining: '挖矿',
+      community: '网络与项目',
+      digidollar: 'DigiDollar',
+    },
+  },
+  header: {
+    externalResources: '外部资源',
+    mainnet: '主网',
+    testnet: '测试网',
+    language: '语言',
+  },
+  connection: {
+    connected: '已连接',
+    reconnecting: '正在重连',
+    offline: '离线',
+    liveFeed: {
+      connected: '实时数据已连接',
+      reconnecting: '实时数据正在重连',
+      offline: '实时数据离线',
+    },
+    noUpdates: '暂无更新',
+    lastUpdateSeconds: '上次更新 {count} 秒前',
+    lastUpdateMinutes: '上次更新 {count} 分钟前',
+    lastUpdateHours: '上次更新 {count} 小时前',
+    offlineSnapshot: '离线 — 数据截至 {time}',
+  },
+  alerts: {
+    open: '警报与通知',
+    title: '警报',
+    intro: '本网站打开期间，规则会根据 {network} 实时数据进行检查，并保存在此浏览器中。',
+    notifications: '通知',
+    noAlerts: '暂无警报。',
+    markAllRead: '全部标为已读',
+    clear: '清除',
+    rules: '警报规则',
+    noRules: '暂无规则。请在下方添加。',
+    removeRule: '删除规则',
+    condition: '条件',
+    comparison: '比较',
+    threshold: '阈值',
+    addRule: '添加规则',
+    enableNotifications: '启用浏览器通知',
+    notificationsOn: '浏览器通知已开启。',
+    notificationsBlocked: '浏览器通知已在本网站设置中被阻止。',
+    notificationsUnsupported: '此浏览器不支持通知。',
+    currentValue: '当前：{value}',
+    yes: '是',
+    no: '否',
+    metrics: {
+      forkLevel: '分叉警报级别',
+      oracleStale: '预言机价格已过期',
+      ddHealth: 'DD 健康度',
+      blockGap: '无新区块的分钟数',
+      orphans24h: '孤块（24 小时）',
+    },
+    levels: {
+      none: '无',
+      elevated: '升高',
+      critical: '严重',
+    },
+  },
+  notFound: {
+    title: '页面未找到',
+    message: '{path} 处没有页面。',
+    back: '返回主网仪表板',
+    backTestnet: '返回测试网仪表板',
+    pages: '此网络的页面',
+  },
+  embed: {
+    title: '嵌入小组件',
+    intro: '在您自己的网站上显示实时 DigiByte 数据。选择小组件和外观，然后将代码粘贴到您的页面中。',
+    widget: '小组件',
+    theme: '主题',
+    light: '浅色',
+    dark: '深色',
+    accent: '强调色',
+    accentHelp: '十六进制颜色，例如 ff6600；留空则使用网络颜色。',
+    accentInvalid: '不是有效的十六进制颜色；将使用网络颜色。',
+    network: '网络',
+    preview: '预览',
+    code: '嵌入代码',
+    copy: '复制代码',
+    copied: '已复制',
+  },
+  home: {
+    title: 'DigiByte 区块链统计',
+    titleTestnet: 'DigiByte 测试网区块链统计',
+    intro: '这是一个免费开源的网站，通过 digibyted 直接从区块链获取 DigiByte 区块链的实时数据和信息。',
+    about: 'DigiByte 区块链于 2014 年 1 月 10 日启动。<strong>没有</strong>任何公司、中心化团体、大规模预挖、实体或个人控制 DGB。DGB 是速度、安全与创新真正去中心化的结合。',
+    totalBlocks: '区块总数',
+    totalBlocksDescription: '自 2014 年 1 月 10 日链启动以来 DigiByte 区块链中的区块总数。',
+    totalTransactions: '交易总数',
+    totalTransactionsDescription: '自 2014 年 1 月 10 日上线以来在 DigiByte 区块链上发送的交易总数。',
+    totalSize: '总大小',
+    totalSizeDescription: '存储自 2014 年 1 月 10 日以来完整 DGB 区块链所需的总大小（GB）。',
+    circulatingSupply: '当前流通供应量',
+    circulatingSupplyDescription: '根据截至最新区块的所有 UTXO 计算的当前流通供应量。',
+    remainingSupply: '待挖剩余供应量',
+    remainingSupplyDescription: '距离达到 210 亿 DGB 最大供应量还需挖出的 DGB。',
+    lastBlockReward: '最新区块奖励',
+    lastBlockRewardDescription: '区块链上最新区块的 DigiByte 挖矿奖励金额。',
+    algoDifficulties: '各算法难度',
+    algoDifficultiesDescription: 'DigiByte 5 种挖矿算法各自的当前挖矿难度。',
+    latestVersion: '最新版本',
+    latestVersionDescription: '最新的 DGB Core 版本。',
+    softforks: '已激活软分叉',
+    softforksLoading: '正在加载部署数据...',
+    softforksDescription: '链上已激活的软分叉。',
+    testnetStatus: 'Testnet26 DigiDollar 状态',
+    testnetStatusDescription: '当前的 {network} 网络，DigiDollar 自区块 600 起已激活。DigiDollar 已在 v9.26.2 中登陆主网；主网激活正在等待 70% 矿工的 BIP9 信号。',
+    oracleConsensus: '{consensus} 预言机共识',
+    testnet: '测试网',
+    p2pPort: 'P2P 端口',
+    rpcPort: 'RPC 端口',
+    ddActivation: 'DD 激活',
+    oracleRoster: '预言机名单',
+    oracleRosterValue: '35 个席位，7/35 法定人数',
+    mainnetMinActivation: '主网最低激活高度（已通过）',
+    blockHeight: '区块 {height}',
+  },
+  blocks: {
+    title: 'DigiByte 实时区块',
+    intro: '本页面预加载最近的 240 个 DGB 区块，只要页面保持打开，就会随着新区块被挖出而实时更新。继续向下滚动（或跳转到指定高度）可浏览更早的区块，并可按算法、矿池或 DigiDollar 数据包筛选。',
+    height: '高度',
+    hash: '哈希',
+    algorithm: '算法',
+    pool: '矿池',
+    txCount: '交易数',
+    bundle: 'DigiDollar 数据包',
+    unknownPool: '未知',
+    signers: '{count} 个签名者',
+    attached: '已附带',
+    allAlgorithms: '全部算法',
+    poolPlaceholder: '例如 DigiHash',
+    bundleOnly: '仅显示含 DigiDollar 数据包的区块',
+    jumpToHeight: '跳转到高度',
+    go: '前往',
+    browsingFrom: '正在从高度 {height} 向下浏览',
+    backToLatest: '返回最新',
+    noMatches: '没有符合这些筛选条件的区块。',
+    loadingOlder: '正在加载更早的区块...',
+    listLabel: '区块',
+    retry: '重试',
+    loadOlderError: '无法加载更早的区块（{error}）。',
+    loadOlder: '加载更早的区块',
+    noOlder: '没有更早的区块了。',
+  },
+  supply: {
+    title: 'DigiByte 供应量统计',
+    intro: 'DigiByte 的总供应量上限为 210 亿 DGB，将于 2035 年全部挖完。该区块链于 2014 年 1 月 10 日以公平、事先公告的方式公开启动。',
+    billionDgb: '{amount} 十亿 DGB',
+    ofMaxSupply: '占最大供应量',
+    currentTitle: '当前流通供应量',
+    currentDescription: '根据截至最新区块的所有 UTXO 计算出的当前流通供应量。',
+    remainingTitle: '剩余待挖供应量',
+    remainingDescription: '在 2035 年达到 210 亿 DGB 最大供应量之前仍待挖出的 DGB。',
+    perPersonTitle: '人均 DGB',
+    worldPopulation: '世界人口',
+    perPersonDescription: '按当前供应量平均分配给地球上每个人时，每人可获得的 DigiByte 数量。',
+    miningEndTitle: '挖矿结束时间',
+    miningYears: '共 21 年',
+    miningDuration: '挖矿周期',
+    miningEndDescription: 'DigiByte 遵循 21 年的挖矿计划，将于 2035 年完成。',
+    chartTitle: 'DigiByte 供应分布时间线',
+    chartCaption: '本图表展示 DigiByte 从 2014 年启动到 2035 年挖矿结束的历史及预测供应分布。',
+    supplyHistory: 'DGB 供应历史',
+    maxSupply: 'DGB 最大供应量',
+    yetToBeMined: '尚未挖出的 DGB',
+    year: '年份',
+    supplyAxis: 'DGB 供应量（十亿）',
+    billionsShort: '{amount} 十亿',
+  },
+  chainTips: {
+    title: '了解链尖与孤块',
+    intro: '不太理解上面显示的内容？这些简短易懂的小节解释了链尖、陈旧区块，以及何时需要担心竞争分支。点击任一标题即可展开。',
+    tipTitle: '什么是链尖？',
+    tipBody1: '<strong>链尖</strong>是节点所知的任一链分支上的最新区块。每个节点都会跟踪<strong>活跃（最佳）链</strong>——累计工作量证明最多的分支——以及它见过的<em>所有</em>竞争分支的链尖。',
+    tipBody2: '<code>getchaintips</code> RPC 会列出所有链尖：你称之为“区块链”的那个活跃链尖，以及较短竞争分支的零散链尖。本页面实时绘制这些链尖，让你看到全貌，而不仅仅是胜出的链。',
+    staleTitle: '什么是孤块 / 陈旧区块？',
+    staleBody1: '孤块 / 陈旧区块是<strong>完全有效但不在主链上的区块</strong>，因为同一高度的另一个区块赢得了竞争。它没有违反任何规则——只是晚到了一刻（或背后的工作量略少），网络选择在另一个区块上继续构建。',
+    staleBody2: '准确的术语很重要：在比特币系的链中，这些通常被称为<strong>“陈旧”区块</strong>。真正的<em>“孤块”</em>——确实没有父区块的区块——在节点先同步区块头之后实际上已不复存在。陈旧区块是<strong>未能进入规范链的真实挖矿工作</strong>，而不是错误或攻击。',
+    whyTitle: '为什么 DigiByte 会产生它们？',
+    whyBody1: 'DigiByte 的目标是<strong>15 秒出块时间</strong>，并使用<strong>5 种独立的挖矿算法</strong>——SHA256D、Scrypt、Skein、Qubit 和 Odocrypt。快速出块加上不同算法上的众多矿工，意味着经常会在几乎同一时刻找到两个完全有效的区块。',
+    whyBody2: '发生这种情况时，一个区块成为链尖，另一个变为陈旧。因此在 DigiByte 上，<strong>持续出现少量单区块陈旧是健康且预期的</strong>——这是极快的多算法出块的正常代价，而不是分叉或故障的迹象。',
+    statusTitle: '链尖状态',
+    statusIntro: '<code>getchaintips</code> 返回的每个链尖都带有一个状态。这些标签使用与上方实时分叉树图完全相同的颜色：',
+    statusActive: '位于主链上——该节点跟随的最佳（累计工作量最多的）链。',
+    statusValidFork: '主链之外经过完整验证的竞争区块——即陈旧 / 孤块。',
+    statusValidHeaders: '已看到该区块并检查了区块头，但完整区块尚未验证。',
+    statusHeadersOnly: '只知道区块头；完整区块尚未下载。',
+    statusInvalid: '违反共识规则并被拒绝。这是需要关注的状态。',
+    reorgTitle: '分支长度与重组（reorg）',
+    reorgBody1: '<strong>分支长度</strong>是竞争链上不在主链中的区块数量。分支长度为 <strong>1 表示单个陈旧区块</strong>——完全正常。更长的分支意味着有人正在积极延长竞争链。',
+    reorgBody2: '当节点切换到更长的竞争链、用竞争链的区块替换一个或多个最近区块时，就会发生<strong>重组（reorg）</strong>。浅层重组很常见；<strong>深层重组可能影响交易的最终性</strong>，因为看似已确认的交易可能在链重新稳定期间短暂回到未确认状态。',
+    riskTitle: '什么时候才是真正的分叉风险？',
+    riskIntro: '单区块陈旧很常见且健康。当竞争分支出现以下情况时，风险才会上升：',
+    riskDeep: '深度达到<strong>4 个或更多区块</strong>，而不只是单个陈旧区块；',
+    riskGrowing: '<strong>随时间持续增长</strong>——说明它正在被积极挖掘，而不是被放弃；',
+    riskInvalid: '被标记为 <strong>invalid</strong>（违反共识规则）；或',
+    riskReorg: '引发改写多个已确认区块的<strong>深层重组</strong>。',
+    riskOutro: '正是这些情况会让本页的状态横幅变为{amber}或{red}。在此之前，平稳出现的单区块陈旧只是 DigiByte 在按设计运行。',
+    amber: '琥珀色',
+    red: '红色',
+    pageTitle: '链尖与孤块',
+    pageSubtitle: '实时查看 DigiByte 的链尖、陈旧区块与分叉风险。',
+    pageNote: '15 秒出块、5 种算法，偶尔出现单个陈旧区块是正常的——真正需要关注的是较深或持续增长的分支。',
+    activeHeight: '活跃高度',
+    activeHeightCaption: '主链链尖',
+    competingTips: '竞争链尖',
+    competingTipsCaption: '靠近链尖',
+    orphans24h: '孤块（24 小时）',
+    orphans24hCaption: '已发现的陈旧区块',
+    deepestBranch: '最深分支',
+    deepestBranchCaption: '链外区块数',
+    mapTitle: '实时分叉树图',
+    live: '实时',
+    updated: '· {time}更新',
+    tipsTitle: '当前链尖',
+    status: '状态',
+    height: '高度',
+    branchLen: '分支长度',
+    hash: '哈希',
+    noCompeting: '只有活跃链尖——目前没有竞争分支。',
+    orphansTitle: '最近的孤块（过去 24 小时）',
+    noOrphans: '过去 24 小时内没有孤块。',
+    algo: '算法',
+    pool: '矿池',
+    branch: '分支',
+    seen: '发现时间',
+    chartTitle: '每日孤块数（30 天）',
+    avgPerDay: '平均每天 {avg} 个',
+    avgPerDayTrackedOne: '平均每天 {avg} 个 · 已跟踪 1 天',
+    avgPerDayTracked: '平均每天 {avg} 个 · 已跟踪 {days} 天',
+    rollingAverage: '7 日平均',
+    orphansPerDay: '孤块/天',
+    secondsAgo: '{count} 秒前',
+    minutesAgo: '{count} 分钟前',
+    hoursAgo: '{count} 小时前',
+    daysAgo: '{count} 天前',
+  },
+  forkRisk: {
+    none: '网络健康',
+    noneReason: '只有常规的单区块陈旧链尖——DigiByte 运行正常。',
+    elevated: '风险升高——竞争分支',
+    elevatedReason: '正在链尖附近跟踪一条竞争分支。',
+    critical: '分叉风险',
+    criticalReason: '检测到一条较深的竞争分支。',
+  },
+  forkTree: {
+    waiting: '正在等待实时链数据…',
+    mapLabel: '实时链尖与分叉分支图',
+    height: '高度 {height}',
+    status: '状态：{status}',
+    algo: '算法：{algo}',
+    pool: '矿池：{pool}',
+    olderTipOne: '+ 此窗口之外还有 1 个更早的陈旧链尖——详见下方孤块表',
+    olderTips: '+ 此窗口之外还有 {count} 个更早的陈旧链尖——详见下方孤块表',
+    activeTip: '活跃链尖',
+    validFork: '有效分叉',
+    validHeaders: '有效区块头',
+    headersOnly: '仅区块头',
+    invalid: '无效',
+  },
+  digiDollar: {
+    subtitle: 'DigiByte 上的去中心化美元稳定币',
+    intro: '全球首个原生于 UTXO 区块链、真正去中心化的稳定币，无需中心化控制即可进行稳定价值交易。',
+    highlights: 'DGB 成为战略储备资产（上限 210 亿，人均约 2.59 枚）• 一切都在 DigiByte Core 钱包内完成 • 你始终掌控自己的私钥',
+    status: '<strong>状态：</strong><strong>已发布 — 已在主网上线</strong>，随 DigiByte v9.26.2（2026 年 6 月 29 日）推出；当前版本 <strong>v9.26.4</strong> 新增了对修剪节点的支持。主网激活现在取决于矿工的 BIP9 信号（bit\u00a023）— 可在激活页面实时跟踪。DigiDollar 已在 testnet26 上全面运行，其预言机网络在 35 个预言机席位上运行 7 签名 MuSig2 法定人数，并有大量自动化测试作为保障。',
+    what: {
+      title: '什么是 DigiDollar？',
+      scarcity: '<strong>DGB 是有限的战略储备资产：</strong>最大供应量为 210 亿枚 DGB，地球上仅有{perPerson}（按 81 亿世界人口计算）。再加上 DigiByte 的{blockSpeed}（比比特币快 40 倍），这种极度稀缺与快速结算让 DGB 成为 DigiDollar 的理想抵押品 — 为即时、稳定的货币交易提供真正有限的支撑。',
+      perPerson: '人均 2.59 枚 DGB',
+      blockSpeed: '15 秒出块速度',
+      simpleTitle: '简单解释',
+      simple1: 'DigiDollar 是一种与 1 美元等值的稳定数字货币，通过锁定 DigiByte（DGB）作为抵押品来创建。DGB 成为战略储备资产 — 最大供应量仅 210 亿（地球上人均仅约 2.59 枚 DGB），是支撑 DigiDollar 稳定性的真正有限资产。',
+      simple2: '与由银行账户支撑的传统稳定币不同，DigiDollar 是全球首个基于 UTXO 区块链的真正去中心化稳定币。没有任何公司或银行控制它。',
+      simple3: '最重要的是：一切都直接在你的 DigiByte Core 钱包中完成 — 你永远不会交出私钥的控制权，也无需信任第三方。',
+      benefitsTitle: '主要优势',
+      benefitFirst: '全球首个基于 UTXO 区块链的真正去中心化稳定币',
+      benefitStable: '始终价值 1 美元 — 稳定且可预期',
+      benefitKeys: '你在 Core 钱包中完全掌控私钥',
+      benefitReserve: 'DGB 成为战略储备资产',
+      benefitSpeed: '15 秒出块（比 BTC 快 40 倍），手续费 0.01 美元',
+    },
+    how: {
+      title: '运作方式',
+      coreIdea: '核心理念：白银保险箱类比',
+      silver1: '<strong>把 DGB 想象成白银</strong>，存放在你地下室的保险箱里。你有价值 1,000 美元的白银，但今天需要现金。与其卖掉白银（并失去未来的收益），不如把它锁进一个特殊的定时保险箱。',
+      silver2: '保险箱给你 500 美元现金供今天使用。<strong>白银从不离开你的手中</strong> — 它就在你的地下室、你的保险箱里。只是在定时锁到期之前你无法取用。',
+      silver3: '10 年后，你的白银价值 10,000 美元（增值 10 倍）！解锁方法：只需把 500 美元还回保险箱 → 取回价值 10,000 美元的白银。全部增值都归你所有。',
+      exactlyTitle: '这正是 DigiDollar 的运作方式：',
+      lockWallet: '在你自己的钱包中锁定 DGB（始终在你的掌控之中）',
+      keepKeys: '你始终掌控自己的私钥',
+      getDd: '获得今天即可使用的 DigiDollar',
+      burnDd: '时间锁到期后，销毁 DD → 取回你的 DGB',
+      keepGains: '保留 DGB 价格的全部增值',
+      taxTitle: '💡 税务优势：无需出售即可获得流动性',
+      taxBody: '在大多数司法管辖区，<strong>以资产为抵押借款不属于应税事件</strong>。这正是亿万富翁的做法 — 他们从不卖出股票，而是以股票为抵押借款。',
+      saleTitle: '传统加密货币出售：',
+      saleTax: '❌ 卖出 DGB → 缴纳 20-40% 的资本利得税',
+      saleLoss: '❌ 失去未来的增值',
+      saleEvent: '❌ 记录为应税事件',
+      methodTitle: 'DigiDollar 方式：',
+      methodLock: '✅ 锁定 DGB → 获得 DigiDollar',
+      methodNoTax: '✅ 无应税事件（在大多数司法管辖区）',
+      methodGains: '✅ 保留 DGB 未来的全部收益',
+      methodNeverSell: '✅ 理论上永远无需卖出 DGB',
+      taxNote: '* 各司法管辖区的税法不同。请就你的具体情况咨询税务专业人士。',
+      incentivesTitle: '经济激励：为何人人受益',
+      scarceTitle: '🔒 DGB 变得更加稀缺',
+      perPersonEarth: '地球人均',
+      perPersonMath: '（最大供应量 210 亿 ÷ 81 亿人口）',
+      scarceBody: 'DGB 总量永远只有 210 亿枚，为铸造 DigiDollar 而锁定 DGB 会让本已稀缺的资产更加稀缺，从而形成天然的价格支撑。',
+      sellingPressure: '抛售压力减少',
+      sellingPressureDetail: '锁定的 DGB 无法在市场波动时被恐慌抛售',
+      supplyShock: '潜在的供应冲击',
+      supplyShockDetail: '大规模锁定可能造成供应紧缩',
+      allHolders: '惠及所有 DGB 持有者',
+      allHoldersDetail: '即使未锁定的 DGB 也能从流通供应量减少中受益',
+      personalTitle: '💰 个人财务优势',
+      personalBody: 'DigiDollar 为 DGB 持有者提供前所未有的财务灵活性，支持更成熟的财富管理策略。',
+      taxEfficient: '税务高效的流动性',
+      taxEfficientDetail: '获取资金而不触发资本利得',
+      upside: '保留上涨潜力',
+      upsideDetail: '完全保留 DGB 价格上涨的敞口',
+      flexibility: '策略灵活性',
+      flexibilityDetail: '根据流动性需求锁定部分资产',
+      networkEffect: '<strong>网络效应：</strong>使用 DigiDollar 的人越多，DGB 生态系统就越强大。锁定的 DGB 造成稀缺 → 推高价格 → 吸引更多用户 → 为 DGB 和 DigiDollar 带来更多需求。这是一个惠及所有参与者的正反馈循环。',
+      processTitle: '技术流程',
+      lockTitle: '1. 锁定 DGB 抵押品',
+      lockBody: '用户将 DigiByte 作为抵押品锁定在带时间锁的 P2TR 输出中。所需数量取决于锁定期（为 DigiDollar 价值的 200%-1000%，锁定期越短需要的抵押品越多）。',
+      mintTitle: '2. 铸造 DigiDollar',
+      mintBody: 'DigiDollar 根据锁定 DGB 的价值以及去中心化预言机提供的当前美元汇率自动铸造。',
+      redeemTitle: '3. 使用与赎回',
+      redeemBody: '使用 DigiDollar 进行稳定交易。锁定期到期后，销毁所需的 DigiDollar 即可解锁全部 DGB 抵押品。',
+    },
+    collateral: {
+      title: '抵押要求',
+      intro: 'DigiDollar 采用递减的抵押比例，在防范攻击的同时奖励长期参与者：',
+      lockPeriod: '锁定期',
+      ratio: '抵押率',
+      undercollateralizedAfter: '抵押不足阈值',
+      dgbFor100: '100 美元所需 DGB',
+      test: '测试',
+      hourOne: '{count} 小时',
+      days: '{count} 天',
+      months: '{count} 个月',
+      yearOne: '{count} 年',
+      years: '{count} 年',
+      drop: '下跌 {percent}',
+      note: '<strong>注：</strong>10 级抵押体系，从 1000%（1 小时）到 200%（10 年）。1 小时级别在所有网络（主网、测试网和 regtest）上都是标准级别，并会锁定真实抵押品直至到期。铸造验证会强制执行铸造 OP_RETURN 中声明的标准级别时间窗口；锁定不足或自定义时长会被拒绝。「抵押不足阈值」一列显示 DGB 价格在仓位变为抵押不足之前可以下跌多少。',
+    },
+    useCases: {
+      title: '革命性的应用场景',
+      bonds: '公司债券',
+      bondsBody: '140.7 万亿美元市场 — 即时结算，取代传统 2-3 天的清算',
+      realEstate: '房地产',
+      realEstateBody: '79.7 万亿美元市场 — 碎片化所有权让房产投资大众化',
+      vehicles: '自动驾驶汽车',
+      vehiclesBody: '2030 年达 13.7 万亿美元 — 自动驾驶汽车自行管理财务',
+      remittances: '全球汇款',
+      remittancesBody: '6850 亿美元市场 — 将平均 6.3% 的成本降至 0.01 美元固定费用',
+      healthcare: '医疗支付',
+      healthcareBody: '5500 亿美元市场 — 实时理赔审核与透明定价',
+      more: '以及 45 个以上其他场景',
+      moreBody: '从供应链到游戏，DigiDollar 让无数创新成为可能',
+    },
+    tech: {
+      title: '技术实现',
+      architecture: '<strong>革命性的架构：</strong>DigiDollar 是全球首个原生构建于 UTXO（未花费交易输出）区块链上的真正去中心化稳定币。所有操作都直接在 DigiByte Core 钱包中进行 — 用户在整个过程中完全掌控自己的私钥。',
+      coreTitle: '核心技术',
+      taproot: 'Taproot 集成',
+      taprootDetail: '利用 P2TR 输出和 Schnorr 签名增强隐私',
+      oracles: '去中心化预言机',
+      oraclesDetail: '已在 testnet26（端口 12033）上线：7 签名 MuSig2 法定人数，35 个活跃预言机席位（0-34）。链上预言机数据包格式：v0x03（MuSig2）。',
+      mast: 'MAST 实现',
+      mastDetail: '通过默克尔化替代脚本树（MAST）高效执行脚本',
+      featuresTitle: '主要特性',
+      noLiquidations: '市场波动期间不会强制清算',
+      identicalTx: '所有交易在链上看起来完全相同（隐私）',
+      batchVerify: '批量签名验证，提高效率',
+      native: '原生区块链集成（无侧链）',
+    },
+    details: {
+      title: '技术实现细节',
+      intro: 'DigiDollar 利用先进的比特币脚本操作码和 DigiByte 的独特能力，构建一个无需信任的去中心化稳定币系统：',
+      timeLockTitle: '时间锁机制',
+      cltvDetail: '强制执行基于时间的抵押锁定期（1 小时至 10 年）',
+      csvDetail: '为赎回窗口提供相对时间锁',
+      nLockTimeDetail: '在指定区块高度之前阻止交易被打包',
+      scriptTitle: '核心脚本功能',
+      oracleValidation: '预言机验证',
+      scriptPaths: 'Taproot 脚本路径',
+      scriptPathsDetail: '单个 P2TR 输出中包含多个赎回条件',
+      mastTrees: 'MAST 树',
+      mastTreesDetail: '默克尔化脚本，兼顾隐私与效率',
+      flowTitle: '运作方式 — 简明技术流程',
+      mintingTitle: '1. 铸造流程',
+      mintingBody: '用户创建带 DGB 抵押品的 P2TR 输出，嵌入时间锁（CLTV）和预言机价格数据。脚本验证抵押率并铸造相应的 DigiDollar。',
+      verifyTitle: '2. 预言机验证',
+      verifyBody: 'testnet26 上有 35 个活跃预言机席位（0-34），采用 7 签名 MuSig2 法定人数。六个活跃交易所 API（Binance、KuCoin、Gate.io、HTX、Crypto.com、CoinGecko）通过 MuSig2 聚合签名（v0x03）为预言机签名提供数据。',
+      redemptionTitle: '3. 赎回流程',
+      redemptionBody: '时间锁到期后（由 CLTV 验证），用户可以赎回 DigiDollar 以解锁 DGB。脚本销毁 DigiDollar 并将抵押品释放到用户地址。',
+      innovation: '<strong>关键创新：</strong>与需要智能合约和 Gas 费的以太坊稳定币不同，DigiDollar 使用原生 UTXO 脚本能力，实现更高的安全性、更低的成本和真正的去中心化。整个系统无需中介，没有智能合约风险，也无需托管。',
+    },
+    protection: {
+      title: '四层保护体系',
+      challenge: '<strong>时间锁带来的挑战：</strong>由于抵押品在密码学上被时间锁定，因此不存在强制清算或追加保证金。无论市场状况如何，仓位都必须持有至期满。这需要一种独特的保护方式。',
+      layer1Title: '1️⃣ 更高的抵押要求',
+      layer1Chip: '第一道防线',
+      layer1Body: '1000%→200% 的递减比例为价格下跌提供了巨大缓冲。1 小时级别需要 10 倍抵押，可抵御短期波动。',
+      layer1Example: '<strong>示例：</strong>抵押率为 1000% 时，DGB 可下跌 90% 才会出现抵押不足。',
+      layer2Title: '2️⃣ 动态抵押调整',
+      layer2Chip: '第二道防线',
+      layer2Body: '随着系统健康度变化，抵押要求会自动调整：',
+      dcaNormal: '• ≥150%：正常（1.0 倍系数）',
+      dcaLow: '• 120-149%：抵押增加 25%（1.25 倍）',
+      dcaWarning: '• 110-119%：抵押增加 50%（1.5 倍）',
+      dcaCritical: '• <110%：抵押增加 100%（2.0 倍）',
+      layer3Title: '3️⃣ 紧急赎回比率',
+      layer3Chip: '第三道防线',
+      layer3Body: '如果系统抵押率低于 100%，赎回时需要<strong>销毁更多 DD</strong>，但你<strong>始终能取回 100% 的抵押品</strong>。',
+      errTiers: '<strong>ERR 级别：</strong>95-100% → 销毁 105.3% DD | 90-95% → 销毁 111.1% DD | 85-90% → 销毁 117.6% DD | <85% → 销毁 125% DD',
+      layer3Example: '示例：系统健康度为 80% 时，销毁 125 DD 赎回 100 DD 的仓位 → 取回全部抵押品',
+      layer4Title: '4️⃣ 供需动态',
+      layer4Chip: '天然防线',
+      layer4Body: '锁定的 DGB 减少了流通供应，形成天然的价格支撑。DGB 上限仅 210 亿，锁定会造成稀缺。',
+      layer4Effect: '<strong>效果：</strong>锁定越多 → 供应越少 → DGB 价格越高 → 抵押状况越好',
+      monitoringTitle: '🔍 实时系统监控',
+      monitoringBody: '系统持续跟踪关键健康指标以确保稳定：',
+      monitorLocked: '• 各级别锁定的 DGB 总量',
+      monitorMinted: '• 已铸造的 DigiDollar 总量',
+      monitorRatios: '• 各级别抵押率',
+      monitorHealth: '• 系统整体健康度',
+      rpcAccess: '可通过 RPC 命令获取：{command}',
+      insight: '<strong>关键洞察：</strong>这四层保护在没有强制清算的情况下协同运作。预防（更高抵押）、适应（动态调整）、危机管理（紧急比率）和市场力量（稀缺性）共同构成一个自我平衡、富有韧性的系统。',
+    },
+    roadmap: {
+      title: '开发路线图',
+      specsTitle: 'DigiDollar 实现规格',
+      shippedChip: '已发布 — v9.26.4',
+      specsSummary: '所有里程碑均已完成 — 随 v9.26.2 发布，当前版本 v9.26.4',
+      specs: {
+        addresses: '<strong>DD/TD/RD 地址体系</strong> - 已完成',
+        tiers: '<strong>10 级抵押体系</strong> - 已完成',
+        minting: '<strong>铸造流程（全面重构）</strong> - 已完成',
+        transfers: '<strong>发送/接收 DigiDollar</strong> - 已完成',
+        walletUi: '<strong>完整钱包界面（7 个标签页）</strong> - 已完成',
+        utxoTracking: '<strong>全网 UTXO 跟踪</strong> - 已完成',
+        redemption: '<strong>赎回体系</strong> - 已完成',
+        protection: '<strong>DCA/ERR/波动保护</strong> - 已完成',
+        oracles: '<strong>预言机体系</strong> - 在 35 个活跃预言机席位上运行 7 签名 MuSig2 法定人数，已在 testnet26 上线',
+        musig2: '<strong>MuSig2 预言机验证（35 选 7 活跃名单）</strong> - 已完成',
+        mainnet: '<strong>主网发布（v9.26.2）+ 修剪节点支持（v9.26.4）</strong> - 已完成',
+      },
+      specsCount: '11/11 个里程碑已完成 • 已在主网发布',
+      released: '<strong>已发布：</strong>DigiByte v9.26.2 已于 2026 年 6 月 29 日在主网上线 — 矿工现在可以为 DigiDollar 激活发出信号',
+      releaseTitle: 'DigiByte v9.26.2 DigiDollar 版本',
+      mainnetChip: '主网已发布',
+      releaseSummary: '预言机体系 - 35 个活跃预言机席位（0-34），7 签名 MuSig2 法定人数（基于 BIP-340 Schnorr 的 BIP-327）',
+      release: {
+        opcode: 'OP_ORACLE 操作码（0xbf）集成',
+        opcodeDetail: '已完成 - 紧凑的 22 字节预言机格式',
+        exchanges: '六个活跃交易所 API 集成',
+        exchangesDetail: '已完成 - Binance、KuCoin、Gate.io、HTX、Crypto.com、CoinGecko',
+        p2p: 'P2P 消息处理',
+        p2pDetail: '已完成 - ORACLEPRICE、MuSig2 nonce/上下文/部分签名、GETORACLES',
+        validation: 'Testnet/Regtest 区块验证',
+        validationDetail: '已完成 - 激活高度：Testnet26 600，Regtest 650',
+        schnorr: 'Schnorr 签名（BIP-340）',
+        schnorrDetail: '已完成 - 基于 ConnectBlock/DisconnectBlock 的价格缓存',
+        consensus: '预言机共识（7 签名 MuSig2）',
+        consensusDetail: '已在 testnet26 上启用 - 35 个活跃预言机席位（0-34），需要 7 个签名',
+        testnet: 'DigiDollar 已在测试网激活',
+        testnetDetail: '已完成 - v9.26.0-RC44，testnet26 提供预言机价格数据',
+        mainnet: 'DigiByte v9.26.2 主网发布',
+        mainnetDetail: '已完成 - 于 2026 年 6 月 29 日发布；DigiDollar 激活有待 BIP9 信号',
+      },
+      releaseCount: '8/8 个里程碑已完成 • 主网 v9.26.2 于 2026 年 6 月 29 日发布',
+      currentStatus: '<strong>当前状态：</strong>DigiByte <strong>v9.26.2 已于 2026 年 6 月 29 日在主网发布</strong>，包含 DigiDollar 以及在 35 个活跃预言机席位（0-34）上运行的 7 签名 MuSig2 预言机法定人数。DigiDollar 已在 testnet26 上激活。在主网上，DigiDollar 通过 BIP9 矿工信号激活（版本位 23，70% 阈值 — 每个信号窗口 40,320 个区块中需 28,224 个；最低激活高度 23,627,520 已经过去，因此激活现在完全取决于矿工信号）。完整详情及其他所有升级，请参阅完整的{roadmapLink}。',
+      roadmapLink: 'DigiByte 路线图',
+    },
+    resources: {
+      title: '了解更多',
+      whitePaper: '白皮书',
+      techSpecs: '技术规格',
+      useCases: '50 个应用场景',
+      discussion: '加入讨论',
+      closing: 'DigiDollar 代表了去中心化金融的范式转变 — 全球首个基于 UTXO 区块链的真正去中心化稳定币，DGB 成为战略储备资产，用户永远不会交出私钥的控制权。',
+    },
+  },
+  integrationGuides: {
+    title: 'DigiDollar 集成指南',
+    intro: '准备好将 DigiDollar 集成到你的钱包或交易所了吗？这些指南涵盖入门所需的一切，包括测试网快速入门，让你现在就能开始集成。',
+    walletTitle: '钱包集成',
+    walletBody: '适用于已支持 DigiByte 的钱包提供商。涵盖 DD/TD 地址生成、余额跟踪、全部 10 个锁定级别的铸造、DD 的发送/接收、抵押品管理、赎回以及完整的 RPC 参考。',
+    walletGuide: '钱包集成指南',
+    exchangeTitle: '交易所集成',
+    exchangeBody: '适用于已支持 DigiByte 的交易所。涵盖充值检测、提现处理、确认数阈值、热钱包架构、DGB 手续费要求以及必要的 RPC。还包括常见陷阱，例如过滤 0 聪的 DD 输出。',
+    exchangeGuide: '交易所集成指南',
+    quickStart: '两份指南都包含测试网快速入门 — 今天就在测试网上开始集成',
+    docsTitle: '文档与规格',
+    docsIntro: '完整且与代码一致的 DigiDollar 参考文档（DigiByte Core v9.26.4）。先阅读 DigiDollar 说明获取通俗概览，再深入了解架构、预言机和激活规格。',
+    docs: {
+      explainer: 'DigiDollar 说明',
+      architecture: 'DigiDollar 架构',
+      oracleExplainer: '预言机说明',
+      oracleArchitecture: '预言机架构',
+      activation: 'BIP9 激活说明',
+      mining: '挖矿集成指南',
+    },
+  },
+  oracles: {
+    title: 'DigiDollar {label} 预言机',
+    subtitle: '去中心化价格喂价网络',
+    intro: '预言机网络使用 BIP-340 Schnorr 签名共识，为 DigiDollar 系统提供实时 DGB/USD 价格数据。',
+    feedError: '无法连接到预言机数据源，网络可能不可用。',
+    ageUnknown: '未知',
+    ageSeconds: '{s} 秒前',
+    ageMinutes: '{m} 分 {s} 秒前',
+    ageHours: '{h} 小时 {m} 分前',
+    ageDays: '{d} 天 {h} 小时前',
+    durationSeconds: '约 {s} 秒',
+    durationMinutes: '约 {m} 分 {s} 秒',
+    durationHours: '约 {h} 小时 {m} 分',
+    consensusLabel: '{total} 取 {threshold}',
+    roster: {
+      mainnet: '主网名单',
+      testnet: '测试网名单',
+    },
+    operatorSlot: {
+      mainnet: '已分配的主网预言机席位',
+      testnet: '已分配的 testnet26 预言机席位',
+    },
+    phaseSummary: {
+      mainnet: '需要 35 个中的 7 个签名 | 35 席预留名单 | MuSig2 聚合签名（v0x03）',
+      testnet: '需要 35 个中的 7 个签名 | 35 席预留名单 | 35 个测试网名单预言机 | MuSig2 聚合签名（v0x03）',
+    },
+    priceTitle: '{network} 预言机价格',
+    updated: '更新于：{time}',
+    loadingData: '正在加载预言机数据...',
+    waitingTitle: '预言机网络等待激活',
+    waitingBody: 'DigiDollar 目前处于 {stage} 阶段，因此尚无实时的预言机价格报告。',
+    unavailableTitle: '预言机网络不可用',
+    unavailableBody: '无法从网络获取预言机数据',
+    consensusTooltip: '根据 Core 的参与位图解码出的最新链上 MuSig2 数据包签名者数量，即为最新数据包实际签名的 7 个预言机。',
+    consensusTitle: '预言机共识',
+    signaturesRequired: '所需签名数',
+    signingCount: '{count}/{required} 个正在签名',
+    noBundleData: '暂无数据包签名者数据',
+    releaseSummary: '<strong>{release}：</strong>{summary} | 可见 {count} 个{roster}预言机',
+    statusTitle: '预言机网络状态',
+    consensusReady: '共识就绪',
+    belowThreshold: '低于就绪阈值',
+    signing: '签名中',
+    signingDetail: '区块 {height} 的实际 7 个签名者名单',
+    signingWaiting: '正在等待 getoraclesigners 数据',
+    liveFeeds: '实时价格源',
+    liveFeedsDetail: '需要 {count} 个有效的已签名价格源',
+    heartbeats: '在线心跳',
+    heartbeatsDetail: '已签名的运营者状态，30 分钟内视为新鲜',
+    compatible: '兼容的软件',
+    compatibleDetail: 'MuSig2 上下文 {version}+ 且心跳有效',
+    rosterOracles: '名单内预言机',
+    rosterDetailOne: '来自 Core 的已配置{roster}；可见 1 个本地预言机',
+    rosterDetail: '来自 Core 的已配置{roster}；可见 {count} 个本地预言机',
+    statusNote: '"签名中"表示该预言机确实签署了最新的链上 DigiDollar 价格数据包。"实时价格源"表示该预言机在线并正在广播有效的已签名价格。名单内预言机是从 Core 加载的已配置{roster}。',
+    versions: '预言机版本',
+    noVersion: '未报告版本',
+    operatorOne: '{count} 个运营者',
+    operators: '{count} 个运营者',
+    versionFeeds: '{reporting} 个实时价格源 · {fresh} 个新鲜心跳',
+    roundClock: '预言机轮次时钟',
+    musig2State: 'MuSig2 {state}',
+    currentRound: '当前轮次',
+    round: '第 {round} 轮',
+    currentBlock: '当前区块 {height}',
+    roundBlocks: '轮次区块',
+    blockRange: '区块 {start}-{end}',
+    blocksObserved: '已观察到 {mined}/{total} 个区块',
+    nextRound: '下一轮',
+    nextRoundAt: '下一轮：区块 {height}',
+    blocksAway: '还差 {count} 个区块',
+    signingProgress: '签名进度',
+    nonces: 'Nonce {count}/{required}',
+    signatures: '签名 {count}/{required}',
+    whatTitle: '什么是预言机？',
+    blindSpot: '<strong>区块链的盲区：</strong>区块链在设计上是隔离的——它们无法访问互联网，也无法"看到"自身网络之外的情况。没有预言机，区块链就不知道 DGB 值多少美元。',
+    withOracles: '<strong>有了预言机：</strong>区块链可以接收来自现实世界的经过验证的价格数据。现在它知道："在区块高度 1,234,567 时，1,000 DGB = 6.03 美元"',
+    howItWorks: '工作原理：',
+    howFetch: '预言机每 60 秒从六家活跃交易所（Binance、KuCoin、Gate.io、HTX、Crypto.com、CoinGecko）获取价格',
+    howMedian: '使用 MAD 异常值过滤计算中位价格',
+    howSign: '使用 BIP-340 Schnorr 签名对价格数据签名',
+    howBroadcast: '广播到 P2P 网络——所有节点验证并转发',
+    becomeTitle: '成为预言机运营者',
+    becomeIntro: '运行一个{slot}，帮助保障 DigiDollar 网络的安全。',
+    step1Title: '第 1 步：创建预言机密钥',
+    step1Body: '在你的 DigiByte Core 钱包中运行 <code>createoraclekey</code> 以生成安全的密钥对。私钥始终保存在你的钱包中，绝不会离开。',
+    step2Title: '第 2 步：协调席位分配',
+    step2Body: '在发布密钥之前，先与运营者小组协调一个已分配的活跃预言机 ID。上方的实时名单显示了 Core 当前标记为参与共识的所有席位。',
+    step3Title: '第 3 步：启动预言机',
+    step3Body: '被纳入某个版本后，运行 <code>startoracle</code>，你的节点就会自动获取价格并广播到网络。',
+    setupGuide: '预言机设置指南',
+    coordinateSlot: '协调运营者席位',
+    networkTitle: '{network} 预言机网络',
+    signingChip: '{count} / {required} 个正在签名',
+    liveFeedsChip: '{count} / {total} 个实时价格源',
+    notReporting: '未报告',
+    loadingNetwork: '正在加载预言机网络...',
+    noDataTitle: '暂无预言机数据',
+    noDataBody: '无法获取预言机网络状态',
+    colOracle: '预言机',
+    colOracleTip: '预言机运营者名称和唯一标识符',
+    colStatus: '状态',
+    colStatusTip: '报告中 = 正在主动广播价格。无数据 = 当前不在线',
+    colPrice: '价格',
+    colPriceTip: '该预言机当前向网络报告的价格',
+    colHeartbeat: '心跳 / 版本',
+    colHeartbeatTip: '该预言机报告的已签名运营者心跳以及软件/协议版本',
+    colSigning: '签名 / 实时',
+    colSigningTip: '"签名中"表示该预言机 ID 位于最新的链上 MuSig2 参与位图中，并签署了最新的数据包。"实时价格源"表示它当前正在广播有效的已签名价格。',
+    colEndpoint: '端点',
+    colEndpointTip: 'P2P 网络地址，以及用于验证该预言机的缩略 BIP-340 公钥',
+    oracleName: '预言机 {id}',
+    oracleId: 'ID：{id}',
+    reporting: '报告中',
+    noData: '无数据',
+    noPriceSource: '无价格来源',
+    musig2Context: 'MuSig2 上下文 {version}',
+    protocolVersions: '客户端 {client} · P2P {p2p} · 预言机 {oracle}',
+    notSigning: '未签名',
+    liveFeed: '实时价格源',
+    noLivePrice: '无实时价格',
+    local: '本地',
+    pubkeyTip: '{pubkey}（点击在源代码中查看）',
+    priceFormat: '<strong>价格格式：</strong>预言机价格采用 micro-USD 格式，1,000,000 = 1.00 美元，以确保精确运算、没有浮点误差。共识要求为 {slots} 个预留席位中的 {consensus}，上方显示 {count} 个{roster}预言机。',
+    techTitle: '技术规格',
+    configTitle: '{network} 预言机配置',
+    specQuorum: '{threshold} 签名的预言机法定人数',
+    specSlots: '共识需要 {consensus} 个预留预言机席位，{roster}中有 {count} 个预言机',
+    specRelease: '{network} 上的 {version}，P2P 端口 {port}',
+    specMusigOnly: '仅使用 MuSig2 聚合签名（v0x03）',
+    specBip9Feed: 'BIP9 部署状态来自本地 Core RPC 数据源',
+    sharedTitle: '通用生产规则',
+    ruleMusig: 'MuSig2 聚合签名（v0x03）',
+    ruleRoster: '35 席预言机名单，法定签名数为 35 取 7',
+    ruleBip9: '通过 BIP9 激活部署',
+    ruleFetch: '每 60 秒获取交易所价格并广播预言机数据',
+    ruleBundle: '每个区块一个紧凑的 MuSig2 v0x03 数据包（约 91 字节：参与位图、价格、时间戳、64 字节聚合签名）',
+    ruleEndpoints: '生产环境预言机端点',
+    limitsTitle: '价格验证限制：',
+    limitMin: '最低：$0.0001/DGB（100 micro-USD）',
+    limitMax: '最高：$100.00/DGB（1 亿 micro-USD）',
+    limitValid: '有效期 20 个区块',
+    trackActivation: '跟踪激活进度 →',
+    notActive: '<strong>DigiDollar 尚未激活。</strong>目前处于 BIP9 激活的 <strong>{stage}</strong> 阶段。',
+  },
+  oracleTiles: {
+    priceTooltip: '来自预言机网络的共识价格——所有活跃预言机价格源经异常值过滤后的中位数',
+    price: 'DGB/USD 价格',
+    notReporting: '未报告',
+    microUsd: '{amount} micro-USD',
+    updateTooltip: '预言机价格最后一次更新时的区块高度。连续 20 个区块未更新，价格即视为过期',
+    lastUpdate: '最后更新',
+    block: '区块 {height}',
+    noData: '无数据',
+    stale: '过期',
+    fresh: '最新',
+  },
+};
+
+export default zh;
@@ -0,0 +1,378 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Link as RouterLink, useParams } from 'react-router-dom';
+import {
+  Container, Typography, Box, Divider, Grid,
+  Table, TableContainer, TableHead, TableBody, TableRow, TableCell,
+  Paper, Chip, CircularProgress, Link, Alert,
+} from '@mui/material';
+import { alpha } from '@mui/material/styles';
+import AccountBalanceWalletIcon from '@mui/icons-material/AccountBalanceWallet';
+import OpenInNewIcon from '@mui/icons-material/OpenInNew';
+import { useNetwork } from '../context/NetworkContext';
+import { useLocale } from '../context/LocaleContext';
+import { useWsMessage } from '../hooks/useWsMessage';
+import { DetailField, SectionCard } from '../components/DetailSection';
+import { addressNetwork } from '../utils/search';
+import { groupAddressDeltas, satsToDgb, summarizeBalance } from '../utils/addressHistory';
+import { minerAddressOf, summarizeMinerBlocks } from '../utils/miningStats';
+
+// Long histories are cut to the newest rows; DigiExplorer has the rest.
+const MAX_ROWS = 50;
+
+// The live block window (`recentBlocks`); new blocks push the oldest out.
+const RECENT_BLOCKS = 240;
+
+/**
+ * Blocks this address was paid for in the recent-blocks window, with the
+ * same algo split and bundle-publishing status the Pool Upgrades page shows
+ * per pool.
+ */
+const MiningHistory = ({ blocks, windowSize, color, blockPath }) => {
+  const { formatNumber, formatBlockTime } = useLocale();
+  const stats = summarizeMinerBlocks(blocks);
+  const recent = [...blocks].sort((a, b) => b.height - a.height).slice(0, 10);
+  const share = windowSize ? ((stats.total / windowSize) * 100).toFixed(1) : '0.0';
+
+  return (
+    <SectionCard title="Mining" color={color} testId="address-mining">
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+        {stats.status === 'publishing' ? (
+          <Chip
+            label={`Publishing DigiDollar Bundles (${stats.bundlePct}%)`}
+            sx={{
+              bgcolor: (theme) => alpha(theme.palette.success.main, 0.12),
+              color: 'success.main',
+              fontWeight: 'bold',
+              border: (theme) => `1px solid ${alpha(theme.palette.success.main, 0.35)}`,
+            }}
+          />
+        ) : (
+          <Chip
+            label="No bundles"
+            sx={{ bgcolor: (theme) => alpha(theme.palette.error.main, 0.12), color: 'error.main', fontWeight: 'bold' }}
+          />
+        )}
+        {blocks[0]?.poolIdentifier && blocks[0].poolIdentifier !== 'Unknown' && (
+          <Chip label={`Pool: ${blocks[0].poolIdentifier}`} variant="outlined" />
+        )}
+      </Box>
+      <Grid container spacing={2} sx={{ mb: 2 }}>
+        <DetailField label="Blocks Mined" md={3}>
+          {`${formatNumber(stats.total)} of the last ${formatNumber(windowSize)} (${share}%)`}
+        </DetailField>
+        <DetailField label="Bundle Blocks" md={3}>
+          {`${formatNumber(stats.bundles)} (${stats.bundlePct}%)`}
+        </DetailField>
+        <DetailField label="Latest Block" md={3}>
+          {stats.latestHeight > 0 ? formatNumber(stats.latestHeight) : '—'}
+        </DetailField>
+        <DetailField label="Last Bundle" md={3}>
+          {stats.lastBundleHeight > 0
+            ? `${formatNumber(stats.lastBundleHeight)}${stats.lastSigners != null ? ` · ${stats.lastSigners} signers` : ''}`
+            : '—'}
+        </DetailField>
+      </Grid>
+
+      <Typography variant="subtitle1" fontWeight="bold" sx={{ mb: 1 }}>Algorithm Split</Typography>
+      <TableContainer component={Paper} elevation={0} sx={{ border: '1px solid', borderColor: 'divider', mb: 3 }}>
+        <Table size="small" data-testid="address-algo-split">
+          <TableHead sx={{ backgroundColor: `${color}12` }}>
+            <TableRow>
+              <TableCell><strong>Algorithm</strong></TableCell>
+              <TableCell align="right"><strong>Blocks</strong></TableCell>
+              <TableCell align="right"><strong>Bundles</strong></TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {stats.algoBreakdown.map((a) => (
+              <TableRow key={a.algo}>
+                <TableCell>{a.algo}</TableCell>
+                <TableCell align="right">{a.n}</TableCell>
+                <TableCell align="right">{a.bundles}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Typography variant="subtitle1" fontWeight="bold" sx={{ mb: 1 }}>Recent Blocks</Typography>
+      <TableContainer component={Paper} elevation={0} sx={{ border: '1px solid', borderColor: 'divider' }}>
+        <Table size="small">
+          <TableHead sx={{ backgroundColor: `${color}12` }}>
+            <TableRow>
+              <TableCell><strong>Height</strong></TableCell>
+              <TableCell><strong>Algorithm</strong></TableCell>
+              <TableCell><strong>Bundle</strong></TableCell>
+              <TableCell><strong>Time</strong></TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {recent.map((block) => (
+              <TableRow key={block.hash || block.height}>
+                <TableCell>
+                  <Link component={RouterLink} to={blockPath(block.hash || block.height)}>
+                    {formatNumber(block.height)}
+                  </Link>
+                </TableCell>
+                <TableCell>{block.algo || 'unknown'}</TableCell>
+                <TableCell>{block.hasOracleBundle ? 'Yes' : 'No'}</TableCell>
+                <TableCell>{formatBlockTime(block.timestamp)}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </SectionCard>
+  );
+};
+
+/**
+ * AddressPage — balance, UTXOs and transaction history for one address
+ * (`/address/:addr`, `/testnet/address/:addr`), reached from the Pools,
+ * Block and Transaction pages and the Header search.
+ *
+ * Reads the node's address index through `/api/getaddressbalance/:addr`,
+ * `/api/getaddressutxos/:addr` and `/api/getaddressdeltas/:addr`. For mining
+ * payout addresses it also summarizes the blocks the address mined in the
+ * live recent-blocks window; that section works even when the address index
+ * is unavailable.
+ */
+const AddressPage = () => {
+  const { addr } = useParams();
+  const { formatNumber, formatDgb } = useLocale();
+  const { name: network, getApiUrl, getNetworkPath, isTestnet, theme: networkTheme } = useNetwork();
+  const primaryColor = networkTheme.primary;
+  const addrNetwork = addressNetwork(addr);
+  const validAddress = addrNetwork === network;
+
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(validAddress);
+  const [error, setError] = useState(null);
+  const [blocks, setBlocks] = useState([]);
+
+  useEffect(() => {
+    if (!validAddress) {
+      setData(null);
+      setLoading(false);
+      return undefined;
+    }
+
+    let isMounted = true;
+    setLoading(true);
+    setError(null);
+
+    const fetchJson = async (endpoint) => {
+      const response = await fetch(getApiUrl(`${endpoint}/${encodeURIComponent(addr)}`));
+      if (!response.ok) throw new Error('Failed to load address data.');
+      return response.json();
+    };
+
+    const fetchAddress = async () => {
+      try {
+        const [balance, utxos, deltas] = await Promise.all([
+          fetchJson('/getaddressbalance'),
+          fetchJson('/getaddressutxos'),
+          fetchJson('/getaddressdeltas'),
+        ]);
+        if (isMounted) setData({ balance, utxos, deltas });
+      } catch (err) {
+        console.error('Error fetching address:', err);
+        if (isMounted) {
+          setData(null);
+          setError('Balance and history are unavailable: the node address index could not be reached.');
+        }
+      } finally {
+        if (isMounted) setLoading(false);
+      }
+    };
+
+    fetchAddress();
+    return () => {
+      isMounted = false;
+    };
+  }, [addr, getApiUrl, validAddress]);
+
+  useWsMessage(['recentBlocks', 'newBlock'], (message) => {
+    if (message.type === 'recentBlocks' && Array.isArray(message.data)) {
+      setBlocks(message.data.filter(Boolean));
+    } else if (message.type === 'newBlock' && message.data) {
+      setBlocks((prev) => (prev.some((b) => b.height === message.data.height)
+        ? prev
+        : [message.data, ...prev].slice(0, RECENT_BLOCKS)));
+    }
+  });
+
+  const minedBlocks = useMemo(() => blocks.filter((b) => minerAddressOf(b) === addr), [blocks, addr]);
+
+  const balance = summarizeBalance(data?.balance);
+  const utxos = Array.isArray(data?.utxos)
+    ? [...data.utxos].sort((a, b) => (b.height || 0) - (a.height || 0))
+    : [];
+  const history = groupAddressDeltas(data?.deltas);
+  const explorerUrl = `https://${isTestnet ? 'testnet.' : ''}digiexplorer.info/address/${addr}`;
+  const otherNetworkPath = `${addrNetwork === 'testnet' ? '/testnet' : ''}/address/${addr}`;
+
+  return (
+    <Box sx={{ py: 4, backgroundImage: (theme) => theme.palette.background.page, minHeight: '100vh' }}>
+      <Container maxWidth="lg">
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 3, flexWrap: 'wrap' }}>
+          <AccountBalanceWalletIcon sx={{ fontSize: '2.5rem', color: primaryColor }} />
+          <Typography
+            variant="h3"
+            component="h1"
+            fontWeight="800"
+            sx={{ color: primaryColor, fontSize: { xs: '1.8rem', md: '2.4rem' } }}
+          >
+            Address
+          </Typography>
+          {isTestnet && (
+            <Chip label="TESTNET" sx={{ bgcolor: primaryColor, color: 'white', fontWeight: 'bold' }} />
+          )}
+        </Box>
+
+        {!addrNetwork && (
+          <Alert severity="error" sx={{ mb: 3 }}>{`${addr} is not a valid DigiByte address.`}</Alert>
+        )}
+
+        {addrNetwork && !validAddress && (
+          <Alert severity="warning" sx={{ mb: 3 }}>
+            {`${addr} is a ${addrNetwork} address. `}
+            <Link component={RouterLink} to={otherNetworkPath}>View it on {addrNetwork}</Link>
+          </Alert>
+        )}
+
+        {validAddress && (
+          <>
+            <SectionCard title="Summary" color={primaryColor} testId="address-summary">
+              <Grid container spacing={2}>
+                <DetailField label="Address" mono md={12}>{addr}</DetailField>
+                {loading ? (
+                  <Grid item xs={12} sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+                    <CircularProgress size={28} />
+                  </Grid>
+                ) : (
+                  <>
+                    <DetailField label="Balance" md={3}>{formatDgb(balance.balance)}</DetailField>
+                    <DetailField label="Total Received" md={3}>{formatDgb(balance.received)}</DetailField>
+                    <DetailField label="Total Sent" md={3}>{formatDgb(balance.sent)}</DetailField>
+                    <DetailField label="Unspent Outputs" md={3}>{data ? formatNumber(utxos.length) : '—'}</DetailField>
+                  </>
+                )}
+              </Grid>
+              {!loading && error && (
+                <Alert severity="info" sx={{ mt: 2 }}>{error}</Alert>
+              )}
+              <Divider sx={{ my: 2 }} />
+              <Link
+                href={explorerUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+                sx={{ display: 'inline-flex', alignItems: 'center', gap: 0.5 }}
+              >
+                View on DigiExplorer <OpenInNewIcon sx={{ fontSize: 16 }} />
+              </Link>
+            </SectionCard>
+
+            {minedBlocks.length > 0 && (
+              <MiningHistory
+                blocks={minedBlocks}
+                windowSize={blocks.length}
+                color={primaryColor}
+                blockPath={(id) => getNetworkPath(`/block/${id}`)}
+              />
+            )}
+
+            {data && (
+              <>
+                <SectionCard title={`Unspent Outputs (${utxos.length})`} color={primaryColor} testId="address-utxos">
+                  {utxos.length === 0 ? (
+                    <Typography variant="body2" color="text.secondary">No unspent outputs.</Typography>
+                  ) : (
+                    <TableContainer component={Paper} elevation={0} sx={{ border: '1px solid', borderColor: 'divider' }}>
+                      <Table size="small">
+                        <TableHead sx={{ backgroundColor: `${primaryColor}12` }}>
+                          <TableRow>
+                            <TableCell><strong>Output</strong></TableCell>
+                            <TableCell><strong>Height</strong></TableCell>
+                            <TableCell align="right"><strong>Value</strong></TableCell>
+                          </TableRow>
+                        </TableHead>
+                        <TableBody>
+                          {utxos.slice(0, MAX_ROWS).map((utxo) => (
+                            <TableRow key={`${utxo.txid}-${utxo.outputIndex}`}>
+                              <TableCell sx={{ fontFamily: 'monospace', fontSize: '0.8rem', overflowWrap: 'anywhere' }}>
+                                <Link component={RouterLink} to={getNetworkPath(`/tx/${utxo.txid}`)}>
+                                  {`${utxo.txid.substring(0, 16)}...:${utxo.outputIndex}`}
+                                </Link>
+                              </TableCell>
+                              <TableCell>{formatNumber(utxo.height)}</TableCell>
+                              <TableCell align="right">{formatDgb(satsToDgb(utxo.satoshis))}</TableCell>
+                            </TableRow>
+                          ))}
+                        </TableBody>
+                      </Table>
+                    </TableContainer>
+                  )}
+                  {utxos.length > MAX_ROWS && (
+                    <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+                      {`Showing the newest ${MAX_ROWS} of ${formatNumber(utxos.length)} outputs.`}
+                    </Typography>
+                  )}
+                </SectionCard>
+
+                <SectionCard title={`History (${history.length})`} color={primaryColor} testId="address-history">
+                  {history.length === 0 ? (
+                    <Typography variant="body2" color="text.secondary">No transactions.</Typography>
+                  ) : (
+                    <TableContainer component={Paper} elevation={0} sx={{ border: '1px solid', borderColor: 'divider' }}>
+                      <Table size="small">
+                        <TableHead sx={{ backgroundColor: `${primaryColor}12` }}>
+                          <TableRow>
+                            <TableCell><strong>Transaction</strong></TableCell>
+                            <TableCell><strong>Height</strong></TableCell>
+                            <TableCell><strong>Direction</strong></TableCell>
+                            <TableCell align="right"><strong>Amount</strong></TableCell>
+                          </TableRow>
+                        </TableHead>
+                        <TableBody>
+                          {history.slice(0, MAX_ROWS).map((row) => (
+                            <TableRow key={row.txid}>
+                              <TableCell sx={{ fontFamily: 'monospace', fontSize: '0.8rem', overflowWrap: 'anywhere' }}>
+                                <Link component={RouterLink} to={getNetworkPath(`/tx/${row.txid}`)}>
+                                  {`${row.txid.substring(0, 16)}...`}
+                                </Link>
+                              </TableCell>
+                              <TableCell>{row.height != null ? formatNumber(row.height) : 'Mempool'}</TableCell>
+                              <TableCell>
+                                <Chip
+                                  size="small"
+                                  label={row.direction === 'received' ? 'Received' : 'Sent'}
+                                  color={row.direction === 'received' ? 'success' : 'warning'}
+                                  variant="outlined"
+                                />
+                              </TableCell>
+                              <TableCell align="right">
+                                {`${row.direction === 'received' ? '+' : '−'}${formatDgb(row.amount)}`}
+                              </TableCell>
+                            </TableRow>
+                          ))}
+                        </TableBody>
+                      </Table>
+                    </TableContainer>
+                  )}
+                  {history.length > MAX_ROWS && (
+                    <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+                      {`Showing the newest ${MAX_ROWS} of ${formatNumber(history.length)} transactions.`}
+                    </Typography>
+                  )}
+                </SectionCard>
+              </>
+            )}
+          </>
+        )}
+      </Container>
+    </Box>
+  );
+};
+
+export default AddressPage;
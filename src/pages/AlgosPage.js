@@ -6,7 +6,11 @@ import {
 import PieChartIcon from '@mui/icons-material/PieChart';
 import * as d3 from 'd3';
 import { useNetwork } from '../context/NetworkContext';
+import { useLocale } from '../context/LocaleContext';
+import { getChartColors } from '../utils/theme';
+import { useWsMessage, useWsStatusChange } from '../hooks/useWsMessage';
 import HistoryChart from '../components/HistoryChart';
+import ChartActions from '../components/ChartActions';
 import { useHistory } from '../hooks/useHistory';
 
 /**
@@ -93,11 +97,11 @@ const HeroSection = ({ isTestnet, networkTheme }) => (
   <Card
     elevation={2}
     sx={{
-      backgroundColor: '#f2f4f8',
+      backgroundColor: 'background.subtle',
       borderRadius: '12px',
       mb: 4,
       overflow: 'hidden',
-      backgroundImage: 'linear-gradient(135deg, #f8f9fa 0%, #e8eef7 100%)',
+      backgroundImage: (theme) => theme.palette.background.hero,
       border: `1px solid ${isTestnet ? 'rgba(230, 81, 0, 0.2)' : 'rgba(0, 35, 82, 0.1)'}`
     }}
   >
@@ -130,7 +134,7 @@ const HeroSection = ({ isTestnet, networkTheme }) => (
         </Typography>
       </Box>
       
-      <Divider sx={{ maxWidth: '150px', mx: 'auto', mb: 3, borderColor: '#0066cc', borderWidth: 2 }} />
+      <Divider sx={{ maxWidth: '150px', mx: 'auto', mb: 3, borderColor: 'secondary.main', borderWidth: 2 }} />
       
       <Typography 
         variant="subtitle1" 
@@ -139,7 +143,7 @@ const HeroSection = ({ isTestnet, networkTheme }) => (
           maxWidth: '800px', 
           mx: 'auto', 
           mb: 3,
-          color: '#555',
+          color: 'text.secondary',
           fontSize: '1.1rem'
         }}
       >
@@ -193,13 +197,13 @@ const MultiAlgoInfoSection = () => (
           <Typography variant="body1" sx={{ fontWeight: 'bold', flex: 1 }}>
             {algo.name}
           </Typography>
-          <Typography variant="body2" sx={{ color: '#666', flex: 3 }}>
+          <Typography variant="body2" sx={{ color: 'text.secondary', flex: 3 }}>
             {algo.description}
           </Typography>
         </Box>
       ))}
     </Box>
-    <Typography variant="body2" sx={{ color: '#666', mb: 2 }}>
+    <Typography variant="body2" sx={{ color: 'text.secondary', mb: 2 }}>
       You may also see Myriad-Groestl, a retired algorithm whose blocks are temporarily being mined again;
       the network rejects them permanently from block 23,808,000.
     </Typography>
@@ -227,8 +231,9 @@ const MultiAlgoInfoSection = () => (
  * @returns {JSX.Element} Complete algorithms page with real-time pie chart
  */
 const AlgosPage = () => {
+  const { formatNumber } = useLocale();
   // Network context for network-aware data fetching
-  const { wsBaseUrl, isTestnet, theme: networkTheme } = useNetwork();
+  const { isTestnet, theme: networkTheme } = useNetwork();
 
   // Block data state
   const [blocks, setBlocks] = useState([]);
@@ -256,98 +261,51 @@ const AlgosPage = () => {
 
   // Responsive design hooks
   const theme = useTheme();
+  const chartColors = getChartColors(theme);
   const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
 
   /**
-   * WebSocket connection effect for real-time block updates
-   * Handles initial data load, real-time updates, and fallback data
-   * 
-   * This effect includes comprehensive error handling and a fallback mechanism
-   * to ensure the page displays data even if WebSocket connection fails
+   * Real-time block updates over the network's shared WebSocket
+   * Processes both initial block loads and real-time updates
    */
-  useEffect(() => {
-    console.log(`Connecting to WebSocket at: ${wsBaseUrl}`);
-    let socket;
-
-    try {
-      socket = new WebSocket(wsBaseUrl);
-      
+  useWsMessage(['recentBlocks', 'newBlock'], (message) => {
+    if (message.type === 'recentBlocks' && Array.isArray(message.data)) {
       /**
-       * WebSocket connection opened successfully
-       * Ready to receive block data for algorithm distribution
+       * Validate each block has required algorithm data
+       * Filters out any blocks missing the 'algo' property
        */
-      socket.onopen = () => {
-        console.log('WebSocket connection established for algorithms page');
-      };
-      
-      /**
-       * Handle WebSocket connection errors
-       * Sets loading to false to prevent infinite loading state
-       * @param {Event} error - WebSocket error event
-       */
-      socket.onerror = (error) => {
-        console.error('WebSocket connection error:', error);
-        setLoading(false);
-      };
-      
-      /**
-       * Handle incoming WebSocket messages with block data
-       * Processes both initial block loads and real-time updates
-       * @param {MessageEvent} event - WebSocket message event
-       */
-      socket.onmessage = (event) => {
-        try {
-          const message = JSON.parse(event.data);
-          console.log('WebSocket message received:', message);
-          
-          if (message.type === 'recentBlocks' && Array.isArray(message.data)) {
-            console.log('Setting blocks data, count:', message.data.length);
-            
-            /**
-             * Validate each block has required algorithm data
-             * Filters out any blocks missing the 'algo' property
-             */
-            const validBlocks = message.data.filter(block => block && block.algo);
-            
-            if (validBlocks.length > 0) {
-              setBlocks(validBlocks);
-            } else {
-              console.error('No valid blocks in received data');
-            }
-            setLoading(false);
-          } else if (message.type === 'newBlock' && message.data) {
-            console.log('New block received:', message.data);
-            /**
-             * Add new block to beginning of array if it has algorithm data
-             * Triggers automatic pie chart re-rendering
-             */
-            if (message.data.algo) {
-              setBlocks((prevBlocks) => [message.data, ...prevBlocks]);
-            }
-          }
-        } catch (err) {
-          console.error('Error processing WebSocket message:', err);
-        }
-      };
-      
+      const validBlocks = message.data.filter(block => block && block.algo);
+
+      if (validBlocks.length > 0) {
+        setBlocks(validBlocks);
+      } else {
+        console.error('No valid blocks in received data');
+      }
+      setLoading(false);
+    } else if (message.type === 'newBlock' && message.data) {
       /**
-       * Handle WebSocket connection closure
-       * Logs closure reason for debugging
-       * @param {CloseEvent} event - WebSocket close event
+       * Add new block to beginning of array if it has algorithm data
+       * Triggers automatic pie chart re-rendering
        */
-      socket.onclose = (event) => {
-        console.log('WebSocket connection closed', event.code, event.reason);
-      };
-    } catch (err) {
-      console.error('Error creating WebSocket connection:', err);
-      setLoading(false);
+      if (message.data.algo) {
+        setBlocks((prevBlocks) => [message.data, ...prevBlocks]);
+      }
     }
-    
-    /**
-     * Fallback mechanism for testing and connection failures
-     * Creates dummy data after 2 seconds if WebSocket hasn't loaded data
-     * Ensures page functionality even with network issues
-     */
+  });
+
+  /**
+   * Stop the loading state if the shared connection fails
+   */
+  useWsStatusChange((status) => {
+    if (status === 'closed') setLoading(false);
+  });
+
+  /**
+   * Fallback mechanism for testing and connection failures
+   * Creates dummy data after 2 seconds if WebSocket hasn't loaded data
+   * Ensures page functionality even with network issues
+   */
+  useEffect(() => {
     const timer = setTimeout(() => {
       if (loading) {
         console.log('Creating fallback test data as WebSocket connection might have failed');
@@ -363,18 +321,9 @@ const AlgosPage = () => {
         setLoading(false);
       }
     }, 2000);
-    
-    /**
-     * Cleanup function to close WebSocket and clear timer
-     * Prevents memory leaks when component unmounts
-     */
-    return () => {
-      clearTimeout(timer);
-      if (socket) {
-        socket.close();
-      }
-    };
-  }, [loading, wsBaseUrl]);
+
+    return () => clearTimeout(timer);
+  }, [loading]);
 
 
   // Update the pie chart whenever the blocks state changes
@@ -440,7 +389,7 @@ const AlgosPage = () => {
         .append('path')
         .attr('d', arc)
         .attr('fill', d => getAlgoColor(d.data.algo))
-        .attr('stroke', 'white')
+        .attr('stroke', chartColors.stroke)
         .attr('stroke-width', 2);
       
       const totalBlocks = blocks.length;
@@ -465,20 +414,21 @@ const AlgosPage = () => {
         .attr('text-anchor', 'middle')
         .attr('font-size', isMobile ? '14px' : '18px')
         .attr('font-weight', 'bold')
+        .attr('fill', chartColors.text)
         .text(`${totalBlocks} Blocks`);
       
       console.log('Chart rendered successfully');
     } catch (error) {
       console.error('Error rendering chart:', error);
     }
-  }, [blocks, isMobile]);
+  }, [blocks, isMobile, chartColors]);
 
   // Render the component
   return (
     <Box 
       sx={{ 
         py: 4, 
-        backgroundImage: 'linear-gradient(to bottom, #f8f9fa, #ffffff)',
+        backgroundImage: (theme) => theme.palette.background.page,
         minHeight: '100vh'
       }}
     >
@@ -486,25 +436,28 @@ const AlgosPage = () => {
         <HeroSection isTestnet={isTestnet} networkTheme={networkTheme} />
 
         <Card
+          id="algo-distribution"
           elevation={3}
           sx={{
             p: { xs: 2, md: 3 },
             borderRadius: '12px',
             mb: 4,
-            textAlign: 'center'
+            textAlign: 'center',
+            scrollMarginTop: 80
           }}
         >
           {loading ? (
             <Box sx={{ py: 10, display: 'flex', justifyContent: 'center', alignItems: 'center' }}>
-              <Typography variant="h5" sx={{ color: '#555' }}>
+              <Typography variant="h5" sx={{ color: 'text.secondary' }}>
                 Loading block data...
               </Typography>
             </Box>
           ) : (
             <>
-              <Typography variant="h5" fontWeight="bold" sx={{ mb: 3 }}>
+              <Typography variant="h5" fontWeight="bold" sx={{ mb: 1 }}>
                 Mining Algorithm Distribution
               </Typography>
+              <ChartActions id="algo-distribution" name="algo-distribution" target={svgRef} ready={blocks.length > 0} sx={{ mb: 1 }} />
               <Box sx={{ 
                 display: 'flex', 
                 justifyContent: 'center', 
@@ -523,7 +476,7 @@ const AlgosPage = () => {
                   }}
                 ></svg>
               </Box>
-              <Typography variant="body1" sx={{ mt: 2, color: '#666' }}>
+              <Typography variant="body1" sx={{ mt: 2, color: 'text.secondary' }}>
                 Distribution of blocks mined by each algorithm over the last hour ({blocks.length} blocks).
               </Typography>
             </>
@@ -537,8 +490,9 @@ const AlgosPage = () => {
           algos={stackAlgos}
           colors={HISTORY_COLORS}
           getValue={(e, a) => e.perAlgo[a]?.blocks}
-          valueFormat={(n) => Number(n || 0).toLocaleString()}
+          valueFormat={(n) => formatNumber(n || 0)}
           title="Algorithm Distribution History"
+          exportName="algo-history"
           subtitle="Share of blocks by algorithm over time. The retired Myriad-Groestl fades to zero at the algolock height (block 23,808,000). The Daily view breaks it down by hour."
           yLabel="Share of blocks"
           loading={historyLoading}
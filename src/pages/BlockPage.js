@@ -0,0 +1,305 @@
+import React, { useEffect, useState } from 'react';
+import { Link as RouterLink, useParams } from 'react-router-dom';
+import {
+  Container, Typography, Box, Divider, Grid, Button,
+  Table, TableContainer, TableHead, TableBody, TableRow, TableCell,
+  Paper, Chip, CircularProgress, Link, Alert,
+} from '@mui/material';
+import { alpha } from '@mui/material/styles';
+import BlockIcon from '@mui/icons-material/ViewCompact';
+import ArrowForwardIosIcon from '@mui/icons-material/ArrowForwardIos';
+import ArrowBackIosNewIcon from '@mui/icons-material/ArrowBackIosNew';
+import VerifiedIcon from '@mui/icons-material/Verified';
+import OpenInNewIcon from '@mui/icons-material/OpenInNew';
+import { useNetwork } from '../context/NetworkContext';
+import { useLocale } from '../context/LocaleContext';
+import { DetailField, SectionCard } from '../components/DetailSection';
+import { decodeBlockVersion, describeOutput, findOracleBundle } from '../utils/blockDecode';
+
+/**
+ * Version bits, decoded per BIP9 deployment. Bits rolled by ASIC miners
+ * (BIP320) are listed separately so they are not mistaken for signals.
+ */
+const VersionBits = ({ block }) => {
+  const decoded = decodeBlockVersion(block.version, { versionRolled: !!block.versionRolled });
+  if (!decoded) {
+    return <Typography variant="body2" color="text.secondary">Version not reported.</Typography>;
+  }
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, alignItems: 'center', mb: 2 }}>
+        <Chip label={decoded.hex} sx={{ fontFamily: 'monospace' }} />
+        <Chip
+          label={decoded.usesVersionBits ? 'BIP9 versionbits' : 'Legacy version'}
+          variant="outlined"
+        />
+        {decoded.algo && <Chip label={`Algo bits: ${decoded.algo}`} variant="outlined" />}
+      </Box>
+      <Typography variant="body2" sx={{ mb: 1 }}>
+        <strong>Deployment signals:</strong>{' '}
+        {decoded.signals.length > 0
+          ? decoded.signals.map((s) => `${s.name} (bit ${s.bit})`).join(', ')
+          : 'none'}
+      </Typography>
+      {decoded.rolledBits.length > 0 && (
+        <Typography variant="body2" sx={{ mb: 1 }}>
+          <strong>Version-rolled bits (BIP320):</strong> {decoded.rolledBits.join(', ')}
+        </Typography>
+      )}
+      {decoded.unknownBits.length > 0 && (
+        <Typography variant="body2">
+          <strong>Unassigned bits:</strong> {decoded.unknownBits.join(', ')}
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+/** Decoded OP_ORACLE bundle: price, signer slot ids and MuSig2 context. */
+const OracleBundle = ({ bundle }) => (
+  <Box
+    data-testid="oracle-bundle"
+    sx={{
+      mt: 2,
+      p: 2,
+      borderRadius: '8px',
+      bgcolor: (theme) => alpha(theme.palette.success.main, 0.12),
+      border: (theme) => `1px solid ${alpha(theme.palette.success.main, 0.35)}`,
+    }}
+  >
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1.5 }}>
+      <VerifiedIcon sx={{ color: 'success.main' }} />
+      <Typography variant="h6" fontWeight="bold" sx={{ color: 'success.main' }}>
+        DigiDollar Oracle Bundle
+      </Typography>
+    </Box>
+    <Grid container spacing={2}>
+      <DetailField label="Price" md={3}>
+        {bundle.priceMicroUsd > 0 ? `$${bundle.priceUsd.toFixed(6)} / DGB` : '—'}
+      </DetailField>
+      <DetailField label="Signers" md={3}>{bundle.signerIds.length}</DetailField>
+      <DetailField label="MuSig2 Context Version" md={3}>{bundle.musig2ContextVersion ?? '—'}</DetailField>
+      <DetailField label="Bundle Version" md={3}>
+        {bundle.version != null ? `v0x${bundle.version.toString(16).padStart(2, '0')}` : '—'}
+      </DetailField>
+      <DetailField label="Signer Oracle IDs" md={12}>
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 0.5 }}>
+          {bundle.signerIds.length > 0
+            ? bundle.signerIds.map((id) => (
+              <Chip key={id} label={`#${id}`} size="small" sx={{ bgcolor: 'background.paper', color: 'success.main' }} />
+            ))
+            : '—'}
+        </Box>
+      </DetailField>
+    </Grid>
+  </Box>
+);
+
+/**
+ * BlockPage — detail view for one block, reached from BlockCard or by URL
+ * (`/block/:hashOrHeight`, `/testnet/block/:hashOrHeight`).
+ *
+ * Fetches `/api/getblock/:hashOrHeight` (verbose getblock plus the fields the
+ * server already attaches to WS blocks: algo, poolIdentifier, minerAddress,
+ * hasOracleBundle, oracleSignerCount, oraclePriceUsd) and renders the header,
+ * decoded version bits, the coinbase outputs with the OP_ORACLE bundle, and
+ * prev/next navigation.
+ */
+const BlockPage = () => {
+  const { hashOrHeight } = useParams();
+  const { formatNumber, formatDgb, formatBlockTime } = useLocale();
+  const { getApiUrl, getNetworkPath, isTestnet, theme: networkTheme } = useNetwork();
+  const primaryColor = networkTheme.primary;
+
+  const [block, setBlock] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let isMounted = true;
+    setLoading(true);
+    setError(null);
+
+    const fetchBlock = async () => {
+      try {
+        const response = await fetch(getApiUrl(`/getblock/${encodeURIComponent(hashOrHeight)}`));
+        if (response.status === 404) throw new Error(`Block ${hashOrHeight} was not found.`);
+        if (!response.ok) throw new Error('Failed to load block.');
+        const data = await response.json();
+        if (isMounted) setBlock(data);
+      } catch (err) {
+        console.error('Error fetching block:', err);
+        if (isMounted) {
+          setBlock(null);
+          setError(err.message);
+        }
+      } finally {
+        if (isMounted) setLoading(false);
+      }
+    };
+
+    fetchBlock();
+    return () => {
+      isMounted = false;
+    };
+  }, [getApiUrl, hashOrHeight]);
+
+  const blockPath = (id) => getNetworkPath(`/block/${id}`);
+  const explorerUrl = block
+    ? `https://${isTestnet ? 'testnet.' : ''}digiexplorer.info/block/${block.hash}`
+    : null;
+
+  const coinbase = Array.isArray(block?.tx) && typeof block.tx[0] === 'object' ? block.tx[0] : null;
+  const bundle = block ? findOracleBundle(block) : null;
+
+  return (
+    <Box sx={{ py: 4, backgroundImage: (theme) => theme.palette.background.page, minHeight: '100vh' }}>
+      <Container maxWidth="lg">
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 3, flexWrap: 'wrap' }}>
+          <BlockIcon sx={{ fontSize: '2.5rem', color: primaryColor }} />
+          <Typography
+            variant="h3"
+            component="h1"
+            fontWeight="800"
+            sx={{ color: primaryColor, fontSize: { xs: '1.8rem', md: '2.4rem' } }}
+          >
+            {block ? `Block ${formatNumber(block.height)}` : 'Block'}
+          </Typography>
+          {isTestnet && (
+            <Chip label="TESTNET" sx={{ bgcolor: primaryColor, color: 'white', fontWeight: 'bold' }} />
+          )}
+        </Box>
+
+        {loading && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+            <CircularProgress />
+          </Box>
+        )}
+
+        {!loading && error && (
+          <Alert severity="error" sx={{ mb: 3 }}>{error}</Alert>
+        )}
+
+        {!loading && block && (
+          <>
+            {/* Prev / next navigation */}
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 3, gap: 2 }}>
+              <Button
+                component={RouterLink}
+                to={block.previousblockhash ? blockPath(block.previousblockhash) : '#'}
+                disabled={!block.previousblockhash}
+                variant="contained"
+                startIcon={<ArrowBackIosNewIcon />}
+              >
+                Previous
+              </Button>
+              <Button
+                component={RouterLink}
+                to={block.nextblockhash ? blockPath(block.nextblockhash) : '#'}
+                disabled={!block.nextblockhash}
+                variant="contained"
+                endIcon={<ArrowForwardIosIcon />}
+              >
+                Next
+              </Button>
+            </Box>
+
+            <SectionCard title="Header" color={primaryColor} testId="block-header">
+              <Grid container spacing={2}>
+                <DetailField label="Hash" mono md={12}>{block.hash}</DetailField>
+                <DetailField label="Height" md={3}>{formatNumber(block.height)}</DetailField>
+                <DetailField label="Confirmations" md={3}>{formatNumber(block.confirmations)}</DetailField>
+                <DetailField label="Algorithm" md={3}>{block.algo || block.pow_algo || '—'}</DetailField>
+                <DetailField label="Pool" md={3}>{block.poolIdentifier || 'Unknown'}</DetailField>
+                <DetailField label="Time" md={3}>{formatBlockTime(block.time)}</DetailField>
+                <DetailField label="Median Time" md={3}>{formatBlockTime(block.mediantime)}</DetailField>
+                <DetailField label="Difficulty" md={3}>{formatNumber(block.difficulty)}</DetailField>
+                <DetailField label="Transactions" md={3}>{formatNumber(block.nTx ?? block.tx?.length)}</DetailField>
+                <DetailField label="Size" md={3}>{Number.isFinite(block.size) ? `${formatNumber(block.size)} bytes` : '—'}</DetailField>
+                <DetailField label="Weight" md={3}>{formatNumber(block.weight)}</DetailField>
+                <DetailField label="Bits" md={3}>{block.bits || '—'}</DetailField>
+                <DetailField label="Nonce" md={3}>{formatNumber(block.nonce)}</DetailField>
+                <DetailField label="Miner Address" mono>
+                  {block.minerAddress ? (
+                    <Link component={RouterLink} to={getNetworkPath(`/address/${block.minerAddress}`)}>
+                      {block.minerAddress}
+                    </Link>
+                  ) : '—'}
+                </DetailField>
+                <DetailField label="Merkle Root" mono>{block.merkleroot || '—'}</DetailField>
+                <DetailField label="Previous Block" mono>{block.previousblockhash || '—'}</DetailField>
+                <DetailField label="Chainwork" mono>{block.chainwork || '—'}</DetailField>
+              </Grid>
+              <Divider sx={{ my: 2 }} />
+              <Link
+                href={explorerUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+                sx={{ display: 'inline-flex', alignItems: 'center', gap: 0.5 }}
+              >
+                View on DigiExplorer <OpenInNewIcon sx={{ fontSize: 16 }} />
+              </Link>
+            </SectionCard>
+
+            <SectionCard title="Version Bits" color={primaryColor} testId="block-version">
+              <VersionBits block={block} />
+            </SectionCard>
+
+            <SectionCard title="Coinbase" color={primaryColor} testId="block-coinbase">
+              {coinbase ? (
+                <TableContainer component={Paper} elevation={0} sx={{ border: '1px solid', borderColor: 'divider' }}>
+                  <Table size="small">
+                    <TableHead sx={{ backgroundColor: `${primaryColor}12` }}>
+                      <TableRow>
+                        <TableCell><strong>#</strong></TableCell>
+                        <TableCell><strong>Type</strong></TableCell>
+                        <TableCell><strong>Address / Script</strong></TableCell>
+                        <TableCell align="right"><strong>Value</strong></TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {(coinbase.vout || []).map((out, i) => {
+                        const n = out.n ?? i;
+                        const isBundle = bundle && bundle.vout === n;
+                        return (
+                          <TableRow key={n} sx={isBundle ? { bgcolor: (theme) => alpha(theme.palette.success.main, 0.12) } : undefined}>
+                            <TableCell>{n}</TableCell>
+                            <TableCell>{describeOutput(out.scriptPubKey)}</TableCell>
+                            <TableCell sx={{ fontFamily: 'monospace', fontSize: '0.8rem', overflowWrap: 'anywhere' }}>
+                              {out.scriptPubKey?.address ? (
+                                <Link component={RouterLink} to={getNetworkPath(`/address/${out.scriptPubKey.address}`)}>
+                                  {out.scriptPubKey.address}
+                                </Link>
+                              ) : (out.scriptPubKey?.asm || out.scriptPubKey?.hex || '—')}
+                            </TableCell>
+                            <TableCell align="right">{formatDgb(out.value)}</TableCell>
+                          </TableRow>
+                        );
+                      })}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              ) : (
+                <Typography variant="body2" color="text.secondary">
+                  Coinbase transaction not included in this response.
+                </Typography>
+              )}
+              {bundle ? (
+                <OracleBundle bundle={bundle} />
+              ) : (
+                <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+                  {block.hasOracleBundle
+                    ? `This block carries a DigiDollar bundle${block.oracleSignerCount != null ? ` (${block.oracleSignerCount} signers)` : ''}, but its coinbase could not be decoded.`
+                    : 'No DigiDollar oracle bundle in this block.'}
+                </Typography>
+              )}
+            </SectionCard>
+          </>
+        )}
+      </Container>
+    </Box>
+  );
+};
+
+export default BlockPage;
@@ -1,16 +1,28 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useMemo } from 'react';
 import {
   Container, Typography, Grid, Button, Card, CardContent,
-  Box, Divider, Chip, useMediaQuery, useTheme, Pagination
+  Box, Divider, Chip, useMediaQuery, useTheme, CircularProgress,
+  TextField, MenuItem, InputAdornment, FormControlLabel, Switch, Alert
 } from '@mui/material';
+import { alpha } from '@mui/material/styles';
 import BlockIcon from '@mui/icons-material/ViewCompact';
-import ArrowForwardIosIcon from '@mui/icons-material/ArrowForwardIos';
-import ArrowBackIosNewIcon from '@mui/icons-material/ArrowBackIosNew';
 import SpeedIcon from '@mui/icons-material/Speed';
 import PoolIcon from '@mui/icons-material/Waves';
 import TransactionsIcon from '@mui/icons-material/Sync';
 import VerifiedIcon from '@mui/icons-material/Verified';
+import SearchIcon from '@mui/icons-material/Search';
+import { Link as RouterLink } from 'react-router-dom';
 import { useNetwork } from '../context/NetworkContext';
+import { useBlockHistory } from '../hooks/useBlockHistory';
+import { useQueryParams } from '../hooks/useQueryParams';
+import {
+  enumParam, stringParam, flagParam, intParam,
+} from '../utils/queryParams';
+import { BLOCK_ALGOS, hasBlockFilters } from '../utils/blockPaging';
+import { useLocale } from '../context/LocaleContext';
+import LoadingCard from '../components/LoadingCard';
+import ExportMenu from '../components/ExportMenu';
+import VirtualList from '../components/VirtualList';
 
 /**
  * Algorithm color mapping for consistent visual identification
@@ -25,6 +37,23 @@ const ALGO_COLORS = {
   'odocrypt': '#f44336', // Red - ASIC-resistant variant
 };
 
+// Blocks asked for at a time; the live window (240 blocks) covers the first
+// loads unless the filters thin it out.
+const BLOCKS_BATCH = 40;
+
+const ALGO_LABELS = {
+  sha256d: 'SHA256D', scrypt: 'Scrypt', skein: 'Skein', qubit: 'Qubit', odo: 'Odo',
+};
+
+// Filters and jump height live in the query string, so a filtered or
+// historical view survives reloads, history and shared links.
+const BLOCKS_QUERY = {
+  algo: enumParam(['', ...BLOCK_ALGOS], ''),
+  pool: stringParam(''),
+  bundle: flagParam(),
+  height: intParam(),
+};
+
 /**
  * Hero section component for the BlocksPage
  * Displays title, description, and real-time block information
@@ -33,74 +62,68 @@ const ALGO_COLORS = {
  * @param {Object} props.networkTheme - Theme colors for the current network
  * @returns {JSX.Element} Hero section with page title and description
  */
-const HeroSection = ({ isTestnet, networkTheme }) => (
-  <Card
-    elevation={2}
-    sx={{
-      backgroundColor: '#f2f4f8',
-      borderRadius: '12px',
-      mb: 4,
-      overflow: 'hidden',
-      backgroundImage: 'linear-gradient(135deg, #f8f9fa 0%, #e8eef7 100%)',
-      border: `1px solid ${isTestnet ? 'rgba(230, 81, 0, 0.2)' : 'rgba(0, 35, 82, 0.1)'}`
-    }}
-  >
-    <CardContent sx={{ py: 4, textAlign: 'center' }}>
-      {isTestnet && (
-        <Chip
-          label="TESTNET"
-          sx={{
-            mb: 2,
-            bgcolor: networkTheme?.primary || '#e65100',
-            color: 'white',
-            fontWeight: 'bold',
-            fontSize: '0.85rem'
-          }}
-        />
-      )}
-      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', mb: 2 }}>
-        <BlockIcon sx={{ fontSize: '2.5rem', color: networkTheme?.primary || '#002352', mr: 2 }} />
+const HeroSection = ({ isTestnet, networkTheme }) => {
+  const { t } = useLocale();
+
+  return (
+    <Card
+      elevation={2}
+      sx={{
+        backgroundColor: 'background.subtle',
+        borderRadius: '12px',
+        mb: 4,
+        overflow: 'hidden',
+        backgroundImage: (theme) => theme.palette.background.hero,
+        border: `1px solid ${isTestnet ? 'rgba(230, 81, 0, 0.2)' : 'rgba(0, 35, 82, 0.1)'}`
+      }}
+    >
+      <CardContent sx={{ py: 4, textAlign: 'center' }}>
+        {isTestnet && (
+          <Chip
+            label="TESTNET"
+            sx={{
+              mb: 2,
+              bgcolor: networkTheme?.primary || '#e65100',
+              color: 'white',
+              fontWeight: 'bold',
+              fontSize: '0.85rem'
+            }}
+          />
+        )}
+        <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', mb: 2 }}>
+          <BlockIcon sx={{ fontSize: '2.5rem', color: networkTheme?.primary || '#002352', mr: 2 }} />
+          <Typography
+            variant="h2"
+            component="h1"
+            fontWeight="800"
+            sx={{
+              color: networkTheme?.primary || '#002352',
+              letterSpacing: '0.5px',
+              fontSize: { xs: '1.8rem', sm: '2.3rem', md: '2.8rem' }
+            }}
+          >
+            {t('blocks.title')}
+          </Typography>
+        </Box>
+
+        <Divider sx={{ maxWidth: '150px', mx: 'auto', mb: 3, borderColor: networkTheme?.secondary || '#0066cc', borderWidth: 2 }} />
+
         <Typography
-          variant="h2"
-          component="h1"
-          fontWeight="800"
+          variant="subtitle1"
+          component="p"
           sx={{
-            color: networkTheme?.primary || '#002352',
-            letterSpacing: '0.5px',
-            fontSize: { xs: '1.8rem', sm: '2.3rem', md: '2.8rem' }
+            maxWidth: '800px',
+            mx: 'auto',
+            color: 'text.secondary',
+            fontSize: '1.1rem'
           }}
         >
-          Realtime DigiByte Blocks
+          {t('blocks.intro')}
         </Typography>
-      </Box>
-
-      <Divider sx={{ maxWidth: '150px', mx: 'auto', mb: 3, borderColor: networkTheme?.secondary || '#0066cc', borderWidth: 2 }} />
-
-      <Typography
-        variant="subtitle1"
-        component="p"
-        sx={{
-          maxWidth: '800px',
-          mx: 'auto',
-          color: '#555',
-          fontSize: '1.1rem'
-        }}
-      >
-        This page pre-loads the 240 most recent DGB blocks (20 per page) & will keep incrementing in realtime as long as you leave it open as blocks are mined.
-      </Typography>
-    </CardContent>
-  </Card>
-);
-
-/**
- * Loading state component displayed while block data is being fetched
- * @returns {JSX.Element} Loading card with spinner message
- */
-const LoadingCard = () => (
-  <Card elevation={3} sx={{ p: 4, textAlign: 'center', borderRadius: '12px' }}>
-    <Typography variant="h5">Loading...</Typography>
-  </Card>
-);
+      </CardContent>
+    </Card>
+  );
+};
 
 /**
  * Get algorithm color from the predefined color mapping
@@ -111,31 +134,26 @@ const getAlgoColor = (algo) => {
   return ALGO_COLORS[algo.toLowerCase()] || '#0066cc';
 };
 
-/**
- * Format number with thousands separators (commas)
- * @param {number} num - Number to format
- * @returns {string} Formatted number string with commas
- */
-const formatNumber = (num) => {
-  return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",");
-};
+// Rows of the virtualized list are keyed by block hash.
+const blockKey = (block) => block.hash;
 
 /**
  * Individual block card component
  * Displays comprehensive block information including height, hash, algorithm, pool, etc.
  * @param {Object} props - Component props
  * @param {Object} props.block - Block data object
- * @param {number} props.index - Block index for styling alternation
  * @param {boolean} props.isMobile - Whether device is mobile for responsive design
- * @returns {JSX.Element} Block information card with link to block explorer
+ * @param {string} props.to - Router path of the block detail page
+ * @returns {JSX.Element} Block information card linking to the block detail page
  */
-const BlockCard = ({ block, index, isMobile }) => (
-  <Grid item xs={12}>
+const BlockCard = ({ block, isMobile, to }) => {
+  const { t, formatNumber } = useLocale();
+
+  return (
     <Card
-      component="a"
-      href={`https://digiexplorer.info/block/${block.hash}`}
-      target="_blank"
-      rel="noopener noreferrer"
+      component={RouterLink}
+      to={to}
+      data-testid="block-item"
       elevation={2}
       data-oracle={block.hasOracleBundle ? 'true' : 'false'}
       sx={{
@@ -166,14 +184,15 @@ const BlockCard = ({ block, index, isMobile }) => (
           <Grid item xs={12} sm={6} md={2}>
             <Box>
               <Typography variant="body2" color="text.secondary" sx={{ fontSize: '0.75rem' }}>
-                Height
+                {t('blocks.height')}
               </Typography>
               <Typography 
                 variant="body1" 
                 fontWeight="bold" 
                 sx={{ 
                   display: 'inline-block',
-                  bgcolor: index % 2 === 0 ? '#002352' : '#0066cc',
+                  // Striped by height, so blocks arriving on top leave the rest as they are
+                  bgcolor: block.height % 2 === 0 ? 'primary.main' : 'secondary.main',
                   color: 'white',
                   px: 1.5,
                   py: 0.5,
@@ -189,11 +208,11 @@ const BlockCard = ({ block, index, isMobile }) => (
           <Grid item xs={12} sm={6} md={3}>
             <Box>
               <Typography variant="body2" color="text.secondary" sx={{ fontSize: '0.75rem' }}>
-                Hash
+                {t('blocks.hash')}
               </Typography>
               <Typography variant="body2" fontWeight="medium" sx={{ 
                 fontFamily: 'monospace',
-                bgcolor: 'rgba(0, 0, 0, 0.04)',
+                bgcolor: 'background.code',
                 p: 0.5,
                 borderRadius: 1,
                 fontSize: { xs: '0.7rem', md: '0.8rem' }
@@ -208,7 +227,7 @@ const BlockCard = ({ block, index, isMobile }) => (
               <SpeedIcon sx={{ fontSize: '1.2rem', mr: 1, color: getAlgoColor(block.algo) }} />
               <Box>
                 <Typography variant="body2" color="text.secondary" sx={{ fontSize: '0.75rem' }}>
-                  Algorithm
+                  {t('blocks.algorithm')}
                 </Typography>
                 <Chip 
                   label={block.algo} 
@@ -226,13 +245,13 @@ const BlockCard = ({ block, index, isMobile }) => (
           
           <Grid item xs={6} sm={3} md={2}>
             <Box sx={{ display: 'flex', alignItems: 'center' }}>
-              <PoolIcon sx={{ fontSize: '1.2rem', mr: 1, color: '#0066cc' }} />
+              <PoolIcon sx={{ fontSize: '1.2rem', mr: 1, color: 'secondary.main' }} />
               <Box>
                 <Typography variant="body2" color="text.secondary" sx={{ fontSize: '0.75rem' }}>
-                  Pool
+                  {t('blocks.pool')}
                 </Typography>
                 <Typography variant="body2" fontWeight="medium">
-                  {block.poolIdentifier || 'Unknown'}
+                  {block.poolIdentifier || t('blocks.unknownPool')}
                 </Typography>
               </Box>
             </Box>
@@ -240,10 +259,10 @@ const BlockCard = ({ block, index, isMobile }) => (
           
           <Grid item xs={6} sm={3} md={1.25}>
             <Box sx={{ display: 'flex', alignItems: 'center' }}>
-              <TransactionsIcon sx={{ fontSize: '1.2rem', mr: 1, color: '#0066cc' }} />
+              <TransactionsIcon sx={{ fontSize: '1.2rem', mr: 1, color: 'secondary.main' }} />
               <Box>
                 <Typography variant="body2" color="text.secondary" sx={{ fontSize: '0.75rem' }}>
-                  TX Count
+                  {t('blocks.txCount')}
                 </Typography>
                 <Typography variant="body1" fontWeight="medium">
                   {block.txCount}
@@ -261,25 +280,27 @@ const BlockCard = ({ block, index, isMobile }) => (
                 the strongest possible "this pool is DigiDollar-ready" proof. */}
             <Box>
               <Typography variant="body2" color="text.secondary" sx={{ fontSize: '0.75rem' }}>
-                DigiDollar Bundle
+                {t('blocks.bundle')}
               </Typography>
               {block.hasOracleBundle ? (
                 <Chip
                   data-testid="oracle-bundle-chip"
                   icon={<VerifiedIcon sx={{ fontSize: '1rem' }} />}
-                  label={block.oracleSignerCount != null ? `${block.oracleSignerCount} signers` : 'Attached'}
+                  label={block.oracleSignerCount != null
+                    ? t('blocks.signers', { count: block.oracleSignerCount })
+                    : t('blocks.attached')}
                   size="small"
                   sx={{
-                    bgcolor: '#e8f5e9',
-                    color: '#2e7d32',
+                    bgcolor: (theme) => alpha(theme.palette.success.main, 0.12),
+                    color: 'success.main',
                     fontWeight: 'bold',
                     fontSize: '0.75rem',
-                    border: '1px solid rgba(46, 125, 50, 0.35)',
-                    '& .MuiChip-icon': { color: '#2e7d32' }
+                    border: (theme) => `1px solid ${alpha(theme.palette.success.main, 0.35)}`,
+                    '& .MuiChip-icon': { color: 'success.main' }
                   }}
                 />
               ) : (
-                <Typography variant="body2" fontWeight="medium" sx={{ color: '#9e9e9e' }}>
+                <Typography variant="body2" fontWeight="medium" color="text.disabled">
                   —
                 </Typography>
               )}
@@ -288,268 +309,239 @@ const BlockCard = ({ block, index, isMobile }) => (
         </Grid>
       </CardContent>
     </Card>
-  </Grid>
-);
+  );
+};
 
 /**
- * Pagination controls component
- * Handles navigation between pages of blocks with responsive design
+ * Filter and height-jump toolbar
  * @param {Object} props - Component props
- * @param {number} props.currentPage - Current page index (0-based)
- * @param {number} props.totalPages - Total number of pages
- * @param {Function} props.onPrevPage - Previous page handler
- * @param {Function} props.onNextPage - Next page handler
- * @param {Function} props.onPageChange - Direct page change handler
- * @param {boolean} props.isMobile - Whether device is mobile
- * @param {boolean} props.isTablet - Whether device is tablet
- * @returns {JSX.Element} Pagination controls with prev/next buttons and page numbers
+ * @param {Object} props.query - Current BLOCKS_QUERY values
+ * @param {Function} props.onChange - Called with a query patch (and navigate options)
+ * @returns {JSX.Element} Algorithm, pool and bundle filters plus a jump-to-height field
  */
-const PaginationControls = ({ 
-  currentPage, 
-  totalPages, 
-  onPrevPage, 
-  onNextPage, 
-  onPageChange, 
-  isMobile, 
-  isTablet 
-}) => (
-  <Box sx={{ 
-    display: 'flex', 
-    justifyContent: 'space-between', 
-    mt: 4, 
-    flexDirection: { xs: 'column', sm: 'row' },
-    alignItems: 'center',
-    gap: 2
-  }}>
-    <Button 
-      variant="contained" 
-      onClick={onPrevPage} 
-      disabled={currentPage === 0}
-      startIcon={<ArrowBackIosNewIcon />}
-      sx={{
-        backgroundColor: '#002352',
-        '&:hover': {
-          backgroundColor: '#001a3e',
-        },
-        fontWeight: 'medium',
-        borderRadius: '8px',
-        boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
-        width: { xs: '100%', sm: 'auto' },
-      }}
-    >
-      Previous
-    </Button>
-    
-    {!isMobile && !isTablet && (
-      <Pagination 
-        count={totalPages} 
-        page={currentPage + 1} 
-        onChange={onPageChange}
-        color="primary"
-        sx={{
-          '& .MuiPaginationItem-root': {
-            fontWeight: 'medium',
-          },
-          '& .Mui-selected': {
-            backgroundColor: '#0066cc !important',
-            color: 'white',
-          }
-        }}
-      />
-    )}
-    
-    <Button 
-      variant="contained" 
-      onClick={onNextPage} 
-      disabled={currentPage === Math.floor(totalPages - 1)}
-      endIcon={<ArrowForwardIosIcon />}
-      sx={{
-        backgroundColor: '#0066cc',
-        '&:hover': {
-          backgroundColor: '#0055aa',
-        },
-        fontWeight: 'medium',
-        borderRadius: '8px',
-        boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
-        width: { xs: '100%', sm: 'auto' },
-      }}
-    >
-      Next
-    </Button>
-  </Box>
-);
+const BlockFilters = ({ query, onChange }) => {
+  const { t } = useLocale();
+  const [jumpText, setJumpText] = useState('');
+
+  const handleJump = (event) => {
+    event.preventDefault();
+    if (!/^\d+$/.test(jumpText.trim())) return;
+    onChange({ height: Number(jumpText.trim()) });
+    setJumpText('');
+  };
+
+  return (
+    <Card elevation={2} sx={{ p: 2, mb: 3 }}>
+      <Grid container spacing={2} alignItems="center">
+        <Grid item xs={12} sm={6} md={3}>
+          <TextField
+            select
+            fullWidth
+            size="small"
+            label={t('blocks.algorithm')}
+            value={query.algo}
+            onChange={(e) => onChange({ algo: e.target.value })}
+            SelectProps={{ inputProps: { 'data-testid': 'algo-filter' } }}
+          >
+            <MenuItem value="">{t('blocks.allAlgorithms')}</MenuItem>
+            {BLOCK_ALGOS.map((algo) => (
+              <MenuItem key={algo} value={algo}>{ALGO_LABELS[algo]}</MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <TextField
+            fullWidth
+            size="small"
+            label={t('blocks.pool')}
+            placeholder={t('blocks.poolPlaceholder')}
+            value={query.pool}
+            onChange={(e) => onChange({ pool: e.target.value }, { replace: true })}
+          />
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <FormControlLabel
+            control={(
+              <Switch
+                checked={query.bundle}
+                onChange={(e) => onChange({ bundle: e.target.checked })}
+              />
+            )}
+            label={t('blocks.bundleOnly')}
+          />
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <Box component="form" onSubmit={handleJump}>
+            <TextField
+              fullWidth
+              size="small"
+              label={t('blocks.jumpToHeight')}
+              value={jumpText}
+              onChange={(e) => setJumpText(e.target.value)}
+              inputProps={{ inputMode: 'numeric' }}
+              InputProps={{
+                endAdornment: (
+                  <InputAdornment position="end">
+                    <Button type="submit" size="small" startIcon={<SearchIcon />}>
+                      {t('blocks.go')}
+                    </Button>
+                  </InputAdornment>
+                ),
+              }}
+            />
+          </Box>
+        </Grid>
+      </Grid>
+      {query.height !== null && (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 2, flexWrap: 'wrap' }}>
+          <Chip
+            color="primary"
+            variant="outlined"
+            label={t('blocks.browsingFrom', { height: query.height })}
+          />
+          <Button size="small" onClick={() => onChange({ height: null })}>
+            {t('blocks.backToLatest')}
+          </Button>
+        </Box>
+      )}
+    </Card>
+  );
+};
 
 /**
  * BlocksPage component - Real-time DigiByte blocks explorer
  * 
- * This page displays a paginated list of recent DigiByte blocks with real-time updates.
+ * This page displays a continuously scrolling list of recent DigiByte blocks with real-time updates.
  * Each block shows comprehensive information including height, hash, mining algorithm,
  * pool identifier, transaction count, and Taproot signaling status.
  * 
  * Features:
- * - WebSocket connection for real-time block updates
- * - Paginated display (20 blocks per page)
+ * - Shared WebSocket subscription for real-time block updates
+ * - Windowed list (components/VirtualList.js) that holds its scroll position
+ *   as new blocks arrive
+ * - Older blocks fetched from the server as you scroll past the live window,
+ *   or from a jump height (`?height=`)
+ * - Algorithm, pool and DigiDollar bundle filters (`?algo=&pool=&bundle=1`)
  * - Responsive design for mobile, tablet, and desktop
- * - Direct links to DigiExplorer block details
+ * - Links to the in-app block detail page (/block/:hash)
  * - Color-coded algorithm identification
+ * - CSV/JSON export of the loaded block list
  * - Taproot signaling status indicators
  * 
  * @component
- * @returns {JSX.Element} Complete blocks page with real-time updates and pagination
+ * @returns {JSX.Element} Complete blocks page with real-time updates and infinite loading
  */
 const BlocksPage = () => {
   // Network context for network-aware data fetching
-  const { wsBaseUrl, isTestnet, theme: networkTheme } = useNetwork();
+  const { isTestnet, theme: networkTheme, getNetworkPath } = useNetwork();
+  const { t } = useLocale();
 
-  // Block data state management
-  const [blocks, setBlocks] = useState([]);
-  const [displayedBlocks, setDisplayedBlocks] = useState([]);
-
-  // Pagination state
-  const [currentPage, setCurrentPage] = useState(0);
-
-  // Loading state
-  const [loading, setLoading] = useState(true);
+  // Filter and jump state, kept in the query string
+  const [query, setQuery] = useQueryParams(BLOCKS_QUERY);
+  const filters = useMemo(
+    () => ({ algo: query.algo, pool: query.pool, bundle: query.bundle }),
+    [query.algo, query.pool, query.bundle]
+  );
 
   // Responsive design hooks
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
-  const isTablet = useMediaQuery(theme.breakpoints.down('md'));
-
-  /**
-   * WebSocket connection effect for real-time block updates
-   * Handles initial data load and real-time new block notifications
-   *
-   * Message types handled:
-   * - 'recentBlocks': Initial load of recent blocks (typically last 20-50 blocks)
-   * - 'newBlock': Real-time updates when new blocks are mined
-   */
-  useEffect(() => {
-    const socket = new WebSocket(wsBaseUrl);
-
-    /**
-     * WebSocket connection opened successfully
-     * Ready to receive block data from the DigiByte network
-     */
-    socket.onopen = () => {
-      console.log('WebSocket connection established for blocks page');
-    };
-
-    /**
-     * Handle incoming WebSocket messages with block data
-     * @param {MessageEvent} event - WebSocket message event
-     */
-    socket.onmessage = (event) => {
-      const message = JSON.parse(event.data);
-
-      if (message.type === 'recentBlocks') {
-        /**
-         * Process initial block data load
-         * Sets complete blocks list and removes loading state
-         */
-        setBlocks(message.data);
-        setLoading(false);
-      } else if (message.type === 'newBlock') {
-        /**
-         * Handle real-time new block updates
-         * Prepends new block to the beginning of the blocks array
-         * Automatically triggers pagination recalculation
-         */
-        setBlocks((prevBlocks) => [message.data, ...prevBlocks]);
-      }
-    };
-
-    /**
-     * Handle WebSocket connection closure
-     * Could implement reconnection logic here if needed
-     */
-    socket.onclose = () => {
-      console.log('WebSocket connection closed - blocks page');
-    };
-
-    /**
-     * Cleanup function to properly close WebSocket connection
-     * Prevents memory leaks when component unmounts
-     */
-    return () => {
-      socket.close();
-    };
-  }, [wsBaseUrl]);
 
-  /**
-   * Pagination effect - updates displayed blocks based on current page
-   * Shows 20 blocks per page with proper slicing of the blocks array
-   */
-  useEffect(() => {
-    const BLOCKS_PER_PAGE = 20;
-    const startIndex = currentPage * BLOCKS_PER_PAGE;
-    const endIndex = startIndex + BLOCKS_PER_PAGE;
-    setDisplayedBlocks(blocks.slice(startIndex, endIndex));
-  }, [blocks, currentPage]);
-
-  /**
-   * Navigate to previous page of blocks
-   * Decrements current page index with boundary checking handled by UI
-   */
-  const handlePrevPage = () => {
-    setCurrentPage((prevPage) => prevPage - 1);
-  };
+  // How many blocks the list wants, for the current filters and height:
+  // a new view starts again from one batch.
+  const viewKey = `${query.algo}|${query.pool}|${query.bundle ? 1 : 0}|${query.height ?? ''}`;
+  const [wanted, setWanted] = useState({ key: viewKey, needed: BLOCKS_BATCH });
+  const needed = wanted.key === viewKey ? wanted.needed : BLOCKS_BATCH;
 
   /**
-   * Navigate to next page of blocks
-   * Increments current page index with boundary checking handled by UI
+   * Live blocks ('recentBlocks' + 'newBlock' over the shared WebSocket) merged
+   * with older blocks from the server, fetched while fewer than `needed`
+   * blocks are loaded.
    */
-  const handleNextPage = () => {
-    setCurrentPage((prevPage) => prevPage + 1);
-  };
+  const {
+    blocks, loading, loadingMore, hasMore, error, retry
+  } = useBlockHistory({
+    filters,
+    startHeight: query.height,
+    needed,
+  });
 
   /**
-   * Handle direct page selection from pagination component
-   * @param {Event} event - Pagination click event
-   * @param {number} value - Selected page number (1-based)
+   * Ask for another batch below the loaded blocks, when scrolling reaches
+   * the end of the list or from the Load older blocks button
    */
-  const handlePageChange = (event, value) => {
-    setCurrentPage(value - 1); // Convert to 0-based indexing
+  const loadOlder = () => {
+    if (!hasMore || loadingMore || error) return;
+    setWanted({ key: viewKey, needed: blocks.length + BLOCKS_BATCH });
   };
 
-  // Calculate total pages for pagination
-  const totalPages = Math.ceil(blocks.length / 20);
-
   return (
     <Box 
       sx={{ 
         py: 4, 
-        backgroundImage: 'linear-gradient(to bottom, #f8f9fa, #ffffff)',
+        backgroundImage: (theme) => theme.palette.background.page,
         minHeight: '100vh'
       }}
     >
       <Container maxWidth="lg">
         <HeroSection isTestnet={isTestnet} networkTheme={networkTheme} />
 
+        <BlockFilters query={query} onChange={setQuery} />
+
         {loading ? (
-          <LoadingCard />
+          <LoadingCard message={t('common.loading')} />
         ) : (
           <>
-            <Grid container spacing={2}>
-              {displayedBlocks.map((block, index) => (
+            <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>
+              <ExportMenu name="blocks" rows={blocks} />
+            </Box>
+            {!blocks.length && !hasMore && !loadingMore && hasBlockFilters(filters) && (
+              <Alert severity="info" sx={{ mb: 2 }}>
+                {t('blocks.noMatches')}
+              </Alert>
+            )}
+            {!blocks.length && loadingMore && (
+              <LoadingCard message={t('blocks.loadingOlder')} />
+            )}
+            <VirtualList
+              aria-label={t('blocks.listLabel')}
+              items={blocks}
+              getKey={blockKey}
+              estimateHeight={isMobile ? 300 : 120}
+              onEndReached={loadOlder}
+              renderItem={(block) => (
                 <BlockCard
-                  key={`${block.hash}-${index}`}
                   block={block}
-                  index={index}
                   isMobile={isMobile}
+                  to={getNetworkPath(`/block/${block.hash}`)}
                 />
-              ))}
-            </Grid>
-
-            <PaginationControls
-              currentPage={currentPage}
-              totalPages={totalPages}
-              onPrevPage={handlePrevPage}
-              onNextPage={handleNextPage}
-              onPageChange={handlePageChange}
-              isMobile={isMobile}
-              isTablet={isTablet}
+              )}
             />
+
+            <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+              {error ? (
+                <Alert
+                  severity="error"
+                  action={<Button color="inherit" size="small" onClick={retry}>{t('blocks.retry')}</Button>}
+                >
+                  {t('blocks.loadOlderError', { error })}
+                </Alert>
+              ) : loadingMore ? (
+                blocks.length > 0 && <CircularProgress size={32} aria-label={t('blocks.loadingOlder')} />
+              ) : hasMore ? (
+                <Button
+                  variant="outlined"
+                  onClick={loadOlder}
+                  sx={{ fontWeight: 'medium', borderRadius: '8px' }}
+                >
+                  {t('blocks.loadOlder')}
+                </Button>
+              ) : blocks.length > 0 && (
+                <Typography variant="body2" color="text.secondary">
+                  {t('blocks.noOlder')}
+                </Typography>
+              )}
+            </Box>
           </>
         )}
       </Container>
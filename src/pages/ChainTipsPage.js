@@ -1,8 +1,9 @@
 import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { useLocation } from 'react-router-dom';
 import {
   Container, Typography, Box, Card, CardContent, Divider, Grid,
   Table, TableContainer, TableHead, TableBody, TableRow, TableCell,
-  Paper, Chip, CircularProgress, Link,
+  Paper, Chip, CircularProgress, Link, useTheme,
 } from '@mui/material';
 import { Chart, registerables } from 'chart.js';
 import AccountTreeIcon from '@mui/icons-material/AccountTree';
@@ -10,8 +11,15 @@ import CallSplitIcon from '@mui/icons-material/CallSplit';
 import HistoryIcon from '@mui/icons-material/History';
 import ShowChartIcon from '@mui/icons-material/ShowChart';
 import { useNetwork } from '../context/NetworkContext';
+import { useLocale } from '../context/LocaleContext';
+import { useWsMessage, useWsStatusChange } from '../hooks/useWsMessage';
 import ForkTreeMap from '../components/ForkTreeMap';
 import ChainTipsExplainer from '../components/ChainTipsExplainer';
+import ForkRiskStrip from '../components/ForkRiskStrip';
+import ExportMenu from '../components/ExportMenu';
+import ChartActions from '../components/ChartActions';
+import { getChartColors } from '../utils/theme';
+import { applyHiddenDatasets, decodeChartState, hiddenDatasetLabels } from '../utils/chartLink';
 
 Chart.register(...registerables);
 
@@ -24,29 +32,22 @@ const STATUS_COLORS = {
   invalid: '#f44336',
 };
 
-// Fork-risk banner states, keyed by the latest forkAlert level.
-const RISK_STATES = {
-  none: { text: 'Network Healthy', color: '#2e7d32', bg: '#e8f5e9', defaultReason: 'Only routine single-block stale tips — DigiByte working as designed.' },
-  elevated: { text: 'Elevated — Competing Branch', color: '#e65100', bg: '#fff3e0', defaultReason: 'A competing branch is being tracked near the chain tip.' },
-  critical: { text: 'Fork Risk', color: '#c62828', bg: '#ffebee', defaultReason: 'A deep competing branch has been detected.' },
-};
-
 const shortHash = (hash) => {
   if (!hash || typeof hash !== 'string') return '—';
   if (hash.length <= 16) return hash;
   return `${hash.slice(0, 8)}…${hash.slice(-4)}`;
 };
 
-const relTime = (ms) => {
+const relTime = (ms, t) => {
   if (!Number.isFinite(ms)) return '—';
   const s = Math.max(0, Math.floor((Date.now() - ms) / 1000));
-  if (s < 60) return `${s}s ago`;
+  if (s < 60) return t('chainTips.secondsAgo', { count: s });
   const m = Math.floor(s / 60);
-  if (m < 60) return `${m}m ago`;
+  if (m < 60) return t('chainTips.minutesAgo', { count: m });
   const h = Math.floor(m / 60);
-  if (h < 24) return `${h}h ago`;
+  if (h < 24) return t('chainTips.hoursAgo', { count: h });
   const d = Math.floor(h / 24);
-  return `${d}d ago`;
+  return t('chainTips.daysAgo', { count: d });
 };
 
 // Bucket the orphan feed into the last 7 local calendar days.
@@ -92,18 +93,24 @@ export const buildDailySeries = (dailyOrphans, days = 30, now = Date.now()) => {
   };
 };
 
+// Catalog key of the average-per-day chip, with or without the tracked days.
+const avgLabelKey = (trackedDays) => {
+  if (!Number.isFinite(trackedDays) || trackedDays <= 0) return 'chainTips.avgPerDay';
+  return trackedDays > 1 ? 'chainTips.avgPerDayTracked' : 'chainTips.avgPerDayTrackedOne';
+};
+
 const KpiTile = ({ label, value, caption, color }) => (
   <Grid item xs={6} sm={3}>
     <Card elevation={2} sx={{ borderRadius: '12px', height: '100%' }}>
       <CardContent sx={{ textAlign: 'center', py: 1.5, '&:last-child': { pb: 1.5 } }}>
-        <Typography variant="caption" sx={{ color: '#8a94a6', fontWeight: 600, letterSpacing: '0.4px', textTransform: 'uppercase', fontSize: '0.68rem' }}>
+        <Typography variant="caption" sx={{ color: 'text.secondary', fontWeight: 600, letterSpacing: '0.4px', textTransform: 'uppercase', fontSize: '0.68rem' }}>
           {label}
         </Typography>
         <Typography variant="h5" fontWeight="800" sx={{ color: color || 'inherit', lineHeight: 1.25 }}>
           {value}
         </Typography>
         {caption && (
-          <Typography variant="caption" sx={{ color: '#a5aebc', display: 'block', fontSize: '0.68rem' }}>
+          <Typography variant="caption" sx={{ color: 'text.disabled', display: 'block', fontSize: '0.68rem' }}>
             {caption}
           </Typography>
         )}
@@ -113,10 +120,12 @@ const KpiTile = ({ label, value, caption, color }) => (
 );
 
 const ChainTipsPage = () => {
+  const { t, formatNumber } = useLocale();
   const network = useNetwork();
-  const { wsBaseUrl, theme: networkTheme, isTestnet } = network;
+  const { theme: networkTheme, isTestnet } = network;
   const primaryColor = networkTheme.primary;
   const secondaryColor = networkTheme.secondary;
+  const chartColors = getChartColors(useTheme());
 
   const [blocks, setBlocks] = useState([]);
   const [currentHeight, setCurrentHeight] = useState(0);
@@ -126,44 +135,43 @@ const ChainTipsPage = () => {
 
   const chartRef = useRef(null);
   const chartInstance = useRef(null);
+  // Series switched off in the legend: from a shared link (?hide=) at first,
+  // then carried across the chart rebuilds that follow each chainTips message.
+  const { search } = useLocation();
+  const hiddenSeries = useRef(null);
+  if (hiddenSeries.current === null) hiddenSeries.current = decodeChartState(search).hidden || [];
 
   const explorerBase = isTestnet ? 'https://testnet.digiexplorer.info' : 'https://digiexplorer.info';
   const explorerUrl = (hash) => `${explorerBase}/block/${hash}`;
 
-  // Live feed over the network WebSocket.
-  useEffect(() => {
-    const socket = new WebSocket(wsBaseUrl);
-    socket.onmessage = (event) => {
-      try {
-        const message = JSON.parse(event.data);
-        if (message.type === 'recentBlocks') {
-          setBlocks(message.data || []);
-          setLoading(false);
-        } else if (message.type === 'newBlock' && message.data) {
-          setBlocks((prev) => {
-            const next = [message.data, ...prev.filter((b) => b.hash !== message.data.hash)];
-            next.sort((a, b) => b.height - a.height);
-            return next.slice(0, 240);
-          });
-          setCurrentHeight((prev) => Math.max(prev, message.data.height || 0));
-        } else if (message.type === 'initialData' && message.data?.blockchainInfo) {
-          setCurrentHeight((prev) => Math.max(prev, message.data.blockchainInfo.blocks || 0));
-        } else if (message.type === 'chainTips' && message.data) {
-          setChainTips(message.data);
-          setLoading(false);
-          if (message.data.active?.height) {
-            setCurrentHeight((prev) => Math.max(prev, message.data.active.height));
-          }
-        } else if (message.type === 'forkAlert' && message.data) {
-          setForkAlert(message.data);
-        }
-      } catch (err) {
-        console.error('ChainTipsPage WS parse error:', err);
+  // Live feed over the network's shared WebSocket.
+  useWsMessage(['recentBlocks', 'newBlock', 'initialData', 'chainTips', 'forkAlert'], (message) => {
+    if (message.type === 'recentBlocks') {
+      setBlocks(message.data || []);
+      setLoading(false);
+    } else if (message.type === 'newBlock' && message.data) {
+      setBlocks((prev) => {
+        const next = [message.data, ...prev.filter((b) => b.hash !== message.data.hash)];
+        next.sort((a, b) => b.height - a.height);
+        return next.slice(0, 240);
+      });
+      setCurrentHeight((prev) => Math.max(prev, message.data.height || 0));
+    } else if (message.type === 'initialData' && message.data?.blockchainInfo) {
+      setCurrentHeight((prev) => Math.max(prev, message.data.blockchainInfo.blocks || 0));
+    } else if (message.type === 'chainTips' && message.data) {
+      setChainTips(message.data);
+      setLoading(false);
+      if (message.data.active?.height) {
+        setCurrentHeight((prev) => Math.max(prev, message.data.active.height));
       }
-    };
-    socket.onerror = () => setLoading(false);
-    return () => socket.close();
-  }, [wsBaseUrl]);
+    } else if (message.type === 'forkAlert' && message.data) {
+      setForkAlert(message.data);
+    }
+  });
+
+  useWsStatusChange((status) => {
+    if (status === 'closed') setLoading(false);
+  });
 
   const tips = chainTips?.tips || [];
   const orphans = chainTips?.orphans || [];
@@ -175,10 +183,6 @@ const ChainTipsPage = () => {
   const orphans24h = chainTips?.orphans24h ?? orphans.length;
   const deepestBranch = chainTips?.maxBranchLen ?? 0;
 
-  const level = forkAlert?.level && RISK_STATES[forkAlert.level] ? forkAlert.level : 'none';
-  const risk = RISK_STATES[level];
-  const riskReason = forkAlert?.reason || risk.defaultReason;
-
   const avgPerDay = chainTips?.avgPerDay;
   const trackedDays = chainTips?.trackedDays;
   const dailySeries = useMemo(
@@ -200,7 +204,7 @@ const ChainTipsPage = () => {
         datasets: [
           {
             type: 'line',
-            label: '7-day average',
+            label: t('chainTips.rollingAverage'),
             data: dailySeries.rollingAvg,
             borderColor: '#c62828',
             backgroundColor: 'transparent',
@@ -211,7 +215,7 @@ const ChainTipsPage = () => {
           },
           {
             type: 'bar',
-            label: 'Orphans/day',
+            label: t('chainTips.orphansPerDay'),
             data: dailySeries.counts,
             backgroundColor: secondaryColor,
             borderRadius: 3,
@@ -224,21 +228,26 @@ const ChainTipsPage = () => {
         responsive: true,
         maintainAspectRatio: false,
         interaction: { mode: 'index', intersect: false },
-        plugins: { legend: { display: true, position: 'top', labels: { boxWidth: 12, usePointStyle: true } } },
+        plugins: {
+          legend: { display: true, position: 'top', labels: { boxWidth: 12, usePointStyle: true, color: chartColors.text } },
+          tooltip: { backgroundColor: chartColors.tooltip, titleColor: chartColors.tooltipText, bodyColor: chartColors.tooltipText },
+        },
         scales: {
-          y: { beginAtZero: true, ticks: { precision: 0 } },
-          x: { grid: { display: false }, ticks: { maxRotation: 0, autoSkip: true, maxTicksLimit: 10 } },
+          y: { beginAtZero: true, ticks: { precision: 0, color: chartColors.text }, grid: { color: chartColors.grid } },
+          x: { grid: { display: false }, ticks: { maxRotation: 0, autoSkip: true, maxTicksLimit: 10, color: chartColors.text } },
         },
       },
     });
+    applyHiddenDatasets(chartInstance.current, hiddenSeries.current);
 
     return () => {
       if (chartInstance.current) {
+        hiddenSeries.current = hiddenDatasetLabels(chartInstance.current);
         chartInstance.current.destroy();
         chartInstance.current = null;
       }
     };
-  }, [loading, dailySeries, secondaryColor]);
+  }, [loading, dailySeries, secondaryColor, chartColors, t]);
 
   const statusChip = (status) => (
     <Chip
@@ -253,10 +262,10 @@ const ChainTipsPage = () => {
   );
 
   return (
-    <Box sx={{ py: 4, backgroundImage: 'linear-gradient(to bottom, #f8f9fa, #ffffff)', minHeight: '100vh' }}>
+    <Box sx={{ py: 4, backgroundImage: (theme) => theme.palette.background.page, minHeight: '100vh' }}>
       <Container maxWidth="lg">
         {/* (a) Hero — compact */}
-        <Card elevation={2} sx={{ backgroundColor: '#f2f4f8', borderRadius: '12px', mb: 3 }}>
+        <Card elevation={2} sx={{ backgroundColor: 'background.subtle', borderRadius: '12px', mb: 3 }}>
           <CardContent sx={{ py: { xs: 2.5, md: 3 }, textAlign: 'center', '&:last-child': { pb: { xs: 2.5, md: 3 } } }}>
             <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', mb: 1 }}>
               <AccountTreeIcon sx={{ fontSize: { xs: '1.8rem', md: '2.2rem' }, color: primaryColor, mr: 1.5 }} />
@@ -267,15 +276,14 @@ const ChainTipsPage = () => {
                 color={primaryColor}
                 sx={{ fontSize: { xs: '1.6rem', md: '2.1rem' } }}
               >
-                Chain Tips & Orphans
+                {t('chainTips.pageTitle')}
               </Typography>
             </Box>
             <Typography variant="subtitle1" sx={{ maxWidth: 720, mx: 'auto', color: '#33475b' }}>
-              A live window into DigiByte's chain tips, stale blocks, and fork risk.
+              {t('chainTips.pageSubtitle')}
             </Typography>
             <Typography variant="body2" sx={{ maxWidth: 720, mx: 'auto', mt: 0.5, color: '#78859a' }}>
-              15s blocks across 5 algos make the occasional single-block stale normal — deep or growing
-              branches are what matter.
+              {t('chainTips.pageNote')}
             </Typography>
           </CardContent>
         </Card>
@@ -287,45 +295,14 @@ const ChainTipsPage = () => {
         ) : (
           <>
             {/* (b) Fork-risk status strip — slim */}
-            <Box
-              sx={{
-                display: 'flex',
-                alignItems: 'center',
-                justifyContent: 'center',
-                flexWrap: 'wrap',
-                gap: { xs: 0.5, sm: 1.5 },
-                borderRadius: '12px',
-                mb: 3,
-                px: 2,
-                py: 1.5,
-                backgroundColor: risk.bg,
-                border: `1px solid ${risk.color}30`,
-              }}
-            >
-              <Box
-                sx={{
-                  width: 12,
-                  height: 12,
-                  borderRadius: '50%',
-                  bgcolor: risk.color,
-                  flexShrink: 0,
-                  boxShadow: `0 0 8px ${risk.color}90`,
-                }}
-              />
-              <Typography variant="h6" fontWeight="800" sx={{ color: risk.color, letterSpacing: '0.3px', lineHeight: 1.3 }}>
-                {risk.text}
-              </Typography>
-              <Typography variant="body2" sx={{ color: '#5a6b7f', textAlign: 'center' }}>
-                {riskReason}
-              </Typography>
-            </Box>
+            <ForkRiskStrip alert={forkAlert} sx={{ mb: 3 }} />
 
             {/* (c) KPI tiles */}
             <Grid container spacing={2} sx={{ mb: 3 }}>
-              <KpiTile label="Active Height" value={activeHeight ? activeHeight.toLocaleString() : '—'} caption="main chain tip" color={primaryColor} />
-              <KpiTile label="Competing Tips" value={competingTips} caption="near the tip" color={competingTips > 0 ? '#e65100' : primaryColor} />
-              <KpiTile label="Orphans (24h)" value={orphans24h} caption="stale blocks seen" color={orphans24h > 0 ? '#e65100' : primaryColor} />
-              <KpiTile label="Deepest Branch" value={deepestBranch} caption="blocks off-chain" color={deepestBranch >= 3 ? '#c62828' : primaryColor} />
+              <KpiTile label={t('chainTips.activeHeight')} value={activeHeight ? formatNumber(activeHeight) : '—'} caption={t('chainTips.activeHeightCaption')} color={primaryColor} />
+              <KpiTile label={t('chainTips.competingTips')} value={competingTips} caption={t('chainTips.competingTipsCaption')} color={competingTips > 0 ? '#e65100' : primaryColor} />
+              <KpiTile label={t('chainTips.orphans24h')} value={orphans24h} caption={t('chainTips.orphans24hCaption')} color={orphans24h > 0 ? '#e65100' : primaryColor} />
+              <KpiTile label={t('chainTips.deepestBranch')} value={deepestBranch} caption={t('chainTips.deepestBranchCaption')} color={deepestBranch >= 3 ? '#c62828' : primaryColor} />
             </Grid>
 
             {/* (d) Main band: live fork-tree map beside the tips/orphans feeds
@@ -342,7 +319,7 @@ const ChainTipsPage = () => {
                   <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                     <AccountTreeIcon sx={{ color: primaryColor }} />
                     <Typography variant="h5" fontWeight="bold" sx={{ color: primaryColor }}>
-                      Live Fork-Tree Map
+                      {t('chainTips.mapTitle')}
                     </Typography>
                   </Box>
                   <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.75 }}>
@@ -351,11 +328,11 @@ const ChainTipsPage = () => {
                       sx={{ width: 9, height: 9, borderRadius: '50%', bgcolor: '#e53935', animation: 'ct-live-pulse 1.4s ease-in-out infinite' }}
                     />
                     <Typography variant="caption" sx={{ fontWeight: 700, color: '#e53935', letterSpacing: '0.5px' }}>
-                      LIVE
+                      {t('chainTips.live')}
                     </Typography>
                     {chainTips?.updatedAt && (
                       <Typography variant="caption" sx={{ color: '#90a4ae' }}>
-                        · updated {relTime(chainTips.updatedAt)}
+                        {t('chainTips.updated', { time: relTime(chainTips.updatedAt, t) })}
                       </Typography>
                     )}
                   </Box>
@@ -377,24 +354,25 @@ const ChainTipsPage = () => {
                 <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
                   <CallSplitIcon sx={{ color: primaryColor }} />
                   <Typography variant="h5" fontWeight="bold" sx={{ color: primaryColor }}>
-                    Current Chain Tips
+                    {t('chainTips.tipsTitle')}
                   </Typography>
+                  <ExportMenu name="chain-tips" rows={tips} color={primaryColor} sx={{ ml: 'auto' }} />
                 </Box>
-                <TableContainer component={Paper} elevation={0} sx={{ border: '1px solid #e0e0e0' }}>
+                <TableContainer component={Paper} elevation={0} sx={{ border: '1px solid', borderColor: 'divider' }}>
                   <Table size="small">
                     <TableHead sx={{ backgroundColor: `${primaryColor}12` }}>
                       <TableRow>
-                        <TableCell><strong>Status</strong></TableCell>
-                        <TableCell align="right"><strong>Height</strong></TableCell>
-                        <TableCell align="right"><strong>Branch Len</strong></TableCell>
-                        <TableCell><strong>Hash</strong></TableCell>
+                        <TableCell><strong>{t('chainTips.status')}</strong></TableCell>
+                        <TableCell align="right"><strong>{t('chainTips.height')}</strong></TableCell>
+                        <TableCell align="right"><strong>{t('chainTips.branchLen')}</strong></TableCell>
+                        <TableCell><strong>{t('chainTips.hash')}</strong></TableCell>
                       </TableRow>
                     </TableHead>
                     <TableBody>
                       {tips.map((tip, i) => (
                         <TableRow key={tip.hash || `tip-${i}`} hover>
                           <TableCell>{statusChip(tip.status)}</TableCell>
-                          <TableCell align="right">{(tip.height ?? 0).toLocaleString()}</TableCell>
+                          <TableCell align="right">{formatNumber(tip.height ?? 0)}</TableCell>
                           <TableCell align="right">{tip.branchlen ?? 0}</TableCell>
                           <TableCell>
                             <Link
@@ -411,7 +389,7 @@ const ChainTipsPage = () => {
                       {tips.length === 0 && (
                         <TableRow>
                           <TableCell colSpan={4} align="center">
-                            Only the active tip — no competing branches right now.
+                            {t('chainTips.noCompeting')}
                           </TableCell>
                         </TableRow>
                       )}
@@ -427,34 +405,35 @@ const ChainTipsPage = () => {
                 <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
                   <HistoryIcon sx={{ color: primaryColor }} />
                   <Typography variant="h5" fontWeight="bold" sx={{ color: primaryColor }}>
-                    Recent Orphans (last 24h)
+                    {t('chainTips.orphansTitle')}
                   </Typography>
+                  <ExportMenu name="orphans" rows={orphans} color={primaryColor} sx={{ ml: 'auto' }} />
                 </Box>
                 {orphans.length === 0 ? (
                   <Typography variant="body1" sx={{ color: '#777', textAlign: 'center', py: 3 }}>
-                    No orphaned blocks in the last 24 hours.
+                    {t('chainTips.noOrphans')}
                   </Typography>
                 ) : (
                   <TableContainer
                     component={Paper}
                     elevation={0}
-                    sx={{ border: '1px solid #e0e0e0', maxHeight: { xs: 320, md: 380 } }}
+                    sx={{ border: '1px solid', borderColor: 'divider', maxHeight: { xs: 320, md: 380 } }}
                   >
                     <Table size="small" stickyHeader>
                       <TableHead>
                         <TableRow>
-                          <TableCell align="right" sx={{ backgroundColor: '#eef2f8' }}><strong>Height</strong></TableCell>
-                          <TableCell sx={{ backgroundColor: '#eef2f8' }}><strong>Hash</strong></TableCell>
-                          <TableCell sx={{ backgroundColor: '#eef2f8', display: { xs: 'none', sm: 'table-cell' } }}><strong>Algo</strong></TableCell>
-                          <TableCell sx={{ backgroundColor: '#eef2f8', display: { xs: 'none', sm: 'table-cell' } }}><strong>Pool</strong></TableCell>
-                          <TableCell align="right" sx={{ backgroundColor: '#eef2f8' }}><strong>Branch</strong></TableCell>
-                          <TableCell align="right" sx={{ backgroundColor: '#eef2f8' }}><strong>Seen</strong></TableCell>
+                          <TableCell align="right" sx={{ backgroundColor: '#eef2f8' }}><strong>{t('chainTips.height')}</strong></TableCell>
+                          <TableCell sx={{ backgroundColor: '#eef2f8' }}><strong>{t('chainTips.hash')}</strong></TableCell>
+                          <TableCell sx={{ backgroundColor: '#eef2f8', display: { xs: 'none', sm: 'table-cell' } }}><strong>{t('chainTips.algo')}</strong></TableCell>
+                          <TableCell sx={{ backgroundColor: '#eef2f8', display: { xs: 'none', sm: 'table-cell' } }}><strong>{t('chainTips.pool')}</strong></TableCell>
+                          <TableCell align="right" sx={{ backgroundColor: '#eef2f8' }}><strong>{t('chainTips.branch')}</strong></TableCell>
+                          <TableCell align="right" sx={{ backgroundColor: '#eef2f8' }}><strong>{t('chainTips.seen')}</strong></TableCell>
                         </TableRow>
                       </TableHead>
                       <TableBody>
                         {orphans.map((o, i) => (
                           <TableRow key={o.hash || `orphan-${i}`} hover>
-                            <TableCell align="right">{(o.height ?? 0).toLocaleString()}</TableCell>
+                            <TableCell align="right">{formatNumber(o.height ?? 0)}</TableCell>
                             <TableCell>
                               <Link
                                 href={explorerUrl(o.hash)}
@@ -468,7 +447,7 @@ const ChainTipsPage = () => {
                             <TableCell sx={{ display: { xs: 'none', sm: 'table-cell' } }}>{o.algo || '—'}</TableCell>
                             <TableCell sx={{ display: { xs: 'none', sm: 'table-cell' } }}>{o.pool || '—'}</TableCell>
                             <TableCell align="right">{o.branchlen ?? 1}</TableCell>
-                            <TableCell align="right">{relTime(o.firstSeen)}</TableCell>
+                            <TableCell align="right">{relTime(o.firstSeen, t)}</TableCell>
                           </TableRow>
                         ))}
                       </TableBody>
@@ -481,21 +460,33 @@ const ChainTipsPage = () => {
             </Grid>
 
             {/* (g) Orphans-per-day history chart (30 days + rolling average) */}
-            <Card elevation={3} sx={{ borderRadius: '12px', mb: 3, borderTop: `4px solid ${primaryColor}` }}>
+            <Card id="orphans-chart" elevation={3} sx={{ borderRadius: '12px', mb: 3, borderTop: `4px solid ${primaryColor}`, scrollMarginTop: 80 }}>
               <CardContent>
                 <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: 1, mb: 2 }}>
                   <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                     <ShowChartIcon sx={{ color: primaryColor }} />
                     <Typography variant="h5" fontWeight="bold" sx={{ color: primaryColor }}>
-                      Orphans per Day (30 days)
+                      {t('chainTips.chartTitle')}
                     </Typography>
                   </Box>
-                  {Number.isFinite(avgPerDay) && (
-                    <Chip
-                      label={`Avg ${avgPerDay.toFixed(1)} / day${Number.isFinite(trackedDays) && trackedDays > 0 ? ` · ${trackedDays} day${trackedDays > 1 ? 's' : ''} tracked` : ''}`}
-                      sx={{ fontWeight: 700, color: primaryColor, bgcolor: `${primaryColor}15`, border: `1px solid ${primaryColor}40` }}
+                  <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1 }}>
+                    {Number.isFinite(avgPerDay) && (
+                      <Chip
+                        label={t(avgLabelKey(trackedDays), {
+                          avg: formatNumber(avgPerDay, { minimumFractionDigits: 1, maximumFractionDigits: 1 }),
+                          days: trackedDays,
+                        })}
+                        sx={{ fontWeight: 700, color: primaryColor, bgcolor: `${primaryColor}15`, border: `1px solid ${primaryColor}40` }}
+                      />
+                    )}
+                    <ChartActions
+                      id="orphans-chart"
+                      name="orphans-per-day"
+                      target={chartRef}
+                      linkState={() => ({ hidden: hiddenDatasetLabels(chartInstance.current) })}
+                      color={primaryColor}
                     />
-                  )}
+                  </Box>
                 </Box>
                 <Box sx={{ height: 240, position: 'relative' }}>
                   <canvas ref={chartRef} style={{ width: '100%', height: '100%' }} />
@@ -10,9 +10,10 @@ import LockIcon from '@mui/icons-material/Lock';
 import PlayArrowIcon from '@mui/icons-material/PlayArrow';
 import ErrorOutlineIcon from '@mui/icons-material/ErrorOutline';
 import { useNetwork } from '../context/NetworkContext';
+import { useLocale } from '../context/LocaleContext';
+import { useWsMessage, useWsStatusChange } from '../hooks/useWsMessage';
 import IntegrationGuides from '../components/IntegrationGuides';
 import ActivationCelebration from '../components/ActivationCelebration';
-import config from '../config';
 import {
   lockInActivationHeight,
   blocksRemaining,
@@ -61,6 +62,7 @@ function ActivationCountdown({
   secondaryColor,
   activated = false,
 }) {
+  const { formatNumber } = useLocale();
   // Once ACTIVE the countdown pins to zero permanently.
   const effectiveBlocksLeft = activated ? 0 : blocksLeft;
   const [secondsLeft, setSecondsLeft] = useState(() => (effectiveBlocksLeft || 0) * BLOCK_SPACING_SECONDS);
@@ -145,14 +147,14 @@ function ActivationCountdown({
           {activated ? (
             <>
               🎉 Activated at block{' '}
-              <strong>{activationHeight != null ? activationHeight.toLocaleString() : '…'}</strong> 🎉
+              <strong>{activationHeight != null ? formatNumber(activationHeight) : '…'}</strong> 🎉
             </>
           ) : (
             <>
               Activates at block{' '}
-              <strong>{activationHeight != null ? activationHeight.toLocaleString() : '…'}</strong>
+              <strong>{activationHeight != null ? formatNumber(activationHeight) : '…'}</strong>
               {blocksLeft != null && (
-                <> &nbsp;·&nbsp; {blocksLeft.toLocaleString()} blocks to go &nbsp;·&nbsp; ~15s per block</>
+                <> &nbsp;·&nbsp; {formatNumber(blocksLeft)} blocks to go &nbsp;·&nbsp; ~15s per block</>
               )}
             </>
           )}
@@ -184,11 +186,13 @@ function ActivationCountdown({
  *
  * Tracks the BIP9 soft fork activation lifecycle for DigiDollar through
  * BIP9 states: DEFINED -> STARTED -> LOCKED_IN -> ACTIVE, plus FAILED.
- * Receives real-time data via WebSocket from getdigidollardeploymentinfo RPC.
+ * Receives real-time data via the network's shared WebSocket from the
+ * getdigidollardeploymentinfo RPC.
  */
 const DDActivationPage = () => {
   const network = useNetwork();
-  const { wsBaseUrl, theme: networkTheme, digiDollarLabel, displayName, apiPrefix } = network;
+  const { formatNumber } = useLocale();
+  const { theme: networkTheme, digiDollarLabel, displayName, getApiUrl } = network;
   const params = network.activation;
   const primaryColor = networkTheme.primary;
   const secondaryColor = networkTheme.secondary;
@@ -215,86 +219,48 @@ const DDActivationPage = () => {
   // ddDeploymentData message remains the fallback for older servers.
   const [officialDD, setOfficialDD] = useState(null);
 
-  useEffect(() => {
-    let isMounted = true;
-    let receivedDeploymentData = false;
-    let fallbackTimer;
-
-    const finishLoading = () => {
-      if (isMounted) {
-        setLoading(false);
-      }
-    };
-
-    const socket = new WebSocket(wsBaseUrl);
-
-    socket.onopen = () => {
-      console.log('WebSocket connected for DD Activation page');
-    };
+  // Live feed over the network's shared WebSocket. Loading ends on the first
+  // ddDeploymentData message, when the connection closes, or after 5s.
+  useWsMessage(['ddDeploymentData', 'initialData', 'recentBlocks', 'newBlock'], (message) => {
+    if (message.type === 'ddDeploymentData') {
+      setDeploymentInfo(message.data);
+      setLoading(false);
+    }
 
-    socket.onmessage = (event) => {
-      try {
-        const message = JSON.parse(event.data);
-
-        if (message.type === 'ddDeploymentData') {
-          receivedDeploymentData = true;
-          clearTimeout(fallbackTimer);
-          setDeploymentInfo(message.data);
-          finishLoading();
-        }
-
-        if (message.type === 'initialData') {
-          if (message.data.blockchainInfo) {
-            setCurrentHeight(message.data.blockchainInfo.blocks);
-          }
-        }
-
-        if (message.type === 'recentBlocks' && Array.isArray(message.data)) {
-          // Full block objects feed the Oracle Bundle Adoption section
-          setObservedBlocks(message.data.filter((b) => b && b.hash));
-        }
-
-        if (message.type === 'newBlock') {
-          setCurrentHeight(prev => Math.max(prev, message.data.height || prev + 1));
-          const block = message.data;
-          if (block && block.hash) {
-            setObservedBlocks(prev => (
-              prev.some(b => b.hash === block.hash) ? prev : [block, ...prev].slice(0, 240)
-            ));
-          }
-        }
-      } catch (error) {
-        console.error('Error parsing WebSocket message:', error);
+    if (message.type === 'initialData') {
+      if (message.data.blockchainInfo) {
+        setCurrentHeight(message.data.blockchainInfo.blocks);
       }
-    };
+    }
 
-    socket.onerror = () => {
-      finishLoading();
-    };
+    if (message.type === 'recentBlocks' && Array.isArray(message.data)) {
+      // Full block objects feed the Oracle Bundle Adoption section
+      setObservedBlocks(message.data.filter((b) => b && b.hash));
+    }
 
-    socket.onclose = () => {
-      if (!receivedDeploymentData) {
-        finishLoading();
+    if (message.type === 'newBlock') {
+      setCurrentHeight(prev => Math.max(prev, message.data.height || prev + 1));
+      const block = message.data;
+      if (block && block.hash) {
+        setObservedBlocks(prev => (
+          prev.some(b => b.hash === block.hash) ? prev : [block, ...prev].slice(0, 240)
+        ));
       }
-    };
+    }
+  });
 
-    fallbackTimer = setTimeout(() => {
-      if (!receivedDeploymentData) {
-        finishLoading();
-      }
-    }, 5000);
+  useWsStatusChange((status) => {
+    if (status === 'closed') setLoading(false);
+  });
 
-    return () => {
-      isMounted = false;
-      clearTimeout(fallbackTimer);
-      socket.close();
-    };
-  }, [wsBaseUrl]);
+  useEffect(() => {
+    const fallbackTimer = setTimeout(() => setLoading(false), 5000);
+    return () => clearTimeout(fallbackTimer);
+  }, []);
 
   const fetchOfficial = useCallback(async () => {
     try {
-      const base = `${config.apiBaseUrl}/api${apiPrefix || ''}`;
-      const res = await fetch(`${base}/getdeploymentinfo`);
+      const res = await fetch(getApiUrl('/getdeploymentinfo'));
       if (res.ok) {
         const dep = await res.json();
         setOfficialDD(dep?.deployments?.digidollar || null);
@@ -304,7 +270,7 @@ const DDActivationPage = () => {
     } catch (err) {
       console.error('DDActivation getdeploymentinfo error:', err);
     }
-  }, [apiPrefix]);
+  }, [getApiUrl]);
 
   useEffect(() => {
     fetchOfficial();
@@ -469,7 +435,7 @@ const DDActivationPage = () => {
 
         <Divider sx={{ maxWidth: '150px', mx: 'auto', mb: 2, borderColor: secondaryColor, borderWidth: 2 }} />
 
-        <Typography variant="body1" sx={{ maxWidth: '800px', mx: 'auto', color: '#555' }}>
+        <Typography variant="body1" sx={{ maxWidth: '800px', mx: 'auto', color: 'text.secondary' }}>
           Track the activation progress of DigiDollar through the BIP9 miner signaling process.
           {' '}{params.description}
         </Typography>
@@ -553,7 +519,7 @@ const DDActivationPage = () => {
               variant="h3"
               sx={{ color: primaryColor, fontWeight: 'bold' }}
             >
-              {currentHeight > 0 ? currentHeight.toLocaleString() : '...'}
+              {currentHeight > 0 ? formatNumber(currentHeight) : '...'}
             </Typography>
             {currentHeight > 0 && (
               <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
@@ -592,8 +558,9 @@ const DDActivationPage = () => {
                   textAlign: 'center',
                   height: '100%',
                   borderRadius: '12px',
-                  border: isCurrentStage ? `3px solid ${stageColor}` : '1px solid #e0e0e0',
-                  backgroundColor: isCurrentStage ? `${stageColor}15` : isPastStage ? '#f5f5f5' : 'white',
+                  border: isCurrentStage ? '3px solid' : '1px solid',
+                  borderColor: isCurrentStage ? stageColor : 'divider',
+                  backgroundColor: isCurrentStage ? `${stageColor}15` : isPastStage ? 'background.subtle' : 'background.paper',
                   opacity: isPastStage && !isCurrentStage ? 0.7 : 1,
                   transition: 'all 0.3s ease'
                 }}
@@ -621,7 +588,7 @@ const DDActivationPage = () => {
                 >
                   {stage.label}
                 </Typography>
-                <Typography variant="caption" sx={{ display: 'block', color: '#666', mb: 1 }}>
+                <Typography variant="caption" sx={{ display: 'block', color: 'text.secondary', mb: 1 }}>
                   {/^\d/.test(String(stage.blocks)) ? `Blocks ${stage.blocks}` : stage.blocks}
                 </Typography>
                 <Typography variant="body2" color="text.secondary">
@@ -697,11 +664,11 @@ const DDActivationPage = () => {
           </Box>
           <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 1 }}>
             <Typography variant="body2" color="text.secondary">
-              {signalingBlocks.toLocaleString()} / {periodBlocks.toLocaleString()} blocks signaling
-              {elapsedBlocks != null ? ` (${elapsedBlocks.toLocaleString()} elapsed in window)` : ''}
+              {formatNumber(signalingBlocks)} / {formatNumber(periodBlocks)} blocks signaling
+              {elapsedBlocks != null ? ` (${formatNumber(elapsedBlocks)} elapsed in window)` : ''}
             </Typography>
             <Typography variant="body2" color="text.secondary">
-              Need {thresholdBlocks.toLocaleString()} for lock-in
+              Need {formatNumber(thresholdBlocks)} for lock-in
             </Typography>
           </Box>
         </Box>
@@ -712,11 +679,11 @@ const DDActivationPage = () => {
         <Alert severity="warning" sx={{ mt: 3 }}>
           <Typography variant="body1">
             <strong>Lock-in is no longer possible in this window.</strong>{' '}
-            {signalingBlocks.toLocaleString()} of {(elapsedBlocks ?? 0).toLocaleString()} elapsed blocks
+            {formatNumber(signalingBlocks)} of {formatNumber(elapsedBlocks ?? 0)} elapsed blocks
             have signalled — even if every remaining block signals, the{' '}
-            {thresholdBlocks.toLocaleString()}-block threshold is out of reach. The count resets at
-            block <strong>{nextWindowStart.toLocaleString()}</strong>{' '}
-            ({nextWindowBlocks?.toLocaleString()} blocks, {fmtEta(nextWindowBlocks)}).
+            {formatNumber(thresholdBlocks)}-block threshold is out of reach. The count resets at
+            block <strong>{formatNumber(nextWindowStart)}</strong>{' '}
+            ({formatNumber(nextWindowBlocks)} blocks, {fmtEta(nextWindowBlocks)}).
           </Typography>
         </Alert>
       )}
@@ -725,10 +692,10 @@ const DDActivationPage = () => {
       {status === 'locked_in' && (
         <Alert severity="info" sx={{ mt: 3 }} icon={<LockIcon />}>
           <Typography variant="body1">
-            <strong>DigiDollar activation is locked in!</strong> It will activate at block {activationHeight != null ? activationHeight.toLocaleString() : '…'}
-            {activationBlocksLeft != null && ` (${activationBlocksLeft.toLocaleString()} blocks remaining, ${fmtEta(activationBlocksLeft)}).`}
+            <strong>DigiDollar activation is locked in!</strong> It will activate at block {activationHeight != null ? formatNumber(activationHeight) : '…'}
+            {activationBlocksLeft != null && ` (${formatNumber(activationBlocksLeft)} blocks remaining, ${fmtEta(activationBlocksLeft)}).`}
             {activationHeight != null && activationHeight !== minActivationHeight && (
-              <> Block {minActivationHeight.toLocaleString()} is only the earliest permitted height; activation lands on the next BIP9 retarget boundary.</>
+              <> Block {formatNumber(minActivationHeight)} is only the earliest permitted height; activation lands on the next BIP9 retarget boundary.</>
             )}
           </Typography>
         </Alert>
@@ -739,7 +706,7 @@ const DDActivationPage = () => {
         <Alert severity="success" sx={{ mt: 3 }} icon={<CheckCircleIcon />}>
           <Typography variant="body1">
             <strong>DigiDollar is active!</strong> Minting, sending, and redeeming are fully functional.
-            {deploymentInfo.activation_height && ` Activated at block ${deploymentInfo.activation_height.toLocaleString()}.`}
+            {deploymentInfo.activation_height && ` Activated at block ${formatNumber(deploymentInfo.activation_height)}.`}
           </Typography>
         </Alert>
       )}
@@ -767,7 +734,7 @@ const DDActivationPage = () => {
             sx={{ backgroundColor: '#e8f5e9', color: '#2e7d32', fontWeight: 'bold', '& .MuiChip-icon': { color: '#2e7d32' } }}
           />
         </Box>
-        <Typography variant="body2" sx={{ mb: 2, color: '#555' }}>
+        <Typography variant="body2" sx={{ mb: 2, color: 'text.secondary' }}>
           A block carrying a <strong>DigiDollar Bundle</strong> (the OP_RETURN OP_ORACLE coinbase
           output with the MuSig2-signed DGB/USD price) is definitive proof its pool runs a fully
           upgraded node with a live oracle session. Pools below without bundles are the outreach
@@ -790,7 +757,7 @@ const DDActivationPage = () => {
           <Grid item xs={6} sm={3}>
             <Typography variant="body2" color="#777">Latest bundle height</Typography>
             <Typography variant="h6" fontWeight="bold">
-              {oracleAdoption.latestBundle ? oracleAdoption.latestBundle.height.toLocaleString() : '—'}
+              {oracleAdoption.latestBundle ? formatNumber(oracleAdoption.latestBundle.height) : '—'}
             </Typography>
           </Grid>
           <Grid item xs={6} sm={3}>
@@ -813,8 +780,9 @@ const DDActivationPage = () => {
               sx={{
                 display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1,
                 py: 1, px: 1.5, mb: 0.75, borderRadius: '8px',
-                backgroundColor: pool.status === 'publishing' ? 'rgba(46, 125, 50, 0.07)' : '#fafafa',
-                border: pool.status === 'publishing' ? '1px solid rgba(46, 125, 50, 0.35)' : '1px solid #eee',
+                backgroundColor: pool.status === 'publishing' ? 'rgba(46, 125, 50, 0.07)' : 'background.subtle',
+                border: '1px solid',
+                borderColor: pool.status === 'publishing' ? 'rgba(46, 125, 50, 0.35)' : 'divider',
               }}
             >
               <Typography variant="body1" fontWeight="bold" sx={{ mr: 1 }}>
@@ -846,7 +814,7 @@ const DDActivationPage = () => {
 
       <Grid container spacing={3} sx={{ mb: 3 }}>
         <Grid item xs={12} md={6}>
-          <Paper elevation={1} sx={{ p: 2, backgroundColor: '#f8f9fa', borderRadius: '8px' }}>
+          <Paper elevation={1} sx={{ p: 2, backgroundColor: 'background.subtle', borderRadius: '8px' }}>
             <Typography variant="subtitle2" fontWeight="bold" sx={{ mb: 1 }}>
               The 5 BIP9 States:
             </Typography>
@@ -859,7 +827,7 @@ const DDActivationPage = () => {
                 Think of it like miners voting &ldquo;yes&rdquo; for DigiDollar.
               </Typography>
               <Typography component="li" variant="body2" sx={{ mb: 1 }}>
-                <strong>LOCKED_IN</strong> &mdash; At least {params.thresholdBlocks.toLocaleString()} of {params.activationWindow.toLocaleString()} blocks ({params.activationThreshold}%) signaled support.
+                <strong>LOCKED_IN</strong> &mdash; At least {formatNumber(params.thresholdBlocks)} of {formatNumber(params.activationWindow)} blocks ({params.activationThreshold}%) signaled support.
                 Activation is guaranteed. No going back.
               </Typography>
               <Typography component="li" variant="body2">
@@ -872,7 +840,7 @@ const DDActivationPage = () => {
           </Paper>
         </Grid>
         <Grid item xs={12} md={6}>
-          <Paper elevation={1} sx={{ p: 2, backgroundColor: '#f8f9fa', borderRadius: '8px' }}>
+          <Paper elevation={1} sx={{ p: 2, backgroundColor: 'background.subtle', borderRadius: '8px' }}>
             <Typography variant="subtitle2" fontWeight="bold" sx={{ mb: 1 }}>
               Why Does This Matter?
             </Typography>
@@ -902,15 +870,15 @@ const DDActivationPage = () => {
 
       <Grid container spacing={3}>
         <Grid item xs={12} md={6}>
-          <Paper elevation={1} sx={{ p: 2, backgroundColor: '#f8f9fa', borderRadius: '8px' }}>
+          <Paper elevation={1} sx={{ p: 2, backgroundColor: 'background.subtle', borderRadius: '8px' }}>
             <Typography variant="subtitle2" fontWeight="bold" sx={{ mb: 2 }}>
               BIP9 Configuration
             </Typography>
             {[
               { label: 'Signaling Bit', value: params.bit },
-              { label: 'Activation Window', value: `${params.activationWindow.toLocaleString()} blocks` },
-              { label: 'Required Threshold', value: `${params.thresholdBlocks.toLocaleString()} blocks (${params.activationThreshold}%)` },
-              { label: params.minActivationLabel, value: params.minActivationHeight.toLocaleString() },
+              { label: 'Activation Window', value: `${formatNumber(params.activationWindow)} blocks` },
+              { label: 'Required Threshold', value: `${formatNumber(params.thresholdBlocks)} blocks (${params.activationThreshold}%)` },
+              { label: params.minActivationLabel, value: formatNumber(params.minActivationHeight) },
             ].map(({ label, value }) => (
               <Box key={label} sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
                 <Typography variant="body2" color="text.secondary">{label}:</Typography>
@@ -920,20 +888,20 @@ const DDActivationPage = () => {
           </Paper>
         </Grid>
         <Grid item xs={12} md={6}>
-          <Paper elevation={1} sx={{ p: 2, backgroundColor: '#f8f9fa', borderRadius: '8px' }}>
+          <Paper elevation={1} sx={{ p: 2, backgroundColor: 'background.subtle', borderRadius: '8px' }}>
             <Typography variant="subtitle2" fontWeight="bold" sx={{ mb: 2 }}>
               Current Status
             </Typography>
             {[
               { label: 'Status', value: status.toUpperCase().replace('_', ' ') },
-              { label: 'Current Block', value: currentHeight > 0 ? currentHeight.toLocaleString() : 'Loading...' },
+              { label: 'Current Block', value: currentHeight > 0 ? formatNumber(currentHeight) : 'Loading...' },
               // Signalling-era live stats only make sense before ACTIVE; once
               // active, show when it happened instead.
               ...(isActive
-                ? [{ label: 'Activated At Block', value: activatedAtHeight != null ? activatedAtHeight.toLocaleString() : '—' }]
+                ? [{ label: 'Activated At Block', value: activatedAtHeight != null ? formatNumber(activatedAtHeight) : '—' }]
                 : [
-                  { label: 'Window Progress', value: currentHeight > 0 ? `${blocksIntoWindow.toLocaleString()} / ${periodBlocks.toLocaleString()}` : 'Loading...' },
-                  { label: 'Signaling Blocks', value: signalingBlocks != null ? signalingBlocks.toLocaleString() : '--' },
+                  { label: 'Window Progress', value: currentHeight > 0 ? `${formatNumber(blocksIntoWindow)} / ${formatNumber(periodBlocks)}` : 'Loading...' },
+                  { label: 'Signaling Blocks', value: signalingBlocks != null ? formatNumber(signalingBlocks) : '--' },
                   { label: 'Lock-in Possible This Window', value: lockInPossible == null ? '--' : (lockInPossible ? 'Yes' : 'No') },
                 ]),
             ].map(({ label, value }) => (
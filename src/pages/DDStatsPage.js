@@ -4,19 +4,19 @@ import {
   Divider, Chip, LinearProgress, Paper, Alert, Tooltip,
   Button
 } from '@mui/material';
-import LockIcon from '@mui/icons-material/Lock';
-import TrendingUpIcon from '@mui/icons-material/TrendingUp';
+import { alpha } from '@mui/material/styles';
 import HealthAndSafetyIcon from '@mui/icons-material/HealthAndSafety';
 import WarningIcon from '@mui/icons-material/Warning';
 import CheckCircleIcon from '@mui/icons-material/CheckCircle';
 import ErrorIcon from '@mui/icons-material/Error';
-import AccountBalanceIcon from '@mui/icons-material/AccountBalance';
 import ShowChartIcon from '@mui/icons-material/ShowChart';
 import SecurityIcon from '@mui/icons-material/Security';
-import SpeedIcon from '@mui/icons-material/Speed';
 import { Link as RouterLink } from 'react-router-dom';
 import { useNetwork } from '../context/NetworkContext';
+import { useLocale } from '../context/LocaleContext';
+import { useWsMessage, useWsStatusChange } from '../hooks/useWsMessage';
 import IntegrationGuides from '../components/IntegrationGuides';
+import DDQuickStats, { formatDD, getHealthColor } from '../components/DDQuickStats';
 
 // Empty initial state - no mock data
 const EMPTY_DD_STATS = {
@@ -49,11 +49,12 @@ const EMPTY_DD_STATS = {
  * - System health and collateralization ratio
  * - DCA and ERR tier status
  * - Oracle price information
- * Receives data via WebSocket push from the backend.
+ * Receives data via the network's shared WebSocket push from the backend.
  */
 const DDStatsPage = () => {
+  const { formatNumber, formatDate, locale } = useLocale();
   const network = useNetwork();
-  const { theme: networkTheme, wsBaseUrl, digiDollarLabel } = network;
+  const { theme: networkTheme, digiDollarLabel } = network;
   const release = network.digiDollarRelease;
   const primaryColor = networkTheme.primary;
   const secondaryColor = networkTheme.secondary;
@@ -66,64 +67,45 @@ const DDStatsPage = () => {
   const [oracleCount, setOracleCount] = useState(0); // Track active oracles separately
   const [ddDeploymentStatus, setDdDeploymentStatus] = useState(null);
 
-  // WebSocket connection for real-time DD stats data
-  useEffect(() => {
-    const socket = new WebSocket(wsBaseUrl);
-
-    socket.onopen = () => {
-      console.log('WebSocket connection established for DD stats page');
-    };
-
-    socket.onmessage = (event) => {
-      try {
-        const message = JSON.parse(event.data);
-        if (message.type === 'ddDeploymentData') {
-          setDdDeploymentStatus(message.data.status);
-        }
-        if (message.type === 'ddStatsData') {
-          const { stats: statsData, oraclePrice: oraclePriceData } = message.data;
-
-          // Map response to expected format
-          setDdStats({
-            health_percentage: statsData.health_percentage || 0,
-            health_status: statsData.health_status || 'unavailable',
-            total_collateral_dgb: (statsData.total_collateral_dgb || 0),
-            total_dd_supply: statsData.total_dd_supply || 0,
-            oracle_price_micro_usd: statsData.oracle_price_micro_usd || 0,
-            oracle_price_cents: statsData.oracle_price_cents || 0,
-            is_emergency: statsData.is_emergency || false,
-            active_positions: statsData.active_positions || 0,
-            dca_tier: statsData.dca_tier || EMPTY_DD_STATS.dca_tier,
-            err_tier: statsData.err_tier || EMPTY_DD_STATS.err_tier
-          });
-
-          // Get network oracle count from oraclePrice
-          if (oraclePriceData) {
-            setOracleCount(oraclePriceData.oracle_count || 0);
-          }
-
-          setLastUpdated(new Date());
-          setLoading(false);
-          setError(null);
-        }
-      } catch (err) {
-        console.error('Error processing DD stats WebSocket message:', err);
+  // Real-time DD stats data over the network's shared WebSocket
+  useWsMessage(['ddDeploymentData', 'ddStatsData'], (message) => {
+    if (message.type === 'ddDeploymentData') {
+      setDdDeploymentStatus(message.data.status);
+    }
+    if (message.type === 'ddStatsData') {
+      const { stats: statsData, oraclePrice: oraclePriceData } = message.data;
+
+      // Map response to expected format
+      setDdStats({
+        health_percentage: statsData.health_percentage || 0,
+        health_status: statsData.health_status || 'unavailable',
+        total_collateral_dgb: (statsData.total_collateral_dgb || 0),
+        total_dd_supply: statsData.total_dd_supply || 0,
+        oracle_price_micro_usd: statsData.oracle_price_micro_usd || 0,
+        oracle_price_cents: statsData.oracle_price_cents || 0,
+        is_emergency: statsData.is_emergency || false,
+        active_positions: statsData.active_positions || 0,
+        dca_tier: statsData.dca_tier || EMPTY_DD_STATS.dca_tier,
+        err_tier: statsData.err_tier || EMPTY_DD_STATS.err_tier
+      });
+
+      // Get network oracle count from oraclePrice
+      if (oraclePriceData) {
+        setOracleCount(oraclePriceData.oracle_count || 0);
       }
-    };
 
-    socket.onerror = () => {
-      setError('Unable to connect to DigiDollar stats feed. Network may be unavailable.');
+      setLastUpdated(new Date());
       setLoading(false);
-    };
-
-    socket.onclose = (event) => {
-      if (event.code !== 1000) {
-        console.log('DD stats WebSocket connection closed, code:', event.code);
-      }
-    };
+      setError(null);
+    }
+  });
 
-    return () => socket.close();
-  }, [wsBaseUrl]);
+  useWsStatusChange((status) => {
+    if (status === 'closed') {
+      setError('Unable to connect to DigiDollar stats feed. Network may be unavailable.');
+      setLoading(false);
+    }
+  });
 
   // Authoritative REST poll of the getdeploymentinfo RPC (mirrors DDActivationPage).
   // The WebSocket ddDeploymentData message can silently never arrive, which would
@@ -153,12 +135,7 @@ const DDStatsPage = () => {
   // Format helpers - show "Not Reporting" when no data
   const formatDGB = (amount) => {
     if (!amount || amount === 0) return 'Not Reporting';
-    return amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) + ' DGB';
-  };
-
-  const formatDD = (cents) => {
-    if (!cents || cents === 0) return 'Not Reporting';
-    return '$' + (cents / 100).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) + ' DD';
+    return formatNumber(amount, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) + ' DGB';
   };
 
   const formatPrice = (microUsd) => {
@@ -169,14 +146,6 @@ const DDStatsPage = () => {
   // Check if we have valid data
   const hasData = ddStats.health_percentage > 0 || ddStats.total_dd_supply > 0;
 
-  // Get health color based on percentage
-  const getHealthColor = (health) => {
-    if (health >= 150) return '#4caf50'; // Green - Healthy
-    if (health >= 120) return '#ff9800'; // Orange - Warning
-    if (health >= 100) return '#f44336'; // Red - Critical
-    return '#d32f2f'; // Dark Red - Emergency
-  };
-
   const healthColor = getHealthColor(ddStats.health_percentage);
 
   // Hero Section - Modeled after wallet interface
@@ -184,7 +153,7 @@ const DDStatsPage = () => {
     <Card
       elevation={2}
       sx={{
-        backgroundColor: '#f2f4f8',
+        backgroundColor: 'background.subtle',
         borderRadius: '12px',
         mb: 4,
         overflow: 'hidden',
@@ -227,7 +196,7 @@ const DDStatsPage = () => {
           sx={{
             maxWidth: '800px',
             mx: 'auto',
-            color: '#555',
+            color: 'text.secondary',
             fontSize: '1.1rem'
           }}
         >
@@ -276,7 +245,7 @@ const DDStatsPage = () => {
           />
           {lastUpdated && (
             <Typography variant="caption" sx={{ opacity: 0.8 }}>
-              {lastUpdated.toLocaleTimeString()}
+              {formatDate(lastUpdated, { timeStyle: 'medium' })}
             </Typography>
           )}
           <Chip
@@ -305,7 +274,7 @@ const DDStatsPage = () => {
               elevation={1}
               sx={{
                 p: 2,
-                backgroundColor: '#f5f5f5',
+                backgroundColor: 'background.subtle',
                 borderRadius: '8px',
                 borderLeft: `4px solid ${primaryColor}`,
                 height: '100%',
@@ -370,7 +339,7 @@ const DDStatsPage = () => {
                     NETWORK DD SUPPLY
                   </Typography>
                   <Typography variant="h3" fontWeight="bold">
-                    {formatDD(ddStats.total_dd_supply)}
+                    {formatDD(ddStats.total_dd_supply, locale)}
                   </Typography>
                 </Paper>
               </Tooltip>
@@ -402,7 +371,7 @@ const DDStatsPage = () => {
         </Grid>
 
         {/* Collateralization Bar - Full Width */}
-        <Box sx={{ mt: 3, p: 2, backgroundColor: '#f8f9fa', borderRadius: '12px', border: '1px solid #e0e0e0' }}>
+        <Box sx={{ mt: 3, p: 2, backgroundColor: 'background.subtle', borderRadius: '12px', border: '1px solid', borderColor: 'divider' }}>
           <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1.5 }}>
             <Typography variant="h6" fontWeight="bold">
               Network Collateralization
@@ -450,7 +419,7 @@ const DDStatsPage = () => {
               DCA automatically adjusts collateral requirements based on system health to protect the network.
             </Typography>
 
-            <Paper sx={{ p: 2, backgroundColor: '#f5f5f5', borderRadius: '8px' }}>
+            <Paper sx={{ p: 2, backgroundColor: 'background.subtle', borderRadius: '8px' }}>
               <Typography variant="subtitle2" fontWeight="bold" sx={{ mb: 1 }}>
                 Current Tier: {ddStats.dca_tier.status.toUpperCase()}
               </Typography>
@@ -494,7 +463,7 @@ const DDStatsPage = () => {
               ERR increases DD burn requirements when system drops below 100%, creating buying pressure to stabilize.
             </Typography>
 
-            <Paper sx={{ p: 2, backgroundColor: ddStats.is_emergency ? '#ffebee' : '#f5f5f5', borderRadius: '8px' }}>
+            <Paper sx={{ p: 2, backgroundColor: ddStats.is_emergency ? (theme) => alpha(theme.palette.error.main, 0.12) : 'background.subtle', borderRadius: '8px' }}>
               <Typography variant="subtitle2" fontWeight="bold" sx={{ mb: 1 }}>
                 Status: {ddStats.is_emergency ? 'ACTIVE' : 'INACTIVE'}
               </Typography>
@@ -523,52 +492,6 @@ const DDStatsPage = () => {
     </Grid>
   );
 
-  // Quick Stats Grid
-  const QuickStatsGrid = () => (
-    <Grid container spacing={3} sx={{ mb: 4 }}>
-      {/* DD Supply - Green */}
-      <Grid item xs={6} md={3}>
-        <Tooltip title="Total DigiDollars in circulation across the network" arrow>
-          <Card elevation={2} sx={{ p: 2, textAlign: 'center', borderRadius: '12px', borderTop: '4px solid #2e7d32', cursor: 'help' }}>
-            <AccountBalanceIcon sx={{ fontSize: '2.5rem', color: '#2e7d32', mb: 1 }} />
-            <Typography variant="body2" color="text.secondary">Total DD Supply</Typography>
-            <Typography variant="h5" fontWeight="bold" sx={{ color: '#2e7d32' }}>{formatDD(ddStats.total_dd_supply)}</Typography>
-          </Card>
-        </Tooltip>
-      </Grid>
-      {/* DGB Locked - Blue */}
-      <Grid item xs={6} md={3}>
-        <Tooltip title="Total DGB locked as collateral backing DigiDollars" arrow>
-          <Card elevation={2} sx={{ p: 2, textAlign: 'center', borderRadius: '12px', borderTop: '4px solid #0066cc', cursor: 'help' }}>
-            <LockIcon sx={{ fontSize: '2.5rem', color: '#0066cc', mb: 1 }} />
-            <Typography variant="body2" color="text.secondary">DGB Locked</Typography>
-            <Typography variant="h5" fontWeight="bold" sx={{ color: '#0066cc' }}>{(ddStats.total_collateral_dgb / 1000000).toFixed(2)}M</Typography>
-          </Card>
-        </Tooltip>
-      </Grid>
-      {/* Collateral Ratio - Health Color */}
-      <Grid item xs={6} md={3}>
-        <Tooltip title="System health percentage - collateral value divided by DD supply" arrow>
-          <Card elevation={2} sx={{ p: 2, textAlign: 'center', borderRadius: '12px', borderTop: `4px solid ${healthColor}`, cursor: 'help' }}>
-            <TrendingUpIcon sx={{ fontSize: '2.5rem', color: healthColor, mb: 1 }} />
-            <Typography variant="body2" color="text.secondary">Collateral Ratio</Typography>
-            <Typography variant="h5" fontWeight="bold" sx={{ color: healthColor }}>{ddStats.health_percentage}%</Typography>
-          </Card>
-        </Tooltip>
-      </Grid>
-      {/* Active Oracles - Green */}
-      <Grid item xs={6} md={3}>
-        <Tooltip title="Number of oracles currently providing price feeds to the network" arrow>
-          <Card elevation={2} sx={{ p: 2, textAlign: 'center', borderRadius: '12px', borderTop: '4px solid #2e7d32', cursor: 'help' }}>
-            <SpeedIcon sx={{ fontSize: '2.5rem', color: '#2e7d32', mb: 1 }} />
-            <Typography variant="body2" color="text.secondary">Active Oracles</Typography>
-            <Typography variant="h5" fontWeight="bold" sx={{ color: '#2e7d32' }}>{oracleCount}</Typography>
-          </Card>
-        </Tooltip>
-      </Grid>
-    </Grid>
-  );
-
   // How System Health Works
   const SystemHealthExplainer = () => (
     <Card elevation={3} sx={{ p: 3, borderRadius: '12px' }}>
@@ -581,7 +504,7 @@ const DDStatsPage = () => {
           <Typography variant="body1" sx={{ mb: 2 }}>
             <strong>Network Collateralization</strong> is calculated as:
           </Typography>
-          <Paper sx={{ p: 2, backgroundColor: '#f5f5f5', borderRadius: '8px', mb: 2 }}>
+          <Paper sx={{ p: 2, backgroundColor: 'background.code', borderRadius: '8px', mb: 2 }}>
             <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>
               Health % = (Total DGB Locked × DGB Price) / Total DD Supply × 100
             </Typography>
@@ -645,7 +568,7 @@ const DDStatsPage = () => {
       <HeroSection />
       <NotActiveBanner />
       <NetworkStatusCard />
-      <QuickStatsGrid />
+      <DDQuickStats stats={ddStats} oracleCount={oracleCount} sx={{ mb: 4 }} />
       <ProtectionTiersCard />
       <SystemHealthExplainer />
       <IntegrationGuides />
@@ -8,7 +8,10 @@ import {
 } from '@mui/material';
 import TrendingUpIcon from '@mui/icons-material/TrendingUp';
 import { useNetwork } from '../context/NetworkContext';
+import { getChartColors } from '../utils/theme';
+import { useWsMessage } from '../hooks/useWsMessage';
 import HistoryChart from '../components/HistoryChart';
+import LoadingCard from '../components/LoadingCard';
 import { useHistory } from '../hooks/useHistory';
 
 Chart.register(...registerables);
@@ -113,11 +116,11 @@ const HeroSection = ({ isTestnet, networkTheme }) => (
   <Card
     elevation={2}
     sx={{
-      backgroundColor: '#f2f4f8',
+      backgroundColor: 'background.subtle',
       borderRadius: '12px',
       mb: 4,
       overflow: 'hidden',
-      backgroundImage: 'linear-gradient(135deg, #f8f9fa 0%, #e8eef7 100%)',
+      backgroundImage: (theme) => theme.palette.background.hero,
       border: `1px solid ${isTestnet ? 'rgba(230, 81, 0, 0.2)' : 'rgba(0, 35, 82, 0.1)'}`
     }}
   >
@@ -150,7 +153,7 @@ const HeroSection = ({ isTestnet, networkTheme }) => (
         </Typography>
       </Box>
       
-      <Divider sx={{ maxWidth: '150px', mx: 'auto', mb: 3, borderColor: '#0066cc', borderWidth: 2 }} />
+      <Divider sx={{ maxWidth: '150px', mx: 'auto', mb: 3, borderColor: 'secondary.main', borderWidth: 2 }} />
       
       <Typography 
         variant="subtitle1" 
@@ -159,7 +162,7 @@ const HeroSection = ({ isTestnet, networkTheme }) => (
           maxWidth: '800px', 
           mx: 'auto', 
           mb: 2,
-          color: '#555',
+          color: 'text.secondary',
           fontSize: '1.1rem'
         }}
       >
@@ -172,7 +175,7 @@ const HeroSection = ({ isTestnet, networkTheme }) => (
         sx={{ 
           maxWidth: '800px', 
           mx: 'auto',
-          color: '#666',
+          color: 'text.secondary',
         }}
       >
         DigiByte uses independent, realtime difficulty adjustment for each algo known as <strong>DigiShield</strong> or <strong>MultiShield</strong> to further decentralize & secure the blockchain.
@@ -181,18 +184,6 @@ const HeroSection = ({ isTestnet, networkTheme }) => (
   </Card>
 );
 
-/**
- * Loading state component displayed while difficulty data is being fetched
- * @returns {JSX.Element} Loading card with spinner message
- */
-const LoadingCard = () => (
-  <Card elevation={3} sx={{ p: 4, borderRadius: '8px', textAlign: 'center' }}>
-    <Typography variant="h5" sx={{ color: '#555' }}>
-      Loading difficulty data...
-    </Typography>
-  </Card>
-);
-
 /**
  * Individual algorithm difficulty card component
  * Displays algorithm name, latest difficulty value, and real-time chart
@@ -224,7 +215,7 @@ const AlgorithmCard = ({ algo, index, difficulties, getLatestDifficulty, setChar
           {algo}
         </Typography>
         
-        <Typography variant="body2" sx={{ mb: 2, textAlign: 'center', color: '#666' }}>
+        <Typography variant="body2" sx={{ mb: 2, textAlign: 'center', color: 'text.secondary' }}>
           Latest Difficulty: <strong>{getLatestDifficulty(algo)}</strong>
         </Typography>
         
@@ -235,7 +226,7 @@ const AlgorithmCard = ({ algo, index, difficulties, getLatestDifficulty, setChar
           />
         </Box>
         
-        <Typography variant="body2" sx={{ mt: 2, textAlign: 'center', color: '#666', fontSize: '0.85rem' }}>
+        <Typography variant="body2" sx={{ mt: 2, textAlign: 'center', color: 'text.secondary', fontSize: '0.85rem' }}>
           Showing difficulty changes over the last {difficulties?.length || 0} blocks
         </Typography>
       </CardContent>
@@ -258,7 +249,7 @@ const DigiShieldInfoSection = () => (
       }}
     >
       <CardContent sx={{ p: 3 }}>
-        <Typography variant="h5" fontWeight="bold" gutterBottom sx={{ textAlign: 'center', color: '#002352' }}>
+        <Typography variant="h5" fontWeight="bold" gutterBottom sx={{ textAlign: 'center', color: 'primary.main' }}>
           About DigiShield Difficulty Adjustment
         </Typography>
         
@@ -304,7 +295,7 @@ const DigiShieldInfoSection = () => (
           </Grid>
         </Grid>
 
-        <Typography variant="body2" sx={{ mt: 1, color: '#666' }}>
+        <Typography variant="body2" sx={{ mt: 1, color: 'text.secondary' }}>
           Note: Myriad-Groestl is a retired algorithm. It is rejected by consensus from the algolock
           height (block 23,808,000), so it is no longer shown among the active algorithms.
         </Typography>
@@ -329,17 +320,16 @@ const DigiShieldInfoSection = () => (
  * - Network-aware data fetching (mainnet/testnet support)
  *
  * @component
- * @param {Object} props - Component props
- * @param {Object} [props.difficultiesData] - Pre-loaded difficulties data (optional)
  * @returns {JSX.Element} Complete difficulties page with real-time charts
  */
-const DifficultiesPage = ({ difficultiesData }) => {
+const DifficultiesPage = () => {
   // Get theme for responsive design
   const theme = useTheme();
+  const chartColors = getChartColors(theme);
   const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
 
   // Network context for network-aware data fetching
-  const { getApiUrl, isTestnet, wsBaseUrl, theme: networkTheme } = useNetwork();
+  const { isTestnet, theme: networkTheme } = useNetwork();
 
   // Per-algo difficulty history from the shared network-aware history infra.
   // Fetches daily (90d) + hourly (24h); the range selector (Daily/7D/30D/3M) is
@@ -355,109 +345,51 @@ const DifficultiesPage = ({ difficultiesData }) => {
     trackedAlgoNames.reduce((acc, algo) => ({ ...acc, [algo]: [] }), {})
   );
 
-  // Local state for fetched difficulties when prop is not provided
-  const [localDifficulties, setLocalDifficulties] = useState(null);
-
   // Loading state management
   const [isLoading, setIsLoading] = useState(true);
 
-  /**
-   * Fetch difficulties data when prop is not provided (e.g., for testnet)
-   */
-  useEffect(() => {
-    if (!difficultiesData) {
-      const fetchData = async () => {
-        try {
-          const response = await fetch(getApiUrl('/getblockchaininfo'));
-          const data = await response.json();
-          setLocalDifficulties(data.difficulties);
-        } catch (error) {
-          console.error('Error fetching difficulties:', error);
-        }
-      };
-      fetchData();
-    }
-  }, [difficultiesData, getApiUrl]);
-
-  // Use the prop if provided, otherwise use local state
-  const currentDifficulties = difficultiesData || localDifficulties;
-
   // Algorithms to render: the five active DigiByte algorithms. Myriad-Groestl is
   // retired (rejected at the algolock height), so its card is disabled.
   const displayedAlgos = useMemo(() => computeDisplayedAlgos(), []);
 
   /**
-   * WebSocket connection effect for real-time difficulty updates
+   * Real-time difficulty updates over the network's shared WebSocket
    * Handles initial data load and real-time block updates
    *
    * Message types handled:
    * - 'recentBlocks': Initial load of last 240 blocks with difficulty data
    * - 'newBlock': Real-time updates when new blocks are mined
    */
-  useEffect(() => {
-    const socket = new WebSocket(wsBaseUrl);
-
-    /**
-     * WebSocket connection opened successfully
-     * Ready to receive difficulty data for all algorithms
-     */
-    socket.onopen = () => {
-      console.log('WebSocket connection established for difficulties page');
-    };
-
-    /**
-     * Handle incoming WebSocket messages with difficulty data
-     * @param {MessageEvent} event - WebSocket message event
-     */
-    socket.onmessage = (event) => {
-      const message = JSON.parse(event.data);
-
-      if (message.type === 'recentBlocks') {
-        /**
-         * Process initial difficulty data for all algorithms
-         * Filters blocks by algorithm and extracts difficulty values
-         * Each algorithm gets its own array of recent difficulty values
-         */
-        const updatedDifficulties = trackedAlgoNames.reduce((acc, algo) => {
-          const algoDifficulties = message.data
-            .filter((block) => normalizeAlgoName(block.algo) === algo)
-            .map((block) => block.difficulty);
-          return { ...acc, [algo]: algoDifficulties };
-        }, {});
-        setDifficulties(updatedDifficulties);
-        setIsLoading(false);
-      } else if (message.type === 'newBlock') {
-        /**
-         * Handle real-time new block updates
-         * Appends new difficulty value to the appropriate algorithm array
-         * Triggers chart updates automatically via useEffect dependency
-         */
-        const algo = normalizeAlgoName(message.data.algo);
-        if (!algo) return;
-
-        setDifficulties((prevDifficulties) => ({
-          ...prevDifficulties,
-          [algo]: [...(prevDifficulties[algo] || []), message.data.difficulty],
-        }));
-      }
-    };
-
-    /**
-     * Handle WebSocket connection closure
-     * Could implement reconnection logic here if needed
-     */
-    socket.onclose = () => {
-      console.log('WebSocket connection closed - difficulties page');
-    };
+  useWsMessage(['recentBlocks', 'newBlock'], (message) => {
+    if (message.type === 'recentBlocks') {
+      /**
+       * Process initial difficulty data for all algorithms
+       * Filters blocks by algorithm and extracts difficulty values
+       * Each algorithm gets its own array of recent difficulty values
+       */
+      const updatedDifficulties = trackedAlgoNames.reduce((acc, algo) => {
+        const algoDifficulties = message.data
+          .filter((block) => normalizeAlgoName(block.algo) === algo)
+          .map((block) => block.difficulty);
+        return { ...acc, [algo]: algoDifficulties };
+      }, {});
+      setDifficulties(updatedDifficulties);
+      setIsLoading(false);
+    } else if (message.type === 'newBlock') {
+      /**
+       * Handle real-time new block updates
+       * Appends new difficulty value to the appropriate algorithm array
+       * Triggers chart updates automatically via useEffect dependency
+       */
+      const algo = normalizeAlgoName(message.data.algo);
+      if (!algo) return;
 
-    /**
-     * Cleanup function to properly close WebSocket connection
-     * Prevents memory leaks when component unmounts
-     */
-    return () => {
-      socket.close();
-    };
-  }, [wsBaseUrl]);
+      setDifficulties((prevDifficulties) => ({
+        ...prevDifficulties,
+        [algo]: [...(prevDifficulties[algo] || []), message.data.difficulty],
+      }));
+    }
+  });
 
   /**
    * Chart rendering and updating effect
@@ -511,7 +443,7 @@ const DifficultiesPage = ({ difficultiesData }) => {
               pointRadius: 0, // Hide points normally
               pointHoverRadius: 4, // Show points on hover
               pointHoverBackgroundColor: algoColors[algo],
-              pointHoverBorderColor: '#fff',
+              pointHoverBorderColor: chartColors.stroke,
             },
           ],
         },
@@ -527,10 +459,10 @@ const DifficultiesPage = ({ difficultiesData }) => {
               display: false, // Hide legend (title is shown above chart)
             },
             tooltip: {
-              backgroundColor: 'rgba(255, 255, 255, 0.9)',
-              titleColor: '#333',
-              bodyColor: '#333',
-              borderColor: '#ddd',
+              backgroundColor: chartColors.tooltip,
+              titleColor: chartColors.tooltipText,
+              bodyColor: chartColors.tooltipText,
+              borderColor: chartColors.grid,
               borderWidth: 1,
               padding: 10,
               displayColors: false,
@@ -561,11 +493,11 @@ const DifficultiesPage = ({ difficultiesData }) => {
             y: {
               beginAtZero: false, // Start Y-axis from minimum data value
               grid: {
-                color: 'rgba(0, 0, 0, 0.05)',
+                color: chartColors.grid,
                 drawBorder: false,
               },
               ticks: {
-                color: '#888',
+                color: chartColors.text,
                 font: {
                   size: 10,
                 },
@@ -610,7 +542,7 @@ const DifficultiesPage = ({ difficultiesData }) => {
         }
       });
     };
-  }, [difficulties, isLoading]);
+  }, [difficulties, isLoading, chartColors]);
 
   /**
    * Get the most recent difficulty value for a specific algorithm
@@ -636,7 +568,7 @@ const DifficultiesPage = ({ difficultiesData }) => {
     <Box 
       sx={{ 
         py: 4, 
-        backgroundImage: 'linear-gradient(to bottom, #f8f9fa, #ffffff)',
+        backgroundImage: (theme) => theme.palette.background.page,
         minHeight: '100vh'
       }}
     >
@@ -644,7 +576,7 @@ const DifficultiesPage = ({ difficultiesData }) => {
         <HeroSection isTestnet={isTestnet} networkTheme={networkTheme} />
 
         {isLoading ? (
-          <LoadingCard />
+          <LoadingCard message="Loading difficulty data..." />
         ) : (
           <Grid container spacing={3}>
             {displayedAlgos.map((algo, index) => (
@@ -669,6 +601,7 @@ const DifficultiesPage = ({ difficultiesData }) => {
                 getValue={(entry, algo) => entry.perAlgo[algo]?.avgDifficulty}
                 valueFormat={formatDiff}
                 title="Difficulty History"
+                exportName="difficulty-history"
                 subtitle="Per-algorithm difficulty over time. DigiByte retargets every block (DigiShield); each daily point is that day's average, and the Daily view breaks it down by hour."
                 yLabel="Difficulty (log)"
                 loading={historyLoading}
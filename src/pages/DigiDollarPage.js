@@ -30,6 +30,17 @@ import DirectionsCarIcon from '@mui/icons-material/DirectionsCar';
 import HomeIcon from '@mui/icons-material/Home';
 import SendIcon from '@mui/icons-material/Send';
 import IntegrationGuides from '../components/IntegrationGuides';
+import { useLocale } from '../context/LocaleContext';
+
+// Implementation-spec milestones and v9.26.2 release milestones, in roadmap
+// order; copy lives under digiDollar.roadmap.specs / .release
+const SPEC_MILESTONES = [
+  'addresses', 'tiers', 'minting', 'transfers', 'walletUi', 'utxoTracking',
+  'redemption', 'protection', 'oracles', 'musig2', 'mainnet',
+];
+const RELEASE_MILESTONES = [
+  'opcode', 'exchanges', 'p2p', 'validation', 'schnorr', 'consensus', 'testnet', 'mainnet',
+];
 
 /**
  * DigiDollarPage Component - Explainer for the DigiDollar Decentralized Stablecoin
@@ -38,31 +49,37 @@ import IntegrationGuides from '../components/IntegrationGuides';
  * on the DigiByte blockchain, including how it works, use cases, and implementation details.
  */
 const DigiDollarPage = () => {
+  const { t, tRich, formatNumber } = useLocale();
 
-  // Collateral requirements data (10-tier system)
+  // Collateral requirements data (10-tier system). `unit` names the
+  // digiDollar.collateral period key; ratio and drop are percentages
   const collateralData = [
-    { period: '1 hour', ratio: '1000%', dgbFor100: '1000 DGB', undercollateralized: '90% drop' },
-    { period: '30 days', ratio: '500%', dgbFor100: '500 DGB', undercollateralized: '80% drop' },
-    { period: '3 months', ratio: '400%', dgbFor100: '400 DGB', undercollateralized: '75% drop' },
-    { period: '6 months', ratio: '350%', dgbFor100: '350 DGB', undercollateralized: '71.4% drop' },
-    { period: '1 year', ratio: '300%', dgbFor100: '300 DGB', undercollateralized: '66.7% drop' },
-    { period: '2 years', ratio: '275%', dgbFor100: '275 DGB', undercollateralized: '63.6% drop' },
-    { period: '3 years', ratio: '250%', dgbFor100: '250 DGB', undercollateralized: '60% drop' },
-    { period: '5 years', ratio: '225%', dgbFor100: '225 DGB', undercollateralized: '55.6% drop' },
-    { period: '7 years', ratio: '212%', dgbFor100: '212 DGB', undercollateralized: '52.8% drop' },
-    { period: '10 years', ratio: '200%', dgbFor100: '200 DGB', undercollateralized: '50% drop' },
+    { unit: 'hourOne', count: 1, ratio: 1000, drop: 90 },
+    { unit: 'days', count: 30, ratio: 500, drop: 80 },
+    { unit: 'months', count: 3, ratio: 400, drop: 75 },
+    { unit: 'months', count: 6, ratio: 350, drop: 71.4 },
+    { unit: 'yearOne', count: 1, ratio: 300, drop: 66.7 },
+    { unit: 'years', count: 2, ratio: 275, drop: 63.6 },
+    { unit: 'years', count: 3, ratio: 250, drop: 60 },
+    { unit: 'years', count: 5, ratio: 225, drop: 55.6 },
+    { unit: 'years', count: 7, ratio: 212, drop: 52.8 },
+    { unit: 'years', count: 10, ratio: 200, drop: 50 },
   ];
 
+  const percent = (value) => formatNumber(value / 100, {
+    style: 'percent', maximumFractionDigits: 1, useGrouping: false,
+  });
+
   // Hero Section
   const HeroSection = () => (
     <Card
       elevation={2}
       sx={{
-        backgroundColor: '#f2f4f8',
+        backgroundColor: 'background.subtle',
         borderRadius: '12px',
         mb: 4,
         overflow: 'hidden',
-        backgroundImage: 'linear-gradient(135deg, #f8f9fa 0%, #e8eef7 100%)',
+        backgroundImage: (theme) => theme.palette.background.hero,
         border: '1px solid rgba(0, 35, 82, 0.1)'
       }}
     >
@@ -91,7 +108,7 @@ const DigiDollarPage = () => {
             fontWeight: 600
           }}
         >
-          Decentralized USD Stablecoin on DigiByte
+          {t('digiDollar.subtitle')}
         </Typography>
 
         <Divider sx={{ maxWidth: '150px', mx: 'auto', mb: 3, borderColor: '#0066cc', borderWidth: 2 }} />
@@ -102,12 +119,11 @@ const DigiDollarPage = () => {
             maxWidth: '800px',
             mx: 'auto',
             mb: 2,
-            color: '#555',
+            color: 'text.secondary',
             fontSize: '1.1rem'
           }}
         >
-          The world's first truly decentralized stablecoin native on a UTXO blockchain,
-          enabling stable value transactions without centralized control.
+          {t('digiDollar.intro')}
         </Typography>
 
         <Typography
@@ -121,8 +137,7 @@ const DigiDollarPage = () => {
             fontWeight: 600
           }}
         >
-          DGB becomes the strategic reserve asset (21B max, ~2.59 per person) • Everything happens inside DigiByte Core wallet •
-          You never give up control of your private keys
+          {t('digiDollar.highlights')}
         </Typography>
 
         <Alert
@@ -135,11 +150,7 @@ const DigiDollarPage = () => {
           }}
         >
           <Typography variant="body2">
-            <strong>Status:</strong> <strong>Shipped — released on mainnet</strong> in DigiByte v9.26.2
-            (June 29, 2026); current release <strong>v9.26.4</strong> adds pruned-node support.
-            Mainnet activation is now in miners&apos; hands via BIP9 signaling (bit&nbsp;23) — track it
-            live on the Activation page. Fully operational on testnet26, where the oracle network runs
-            a 7-signature MuSig2 quorum across 35 oracle slots, backed by an extensive automated test suite.
+            {tRich('digiDollar.status')}
           </Typography>
         </Alert>
       </CardContent>
@@ -150,7 +161,7 @@ const DigiDollarPage = () => {
   const WhatIsSection = () => (
     <Card elevation={3} sx={{ p: 3, mb: 4, borderRadius: '12px' }}>
       <Typography variant="h4" fontWeight="bold" sx={{ mb: 3, color: '#002352' }}>
-        What is DigiDollar?
+        {t('digiDollar.what.title')}
       </Typography>
 
       {/* DGB Scarcity Highlight */}
@@ -164,12 +175,12 @@ const DigiDollarPage = () => {
         }}
       >
         <Typography variant="body1">
-          <strong>DGB is a Limited, Finite Strategic Reserve Asset:</strong> With a maximum supply of
-          21 billion DGB, there are only <strong style={{ color: '#0066cc', fontSize: '1.1em' }}>2.59 DGB
-          per person</strong> on Earth (based on 8.1 billion world population). Combined with DigiByte's
-          <strong style={{ color: '#0066cc' }}> 15-second block speed</strong> (40x faster than Bitcoin),
-          this extreme scarcity and fast settlement makes DGB ideal as collateral for DigiDollar -
-          a truly finite backing for instant, stable currency transactions.
+          {tRich('digiDollar.what.scarcity', {
+            perPerson: (
+              <strong style={{ color: '#0066cc', fontSize: '1.1em' }}>{t('digiDollar.what.perPerson')}</strong>
+            ),
+            blockSpeed: <strong style={{ color: '#0066cc' }}>{t('digiDollar.what.blockSpeed')}</strong>,
+          })}
         </Typography>
       </Alert>
 
@@ -185,22 +196,16 @@ const DigiDollarPage = () => {
             }}
           >
             <Typography variant="h6" fontWeight="bold" sx={{ mb: 2, color: '#0066cc' }}>
-              Simple Explanation
+              {t('digiDollar.what.simpleTitle')}
             </Typography>
             <Typography variant="body1" paragraph>
-              DigiDollar is a stable digital currency that equals $1 USD,
-              created by locking up DigiByte (DGB) as collateral. DGB becomes the
-              strategic reserve asset - with only 21 billion max supply (just ~2.59 DGB per person
-              on Earth), it's a truly finite asset backing the stability of DigiDollars.
+              {t('digiDollar.what.simple1')}
             </Typography>
             <Typography variant="body1" paragraph>
-              Unlike traditional stablecoins backed by bank accounts, DigiDollar is
-              the world's first truly decentralized stablecoin on a UTXO blockchain.
-              No company or bank controls it.
+              {t('digiDollar.what.simple2')}
             </Typography>
             <Typography variant="body1" sx={{ fontWeight: 600, color: '#002352' }}>
-              Most importantly: Everything happens directly in your DigiByte Core wallet -
-              you never give up control of your private keys or trust a third party.
+              {t('digiDollar.what.simple3')}
             </Typography>
           </Paper>
         </Grid>
@@ -216,28 +221,28 @@ const DigiDollarPage = () => {
             }}
           >
             <Typography variant="h6" fontWeight="bold" sx={{ mb: 2, color: '#002352' }}>
-              Key Benefits
+              {t('digiDollar.what.benefitsTitle')}
             </Typography>
             <List dense>
               <ListItem>
                 <ListItemIcon><CheckCircleIcon sx={{ color: '#4caf50' }} /></ListItemIcon>
-                <ListItemText primary="World's first truly decentralized stablecoin on UTXO blockchain" />
+                <ListItemText primary={t('digiDollar.what.benefitFirst')} />
               </ListItem>
               <ListItem>
                 <ListItemIcon><CheckCircleIcon sx={{ color: '#4caf50' }} /></ListItemIcon>
-                <ListItemText primary="Always worth $1 USD - stable and predictable" />
+                <ListItemText primary={t('digiDollar.what.benefitStable')} />
               </ListItem>
               <ListItem>
                 <ListItemIcon><CheckCircleIcon sx={{ color: '#4caf50' }} /></ListItemIcon>
-                <ListItemText primary="You keep full control of private keys in Core wallet" />
+                <ListItemText primary={t('digiDollar.what.benefitKeys')} />
               </ListItem>
               <ListItem>
                 <ListItemIcon><CheckCircleIcon sx={{ color: '#4caf50' }} /></ListItemIcon>
-                <ListItemText primary="DGB becomes strategic reserve asset" />
+                <ListItemText primary={t('digiDollar.what.benefitReserve')} />
               </ListItem>
               <ListItem>
                 <ListItemIcon><CheckCircleIcon sx={{ color: '#4caf50' }} /></ListItemIcon>
-                <ListItemText primary="15-second blocks (40x faster than BTC), $0.01 fees" />
+                <ListItemText primary={t('digiDollar.what.benefitSpeed')} />
               </ListItem>
             </List>
           </Paper>
@@ -250,7 +255,7 @@ const DigiDollarPage = () => {
   const HowItWorksSection = () => (
     <Card elevation={3} sx={{ p: 3, mb: 4, borderRadius: '12px' }}>
       <Typography variant="h4" fontWeight="bold" sx={{ mb: 3, color: '#002352' }}>
-        How It Works
+        {t('digiDollar.how.title')}
       </Typography>
 
       {/* Core Idea - Simple Analogy */}
@@ -265,49 +270,45 @@ const DigiDollarPage = () => {
         }}
       >
         <Typography variant="h5" fontWeight="bold" sx={{ mb: 2, color: '#002352' }}>
-          Core Idea: The Silver Safe Analogy
+          {t('digiDollar.how.coreIdea')}
         </Typography>
 
         <Typography variant="body1" paragraph>
-          <strong>Imagine DGB is silver</strong> stored in your basement safe. You have $1,000 worth
-          of silver but need cash today. Instead of selling your silver (and losing future gains),
-          you lock it in a special time-locked safe.
+          {tRich('digiDollar.how.silver1')}
         </Typography>
 
         <Typography variant="body1" paragraph>
-          The safe gives you $500 cash to spend today. <strong>The silver NEVER leaves your possession</strong> -
-          it stays in YOUR basement, in YOUR safe. You just can't access it until the timelock expires.
+          {tRich('digiDollar.how.silver2')}
         </Typography>
 
         <Typography variant="body1" paragraph>
-          10 years later, your silver is worth $10,000 (10x gain)! To unlock: Simply return the $500
-          to the safe → get your $10,000 silver back. You kept ALL the appreciation.
+          {t('digiDollar.how.silver3')}
         </Typography>
 
-        <Box sx={{ mt: 3, p: 2, backgroundColor: 'white', borderRadius: '8px' }}>
+        <Box sx={{ mt: 3, p: 2, backgroundColor: 'background.paper', borderRadius: '8px' }}>
           <Typography variant="h6" fontWeight="bold" sx={{ mb: 2, color: '#0066cc' }}>
-            That's EXACTLY how DigiDollar works:
+            {t('digiDollar.how.exactlyTitle')}
           </Typography>
           <List dense>
             <ListItem>
               <ListItemIcon><CheckCircleIcon sx={{ color: '#4caf50', fontSize: '1.2rem' }} /></ListItemIcon>
-              <ListItemText primary="Lock DGB in YOUR wallet (never leaves your control)" />
+              <ListItemText primary={t('digiDollar.how.lockWallet')} />
             </ListItem>
             <ListItem>
               <ListItemIcon><CheckCircleIcon sx={{ color: '#4caf50', fontSize: '1.2rem' }} /></ListItemIcon>
-              <ListItemText primary="You ALWAYS keep control of your private keys" />
+              <ListItemText primary={t('digiDollar.how.keepKeys')} />
             </ListItem>
             <ListItem>
               <ListItemIcon><CheckCircleIcon sx={{ color: '#4caf50', fontSize: '1.2rem' }} /></ListItemIcon>
-              <ListItemText primary="Get DigiDollars to spend today" />
+              <ListItemText primary={t('digiDollar.how.getDd')} />
             </ListItem>
             <ListItem>
               <ListItemIcon><CheckCircleIcon sx={{ color: '#4caf50', fontSize: '1.2rem' }} /></ListItemIcon>
-              <ListItemText primary="When timelock expires, burn DD → get your DGB back" />
+              <ListItemText primary={t('digiDollar.how.burnDd')} />
             </ListItem>
             <ListItem>
               <ListItemIcon><CheckCircleIcon sx={{ color: '#4caf50', fontSize: '1.2rem' }} /></ListItemIcon>
-              <ListItemText primary="Keep ALL the DGB price appreciation" />
+              <ListItemText primary={t('digiDollar.how.keepGains')} />
             </ListItem>
           </List>
         </Box>
@@ -325,40 +326,39 @@ const DigiDollarPage = () => {
         }}
       >
         <Typography variant="h6" fontWeight="bold" sx={{ mb: 2, color: '#2e7d32' }}>
-          💡 The Tax Advantage: Liquidity Without Selling
+          {t('digiDollar.how.taxTitle')}
         </Typography>
 
         <Typography variant="body1" paragraph>
-          In most jurisdictions, <strong>borrowing against assets is NOT a taxable event</strong>.
-          This is exactly what billionaires do - they never sell their stocks, they borrow against them.
+          {tRich('digiDollar.how.taxBody')}
         </Typography>
 
         <Grid container spacing={2}>
           <Grid item xs={12} md={6}>
             <Typography variant="subtitle2" fontWeight="bold" color="#002352" gutterBottom>
-              Traditional Crypto Sale:
+              {t('digiDollar.how.saleTitle')}
             </Typography>
             <Typography variant="body2" color="error">
-              ❌ Sell DGB → Pay 20-40% capital gains tax<br />
-              ❌ Lose future appreciation<br />
-              ❌ Taxable event recorded
+              {t('digiDollar.how.saleTax')}<br />
+              {t('digiDollar.how.saleLoss')}<br />
+              {t('digiDollar.how.saleEvent')}
             </Typography>
           </Grid>
           <Grid item xs={12} md={6}>
             <Typography variant="subtitle2" fontWeight="bold" color="#002352" gutterBottom>
-              DigiDollar Method:
+              {t('digiDollar.how.methodTitle')}
             </Typography>
             <Typography variant="body2" color="success.main">
-              ✅ Lock DGB → Get DigiDollars<br />
-              ✅ No taxable event (in most jurisdictions)<br />
-              ✅ Keep ALL future DGB gains<br />
-              ✅ Theoretically never need to sell DGB
+              {t('digiDollar.how.methodLock')}<br />
+              {t('digiDollar.how.methodNoTax')}<br />
+              {t('digiDollar.how.methodGains')}<br />
+              {t('digiDollar.how.methodNeverSell')}
             </Typography>
           </Grid>
         </Grid>
 
-        <Typography variant="body2" sx={{ mt: 2, fontStyle: 'italic', color: '#666' }}>
-          * Tax laws vary by jurisdiction. Consult a tax professional for your specific situation.
+        <Typography variant="body2" sx={{ mt: 2, fontStyle: 'italic', color: 'text.secondary' }}>
+          {t('digiDollar.how.taxNote')}
         </Typography>
       </Paper>
 
@@ -368,20 +368,20 @@ const DigiDollarPage = () => {
         sx={{
           p: 3,
           mb: 4,
-          backgroundColor: '#f8f9fa',
+          backgroundColor: 'background.subtle',
           border: '2px solid #002352',
           borderRadius: '8px'
         }}
       >
         <Typography variant="h5" fontWeight="bold" sx={{ mb: 3, color: '#002352' }}>
-          Economic Incentives: Why This Benefits Everyone
+          {t('digiDollar.how.incentivesTitle')}
         </Typography>
 
         <Grid container spacing={3}>
           <Grid item xs={12} md={6}>
             <Box sx={{ height: '100%' }}>
               <Typography variant="h6" fontWeight="bold" sx={{ mb: 2, color: '#0066cc' }}>
-                🔒 DGB Becomes More Scarce
+                {t('digiDollar.how.scarceTitle')}
               </Typography>
 
               <Paper
@@ -395,40 +395,39 @@ const DigiDollarPage = () => {
                 }}
               >
                 <Typography variant="h4" fontWeight="bold" color="#002352">
-                  2.59 DGB
+                  {formatNumber(2.59)} DGB
                 </Typography>
                 <Typography variant="body2" color="text.secondary">
-                  Per person on Earth
+                  {t('digiDollar.how.perPersonEarth')}
                 </Typography>
                 <Typography variant="caption" color="text.secondary">
-                  (21B max supply ÷ 8.1B population)
+                  {t('digiDollar.how.perPersonMath')}
                 </Typography>
               </Paper>
 
               <Typography variant="body1" paragraph>
-                With only 21 billion DGB ever to exist, locking DGB for DigiDollars makes an
-                already scarce asset even more scarce. This creates natural price support.
+                {t('digiDollar.how.scarceBody')}
               </Typography>
               <List dense>
                 <ListItem>
                   <ListItemIcon><TrendingUpIcon sx={{ color: '#4caf50' }} /></ListItemIcon>
                   <ListItemText
-                    primary="Reduced selling pressure"
-                    secondary="Locked DGB can't be panic sold during market volatility"
+                    primary={t('digiDollar.how.sellingPressure')}
+                    secondary={t('digiDollar.how.sellingPressureDetail')}
                   />
                 </ListItem>
                 <ListItem>
                   <ListItemIcon><TrendingUpIcon sx={{ color: '#4caf50' }} /></ListItemIcon>
                   <ListItemText
-                    primary="Supply shock potential"
-                    secondary="Significant locking could create supply squeeze"
+                    primary={t('digiDollar.how.supplyShock')}
+                    secondary={t('digiDollar.how.supplyShockDetail')}
                   />
                 </ListItem>
                 <ListItem>
                   <ListItemIcon><TrendingUpIcon sx={{ color: '#4caf50' }} /></ListItemIcon>
                   <ListItemText
-                    primary="Benefits all DGB holders"
-                    secondary="Even unlocked DGB benefits from reduced circulating supply"
+                    primary={t('digiDollar.how.allHolders')}
+                    secondary={t('digiDollar.how.allHoldersDetail')}
                   />
                 </ListItem>
               </List>
@@ -438,32 +437,31 @@ const DigiDollarPage = () => {
           <Grid item xs={12} md={6}>
             <Box sx={{ height: '100%' }}>
               <Typography variant="h6" fontWeight="bold" sx={{ mb: 2, color: '#0066cc' }}>
-                💰 Personal Financial Benefits
+                {t('digiDollar.how.personalTitle')}
               </Typography>
               <Typography variant="body1" paragraph>
-                DigiDollar provides unprecedented financial flexibility for DGB holders,
-                enabling sophisticated wealth management strategies.
+                {t('digiDollar.how.personalBody')}
               </Typography>
               <List dense>
                 <ListItem>
                   <ListItemIcon><AttachMoneyIcon sx={{ color: '#4caf50' }} /></ListItemIcon>
                   <ListItemText
-                    primary="Tax-efficient liquidity"
-                    secondary="Access funds without triggering capital gains"
+                    primary={t('digiDollar.how.taxEfficient')}
+                    secondary={t('digiDollar.how.taxEfficientDetail')}
                   />
                 </ListItem>
                 <ListItem>
                   <ListItemIcon><AttachMoneyIcon sx={{ color: '#4caf50' }} /></ListItemIcon>
                   <ListItemText
-                    primary="Keep upside potential"
-                    secondary="Maintain full exposure to DGB price appreciation"
+                    primary={t('digiDollar.how.upside')}
+                    secondary={t('digiDollar.how.upsideDetail')}
                   />
                 </ListItem>
                 <ListItem>
                   <ListItemIcon><AttachMoneyIcon sx={{ color: '#4caf50' }} /></ListItemIcon>
                   <ListItemText
-                    primary="Strategic flexibility"
-                    secondary="Lock portions based on liquidity needs"
+                    primary={t('digiDollar.how.flexibility')}
+                    secondary={t('digiDollar.how.flexibilityDetail')}
                   />
                 </ListItem>
               </List>
@@ -473,15 +471,13 @@ const DigiDollarPage = () => {
 
         <Alert severity="success" sx={{ mt: 3 }}>
           <Typography variant="body2">
-            <strong>The Network Effect:</strong> The more people use DigiDollar, the stronger the DGB ecosystem becomes.
-            Locked DGB creates scarcity → drives price → attracts more users → creates more demand for both DGB and DigiDollar.
-            It's a positive feedback loop that benefits all participants.
+            {tRich('digiDollar.how.networkEffect')}
           </Typography>
         </Alert>
       </Paper>
 
       <Typography variant="h5" fontWeight="bold" sx={{ mb: 3, color: '#002352' }}>
-        The Technical Process
+        {t('digiDollar.how.processTitle')}
       </Typography>
 
       <Grid container spacing={3}>
@@ -491,18 +487,16 @@ const DigiDollarPage = () => {
             sx={{
               p: 3,
               textAlign: 'center',
-              backgroundColor: '#f8f9fa',
+              backgroundColor: 'background.subtle',
               height: '100%'
             }}
           >
             <LockIcon sx={{ fontSize: '3rem', color: '#0066cc', mb: 2 }} />
             <Typography variant="h6" fontWeight="bold" gutterBottom>
-              1. Lock DGB Collateral
+              {t('digiDollar.how.lockTitle')}
             </Typography>
             <Typography variant="body2">
-              Users lock DigiByte as collateral in a time-locked P2TR output.
-              The amount depends on the lock period (200%-1000% of DigiDollar value,
-              with shorter locks requiring more collateral).
+              {t('digiDollar.how.lockBody')}
             </Typography>
           </Paper>
         </Grid>
@@ -513,17 +507,16 @@ const DigiDollarPage = () => {
             sx={{
               p: 3,
               textAlign: 'center',
-              backgroundColor: '#f8f9fa',
+              backgroundColor: 'background.subtle',
               height: '100%'
             }}
           >
             <AttachMoneyIcon sx={{ fontSize: '3rem', color: '#4caf50', mb: 2 }} />
             <Typography variant="h6" fontWeight="bold" gutterBottom>
-              2. Mint DigiDollars
+              {t('digiDollar.how.mintTitle')}
             </Typography>
             <Typography variant="body2">
-              DigiDollars are automatically minted based on the locked DGB value
-              and current USD exchange rate from decentralized oracles.
+              {t('digiDollar.how.mintBody')}
             </Typography>
           </Paper>
         </Grid>
@@ -534,17 +527,16 @@ const DigiDollarPage = () => {
             sx={{
               p: 3,
               textAlign: 'center',
-              backgroundColor: '#f8f9fa',
+              backgroundColor: 'background.subtle',
               height: '100%'
             }}
           >
             <SwapHorizIcon sx={{ fontSize: '3rem', color: '#ff9800', mb: 2 }} />
             <Typography variant="h6" fontWeight="bold" gutterBottom>
-              3. Use & Redeem
+              {t('digiDollar.how.redeemTitle')}
             </Typography>
             <Typography variant="body2">
-              Use DigiDollars for stable transactions. After the lock period expires,
-              burn the required DigiDollars to unlock your full DGB collateral.
+              {t('digiDollar.how.redeemBody')}
             </Typography>
           </Paper>
         </Grid>
@@ -556,21 +548,27 @@ const DigiDollarPage = () => {
   const CollateralSection = () => (
     <Card elevation={3} sx={{ p: 3, mb: 4, borderRadius: '12px' }}>
       <Typography variant="h4" fontWeight="bold" sx={{ mb: 3, color: '#002352' }}>
-        Collateral Requirements
+        {t('digiDollar.collateral.title')}
       </Typography>
 
       <Typography variant="body1" paragraph>
-        DigiDollar uses a sliding collateral scale to prevent attacks while rewarding long-term participants:
+        {t('digiDollar.collateral.intro')}
       </Typography>
 
-      <TableContainer component={Paper} elevation={0} sx={{ backgroundColor: '#f8f9fa' }}>
+      <TableContainer component={Paper} elevation={0} sx={{ backgroundColor: 'background.subtle' }}>
         <Table>
           <TableHead>
             <TableRow sx={{ backgroundColor: '#002352' }}>
-              <TableCell sx={{ color: 'white', fontWeight: 'bold' }}>Lock Period</TableCell>
-              <TableCell align="center" sx={{ color: 'white', fontWeight: 'bold' }}>Collateral Ratio</TableCell>
-              <TableCell align="center" sx={{ color: 'white', fontWeight: 'bold' }}>Undercollateralized After</TableCell>
-              <TableCell align="right" sx={{ color: 'white', fontWeight: 'bold' }}>DGB for $100</TableCell>
+              <TableCell sx={{ color: 'white', fontWeight: 'bold' }}>{t('digiDollar.collateral.lockPeriod')}</TableCell>
+              <TableCell align="center" sx={{ color: 'white', fontWeight: 'bold' }}>
+                {t('digiDollar.collateral.ratio')}
+              </TableCell>
+              <TableCell align="center" sx={{ color: 'white', fontWeight: 'bold' }}>
+                {t('digiDollar.collateral.undercollateralizedAfter')}
+              </TableCell>
+              <TableCell align="right" sx={{ color: 'white', fontWeight: 'bold' }}>
+                {t('digiDollar.collateral.dgbFor100')}
+              </TableCell>
             </TableRow>
           </TableHead>
           <TableBody>
@@ -583,14 +581,14 @@ const DigiDollarPage = () => {
                 }}
               >
                 <TableCell>
-                  {row.period}
+                  {t(`digiDollar.collateral.${row.unit}`, { count: row.count })}
                   {row.testOnly && (
-                    <Chip label="TEST" size="small" sx={{ ml: 1, fontSize: '0.6rem', height: '16px', backgroundColor: '#ff9800', color: 'white' }} />
+                    <Chip label={t('digiDollar.collateral.test')} size="small" sx={{ ml: 1, fontSize: '0.6rem', height: '16px', backgroundColor: '#ff9800', color: 'white' }} />
                   )}
                 </TableCell>
                 <TableCell align="center">
                   <Chip
-                    label={row.ratio}
+                    label={percent(row.ratio)}
                     size="small"
                     sx={{
                       backgroundColor: row.testOnly ? '#fff3e0' : (index < 5 ? '#ffebee' : '#e8f5e9'),
@@ -599,8 +597,8 @@ const DigiDollarPage = () => {
                     }}
                   />
                 </TableCell>
-                <TableCell align="center">{row.undercollateralized}</TableCell>
-                <TableCell align="right">{row.dgbFor100}</TableCell>
+                <TableCell align="center">{t('digiDollar.collateral.drop', { percent: percent(row.drop) })}</TableCell>
+                <TableCell align="right">{formatNumber(row.ratio, { useGrouping: false })} DGB</TableCell>
               </TableRow>
             ))}
           </TableBody>
@@ -609,11 +607,7 @@ const DigiDollarPage = () => {
 
       <Alert severity="info" sx={{ mt: 2 }}>
         <Typography variant="body2">
-          <strong>Note:</strong> 10-tier collateral system ranging from 1000% (1 hour) to 200% (10 years).
-          The 1-hour tier is canonical on all networks (mainnet, testnet, and regtest) and locks real
-          collateral until expiry. Mint validation enforces the canonical tier window declared in the
-          mint OP_RETURN; under-locked or custom durations are rejected. The "Undercollateralized After"
-          column shows how much DGB price can drop before a position becomes undercollateralized.
+          {tRich('digiDollar.collateral.note')}
         </Typography>
       </Alert>
     </Card>
@@ -623,7 +617,7 @@ const DigiDollarPage = () => {
   const UseCasesSection = () => (
     <Card elevation={3} sx={{ p: 3, mb: 4, borderRadius: '12px' }}>
       <Typography variant="h4" fontWeight="bold" sx={{ mb: 3, color: '#002352' }}>
-        Revolutionary Use Cases
+        {t('digiDollar.useCases.title')}
       </Typography>
 
       <Grid container spacing={2}>
@@ -631,10 +625,10 @@ const DigiDollarPage = () => {
           <Paper elevation={0} sx={{ p: 2, backgroundColor: 'rgba(0, 102, 204, 0.05)' }}>
             <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
               <BusinessIcon sx={{ mr: 1, color: '#0066cc' }} />
-              <Typography variant="h6" fontWeight="bold">Corporate Bonds</Typography>
+              <Typography variant="h6" fontWeight="bold">{t('digiDollar.useCases.bonds')}</Typography>
             </Box>
             <Typography variant="body2" color="text.secondary">
-              $140.7 Trillion market - Instant settlement vs 2-3 day traditional clearing
+              {t('digiDollar.useCases.bondsBody')}
             </Typography>
           </Paper>
         </Grid>
@@ -643,10 +637,10 @@ const DigiDollarPage = () => {
           <Paper elevation={0} sx={{ p: 2, backgroundColor: 'rgba(0, 35, 82, 0.05)' }}>
             <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
               <HomeIcon sx={{ mr: 1, color: '#002352' }} />
-              <Typography variant="h6" fontWeight="bold">Real Estate</Typography>
+              <Typography variant="h6" fontWeight="bold">{t('digiDollar.useCases.realEstate')}</Typography>
             </Box>
             <Typography variant="body2" color="text.secondary">
-              $79.7 Trillion market - Fractional ownership democratizes property investment
+              {t('digiDollar.useCases.realEstateBody')}
             </Typography>
           </Paper>
         </Grid>
@@ -655,10 +649,10 @@ const DigiDollarPage = () => {
           <Paper elevation={0} sx={{ p: 2, backgroundColor: 'rgba(76, 175, 80, 0.05)' }}>
             <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
               <DirectionsCarIcon sx={{ mr: 1, color: '#4caf50' }} />
-              <Typography variant="h6" fontWeight="bold">Autonomous Vehicles</Typography>
+              <Typography variant="h6" fontWeight="bold">{t('digiDollar.useCases.vehicles')}</Typography>
             </Box>
             <Typography variant="body2" color="text.secondary">
-              $13.7 Trillion by 2030 - Self-driving cars manage their own finances
+              {t('digiDollar.useCases.vehiclesBody')}
             </Typography>
           </Paper>
         </Grid>
@@ -667,10 +661,10 @@ const DigiDollarPage = () => {
           <Paper elevation={0} sx={{ p: 2, backgroundColor: 'rgba(255, 152, 0, 0.05)' }}>
             <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
               <SendIcon sx={{ mr: 1, color: '#ff9800' }} />
-              <Typography variant="h6" fontWeight="bold">Global Remittances</Typography>
+              <Typography variant="h6" fontWeight="bold">{t('digiDollar.useCases.remittances')}</Typography>
             </Box>
             <Typography variant="body2" color="text.secondary">
-              $685 Billion market - Reduce costs from 6.3% average to $0.01 flat fee
+              {t('digiDollar.useCases.remittancesBody')}
             </Typography>
           </Paper>
         </Grid>
@@ -679,10 +673,10 @@ const DigiDollarPage = () => {
           <Paper elevation={0} sx={{ p: 2, backgroundColor: 'rgba(233, 30, 99, 0.05)' }}>
             <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
               <LocalHospitalIcon sx={{ mr: 1, color: '#e91e63' }} />
-              <Typography variant="h6" fontWeight="bold">Healthcare Payments</Typography>
+              <Typography variant="h6" fontWeight="bold">{t('digiDollar.useCases.healthcare')}</Typography>
             </Box>
             <Typography variant="body2" color="text.secondary">
-              $550 Billion market - Real-time claim adjudication and transparent pricing
+              {t('digiDollar.useCases.healthcareBody')}
             </Typography>
           </Paper>
         </Grid>
@@ -691,10 +685,10 @@ const DigiDollarPage = () => {
           <Paper elevation={0} sx={{ p: 2, backgroundColor: 'rgba(156, 39, 176, 0.05)' }}>
             <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
               <PublicIcon sx={{ mr: 1, color: '#9c27b0' }} />
-              <Typography variant="h6" fontWeight="bold">And 45+ More</Typography>
+              <Typography variant="h6" fontWeight="bold">{t('digiDollar.useCases.more')}</Typography>
             </Box>
             <Typography variant="body2" color="text.secondary">
-              From supply chain to gaming, DigiDollar enables countless innovations
+              {t('digiDollar.useCases.moreBody')}
             </Typography>
           </Paper>
         </Grid>
@@ -706,7 +700,7 @@ const DigiDollarPage = () => {
   const TechnicalSection = () => (
     <Card elevation={3} sx={{ p: 3, mb: 4, borderRadius: '12px' }}>
       <Typography variant="h4" fontWeight="bold" sx={{ mb: 3, color: '#002352' }}>
-        Technical Implementation
+        {t('digiDollar.tech.title')}
       </Typography>
 
       <Alert
@@ -718,38 +712,35 @@ const DigiDollarPage = () => {
         }}
       >
         <Typography variant="body2">
-          <strong>Revolutionary Architecture:</strong> DigiDollar is the world's first truly
-          decentralized stablecoin built natively on a UTXO (Unspent Transaction Output) blockchain.
-          All operations occur directly in DigiByte Core wallet - users maintain complete control
-          of their private keys throughout the entire process.
+          {tRich('digiDollar.tech.architecture')}
         </Typography>
       </Alert>
 
       <Grid container spacing={3}>
         <Grid item xs={12} md={6}>
           <Typography variant="h6" fontWeight="bold" sx={{ mb: 2, color: '#0066cc' }}>
-            Core Technologies
+            {t('digiDollar.tech.coreTitle')}
           </Typography>
           <List>
             <ListItem>
               <ListItemIcon><CodeIcon sx={{ color: '#002352' }} /></ListItemIcon>
               <ListItemText
-                primary="Taproot Integration"
-                secondary="Enhanced privacy using P2TR outputs and Schnorr signatures"
+                primary={t('digiDollar.tech.taproot')}
+                secondary={t('digiDollar.tech.taprootDetail')}
               />
             </ListItem>
             <ListItem>
               <ListItemIcon><SecurityIcon sx={{ color: '#002352' }} /></ListItemIcon>
               <ListItemText
-                primary="Decentralized Oracles"
-                secondary="Live on testnet26 (port 12033): 7-signature MuSig2 quorum, 35 active oracle slots (0-34). On-chain oracle bundle format: v0x03 (MuSig2)."
+                primary={t('digiDollar.tech.oracles')}
+                secondary={t('digiDollar.tech.oraclesDetail')}
               />
             </ListItem>
             <ListItem>
               <ListItemIcon><SpeedIcon sx={{ color: '#002352' }} /></ListItemIcon>
               <ListItemText
-                primary="MAST Implementation"
-                secondary="Efficient script execution with Merkleized Alternative Script Trees"
+                primary={t('digiDollar.tech.mast')}
+                secondary={t('digiDollar.tech.mastDetail')}
               />
             </ListItem>
           </List>
@@ -757,24 +748,24 @@ const DigiDollarPage = () => {
 
         <Grid item xs={12} md={6}>
           <Typography variant="h6" fontWeight="bold" sx={{ mb: 2, color: '#0066cc' }}>
-            Key Features
+            {t('digiDollar.tech.featuresTitle')}
           </Typography>
           <List>
             <ListItem>
               <ListItemIcon><CheckCircleIcon sx={{ color: '#4caf50' }} /></ListItemIcon>
-              <ListItemText primary="No forced liquidations during market volatility" />
+              <ListItemText primary={t('digiDollar.tech.noLiquidations')} />
             </ListItem>
             <ListItem>
               <ListItemIcon><CheckCircleIcon sx={{ color: '#4caf50' }} /></ListItemIcon>
-              <ListItemText primary="All transactions appear identical on-chain (privacy)" />
+              <ListItemText primary={t('digiDollar.tech.identicalTx')} />
             </ListItem>
             <ListItem>
               <ListItemIcon><CheckCircleIcon sx={{ color: '#4caf50' }} /></ListItemIcon>
-              <ListItemText primary="Batch signature verification for efficiency" />
+              <ListItemText primary={t('digiDollar.tech.batchVerify')} />
             </ListItem>
             <ListItem>
               <ListItemIcon><CheckCircleIcon sx={{ color: '#4caf50' }} /></ListItemIcon>
-              <ListItemText primary="Native blockchain integration (no side chains)" />
+              <ListItemText primary={t('digiDollar.tech.native')} />
             </ListItem>
           </List>
         </Grid>
@@ -786,12 +777,11 @@ const DigiDollarPage = () => {
   const TechnicalDetailsSection = () => (
     <Card elevation={3} sx={{ p: 3, mb: 4, borderRadius: '12px' }}>
       <Typography variant="h4" fontWeight="bold" sx={{ mb: 3, color: '#002352' }}>
-        Technical Implementation Details
+        {t('digiDollar.details.title')}
       </Typography>
 
       <Typography variant="body1" paragraph>
-        DigiDollar leverages advanced Bitcoin Script opcodes and DigiByte's unique capabilities to create
-        a trustless, decentralized stablecoin system:
+        {t('digiDollar.details.intro')}
       </Typography>
 
       <Grid container spacing={3}>
@@ -805,28 +795,28 @@ const DigiDollarPage = () => {
             }}
           >
             <Typography variant="h6" fontWeight="bold" sx={{ mb: 2, color: '#0066cc' }}>
-              Time Lock Mechanism
+              {t('digiDollar.details.timeLockTitle')}
             </Typography>
             <List dense>
               <ListItem>
                 <ListItemIcon><CodeIcon sx={{ color: '#002352' }} /></ListItemIcon>
                 <ListItemText
                   primary="OP_CHECKLOCKTIMEVERIFY (CLTV)"
-                  secondary="Enforces time-based collateral lock periods (1 hour to 10 years)"
+                  secondary={t('digiDollar.details.cltvDetail')}
                 />
               </ListItem>
               <ListItem>
                 <ListItemIcon><CodeIcon sx={{ color: '#002352' }} /></ListItemIcon>
                 <ListItemText
                   primary="OP_CHECKSEQUENCEVERIFY (CSV)"
-                  secondary="Enables relative time locks for redemption windows"
+                  secondary={t('digiDollar.details.csvDetail')}
                 />
               </ListItem>
               <ListItem>
                 <ListItemIcon><LockIcon sx={{ color: '#002352' }} /></ListItemIcon>
                 <ListItemText
                   primary="nLockTime"
-                  secondary="Prevents transactions from being mined until specified block height"
+                  secondary={t('digiDollar.details.nLockTimeDetail')}
                 />
               </ListItem>
             </List>
@@ -843,28 +833,28 @@ const DigiDollarPage = () => {
             }}
           >
             <Typography variant="h6" fontWeight="bold" sx={{ mb: 2, color: '#002352' }}>
-              Core Script Functions
+              {t('digiDollar.details.scriptTitle')}
             </Typography>
             <List dense>
               <ListItem>
                 <ListItemIcon><SecurityIcon sx={{ color: '#0066cc' }} /></ListItemIcon>
                 <ListItemText
-                  primary="Oracle Validation"
-                  secondary="Live on testnet26 (port 12033): 7-signature MuSig2 quorum, 35 active oracle slots (0-34). On-chain oracle bundle format: v0x03 (MuSig2)."
+                  primary={t('digiDollar.details.oracleValidation')}
+                  secondary={t('digiDollar.tech.oraclesDetail')}
                 />
               </ListItem>
               <ListItem>
                 <ListItemIcon><SecurityIcon sx={{ color: '#0066cc' }} /></ListItemIcon>
                 <ListItemText
-                  primary="Taproot Script Paths"
-                  secondary="Multiple redemption conditions in a single P2TR output"
+                  primary={t('digiDollar.details.scriptPaths')}
+                  secondary={t('digiDollar.details.scriptPathsDetail')}
                 />
               </ListItem>
               <ListItem>
                 <ListItemIcon><SecurityIcon sx={{ color: '#0066cc' }} /></ListItemIcon>
                 <ListItemText
-                  primary="MAST Trees"
-                  secondary="Merkleized scripts for privacy and efficiency"
+                  primary={t('digiDollar.details.mastTrees')}
+                  secondary={t('digiDollar.details.mastTreesDetail')}
                 />
               </ListItem>
             </List>
@@ -877,24 +867,22 @@ const DigiDollarPage = () => {
         sx={{
           p: 3,
           mt: 3,
-          backgroundColor: '#f8f9fa',
+          backgroundColor: 'background.subtle',
           borderLeft: '4px solid #0066cc'
         }}
       >
         <Typography variant="h6" fontWeight="bold" sx={{ mb: 2, color: '#002352' }}>
-          How It Works - Simple Technical Flow
+          {t('digiDollar.details.flowTitle')}
         </Typography>
 
         <Grid container spacing={2}>
           <Grid item xs={12} md={4}>
             <Box sx={{ textAlign: 'center', p: 2 }}>
               <Typography variant="subtitle1" fontWeight="bold" color="#0066cc" gutterBottom>
-                1. Minting Process
+                {t('digiDollar.details.mintingTitle')}
               </Typography>
               <Typography variant="body2">
-                User creates a P2TR output with DGB collateral, embedding time lock
-                (CLTV) and oracle price data. Script validates collateral ratio and
-                mints corresponding DigiDollars.
+                {t('digiDollar.details.mintingBody')}
               </Typography>
             </Box>
           </Grid>
@@ -902,12 +890,10 @@ const DigiDollarPage = () => {
           <Grid item xs={12} md={4}>
             <Box sx={{ textAlign: 'center', p: 2 }}>
               <Typography variant="subtitle1" fontWeight="bold" color="#4caf50" gutterBottom>
-                2. Oracle Verification
+                {t('digiDollar.details.verifyTitle')}
               </Typography>
               <Typography variant="body2">
-                35 active oracle slots (0-34) with a 7-signature MuSig2 quorum on testnet26.
-                Six active exchange APIs (Binance, KuCoin, Gate.io, HTX,
-                Crypto.com, CoinGecko) feed oracle signatures using MuSig2 aggregate signing (v0x03).
+                {t('digiDollar.details.verifyBody')}
               </Typography>
             </Box>
           </Grid>
@@ -915,12 +901,10 @@ const DigiDollarPage = () => {
           <Grid item xs={12} md={4}>
             <Box sx={{ textAlign: 'center', p: 2 }}>
               <Typography variant="subtitle1" fontWeight="bold" color="#ff9800" gutterBottom>
-                3. Redemption Process
+                {t('digiDollar.details.redemptionTitle')}
               </Typography>
               <Typography variant="body2">
-                After time lock expires (verified by CLTV), user can redeem
-                DigiDollars to unlock DGB. Script burns DigiDollars and releases
-                collateral to user's address.
+                {t('digiDollar.details.redemptionBody')}
               </Typography>
             </Box>
           </Grid>
@@ -929,10 +913,7 @@ const DigiDollarPage = () => {
 
       <Alert severity="info" sx={{ mt: 3 }}>
         <Typography variant="body2">
-          <strong>Key Innovation:</strong> Unlike Ethereum-based stablecoins that require smart contracts
-          and gas fees, DigiDollar uses native UTXO script capabilities for superior security, lower costs,
-          and true decentralization. The entire system operates without intermediaries, smart contract risks,
-          or custody requirements.
+          {tRich('digiDollar.details.innovation')}
         </Typography>
       </Alert>
     </Card>
@@ -942,7 +923,7 @@ const DigiDollarPage = () => {
   const ProtectionSystemSection = () => (
     <Card elevation={3} sx={{ p: 3, mb: 4, borderRadius: '12px' }}>
       <Typography variant="h4" fontWeight="bold" sx={{ mb: 3, color: '#002352' }}>
-        Four-Layer Protection System
+        {t('digiDollar.protection.title')}
       </Typography>
 
       <Alert
@@ -954,9 +935,7 @@ const DigiDollarPage = () => {
         }}
       >
         <Typography variant="body2">
-          <strong>The Time-Lock Challenge:</strong> Since collateral is cryptographically time-locked,
-          there are NO forced liquidations or margin calls. Positions must ride out the full term
-          regardless of market conditions. This requires a unique protection approach.
+          {tRich('digiDollar.protection.challenge')}
         </Typography>
       </Alert>
 
@@ -968,22 +947,21 @@ const DigiDollarPage = () => {
             sx={{
               p: 3,
               height: '100%',
-              backgroundColor: '#f8f9fa',
+              backgroundColor: 'background.subtle',
               borderTop: '4px solid #002352'
             }}
           >
             <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
               <Typography variant="h6" fontWeight="bold" color="#002352">
-                1️⃣ Higher Collateral Requirements
+                {t('digiDollar.protection.layer1Title')}
               </Typography>
-              <Chip label="First Defense" size="small" sx={{ ml: 'auto', backgroundColor: '#e3f2fd' }} />
+              <Chip label={t('digiDollar.protection.layer1Chip')} size="small" sx={{ ml: 'auto', backgroundColor: '#e3f2fd' }} />
             </Box>
             <Typography variant="body2" paragraph>
-              The 1000%→200% sliding scale provides massive buffer against price drops.
-              The one-hour tier requires 10x collateral, protecting against short-term volatility.
+              {t('digiDollar.protection.layer1Body')}
             </Typography>
             <Typography variant="body2" color="text.secondary">
-              <strong>Example:</strong> With 1000% collateral, DGB can drop 90% before undercollateralization.
+              {tRich('digiDollar.protection.layer1Example')}
             </Typography>
           </Paper>
         </Grid>
@@ -995,38 +973,38 @@ const DigiDollarPage = () => {
             sx={{
               p: 3,
               height: '100%',
-              backgroundColor: '#f8f9fa',
+              backgroundColor: 'background.subtle',
               borderTop: '4px solid #0066cc'
             }}
           >
             <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
               <Typography variant="h6" fontWeight="bold" color="#0066cc">
-                2️⃣ Dynamic Collateral Adjustment
+                {t('digiDollar.protection.layer2Title')}
               </Typography>
-              <Chip label="Second Defense" size="small" sx={{ ml: 'auto', backgroundColor: '#e3f2fd' }} />
+              <Chip label={t('digiDollar.protection.layer2Chip')} size="small" sx={{ ml: 'auto', backgroundColor: '#e3f2fd' }} />
             </Box>
             <Typography variant="body2" paragraph>
-              As system health changes, collateral requirements automatically adjust:
+              {t('digiDollar.protection.layer2Body')}
             </Typography>
             <List dense sx={{ pl: 0 }}>
               <ListItem sx={{ pl: 0, py: 0 }}>
                 <Typography variant="caption">
-                  • ≥150%: Normal (1.0x multiplier)
+                  {t('digiDollar.protection.dcaNormal')}
                 </Typography>
               </ListItem>
               <ListItem sx={{ pl: 0, py: 0 }}>
                 <Typography variant="caption">
-                  • 120-149%: +25% collateral (1.25x)
+                  {t('digiDollar.protection.dcaLow')}
                 </Typography>
               </ListItem>
               <ListItem sx={{ pl: 0, py: 0 }}>
                 <Typography variant="caption">
-                  • 110-119%: +50% collateral (1.5x)
+                  {t('digiDollar.protection.dcaWarning')}
                 </Typography>
               </ListItem>
               <ListItem sx={{ pl: 0, py: 0 }}>
                 <Typography variant="caption">
-                  • &lt;110%: +100% collateral (2.0x)
+                  {t('digiDollar.protection.dcaCritical')}
                 </Typography>
               </ListItem>
             </List>
@@ -1040,25 +1018,24 @@ const DigiDollarPage = () => {
             sx={{
               p: 3,
               height: '100%',
-              backgroundColor: '#f8f9fa',
+              backgroundColor: 'background.subtle',
               borderTop: '4px solid #ff9800'
             }}
           >
             <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
               <Typography variant="h6" fontWeight="bold" color="#ff9800">
-                3️⃣ Emergency Redemption Ratio
+                {t('digiDollar.protection.layer3Title')}
               </Typography>
-              <Chip label="Third Defense" size="small" sx={{ ml: 'auto', backgroundColor: '#fff3e0' }} />
+              <Chip label={t('digiDollar.protection.layer3Chip')} size="small" sx={{ ml: 'auto', backgroundColor: '#fff3e0' }} />
             </Box>
             <Typography variant="body2" paragraph>
-              If system drops below 100% collateralized, redemptions require <strong>more DD to burn</strong>,
-              but you <strong>ALWAYS get 100% of your collateral back</strong>.
+              {tRich('digiDollar.protection.layer3Body')}
             </Typography>
             <Typography variant="body2" color="text.secondary">
-              <strong>ERR Tiers:</strong> 95-100% → burn 105.3% DD | 90-95% → burn 111.1% DD | 85-90% → burn 117.6% DD | &lt;85% → burn 125% DD
+              {tRich('digiDollar.protection.errTiers')}
             </Typography>
             <Typography variant="caption" color="text.secondary">
-              Example: At 80% system health, burn 125 DD to redeem 100 DD position → get FULL collateral back
+              {t('digiDollar.protection.layer3Example')}
             </Typography>
           </Paper>
         </Grid>
@@ -1070,22 +1047,21 @@ const DigiDollarPage = () => {
             sx={{
               p: 3,
               height: '100%',
-              backgroundColor: '#f8f9fa',
+              backgroundColor: 'background.subtle',
               borderTop: '4px solid #4caf50'
             }}
           >
             <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
               <Typography variant="h6" fontWeight="bold" color="#4caf50">
-                4️⃣ Supply & Demand Dynamics
+                {t('digiDollar.protection.layer4Title')}
               </Typography>
-              <Chip label="Natural Defense" size="small" sx={{ ml: 'auto', backgroundColor: '#e8f5e9' }} />
+              <Chip label={t('digiDollar.protection.layer4Chip')} size="small" sx={{ ml: 'auto', backgroundColor: '#e8f5e9' }} />
             </Box>
             <Typography variant="body2" paragraph>
-              Locked DGB reduces circulating supply, creating natural price support.
-              With only 21B DGB max, locking creates scarcity.
+              {t('digiDollar.protection.layer4Body')}
             </Typography>
             <Typography variant="body2" color="text.secondary">
-              <strong>Effect:</strong> More locking → Less supply → Higher DGB price → Better collateralization
+              {tRich('digiDollar.protection.layer4Effect')}
             </Typography>
           </Paper>
         </Grid>
@@ -1102,43 +1078,45 @@ const DigiDollarPage = () => {
         }}
       >
         <Typography variant="h6" fontWeight="bold" sx={{ mb: 2, color: '#002352' }}>
-          🔍 Real-Time System Monitoring
+          {t('digiDollar.protection.monitoringTitle')}
         </Typography>
         <Typography variant="body2" paragraph>
-          The system continuously tracks critical health metrics to ensure stability:
+          {t('digiDollar.protection.monitoringBody')}
         </Typography>
         <Grid container spacing={2}>
           <Grid item xs={12} sm={6}>
             <List dense sx={{ pl: 0 }}>
               <ListItem sx={{ pl: 0, py: 0 }}>
-                <Typography variant="body2">• Total DGB locked per tier</Typography>
+                <Typography variant="body2">{t('digiDollar.protection.monitorLocked')}</Typography>
               </ListItem>
               <ListItem sx={{ pl: 0, py: 0 }}>
-                <Typography variant="body2">• Total DigiDollars minted</Typography>
+                <Typography variant="body2">{t('digiDollar.protection.monitorMinted')}</Typography>
               </ListItem>
             </List>
           </Grid>
           <Grid item xs={12} sm={6}>
             <List dense sx={{ pl: 0 }}>
               <ListItem sx={{ pl: 0, py: 0 }}>
-                <Typography variant="body2">• Per-tier collateral ratios</Typography>
+                <Typography variant="body2">{t('digiDollar.protection.monitorRatios')}</Typography>
               </ListItem>
               <ListItem sx={{ pl: 0, py: 0 }}>
-                <Typography variant="body2">• Aggregate system health</Typography>
+                <Typography variant="body2">{t('digiDollar.protection.monitorHealth')}</Typography>
               </ListItem>
             </List>
           </Grid>
         </Grid>
         <Typography variant="caption" color="text.secondary" sx={{ mt: 2, display: 'block' }}>
-          Accessible via RPC command: <code style={{ backgroundColor: '#f5f5f5', padding: '2px 4px', borderRadius: '3px' }}>getdigidollarstats</code>
+          {tRich('digiDollar.protection.rpcAccess', {
+            command: (
+              <Box component="code" sx={{ bgcolor: 'background.code', px: 0.5, borderRadius: '3px' }}>getdigidollarstats</Box>
+            ),
+          })}
         </Typography>
       </Paper>
 
       <Alert severity="success" sx={{ mt: 3 }}>
         <Typography variant="body2">
-          <strong>Key Insight:</strong> These four layers work together without forced liquidations.
-          Prevention (higher collateral), adaptation (dynamic adjustment), crisis management (emergency ratios),
-          and market forces (scarcity) create a self-balancing, resilient system.
+          {tRich('digiDollar.protection.insight')}
         </Typography>
       </Alert>
     </Card>
@@ -1148,7 +1126,7 @@ const DigiDollarPage = () => {
   const RoadmapSection = () => (
     <Card elevation={3} sx={{ p: 3, mb: 4, borderRadius: '12px' }}>
       <Typography variant="h4" fontWeight="bold" sx={{ mb: 3, color: '#002352' }}>
-        Development Roadmap
+        {t('digiDollar.roadmap.title')}
       </Typography>
 
       <Grid container spacing={3}>
@@ -1165,10 +1143,10 @@ const DigiDollarPage = () => {
           >
             <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
               <Typography variant="h5" fontWeight="bold" color="#002352">
-                DigiDollar Implementation Specs
+                {t('digiDollar.roadmap.specsTitle')}
               </Typography>
               <Chip
-                label="SHIPPED — v9.26.4"
+                label={t('digiDollar.roadmap.shippedChip')}
                 size="small"
                 sx={{
                   backgroundColor: '#4caf50',
@@ -1179,85 +1157,27 @@ const DigiDollarPage = () => {
             </Box>
 
             <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-              All milestones complete — shipped in v9.26.2, current release v9.26.4
+              {t('digiDollar.roadmap.specsSummary')}
             </Typography>
 
             <Box sx={{ mb: 3, maxHeight: '400px', overflowY: 'auto' }}>
-              <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
-                <CheckCircleIcon sx={{ color: '#4caf50', mr: 1, fontSize: '1.2rem' }} />
-                <Typography variant="body2">
-                  <strong>DD/TD/RD Address System</strong> - Complete
-                </Typography>
-              </Box>
-              <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
-                <CheckCircleIcon sx={{ color: '#4caf50', mr: 1, fontSize: '1.2rem' }} />
-                <Typography variant="body2">
-                  <strong>10-Tier Collateral System</strong> - Complete
-                </Typography>
-              </Box>
-              <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
-                <CheckCircleIcon sx={{ color: '#4caf50', mr: 1, fontSize: '1.2rem' }} />
-                <Typography variant="body2">
-                  <strong>Minting Process (Fully Refactored)</strong> - Complete
-                </Typography>
-              </Box>
-              <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
-                <CheckCircleIcon sx={{ color: '#4caf50', mr: 1, fontSize: '1.2rem' }} />
-                <Typography variant="body2">
-                  <strong>Send/Receive DigiDollars</strong> - Complete
-                </Typography>
-              </Box>
-              <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
-                <CheckCircleIcon sx={{ color: '#4caf50', mr: 1, fontSize: '1.2rem' }} />
-                <Typography variant="body2">
-                  <strong>Complete Wallet UI (7 Tabs)</strong> - Complete
-                </Typography>
-              </Box>
-              <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
-                <CheckCircleIcon sx={{ color: '#4caf50', mr: 1, fontSize: '1.2rem' }} />
-                <Typography variant="body2">
-                  <strong>Network-Wide UTXO Tracking</strong> - Complete
-                </Typography>
-              </Box>
-              <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
-                <CheckCircleIcon sx={{ color: '#4caf50', mr: 1, fontSize: '1.2rem' }} />
-                <Typography variant="body2">
-                  <strong>Redemption System</strong> - Complete
-                </Typography>
-              </Box>
-              <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
-                <CheckCircleIcon sx={{ color: '#4caf50', mr: 1, fontSize: '1.2rem' }} />
-                <Typography variant="body2">
-                  <strong>DCA/ERR/Volatility Protection</strong> - Complete
-                </Typography>
-              </Box>
-              <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
-                <CheckCircleIcon sx={{ color: '#4caf50', mr: 1, fontSize: '1.2rem' }} />
-                <Typography variant="body2">
-                  <strong>Oracle System</strong> - 7-signature MuSig2 quorum across 35 active oracle slots, live on testnet26
-                </Typography>
-              </Box>
-              <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
-                <CheckCircleIcon sx={{ color: '#4caf50', mr: 1, fontSize: '1.2rem' }} />
-                <Typography variant="body2">
-                  <strong>MuSig2 Oracle Validation (7-of-35 active roster)</strong> - Complete
-                </Typography>
-              </Box>
-              <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
-                <CheckCircleIcon sx={{ color: '#4caf50', mr: 1, fontSize: '1.2rem' }} />
-                <Typography variant="body2">
-                  <strong>Mainnet Release (v9.26.2) + Pruned-Node Support (v9.26.4)</strong> - Complete
-                </Typography>
-              </Box>
+              {SPEC_MILESTONES.map((key) => (
+                <Box key={key} sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+                  <CheckCircleIcon sx={{ color: '#4caf50', mr: 1, fontSize: '1.2rem' }} />
+                  <Typography variant="body2">
+                    {tRich(`digiDollar.roadmap.specs.${key}`)}
+                  </Typography>
+                </Box>
+              ))}
             </Box>
 
             <Typography variant="caption" color="text.secondary" sx={{ mt: 2, display: 'block' }}>
-              11/11 milestones completed • shipped on mainnet
+              {t('digiDollar.roadmap.specsCount')}
             </Typography>
 
             <Alert severity="success" sx={{ mt: 2 }}>
               <Typography variant="caption">
-                <strong>RELEASED:</strong> DigiByte v9.26.2 launched on mainnet June 29, 2026 — miners can now signal for DigiDollar activation
+                {tRich('digiDollar.roadmap.released')}
               </Typography>
             </Alert>
           </Paper>
@@ -1276,10 +1196,10 @@ const DigiDollarPage = () => {
           >
             <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
               <Typography variant="h5" fontWeight="bold" color="#002352">
-                DigiByte v9.26.2 DigiDollar Release
+                {t('digiDollar.roadmap.releaseTitle')}
               </Typography>
               <Chip
-                label="MAINNET RELEASED"
+                label={t('digiDollar.roadmap.mainnetChip')}
                 size="small"
                 sx={{
                   backgroundColor: '#4caf50',
@@ -1290,70 +1210,23 @@ const DigiDollarPage = () => {
             </Box>
 
             <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-              Oracle System - 35 active oracle slots (0-34), 7-signature MuSig2 quorum (BIP-327 over BIP-340 Schnorr)
+              {t('digiDollar.roadmap.releaseSummary')}
             </Typography>
 
             <List dense sx={{ pl: 0, maxHeight: '400px', overflowY: 'auto' }}>
-              <ListItem sx={{ pl: 0 }}>
-                <ListItemIcon><CheckCircleIcon sx={{ color: '#4caf50', fontSize: '1.2rem' }} /></ListItemIcon>
-                <ListItemText
-                  primary="OP_ORACLE opcode (0xbf) Integration"
-                  secondary="Complete - Compact 22-byte oracle format"
-                />
-              </ListItem>
-              <ListItem sx={{ pl: 0 }}>
-                <ListItemIcon><CheckCircleIcon sx={{ color: '#4caf50', fontSize: '1.2rem' }} /></ListItemIcon>
-                <ListItemText
-                  primary="Six Active Exchange API Integration"
-                  secondary="Complete - Binance, KuCoin, Gate.io, HTX, Crypto.com, CoinGecko"
-                />
-              </ListItem>
-              <ListItem sx={{ pl: 0 }}>
-                <ListItemIcon><CheckCircleIcon sx={{ color: '#4caf50', fontSize: '1.2rem' }} /></ListItemIcon>
-                <ListItemText
-                  primary="P2P Message Handling"
-                  secondary="Complete - ORACLEPRICE, MuSig2 nonce/context/partial-sig, GETORACLES"
-                />
-              </ListItem>
-              <ListItem sx={{ pl: 0 }}>
-                <ListItemIcon><CheckCircleIcon sx={{ color: '#4caf50', fontSize: '1.2rem' }} /></ListItemIcon>
-                <ListItemText
-                  primary="Testnet/Regtest Block Validation"
-                  secondary="Complete - Activation heights: Testnet26 600, Regtest 650"
-                />
-              </ListItem>
-              <ListItem sx={{ pl: 0 }}>
-                <ListItemIcon><CheckCircleIcon sx={{ color: '#4caf50', fontSize: '1.2rem' }} /></ListItemIcon>
-                <ListItemText
-                  primary="Schnorr Signatures (BIP-340)"
-                  secondary="Complete - Price cache with ConnectBlock/DisconnectBlock"
-                />
-              </ListItem>
-              <ListItem sx={{ pl: 0 }}>
-                <ListItemIcon><CheckCircleIcon sx={{ color: '#4caf50', fontSize: '1.2rem' }} /></ListItemIcon>
-                <ListItemText
-                  primary="Oracle Consensus (7-signature MuSig2)"
-                  secondary="Active on testnet26 - 35 active oracle slots (0-34), 7 signatures required"
-                />
-              </ListItem>
-              <ListItem sx={{ pl: 0 }}>
-                <ListItemIcon><CheckCircleIcon sx={{ color: '#4caf50', fontSize: '1.2rem' }} /></ListItemIcon>
-                <ListItemText
-                  primary="DigiDollar Activated on Testnet"
-                  secondary="Complete - v9.26.0-RC44, testnet26 with oracle price feeds"
-                />
-              </ListItem>
-              <ListItem sx={{ pl: 0 }}>
-                <ListItemIcon><CheckCircleIcon sx={{ color: '#4caf50', fontSize: '1.2rem' }} /></ListItemIcon>
-                <ListItemText
-                  primary="DigiByte v9.26.2 Mainnet Release"
-                  secondary="Complete - Released June 29, 2026; DigiDollar activation pending via BIP9 signaling"
-                />
-              </ListItem>
+              {RELEASE_MILESTONES.map((key) => (
+                <ListItem key={key} sx={{ pl: 0 }}>
+                  <ListItemIcon><CheckCircleIcon sx={{ color: '#4caf50', fontSize: '1.2rem' }} /></ListItemIcon>
+                  <ListItemText
+                    primary={t(`digiDollar.roadmap.release.${key}`)}
+                    secondary={t(`digiDollar.roadmap.release.${key}Detail`)}
+                  />
+                </ListItem>
+              ))}
             </List>
 
             <Typography variant="caption" color="text.secondary" sx={{ mt: 2, display: 'block' }}>
-              8/8 milestones completed • Mainnet v9.26.2 released June 29, 2026
+              {t('digiDollar.roadmap.releaseCount')}
             </Typography>
           </Paper>
         </Grid>
@@ -1361,14 +1234,13 @@ const DigiDollarPage = () => {
 
       <Alert severity="success" sx={{ mt: 3 }}>
         <Typography variant="body2">
-          <strong>Current Status:</strong> DigiByte <strong>v9.26.2 released on mainnet June 29, 2026</strong> with DigiDollar
-          and a 7-signature MuSig2 oracle quorum across 35 active oracle slots (0-34). DigiDollar is already active on testnet26.
-          On mainnet, DigiDollar activates through BIP9 miner signaling (version bit 23, 70% threshold — 28,224 of 40,320
-          blocks per signaling window; the minimum activation height of 23,627,520 has already passed, so activation now
-          depends solely on miner signaling). For complete details and all other upgrades, see the full{' '}
-          <a href="/roadmap" style={{ color: '#0066cc', fontWeight: 'bold' }}>
-            DigiByte Roadmap
-          </a>.
+          {tRich('digiDollar.roadmap.currentStatus', {
+            roadmapLink: (
+              <a href="/roadmap" style={{ color: '#0066cc', fontWeight: 'bold' }}>
+                {t('digiDollar.roadmap.roadmapLink')}
+              </a>
+            ),
+          })}
         </Typography>
       </Alert>
     </Card>
@@ -1379,16 +1251,16 @@ const DigiDollarPage = () => {
     <Card
       elevation={2}
       sx={{
-        backgroundColor: '#f2f4f8',
+        backgroundColor: 'background.subtle',
         borderRadius: '12px',
         mb: 4,
-        backgroundImage: 'linear-gradient(135deg, #f8f9fa 0%, #e8eef7 100%)',
+        backgroundImage: (theme) => theme.palette.background.hero,
         border: '1px solid rgba(0, 35, 82, 0.1)'
       }}
     >
       <CardContent sx={{ p: 3 }}>
         <Typography variant="h4" fontWeight="bold" sx={{ mb: 3, color: '#002352', textAlign: 'center' }}>
-          Learn More
+          {t('digiDollar.resources.title')}
         </Typography>
 
         <Grid container spacing={2} justifyContent="center">
@@ -1407,7 +1279,7 @@ const DigiDollarPage = () => {
               target="_blank"
               rel="noopener noreferrer"
             >
-              White Paper
+              {t('digiDollar.resources.whitePaper')}
             </Button>
           </Grid>
 
@@ -1426,7 +1298,7 @@ const DigiDollarPage = () => {
               target="_blank"
               rel="noopener noreferrer"
             >
-              Tech Specs
+              {t('digiDollar.resources.techSpecs')}
             </Button>
           </Grid>
 
@@ -1445,7 +1317,7 @@ const DigiDollarPage = () => {
               target="_blank"
               rel="noopener noreferrer"
             >
-              50 Use Cases
+              {t('digiDollar.resources.useCases')}
             </Button>
           </Grid>
 
@@ -1467,7 +1339,7 @@ const DigiDollarPage = () => {
               target="_blank"
               rel="noopener noreferrer"
             >
-              Join Discussion
+              {t('digiDollar.resources.discussion')}
             </Button>
           </Grid>
         </Grid>
@@ -1477,13 +1349,11 @@ const DigiDollarPage = () => {
           sx={{
             textAlign: 'center',
             mt: 3,
-            color: '#666',
+            color: 'text.secondary',
             fontStyle: 'italic'
           }}
         >
-          DigiDollar represents a paradigm shift in decentralized finance - the world's first truly
-          decentralized stablecoin on a UTXO blockchain where DGB becomes the strategic reserve asset
-          and users never surrender control of their private keys.
+          {t('digiDollar.resources.closing')}
         </Typography>
       </CardContent>
     </Card>
@@ -1494,7 +1364,7 @@ const DigiDollarPage = () => {
     <Box
       sx={{
         py: 4,
-        backgroundImage: 'linear-gradient(to bottom, #f8f9fa, #ffffff)',
+        backgroundImage: (theme) => theme.palette.background.page,
         minHeight: '100vh'
       }}
     >
@@ -10,6 +10,7 @@ import PhoneAndroidIcon from '@mui/icons-material/PhoneAndroid';
 import ComputerIcon from '@mui/icons-material/Computer';
 import CheckIcon from '@mui/icons-material/Check';
 import UpdateIcon from '@mui/icons-material/Update';
+import { useLocale } from '../context/LocaleContext';
 
 /**
  * DownloadsPage Component - DigiByte Core Wallet Download Statistics
@@ -24,6 +25,8 @@ import UpdateIcon from '@mui/icons-material/Update';
  * to provide accurate download counts and release information.
  */
 const DownloadsPage = () => {
+  const { formatNumber } = useLocale();
+
   // State management for GitHub releases data
   const [releases, setReleases] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -54,16 +57,6 @@ const DownloadsPage = () => {
     fetchData();
   }, []);
 
-  /**
-   * Format numbers with commas for better readability
-   * 
-   * @param {number} number - Number to format
-   * @returns {string} - Formatted number with commas
-   */
-  const numberWithCommas = (number) => {
-    return number.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",");
-  };
-
   /**
    * Calculate total downloads across all releases and assets
    * Aggregates download counts from all GitHub release assets
@@ -152,11 +145,11 @@ const DownloadsPage = () => {
     <Card
       elevation={2}
       sx={{
-        backgroundColor: '#f2f4f8',
+        backgroundColor: 'background.subtle',
         borderRadius: '12px',
         mb: 4,
         overflow: 'hidden',
-        backgroundImage: 'linear-gradient(135deg, #f8f9fa 0%, #e8eef7 100%)',
+        backgroundImage: (theme) => theme.palette.background.hero,
         border: '1px solid rgba(0, 35, 82, 0.1)'
       }}
     >
@@ -186,7 +179,7 @@ const DownloadsPage = () => {
             maxWidth: '800px', 
             mx: 'auto', 
             mb: 3,
-            color: '#555',
+            color: 'text.secondary',
             fontSize: '1.1rem'
           }}
         >
@@ -255,7 +248,7 @@ const DownloadsPage = () => {
             <CircularProgress size={24} sx={{ color: '#0066cc', mr: 1 }} />
           ) : (
             <>
-              {numberWithCommas(totalDownloads)} <Typography component="span" variant="h6" color="#666">Total Downloads</Typography>
+              {formatNumber(totalDownloads)} <Typography component="span" variant="h6" color="text.secondary">Total Downloads</Typography>
             </>
           )}
         </Typography>
@@ -293,7 +286,8 @@ const DownloadsPage = () => {
           mb: 4,
           borderRadius: '8px',
           overflow: 'hidden',
-          border: isLatest ? '2px solid #0066cc' : '1px solid #e0e0e0'
+          border: isLatest ? '2px solid' : '1px solid',
+          borderColor: isLatest ? '#0066cc' : 'divider'
         }}
       >
         {/* Release header with version and download count */}
@@ -317,7 +311,7 @@ const DownloadsPage = () => {
                 size="small"
                 sx={{ 
                   ml: 2, 
-                  backgroundColor: 'white', 
+                  backgroundColor: 'background.paper', 
                   color: '#0066cc',
                   fontWeight: 'bold'
                 }} 
@@ -326,7 +320,7 @@ const DownloadsPage = () => {
           </Box>
           
           <Typography variant="body1" sx={{ color: 'white', fontWeight: 'medium' }}>
-            {numberWithCommas(releaseDownloads)} Downloads
+            {formatNumber(releaseDownloads)} Downloads
           </Typography>
         </Box>
         
@@ -383,7 +377,7 @@ const DownloadsPage = () => {
                           }
                         }}
                       >
-                        {numberWithCommas(asset.download_count)}
+                        {formatNumber(asset.download_count)}
                       </Button>
                     </Box>
                   ))}
@@ -394,11 +388,11 @@ const DownloadsPage = () => {
           
           {/* Release notes section */}
           {release.body && (
-            <Box sx={{ mt: 2, pt: 2, borderTop: '1px solid #eee' }}>
+            <Box sx={{ mt: 2, pt: 2, borderTop: '1px solid', borderColor: 'divider' }}>
               <Typography variant="subtitle2" sx={{ fontWeight: 'bold', mb: 1 }}>
                 Release Notes:
               </Typography>
-              <Typography variant="body2" sx={{ whiteSpace: 'pre-line', color: '#555' }}>
+              <Typography variant="body2" sx={{ whiteSpace: 'pre-line', color: 'text.secondary' }}>
                 {release.body.length > 300 
                   ? `${release.body.substring(0, 300)}...` 
                   : release.body
@@ -441,7 +435,7 @@ const DownloadsPage = () => {
         {loading ? (
           <Box sx={{ py: 5, display: 'flex', justifyContent: 'center', alignItems: 'center', flexDirection: 'column' }}>
             <CircularProgress size={60} sx={{ color: '#0066cc', mb: 3 }} />
-            <Typography variant="h6" sx={{ color: '#555' }}>
+            <Typography variant="h6" sx={{ color: 'text.secondary' }}>
               Loading releases data...
             </Typography>
           </Box>
@@ -466,8 +460,8 @@ const DownloadsPage = () => {
         p: { xs: 2, md: 3 },
         borderRadius: '12px',
         mb: 4,
-        backgroundColor: '#f2f4f8',
-        backgroundImage: 'linear-gradient(135deg, #f8f9fa 0%, #e8eef7 100%)',
+        backgroundColor: 'background.subtle',
+        backgroundImage: (theme) => theme.palette.background.hero,
         border: '1px solid rgba(0, 35, 82, 0.1)'
       }}
     >
@@ -522,7 +516,7 @@ const DownloadsPage = () => {
     <Box 
       sx={{ 
         py: 4, 
-        backgroundImage: 'linear-gradient(to bottom, #f8f9fa, #ffffff)',
+        backgroundImage: (theme) => theme.palette.background.page,
         minHeight: '100vh'
       }}
     >
@@ -0,0 +1,179 @@
+import React, { useState } from 'react';
+import {
+  Container, Typography, Box, Card, CardContent, Grid, TextField, MenuItem,
+  ToggleButton, ToggleButtonGroup, Button
+} from '@mui/material';
+import CodeIcon from '@mui/icons-material/Code';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import { useNetwork } from '../context/NetworkContext';
+import { useLocale } from '../context/LocaleContext';
+import {
+  EMBED_NETWORKS, EMBED_THEMES, embedSnippet, embedUrl, embedWidgets, normalizeAccent
+} from '../utils/embed';
+
+/**
+ * EmbedGeneratorPage - builds the iframe snippet for an embed widget
+ * (utils/embed.js). The widget, theme, accent colour and network are picked
+ * here; the preview is the real widget URL in an iframe, so it shows exactly
+ * what the host site will get.
+ */
+const EmbedGeneratorPage = () => {
+  const { name: currentNetwork, theme: networkTheme } = useNetwork();
+  const { t } = useLocale();
+  const primaryColor = networkTheme.primary;
+  const widgets = embedWidgets();
+
+  const [widgetId, setWidgetId] = useState(widgets[0]?.id || '');
+  const [theme, setTheme] = useState('light');
+  const [accentInput, setAccentInput] = useState('');
+  const [network, setNetwork] = useState(currentNetwork);
+  const [copied, setCopied] = useState(false);
+
+  const widget = widgets.find((candidate) => candidate.id === widgetId) || widgets[0];
+  const accent = normalizeAccent(accentInput);
+  const accentInvalid = accentInput.trim() !== '' && !accent;
+  const options = { theme, accent, network };
+  const snippet = embedSnippet(widget, options, window.location.origin);
+
+  const update = (setter) => (value) => {
+    setter(value);
+    setCopied(false);
+  };
+
+  const copySnippet = async () => {
+    try {
+      await navigator.clipboard.writeText(snippet);
+      setCopied(true);
+    } catch (error) {
+      // No clipboard access (insecure context); the code stays selectable.
+    }
+  };
+
+  return (
+    <Box sx={{ py: 4, backgroundImage: (muiTheme) => muiTheme.palette.background.page, minHeight: '100vh' }}>
+      <Container maxWidth="lg">
+        <Card elevation={2} sx={{ backgroundColor: 'background.subtle', borderRadius: '12px', mb: 4 }}>
+          <CardContent sx={{ py: 4, textAlign: 'center' }}>
+            <CodeIcon sx={{ fontSize: '3rem', color: primaryColor, mb: 1 }} />
+            <Typography variant="h3" component="h1" fontWeight="800" color={primaryColor} gutterBottom>
+              {t('embed.title')}
+            </Typography>
+            <Typography variant="body1" sx={{ maxWidth: 720, mx: 'auto' }}>
+              {t('embed.intro')}
+            </Typography>
+          </CardContent>
+        </Card>
+
+        <Grid container spacing={3}>
+          <Grid item xs={12} md={5}>
+            <Card elevation={3} sx={{ borderRadius: '12px', borderTop: `4px solid ${primaryColor}` }}>
+              <CardContent sx={{ display: 'flex', flexDirection: 'column', gap: 2.5 }}>
+                <TextField
+                  select
+                  label={t('embed.widget')}
+                  value={widget.id}
+                  onChange={(event) => update(setWidgetId)(event.target.value)}
+                  helperText={widget.description}
+                >
+                  {widgets.map((candidate) => (
+                    <MenuItem key={candidate.id} value={candidate.id}>{candidate.title}</MenuItem>
+                  ))}
+                </TextField>
+
+                <Box>
+                  <Typography variant="body2" color="text.secondary" sx={{ mb: 0.75 }}>{t('embed.theme')}</Typography>
+                  <ToggleButtonGroup
+                    exclusive
+                    size="small"
+                    value={theme}
+                    onChange={(event, value) => value && update(setTheme)(value)}
+                    aria-label={t('embed.theme')}
+                  >
+                    {EMBED_THEMES.map((mode) => (
+                      <ToggleButton key={mode} value={mode}>{t(`embed.${mode}`)}</ToggleButton>
+                    ))}
+                  </ToggleButtonGroup>
+                </Box>
+
+                <TextField
+                  label={t('embed.accent')}
+                  value={accentInput}
+                  onChange={(event) => update(setAccentInput)(event.target.value)}
+                  placeholder="ff6600"
+                  error={accentInvalid}
+                  helperText={accentInvalid ? t('embed.accentInvalid') : t('embed.accentHelp')}
+                  InputProps={{
+                    startAdornment: (
+                      <Box
+                        component="span"
+                        sx={{ width: 18, height: 18, mr: 1, borderRadius: '4px', flexShrink: 0, bgcolor: accent || primaryColor }}
+                      />
+                    ),
+                  }}
+                />
+
+                <TextField
+                  select
+                  label={t('embed.network')}
+                  value={network}
+                  onChange={(event) => update(setNetwork)(event.target.value)}
+                >
+                  {EMBED_NETWORKS.map((option) => (
+                    <MenuItem key={option} value={option}>{t(`header.${option}`)}</MenuItem>
+                  ))}
+                </TextField>
+              </CardContent>
+            </Card>
+          </Grid>
+
+          <Grid item xs={12} md={7}>
+            <Card elevation={3} sx={{ borderRadius: '12px', mb: 3 }}>
+              <CardContent>
+                <Typography variant="h6" fontWeight="bold" gutterBottom>{t('embed.preview')}</Typography>
+                <Box
+                  sx={{
+                    p: 2,
+                    borderRadius: '8px',
+                    backgroundColor: theme === 'dark' ? '#0f141c' : '#f2f4f8',
+                  }}
+                >
+                  <iframe
+                    key={embedUrl(widget.id, options)}
+                    src={embedUrl(widget.id, options)}
+                    title={`DigiByte ${widget.title}`}
+                    width="100%"
+                    height={widget.height}
+                    style={{ border: 0, maxWidth: 640, display: 'block' }}
+                    loading="lazy"
+                  />
+                </Box>
+              </CardContent>
+            </Card>
+
+            <Card elevation={3} sx={{ borderRadius: '12px' }}>
+              <CardContent>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1.5 }}>
+                  <Typography variant="h6" fontWeight="bold">{t('embed.code')}</Typography>
+                  <Button size="small" variant="contained" startIcon={<ContentCopyIcon />} onClick={copySnippet}>
+                    {copied ? t('embed.copied') : t('embed.copy')}
+                  </Button>
+                </Box>
+                <TextField
+                  value={snippet}
+                  multiline
+                  fullWidth
+                  minRows={3}
+                  InputProps={{ readOnly: true, sx: { fontFamily: 'monospace', fontSize: '0.85rem' } }}
+                  inputProps={{ 'aria-label': t('embed.code'), 'data-testid': 'embed-snippet' }}
+                  onFocus={(event) => event.target.select()}
+                />
+              </CardContent>
+            </Card>
+          </Grid>
+        </Grid>
+      </Container>
+    </Box>
+  );
+};
+
+export default EmbedGeneratorPage;
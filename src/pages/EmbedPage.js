@@ -0,0 +1,67 @@
+import React, { useEffect, useMemo } from 'react';
+import { useLocation, useParams } from 'react-router-dom';
+import { Box, Link, Typography } from '@mui/material';
+import { FixedColorModeProvider } from '../context/ColorModeContext';
+import { NetworkProvider } from '../context/NetworkContext';
+import NetworkThemeProvider from '../components/NetworkThemeProvider';
+import { EMBED_COMPONENTS } from '../components/EmbedWidgets';
+import { SITE } from '../routes';
+import { embedSourcePath, findEmbedWidget, parseEmbedOptions } from '../utils/embed';
+
+/**
+ * EmbedPage - one widget at `/embed/:widget`, meant for an iframe on another
+ * site. No Header, Footer or fork banner: just the widget and a small link
+ * back to the full page. `?theme=`, `?accent=` and `?network=` pick the
+ * colour mode, primary colour and network (utils/embed.js); the visitor's
+ * own colour-mode preference is ignored so the host site controls the look.
+ *
+ * Widgets are kept out of search results with a robots noindex tag while
+ * mounted.
+ */
+const EmbedPage = () => {
+  const { widget: widgetId } = useParams();
+  const { search } = useLocation();
+  const options = useMemo(() => parseEmbedOptions(search), [search]);
+  const widget = findEmbedWidget(widgetId);
+  const Widget = widget ? EMBED_COMPONENTS[widget.id] : null;
+
+  useEffect(() => {
+    document.title = `${widget ? widget.title : 'Unknown widget'} | ${SITE.siteName}`;
+    const robots = document.createElement('meta');
+    robots.setAttribute('name', 'robots');
+    robots.setAttribute('content', 'noindex');
+    document.head.appendChild(robots);
+    return () => robots.remove();
+  }, [widget]);
+
+  return (
+    <FixedColorModeProvider mode={options.theme}>
+      <NetworkProvider network={options.network}>
+        <NetworkThemeProvider accent={options.accent}>
+          <Box component="main" sx={{ p: 1 }} data-embed-widget={widget ? widget.id : ''}>
+            {Widget ? (
+              <Widget />
+            ) : (
+              <Typography variant="body2" color="text.secondary" sx={{ p: 2, textAlign: 'center' }}>
+                Unknown widget “{widgetId}”.
+              </Typography>
+            )}
+            <Typography variant="caption" component="p" sx={{ mt: 0.75, textAlign: 'right' }}>
+              <Link
+                href={embedSourcePath(widget || { page: '/' }, options.network)}
+                target="_blank"
+                rel="noopener noreferrer"
+                color="text.secondary"
+                underline="hover"
+              >
+                {SITE.siteName} ↗
+              </Link>
+            </Typography>
+          </Box>
+        </NetworkThemeProvider>
+      </NetworkProvider>
+    </FixedColorModeProvider>
+  );
+};
+
+export default EmbedPage;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useRef } from 'react';
 import {
   Container, Typography, Grid, Box, Card, CardContent,
   Divider, useTheme, useMediaQuery, Avatar, Chip
@@ -7,14 +7,17 @@ import SpeedIcon from '@mui/icons-material/Speed';
 import TimerIcon from '@mui/icons-material/Timer';
 import LanguageIcon from '@mui/icons-material/Language';
 import { useNetwork } from '../context/NetworkContext';
+import { useLocale } from '../context/LocaleContext';
+import { useWsMessage } from '../hooks/useWsMessage';
 import HistoryChart from '../components/HistoryChart';
 import { useHistory } from '../hooks/useHistory';
+import { HASHRATE_ALGOS, hashratesByAlgo, formatHashrate } from '../utils/miningStats';
 
 /**
  * DigiByte's five mining algorithms
  * Each algorithm provides security and decentralization to the network
  */
-const algoNames = ['SHA256D', 'Scrypt', 'Skein', 'Qubit', 'Odo'];
+const algoNames = HASHRATE_ALGOS;
 
 /**
  * Algorithm keys for the hashrate history chart: the five active algorithms plus
@@ -41,26 +44,6 @@ const algoColors = {
   'Myriad-Groestl': '#795548', // Brown - retired algorithm (mined 2014-2019)
 };
 
-/**
- * Format a raw hashrate (H/s) with the most readable unit — module-level twin of
- * the component's formatHashrate, so it can be passed to the shared HistoryChart.
- *
- * @param {number} n - Raw hashrate value in H/s
- * @returns {string} - Formatted hashrate with appropriate unit
- */
-const formatHashrateShort = (n) => {
-  const units = ['H/s', 'KH/s', 'MH/s', 'GH/s', 'TH/s', 'PH/s', 'EH/s'];
-  let value = Number(n) || 0;
-  let index = 0;
-
-  while (value >= 1000 && index < units.length - 1) {
-    value /= 1000;
-    index++;
-  }
-
-  return `${value.toFixed(2)} ${units[index]}`;
-};
-
 /**
  * HashratePage Component - Mining Algorithm Hashrate Analysis
  * 
@@ -73,9 +56,10 @@ const formatHashrateShort = (n) => {
  * The hashrate is calculated using block data from the last hour to provide
  * accurate real-time measurements of network computational power.
  */
-const HashratePage = ({ difficultiesData }) => {
+const HashratePage = () => {
+  const { formatNumber } = useLocale();
   // Network context for network-aware data fetching
-  const { getApiUrl, isTestnet, wsBaseUrl, theme: networkTheme } = useNetwork();
+  const { isTestnet, theme: networkTheme } = useNetwork();
 
   // State management for hashrate calculations and statistics
   const [hashrates, setHashrates] = useState(
@@ -92,9 +76,6 @@ const HashratePage = ({ difficultiesData }) => {
   const [totalHashrate, setTotalHashrate] = useState(0);
   const [isLoading, setIsLoading] = useState(true);
 
-  // Local state for difficulties when prop is not provided (e.g., testnet)
-  const [localDifficulties, setLocalDifficulties] = useState(null);
-
   // Per-algo hashrate history (shared, network-aware backend series) with
   // internal Daily/7D/30D/3M range switching in the chart itself.
   const { daily: historyDaily, hourly: historyHourly, loading: historyLoading, error: historyError } = useHistory();
@@ -107,77 +88,29 @@ const HashratePage = ({ difficultiesData }) => {
   const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
 
   /**
-   * Fetch difficulties data when not provided as prop (e.g., for testnet)
-   */
-  useEffect(() => {
-    if (!difficultiesData) {
-      const fetchData = async () => {
-        try {
-          const response = await fetch(getApiUrl('/getblockchaininfo'));
-          const data = await response.json();
-          setLocalDifficulties(data.difficulties);
-        } catch (error) {
-          console.error('Error fetching difficulties:', error);
-        }
-      };
-      fetchData();
-    }
-  }, [difficultiesData, getApiUrl]);
-
-  // Use the prop if provided, otherwise use local state
-  const difficulties = difficultiesData || localDifficulties;
-
-  /**
-   * WebSocket connection management for real-time block data
+   * Real-time block data over the network's shared WebSocket
    * Handles initial data load and real-time updates for hashrate calculations
    */
-  useEffect(() => {
-    const socket = new WebSocket(wsBaseUrl);
-
-    // Connection established
-    socket.onopen = () => {
-      console.log('Hashrate WebSocket connection established');
-    };
-
-    // Handle incoming block data
-    socket.onmessage = (event) => {
-      const message = JSON.parse(event.data);
-
-      // Handle initial batch of recent blocks (last 240 blocks ≈ 1 hour)
-      if (message.type === 'recentBlocks') {
-        blocksRef.current = message.data;
-        calculateHashratesAndBlockTimes();
-        setIsLoading(false);
-      } 
-      // Handle new blocks mined in real-time
-      else if (message.type === 'newBlock') {
-        // Add new block to the beginning and maintain 240 block limit
-        blocksRef.current.unshift(message.data);
-        blocksRef.current = blocksRef.current.slice(0, 240);
-        calculateHashratesAndBlockTimes();
-      }
-    };
-
-    // Connection closed
-    socket.onclose = () => {
-      console.log('Hashrate WebSocket connection closed');
-    };
-
-    // Cleanup function
-    return () => {
-      socket.close();
-    };
-  }, [wsBaseUrl]);
+  useWsMessage(['recentBlocks', 'newBlock'], (message) => {
+    // Handle initial batch of recent blocks (last 240 blocks ≈ 1 hour)
+    if (message.type === 'recentBlocks') {
+      blocksRef.current = message.data;
+      calculateHashratesAndBlockTimes();
+      setIsLoading(false);
+    }
+    // Handle new blocks mined in real-time
+    else if (message.type === 'newBlock') {
+      // Add new block to the beginning and maintain 240 block limit. Copy
+      // rather than unshift: the array may be the client's cached snapshot.
+      blocksRef.current = [message.data, ...blocksRef.current].slice(0, 240);
+      calculateHashratesAndBlockTimes();
+    }
+  });
 
   /**
    * Calculate hashrates and block time statistics for all algorithms
-   * Uses the last hour of block data to compute real-time network metrics
-   * 
-   * Hashrate Formula: [(blocks/hour ÷ 48) × avg_difficulty × 2^32] ÷ 75
-   * Where:
-   * - 48 = target blocks per hour (75 seconds × 48 = 3600 seconds)
-   * - 2^32 = conversion factor for difficulty calculation
-   * - 75 = block target time in seconds for hashrate per second calculation
+   * Uses the last hour of block data to compute real-time network metrics;
+   * the hashrate formula lives in hashratesByAlgo (utils/miningStats.js).
    */
   const calculateHashratesAndBlockTimes = () => {
     const oneHourAgo = Date.now() - 60 * 60 * 1000; // 1 hour ago in milliseconds
@@ -187,24 +120,8 @@ const HashratePage = ({ difficultiesData }) => {
       (block) => block.timestamp * 1000 >= oneHourAgo
     );
 
-    // Calculate hashrate for each algorithm
-    const updatedHashrates = algoNames.reduce((acc, algo) => {
-      const algoBlocks = hourBlocks.filter((block) => block.algo === algo);
-      const blocksPerHour = algoBlocks.length;
-      
-      // Calculate average difficulty for this algorithm
-      const avgDifficulty = algoBlocks.length > 0 
-        ? algoBlocks.reduce((sum, block) => sum + block.difficulty, 0) / blocksPerHour
-        : 0;
-
-      // Hashrate calculation using the standard formula
-      // (blocks/hour ÷ 48 target blocks) × avg_difficulty × 2^32 ÷ 75 seconds
-      const hashrate = blocksPerHour > 0 
-        ? (blocksPerHour / 48) * avgDifficulty * Math.pow(2, 32) / 75
-        : 0;
-
-      return { ...acc, [algo]: hashrate };
-    }, {});
+    // Calculate hashrate for each algorithm (utils/miningStats.js)
+    const updatedHashrates = hashratesByAlgo(hourBlocks);
 
     setHashrates(updatedHashrates);
 
@@ -242,26 +159,6 @@ const HashratePage = ({ difficultiesData }) => {
     setTotalBlocksByAlgo(updatedTotalBlocksByAlgo);
   };
 
-  /**
-   * Format hashrate values with appropriate units (H/s, KH/s, MH/s, etc.)
-   * Automatically scales to the most readable unit
-   * 
-   * @param {number} hashrate - Raw hashrate value in H/s
-   * @returns {string} - Formatted hashrate with appropriate unit
-   */
-  const formatHashrate = (hashrate) => {
-    const units = ['H/s', 'KH/s', 'MH/s', 'GH/s', 'TH/s', 'PH/s', 'EH/s'];
-    let index = 0;
-    
-    // Scale up to appropriate unit (thousands)
-    while (hashrate >= 1000 && index < units.length - 1) {
-      hashrate /= 1000;
-      index++;
-    }
-    
-    return `${hashrate.toFixed(2)} ${units[index]}`;
-  };
-
   /**
    * Format block time in minutes and seconds
    * 
@@ -282,7 +179,7 @@ const HashratePage = ({ difficultiesData }) => {
    * @returns {string} - Formatted number with commas
    */
   const formatTotalBlocks = (totalBlocks) => {
-    return totalBlocks.toLocaleString();
+    return formatNumber(totalBlocks);
   };
 
   /**
@@ -372,11 +269,11 @@ const HashratePage = ({ difficultiesData }) => {
     <Card
       elevation={2}
       sx={{
-        backgroundColor: '#f2f4f8',
+        backgroundColor: 'background.subtle',
         borderRadius: '12px',
         mb: 4,
         overflow: 'hidden',
-        backgroundImage: 'linear-gradient(135deg, #f8f9fa 0%, #e8eef7 100%)',
+        backgroundImage: (theme) => theme.palette.background.hero,
         border: `1px solid ${isTestnet ? 'rgba(230, 81, 0, 0.2)' : 'rgba(0, 35, 82, 0.1)'}`
       }}
     >
@@ -418,7 +315,7 @@ const HashratePage = ({ difficultiesData }) => {
             maxWidth: '800px', 
             mx: 'auto', 
             mb: 2,
-            color: '#555',
+            color: 'text.secondary',
             fontSize: '1.1rem'
           }}
         >
@@ -431,7 +328,7 @@ const HashratePage = ({ difficultiesData }) => {
           sx={{ 
             maxWidth: '800px', 
             mx: 'auto',
-            color: '#666',
+            color: 'text.secondary',
           }}
         >
           Hashrate represents the total computational power being used to mine, process & secure transactions on the DigiByte blockchain.
@@ -542,7 +439,7 @@ const HashratePage = ({ difficultiesData }) => {
         
         {/* Formula display */}
         <Box sx={{ 
-          bgcolor: '#f5f5f5', 
+          bgcolor: 'background.code', 
           p: 2, 
           borderRadius: '8px', 
           textAlign: 'center',
@@ -650,7 +547,7 @@ const HashratePage = ({ difficultiesData }) => {
    */
   const LoadingSection = () => (
     <Card elevation={3} sx={{ p: 4, borderRadius: '8px', textAlign: 'center' }}>
-      <Typography variant="h5" sx={{ color: '#555' }}>
+      <Typography variant="h5" sx={{ color: 'text.secondary' }}>
         Loading hashrate data...
       </Typography>
     </Card>
@@ -661,7 +558,7 @@ const HashratePage = ({ difficultiesData }) => {
     <Box 
       sx={{ 
         py: 4, 
-        backgroundImage: 'linear-gradient(to bottom, #f8f9fa, #ffffff)',
+        backgroundImage: (theme) => theme.palette.background.page,
         minHeight: '100vh'
       }}
     >
@@ -689,8 +586,9 @@ const HashratePage = ({ difficultiesData }) => {
               colors={algoColors}
               defaultHidden={HISTORY_DEFAULT_HIDDEN}
               getValue={(e, a) => e.perAlgo[a]?.hashrate}
-              valueFormat={formatHashrateShort}
+              valueFormat={formatHashrate}
               title="Hashrate History"
+              exportName="hashrate-history"
               subtitle="Per-algorithm network hashrate over time (daily average; the Daily view breaks it down by hour)."
               yLabel="Hashrate (log, H/s)"
               loading={historyLoading}
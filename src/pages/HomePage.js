@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import {
   Container, Typography, Box, Grid, Card, CardContent,
   Divider, Avatar
@@ -13,6 +13,9 @@ import SpeedIcon from '@mui/icons-material/Speed';
 import UpdateIcon from '@mui/icons-material/Update';
 import DoneAllIcon from '@mui/icons-material/DoneAll';
 import { useNetwork } from '../context/NetworkContext';
+import { useWsMessage } from '../hooks/useWsMessage';
+import { useLocale } from '../context/LocaleContext';
+import StatCard from '../components/StatCard';
 
 const TESTNET_RELEASE = {
   version: 'v9.26.4',
@@ -22,7 +25,7 @@ const TESTNET_RELEASE = {
   activationHeight: '600',
   oracleConsensus: '7 of 35',
   activeOracleSlots: '35 testnet roster oracles',
-  mainnetActivationFloor: '23,627,520'
+  mainnetActivationFloor: 23627520
 };
 
 const getDifficultyValue = (difficulties, key, fallbackKey = null) => {
@@ -30,15 +33,6 @@ const getDifficultyValue = (difficulties, key, fallbackKey = null) => {
   return difficulties[key] ?? (fallbackKey ? difficulties[fallbackKey] : undefined);
 };
 
-const formatDifficultyValue = (value) => {
-  const numeric = Number(value);
-  if (!Number.isFinite(numeric)) return 'N/A';
-
-  return numeric.toLocaleString(undefined, {
-    maximumFractionDigits: 8
-  });
-};
-
 /**
  * HomePage Component - Main dashboard displaying DigiByte blockchain statistics
  * 
@@ -47,9 +41,10 @@ const formatDifficultyValue = (value) => {
  * - Circulating supply and mining rewards
  * - Algorithm difficulties and active softforks
  * 
- * Data is received via WebSocket connection for real-time updates
+ * Data is received via WebSocket connection for real-time updates.
+ * Copy and number formatting follow the active locale (useLocale).
  */
-const HomePage = ({ numberWithCommas, formatNumber }) => {
+const HomePage = () => {
   // State management for blockchain data
   const [blockchainInfo, setBlockchainInfo] = useState(null);
   const [chainTxStats, setChainTxStats] = useState(null);
@@ -59,98 +54,26 @@ const HomePage = ({ numberWithCommas, formatNumber }) => {
   const [txOutsetInfoLoading, setTxOutsetInfoLoading] = useState(true);
 
   // Network context for network-aware data fetching
-  const { wsBaseUrl, isTestnet, theme: networkTheme } = useNetwork();
-
-  /**
-   * WebSocket connection setup for real-time data updates
-   * Establishes connection on component mount and handles incoming data
-   */
-  useEffect(() => {
-    const socket = new WebSocket(wsBaseUrl);
-
-    // WebSocket event handlers
-    socket.onopen = () => {
-      console.log('WebSocket connection established');
-    };
-
-    socket.onmessage = (event) => {
-      const message = JSON.parse(event.data);
-      console.log('Received message from server:', message);
-
-      // Handle initial data payload from server
-      if (message.type === 'initialData') {
-        setBlockchainInfo(message.data.blockchainInfo);
-        setChainTxStats(message.data.chainTxStats);
-        setTxOutsetInfo(message.data.txOutsetInfo);
-        setBlockReward(message.data.blockReward);
-        setDeploymentInfo(message.data.deploymentInfo);
-        setTxOutsetInfoLoading(false);
-      }
-    };
-
-    socket.onclose = () => {
-      console.log('WebSocket connection closed');
-    };
+  const { isTestnet, theme: networkTheme } = useNetwork();
+  const { t, tRich, formatNumber } = useLocale();
 
-    // Cleanup WebSocket connection on component unmount
-    return () => {
-      socket.close();
-    };
-  }, [wsBaseUrl]);
+  const formatDifficultyValue = (value) => (
+    Number.isFinite(Number(value)) ? formatNumber(value, { maximumFractionDigits: 8 }) : 'N/A'
+  );
+  const formatDgb = (value) => `${formatNumber(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} DGB`;
 
   /**
-   * Reusable StatCard component for displaying blockchain statistics
-   * 
-   * @param {string} title - Card title
-   * @param {string|number} value - Main statistical value to display
-   * @param {React.Element} icon - Material-UI icon component
-   * @param {string} description - Explanatory text for the statistic
-   * @param {boolean} loading - Loading state indicator
-   * @param {string} color - Theme color for the card accent
+   * Real-time data updates over the network's shared WebSocket.
+   * A cached `initialData` snapshot is replayed immediately on mount.
    */
-  const StatCard = ({ title, value, icon, description, loading, color = '#0066cc' }) => (
-    <Card 
-      elevation={3} 
-      sx={{
-        height: '100%',
-        transition: 'transform 0.3s, box-shadow 0.3s',
-        '&:hover': {
-          transform: 'translateY(-5px)',
-          boxShadow: '0 10px 20px rgba(0,0,0,0.1)',
-        },
-        borderTop: `4px solid ${color}`,
-        borderRadius: '8px'
-      }}
-    >
-      <CardContent>
-        {/* Card header with title and icon */}
-        <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 2 }}>
-          <Typography variant="h6" fontWeight="bold" color="text.primary">
-            {title}
-          </Typography>
-          <Avatar sx={{ bgcolor: color }}>
-            {icon}
-          </Avatar>
-        </Box>
-        
-        {/* Main value display with loading state */}
-        {loading ? (
-          <Typography variant="h4" sx={{ fontWeight: 'bold', mb: 1 }}>
-            Loading...
-          </Typography>
-        ) : (
-          <Typography variant="h4" sx={{ fontWeight: 'bold', mb: 1 }}>
-            {value}
-          </Typography>
-        )}
-        
-        {/* Descriptive text */}
-        <Typography variant="body2" color="text.secondary">
-          {description}
-        </Typography>
-      </CardContent>
-    </Card>
-  );
+  useWsMessage('initialData', (message) => {
+    setBlockchainInfo(message.data.blockchainInfo);
+    setChainTxStats(message.data.chainTxStats);
+    setTxOutsetInfo(message.data.txOutsetInfo);
+    setBlockReward(message.data.blockReward);
+    setDeploymentInfo(message.data.deploymentInfo);
+    setTxOutsetInfoLoading(false);
+  });
 
   /**
    * AlgorithmDifficultiesCard - Specialized card for displaying mining algorithm difficulties
@@ -174,7 +97,7 @@ const HomePage = ({ numberWithCommas, formatNumber }) => {
         {/* Card header */}
         <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 2 }}>
           <Typography variant="h6" fontWeight="bold" color="text.primary">
-            Algo Difficulties
+            {t('home.algoDifficulties')}
           </Typography>
           <Avatar sx={{ bgcolor: '#7b1fa2' }}>
             <SpeedIcon />
@@ -201,13 +124,13 @@ const HomePage = ({ numberWithCommas, formatNumber }) => {
             </Typography>
           </>
         ) : (
-          <Typography variant="h5">Loading...</Typography>
+          <Typography variant="h5">{t('common.loading')}</Typography>
         )}
         
         <Divider sx={{ my: 1 }} />
         
         <Typography variant="body2" color="text.secondary">
-          The current mining difficulties for each of the 5 DigiByte mining algorithms.
+          {t('home.algoDifficultiesDescription')}
         </Typography>
       </CardContent>
     </Card>
@@ -285,7 +208,7 @@ const HomePage = ({ numberWithCommas, formatNumber }) => {
           {/* Card header */}
           <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 2 }}>
             <Typography variant="h6" fontWeight="bold" color="text.primary">
-              Active Softforks
+              {t('home.softforks')}
             </Typography>
             <Avatar sx={{ bgcolor: '#3949ab' }}>
               <DoneAllIcon />
@@ -299,16 +222,16 @@ const HomePage = ({ numberWithCommas, formatNumber }) => {
             </Box>
           ) : deploymentInfo === null && blockchainInfo ? (
             <Typography variant="body2" color="text.secondary">
-              Loading deployment data...
+              {t('home.softforksLoading')}
             </Typography>
           ) : (
-            <Typography variant="h5">Loading...</Typography>
+            <Typography variant="h5">{t('common.loading')}</Typography>
           )}
 
           <Divider sx={{ my: 1 }} />
 
           <Typography variant="body2" color="text.secondary">
-            Active on-chain softforks.
+            {t('home.softforksDescription')}
           </Typography>
         </CardContent>
       </Card>
@@ -332,33 +255,33 @@ const HomePage = ({ numberWithCommas, formatNumber }) => {
             <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 2, flexWrap: 'wrap', mb: 2 }}>
               <Box>
                 <Typography variant="h5" fontWeight="bold" sx={{ color: networkTheme.primary }}>
-                  Testnet26 DigiDollar Status
+                  {t('home.testnetStatus')}
                 </Typography>
                 <Typography variant="body2" color="text.secondary">
-                  Current {TESTNET_RELEASE.network} network where DigiDollar has been active since block 600. DigiDollar shipped on mainnet in v9.26.2; mainnet activation now awaits 70% miner BIP9 signaling.
+                  {t('home.testnetStatusDescription', { network: TESTNET_RELEASE.network })}
                 </Typography>
               </Box>
               <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
                 <Typography variant="caption" sx={{ px: 1.25, py: 0.5, borderRadius: '8px', backgroundColor: networkTheme.primary, color: 'white', fontWeight: 'bold' }}>
                   {TESTNET_RELEASE.version}
                 </Typography>
-                <Typography variant="caption" sx={{ px: 1.25, py: 0.5, borderRadius: '8px', backgroundColor: '#ffffff', border: `1px solid ${networkTheme.primary}`, color: networkTheme.primary, fontWeight: 'bold' }}>
-                  {TESTNET_RELEASE.oracleConsensus} oracle consensus
+                <Typography variant="caption" sx={{ px: 1.25, py: 0.5, borderRadius: '8px', backgroundColor: 'background.paper', border: `1px solid ${networkTheme.primary}`, color: networkTheme.primary, fontWeight: 'bold' }}>
+                  {t('home.oracleConsensus', { consensus: TESTNET_RELEASE.oracleConsensus })}
                 </Typography>
               </Box>
             </Box>
 
             <Grid container spacing={2}>
               {[
-                { label: 'Testnet', value: TESTNET_RELEASE.network },
-                { label: 'P2P Port', value: TESTNET_RELEASE.p2pPort },
-                { label: 'RPC Port', value: TESTNET_RELEASE.rpcPort },
-                { label: 'DD Activation', value: `Block ${TESTNET_RELEASE.activationHeight}` },
-                { label: 'Oracle Roster', value: '35-slot roster, 7-of-35 quorum' },
-                { label: 'Mainnet Min Activation Height (passed)', value: `Block ${TESTNET_RELEASE.mainnetActivationFloor}` }
+                { label: t('home.testnet'), value: TESTNET_RELEASE.network },
+                { label: t('home.p2pPort'), value: TESTNET_RELEASE.p2pPort },
+                { label: t('home.rpcPort'), value: TESTNET_RELEASE.rpcPort },
+                { label: t('home.ddActivation'), value: t('home.blockHeight', { height: TESTNET_RELEASE.activationHeight }) },
+                { label: t('home.oracleRoster'), value: t('home.oracleRosterValue') },
+                { label: t('home.mainnetMinActivation'), value: t('home.blockHeight', { height: formatNumber(TESTNET_RELEASE.mainnetActivationFloor) }) }
               ].map(({ label, value }) => (
                 <Grid item xs={12} sm={6} md={4} key={label}>
-                  <Box sx={{ p: 1.5, borderRadius: '8px', backgroundColor: '#ffffff', border: '1px solid rgba(46, 125, 50, 0.16)' }}>
+                  <Box sx={{ p: 1.5, borderRadius: '8px', backgroundColor: 'background.paper', border: '1px solid rgba(46, 125, 50, 0.16)' }}>
                     <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
                       {label}
                     </Typography>
@@ -383,11 +306,11 @@ const HomePage = ({ numberWithCommas, formatNumber }) => {
     <Card
       elevation={2}
       sx={{
-        backgroundColor: '#f2f4f8',
+        backgroundColor: 'background.subtle',
         borderRadius: '12px',
         mb: 5,
         overflow: 'hidden',
-        backgroundImage: 'linear-gradient(135deg, #f8f9fa 0%, #e8eef7 100%)',
+        backgroundImage: (theme) => theme.palette.background.hero,
         border: `1px solid ${isTestnet ? `${networkTheme.primary}33` : 'rgba(0, 35, 82, 0.1)'}`
       }}
     >
@@ -405,7 +328,7 @@ const HomePage = ({ numberWithCommas, formatNumber }) => {
               fontSize: { xs: '1.8rem', sm: '2.3rem', md: '2.8rem' }
             }}
           >
-            DigiByte {isTestnet ? 'Testnet ' : ''}Blockchain Statistics
+            {t(isTestnet ? 'home.titleTestnet' : 'home.title')}
           </Typography>
         </Box>
         
@@ -419,11 +342,11 @@ const HomePage = ({ numberWithCommas, formatNumber }) => {
             maxWidth: '800px', 
             mx: 'auto', 
             mb: 3,
-            color: '#555',
+            color: 'text.secondary',
             fontSize: '1.1rem'
           }}
         >
-          This is a free & open source website to find real time data & information about DigiByte blockchain pulled directly from the blockchain via digibyted.
+          {t('home.intro')}
         </Typography>
         
         {/* DigiByte blockchain description */}
@@ -433,13 +356,11 @@ const HomePage = ({ numberWithCommas, formatNumber }) => {
           sx={{ 
             maxWidth: '800px', 
             mx: 'auto',
-            color: '#444',
+            color: 'text.primary',
             lineHeight: 1.6
           }}
         >
-          The DigiByte blockchain launched on January 10th, 2014. There is <strong>NO </strong> 
-          company, centralized group, mass premine, entity or person who controls DGB. 
-          DGB is a truly decentralized combination of speed, security & innovation.
+          {tRich('home.about')}
         </Typography>
       </CardContent>
     </Card>
@@ -450,7 +371,7 @@ const HomePage = ({ numberWithCommas, formatNumber }) => {
     <Box 
       sx={{ 
         py: 4, 
-        backgroundImage: 'linear-gradient(to bottom, #f8f9fa, #ffffff)',
+        backgroundImage: (theme) => theme.palette.background.page,
         minHeight: '100vh'
       }}
     >
@@ -463,20 +384,20 @@ const HomePage = ({ numberWithCommas, formatNumber }) => {
           {/* Basic blockchain statistics */}
           <Grid item xs={12} sm={6} md={4}>
             <StatCard 
-              title="Total Blocks" 
-              value={blockchainInfo ? formatNumber(blockchainInfo.blocks) : "Loading..."}
+              title={t('home.totalBlocks')} 
+              value={blockchainInfo ? formatNumber(blockchainInfo.blocks) : t('common.loading')}
               icon={<BlockIcon />}
-              description="Total blocks in the DigiByte blockchain since the chain was started on Jan 10th, 2014."
+              description={t('home.totalBlocksDescription')}
               loading={!blockchainInfo}
             />
           </Grid>
           
           <Grid item xs={12} sm={6} md={4}>
             <StatCard 
-              title="Total Transactions" 
-              value={chainTxStats ? formatNumber(chainTxStats.txcount) : "Loading..."}
+              title={t('home.totalTransactions')} 
+              value={chainTxStats ? formatNumber(chainTxStats.txcount) : t('common.loading')}
               icon={<TransactionIcon />}
-              description="Total Transactions sent on the DigiByte blockchain since launch on Jan 10th, 2014."
+              description={t('home.totalTransactionsDescription')}
               loading={!chainTxStats}
               color="#1e88e5"
             />
@@ -484,10 +405,10 @@ const HomePage = ({ numberWithCommas, formatNumber }) => {
           
           <Grid item xs={12} sm={6} md={4}>
             <StatCard 
-              title="Total Size" 
-              value={blockchainInfo ? `${(blockchainInfo.size_on_disk / (1024 * 1024 * 1024)).toFixed(2)} GB` : "Loading..."}
+              title={t('home.totalSize')} 
+              value={blockchainInfo ? `${formatNumber(blockchainInfo.size_on_disk / (1024 * 1024 * 1024), { minimumFractionDigits: 2, maximumFractionDigits: 2 })} GB` : t('common.loading')}
               icon={<StorageIcon />}
-              description="Total size in GB needed to store the entire DGB blockchain going back to Jan 10th, 2014."
+              description={t('home.totalSizeDescription')}
               loading={!blockchainInfo}
               color="#43a047"
             />
@@ -496,10 +417,10 @@ const HomePage = ({ numberWithCommas, formatNumber }) => {
           {/* Supply and mining statistics */}
           <Grid item xs={12} sm={6} md={4}>
             <StatCard 
-              title="Current Circulating Supply" 
-              value={txOutsetInfo ? `${numberWithCommas(txOutsetInfo.total_amount.toFixed(2))} DGB` : "Loading..."}
+              title={t('home.circulatingSupply')} 
+              value={txOutsetInfo ? formatDgb(txOutsetInfo.total_amount) : t('common.loading')}
               icon={<TokenIcon />}
-              description="Current circulating supply calculated from all UTXO's as of the latest block."
+              description={t('home.circulatingSupplyDescription')}
               loading={txOutsetInfoLoading}
               color="#0066cc"
             />
@@ -507,10 +428,10 @@ const HomePage = ({ numberWithCommas, formatNumber }) => {
           
           <Grid item xs={12} sm={6} md={4}>
             <StatCard 
-              title="Remaining Supply To Be Mined" 
-              value={txOutsetInfo ? `${numberWithCommas((21000000000 - txOutsetInfo.total_amount).toFixed(2))} DGB` : "Loading..."}
+              title={t('home.remainingSupply')} 
+              value={txOutsetInfo ? formatDgb(21000000000 - txOutsetInfo.total_amount) : t('common.loading')}
               icon={<HourglassEmptyIcon />}
-              description="Remaining DGB to be mined until the maximum supply of 21 billion DGB is reached."
+              description={t('home.remainingSupplyDescription')}
               loading={txOutsetInfoLoading}
               color="#fb8c00"
             />
@@ -518,10 +439,10 @@ const HomePage = ({ numberWithCommas, formatNumber }) => {
           
           <Grid item xs={12} sm={6} md={4}>
             <StatCard 
-              title="Last Block Reward" 
-              value={blockReward !== null && blockReward !== undefined ? `${blockReward.toFixed(8)} DGB` : "Loading..."}
+              title={t('home.lastBlockReward')} 
+              value={blockReward !== null && blockReward !== undefined ? `${formatNumber(blockReward, { minimumFractionDigits: 8, maximumFractionDigits: 8 })} DGB` : t('common.loading')}
               icon={<RewardIcon />}
-              description="The DigiByte mining reward amount for the most recent block on the blockchain."
+              description={t('home.lastBlockRewardDescription')}
               loading={blockReward === null || blockReward === undefined}
               color="#e53935"
             />
@@ -534,10 +455,10 @@ const HomePage = ({ numberWithCommas, formatNumber }) => {
           
           <Grid item xs={12} sm={6} md={4}>
             <StatCard
-              title="Latest Version"
+              title={t('home.latestVersion')}
               value={isTestnet ? TESTNET_RELEASE.version : "v9.26.4 DigiDollar"}
               icon={<UpdateIcon />}
-              description="Latest DGB core version."
+              description={t('home.latestVersionDescription')}
               loading={false}
               color="#009688"
             />
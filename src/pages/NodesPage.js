@@ -1,4 +1,4 @@
-import { useState, useEffect, useMemo, useRef, memo } from 'react';
+import { useState, useEffect, useMemo, useRef, memo, startTransition, useDeferredValue } from 'react';
 import {
   Typography, Container, Box, Card, CardContent,
   Divider, Grid, Paper,
@@ -15,6 +15,10 @@ import { useWidth } from '../utils';
 import world from '../countries-110m.json';
 import usStates from 'us-atlas/states-10m.json';
 import { useNetwork } from '../context/NetworkContext';
+import { useLocale } from '../context/LocaleContext';
+import { useWsMessage, useWsStatusChange } from '../hooks/useWsMessage';
+import { useQueryParams } from '../hooks/useQueryParams';
+import ExportMenu from '../components/ExportMenu';
 import RouterIcon from '@mui/icons-material/Router';
 import PublicIcon from '@mui/icons-material/Public';
 import FlagIcon from '@mui/icons-material/Flag';
@@ -26,8 +30,25 @@ import UpdateIcon from '@mui/icons-material/Update';
 import StorageIcon from '@mui/icons-material/Storage';
 
 /**
- * Custom hook for fetching node geolocation data via WebSocket
- * Manages real-time connection to retrieve DigiByte network node information
+ * The world map's zoom in the query string: `?zoom=k,x,y` (scale, then
+ * translate in map pixels). The unzoomed map leaves it out.
+ */
+const MAP_QUERY = {
+  zoom: {
+    defaultValue: { k: 1, x: 0, y: 0 },
+    parse: (raw) => {
+      const [k, x, y] = raw.split(',').map(Number);
+      return [k, x, y].every(Number.isFinite) && k >= 1 && k <= 8 ? { k, x, y } : null;
+    },
+    serialize: ({ k, x, y }) => `${Number(k.toFixed(2))},${Math.round(x)},${Math.round(y)}`,
+  },
+};
+
+const toZoomTransform = ({ k, x, y }) => zoomIdentity.translate(x, y).scale(k);
+
+/**
+ * Custom hook for node geolocation data from the network's shared WebSocket
+ * Subscribes to the real-time feed of DigiByte network node information
  *
  * Handles two message types:
  * - `geoData`: array of node objects for the map/statistics (drives `loading`)
@@ -35,69 +56,39 @@ import StorageIcon from '@mui/icons-material/Storage';
  *   last 24 hours (does NOT drive `loading` — the section owns its empty state
  *   so the page degrades gracefully against servers that never send it)
  *
- * @param {string} wsBaseUrl - WebSocket base URL from network context
  * @returns {Object} - Contains nodesData array, versionData object and loading state
  */
-const useFetchData = (wsBaseUrl) => {
+const useFetchData = () => {
   const [nodesData, setNodesData] = useState([]);
   const [versionData, setVersionData] = useState(null);
   const [addrmanInfo, setAddrmanInfo] = useState(null);
   const [loading, setLoading] = useState(true);
 
-  useEffect(() => {
-    const socket = new WebSocket(wsBaseUrl);
-
-    // WebSocket connection handlers
-    socket.onopen = () => console.log('WebSocket connection established');
-
-    socket.onmessage = (event) => {
-      try {
-        const message = JSON.parse(event.data);
-        // Handle geographic data messages from server
-        if (message.type === 'geoData') {
-          setNodesData(message.data || []);
-          // addrman summary rides along on the geoData message (may be absent)
-          setAddrmanInfo(message.addrman || null);
-          setLoading(false);
-        } else if (message.type === 'nodeVersions24h') {
-          // Version breakdown of nodes seen in the last 24 hours
-          setVersionData(message.data || null);
-        }
-      } catch (error) {
-        console.error('WebSocket message error:', error);
+  useWsMessage(['geoData', 'nodeVersions24h'], (message) => {
+    // Handle geographic data messages from server
+    if (message.type === 'geoData') {
+      // A snapshot re-renders thousands of map markers and every statistic;
+      // as a transition it yields to zooming, panning and typing.
+      startTransition(() => {
+        setNodesData(message.data || []);
+        // addrman summary rides along on the geoData message (may be absent)
+        setAddrmanInfo(message.addrman || null);
         setLoading(false);
-      }
-    };
-
-    // Set loading state on connection issues
-    socket.onclose = () => setLoading(true);
-    socket.onerror = () => setLoading(true);
+      });
+    } else if (message.type === 'nodeVersions24h') {
+      // Version breakdown of nodes seen in the last 24 hours
+      setVersionData(message.data || null);
+    }
+  });
 
-    // Cleanup WebSocket connection
-    return () => socket.readyState === WebSocket.OPEN && socket.close();
-  }, [wsBaseUrl]);
+  // Set loading state on connection issues
+  useWsStatusChange((status) => {
+    if (status === 'closed') setLoading(true);
+  });
 
   return { nodesData, versionData, addrmanInfo, loading };
 };
 
-/**
- * Format a millisecond timestamp as a short relative time string
- * (e.g. "just now", "5m ago", "3h ago", "2d ago")
- *
- * @param {number} timestamp - Milliseconds since epoch
- * @returns {string|null} - Relative time string, or null when invalid
- */
-const formatRelativeTime = (timestamp) => {
-  if (!Number.isFinite(timestamp)) return null;
-  const diffMs = Date.now() - timestamp;
-  const minutes = Math.floor(diffMs / 60000);
-  if (minutes < 1) return 'just now';
-  if (minutes < 60) return `${minutes}m ago`;
-  const hours = Math.floor(minutes / 60);
-  if (hours < 24) return `${hours}h ago`;
-  return `${Math.floor(hours / 24)}d ago`;
-};
-
 /**
  * Format a numeric percentage with one decimal place (e.g. 87.9 -> "87.9%")
  *
@@ -215,6 +206,7 @@ const StatTile = ({ label, value, caption }) => (
  * @param {string} accentColor - Section accent (testnet-aware, from networkTheme)
  */
 const NodesLast24HoursSection = memo(({ versionData, accentColor }) => {
+  const { formatRelativeTime, formatNumber } = useLocale();
   // Defensive client-side derivation: sort desc by count, recompute missing percents
   const stats = useMemo(() => {
     if (!versionData || typeof versionData !== 'object') return null;
@@ -255,9 +247,9 @@ const NodesLast24HoursSection = memo(({ versionData, accentColor }) => {
       latestVersion: versionData.latestVersion || null,
       targetSeries: versionData.targetSeries || null,
       windowHours: Number.isFinite(versionData.windowHours) ? versionData.windowHours : 24,
-      updatedAgo: formatRelativeTime(versionData.updatedAt)
+      updatedAgo: formatRelativeTime(versionData.updatedAt, { style: 'narrow' })
     };
-  }, [versionData]);
+  }, [versionData, formatRelativeTime]);
 
   return (
     <Card
@@ -316,12 +308,12 @@ const NodesLast24HoursSection = memo(({ versionData, accentColor }) => {
             <Grid container spacing={2} sx={{ mb: 3 }}>
               <StatTile
                 label="Nodes Seen (24h)"
-                value={stats.total.toLocaleString()}
+                value={formatNumber(stats.total)}
                 caption="crawled + peers of our node"
               />
               <StatTile
                 label="On Latest"
-                value={stats.latestCount.toLocaleString()}
+                value={formatNumber(stats.latestCount)}
                 caption={stats.latestVersion ? `v${stats.latestVersion}` : null}
               />
               <StatTile
@@ -329,7 +321,7 @@ const NodesLast24HoursSection = memo(({ versionData, accentColor }) => {
                 value={formatPercent(stats.upgradedPercent)}
                 caption={stats.targetSeries ? `v${stats.targetSeries}+ DigiDollar` : null}
               />
-              <StatTile label="Versions" value={stats.rows.length.toLocaleString()} />
+              <StatTile label="Versions" value={formatNumber(stats.rows.length)} />
             </Grid>
 
             {/* Upgrade progress bar with the 70% DigiDollar-threshold marker */}
@@ -382,6 +374,10 @@ const NodesLast24HoursSection = memo(({ versionData, accentColor }) => {
               </Typography>
             </Box>
 
+            <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 1 }}>
+              <ExportMenu name="node-versions" rows={stats.rows} color={accentColor} />
+            </Box>
+
             {/* Per-version rows, sorted desc by count. Capped height keeps the
                 panel vertically balanced with the peers.dat panel; overflow
                 scrolls (long tails of one-off user agents). */}
@@ -451,7 +447,7 @@ const NodesLast24HoursSection = memo(({ versionData, accentColor }) => {
                           />
                         )}
                         <Chip
-                          label={row.count.toLocaleString()}
+                          label={formatNumber(row.count)}
                           size="small"
                           sx={{
                             fontWeight: 'bold',
@@ -463,7 +459,7 @@ const NodesLast24HoursSection = memo(({ versionData, accentColor }) => {
                         <Typography
                           component="span"
                           variant="caption"
-                          sx={{ ml: 1, color: '#666', minWidth: '44px', textAlign: 'right' }}
+                          sx={{ ml: 1, color: 'text.secondary', minWidth: '44px', textAlign: 'right' }}
                         >
                           {formatPercent(row.percent)}
                         </Typography>
@@ -580,98 +576,101 @@ const PeersDatTile = ({ label, value, caption, icon, color }) => (
  * 2x2 tile grid; stretches to the height of the crawler panel beside it on
  * desktop (parent grid uses alignItems="stretch").
  */
-const PeersDatPanel = memo(({ loading, knownCount, geoCount, countryCount, ipv4Count, ipv6Count, addrman, accentColor }) => (
-  <Card
-    elevation={3}
-    data-testid="peersdat-panel"
-    sx={{
-      height: '100%',
-      width: '100%',
-      display: 'flex',
-      flexDirection: 'column',
-      borderRadius: '12px',
-      transition: 'transform 0.3s, box-shadow 0.3s',
-      '&:hover': {
-        transform: 'translateY(-5px)',
-        boxShadow: '0 10px 20px rgba(0,0,0,0.1)',
-      },
-      borderTop: `4px solid ${accentColor}`,
-      overflow: 'hidden'
-    }}
-  >
-    <CardContent sx={{ p: { xs: 2, md: 3 }, display: 'flex', flexDirection: 'column', flexGrow: 1 }}>
-      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', mb: 0.5 }}>
-        <RouterIcon sx={{ fontSize: '1.8rem', color: accentColor, mr: 1 }} />
+const PeersDatPanel = memo(({ loading, knownCount, geoCount, countryCount, ipv4Count, ipv6Count, addrman, accentColor }) => {
+  const { formatNumber } = useLocale();
+  return (
+    <Card
+      elevation={3}
+      data-testid="peersdat-panel"
+      sx={{
+        height: '100%',
+        width: '100%',
+        display: 'flex',
+        flexDirection: 'column',
+        borderRadius: '12px',
+        transition: 'transform 0.3s, box-shadow 0.3s',
+        '&:hover': {
+          transform: 'translateY(-5px)',
+          boxShadow: '0 10px 20px rgba(0,0,0,0.1)',
+        },
+        borderTop: `4px solid ${accentColor}`,
+        overflow: 'hidden'
+      }}
+    >
+      <CardContent sx={{ p: { xs: 2, md: 3 }, display: 'flex', flexDirection: 'column', flexGrow: 1 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', mb: 0.5 }}>
+          <RouterIcon sx={{ fontSize: '1.8rem', color: accentColor, mr: 1 }} />
+          <Typography
+            variant="h5"
+            fontWeight="bold"
+            sx={{ color: '#002352', letterSpacing: '0.5px', textAlign: 'center' }}
+          >
+            Peers.dat Method
+          </Typography>
+        </Box>
+
         <Typography
-          variant="h5"
-          fontWeight="bold"
-          sx={{ color: '#002352', letterSpacing: '0.5px', textAlign: 'center' }}
+          variant="caption"
+          component="p"
+          sx={{ textAlign: 'center', color: '#777', mb: 2 }}
         >
-          Peers.dat Method
+          Passive discovery · addresses learned from network gossip
         </Typography>
-      </Box>
-
-      <Typography
-        variant="caption"
-        component="p"
-        sx={{ textAlign: 'center', color: '#777', mb: 2 }}
-      >
-        Passive discovery · addresses learned from network gossip
-      </Typography>
 
-      <Divider sx={{ maxWidth: '120px', mx: 'auto', mb: 3, borderColor: accentColor, borderWidth: 1 }} />
+        <Divider sx={{ maxWidth: '120px', mx: 'auto', mb: 3, borderColor: accentColor, borderWidth: 1 }} />
 
-      {loading ? (
-        <Box sx={{ py: 3, flexGrow: 1, display: 'flex', justifyContent: 'center', alignItems: 'center', flexDirection: 'column' }}>
-          <CircularProgress size={40} sx={{ color: accentColor, mb: 2 }} />
-          <Typography variant="h6" sx={{ color: '#555' }}>
-            Loading node data...
-          </Typography>
-        </Box>
-      ) : (
-        <Grid container spacing={2} sx={{ flexGrow: 1, alignContent: 'center' }}>
-          <PeersDatTile
-            label="Known Addresses"
-            value={knownCount.toLocaleString()}
-            caption="unique IPs in peers.dat"
-            icon={<RouterIcon />}
-            color="#0066cc"
-          />
-          <PeersDatTile
-            label="Geolocated Nodes"
-            value={geoCount.toLocaleString()}
-            caption="mappable coordinates"
-            icon={<LocationOnIcon />}
-            color="#4caf50"
-          />
-          <PeersDatTile
-            label="Countries"
-            value={countryCount.toLocaleString()}
-            caption="where nodes were seen"
-            icon={<FlagIcon />}
-            color="#ff9800"
-          />
-          <PeersDatTile
-            label="IPv4 / IPv6"
-            value={`${ipv4Count.toLocaleString()} / ${ipv6Count.toLocaleString()}`}
-            caption="address families"
-            icon={<PublicIcon />}
-            color="#9c27b0"
-          />
-          {addrman && (
+        {loading ? (
+          <Box sx={{ py: 3, flexGrow: 1, display: 'flex', justifyContent: 'center', alignItems: 'center', flexDirection: 'column' }}>
+            <CircularProgress size={40} sx={{ color: accentColor, mb: 2 }} />
+            <Typography variant="h6" sx={{ color: 'text.secondary' }}>
+              Loading node data...
+            </Typography>
+          </Box>
+        ) : (
+          <Grid container spacing={2} sx={{ flexGrow: 1, alignContent: 'center' }}>
             <PeersDatTile
-              label="Address Manager"
-              value={addrman.total.toLocaleString()}
-              caption={`${addrman.new.toLocaleString()} new · ${addrman.tried.toLocaleString()} tried`}
-              icon={<StorageIcon />}
-              color="#8e24aa"
+              label="Known Addresses"
+              value={formatNumber(knownCount)}
+              caption="unique IPs in peers.dat"
+              icon={<RouterIcon />}
+              color="#0066cc"
             />
-          )}
-        </Grid>
-      )}
-    </CardContent>
-  </Card>
-));
+            <PeersDatTile
+              label="Geolocated Nodes"
+              value={formatNumber(geoCount)}
+              caption="mappable coordinates"
+              icon={<LocationOnIcon />}
+              color="#4caf50"
+            />
+            <PeersDatTile
+              label="Countries"
+              value={formatNumber(countryCount)}
+              caption="where nodes were seen"
+              icon={<FlagIcon />}
+              color="#ff9800"
+            />
+            <PeersDatTile
+              label="IPv4 / IPv6"
+              value={`${formatNumber(ipv4Count)} / ${formatNumber(ipv6Count)}`}
+              caption="address families"
+              icon={<PublicIcon />}
+              color="#9c27b0"
+            />
+            {addrman && (
+              <PeersDatTile
+                label="Address Manager"
+                value={formatNumber(addrman.total)}
+                caption={`${formatNumber(addrman.new)} new · ${formatNumber(addrman.tried)} tried`}
+                icon={<StorageIcon />}
+                color="#8e24aa"
+              />
+            )}
+          </Grid>
+        )}
+      </CardContent>
+    </Card>
+  );
+});
 
 PeersDatPanel.displayName = 'PeersDatPanel';
 
@@ -686,8 +685,9 @@ PeersDatPanel.displayName = 'PeersDatPanel';
  * - Educational information about blockchain nodes
  */
 const NodesPage = () => {
-  const { wsBaseUrl, getApiUrl, isTestnet, theme: networkTheme } = useNetwork();
-  const { nodesData, versionData, addrmanInfo, loading } = useFetchData(wsBaseUrl);
+  const { formatNumber } = useLocale();
+  const { getApiUrl, isTestnet, theme: networkTheme } = useNetwork();
+  const { nodesData, versionData, addrmanInfo, loading } = useFetchData();
 
   // Accent for the 24h version section — network-aware like HeroSection
   const versionAccentColor = isTestnet ? (networkTheme?.primary || '#0066cc') : '#0066cc';
@@ -1033,6 +1033,9 @@ const NodesPage = () => {
     [nodesData]
   );
 
+  // The map draws the previous markers until the new set has rendered
+  const mapNodes = useDeferredValue(validNodes);
+
   // Aggregate nodes by country for statistics display
   const nodesByCountry = useMemo(() => {
     if (!nodesData || nodesData.length === 0) return {};
@@ -1143,6 +1146,17 @@ const NodesPage = () => {
     }));
   }, [nodesByCountry, totalCountryNodes]);
 
+  // Every geolocated country (not just the top N) for the Export menu
+  const exportCountryRows = () => Object.entries(nodesByCountry)
+    .filter(([country]) => country !== 'Unknown')
+    .sort(([, a], [, b]) => b - a)
+    .map(([country, count]) => ({
+      country,
+      count,
+      continent: getContinentForCountry(country),
+      percent: totalCountryNodes > 0 ? Math.round((count / totalCountryNodes) * 1000) / 10 : 0
+    }));
+
   // Continent totals for the summary strip (sorted desc)
   const continentSummary = useMemo(() => {
     const sums = {};
@@ -1164,11 +1178,11 @@ const NodesPage = () => {
     <Card
       elevation={2}
       sx={{
-        backgroundColor: '#f2f4f8',
+        backgroundColor: 'background.subtle',
         borderRadius: '12px',
         mb: 4,
         overflow: 'hidden',
-        backgroundImage: 'linear-gradient(135deg, #f8f9fa 0%, #e8eef7 100%)',
+        backgroundImage: (theme) => theme.palette.background.hero,
         border: `1px solid ${isTestnet ? 'rgba(230, 81, 0, 0.2)' : 'rgba(0, 35, 82, 0.1)'}`,
         transition: 'transform 0.3s ease-in-out',
         '&:hover': {
@@ -1227,7 +1241,7 @@ const NodesPage = () => {
             maxWidth: '800px', 
             mx: 'auto', 
             mb: 2,
-            color: '#555',
+            color: 'text.secondary',
             fontSize: '1.1rem'
           }}
         >
@@ -1243,7 +1257,7 @@ const NodesPage = () => {
           sx={{ 
             maxWidth: '800px', 
             mx: 'auto',
-            color: '#666',
+            color: 'text.secondary',
           }}
         >
           A blockchain node is a computer running the DGB core wallet. Not all nodes shown should be considered active as they could be shut down now, or might be the same node behind a changing VPN or dynamic IP. Mapping decentralization through node count is challenging, and this represents one perspective.
@@ -1258,13 +1272,21 @@ const NodesPage = () => {
    */
   const WorldMapSection = () => {
     const svgRef = useRef(null);
-    const [currentTransform, setCurrentTransform] = useState(zoomIdentity);
+    // Zoom level and position follow the URL (MAP_QUERY): a gesture that
+    // changes the level adds a history entry, a pan only replaces it.
+    const [query, setQuery] = useQueryParams(MAP_QUERY);
+    const queryRef = useRef({ query, setQuery });
+    queryRef.current = { query, setQuery };
+    const zoomKey = MAP_QUERY.zoom.serialize(query.zoom);
+    const zoomBehaviorRef = useRef(null);
+
+    const [currentTransform, setCurrentTransform] = useState(() => toZoomTransform(query.zoom));
     const [isDragging, setIsDragging] = useState(false);
     const [hoveredCountry, setHoveredCountry] = useState(null);
     const [mousePosition, setMousePosition] = useState({ x: 0, y: 0 });
     
     // Store the transform in a ref to persist across re-renders
-    const transformRef = useRef(zoomIdentity);
+    const transformRef = useRef(currentTransform);
     
     // Calculate visible bounds for viewport culling
     const visibleBounds = useMemo(() => {
@@ -1285,7 +1307,7 @@ const NodesPage = () => {
     
     // Filter visible nodes for performance
     const visibleNodes = useMemo(() => {
-      return validNodes.filter(node => {
+      return mapNodes.filter(node => {
         const coords = projection([node.lon, node.lat]);
         if (!coords) return false;
         const [x, y] = coords;
@@ -1294,7 +1316,7 @@ const NodesPage = () => {
                y >= visibleBounds.minY && 
                y <= visibleBounds.maxY;
       });
-    }, [validNodes, projection, visibleBounds]);
+    }, [mapNodes, projection, visibleBounds]);
     
     // Filter visible cities with collision detection
     const visibleCities = useMemo(() => {
@@ -1362,6 +1384,7 @@ const NodesPage = () => {
       // Create zoom behavior with optimized handler
       let animationFrame = null;
       const zoomBehavior = d3Zoom()
+        .extent([[0, 0], [containerWidth, containerHeight]])
         .scaleExtent([1, 8]) // Min zoom 1x, max zoom 8x
         .translateExtent([
           [-containerWidth * 0.5, -containerHeight * 0.5],
@@ -1371,24 +1394,28 @@ const NodesPage = () => {
           setIsDragging(true);
         })
         .on('zoom', (event) => {
+          transformRef.current = event.transform;
           // Use requestAnimationFrame for smoother performance
           if (animationFrame) {
             cancelAnimationFrame(animationFrame);
           }
           animationFrame = requestAnimationFrame(() => {
             setCurrentTransform(event.transform);
-            transformRef.current = event.transform;
           });
         })
-        .on('end', () => {
+        .on('end', (event) => {
           setIsDragging(false);
+          const { query: current, setQuery: writeQuery } = queryRef.current;
+          const { k, x, y } = event.transform;
+          writeQuery({ zoom: { k, x, y } }, { replace: Math.abs(k - current.zoom.k) < 0.01 });
         });
+      zoomBehaviorRef.current = zoomBehavior;
       
       // Apply zoom behavior to SVG
       svg.call(zoomBehavior);
       
-      // Restore previous zoom transform if it exists
-      if (transformRef.current && transformRef.current !== zoomIdentity) {
+      // Restore the zoom from the URL / previous render if there is one
+      if (transformRef.current && MAP_QUERY.zoom.serialize(transformRef.current) !== '1,0,0') {
         svg.call(zoomBehavior.transform, transformRef.current);
       }
       
@@ -1421,6 +1448,15 @@ const NodesPage = () => {
         delete window.handleResetZoom;
       };
     }, []);
+
+    // Back / forward to a different zoom: move the map there.
+    useEffect(() => {
+      const zoomBehavior = zoomBehaviorRef.current;
+      if (!zoomBehavior || !svgRef.current) return;
+      if (MAP_QUERY.zoom.serialize(transformRef.current) === zoomKey) return;
+      select(svgRef.current).transition().duration(300)
+        .call(zoomBehavior.transform, toZoomTransform(queryRef.current.query.zoom));
+    }, [zoomKey]);
     
     return (
     <Card 
@@ -1912,7 +1948,7 @@ const NodesPage = () => {
               display: 'block', 
               textAlign: 'center', 
               mt: 1, 
-              color: '#666' 
+              color: 'text.secondary' 
             }}
           >
             Drag to pan • Scroll to zoom • Cities appear at higher zoom levels • US state boundaries visible at 3x+ zoom
@@ -1934,8 +1970,8 @@ const NodesPage = () => {
         p: { xs: 2, md: 3 },
         borderRadius: '12px',
         mb: 4,
-        backgroundColor: '#f2f4f8',
-        backgroundImage: 'linear-gradient(135deg, #f8f9fa 0%, #e8eef7 100%)',
+        backgroundColor: 'background.subtle',
+        backgroundImage: (theme) => theme.palette.background.hero,
         border: '1px solid rgba(0, 35, 82, 0.1)',
         transition: 'transform 0.3s, box-shadow 0.3s',
         '&:hover': {
@@ -2021,12 +2057,16 @@ const NodesPage = () => {
 
         <Divider sx={{ maxWidth: '120px', mx: 'auto', mb: 3, borderColor: '#0066cc', borderWidth: 1 }} />
 
+        <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 1 }}>
+          <ExportMenu name="nodes-by-country" rows={totalCountries ? exportCountryRows : []} color="#0066cc" />
+        </Box>
+
         {/* Continent summary strip */}
         <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, justifyContent: 'center', mb: 3 }}>
           {continentSummary.map(({ continent, count }) => (
             <Chip
               key={continent}
-              label={`${continent} · ${count.toLocaleString()}`}
+              label={`${continent} · ${formatNumber(count)}`}
               sx={{
                 fontWeight: 600,
                 color: getContinentColor(continent),
@@ -2066,7 +2106,7 @@ const NodesPage = () => {
                     </Typography>
                     <Box sx={{ display: 'flex', alignItems: 'baseline', gap: 1, flexShrink: 0 }}>
                       <Typography variant="body2" sx={{ fontWeight: 700, color: '#002352' }}>
-                        {count.toLocaleString()}
+                        {formatNumber(count)}
                       </Typography>
                       <Typography variant="caption" sx={{ color: '#888', minWidth: 42, textAlign: 'right' }}>
                         {formatPercent(percent)}
@@ -2101,7 +2141,7 @@ const NodesPage = () => {
     <Box 
       sx={{ 
         py: 4, 
-        backgroundImage: 'linear-gradient(to bottom, #f8f9fa, #ffffff)',
+        backgroundImage: (theme) => theme.palette.background.page,
         minHeight: '100vh'
       }}
     >
@@ -0,0 +1,65 @@
+import React from 'react';
+import { Link as RouterLink, useLocation } from 'react-router-dom';
+import {
+  Container, Typography, Box, Button, Card, CardContent, Grid, Link,
+} from '@mui/material';
+import SearchOffIcon from '@mui/icons-material/SearchOff';
+import { useNetwork } from '../context/NetworkContext';
+import { useLocale } from '../context/LocaleContext';
+import { navGroupsFor } from '../routes';
+
+/**
+ * NotFoundPage — catch-all route of both layouts. Names the missing path and
+ * lists this network's menu pages (from the route registry) so a mistyped or
+ * retired link still leads somewhere.
+ */
+const NotFoundPage = () => {
+  const { pathname } = useLocation();
+  const { name, isTestnet, getNetworkPath, theme: networkTheme } = useNetwork();
+  const { t } = useLocale();
+  const primaryColor = networkTheme.primary;
+
+  return (
+    <Box sx={{ py: 4, backgroundImage: (theme) => theme.palette.background.page, minHeight: '100vh' }}>
+      <Container maxWidth="md">
+        <Card elevation={2} sx={{ backgroundColor: 'background.subtle', borderRadius: '12px', mb: 4 }}>
+          <CardContent sx={{ py: 4, textAlign: 'center' }}>
+            <SearchOffIcon sx={{ fontSize: '3rem', color: primaryColor, mb: 1 }} />
+            <Typography variant="h3" component="h1" fontWeight="800" color={primaryColor} gutterBottom>
+              {t('notFound.title')}
+            </Typography>
+            <Typography variant="body1" sx={{ mb: 3, wordBreak: 'break-all' }} data-testid="not-found-path">
+              {t('notFound.message', { path: pathname })}
+            </Typography>
+            <Button variant="contained" component={RouterLink} to={getNetworkPath('/')}>
+              {t(isTestnet ? 'notFound.backTestnet' : 'notFound.back')}
+            </Button>
+          </CardContent>
+        </Card>
+
+        <Typography variant="h6" fontWeight="bold" gutterBottom>
+          {t('notFound.pages')}
+        </Typography>
+        <Grid container spacing={2} component="nav" aria-label={t('notFound.pages')}>
+          {navGroupsFor(name).map((group) => (
+            <Grid item xs={6} sm={3} key={group.id}>
+              <Typography variant="subtitle2" color="text.secondary">{t(group.label)}</Typography>
+              {group.routes.map((route) => (
+                <Link
+                  key={route.id}
+                  component={RouterLink}
+                  to={getNetworkPath(route.path)}
+                  sx={{ display: 'block', py: 0.25 }}
+                >
+                  {t(route.label)}
+                </Link>
+              ))}
+            </Grid>
+          ))}
+        </Grid>
+      </Container>
+    </Box>
+  );
+};
+
+export default NotFoundPage;
@@ -16,9 +16,14 @@ import DescriptionIcon from '@mui/icons-material/Description';
 import KeyIcon from '@mui/icons-material/Key';
 import SendIcon from '@mui/icons-material/Send';
 import VerifiedIcon from '@mui/icons-material/Verified';
-import { Link as RouterLink } from 'react-router-dom';
+import { Link as RouterLink, useLocation } from 'react-router-dom';
 import { useNetwork } from '../context/NetworkContext';
+import { useLocale } from '../context/LocaleContext';
+import { useWsMessage, useWsStatusChange } from '../hooks/useWsMessage';
 import IntegrationGuides from '../components/IntegrationGuides';
+import ExportMenu from '../components/ExportMenu';
+import { OraclePriceTile, OracleUpdateTile, formatOraclePrice } from '../components/OraclePriceTiles';
+import { ORACLE_NAMES, ORACLE_TOTAL_SLOTS } from '../utils/oracles';
 
 // Empty initial state - no mock data
 const EMPTY_ORACLE_PRICE = {
@@ -35,7 +40,6 @@ const EMPTY_ORACLE_PRICE = {
 
 // Default oracle configuration. Live RPC is the
 // authority, with these constants only used before data arrives.
-const ORACLE_TOTAL_SLOTS = 35;
 const ACTIVE_ORACLE_COUNT = 35;
 const MAX_ACTIVE_ORACLE_ID = 34; // fallback for older RPCs with no in_consensus flag
 const ORACLE_THRESHOLD = 7;      // consensus requires 7 signatures
@@ -43,78 +47,46 @@ const EXPECTED_MUSIG2_CONTEXT_VERSION = 2;
 const ORACLE_EPOCH_BLOCKS = 40;
 const TARGET_BLOCK_SECONDS = 15;
 
-// Oracle name mapping for cases where daemon returns "Unknown".
-// The node's vOracleNodes list uses placeholder keys for IDs 9 and 10;
-// their real-world operator names must be supplied here.
-const ORACLE_NAMES = {
-  7: 'LookInto',        // Oracle 7
-  9: 'Ogilvie',         // Oracle 9
-  10: 'ChopperBrian',   // Oracle 10
-  11: 'hallvardo',      // Oracle 11
-  12: 'DaPunzy',        // Oracle 12
-  13: 'DigiByteForce',  // Oracle 13
-  14: 'Neel',           // Oracle 14
-  15: 'DigiSwarm',      // Oracle 15
-  16: 'GTO90',          // Oracle 16
-  17: 'digibyte-maxi',  // Oracle 17
-  18: 'Anthony',        // Oracle 18
-  19: 'mbah_jambon',    // Oracle 19
-  20: 'Camden',         // Oracle 20
-  21: 'Twoface123',     // Oracle 21
-  22: 'LivingTheLife',  // Oracle 22
-  23: 'ChozenOne43',    // Oracle 23
-  24: 'ckunchained',    // Oracle 24
-  25: 'JMag',           // Oracle 25
-  26: 'HashedMax',      // Oracle 26
-  27: 'DennisPitallano',// Oracle 27
-  28: 'DigiHash',       // Oracle 28
-  29: 'Michael E',      // Oracle 29
-  30: 'DigibyteDaily',  // Oracle 30
-  31: 'Peer2Peer / DigiRoos', // Oracle 31
-  32: '3DogsKanab',     // Oracle 32
-  33: 'LiberatedLark',  // Oracle 33
-  34: 'Manu_DGB_oracle' // Oracle 34
-};
-
-const formatAgeSeconds = (seconds) => {
+// Age and duration formatters take `t` from useLocale() for their units.
+const formatAgeSeconds = (seconds, t) => {
   const value = Number(seconds);
-  if (!Number.isFinite(value) || value < 0) return 'unknown';
+  if (!Number.isFinite(value) || value < 0) return t('oracles.ageUnknown');
 
   const totalSeconds = Math.floor(value);
-  if (totalSeconds < 60) return `${totalSeconds}s ago`;
+  if (totalSeconds < 60) return t('oracles.ageSeconds', { s: totalSeconds });
 
   const minutes = Math.floor(totalSeconds / 60);
   const remainingSeconds = totalSeconds % 60;
-  if (minutes < 60) return `${minutes}m ${remainingSeconds}s ago`;
+  if (minutes < 60) return t('oracles.ageMinutes', { m: minutes, s: remainingSeconds });
 
   const hours = Math.floor(minutes / 60);
   const remainingMinutes = minutes % 60;
-  if (hours < 24) return `${hours}h ${remainingMinutes}m ago`;
+  if (hours < 24) return t('oracles.ageHours', { h: hours, m: remainingMinutes });
 
   const days = Math.floor(hours / 24);
   const remainingHours = hours % 24;
-  return `${days}d ${remainingHours}h ago`;
+  return t('oracles.ageDays', { d: days, h: remainingHours });
 };
 
-const formatTimestampAge = (timestamp) => {
+const formatTimestampAge = (timestamp, t) => {
   const value = Number(timestamp);
-  if (!Number.isFinite(value) || value <= 0) return 'unknown';
+  if (!Number.isFinite(value) || value <= 0) return t('oracles.ageUnknown');
   const nowSeconds = Math.floor(Date.now() / 1000);
-  return formatAgeSeconds(Math.max(0, nowSeconds - value));
+  return formatAgeSeconds(Math.max(0, nowSeconds - value), t);
 };
 
-const formatDurationSeconds = (seconds) => {
+const formatDurationSeconds = (seconds, t) => {
   const value = Number(seconds);
-  if (!Number.isFinite(value) || value <= 0) return '~0s';
+  if (!Number.isFinite(value) || value <= 0) return t('oracles.durationSeconds', { s: 0 });
 
   const totalSeconds = Math.round(value);
   const hours = Math.floor(totalSeconds / 3600);
   const minutes = Math.floor((totalSeconds % 3600) / 60);
   const remainingSeconds = totalSeconds % 60;
 
-  if (hours > 0) return `~${hours}h ${minutes}m`;
-  if (minutes > 0) return `~${minutes}m ${remainingSeconds}s`;
-  return `~${remainingSeconds}s`;
+  if (hours > 0) return t('oracles.durationHours', { h: hours, m: minutes });
+  if (minutes > 0) return t('oracles.durationMinutes', { m: minutes, s: remainingSeconds });
+  return t('oracles.durationSeconds', { s: remainingSeconds });
 };
 
 const getHeartbeatChipColor = (status, signatureValid) => {
@@ -129,18 +101,23 @@ const getHeartbeatChipColor = (status, signatureValid) => {
  *
  * Displays real-time information about the decentralized oracle network
  * that provides DGB/USD price feeds for the DigiDollar system.
- * Receives data via WebSocket push from the backend.
+ * Receives data via the network's shared WebSocket push from the backend.
  */
 const OraclesPage = () => {
   const network = useNetwork();
-  const { wsBaseUrl, theme: networkTheme, digiDollarLabel, displayName } = network;
+  const { t, tRich, formatNumber, formatDate } = useLocale();
+  const { theme: networkTheme, digiDollarLabel, displayName } = network;
   const oracleConfig = network.oracle || {};
   const primaryColor = networkTheme.primary;
   const secondaryColor = networkTheme.secondary;
   const oracleTotalSlots = oracleConfig.totalSlots || ORACLE_TOTAL_SLOTS;
   const activeOracleSlots = oracleConfig.activeSlots || ACTIVE_ORACLE_COUNT;
   const oracleThreshold = oracleConfig.threshold || ORACLE_THRESHOLD;
-  const oracleConsensusLabel = `${oracleThreshold} of ${oracleTotalSlots}`;
+  const oracleConsensusLabel = t('oracles.consensusLabel', { threshold: oracleThreshold, total: oracleTotalSlots });
+  const rosterLabel = t(`oracles.roster.${network.name}`);
+  // `#oracle-<id>` (linked from the Header search) highlights one row.
+  const { hash } = useLocation();
+  const focusedOracleId = /^#oracle-\d+$/.test(hash) ? Number(hash.slice('#oracle-'.length)) : null;
 
   // State for oracle data - start empty, no mock data
   const [oraclePrice, setOraclePrice] = useState(EMPTY_ORACLE_PRICE);
@@ -153,108 +130,89 @@ const OraclesPage = () => {
   const [oracleBlockHeight, setOracleBlockHeight] = useState(0);
   const [oracleSigners, setOracleSigners] = useState(null);
 
-  // WebSocket connection for real-time oracle data
-  useEffect(() => {
-    const socket = new WebSocket(wsBaseUrl);
-
-    socket.onopen = () => {
-      console.log('WebSocket connection established for oracles page');
-    };
-
-    socket.onmessage = (event) => {
-      try {
-        const message = JSON.parse(event.data);
-        if (message.type === 'ddDeploymentData') {
-          setDdDeploymentStatus(message.data.status);
-          setDdDeploymentInfo(message.data);
-        }
-        if (message.type === 'oracleData') {
-          const { price: priceData, allPrices: allOraclePricesData, oracles: oraclesConfigData, oracleSigners: oracleSignersData } = message.data;
-          const allOraclePrices = (allOraclePricesData && allOraclePricesData.oracles) || [];
-          const currentBlockHeight = allOraclePricesData?.block_height || priceData?.block_height || priceData?.last_update_height || 0;
-          const latestSignerBundle = oracleSignersData?.bundles?.[0] || null;
-          const latestBundleSignerIds = new Set((latestSignerBundle?.signer_ids || []).map(Number));
-
-          // Update state with real price data
-          setOraclePrice({
-            price_micro_usd: priceData.price_micro_usd || 0,
-            price_usd: priceData.price_usd || 0,
-            oracle_count: priceData.oracle_count || 0,
-            status: priceData.status || 'unknown',
-            last_update_height: priceData.last_update_height || 0,
-            is_stale: priceData.is_stale || false,
-            '24h_high': priceData['24h_high'] || 0,
-            '24h_low': priceData['24h_low'] || 0,
-            volatility: priceData.volatility || 0
-          });
-          setOracleBlockHeight(currentBlockHeight);
-          setOracleSigners(oracleSignersData || null);
-
-          // Use getoracles (config with all oracles) as base, merge price data from getalloracleprices
-          const mappedOracles = (oraclesConfigData || []).map(configOracle => {
-            const priceOracle = allOraclePrices.find(o => o.oracle_id === configOracle.oracle_id) || {};
-            const priceMicroUsd = priceOracle.price_micro_usd ?? configOracle.last_price_micro_usd ?? 0;
-            const priceUsd = priceOracle.price_usd ?? configOracle.last_price_usd ?? 0;
-            const lastPriceTimestamp = priceOracle.timestamp ?? configOracle.last_update ?? 0;
-            const priceStatus = priceOracle.status || configOracle.status || 'no_data';
-
-            return {
-              oracle_id: configOracle.oracle_id,
-              name: configOracle.name !== 'Unknown' ? configOracle.name : (ORACLE_NAMES[configOracle.oracle_id] || `Oracle ${configOracle.oracle_id}`),
-              pubkey: configOracle.pubkey || '',
-              endpoint: configOracle.endpoint,
-              is_active: configOracle.is_active !== false,
-              in_consensus: configOracle.in_consensus ?? (configOracle.is_active !== false && configOracle.oracle_id <= MAX_ACTIVE_ORACLE_ID),
-              epoch_eligible: Boolean(configOracle.selected_for_epoch),
-              selected_for_epoch: Boolean(configOracle.selected_for_epoch),
-              signed_latest_bundle: latestBundleSignerIds.has(Number(configOracle.oracle_id)),
-              is_running_locally: Boolean(configOracle.is_running_locally),
-              price_micro_usd: priceMicroUsd,
-              price_usd: priceUsd,
-              timestamp: lastPriceTimestamp,
-              deviation_pct: priceOracle.deviation_pct || 0,
-              signature_valid: priceOracle.signature_valid || false,
-              price_source: configOracle.price_source || priceOracle.price_source || 'none',
-              status: priceStatus,
-              is_running: priceStatus === 'reporting',
-              heartbeat_status: configOracle.heartbeat_status || 'unknown',
-              software_version: configOracle.software_version || '',
-              client_version: configOracle.client_version || 0,
-              p2p_protocol_version: configOracle.p2p_protocol_version || 0,
-              oracle_protocol_version: configOracle.oracle_protocol_version || 0,
-              musig2_context_version: configOracle.musig2_context_version || 0,
-              heartbeat_timestamp: configOracle.heartbeat_timestamp || 0,
-              heartbeat_age_seconds: configOracle.heartbeat_age_seconds ?? -1,
-              heartbeat_signature_valid: Boolean(configOracle.heartbeat_signature_valid)
-            };
-          });
-
-          // Only show consensus roster oracles. Older RPCs did not expose
-          // in_consensus, so mapping above falls back to IDs 0-34.
-          const activeOracles = mappedOracles.filter(o => o.in_consensus);
-          setOracles(activeOracles);
-          setLastUpdated(new Date());
-          setLoading(false);
-          setError(null);
-        }
-      } catch (err) {
-        console.error('Error processing oracle WebSocket message:', err);
-      }
-    };
-
-    socket.onerror = () => {
-      setError('Unable to connect to oracle data feed. Network may be unavailable.');
+  // Real-time oracle data over the network's shared WebSocket
+  useWsMessage(['ddDeploymentData', 'oracleData'], (message) => {
+    if (message.type === 'ddDeploymentData') {
+      setDdDeploymentStatus(message.data.status);
+      setDdDeploymentInfo(message.data);
+    }
+    if (message.type === 'oracleData') {
+      const { price: priceData, allPrices: allOraclePricesData, oracles: oraclesConfigData, oracleSigners: oracleSignersData } = message.data;
+      const allOraclePrices = (allOraclePricesData && allOraclePricesData.oracles) || [];
+      const currentBlockHeight = allOraclePricesData?.block_height || priceData?.block_height || priceData?.last_update_height || 0;
+      const latestSignerBundle = oracleSignersData?.bundles?.[0] || null;
+      const latestBundleSignerIds = new Set((latestSignerBundle?.signer_ids || []).map(Number));
+
+      // Update state with real price data
+      setOraclePrice({
+        price_micro_usd: priceData.price_micro_usd || 0,
+        price_usd: priceData.price_usd || 0,
+        oracle_count: priceData.oracle_count || 0,
+        status: priceData.status || 'unknown',
+        last_update_height: priceData.last_update_height || 0,
+        is_stale: priceData.is_stale || false,
+        '24h_high': priceData['24h_high'] || 0,
+        '24h_low': priceData['24h_low'] || 0,
+        volatility: priceData.volatility || 0
+      });
+      setOracleBlockHeight(currentBlockHeight);
+      setOracleSigners(oracleSignersData || null);
+
+      // Use getoracles (config with all oracles) as base, merge price data from getalloracleprices
+      const mappedOracles = (oraclesConfigData || []).map(configOracle => {
+        const priceOracle = allOraclePrices.find(o => o.oracle_id === configOracle.oracle_id) || {};
+        const priceMicroUsd = priceOracle.price_micro_usd ?? configOracle.last_price_micro_usd ?? 0;
+        const priceUsd = priceOracle.price_usd ?? configOracle.last_price_usd ?? 0;
+        const lastPriceTimestamp = priceOracle.timestamp ?? configOracle.last_update ?? 0;
+        const priceStatus = priceOracle.status || configOracle.status || 'no_data';
+
+        return {
+          oracle_id: configOracle.oracle_id,
+          name: configOracle.name !== 'Unknown' ? configOracle.name : (ORACLE_NAMES[configOracle.oracle_id] || `Oracle ${configOracle.oracle_id}`),
+          pubkey: configOracle.pubkey || '',
+          endpoint: configOracle.endpoint,
+          is_active: configOracle.is_active !== false,
+          in_consensus: configOracle.in_consensus ?? (configOracle.is_active !== false && configOracle.oracle_id <= MAX_ACTIVE_ORACLE_ID),
+          epoch_eligible: Boolean(configOracle.selected_for_epoch),
+          selected_for_epoch: Boolean(configOracle.selected_for_epoch),
+          signed_latest_bundle: latestBundleSignerIds.has(Number(configOracle.oracle_id)),
+          is_running_locally: Boolean(configOracle.is_running_locally),
+          price_micro_usd: priceMicroUsd,
+          price_usd: priceUsd,
+          timestamp: lastPriceTimestamp,
+          deviation_pct: priceOracle.deviation_pct || 0,
+          signature_valid: priceOracle.signature_valid || false,
+          price_source: configOracle.price_source || priceOracle.price_source || 'none',
+          status: priceStatus,
+          is_running: priceStatus === 'reporting',
+          heartbeat_status: configOracle.heartbeat_status || 'unknown',
+          software_version: configOracle.software_version || '',
+          client_version: configOracle.client_version || 0,
+          p2p_protocol_version: configOracle.p2p_protocol_version || 0,
+          oracle_protocol_version: configOracle.oracle_protocol_version || 0,
+          musig2_context_version: configOracle.musig2_context_version || 0,
+          heartbeat_timestamp: configOracle.heartbeat_timestamp || 0,
+          heartbeat_age_seconds: configOracle.heartbeat_age_seconds ?? -1,
+          heartbeat_signature_valid: Boolean(configOracle.heartbeat_signature_valid)
+        };
+      });
+
+      // Only show consensus roster oracles. Older RPCs did not expose
+      // in_consensus, so mapping above falls back to IDs 0-34.
+      const activeOracles = mappedOracles.filter(o => o.in_consensus);
+      setOracles(activeOracles);
+      setLastUpdated(new Date());
       setLoading(false);
-    };
-
-    socket.onclose = (event) => {
-      if (event.code !== 1000) {
-        console.log('Oracle WebSocket connection closed, code:', event.code);
-      }
-    };
+      setError(null);
+    }
+  });
 
-    return () => socket.close();
-  }, [wsBaseUrl]);
+  useWsStatusChange((status) => {
+    if (status === 'closed') {
+      setError(true);
+      setLoading(false);
+    }
+  });
 
   // Authoritative BIP9 deployment status from the node's getdeploymentinfo RPC.
   // The WebSocket ddDeploymentData message above is a live source, but it can
@@ -280,11 +238,11 @@ const OraclesPage = () => {
     return () => clearInterval(id);
   }, [fetchDeploymentInfo]);
 
-  // Format price from micro-USD to display format
-  const formatPrice = (microUsd) => {
-    if (!microUsd || microUsd === 0) return 'Not Reporting';
-    return '$' + (microUsd / 1000000).toFixed(6);
-  };
+  // Bring a searched-for oracle into view once the table has rendered.
+  useEffect(() => {
+    if (focusedOracleId == null || oracles.length === 0) return;
+    document.getElementById(`oracle-${focusedOracleId}`)?.scrollIntoView?.({ block: 'center' });
+  }, [focusedOracleId, oracles.length]);
 
   // Check if we have valid data
   const hasData = oraclePrice.oracle_count > 0 || oracles.length > 0;
@@ -309,7 +267,7 @@ const OraclesPage = () => {
     freshHeartbeatCount >= oracleThreshold &&
     rc43ContextCount >= oracleThreshold;
   const versionBuckets = Object.values(oracles.reduce((buckets, oracle) => {
-    const version = oracle.software_version || 'No version reported';
+    const version = oracle.software_version || '';
     if (!buckets[version]) {
       buckets[version] = {
         version,
@@ -326,7 +284,7 @@ const OraclesPage = () => {
     if (b.count !== a.count) return b.count - a.count;
     return a.version.localeCompare(b.version);
   });
-  const formatOperatorCount = (count) => `${count} operator${count === 1 ? '' : 's'}`;
+  const formatOperatorCount = (count) => t(count === 1 ? 'oracles.operatorOne' : 'oracles.operators', { count });
 
   const getOracleEpochInfo = () => {
     const session = ddDeploymentInfo?.musig2_session || {};
@@ -377,9 +335,10 @@ const OraclesPage = () => {
       sx={{
         p: 2,
         height: '100%',
-        border: '1px solid #e0e0e0',
+        border: '1px solid',
+        borderColor: 'divider',
         borderRadius: '8px',
-        backgroundColor: ok ? 'rgba(46, 125, 50, 0.06)' : '#fafafa'
+        backgroundColor: ok ? 'rgba(46, 125, 50, 0.06)' : 'background.subtle'
       }}
     >
       <Typography variant="body2" color="text.secondary" sx={{ mb: 0.5 }}>
@@ -409,7 +368,7 @@ const OraclesPage = () => {
     <Card
       elevation={2}
       sx={{
-        backgroundColor: '#f2f4f8',
+        backgroundColor: 'background.subtle',
         borderRadius: '12px',
         mb: 4,
         overflow: 'hidden',
@@ -430,7 +389,7 @@ const OraclesPage = () => {
               fontSize: { xs: '1.8rem', sm: '2.3rem', md: '2.8rem' }
             }}
           >
-            DigiDollar {digiDollarLabel} Oracles
+            {t('oracles.title', { label: digiDollarLabel })}
           </Typography>
         </Box>
 
@@ -442,7 +401,7 @@ const OraclesPage = () => {
             fontWeight: 600
           }}
         >
-          Decentralized Price Feed Network
+          {t('oracles.subtitle')}
         </Typography>
 
         <Divider sx={{ maxWidth: '150px', mx: 'auto', mb: 2, borderColor: secondaryColor, borderWidth: 2 }} />
@@ -452,10 +411,10 @@ const OraclesPage = () => {
           sx={{
             maxWidth: '800px',
             mx: 'auto',
-            color: '#555'
+            color: 'text.secondary'
           }}
         >
-          The oracle network provides real-time DGB/USD price feeds to the DigiDollar system using BIP-340 Schnorr signature consensus.
+          {t('oracles.intro')}
         </Typography>
       </CardContent>
     </Card>
@@ -467,7 +426,7 @@ const OraclesPage = () => {
       {/* Error Alert - only show when no data is available */}
       {error && !hasData && (
         <Alert severity="warning" sx={{ mb: 2 }}>
-          {error}
+          {t('oracles.feedError')}
         </Alert>
       )}
 
@@ -475,13 +434,13 @@ const OraclesPage = () => {
         <Box sx={{ display: 'flex', alignItems: 'center' }}>
           <AttachMoneyIcon sx={{ fontSize: '2rem', color: primaryColor, mr: 1 }} />
           <Typography variant="h5" fontWeight="bold" sx={{ color: primaryColor }}>
-            {displayName} Oracle Price
+            {t('oracles.priceTitle', { network: displayName })}
           </Typography>
         </Box>
         <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
           {lastUpdated && (
             <Typography variant="caption" color="text.secondary">
-              Updated: {lastUpdated.toLocaleTimeString()}
+              {t('oracles.updated', { time: formatDate(lastUpdated, { timeStyle: 'medium' }) })}
             </Typography>
           )}
         </Box>
@@ -490,81 +449,63 @@ const OraclesPage = () => {
       {loading ? (
         <Box sx={{ textAlign: 'center', py: 4 }}>
           <CircularProgress size={40} sx={{ color: primaryColor }} />
-          <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>Loading oracle data...</Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>{t('oracles.loadingData')}</Typography>
         </Box>
       ) : !hasData && ddDeploymentStatus && ddDeploymentStatus !== 'active' ? (
         <Box sx={{ textAlign: 'center', py: 4 }}>
           <HourglassTopIcon sx={{ fontSize: '3rem', color: '#9e9e9e', mb: 1 }} />
-          <Typography variant="h6" color="text.secondary">Oracle Network Waiting for Activation</Typography>
+          <Typography variant="h6" color="text.secondary">{t('oracles.waitingTitle')}</Typography>
           <Typography variant="body2" color="text.secondary">
-            DigiDollar is currently in the {ddDeploymentStatus.toUpperCase().replace('_', ' ')} stage, so live oracle price reporting is not available yet.
+            {t('oracles.waitingBody', { stage: ddDeploymentStatus.toUpperCase().replace('_', ' ') })}
           </Typography>
         </Box>
       ) : !hasData && error ? (
         <Box sx={{ textAlign: 'center', py: 4 }}>
           <CloudOffIcon sx={{ fontSize: '3rem', color: '#9e9e9e', mb: 1 }} />
-          <Typography variant="h6" color="text.secondary">Oracle Network Unavailable</Typography>
-          <Typography variant="body2" color="text.secondary">Unable to fetch oracle data from the network</Typography>
+          <Typography variant="h6" color="text.secondary">{t('oracles.unavailableTitle')}</Typography>
+          <Typography variant="body2" color="text.secondary">{t('oracles.unavailableBody')}</Typography>
         </Box>
       ) : (
         <Grid container spacing={3}>
           <Grid item xs={12} md={4}>
-            <Tooltip title="Consensus price from oracle network - median of all active oracle price feeds with outlier filtering" arrow placement="top">
-              <Box sx={{ textAlign: 'center', p: 2, backgroundColor: '#f5f5f5', borderRadius: '8px', cursor: 'help', minHeight: 160, display: 'flex', flexDirection: 'column', justifyContent: 'center' }}>
-                <Typography variant="body2" color="text.secondary">DGB/USD Price</Typography>
-                <Typography variant="h3" fontWeight="bold" sx={{ color: oraclePrice.price_micro_usd > 0 ? primaryColor : '#9e9e9e' }}>
-                  {formatPrice(oraclePrice.price_micro_usd)}
-                </Typography>
-                {oraclePrice.price_micro_usd > 0 && (
-                  <Typography variant="caption" color="text.secondary">
-                    {oraclePrice.price_micro_usd.toLocaleString()} micro-USD
-                  </Typography>
-                )}
-              </Box>
-            </Tooltip>
+            <OraclePriceTile priceMicroUsd={oraclePrice.price_micro_usd} color={primaryColor} />
           </Grid>
           <Grid item xs={12} md={4}>
-            <Tooltip title="Latest on-chain MuSig2 bundle signer count decoded from Core's participation bitmap. This is the actual 7-oracle signing set for the newest bundle." arrow placement="top">
-              <Box sx={{ textAlign: 'center', p: 2, backgroundColor: '#f5f5f5', borderRadius: '8px', cursor: 'help', minHeight: 160, display: 'flex', flexDirection: 'column', justifyContent: 'center' }}>
-                <Typography variant="body2" color="text.secondary">Oracle Consensus</Typography>
+            <Tooltip title={t('oracles.consensusTooltip')} arrow placement="top">
+              <Box sx={{ textAlign: 'center', p: 2, backgroundColor: 'background.subtle', borderRadius: '8px', cursor: 'help', minHeight: 160, display: 'flex', flexDirection: 'column', justifyContent: 'center' }}>
+                <Typography variant="body2" color="text.secondary">{t('oracles.consensusTitle')}</Typography>
                 <Typography variant="h3" fontWeight="bold" sx={{ color: latestBundleSignerCount > 0 ? primaryColor : '#9e9e9e' }}>
                   {oracleThreshold}/{oracleTotalSlots}
                 </Typography>
                 <Typography variant="body2" color="text.secondary">
-                  signatures required
+                  {t('oracles.signaturesRequired')}
                 </Typography>
                 <Typography variant="body2" fontWeight="bold" sx={{ mt: 1, color: latestBundleSignerCount >= latestBundleRequired ? '#2e7d32' : '#ed6c02' }}>
                   {hasLatestBundleSignerData
-                    ? `${latestBundleSignerCount}/${latestBundleRequired} signing`
-                    : 'bundle signer data unavailable'}
+                    ? t('oracles.signingCount', { count: latestBundleSignerCount, required: latestBundleRequired })
+                    : t('oracles.noBundleData')}
                 </Typography>
               </Box>
             </Tooltip>
           </Grid>
           <Grid item xs={12} md={4}>
-            <Tooltip title="Block height when the oracle price was last updated. Price becomes stale after 20 blocks without update" arrow placement="top">
-              <Box sx={{ textAlign: 'center', p: 2, backgroundColor: '#f5f5f5', borderRadius: '8px', cursor: 'help', minHeight: 160, display: 'flex', flexDirection: 'column', justifyContent: 'center' }}>
-                <Typography variant="body2" color="text.secondary">Last Update</Typography>
-                <Typography variant="h4" fontWeight="bold" sx={{ color: oraclePrice.last_update_height > 0 ? primaryColor : '#9e9e9e' }}>
-                  {oraclePrice.last_update_height > 0 ? `Block ${oraclePrice.last_update_height.toLocaleString()}` : 'No Data'}
-                </Typography>
-                {oraclePrice.last_update_height > 0 && (
-                  <Chip
-                    label={oraclePrice.is_stale ? 'Stale' : 'Fresh'}
-                    color={oraclePrice.is_stale ? 'error' : 'success'}
-                    size="small"
-                    sx={{ mt: 1 }}
-                  />
-                )}
-              </Box>
-            </Tooltip>
+            <OracleUpdateTile
+              lastUpdateHeight={oraclePrice.last_update_height}
+              isStale={oraclePrice.is_stale}
+              color={primaryColor}
+            />
           </Grid>
         </Grid>
       )}
 
       <Box sx={{ mt: 2, p: 1.5, backgroundColor: `${primaryColor}12`, borderRadius: '8px', textAlign: 'center' }}>
         <Typography variant="body2" color="text.secondary">
-          <strong>{oracleConfig.releaseLabel}:</strong> {oracleConfig.phaseSummary} | {activeOracleCount} {oracleConfig.rosterLabel} oracles visible
+          {tRich('oracles.releaseSummary', {
+            release: oracleConfig.releaseLabel,
+            summary: t(`oracles.phaseSummary.${network.name}`),
+            count: activeOracleCount,
+            roster: rosterLabel,
+          })}
         </Typography>
       </Box>
     </Card>
@@ -576,11 +517,11 @@ const OraclesPage = () => {
         <Box sx={{ display: 'flex', alignItems: 'center' }}>
           <VerifiedIcon sx={{ fontSize: '2rem', color: consensusReady ? '#2e7d32' : '#ed6c02', mr: 1 }} />
           <Typography variant="h5" fontWeight="bold" sx={{ color: primaryColor }}>
-            Oracle Network Status
+            {t('oracles.statusTitle')}
           </Typography>
         </Box>
         <Chip
-          label={consensusReady ? 'consensus ready' : 'below ready threshold'}
+          label={t(consensusReady ? 'oracles.consensusReady' : 'oracles.belowThreshold')}
           color={consensusReady ? 'success' : 'warning'}
           size="small"
         />
@@ -589,9 +530,11 @@ const OraclesPage = () => {
       <Grid container spacing={2}>
         <Grid item xs={12} sm={6} md={2.4}>
           <SitrepMetric
-            label="Signing"
+            label={t('oracles.signing')}
             value={`${latestBundleSignerCount}/${latestBundleRequired}`}
-            detail={hasLatestBundleSignerData ? `actual 7-signer list from block ${latestBundle.height}` : 'waiting for getoraclesigners data'}
+            detail={hasLatestBundleSignerData
+              ? t('oracles.signingDetail', { height: latestBundle.height })
+              : t('oracles.signingWaiting')}
             ok={latestBundleSignerCount >= latestBundleRequired}
             progressValue={latestBundleSignerCount}
             progressTotal={latestBundleRequired}
@@ -599,36 +542,39 @@ const OraclesPage = () => {
         </Grid>
         <Grid item xs={12} sm={6} md={2.4}>
           <SitrepMetric
-            label="Live Price Feeds"
+            label={t('oracles.liveFeeds')}
             value={`${priceSigningCount}/${activeOracleCount}`}
-            detail={`${oracleThreshold} valid signed price feeds required`}
+            detail={t('oracles.liveFeedsDetail', { count: oracleThreshold })}
             ok={priceSigningCount >= oracleThreshold}
             progressValue={priceSigningCount}
           />
         </Grid>
         <Grid item xs={12} sm={6} md={2.4}>
           <SitrepMetric
-            label="Online Heartbeats"
+            label={t('oracles.heartbeats')}
             value={`${freshHeartbeatCount}/${activeOracleCount}`}
-            detail="signed operator status, fresh under 30 minutes"
+            detail={t('oracles.heartbeatsDetail')}
             ok={freshHeartbeatCount >= oracleThreshold}
             progressValue={freshHeartbeatCount}
           />
         </Grid>
         <Grid item xs={12} sm={6} md={2.4}>
           <SitrepMetric
-            label="Compatible Software"
+            label={t('oracles.compatible')}
             value={`${rc43ContextCount}/${activeOracleCount}`}
-            detail={`MuSig2 context ${EXPECTED_MUSIG2_CONTEXT_VERSION}+ with valid heartbeat`}
+            detail={t('oracles.compatibleDetail', { version: EXPECTED_MUSIG2_CONTEXT_VERSION })}
             ok={rc43ContextCount >= oracleThreshold}
             progressValue={rc43ContextCount}
           />
         </Grid>
         <Grid item xs={12} sm={6} md={2.4}>
           <SitrepMetric
-            label="Roster Oracles"
+            label={t('oracles.rosterOracles')}
             value={`${activeOracleCount}/${oracleTotalSlots}`}
-            detail={`configured ${oracleConfig.rosterLabel} from Core; ${locallyRunningCount} local oracle${locallyRunningCount === 1 ? '' : 's'} visible`}
+            detail={t(locallyRunningCount === 1 ? 'oracles.rosterDetailOne' : 'oracles.rosterDetail', {
+              roster: rosterLabel,
+              count: locallyRunningCount,
+            })}
             ok={activeOracleCount >= oracleThreshold}
             progressValue={activeOracleCount}
             progressTotal={oracleTotalSlots}
@@ -637,13 +583,13 @@ const OraclesPage = () => {
       </Grid>
 
       <Alert severity="info" sx={{ mt: 2 }}>
-        Signing means this oracle actually signed the newest on-chain DigiDollar price bundle. Live price feed means the oracle is online and broadcasting a valid signed price. Roster oracles are the configured {oracleConfig.rosterLabel} loaded from Core.
+        {t('oracles.statusNote', { roster: rosterLabel })}
       </Alert>
 
       {versionBuckets.length > 0 && (
         <Box sx={{ mt: 3 }}>
           <Typography variant="subtitle1" fontWeight="bold" sx={{ mb: 1, color: primaryColor }}>
-            Oracle Versions
+            {t('oracles.versions')}
           </Typography>
           <Grid container spacing={1.5}>
             {versionBuckets.map((bucket) => (
@@ -652,19 +598,20 @@ const OraclesPage = () => {
                   elevation={0}
                   sx={{
                     p: 1.5,
-                    border: '1px solid #e0e0e0',
+                    border: '1px solid',
+                    borderColor: 'divider',
                     borderRadius: '8px',
-                    backgroundColor: bucket.version === 'No version reported' ? '#fafafa' : 'rgba(46, 125, 50, 0.05)'
+                    backgroundColor: bucket.version ? 'rgba(46, 125, 50, 0.05)' : 'background.subtle'
                   }}
                 >
                   <Typography variant="body2" fontWeight="bold" sx={{ color: primaryColor }}>
-                    {bucket.version}
+                    {bucket.version || t('oracles.noVersion')}
                   </Typography>
                   <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
                     {formatOperatorCount(bucket.count)}
                   </Typography>
                   <Typography variant="caption" color="text.secondary">
-                    {bucket.reporting} live price feeds · {bucket.fresh} fresh heartbeats
+                    {t('oracles.versionFeeds', { reporting: bucket.reporting, fresh: bucket.fresh })}
                   </Typography>
                 </Paper>
               </Grid>
@@ -687,11 +634,11 @@ const OraclesPage = () => {
           <Box sx={{ display: 'flex', alignItems: 'center' }}>
             <HourglassTopIcon sx={{ fontSize: '2rem', color: stateOk ? '#2e7d32' : '#ed6c02', mr: 1 }} />
             <Typography variant="h5" fontWeight="bold" sx={{ color: primaryColor }}>
-              Oracle Round Clock
+              {t('oracles.roundClock')}
             </Typography>
           </Box>
           <Chip
-            label={`MuSig2 ${stateLabel}`}
+            label={t('oracles.musig2State', { state: stateLabel })}
             color={stateOk ? 'success' : 'warning'}
             size="small"
           />
@@ -699,52 +646,55 @@ const OraclesPage = () => {
 
         <Grid container spacing={2}>
           <Grid item xs={12} sm={6} md={3}>
-            <Paper elevation={0} sx={{ p: 2, height: '100%', border: '1px solid #e0e0e0', borderRadius: '8px' }}>
-              <Typography variant="body2" color="text.secondary">Current Round</Typography>
+            <Paper elevation={0} sx={{ p: 2, height: '100%', border: '1px solid', borderColor: 'divider', borderRadius: '8px' }}>
+              <Typography variant="body2" color="text.secondary">{t('oracles.currentRound')}</Typography>
               <Typography variant="h4" fontWeight="bold" sx={{ color: primaryColor }}>
-                Round {epochInfo.epoch.toLocaleString()}
+                {t('oracles.round', { round: formatNumber(epochInfo.epoch) })}
               </Typography>
               <Typography variant="caption" color="text.secondary">
-                Current block {epochInfo.currentHeight.toLocaleString()}
+                {t('oracles.currentBlock', { height: formatNumber(epochInfo.currentHeight) })}
               </Typography>
             </Paper>
           </Grid>
           <Grid item xs={12} sm={6} md={3}>
-            <Paper elevation={0} sx={{ p: 2, height: '100%', border: '1px solid #e0e0e0', borderRadius: '8px' }}>
-              <Typography variant="body2" color="text.secondary">Round Blocks</Typography>
+            <Paper elevation={0} sx={{ p: 2, height: '100%', border: '1px solid', borderColor: 'divider', borderRadius: '8px' }}>
+              <Typography variant="body2" color="text.secondary">{t('oracles.roundBlocks')}</Typography>
               <Typography variant="h6" fontWeight="bold" sx={{ color: primaryColor }}>
-                Blocks {epochInfo.epochStartHeight.toLocaleString()}-{epochInfo.epochEndHeight.toLocaleString()}
+                {t('oracles.blockRange', {
+                  start: formatNumber(epochInfo.epochStartHeight),
+                  end: formatNumber(epochInfo.epochEndHeight),
+                })}
               </Typography>
               <Typography variant="caption" color="text.secondary">
-                {epochInfo.minedBlocks}/{ORACLE_EPOCH_BLOCKS} blocks observed
+                {t('oracles.blocksObserved', { mined: epochInfo.minedBlocks, total: ORACLE_EPOCH_BLOCKS })}
               </Typography>
             </Paper>
           </Grid>
           <Grid item xs={12} sm={6} md={3}>
-            <Paper elevation={0} sx={{ p: 2, height: '100%', border: '1px solid #e0e0e0', borderRadius: '8px' }}>
-              <Typography variant="body2" color="text.secondary">Next Round</Typography>
+            <Paper elevation={0} sx={{ p: 2, height: '100%', border: '1px solid', borderColor: 'divider', borderRadius: '8px' }}>
+              <Typography variant="body2" color="text.secondary">{t('oracles.nextRound')}</Typography>
               <Typography variant="h6" fontWeight="bold" sx={{ color: primaryColor }}>
-                Next round: block {epochInfo.nextEpochHeight.toLocaleString()}
+                {t('oracles.nextRoundAt', { height: formatNumber(epochInfo.nextEpochHeight) })}
               </Typography>
               <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
-                {epochInfo.blocksUntilNextEpoch} blocks away
+                {t('oracles.blocksAway', { count: epochInfo.blocksUntilNextEpoch })}
               </Typography>
               <Typography variant="caption" color="text.secondary">
-                {formatDurationSeconds(epochInfo.estimatedSeconds)}
+                {formatDurationSeconds(epochInfo.estimatedSeconds, t)}
               </Typography>
             </Paper>
           </Grid>
           <Grid item xs={12} sm={6} md={3}>
-            <Paper elevation={0} sx={{ p: 2, height: '100%', border: '1px solid #e0e0e0', borderRadius: '8px' }}>
-              <Typography variant="body2" color="text.secondary">Signing Progress</Typography>
+            <Paper elevation={0} sx={{ p: 2, height: '100%', border: '1px solid', borderColor: 'divider', borderRadius: '8px' }}>
+              <Typography variant="body2" color="text.secondary">{t('oracles.signingProgress')}</Typography>
               <Typography variant="h6" fontWeight="bold" sx={{ color: stateOk ? '#2e7d32' : '#ed6c02', textTransform: 'capitalize' }}>
-                MuSig2 {stateLabel}
+                {t('oracles.musig2State', { state: stateLabel })}
               </Typography>
               <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
-                Nonces {epochInfo.nonceCount}/{epochInfo.requiredSigners}
+                {t('oracles.nonces', { count: epochInfo.nonceCount, required: epochInfo.requiredSigners })}
               </Typography>
               <Typography variant="caption" color="text.secondary">
-                Signatures {epochInfo.partialSigCount}/{epochInfo.requiredSigners}
+                {t('oracles.signatures', { count: epochInfo.partialSigCount, required: epochInfo.requiredSigners })}
               </Typography>
             </Paper>
           </Grid>
@@ -766,40 +716,37 @@ const OraclesPage = () => {
   const WhatAreOraclesSection = () => (
     <Card elevation={3} sx={{ p: 3, mb: 4, borderRadius: '12px' }}>
       <Typography variant="h5" fontWeight="bold" sx={{ mb: 3, color: primaryColor }}>
-        What Are Oracles?
+        {t('oracles.whatTitle')}
       </Typography>
 
       <Grid container spacing={3}>
         <Grid item xs={12} md={6}>
           <Box sx={{ mb: 3 }}>
             <Typography variant="body1" sx={{ mb: 2 }}>
-              <strong>The Blockchain Blind Spot:</strong> Blockchains are isolated by design - they can't access
-              the internet or "see" outside their own network. Without oracles, the blockchain has no idea what
-              DGB is worth in USD.
+              {tRich('oracles.blindSpot')}
             </Typography>
             <Typography variant="body1" sx={{ mb: 2 }}>
-              <strong>With Oracles:</strong> The blockchain receives verified price feeds from the real world.
-              Now it knows: "1,000 DGB = $6.03 USD at block height 1,234,567"
+              {tRich('oracles.withOracles')}
             </Typography>
           </Box>
         </Grid>
         <Grid item xs={12} md={6}>
-          <Paper elevation={1} sx={{ p: 2, backgroundColor: '#f8f9fa', borderRadius: '8px' }}>
+          <Paper elevation={1} sx={{ p: 2, backgroundColor: 'background.subtle', borderRadius: '8px' }}>
             <Typography variant="subtitle2" fontWeight="bold" sx={{ mb: 1 }}>
-              How It Works:
+              {t('oracles.howItWorks')}
             </Typography>
             <Box component="ol" sx={{ pl: 2, m: 0 }}>
               <Typography component="li" variant="body2" sx={{ mb: 1 }}>
-                Oracles fetch prices from six active exchanges (Binance, KuCoin, Gate.io, HTX, Crypto.com, CoinGecko) every 60 seconds
+                {t('oracles.howFetch')}
               </Typography>
               <Typography component="li" variant="body2" sx={{ mb: 1 }}>
-                Calculate median price with MAD outlier filtering
+                {t('oracles.howMedian')}
               </Typography>
               <Typography component="li" variant="body2" sx={{ mb: 1 }}>
-                Sign price data with BIP-340 Schnorr signatures
+                {t('oracles.howSign')}
               </Typography>
               <Typography component="li" variant="body2">
-                Broadcast to P2P network - all nodes validate and relay
+                {t('oracles.howBroadcast')}
               </Typography>
             </Box>
           </Paper>
@@ -810,13 +757,13 @@ const OraclesPage = () => {
 
   // Become an Oracle Operator Section
   const BecomeOracleSection = () => (
-    <Card elevation={3} sx={{ p: 3, mb: 4, borderRadius: '12px', backgroundColor: '#fafafa' }}>
+    <Card elevation={3} sx={{ p: 3, mb: 4, borderRadius: '12px', backgroundColor: 'background.subtle' }}>
       <Typography variant="h5" fontWeight="bold" sx={{ mb: 3, color: primaryColor }}>
-        Become an Oracle Operator
+        {t('oracles.becomeTitle')}
       </Typography>
 
       <Typography variant="body1" sx={{ mb: 3 }}>
-        Help secure the DigiDollar network by running an {oracleConfig.operatorSlotLabel}.
+        {t('oracles.becomeIntro', { slot: t(`oracles.operatorSlot.${network.name}`) })}
       </Typography>
 
       <Grid container spacing={3}>
@@ -824,11 +771,10 @@ const OraclesPage = () => {
           <Paper elevation={2} sx={{ p: 3, textAlign: 'center', height: '100%', borderTop: `4px solid ${secondaryColor}` }}>
             <KeyIcon sx={{ fontSize: '3rem', color: secondaryColor, mb: 2 }} />
             <Typography variant="h6" fontWeight="bold" sx={{ mb: 1 }}>
-              Step 1: Create Oracle Key
+              {t('oracles.step1Title')}
             </Typography>
             <Typography variant="body2" color="text.secondary">
-              Run <code>createoraclekey</code> in your DigiByte Core wallet to generate a secure keypair.
-              The private key stays in your wallet - never leaves.
+              {tRich('oracles.step1Body')}
             </Typography>
           </Paper>
         </Grid>
@@ -836,11 +782,10 @@ const OraclesPage = () => {
           <Paper elevation={2} sx={{ p: 3, textAlign: 'center', height: '100%', borderTop: `4px solid ${secondaryColor}` }}>
             <SendIcon sx={{ fontSize: '3rem', color: secondaryColor, mb: 2 }} />
             <Typography variant="h6" fontWeight="bold" sx={{ mb: 1 }}>
-              Step 2: Coordinate Slot Assignment
+              {t('oracles.step2Title')}
             </Typography>
             <Typography variant="body2" color="text.secondary">
-              Coordinate an assigned active oracle ID with the operator group before publishing a key.
-              The live roster above shows every slot Core currently marks active for consensus.
+              {t('oracles.step2Body')}
             </Typography>
           </Paper>
         </Grid>
@@ -848,11 +793,10 @@ const OraclesPage = () => {
           <Paper elevation={2} sx={{ p: 3, textAlign: 'center', height: '100%', borderTop: `4px solid ${secondaryColor}` }}>
             <CloudDoneIcon sx={{ fontSize: '3rem', color: secondaryColor, mb: 2 }} />
             <Typography variant="h6" fontWeight="bold" sx={{ mb: 1 }}>
-              Step 3: Start Oracle
+              {t('oracles.step3Title')}
             </Typography>
             <Typography variant="body2" color="text.secondary">
-              Once included in a release, run <code>startoracle</code> and your node
-              will automatically fetch prices and broadcast to the network.
+              {tRich('oracles.step3Body')}
             </Typography>
           </Paper>
         </Grid>
@@ -869,7 +813,7 @@ const OraclesPage = () => {
             '&:hover': { backgroundColor: primaryColor }
           }}
         >
-          Oracle Setup Guide
+          {t('oracles.setupGuide')}
         </Button>
         <Button
           variant="outlined"
@@ -881,7 +825,7 @@ const OraclesPage = () => {
             color: primaryColor
           }}
         >
-          Coordinate Operator Slot
+          {t('oracles.coordinateSlot')}
         </Button>
       </Box>
     </Card>
@@ -894,73 +838,74 @@ const OraclesPage = () => {
         <Box sx={{ display: 'flex', alignItems: 'center', mb: 3 }}>
           <SecurityIcon sx={{ fontSize: '2rem', color: primaryColor, mr: 1 }} />
           <Typography variant="h5" fontWeight="bold" sx={{ color: primaryColor }}>
-            {displayName} Oracle Network
+            {t('oracles.networkTitle', { network: displayName })}
           </Typography>
           {oracles.length > 0 ? (
             <Chip
               label={hasLatestBundleSignerData
-                ? `${latestBundleSignerCount} / ${latestBundleRequired} Signing`
-                : `${priceSigningCount} / ${activeOracleCount} Live Price Feeds`}
+                ? t('oracles.signingChip', { count: latestBundleSignerCount, required: latestBundleRequired })
+                : t('oracles.liveFeedsChip', { count: priceSigningCount, total: activeOracleCount })}
               color={(hasLatestBundleSignerData ? latestBundleSignerCount >= latestBundleRequired : priceSigningCount >= oracleThreshold) ? 'success' : 'warning'}
               size="small"
               sx={{ ml: 2 }}
             />
           ) : (
             <Chip
-              label="Not Reporting"
+              label={t('oracles.notReporting')}
               color="default"
               size="small"
               sx={{ ml: 2 }}
             />
           )}
+          <ExportMenu name="oracles" rows={loading ? [] : oracles} color={primaryColor} sx={{ ml: 'auto' }} />
         </Box>
 
         {loading ? (
           <Box sx={{ textAlign: 'center', py: 4 }}>
             <CircularProgress size={40} sx={{ color: primaryColor }} />
-            <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>Loading oracle network...</Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>{t('oracles.loadingNetwork')}</Typography>
           </Box>
         ) : oracles.length === 0 ? (
-          <Box sx={{ textAlign: 'center', py: 4, backgroundColor: '#f5f5f5', borderRadius: '8px' }}>
+          <Box sx={{ textAlign: 'center', py: 4, backgroundColor: 'background.subtle', borderRadius: '8px' }}>
             <CloudOffIcon sx={{ fontSize: '3rem', color: '#9e9e9e', mb: 1 }} />
-            <Typography variant="h6" color="text.secondary">No Oracle Data Available</Typography>
-            <Typography variant="body2" color="text.secondary">Unable to fetch oracle network status</Typography>
+            <Typography variant="h6" color="text.secondary">{t('oracles.noDataTitle')}</Typography>
+            <Typography variant="body2" color="text.secondary">{t('oracles.noDataBody')}</Typography>
           </Box>
         ) : (
           <>
 
-        <TableContainer component={Paper} elevation={0} sx={{ border: '1px solid #e0e0e0', overflowX: 'visible' }}>
+        <TableContainer component={Paper} elevation={0} sx={{ border: '1px solid', borderColor: 'divider', overflowX: 'visible' }}>
           <Table sx={{ tableLayout: 'fixed', width: '100%' }}>
             <TableHead sx={{ backgroundColor: `${primaryColor}12` }}>
               <TableRow>
                 <TableCell sx={{ width: '15%' }}>
-                  <Tooltip title="Oracle operator name and unique identifier" arrow>
-                    <strong style={{ cursor: 'help' }}>Oracle</strong>
+                  <Tooltip title={t('oracles.colOracleTip')} arrow>
+                    <strong style={{ cursor: 'help' }}>{t('oracles.colOracle')}</strong>
                   </Tooltip>
                 </TableCell>
                 <TableCell sx={{ width: '12%' }}>
-                  <Tooltip title="Reporting = actively broadcasting prices. No Data = not currently online" arrow>
-                    <strong style={{ cursor: 'help' }}>Status</strong>
+                  <Tooltip title={t('oracles.colStatusTip')} arrow>
+                    <strong style={{ cursor: 'help' }}>{t('oracles.colStatus')}</strong>
                   </Tooltip>
                 </TableCell>
                 <TableCell sx={{ width: '13%' }}>
-                  <Tooltip title="Current price this oracle is reporting to the network" arrow>
-                    <strong style={{ cursor: 'help' }}>Price</strong>
+                  <Tooltip title={t('oracles.colPriceTip')} arrow>
+                    <strong style={{ cursor: 'help' }}>{t('oracles.colPrice')}</strong>
                   </Tooltip>
                 </TableCell>
                 <TableCell sx={{ width: '28%' }}>
-                  <Tooltip title="Signed operator heartbeat and software/protocol versions reported by this oracle" arrow>
-                    <strong style={{ cursor: 'help' }}>Heartbeat / Version</strong>
+                  <Tooltip title={t('oracles.colHeartbeatTip')} arrow>
+                    <strong style={{ cursor: 'help' }}>{t('oracles.colHeartbeat')}</strong>
                   </Tooltip>
                 </TableCell>
                 <TableCell sx={{ width: '14%' }}>
-                  <Tooltip title="Signing means this oracle ID is in the newest on-chain MuSig2 participation bitmap and signed the latest bundle. Live price feed means it is currently broadcasting a valid signed price." arrow>
-                    <strong style={{ cursor: 'help' }}>Signing / Live</strong>
+                  <Tooltip title={t('oracles.colSigningTip')} arrow>
+                    <strong style={{ cursor: 'help' }}>{t('oracles.colSigning')}</strong>
                   </Tooltip>
                 </TableCell>
                 <TableCell sx={{ width: '18%' }}>
-                  <Tooltip title="P2P network address plus the shortened BIP-340 public key used to verify this oracle" arrow>
-                    <strong style={{ cursor: 'help' }}>Endpoint</strong>
+                  <Tooltip title={t('oracles.colEndpointTip')} arrow>
+                    <strong style={{ cursor: 'help' }}>{t('oracles.colEndpoint')}</strong>
                   </Tooltip>
                 </TableCell>
               </TableRow>
@@ -969,18 +914,22 @@ const OraclesPage = () => {
               {oracles.map((oracle) => (
                 <TableRow
                   key={oracle.oracle_id}
+                  id={`oracle-${oracle.oracle_id}`}
+                  selected={Number(oracle.oracle_id) === focusedOracleId}
                   sx={{
-                    backgroundColor: oracle.status === 'reporting' ? 'transparent' : 'rgba(0,0,0,0.02)',
+                    backgroundColor: Number(oracle.oracle_id) === focusedOracleId
+                      ? `${primaryColor}1f`
+                      : (oracle.status === 'reporting' ? 'transparent' : 'rgba(0,0,0,0.02)'),
                     '&:hover': { backgroundColor: 'rgba(0,0,0,0.04)' }
                   }}
                 >
                   <TableCell>
                     <Box sx={{ display: 'flex', flexDirection: 'column' }}>
                       <Typography variant="body2" fontWeight="bold" sx={{ color: primaryColor }}>
-                        {oracle.name || `Oracle ${oracle.oracle_id}`}
+                        {oracle.name || t('oracles.oracleName', { id: oracle.oracle_id })}
                       </Typography>
                       <Typography variant="caption" color="text.secondary">
-                        ID: {oracle.oracle_id}
+                        {t('oracles.oracleId', { id: oracle.oracle_id })}
                       </Typography>
                     </Box>
                   </TableCell>
@@ -992,7 +941,7 @@ const OraclesPage = () => {
                         <CloudOffIcon sx={{ color: '#9e9e9e' }} />
                       )}
                       <Chip
-                        label={oracle.status === 'reporting' ? 'reporting' : 'no data'}
+                        label={t(oracle.status === 'reporting' ? 'oracles.reporting' : 'oracles.noData')}
                         size="small"
                         color={oracle.status === 'reporting' ? 'success' : 'default'}
                       />
@@ -1004,7 +953,7 @@ const OraclesPage = () => {
                       fontWeight="bold"
                       sx={{ color: oracle.status === 'reporting' ? primaryColor : '#9e9e9e' }}
                     >
-                      {oracle.status === 'reporting' ? formatPrice(oracle.price_micro_usd) : '--'}
+                      {oracle.status === 'reporting' ? formatOraclePrice(oracle.price_micro_usd) : '--'}
                     </Typography>
                     {oracle.deviation_pct != null && oracle.deviation_pct !== 0 && (
                       <Typography variant="caption" color={Math.abs(oracle.deviation_pct) > 5 ? 'error' : 'text.secondary'}>
@@ -1012,7 +961,7 @@ const OraclesPage = () => {
                       </Typography>
                     )}
                     <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
-                      {oracle.price_source !== 'none' ? oracle.price_source : 'no price source'} · {formatTimestampAge(oracle.timestamp)}
+                      {oracle.price_source !== 'none' ? oracle.price_source : t('oracles.noPriceSource')} · {formatTimestampAge(oracle.timestamp, t)}
                     </Typography>
                   </TableCell>
                   <TableCell>
@@ -1024,36 +973,40 @@ const OraclesPage = () => {
                           color={getHeartbeatChipColor(oracle.heartbeat_status, oracle.heartbeat_signature_valid)}
                         />
                         <Typography variant="caption" color="text.secondary">
-                          {formatAgeSeconds(oracle.heartbeat_age_seconds)}
+                          {formatAgeSeconds(oracle.heartbeat_age_seconds, t)}
                         </Typography>
                       </Box>
                       <Typography variant="body2" fontWeight="bold" sx={{ color: oracle.software_version ? primaryColor : '#9e9e9e', overflowWrap: 'anywhere' }}>
-                        {oracle.software_version || 'No version reported'}
+                        {oracle.software_version || t('oracles.noVersion')}
                       </Typography>
                       <Typography variant="caption" color="text.secondary">
-                        MuSig2 ctx {oracle.musig2_context_version || '--'}
+                        {t('oracles.musig2Context', { version: oracle.musig2_context_version || '--' })}
                       </Typography>
                       <Typography variant="caption" color="text.secondary">
-                        Client {oracle.client_version || '--'} · P2P {oracle.p2p_protocol_version || '--'} · Oracle {oracle.oracle_protocol_version || '--'}
+                        {t('oracles.protocolVersions', {
+                          client: oracle.client_version || '--',
+                          p2p: oracle.p2p_protocol_version || '--',
+                          oracle: oracle.oracle_protocol_version || '--',
+                        })}
                       </Typography>
                     </Box>
                   </TableCell>
                   <TableCell>
                     <Box sx={{ display: 'flex', flexDirection: 'column', gap: 0.75 }}>
                       <Chip
-                        label={oracle.signed_latest_bundle ? 'Signing' : 'Not signing'}
+                        label={t(oracle.signed_latest_bundle ? 'oracles.signing' : 'oracles.notSigning')}
                         size="small"
                         color={oracle.signed_latest_bundle ? 'success' : 'default'}
                         variant={oracle.signed_latest_bundle ? 'filled' : 'outlined'}
                       />
                       <Chip
-                        label={isOracleSigningPrice(oracle) ? 'Live price feed' : 'No live price'}
+                        label={t(isOracleSigningPrice(oracle) ? 'oracles.liveFeed' : 'oracles.noLivePrice')}
                         size="small"
                         color={isOracleSigningPrice(oracle) ? 'success' : 'default'}
                         variant="outlined"
                       />
                       {oracle.is_running_locally && (
-                        <Chip label="local" size="small" color="info" variant="outlined" />
+                        <Chip label={t('oracles.local')} size="small" color="info" variant="outlined" />
                       )}
                     </Box>
                   </TableCell>
@@ -1062,7 +1015,7 @@ const OraclesPage = () => {
                       {oracle.endpoint}
                     </Typography>
                     {oracle.pubkey ? (
-                      <Tooltip title={`${oracle.pubkey} (Click to view in source code)`}>
+                      <Tooltip title={t('oracles.pubkeyTip', { pubkey: oracle.pubkey })}>
                         <Link
                           href="https://github.com/DigiByte-Core/digibyte/blob/feature/digidollar-v1/src/kernel/chainparams.cpp"
                           target="_blank"
@@ -1095,10 +1048,14 @@ const OraclesPage = () => {
           </Table>
         </TableContainer>
 
-        <Box sx={{ mt: 2, p: 2, backgroundColor: '#f5f5f5', borderRadius: '8px' }}>
+        <Box sx={{ mt: 2, p: 2, backgroundColor: 'background.subtle', borderRadius: '8px' }}>
           <Typography variant="body2" color="text.secondary">
-            <strong>Price Format:</strong> Oracle prices use micro-USD format where 1,000,000 = $1.00.
-            This ensures exact arithmetic with no floating-point errors. Consensus is {oracleConsensusLabel} across {oracleTotalSlots} reserved slots, with {activeOracleCount} {oracleConfig.rosterLabel} oracles displayed above.
+            {tRich('oracles.priceFormat', {
+              consensus: oracleConsensusLabel,
+              slots: oracleTotalSlots,
+              count: activeOracleCount,
+              roster: rosterLabel,
+            })}
           </Typography>
         </Box>
         </>
@@ -1111,36 +1068,44 @@ const OraclesPage = () => {
   const TechnicalSection = () => (
     <Card elevation={3} sx={{ p: 3, mb: 4, borderRadius: '12px' }}>
       <Typography variant="h5" fontWeight="bold" sx={{ mb: 3, color: primaryColor }}>
-        Technical Specifications
+        {t('oracles.techTitle')}
       </Typography>
 
       <Grid container spacing={3}>
         <Grid item xs={12} md={6}>
-          <Paper elevation={1} sx={{ p: 2, backgroundColor: '#f8f9fa' }}>
+          <Paper elevation={1} sx={{ p: 2, backgroundColor: 'background.subtle' }}>
             <Typography variant="subtitle2" fontWeight="bold" sx={{ mb: 2 }}>
-              {displayName} Oracle Configuration
+              {t('oracles.configTitle', { network: displayName })}
             </Typography>
             <Box component="ul" sx={{ pl: 2, m: 0 }}>
-              <Typography component="li" variant="body2" sx={{ mb: 0.5 }}>{oracleThreshold}-signature oracle quorum</Typography>
-              <Typography component="li" variant="body2" sx={{ mb: 0.5 }}>{oracleConsensusLabel} reserved oracle slots required for consensus, with {activeOracleSlots} {oracleConfig.rosterLabel} oracles</Typography>
-              <Typography component="li" variant="body2" sx={{ mb: 0.5 }}>{network.digiDollarRelease.version} on {network.digiDollarRelease.network}, P2P port {network.digiDollarRelease.p2pPort}</Typography>
-              <Typography component="li" variant="body2" sx={{ mb: 0.5 }}>MuSig2 aggregate signing (v0x03) only</Typography>
-              <Typography component="li" variant="body2">BIP9 deployment status comes from the local Core RPC feed</Typography>
+              <Typography component="li" variant="body2" sx={{ mb: 0.5 }}>{t('oracles.specQuorum', { threshold: oracleThreshold })}</Typography>
+              <Typography component="li" variant="body2" sx={{ mb: 0.5 }}>
+                {t('oracles.specSlots', { consensus: oracleConsensusLabel, count: activeOracleSlots, roster: rosterLabel })}
+              </Typography>
+              <Typography component="li" variant="body2" sx={{ mb: 0.5 }}>
+                {t('oracles.specRelease', {
+                  version: network.digiDollarRelease.version,
+                  network: network.digiDollarRelease.network,
+                  port: network.digiDollarRelease.p2pPort,
+                })}
+              </Typography>
+              <Typography component="li" variant="body2" sx={{ mb: 0.5 }}>{t('oracles.specMusigOnly')}</Typography>
+              <Typography component="li" variant="body2">{t('oracles.specBip9Feed')}</Typography>
             </Box>
           </Paper>
         </Grid>
         <Grid item xs={12} md={6}>
-          <Paper elevation={1} sx={{ p: 2, backgroundColor: '#f8f9fa' }}>
+          <Paper elevation={1} sx={{ p: 2, backgroundColor: 'background.subtle' }}>
             <Typography variant="subtitle2" fontWeight="bold" sx={{ mb: 2 }}>
-              Shared Production Rules
+              {t('oracles.sharedTitle')}
             </Typography>
             <Box component="ul" sx={{ pl: 2, m: 0 }}>
-              <Typography component="li" variant="body2" sx={{ mb: 0.5 }}>MuSig2 aggregate signing (v0x03)</Typography>
-              <Typography component="li" variant="body2" sx={{ mb: 0.5 }}>35-slot oracle roster with 7 of 35 signature quorum</Typography>
-              <Typography component="li" variant="body2" sx={{ mb: 0.5 }}>BIP9 activation for deployment</Typography>
-              <Typography component="li" variant="body2" sx={{ mb: 0.5 }}>Exchange fetch and oracle broadcast every 60 seconds</Typography>
-              <Typography component="li" variant="body2" sx={{ mb: 0.5 }}>Compact MuSig2 v0x03 bundle per block (~91 bytes: participation bitmap, price, timestamp, 64-byte aggregate signature)</Typography>
-              <Typography component="li" variant="body2">Production oracle endpoints</Typography>
+              <Typography component="li" variant="body2" sx={{ mb: 0.5 }}>{t('oracles.ruleMusig')}</Typography>
+              <Typography component="li" variant="body2" sx={{ mb: 0.5 }}>{t('oracles.ruleRoster')}</Typography>
+              <Typography component="li" variant="body2" sx={{ mb: 0.5 }}>{t('oracles.ruleBip9')}</Typography>
+              <Typography component="li" variant="body2" sx={{ mb: 0.5 }}>{t('oracles.ruleFetch')}</Typography>
+              <Typography component="li" variant="body2" sx={{ mb: 0.5 }}>{t('oracles.ruleBundle')}</Typography>
+              <Typography component="li" variant="body2">{t('oracles.ruleEndpoints')}</Typography>
             </Box>
           </Paper>
         </Grid>
@@ -1148,12 +1113,12 @@ const OraclesPage = () => {
 
       <Box sx={{ mt: 3 }}>
         <Typography variant="subtitle2" fontWeight="bold" sx={{ mb: 1 }}>
-          Price Validation Limits:
+          {t('oracles.limitsTitle')}
         </Typography>
         <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
-          <Chip label="Min: $0.0001/DGB (100 micro-USD)" variant="outlined" />
-          <Chip label="Max: $100.00/DGB (100M micro-USD)" variant="outlined" />
-          <Chip label="Valid for 20 blocks" variant="outlined" />
+          <Chip label={t('oracles.limitMin')} variant="outlined" />
+          <Chip label={t('oracles.limitMax')} variant="outlined" />
+          <Chip label={t('oracles.limitValid')} variant="outlined" />
         </Box>
       </Box>
     </Card>
@@ -1167,12 +1132,12 @@ const OraclesPage = () => {
         sx={{ mb: 3, borderRadius: '12px' }}
         action={
           <Button color="inherit" size="small" component={RouterLink} to={network.getNetworkPath('/activation')}>
-            Track Activation →
+            {t('oracles.trackActivation')}
           </Button>
         }
       >
         <Typography variant="body1">
-          <strong>DigiDollar is not active yet.</strong> Currently in the <strong>{ddDeploymentStatus.toUpperCase().replace('_', ' ')}</strong> stage of BIP9 activation.
+          {tRich('oracles.notActive', { stage: ddDeploymentStatus.toUpperCase().replace('_', ' ') })}
         </Typography>
       </Alert>
     );
@@ -8,9 +8,13 @@ import SystemUpdateAltIcon from '@mui/icons-material/SystemUpdateAlt';
 import CheckCircleIcon from '@mui/icons-material/CheckCircle';
 import KeyboardArrowDownIcon from '@mui/icons-material/KeyboardArrowDown';
 import KeyboardArrowUpIcon from '@mui/icons-material/KeyboardArrowUp';
+import { useSearchParams } from 'react-router-dom';
 import { useNetwork } from '../context/NetworkContext';
-import config from '../config';
+import { useLocale } from '../context/LocaleContext';
+import { useWsMessage, useWsStatusChange } from '../hooks/useWsMessage';
 import MiningGuideCallout from '../components/MiningGuideCallout';
+import ExportMenu from '../components/ExportMenu';
+import { poolKey, summarizeMinerBlocks } from '../utils/miningStats';
 
 // ---------------------------------------------------------------------------
 // Post-activation pool readiness
@@ -28,63 +32,56 @@ import MiningGuideCallout from '../components/MiningGuideCallout';
 //   2. NO BUNDLES — nothing provable: the pool either needs the v9.26
 //      upgrade or the GBT change; confirm which directly.
 
-function poolKey(block) {
-  const id = (block.poolIdentifier || '').trim();
-  if (id && id.toLowerCase() !== 'unknown') return id;
-  return block.minerAddress || block.minedTo || 'Unknown';
-}
-
 const GREEN = '#2e7d32';
 const GREEN_BG = '#e8f5e9';
 
 const PoolUpgradeTrackerPage = () => {
+  const { formatNumber } = useLocale();
   const network = useNetwork();
-  const { wsBaseUrl, theme: networkTheme, apiPrefix } = network;
+  const { theme: networkTheme, getApiUrl } = network;
   const primaryColor = networkTheme.primary;
   const secondaryColor = networkTheme.secondary;
 
   const [blocks, setBlocks] = useState([]);
   const [loading, setLoading] = useState(true);
   const [expanded, setExpanded] = useState({}); // pool key -> bool
+  // `?pool=<name>` (linked from the Header search) opens and highlights one pool.
+  const [searchParams] = useSearchParams();
+  const focusedPool = (searchParams.get('pool') || '').toLowerCase();
+  const isFocused = useCallback((key) => !!focusedPool && key.toLowerCase() === focusedPool, [focusedPool]);
+  const isExpanded = (key) => expanded[key] ?? isFocused(key);
 
   const toggle = useCallback((key) => {
-    setExpanded((prev) => ({ ...prev, [key]: !prev[key] }));
-  }, []);
+    setExpanded((prev) => ({ ...prev, [key]: !(prev[key] ?? isFocused(key)) }));
+  }, [isFocused]);
 
-  // Live block feed over WebSocket (same channel the Pools/Blocks pages use).
-  useEffect(() => {
-    const socket = new WebSocket(wsBaseUrl);
-    socket.onmessage = (event) => {
-      try {
-        const message = JSON.parse(event.data);
-        if (message.type === 'recentBlocks') {
-          setBlocks(message.data || []);
-          setLoading(false);
-        } else if (message.type === 'newBlock' && message.data) {
-          setBlocks((prev) => {
-            const next = [message.data, ...prev.filter((b) => b.hash !== message.data.hash)];
-            next.sort((a, b) => b.height - a.height);
-            return next.slice(0, 240);
-          });
-          setLoading(false);
-        }
-      } catch (err) {
-        console.error('PoolUpgradeTracker WS parse error:', err);
-      }
-    };
-    socket.onerror = () => setLoading(false);
-    return () => socket.close();
-  }, [wsBaseUrl]);
+  // Live block feed over the shared WebSocket (same channel the Pools/Blocks pages use).
+  useWsMessage(['recentBlocks', 'newBlock'], (message) => {
+    if (message.type === 'recentBlocks') {
+      setBlocks(message.data || []);
+      setLoading(false);
+    } else if (message.type === 'newBlock' && message.data) {
+      setBlocks((prev) => {
+        const next = [message.data, ...prev.filter((b) => b.hash !== message.data.hash)];
+        next.sort((a, b) => b.height - a.height);
+        return next.slice(0, 240);
+      });
+      setLoading(false);
+    }
+  });
+
+  useWsStatusChange((status) => {
+    if (status === 'closed') setLoading(false);
+  });
 
   // Keep the REST poll for chain context (harmless, may be used later).
   const fetchOfficial = useCallback(async () => {
     try {
-      const base = `${config.apiBaseUrl}/api${apiPrefix || ''}`;
-      await fetch(`${base}/getblockchaininfo`);
+      await fetch(getApiUrl('/getblockchaininfo'));
     } catch (err) {
       // context only — the block feed drives everything on this page
     }
-  }, [apiPrefix]);
+  }, [getApiUrl]);
 
   useEffect(() => {
     fetchOfficial();
@@ -97,46 +94,18 @@ const PoolUpgradeTrackerPage = () => {
     pools, totalBlocks, bundleCount, bundlePct,
     publishingPools, noBundlePools,
   } = useMemo(() => {
-    const map = new Map();
-    let total = 0, bundles = 0;
-    for (const b of blocks) {
-      total += 1;
-      const hasBundle = !!b.hasOracleBundle;
-      if (hasBundle) bundles += 1;
+    const groups = new Map();
+    blocks.forEach((b) => {
       const key = poolKey(b);
-      if (!map.has(key)) {
-        map.set(key, {
-          key, name: key, total: 0, bundles: 0,
-          lastSigners: null, lastBundleHeight: -1, lastPriceUsd: null,
-          latestHeight: -1, algos: new Map(),
-        });
-      }
-      const p = map.get(key);
-      p.total += 1;
-      if (hasBundle) {
-        p.bundles += 1;
-        if ((b.height || 0) > p.lastBundleHeight) {
-          p.lastBundleHeight = b.height || 0;
-          p.lastSigners = b.oracleSignerCount ?? null;
-          p.lastPriceUsd = b.oraclePriceUsd ?? null;
-        }
-      }
-      // per-algorithm breakdown (the drill-down)
-      const algo = b.algo || 'unknown';
-      if (!p.algos.has(algo)) {
-        p.algos.set(algo, { algo, n: 0, bundles: 0 });
-      }
-      const a = p.algos.get(algo);
-      a.n += 1;
-      if (hasBundle) a.bundles += 1;
-      if ((b.height || 0) > p.latestHeight) p.latestHeight = b.height || 0;
-    }
-    const list = Array.from(map.values()).map((p) => ({
-      ...p,
-      status: p.bundles > 0 ? 'publishing' : 'none',
-      bundlePct: p.total ? Math.round((p.bundles / p.total) * 100) : 0,
-      algoBreakdown: Array.from(p.algos.values()).sort((x, y) => y.n - x.n),
-      algoList: Array.from(p.algos.keys()),
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(b);
+    });
+    const total = blocks.length;
+    const bundles = blocks.filter((b) => b.hasOracleBundle).length;
+    const list = Array.from(groups, ([key, poolBlocks]) => ({
+      key,
+      name: key,
+      ...summarizeMinerBlocks(poolBlocks),
     }));
     // Publishing pools first; big pools first within each bucket.
     list.sort((a, b) => (a.status === b.status ? b.total - a.total : (a.status === 'publishing' ? -1 : 1)));
@@ -165,10 +134,10 @@ const PoolUpgradeTrackerPage = () => {
   };
 
   return (
-    <Box sx={{ py: 4, backgroundImage: 'linear-gradient(to bottom, #f8f9fa, #ffffff)', minHeight: '100vh' }}>
+    <Box sx={{ py: 4, backgroundImage: (theme) => theme.palette.background.page, minHeight: '100vh' }}>
       <Container maxWidth="lg">
         {/* Hero */}
-        <Card elevation={2} sx={{ backgroundColor: '#f2f4f8', borderRadius: '12px', mb: 4 }}>
+        <Card elevation={2} sx={{ backgroundColor: 'background.subtle', borderRadius: '12px', mb: 4 }}>
           <CardContent sx={{ py: 4, textAlign: 'center' }}>
             <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', mb: 2 }}>
               <SystemUpdateAltIcon sx={{ fontSize: '2.5rem', color: primaryColor, mr: 2 }} />
@@ -184,7 +153,7 @@ const PoolUpgradeTrackerPage = () => {
               (signed DGB/USD price data) to their blocks, proving they can mine DigiDollar
               mint/redeem transactions.
             </Typography>
-            <Typography variant="body2" sx={{ maxWidth: 820, mx: 'auto', mt: 1.5, color: '#555' }}>
+            <Typography variant="body2" sx={{ maxWidth: 820, mx: 'auto', mt: 1.5, color: 'text.secondary' }}>
               A bundle-carrying block proves the whole pipeline: an upgraded v9.26 node, a
               getblocktemplate request with the <code>digidollar-oracle</code> rule, and a coinbase that
               preserves <code>default_oracle_commitment</code>. Pools without bundles either need that
@@ -232,7 +201,7 @@ const PoolUpgradeTrackerPage = () => {
               <Typography variant="h6" fontWeight="bold" sx={{ mb: 0.5, color: primaryColor }}>
                 DigiDollar Bundle coverage
               </Typography>
-              <Typography variant="body2" sx={{ mb: 2, color: '#555' }}>
+              <Typography variant="body2" sx={{ mb: 2, color: 'text.secondary' }}>
                 {bundleCount} of {totalBlocks} recent blocks carry a DigiDollar Bundle. Only these
                 blocks can confirm DigiDollar mint/redeem transactions.
               </Typography>
@@ -261,10 +230,14 @@ const PoolUpgradeTrackerPage = () => {
             {/* Per-pool table with drill-down */}
             <Card elevation={3} sx={{ borderRadius: '12px' }}>
               <CardContent>
-                <Typography variant="h5" fontWeight="bold" sx={{ mb: 2, color: primaryColor }}>
-                  Pools (last {totalBlocks} blocks)
-                </Typography>
-                <TableContainer component={Paper} elevation={0} sx={{ border: '1px solid #e0e0e0' }}>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+                  <Typography variant="h5" fontWeight="bold" sx={{ color: primaryColor }}>
+                    Pools (last {totalBlocks} blocks)
+                  </Typography>
+                  {/* One row per pool; the per-algo drill-down rides along as algoBreakdown. */}
+                  <ExportMenu name="pool-upgrades" rows={pools.map(({ key, ...pool }) => pool)} color={primaryColor} />
+                </Box>
+                <TableContainer component={Paper} elevation={0} sx={{ border: '1px solid', borderColor: 'divider' }}>
                   <Table size="small">
                     <TableHead sx={{ backgroundColor: `${primaryColor}12` }}>
                       <TableRow>
@@ -281,17 +254,21 @@ const PoolUpgradeTrackerPage = () => {
                         <React.Fragment key={p.key}>
                           <TableRow
                             hover
+                            id={`pool-${p.key}`}
+                            selected={isFocused(p.key)}
                             onClick={() => toggle(p.key)}
                             sx={{
                               cursor: 'pointer',
-                              backgroundColor: p.status === 'publishing' ? 'rgba(46, 125, 50, 0.07)' : undefined,
+                              backgroundColor: isFocused(p.key)
+                                ? `${primaryColor}1f`
+                                : (p.status === 'publishing' ? 'rgba(46, 125, 50, 0.07)' : undefined),
                               borderLeft: p.status === 'publishing' ? `4px solid ${GREEN}` : '4px solid transparent',
-                              '& > *': { borderBottom: expanded[p.key] ? 'unset' : undefined },
+                              '& > *': { borderBottom: isExpanded(p.key) ? 'unset' : undefined },
                             }}
                           >
                             <TableCell>
                               <IconButton size="small" aria-label="expand row">
-                                {expanded[p.key] ? <KeyboardArrowUpIcon /> : <KeyboardArrowDownIcon />}
+                                {isExpanded(p.key) ? <KeyboardArrowUpIcon /> : <KeyboardArrowDownIcon />}
                               </IconButton>
                             </TableCell>
                             <TableCell sx={{ maxWidth: 280, overflow: 'hidden', textOverflow: 'ellipsis' }}>
@@ -303,7 +280,7 @@ const PoolUpgradeTrackerPage = () => {
                             <TableCell align="center">{statusChip(p.status)}</TableCell>
                             <TableCell align="center">
                               <span title={p.bundles > 0
-                                ? `Latest bundle at block ${p.lastBundleHeight.toLocaleString()}${p.lastSigners != null ? ` · ${p.lastSigners} signers` : ''}${p.lastPriceUsd != null ? ` · $${p.lastPriceUsd.toFixed(6)}` : ''}`
+                                ? `Latest bundle at block ${formatNumber(p.lastBundleHeight)}${p.lastSigners != null ? ` · ${p.lastSigners} signers` : ''}${p.lastPriceUsd != null ? ` · $${p.lastPriceUsd.toFixed(6)}` : ''}`
                                 : 'No DigiDollar Bundles in the window'}>
                                 <Typography component="span" variant="body2" fontWeight={p.bundles > 0 ? 'bold' : 'normal'}
                                   sx={{ color: p.bundles > 0 ? GREEN : '#999' }}>
@@ -312,16 +289,16 @@ const PoolUpgradeTrackerPage = () => {
                               </span>
                             </TableCell>
                             <TableCell align="right">{p.total}</TableCell>
-                            <TableCell align="right">{p.latestHeight >= 0 ? p.latestHeight.toLocaleString() : '—'}</TableCell>
+                            <TableCell align="right">{p.latestHeight >= 0 ? formatNumber(p.latestHeight) : '—'}</TableCell>
                           </TableRow>
                           <TableRow>
-                            <TableCell sx={{ py: 0, borderBottom: expanded[p.key] ? undefined : 'none' }} colSpan={6}>
-                              <Collapse in={!!expanded[p.key]} timeout="auto" unmountOnExit>
+                            <TableCell sx={{ py: 0, borderBottom: isExpanded(p.key) ? undefined : 'none' }} colSpan={6}>
+                              <Collapse in={isExpanded(p.key)} timeout="auto" unmountOnExit>
                                 <Box sx={{ my: 2, mx: 1 }}>
                                   <Typography variant="subtitle2" sx={{ mb: 1, color: primaryColor }}>
                                     Algorithm breakdown — {p.name}
                                   </Typography>
-                                  <Table size="small" sx={{ backgroundColor: '#fafafa', borderRadius: 1 }}>
+                                  <Table size="small" sx={{ backgroundColor: 'background.subtle', borderRadius: 1 }}>
                                     <TableHead>
                                       <TableRow>
                                         <TableCell><strong>Algorithm</strong></TableCell>
@@ -2,13 +2,19 @@ import React, { useState, useEffect, useRef, useMemo } from 'react';
 import {
   Container, Typography, List, ListItem, ListItemText, Box,
   Card, CardContent, Divider, useTheme, useMediaQuery,
-  Paper, Chip, CircularProgress, Pagination
+  Paper, Chip, CircularProgress, Pagination, Link
 } from '@mui/material';
+import { Link as RouterLink } from 'react-router-dom';
 import PoolIcon from '@mui/icons-material/LocationCity';
 import CheckCircleIcon from '@mui/icons-material/CheckCircle';
 import * as d3 from 'd3';
-import config from '../config';
+import { useWsMessage, useWsStatusChange } from '../hooks/useWsMessage';
+import { useNetwork } from '../context/NetworkContext';
+import { getChartColors } from '../utils/theme';
 import MiningGuideCallout from '../components/MiningGuideCallout';
+import ExportMenu from '../components/ExportMenu';
+import ChartActions from '../components/ChartActions';
+import { minerAddressOf, upgradeStateOf } from '../utils/miningStats';
 
 /**
  * PoolsPage Component - Mining Pool Distribution Analysis
@@ -17,8 +23,9 @@ import MiningGuideCallout from '../components/MiningGuideCallout';
  * - Real-time pie chart visualization of pool market share
  * - Detailed listings of multi-block and single-block miners
  * - Pagination for large datasets
+ * - CSV/JSON export of the full miner list (both sections, every page)
  * 
- * Data source: Last 240 blocks (approximately 1 hour) via WebSocket
+ * Data source: Last 240 blocks (approximately 1 hour) via the network's shared WebSocket
  */
 const PoolsPage = () => {
   // State management for mining pool data
@@ -32,7 +39,9 @@ const PoolsPage = () => {
   
   // Responsive design hooks
   const theme = useTheme();
+  const chartColors = getChartColors(theme);
   const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
+  const { getNetworkPath } = useNetwork();
 
   /**
    * Process blocks data to categorize miners and calculate statistics
@@ -43,17 +52,11 @@ const PoolsPage = () => {
   const { sortedAddresses, singleBlockAddresses } = useMemo(() => {
     if (!blocks.length) return { sortedAddresses: [], singleBlockAddresses: [] };
 
-    // Post-activation status per miner. BOTH BIP9 deployments (DigiDollar
-    // bit 23 and Algolock bit 0) are ACTIVE, so version-bit signalling has
-    // ended network-wide — version bits prove nothing any more. The chain
-    // offers exactly one provable positive:
+    // Post-activation status per miner (see utils/miningStats):
     //   'publishing' — mined >=1 block carrying a v0x03 DigiDollar Bundle:
     //                  definitive proof of full DigiDollar integration.
     //   'none'       — no bundles in the window: reach out to confirm the
     //                  pool's upgrade + digidollar-oracle GBT configuration.
-    const upgradeStateOf = (minerBlocks) => (
-      minerBlocks.some(b => b.hasOracleBundle) ? 'publishing' : 'none'
-    );
 
     // Track mining addresses and their block counts
     const multiAddresses = new Set();
@@ -61,7 +64,7 @@ const PoolsPage = () => {
 
     // First pass: count blocks per mining address
     blocks.forEach(block => {
-      const address = block.minerAddress || block.minedTo;
+      const address = minerAddressOf(block);
       if (!address) return;
       addressCounts[address] = (addressCounts[address] || 0) + 1;
       if (addressCounts[address] > 1) {
@@ -72,7 +75,7 @@ const PoolsPage = () => {
     // Process multi-block miners (likely pools or large solo miners)
     const multipleMiners = Array.from(multiAddresses)
       .map(address => {
-        const minerBlocks = blocks.filter(b => (b.minerAddress || b.minedTo) === address);
+        const minerBlocks = blocks.filter(b => minerAddressOf(b) === address);
         return {
           address,
           count: addressCounts[address],
@@ -90,12 +93,12 @@ const PoolsPage = () => {
     const singleMiners = [...blocks]
       .sort((a, b) => b.height - a.height) // Sort by block height (newest first)
       .filter(block => {
-        const address = block.minerAddress || block.minedTo;
+        const address = minerAddressOf(block);
         return address && !multiAddresses.has(address);
       })
       .slice(0, 20) // Limit to 20 most recent single-block miners
       .map((block, index) => ({
-        address: block.minerAddress || block.minedTo,
+        address: minerAddressOf(block),
         count: 1,
         poolIdentifier: block.poolIdentifier || 'Unknown',
         timestamp: block.timestamp,
@@ -112,86 +115,43 @@ const PoolsPage = () => {
   }, [blocks]);
 
   /**
-   * WebSocket connection management for real-time block data
+   * Real-time block data over the network's shared WebSocket
    * Handles initial data load and real-time updates as new blocks are mined
    */
-  useEffect(() => {
-    console.log(`Connecting to WebSocket at: ${config.wsBaseUrl}`);
-    let socket;
-    
-    try {
-      socket = new WebSocket(config.wsBaseUrl);
-      
-      // Connection established
-      socket.onopen = () => {
-        console.log('WebSocket connection established successfully');
-      };
-      
-      // Connection error handling
-      socket.onerror = (error) => {
-        console.error('WebSocket connection error:', error);
+  useWsMessage(['recentBlocks', 'newBlock'], (message) => {
+    // Handle initial batch of recent blocks
+    if (message.type === 'recentBlocks' && Array.isArray(message.data)) {
+      // Validate blocks have required mining address data
+      const validBlocks = message.data.filter(block => block && minerAddressOf(block));
+
+      if (validBlocks.length > 0) {
+        setBlocks(validBlocks);
         setLoading(false);
-      };
-      
-      // Message handling for block data
-      socket.onmessage = (event) => {
-        try {
-          const message = JSON.parse(event.data);
-          console.log('WebSocket message received:', message);
-          
-          // Handle initial batch of recent blocks
-          if (message.type === 'recentBlocks' && Array.isArray(message.data)) {
-            console.log('Setting blocks data, count:', message.data.length);
-
-            // Validate blocks have required mining address data
-            const validBlocks = message.data.filter(block => block && (block.minerAddress || block.minedTo));
-
-            if (validBlocks.length > 0) {
-              setBlocks(validBlocks);
-              setLoading(false);
-            } else {
-              // Empty snapshot = the server's block cache is still warming up.
-              // KEEP the spinner: dropping it here rendered a blank chart that
-              // then filled one block per ~15s — the "pie chart takes forever"
-              // symptom. The server rebroadcasts the full list on the next tip
-              // change, and newBlock messages stream in meanwhile.
-              console.warn('Empty recentBlocks snapshot — server cache warming, awaiting rebroadcast');
-            }
-          }
-          // Handle new blocks mined in real-time
-          else if (message.type === 'newBlock' && message.data) {
-            console.log('New block received:', message.data);
-            if (message.data.minerAddress || message.data.minedTo) {
-              setBlocks((prevBlocks) => [message.data, ...prevBlocks]);
-              // First data is data — leave the spinner even if the snapshot missed us.
-              setLoading(false);
-            }
-          }
-        } catch (err) {
-          console.error('Error processing WebSocket message:', err);
-        }
-      };
-      
-      // Connection closed
-      socket.onclose = (event) => {
-        console.log('WebSocket connection closed', event.code, event.reason);
-      };
-    } catch (err) {
-      console.error('Error creating WebSocket connection:', err);
-      setLoading(false);
+      } else {
+        // Empty snapshot = the server's block cache is still warming up.
+        // KEEP the spinner: dropping it here rendered a blank chart that
+        // then filled one block per ~15s — the "pie chart takes forever"
+        // symptom. The server rebroadcasts the full list on the next tip
+        // change, and newBlock messages stream in meanwhile.
+        console.warn('Empty recentBlocks snapshot — server cache warming, awaiting rebroadcast');
+      }
     }
-    
-    // No fallback data: if the WebSocket has not delivered real block data,
-    // the page keeps showing its loading state rather than fabricated pools.
-
-    // Cleanup function
-    return () => {
-      if (socket) {
-        socket.close();
+    // Handle new blocks mined in real-time
+    else if (message.type === 'newBlock' && message.data) {
+      if (minerAddressOf(message.data)) {
+        setBlocks((prevBlocks) => [message.data, ...prevBlocks]);
+        // First data is data — leave the spinner even if the snapshot missed us.
+        setLoading(false);
       }
-    };
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+    }
+  });
+
+  // No fallback data: if the WebSocket has not delivered real block data,
+  // the page keeps showing its loading state rather than fabricated pools.
+  // A failed connection does end the spinner.
+  useWsStatusChange((status) => {
+    if (status === 'closed') setLoading(false);
+  });
 
   /**
    * D3.js pie chart rendering for mining pool distribution
@@ -223,7 +183,7 @@ const PoolsPage = () => {
             blocks: `${item.count} Blocks`,
             count: item.count,
             pool: item.poolIdentifier,
-            algo: blocks.find(b => (b.minerAddress || b.minedTo) === item.address)?.algo || 'Unknown'
+            algo: blocks.find(b => minerAddressOf(b) === item.address)?.algo || 'Unknown'
           });
         } else {
           // Accumulate small pools into "Other" category
@@ -293,7 +253,7 @@ const PoolsPage = () => {
         .append('path')
         .attr('d', arc)
         .attr('fill', d => colorScale(d.data.blocks))
-        .attr('stroke', 'white')
+        .attr('stroke', chartColors.stroke)
         .attr('stroke-width', 2);
       
       console.log('Created', paths.size(), 'pie chart paths');
@@ -340,14 +300,14 @@ const PoolsPage = () => {
         .attr('text-anchor', 'middle')
         .attr('font-size', isMobile ? '14px' : '18px')
         .attr('font-weight', 'bold')
-        .attr('fill', '#002352')
+        .attr('fill', chartColors.text)
         .text(`${blocks.length} Total Blocks`);
         
       console.log('Pools chart rendered successfully');
     } catch (error) {
       console.error('Error rendering pools chart:', error);
     }
-  }, [blocks, sortedAddresses, isMobile]);
+  }, [blocks, sortedAddresses, isMobile, chartColors]);
 
   /**
    * Pagination helper function
@@ -384,23 +344,23 @@ const PoolsPage = () => {
     <Card
       elevation={2}
       sx={{
-        backgroundColor: '#f2f4f8',
+        backgroundColor: 'background.subtle',
         borderRadius: '12px',
         mb: 4,
         overflow: 'hidden',
-        backgroundImage: 'linear-gradient(135deg, #f8f9fa 0%, #e8eef7 100%)',
+        backgroundImage: (theme) => theme.palette.background.hero,
         border: '1px solid rgba(0, 35, 82, 0.1)'
       }}
     >
       <CardContent sx={{ py: 4, textAlign: 'center' }}>
         <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', mb: 2 }}>
-          <PoolIcon sx={{ fontSize: '2.5rem', color: '#002352', mr: 2 }} />
+          <PoolIcon sx={{ fontSize: '2.5rem', color: 'primary.main', mr: 2 }} />
           <Typography 
             variant="h2" 
             component="h1" 
             fontWeight="800" 
             sx={{ 
-              color: '#002352',
+              color: 'primary.main',
               letterSpacing: '0.5px',
               fontSize: { xs: '1.8rem', sm: '2.3rem', md: '2.8rem' }
             }}
@@ -409,7 +369,7 @@ const PoolsPage = () => {
           </Typography>
         </Box>
         
-        <Divider sx={{ maxWidth: '150px', mx: 'auto', mb: 3, borderColor: '#0066cc', borderWidth: 2 }} />
+        <Divider sx={{ maxWidth: '150px', mx: 'auto', mb: 3, borderColor: 'secondary.main', borderWidth: 2 }} />
         
         <Typography 
           variant="subtitle1" 
@@ -418,7 +378,7 @@ const PoolsPage = () => {
             maxWidth: '800px', 
             mx: 'auto', 
             mb: 3,
-            color: '#555',
+            color: 'text.secondary',
             fontSize: '1.1rem'
           }}
         >
@@ -434,22 +394,25 @@ const PoolsPage = () => {
    */
   const PieChartSection = () => (
     <Card
+      id="pool-distribution"
       elevation={3}
       sx={{
         p: { xs: 2, md: 3 },
         borderRadius: '12px',
         mb: 4,
-        textAlign: 'center'
+        textAlign: 'center',
+        scrollMarginTop: 80
       }}
     >
-      <Typography variant="h5" fontWeight="bold" sx={{ mb: 3, color: '#002352' }}>
+      <Typography variant="h5" fontWeight="bold" sx={{ mb: 1, color: 'primary.main' }}>
         Mining Pool Distribution
       </Typography>
+      <ChartActions id="pool-distribution" name="pool-distribution" target={svgRef} ready={!loading && sortedAddresses.length > 0} sx={{ mb: 2 }} />
       
       {loading ? (
         <Box sx={{ py: 10, display: 'flex', justifyContent: 'center', alignItems: 'center', flexDirection: 'column' }}>
-          <CircularProgress size={60} sx={{ color: '#0066cc', mb: 3 }} />
-          <Typography variant="h6" sx={{ color: '#555' }}>
+          <CircularProgress size={60} sx={{ color: 'secondary.main', mb: 3 }} />
+          <Typography variant="h6" sx={{ color: 'text.secondary' }}>
             Loading block data...
           </Typography>
         </Box>
@@ -473,7 +436,7 @@ const PoolsPage = () => {
               }}
             ></svg>
           </Box>
-          <Typography variant="body1" sx={{ mt: 2, color: '#666', fontStyle: 'italic' }}>
+          <Typography variant="body1" sx={{ mt: 2, color: 'text.secondary', fontStyle: 'italic' }}>
             Distribution of blocks by mining pool over the last hour.
           </Typography>
         </>
@@ -491,11 +454,11 @@ const PoolsPage = () => {
         py: 1.5,
         px: 2,
         mb: 1,
-        backgroundColor: 'white',
+        backgroundColor: 'background.paper',
         borderRadius: '8px',
         boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
         '&:hover': {
-          backgroundColor: '#f9f9f9'
+          backgroundColor: 'action.hover'
         }
       }}
     >
@@ -510,23 +473,27 @@ const PoolsPage = () => {
               size="small" 
               sx={{ 
                 fontWeight: 'bold', 
-                backgroundColor: '#002352', 
-                color: 'white',
+                backgroundColor: 'primary.main', 
+                color: 'primary.contrastText',
                 minWidth: '40px'
               }} 
             />
             
             {/* Mining address */}
-            <Typography 
-              variant="body1" 
-              sx={{ 
-                fontWeight: 'medium', 
+            <Link
+              component={RouterLink}
+              to={getNetworkPath(`/address/${item.address}`)}
+              variant="body1"
+              underline="hover"
+              sx={{
+                fontWeight: 'medium',
                 wordBreak: 'break-all',
+                color: 'inherit',
                 ...(isMobile && { fontSize: '0.85rem' })
               }}
             >
               {formatAddress(item.address)}
-            </Typography>
+            </Link>
             
             {/* Block count (for multi-block miners) */}
             {isMultiBlock && (
@@ -599,19 +566,30 @@ const PoolsPage = () => {
       }}
     >
       <CardContent sx={{ p: { xs: 2, md: 3 } }}>
-        <Typography variant="h5" fontWeight="bold" sx={{ mb: 3, color: '#002352', textAlign: 'center' }}>
-          Recent Mining Pools
-        </Typography>
+        <Box sx={{ position: 'relative', mb: 3 }}>
+          <Typography variant="h5" fontWeight="bold" sx={{ color: 'primary.main', textAlign: 'center' }}>
+            Recent Mining Pools
+          </Typography>
+          <Box sx={{ display: 'flex', justifyContent: { xs: 'center', sm: 'flex-end' }, mt: { xs: 1, sm: 0 }, position: { sm: 'absolute' }, top: 0, right: 0 }}>
+            <ExportMenu
+              name="miners"
+              rows={loading ? [] : () => [
+                ...sortedAddresses.map((miner) => ({ ...miner, multiBlock: true })),
+                ...singleBlockAddresses.map((miner) => ({ ...miner, multiBlock: false })),
+              ]}
+            />
+          </Box>
+        </Box>
 
         {loading ? (
           <Box sx={{ py: 5, display: 'flex', justifyContent: 'center' }}>
-            <CircularProgress size={40} sx={{ color: '#0066cc' }} />
+            <CircularProgress size={40} sx={{ color: 'secondary.main' }} />
           </Box>
         ) : (
           <>
             {/* Multi-Block Miners Section */}
             <Paper elevation={0} sx={{ mb: 4, p: 2, backgroundColor: 'rgba(0, 102, 204, 0.05)', borderRadius: '8px' }}>
-              <Typography variant="h6" fontWeight="bold" sx={{ mb: 2, textAlign: 'center', color: '#0066cc' }}>
+              <Typography variant="h6" fontWeight="bold" sx={{ mb: 2, textAlign: 'center', color: 'secondary.main' }}>
                 Multi-Block Miners
               </Typography>
               
@@ -624,7 +602,7 @@ const PoolsPage = () => {
             
             {/* Single Block Miners Section */}
             <Paper elevation={0} sx={{ p: 2, backgroundColor: 'rgba(0, 35, 82, 0.05)', borderRadius: '8px' }}>
-              <Typography variant="h6" fontWeight="bold" sx={{ mb: 2, textAlign: 'center', color: '#002352' }}>
+              <Typography variant="h6" fontWeight="bold" sx={{ mb: 2, textAlign: 'center', color: 'primary.main' }}>
                 Single Block Miners
               </Typography>
               
@@ -660,15 +638,15 @@ const PoolsPage = () => {
     <Card 
       elevation={2}
       sx={{
-        backgroundColor: '#f2f4f8',
+        backgroundColor: 'background.subtle',
         borderRadius: '12px',
         mb: 4,
-        backgroundImage: 'linear-gradient(135deg, #f8f9fa 0%, #e8eef7 100%)',
+        backgroundImage: (theme) => theme.palette.background.hero,
         border: '1px solid rgba(0, 35, 82, 0.1)'
       }}
     >
       <CardContent sx={{ p: 3, textAlign: 'center' }}>
-        <Typography variant="h5" fontWeight="bold" color="#002352">
+        <Typography variant="h5" fontWeight="bold" color="primary.main">
           Total Blocks Analyzed: {blocks.length}
         </Typography>
         {blocks.length > 0 && (
@@ -689,7 +667,7 @@ const PoolsPage = () => {
     <Box 
       sx={{ 
         py: 4, 
-        backgroundImage: 'linear-gradient(to bottom, #f8f9fa, #ffffff)',
+        backgroundImage: (theme) => theme.palette.background.page,
         minHeight: '100vh'
       }}
     >
@@ -19,13 +19,633 @@ import TokenIcon from '@mui/icons-material/Token';
 import SpeedIcon from '@mui/icons-material/Speed';
 import RocketLaunchIcon from '@mui/icons-material/RocketLaunch';
 import { format } from 'date-fns';
-import config from '../config';
+import { useNetwork } from '../context/NetworkContext';
+import { useLocale } from '../context/LocaleContext';
+import { useWsMessage, useWsStatusChange } from '../hooks/useWsMessage';
+import { formatNumber as formatNumberIn } from '../utils/format';
 import { keyframes } from '@mui/material';
 
 // DigiDollar activated on mainnet via BIP9 (bit 23). bip9.since / "Activated At
 // Block" as reported by the node RPC on the /activation page.
 const DD_ACTIVATION_HEIGHT = 23869440;
 const DD_ACTIVATION_DATE = '2026-07-17';
+// The roadmap copy below is English, so its block number is grouped that way.
+const DD_ACTIVATION_BLOCK = formatNumberIn(DD_ACTIVATION_HEIGHT, 'en');
+
+// Roadmap data structure for the next three years
+const INITIAL_ROADMAP_DATA = {
+  lastUpdated: DD_ACTIVATION_DATE, // Update whenever roadmap content changes
+  overallProgress: 69, // Updated Jul 2026 - Phases 1-4 complete, Phase 5 (adoption) in progress
+  phases: [
+    {
+      id: 'phase1',
+      title: 'DigiByte v8.26 Taproot Release',
+      subtitle: 'Bitcoin v26.2 Merge',
+      timeRange: 'June - October 2025',
+      startDate: '2025-08-01',
+      endDate: '2025-10-31',
+      status: 'completed',
+      progress: 100,
+      icon: <UpdateIcon />,
+      color: '#ff9800',
+      description: 'Merging Bitcoin Core v26.2 into DigiByte v8.22.2 to create DigiByte v8.26 with Taproot support and enhanced features.',
+      keyFeatures: [
+        '🔄 Bitcoin v26.2 merge into DigiByte v8.22.2',
+        '✅ Complete all testing phases',
+        '🚀 Enhanced performance and security',
+        '📦 October 2025 release target'
+      ],
+      milestones: [
+        {
+          id: 'initial-merge',
+          title: 'Complete Initial Merge',
+          date: '2025-08-01',
+          status: 'completed',
+          description: 'Bitcoin v26.2 successfully merged into DigiByte v8.22.2'
+        },
+        {
+          id: 'cpp-unit-tests',
+          title: 'Fix All C++ Unit Tests',
+          date: '2025-08-15',
+          status: 'completed',
+          description: 'All C++ unit tests passing successfully'
+        },
+        {
+          id: 'functional-tests',
+          title: 'Fix All Functional Tests',
+          date: '2025-08-25',
+          status: 'completed',
+          description: 'Completion of all functional tests',
+          completionDate: '2025-08-31'
+        },
+        {
+          id: 'confirm-feebug-fix',
+          title: 'Confirm Feebug Fix',
+          date: '2025-09-01',
+          status: 'completed',
+          description: 'Verify and confirm the fee calculation bug has been resolved',
+          completionDate: '2025-08-31'
+        },
+        {
+          id: 'test-mining',
+          title: 'Test Multi-Algo Mining',
+          date: '2025-09-05',
+          status: 'completed',
+          description: 'Complete multi-algorithm test mining across all 5 algorithms',
+          completionDate: '2025-09-30'
+        },
+        {
+          id: 'test-taproot',
+          title: 'Test Taproot Transactions',
+          date: '2025-09-10',
+          status: 'completed',
+          description: 'Test and verify Taproot transaction functionality',
+          completionDate: '2025-08-31'
+        },
+        {
+          id: 'test-wallet-imports',
+          title: 'Test Legacy Wallet Imports',
+          date: '2025-09-15',
+          status: 'completed',
+          description: 'Test legacy wallet import functionality and compatibility',
+          completionDate: '2025-08-31'
+        },
+        {
+          id: 'v8.26-release',
+          title: 'Release Initial v8.26',
+          date: '2025-10-31',
+          status: 'completed',
+          description: 'First official release of DigiByte v8.26',
+          completionDate: '2025-09-01'
+        }
+      ]
+    },
+    {
+      id: 'phase2',
+      title: 'DigiDollar Implementation Specs',
+      subtitle: 'Initial Design Phase',
+      timeRange: 'June - November 2025',
+      startDate: '2025-06-01',
+      endDate: '2025-11-30',
+      status: 'completed',
+      progress: 100,
+      icon: <AccountBalanceIcon />,
+      color: '#ff9800',
+      description: 'Creating the complete technical implementation specifications for DigiDollar, a decentralized stablecoin leveraging Taproot on the DigiByte blockchain.',
+      keyFeatures: [
+        '📋 Complete technical specification',
+        '🎯 OP_DIGIDOLLAR opcode design',
+        '💡 Oracle architecture planning',
+        '📊 Collateralization model'
+      ],
+      milestones: [
+        {
+          id: 'dd-whitepaper',
+          title: 'DigiDollar White Paper Release',
+          date: '2025-06-01',
+          status: 'completed',
+          description: 'Release initial DigiDollar white paper outlining the concept'
+        },
+        {
+          id: 'dd-technical-blueprint',
+          title: 'DigiDollar Technical Blueprint Released',
+          date: '2025-07-01',
+          status: 'completed',
+          description: 'Release technical blueprint with implementation details'
+        },
+        {
+          id: 'p2tr-contract-design',
+          title: 'P2TR Contract Structure Design',
+          date: '2025-10-15',
+          status: 'completed',
+          description: 'Design Pay-to-Taproot contract structure for DigiDollar minting/redemption',
+          completionDate: '2025-10-15'
+        },
+        {
+          id: 'define-collateral-ratios',
+          title: 'Define Collateral Ratio System',
+          date: '2025-10-05',
+          status: 'completed',
+          description: 'Define sliding collateral ratios (1000% at 1 hour down to 200% at 10 years)',
+          completionDate: '2025-10-05'
+        },
+        {
+          id: 'digidollar-opcodes-spec',
+          title: 'DigiDollar Opcodes Specification',
+          date: '2025-10-08',
+          status: 'completed',
+          description: 'Define new opcodes: OP_CHECKDOLLAR, OP_BURNDOLLAR, OP_MINTDOLLAR',
+          completionDate: '2025-10-08'
+        },
+        {
+          id: 'design-oracle-infrastructure',
+          title: 'Oracle Network Architecture',
+          date: '2025-10-12',
+          status: 'completed',
+          description: 'Design 35-slot oracle system with 35 active testnet operators and 7-signature MuSig2 aggregate signing',
+          completionDate: '2025-10-12'
+        },
+        {
+          id: 'oracle-price-feed-spec',
+          title: 'Oracle Price Feed Specification',
+          date: '2025-10-15',
+          status: 'completed',
+          description: 'Define oracle price aggregation, update frequency, and failsafe mechanisms',
+          completionDate: '2025-10-15'
+        },
+        {
+          id: 'mast-redemption-design',
+          title: 'MAST Redemption Tree Design',
+          date: '2025-10-18',
+          status: 'completed',
+          description: 'Design Merkle tree structure for multiple redemption paths and conditions',
+          completionDate: '2025-10-18'
+        },
+        {
+          id: 'security-analysis',
+          title: 'Security Analysis & Threat Modeling',
+          date: '2025-10-22',
+          status: 'completed',
+          description: 'Comprehensive security analysis of DigiDollar attack vectors',
+          completionDate: '2025-10-22'
+        },
+        {
+          id: 'economic-model-validation',
+          title: 'Economic Model Validation',
+          date: '2025-10-25',
+          status: 'completed',
+          description: 'Validate DigiDollar economics with simulations and stress tests',
+          completionDate: '2025-10-25'
+        },
+        {
+          id: 'taproot-integration-spec',
+          title: 'Taproot Integration Requirements',
+          date: '2025-10-28',
+          status: 'completed',
+          description: 'Document all Taproot features required for DigiDollar functionality',
+          completionDate: '2025-10-28'
+        },
+        {
+          id: 'finalize-technical-spec',
+          title: 'Finalize Technical Specification',
+          date: '2025-11-30',
+          status: 'completed',
+          description: 'Complete DigiDollar Implementation Specification for development',
+          completionDate: '2025-11-30'
+        }
+      ]
+    },
+    {
+      id: 'phase3',
+      title: 'DigiByte v9.26 DigiDollar Release',
+      subtitle: 'Development & Implementation',
+      timeRange: 'October 2025 - February 2026',
+      startDate: '2025-10-01',
+      endDate: '2026-02-28',
+      status: 'completed',
+      progress: 100,
+      icon: <TokenIcon />,
+      color: '#4caf50',
+      description: 'Implementation of DigiDollar v9.26 with new opcodes, oracle system, and Taproot-based stablecoin functionality. DigiDollar is active on testnet26 with a comprehensive functional and C++ unit test suite passing.',
+      keyFeatures: [
+        '💻 OP_DIGIDOLLAR implementation',
+        '🔧 Oracle network (Phase Two - 35-slot roster, 7-signature MuSig2 quorum)',
+        '🧪 MAST & Taproot integration',
+        '🔐 Consensus rule updates'
+      ],
+      milestones: [
+        {
+          id: 'op-digidollar-implementation',
+          title: 'OP_DIGIDOLLAR (0xbb) Implementation',
+          date: '2025-11-01',
+          status: 'completed',
+          description: 'Implement core OP_DIGIDOLLAR opcode for marking DigiDollar outputs',
+          completionDate: '2025-11-01'
+        },
+        {
+          id: 'collateral-time-lock',
+          title: 'Time-Locked Collateral Mechanism',
+          date: '2025-11-05',
+          status: 'completed',
+          description: 'Implement 10-tier sliding collateral ratios: 1000% (1 hour) to 200% (10 years)',
+          completionDate: '2025-11-05'
+        },
+        {
+          id: 'redemption-mechanism',
+          title: 'Redemption Mechanism',
+          date: '2025-11-10',
+          status: 'completed',
+          description: 'P2TR output creation, Schnorr signatures, OP_CHECKSIGADD implementation',
+          completionDate: '2025-11-10'
+        },
+        {
+          id: 'oracle-price-feeds',
+          title: 'Oracle Price Feed Implementation',
+          date: '2025-12-01',
+          status: 'completed',
+          description: 'Live DGB/USD price aggregation across 12 exchange/API fetchers (Binance, Coinbase, Kraken, KuCoin, Gate.io, HTX, Crypto.com, CoinGecko, and more) with Phase Two 7-signature consensus',
+          completionDate: '2026-01-15'
+        },
+        {
+          id: 'mast-implementation',
+          title: 'MAST Implementation',
+          date: '2025-12-15',
+          status: 'completed',
+          description: 'Merkle tree with 2 redemption paths (Normal + ERR) using CLTV timelocks',
+          completionDate: '2025-12-20'
+        },
+        {
+          id: 'advanced-features',
+          title: 'Advanced Features',
+          date: '2026-01-01',
+          status: 'completed',
+          description: 'Key path optimization, PSBT support, batch verification, DCA/ERR/Volatility protection',
+          completionDate: '2026-01-20'
+        },
+        {
+          id: 'wallet-enhancement',
+          title: 'Wallet Enhancement',
+          date: '2026-01-15',
+          status: 'completed',
+          description: 'GUI integration (7 tabs), privacy indicators, DigiDollar transaction support',
+          completionDate: '2025-11-04'
+        },
+        {
+          id: 'consensus-validation-rules',
+          title: 'Consensus Validation Rules',
+          date: '2026-02-15',
+          status: 'completed',
+          description: 'New transaction validation rules for DigiDollar (MINT, TRANSFER, REDEEM)',
+          completionDate: '2026-01-30'
+        },
+        {
+          id: 'digidollar-testnet',
+          title: 'DigiDollar Testnet Activation',
+          date: '2026-02-20',
+          status: 'completed',
+          description: 'DigiDollar fully functional on testnet with oracle price feeds and a 7-signature quorum across a 35-slot roster',
+          completionDate: '2026-02-01'
+        },
+        {
+          id: 'initial-release',
+          title: 'Testnet Release v9.26.0-RC44',
+          date: '2026-05-27',
+          status: 'completed',
+          description: 'Final testnet26 release candidate ahead of the v9.26.2 mainnet release, with full DigiDollar functionality and the RC44 oracle roster',
+          completionDate: '2026-05-27'
+        }
+      ]
+    },
+    {
+      id: 'phase4',
+      title: 'DigiByte v9.26 Mainnet Release & Activation',
+      subtitle: 'Mainnet Launch & DigiDollar Activation',
+      timeRange: 'March - July 2026',
+      startDate: '2026-03-01',
+      endDate: DD_ACTIVATION_DATE,
+      status: 'completed',
+      progress: 100,
+      icon: <SpeedIcon />,
+      color: '#4caf50',
+      description: `DigiByte v9.26.2 shipped on mainnet June 29, 2026 and DigiDollar activated via BIP9 (bit 23) at block ${DD_ACTIVATION_BLOCK} on July 17, 2026 — the world's first truly decentralized stablecoin on a UTXO blockchain is now live. Minting, sending, and redeeming are fully functional.`,
+      keyFeatures: [
+        '🚀 v9.26.2 mainnet release: June 29, 2026',
+        `✅ Activated at block ${DD_ACTIVATION_BLOCK}`,
+        '🗳️ 70% miner signaling threshold reached',
+        '📅 DigiDollar live since July 17, 2026'
+      ],
+      milestones: [
+        {
+          id: 'v9.26-rc1',
+          title: 'DigiByte v9.26 Release Candidate 1',
+          date: '2025-12-01',
+          status: 'completed',
+          description: 'First release candidate with OP_DIGIDOLLAR and consensus changes',
+          completionDate: '2025-12-01'
+        },
+        {
+          id: 'v9.26-rc2',
+          title: 'Final Testnet Release Candidate (v9.26.0-RC44)',
+          date: '2026-05-27',
+          status: 'completed',
+          description: 'Final testnet26 release candidate before mainnet — 35-slot active oracle roster (0-34) with a 7-signature MuSig2 quorum',
+          completionDate: '2026-05-27'
+        },
+        {
+          id: 'oracle-phase2-testnet',
+          title: 'MuSig2 Oracle Testnet Validation',
+          date: '2026-05-27',
+          status: 'completed',
+          description: '7-signature MuSig2 oracle consensus validated on testnet26 ahead of mainnet',
+          completionDate: '2026-05-27'
+        },
+        {
+          id: 'security-pen-testing',
+          title: 'Security & Hardening Review',
+          date: '2026-06-15',
+          status: 'completed',
+          description: 'Security review and hardening of DigiDollar consensus rules ahead of the mainnet release',
+          completionDate: '2026-06-29'
+        },
+        {
+          id: 'mining-pool-coordination',
+          title: 'Mining Pool & Exchange Outreach',
+          date: '2026-06-29',
+          status: 'completed',
+          description: 'Coordinated with mining pools, wallets, and exchanges to upgrade to the latest release (currently v9.26.4)',
+          completionDate: DD_ACTIVATION_DATE
+        },
+        {
+          id: 'node-upgrade-campaign',
+          title: 'Node Upgrade Campaign',
+          date: '2026-06-29',
+          status: 'completed',
+          description: 'Community outreach for node operators to upgrade to the latest release (currently v9.26.4)',
+          completionDate: DD_ACTIVATION_DATE
+        },
+        {
+          id: 'bip9-parameters',
+          title: 'BIP9 Activation Parameters',
+          date: '2026-06-29',
+          status: 'completed',
+          description: 'BIP9 parameters set in consensus: version bit 23, start June 1 2026, timeout June 1 2027, minimum activation height 23,627,520, 70% threshold',
+          completionDate: '2026-06-29'
+        },
+        {
+          id: 'v9.26-final-release',
+          title: '🚀 DigiByte v9.26.2 Mainnet Release',
+          date: '2026-06-29',
+          status: 'completed',
+          description: 'Official mainnet release of DigiByte v9.26.2 with DigiDollar - miners can start signaling for activation',
+          completionDate: '2026-06-29'
+        },
+        {
+          id: 'signaling-period-start',
+          title: '⛏️ Miner Signaling Complete',
+          date: '2026-06-29',
+          status: 'completed',
+          description: 'BIP9 bit 23 signaling - miners voted to activate DigiDollar',
+          completionDate: DD_ACTIVATION_DATE
+        },
+        {
+          id: 'signaling-threshold',
+          title: '70% Signaling Threshold',
+          date: '2026-07-01',
+          status: 'completed',
+          description: 'Reached 70% miner support (28,224 of 40,320 blocks) in a signaling window',
+          completionDate: DD_ACTIVATION_DATE
+        },
+        {
+          id: 'soft-fork-lock-in',
+          title: 'Soft Fork Lock-In',
+          date: '2026-07-15',
+          status: 'completed',
+          description: 'Soft fork locked in after meeting the 70% signaling threshold',
+          completionDate: DD_ACTIVATION_DATE
+        },
+        {
+          id: 'digidollar-activation',
+          title: '✅ DigiDollar Mainnet Activation',
+          date: DD_ACTIVATION_DATE,
+          status: 'completed',
+          description: `DigiDollar consensus rules activated on mainnet at block ${DD_ACTIVATION_BLOCK} — the first decentralized stablecoin on a UTXO blockchain is live`,
+          completionDate: DD_ACTIVATION_DATE
+        }
+      ]
+    },
+    {
+      id: 'phase5',
+      title: 'Post-DigiDollar Activation',
+      subtitle: 'Use Cases & Adoption',
+      timeRange: 'Q3 2026 - Mid 2027',
+      startDate: '2026-07-01',
+      endDate: '2027-06-30',
+      status: 'in-progress',
+      progress: 9,
+      icon: <UpdateIcon />,
+      color: '#666666',
+      description: 'Implementation of post-DigiDollar activation use cases and ecosystem development.',
+      keyFeatures: [
+        '🏪 Exchange integrations',
+        '💳 Payment solutions',
+        '🔄 DeFi applications',
+        '📈 Ecosystem growth'
+      ],
+      milestones: [
+        {
+          id: 'soft-fork-activation',
+          title: 'Successful DigiDollar Soft Fork Activation',
+          date: DD_ACTIVATION_DATE,
+          status: 'completed',
+          description: `DigiDollar soft fork successfully activated on mainnet at block ${DD_ACTIVATION_BLOCK}`,
+          completionDate: DD_ACTIVATION_DATE
+        },
+        {
+          id: 'first-digidollars-minted',
+          title: 'First DigiDollars Minted',
+          date: '2026-08-15',
+          status: 'pending',
+          description: 'First DigiDollars created and minted in individual wallets'
+        },
+        {
+          id: 'first-dex-integration',
+          title: 'First DEX Integration',
+          date: '2026-09-30',
+          status: 'pending',
+          description: 'First decentralized exchange integration for DigiDollar trading'
+        },
+        {
+          id: 'first-merchant-adoption',
+          title: 'First Merchant Adoption',
+          date: '2026-10-31',
+          status: 'pending',
+          description: 'First major merchant accepts DigiDollar for goods/services'
+        },
+        {
+          id: 'first-exchange-listings',
+          title: 'First Exchange Listings',
+          date: '2026-11-30',
+          status: 'pending',
+          description: 'First centralized exchange listings for DigiDollar'
+        },
+        {
+          id: 'one-million-minted',
+          title: '$1 Million DigiDollars Minted',
+          date: '2026-12-31',
+          status: 'pending',
+          description: 'Total DigiDollar supply reaches $1 million milestone'
+        },
+        {
+          id: 'first-payment-app',
+          title: 'First Payment App Integration',
+          date: '2027-01-31',
+          status: 'pending',
+          description: 'First payment application integrates DigiDollar payments'
+        },
+        {
+          id: 'first-mobile-app',
+          title: 'First Mobile App Integration',
+          date: '2027-02-28',
+          status: 'pending',
+          description: 'First mobile wallet app integrates DigiDollar support'
+        },
+        {
+          id: 'first-onchain-redemptions',
+          title: 'First On-Chain Redemptions',
+          date: '2027-03-31',
+          status: 'pending',
+          description: 'First successful on-chain DigiDollar redemptions processed'
+        },
+        {
+          id: 'ten-million-minted',
+          title: '$10 Million DigiDollars Minted',
+          date: '2027-05-31',
+          status: 'pending',
+          description: 'Total DigiDollar supply reaches $10 million milestone'
+        },
+        {
+          id: 'ecosystem-maturity',
+          title: 'Ecosystem Maturity Milestone',
+          date: '2027-06-30',
+          status: 'pending',
+          description: 'DigiDollar ecosystem reaches maturity with multiple integrations'
+        }
+      ]
+    },
+    {
+      id: 'phase6',
+      title: 'DigiByte Core v10.3 TBD',
+      subtitle: 'Algorithm Transition',
+      timeRange: '2027 - 2029',
+      startDate: '2027-01-01',
+      endDate: '2029-12-31',
+      status: 'pending',
+      progress: 0,
+      icon: <UpdateIcon />,
+      color: '#666666',
+      description: 'Implementation of quantum-proof algorithms in DigiByte Core v10.3, ensuring long-term security against quantum computing threats with Bitcoin Core v30 merge.',
+      keyFeatures: [
+        '🔄 Algorithm transition planning',
+        '🛡️ Quantum-resistant algo research',
+        '⛏️ Mining ecosystem adaptation',
+        '🔐 Enhanced security implementation'
+      ],
+      milestones: [
+        {
+          id: 'community-feedback',
+          title: 'Gather Detailed Community Feedback',
+          date: '2027-03-31',
+          status: 'pending',
+          description: 'Collect comprehensive community input on algorithm transition'
+        },
+        {
+          id: 'analyze-digidollar-performance',
+          title: 'Analyze v9.26 DigiDollar Performance',
+          date: '2027-04-30',
+          status: 'pending',
+          description: 'Comprehensive analysis of DigiDollar v9.26 performance and adoption metrics'
+        },
+        {
+          id: 'research-mining-algos',
+          title: 'Research Alternative Mining Algos',
+          date: '2027-06-30',
+          status: 'pending',
+          description: 'Evaluate alternative mining algorithms for DigiByte'
+        },
+        {
+          id: 'research-quantum-algos',
+          title: 'Research Quantum Proof/Resistant Algos',
+          date: '2027-09-30',
+          status: 'pending',
+          description: 'Research quantum-resistant cryptographic algorithms'
+        },
+        {
+          id: 'analyze-quantum-issues',
+          title: 'Analyze Current Architecture Issues with Quantum Computing',
+          date: '2027-12-31',
+          status: 'pending',
+          description: 'Analyze potential quantum computing vulnerabilities'
+        },
+        {
+          id: 'merge-bitcoin-v30',
+          title: 'Merge Bitcoin Core v30.0',
+          date: '2028-03-31',
+          status: 'pending',
+          description: 'Merge Bitcoin Core version 30 into DigiByte'
+        },
+        {
+          id: 'wallet-development',
+          title: 'Wallet Development',
+          date: '2028-05-31',
+          status: 'pending',
+          description: 'Develop DigiByte Core v10.3 wallet with quantum-resistant algorithms'
+        },
+        {
+          id: 'v10.3-wallet-release',
+          title: 'Wallet Release',
+          date: '2028-06-30',
+          status: 'pending',
+          description: 'Release DigiByte Core v10.3 wallet with new algorithms'
+        },
+        {
+          id: 'soft-hard-fork',
+          title: 'Soft Fork/Hard Fork',
+          date: '2029-01-01',
+          status: 'pending',
+          description: 'Execute soft fork followed by hard fork for quantum-proof algorithm transition'
+        }
+      ]
+    }
+  ]
+};
+
+// Ask the server for roadmapUpdate messages on this connection.
+const subscribeRoadmap = (wsClient) => {
+  wsClient.send({
+    type: 'subscribeRoadmap',
+    data: { clientId: `roadmap-${Date.now()}` }
+  });
+};
 
 // Define pulse animation
 const pulse = keyframes`
@@ -52,678 +672,54 @@ const pulse = keyframes`
 const RoadmapPage = () => {
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('md'));
+  const { wsClient } = useNetwork();
+  const { formatNumber } = useLocale();
   const [expandedPhases, setExpandedPhases] = useState({});
   const [roadmapData, setRoadmapData] = useState(null);
   const [loading, setLoading] = useState(true);
 
-  // Roadmap data structure for the next three years
-  const initialRoadmapData = {
-    lastUpdated: DD_ACTIVATION_DATE, // Update whenever roadmap content changes
-    overallProgress: 69, // Updated Jul 2026 - Phases 1-4 complete, Phase 5 (adoption) in progress
-    phases: [
-      {
-        id: 'phase1',
-        title: 'DigiByte v8.26 Taproot Release',
-        subtitle: 'Bitcoin v26.2 Merge',
-        timeRange: 'June - October 2025',
-        startDate: '2025-08-01',
-        endDate: '2025-10-31',
-        status: 'completed',
-        progress: 100,
-        icon: <UpdateIcon />,
-        color: '#ff9800',
-        description: 'Merging Bitcoin Core v26.2 into DigiByte v8.22.2 to create DigiByte v8.26 with Taproot support and enhanced features.',
-        keyFeatures: [
-          '🔄 Bitcoin v26.2 merge into DigiByte v8.22.2',
-          '✅ Complete all testing phases',
-          '🚀 Enhanced performance and security',
-          '📦 October 2025 release target'
-        ],
-        milestones: [
-          {
-            id: 'initial-merge',
-            title: 'Complete Initial Merge',
-            date: '2025-08-01',
-            status: 'completed',
-            description: 'Bitcoin v26.2 successfully merged into DigiByte v8.22.2'
-          },
-          {
-            id: 'cpp-unit-tests',
-            title: 'Fix All C++ Unit Tests',
-            date: '2025-08-15',
-            status: 'completed',
-            description: 'All C++ unit tests passing successfully'
-          },
-          {
-            id: 'functional-tests',
-            title: 'Fix All Functional Tests',
-            date: '2025-08-25',
-            status: 'completed',
-            description: 'Completion of all functional tests',
-            completionDate: '2025-08-31'
-          },
-          {
-            id: 'confirm-feebug-fix',
-            title: 'Confirm Feebug Fix',
-            date: '2025-09-01',
-            status: 'completed',
-            description: 'Verify and confirm the fee calculation bug has been resolved',
-            completionDate: '2025-08-31'
-          },
-          {
-            id: 'test-mining',
-            title: 'Test Multi-Algo Mining',
-            date: '2025-09-05',
-            status: 'completed',
-            description: 'Complete multi-algorithm test mining across all 5 algorithms',
-            completionDate: '2025-09-30'
-          },
-          {
-            id: 'test-taproot',
-            title: 'Test Taproot Transactions',
-            date: '2025-09-10',
-            status: 'completed',
-            description: 'Test and verify Taproot transaction functionality',
-            completionDate: '2025-08-31'
-          },
-          {
-            id: 'test-wallet-imports',
-            title: 'Test Legacy Wallet Imports',
-            date: '2025-09-15',
-            status: 'completed',
-            description: 'Test legacy wallet import functionality and compatibility',
-            completionDate: '2025-08-31'
-          },
-          {
-            id: 'v8.26-release',
-            title: 'Release Initial v8.26',
-            date: '2025-10-31',
-            status: 'completed',
-            description: 'First official release of DigiByte v8.26',
-            completionDate: '2025-09-01'
-          }
-        ]
-      },
-      {
-        id: 'phase2',
-        title: 'DigiDollar Implementation Specs',
-        subtitle: 'Initial Design Phase',
-        timeRange: 'June - November 2025',
-        startDate: '2025-06-01',
-        endDate: '2025-11-30',
-        status: 'completed',
-        progress: 100,
-        icon: <AccountBalanceIcon />,
-        color: '#ff9800',
-        description: 'Creating the complete technical implementation specifications for DigiDollar, a decentralized stablecoin leveraging Taproot on the DigiByte blockchain.',
-        keyFeatures: [
-          '📋 Complete technical specification',
-          '🎯 OP_DIGIDOLLAR opcode design',
-          '💡 Oracle architecture planning',
-          '📊 Collateralization model'
-        ],
-        milestones: [
-          {
-            id: 'dd-whitepaper',
-            title: 'DigiDollar White Paper Release',
-            date: '2025-06-01',
-            status: 'completed',
-            description: 'Release initial DigiDollar white paper outlining the concept'
-          },
-          {
-            id: 'dd-technical-blueprint',
-            title: 'DigiDollar Technical Blueprint Released',
-            date: '2025-07-01',
-            status: 'completed',
-            description: 'Release technical blueprint with implementation details'
-          },
-          {
-            id: 'p2tr-contract-design',
-            title: 'P2TR Contract Structure Design',
-            date: '2025-10-15',
-            status: 'completed',
-            description: 'Design Pay-to-Taproot contract structure for DigiDollar minting/redemption',
-            completionDate: '2025-10-15'
-          },
-          {
-            id: 'define-collateral-ratios',
-            title: 'Define Collateral Ratio System',
-            date: '2025-10-05',
-            status: 'completed',
-            description: 'Define sliding collateral ratios (1000% at 1 hour down to 200% at 10 years)',
-            completionDate: '2025-10-05'
-          },
-          {
-            id: 'digidollar-opcodes-spec',
-            title: 'DigiDollar Opcodes Specification',
-            date: '2025-10-08',
-            status: 'completed',
-            description: 'Define new opcodes: OP_CHECKDOLLAR, OP_BURNDOLLAR, OP_MINTDOLLAR',
-            completionDate: '2025-10-08'
-          },
-          {
-            id: 'design-oracle-infrastructure',
-            title: 'Oracle Network Architecture',
-            date: '2025-10-12',
-            status: 'completed',
-            description: 'Design 35-slot oracle system with 35 active testnet operators and 7-signature MuSig2 aggregate signing',
-            completionDate: '2025-10-12'
-          },
-          {
-            id: 'oracle-price-feed-spec',
-            title: 'Oracle Price Feed Specification',
-            date: '2025-10-15',
-            status: 'completed',
-            description: 'Define oracle price aggregation, update frequency, and failsafe mechanisms',
-            completionDate: '2025-10-15'
-          },
-          {
-            id: 'mast-redemption-design',
-            title: 'MAST Redemption Tree Design',
-            date: '2025-10-18',
-            status: 'completed',
-            description: 'Design Merkle tree structure for multiple redemption paths and conditions',
-            completionDate: '2025-10-18'
-          },
-          {
-            id: 'security-analysis',
-            title: 'Security Analysis & Threat Modeling',
-            date: '2025-10-22',
-            status: 'completed',
-            description: 'Comprehensive security analysis of DigiDollar attack vectors',
-            completionDate: '2025-10-22'
-          },
-          {
-            id: 'economic-model-validation',
-            title: 'Economic Model Validation',
-            date: '2025-10-25',
-            status: 'completed',
-            description: 'Validate DigiDollar economics with simulations and stress tests',
-            completionDate: '2025-10-25'
-          },
-          {
-            id: 'taproot-integration-spec',
-            title: 'Taproot Integration Requirements',
-            date: '2025-10-28',
-            status: 'completed',
-            description: 'Document all Taproot features required for DigiDollar functionality',
-            completionDate: '2025-10-28'
-          },
-          {
-            id: 'finalize-technical-spec',
-            title: 'Finalize Technical Specification',
-            date: '2025-11-30',
-            status: 'completed',
-            description: 'Complete DigiDollar Implementation Specification for development',
-            completionDate: '2025-11-30'
-          }
-        ]
-      },
-      {
-        id: 'phase3',
-        title: 'DigiByte v9.26 DigiDollar Release',
-        subtitle: 'Development & Implementation',
-        timeRange: 'October 2025 - February 2026',
-        startDate: '2025-10-01',
-        endDate: '2026-02-28',
-        status: 'completed',
-        progress: 100,
-        icon: <TokenIcon />,
-        color: '#4caf50',
-        description: 'Implementation of DigiDollar v9.26 with new opcodes, oracle system, and Taproot-based stablecoin functionality. DigiDollar is active on testnet26 with a comprehensive functional and C++ unit test suite passing.',
-        keyFeatures: [
-          '💻 OP_DIGIDOLLAR implementation',
-          '🔧 Oracle network (Phase Two - 35-slot roster, 7-signature MuSig2 quorum)',
-          '🧪 MAST & Taproot integration',
-          '🔐 Consensus rule updates'
-        ],
-        milestones: [
-          {
-            id: 'op-digidollar-implementation',
-            title: 'OP_DIGIDOLLAR (0xbb) Implementation',
-            date: '2025-11-01',
-            status: 'completed',
-            description: 'Implement core OP_DIGIDOLLAR opcode for marking DigiDollar outputs',
-            completionDate: '2025-11-01'
-          },
-          {
-            id: 'collateral-time-lock',
-            title: 'Time-Locked Collateral Mechanism',
-            date: '2025-11-05',
-            status: 'completed',
-            description: 'Implement 10-tier sliding collateral ratios: 1000% (1 hour) to 200% (10 years)',
-            completionDate: '2025-11-05'
-          },
-          {
-            id: 'redemption-mechanism',
-            title: 'Redemption Mechanism',
-            date: '2025-11-10',
-            status: 'completed',
-            description: 'P2TR output creation, Schnorr signatures, OP_CHECKSIGADD implementation',
-            completionDate: '2025-11-10'
-          },
-          {
-            id: 'oracle-price-feeds',
-            title: 'Oracle Price Feed Implementation',
-            date: '2025-12-01',
-            status: 'completed',
-            description: 'Live DGB/USD price aggregation across 12 exchange/API fetchers (Binance, Coinbase, Kraken, KuCoin, Gate.io, HTX, Crypto.com, CoinGecko, and more) with Phase Two 7-signature consensus',
-            completionDate: '2026-01-15'
-          },
-          {
-            id: 'mast-implementation',
-            title: 'MAST Implementation',
-            date: '2025-12-15',
-            status: 'completed',
-            description: 'Merkle tree with 2 redemption paths (Normal + ERR) using CLTV timelocks',
-            completionDate: '2025-12-20'
-          },
-          {
-            id: 'advanced-features',
-            title: 'Advanced Features',
-            date: '2026-01-01',
-            status: 'completed',
-            description: 'Key path optimization, PSBT support, batch verification, DCA/ERR/Volatility protection',
-            completionDate: '2026-01-20'
-          },
-          {
-            id: 'wallet-enhancement',
-            title: 'Wallet Enhancement',
-            date: '2026-01-15',
-            status: 'completed',
-            description: 'GUI integration (7 tabs), privacy indicators, DigiDollar transaction support',
-            completionDate: '2025-11-04'
-          },
-          {
-            id: 'consensus-validation-rules',
-            title: 'Consensus Validation Rules',
-            date: '2026-02-15',
-            status: 'completed',
-            description: 'New transaction validation rules for DigiDollar (MINT, TRANSFER, REDEEM)',
-            completionDate: '2026-01-30'
-          },
-          {
-            id: 'digidollar-testnet',
-            title: 'DigiDollar Testnet Activation',
-            date: '2026-02-20',
-            status: 'completed',
-            description: 'DigiDollar fully functional on testnet with oracle price feeds and a 7-signature quorum across a 35-slot roster',
-            completionDate: '2026-02-01'
-          },
-          {
-            id: 'initial-release',
-            title: 'Testnet Release v9.26.0-RC44',
-            date: '2026-05-27',
-            status: 'completed',
-            description: 'Final testnet26 release candidate ahead of the v9.26.2 mainnet release, with full DigiDollar functionality and the RC44 oracle roster',
-            completionDate: '2026-05-27'
-          }
-        ]
-      },
-      {
-        id: 'phase4',
-        title: 'DigiByte v9.26 Mainnet Release & Activation',
-        subtitle: 'Mainnet Launch & DigiDollar Activation',
-        timeRange: 'March - July 2026',
-        startDate: '2026-03-01',
-        endDate: DD_ACTIVATION_DATE,
-        status: 'completed',
-        progress: 100,
-        icon: <SpeedIcon />,
-        color: '#4caf50',
-        description: `DigiByte v9.26.2 shipped on mainnet June 29, 2026 and DigiDollar activated via BIP9 (bit 23) at block ${DD_ACTIVATION_HEIGHT.toLocaleString()} on July 17, 2026 — the world's first truly decentralized stablecoin on a UTXO blockchain is now live. Minting, sending, and redeeming are fully functional.`,
-        keyFeatures: [
-          '🚀 v9.26.2 mainnet release: June 29, 2026',
-          `✅ Activated at block ${DD_ACTIVATION_HEIGHT.toLocaleString()}`,
-          '🗳️ 70% miner signaling threshold reached',
-          '📅 DigiDollar live since July 17, 2026'
-        ],
-        milestones: [
-          {
-            id: 'v9.26-rc1',
-            title: 'DigiByte v9.26 Release Candidate 1',
-            date: '2025-12-01',
-            status: 'completed',
-            description: 'First release candidate with OP_DIGIDOLLAR and consensus changes',
-            completionDate: '2025-12-01'
-          },
-          {
-            id: 'v9.26-rc2',
-            title: 'Final Testnet Release Candidate (v9.26.0-RC44)',
-            date: '2026-05-27',
-            status: 'completed',
-            description: 'Final testnet26 release candidate before mainnet — 35-slot active oracle roster (0-34) with a 7-signature MuSig2 quorum',
-            completionDate: '2026-05-27'
-          },
-          {
-            id: 'oracle-phase2-testnet',
-            title: 'MuSig2 Oracle Testnet Validation',
-            date: '2026-05-27',
-            status: 'completed',
-            description: '7-signature MuSig2 oracle consensus validated on testnet26 ahead of mainnet',
-            completionDate: '2026-05-27'
-          },
-          {
-            id: 'security-pen-testing',
-            title: 'Security & Hardening Review',
-            date: '2026-06-15',
-            status: 'completed',
-            description: 'Security review and hardening of DigiDollar consensus rules ahead of the mainnet release',
-            completionDate: '2026-06-29'
-          },
-          {
-            id: 'mining-pool-coordination',
-            title: 'Mining Pool & Exchange Outreach',
-            date: '2026-06-29',
-            status: 'completed',
-            description: 'Coordinated with mining pools, wallets, and exchanges to upgrade to the latest release (currently v9.26.4)',
-            completionDate: DD_ACTIVATION_DATE
-          },
-          {
-            id: 'node-upgrade-campaign',
-            title: 'Node Upgrade Campaign',
-            date: '2026-06-29',
-            status: 'completed',
-            description: 'Community outreach for node operators to upgrade to the latest release (currently v9.26.4)',
-            completionDate: DD_ACTIVATION_DATE
-          },
-          {
-            id: 'bip9-parameters',
-            title: 'BIP9 Activation Parameters',
-            date: '2026-06-29',
-            status: 'completed',
-            description: 'BIP9 parameters set in consensus: version bit 23, start June 1 2026, timeout June 1 2027, minimum activation height 23,627,520, 70% threshold',
-            completionDate: '2026-06-29'
-          },
-          {
-            id: 'v9.26-final-release',
-            title: '🚀 DigiByte v9.26.2 Mainnet Release',
-            date: '2026-06-29',
-            status: 'completed',
-            description: 'Official mainnet release of DigiByte v9.26.2 with DigiDollar - miners can start signaling for activation',
-            completionDate: '2026-06-29'
-          },
-          {
-            id: 'signaling-period-start',
-            title: '⛏️ Miner Signaling Complete',
-            date: '2026-06-29',
-            status: 'completed',
-            description: 'BIP9 bit 23 signaling - miners voted to activate DigiDollar',
-            completionDate: DD_ACTIVATION_DATE
-          },
-          {
-            id: 'signaling-threshold',
-            title: '70% Signaling Threshold',
-            date: '2026-07-01',
-            status: 'completed',
-            description: 'Reached 70% miner support (28,224 of 40,320 blocks) in a signaling window',
-            completionDate: DD_ACTIVATION_DATE
-          },
-          {
-            id: 'soft-fork-lock-in',
-            title: 'Soft Fork Lock-In',
-            date: '2026-07-15',
-            status: 'completed',
-            description: 'Soft fork locked in after meeting the 70% signaling threshold',
-            completionDate: DD_ACTIVATION_DATE
-          },
-          {
-            id: 'digidollar-activation',
-            title: '✅ DigiDollar Mainnet Activation',
-            date: DD_ACTIVATION_DATE,
-            status: 'completed',
-            description: `DigiDollar consensus rules activated on mainnet at block ${DD_ACTIVATION_HEIGHT.toLocaleString()} — the first decentralized stablecoin on a UTXO blockchain is live`,
-            completionDate: DD_ACTIVATION_DATE
-          }
-        ]
-      },
-      {
-        id: 'phase5',
-        title: 'Post-DigiDollar Activation',
-        subtitle: 'Use Cases & Adoption',
-        timeRange: 'Q3 2026 - Mid 2027',
-        startDate: '2026-07-01',
-        endDate: '2027-06-30',
-        status: 'in-progress',
-        progress: 9,
-        icon: <UpdateIcon />,
-        color: '#666666',
-        description: 'Implementation of post-DigiDollar activation use cases and ecosystem development.',
-        keyFeatures: [
-          '🏪 Exchange integrations',
-          '💳 Payment solutions',
-          '🔄 DeFi applications',
-          '📈 Ecosystem growth'
-        ],
-        milestones: [
-          {
-            id: 'soft-fork-activation',
-            title: 'Successful DigiDollar Soft Fork Activation',
-            date: DD_ACTIVATION_DATE,
-            status: 'completed',
-            description: `DigiDollar soft fork successfully activated on mainnet at block ${DD_ACTIVATION_HEIGHT.toLocaleString()}`,
-            completionDate: DD_ACTIVATION_DATE
-          },
-          {
-            id: 'first-digidollars-minted',
-            title: 'First DigiDollars Minted',
-            date: '2026-08-15',
-            status: 'pending',
-            description: 'First DigiDollars created and minted in individual wallets'
-          },
-          {
-            id: 'first-dex-integration',
-            title: 'First DEX Integration',
-            date: '2026-09-30',
-            status: 'pending',
-            description: 'First decentralized exchange integration for DigiDollar trading'
-          },
-          {
-            id: 'first-merchant-adoption',
-            title: 'First Merchant Adoption',
-            date: '2026-10-31',
-            status: 'pending',
-            description: 'First major merchant accepts DigiDollar for goods/services'
-          },
-          {
-            id: 'first-exchange-listings',
-            title: 'First Exchange Listings',
-            date: '2026-11-30',
-            status: 'pending',
-            description: 'First centralized exchange listings for DigiDollar'
-          },
-          {
-            id: 'one-million-minted',
-            title: '$1 Million DigiDollars Minted',
-            date: '2026-12-31',
-            status: 'pending',
-            description: 'Total DigiDollar supply reaches $1 million milestone'
-          },
-          {
-            id: 'first-payment-app',
-            title: 'First Payment App Integration',
-            date: '2027-01-31',
-            status: 'pending',
-            description: 'First payment application integrates DigiDollar payments'
-          },
-          {
-            id: 'first-mobile-app',
-            title: 'First Mobile App Integration',
-            date: '2027-02-28',
-            status: 'pending',
-            description: 'First mobile wallet app integrates DigiDollar support'
-          },
-          {
-            id: 'first-onchain-redemptions',
-            title: 'First On-Chain Redemptions',
-            date: '2027-03-31',
-            status: 'pending',
-            description: 'First successful on-chain DigiDollar redemptions processed'
-          },
-          {
-            id: 'ten-million-minted',
-            title: '$10 Million DigiDollars Minted',
-            date: '2027-05-31',
-            status: 'pending',
-            description: 'Total DigiDollar supply reaches $10 million milestone'
-          },
-          {
-            id: 'ecosystem-maturity',
-            title: 'Ecosystem Maturity Milestone',
-            date: '2027-06-30',
-            status: 'pending',
-            description: 'DigiDollar ecosystem reaches maturity with multiple integrations'
-          }
-        ]
-      },
-      {
-        id: 'phase6',
-        title: 'DigiByte Core v10.3 TBD',
-        subtitle: 'Algorithm Transition',
-        timeRange: '2027 - 2029',
-        startDate: '2027-01-01',
-        endDate: '2029-12-31',
-        status: 'pending',
-        progress: 0,
-        icon: <UpdateIcon />,
-        color: '#666666',
-        description: 'Implementation of quantum-proof algorithms in DigiByte Core v10.3, ensuring long-term security against quantum computing threats with Bitcoin Core v30 merge.',
-        keyFeatures: [
-          '🔄 Algorithm transition planning',
-          '🛡️ Quantum-resistant algo research',
-          '⛏️ Mining ecosystem adaptation',
-          '🔐 Enhanced security implementation'
-        ],
-        milestones: [
-          {
-            id: 'community-feedback',
-            title: 'Gather Detailed Community Feedback',
-            date: '2027-03-31',
-            status: 'pending',
-            description: 'Collect comprehensive community input on algorithm transition'
-          },
-          {
-            id: 'analyze-digidollar-performance',
-            title: 'Analyze v9.26 DigiDollar Performance',
-            date: '2027-04-30',
-            status: 'pending',
-            description: 'Comprehensive analysis of DigiDollar v9.26 performance and adoption metrics'
-          },
-          {
-            id: 'research-mining-algos',
-            title: 'Research Alternative Mining Algos',
-            date: '2027-06-30',
-            status: 'pending',
-            description: 'Evaluate alternative mining algorithms for DigiByte'
-          },
-          {
-            id: 'research-quantum-algos',
-            title: 'Research Quantum Proof/Resistant Algos',
-            date: '2027-09-30',
-            status: 'pending',
-            description: 'Research quantum-resistant cryptographic algorithms'
-          },
-          {
-            id: 'analyze-quantum-issues',
-            title: 'Analyze Current Architecture Issues with Quantum Computing',
-            date: '2027-12-31',
-            status: 'pending',
-            description: 'Analyze potential quantum computing vulnerabilities'
-          },
-          {
-            id: 'merge-bitcoin-v30',
-            title: 'Merge Bitcoin Core v30.0',
-            date: '2028-03-31',
-            status: 'pending',
-            description: 'Merge Bitcoin Core version 30 into DigiByte'
-          },
-          {
-            id: 'wallet-development',
-            title: 'Wallet Development',
-            date: '2028-05-31',
-            status: 'pending',
-            description: 'Develop DigiByte Core v10.3 wallet with quantum-resistant algorithms'
-          },
-          {
-            id: 'v10.3-wallet-release',
-            title: 'Wallet Release',
-            date: '2028-06-30',
-            status: 'pending',
-            description: 'Release DigiByte Core v10.3 wallet with new algorithms'
-          },
-          {
-            id: 'soft-hard-fork',
-            title: 'Soft Fork/Hard Fork',
-            date: '2029-01-01',
-            status: 'pending',
-            description: 'Execute soft fork followed by hard fork for quantum-proof algorithm transition'
-          }
-        ]
-      }
-    ]
-  };
-
   /**
-   * WebSocket connection for real-time roadmap updates
+   * Set initial data
    */
   useEffect(() => {
-    const socket = new WebSocket(config.wsBaseUrl);
-
-    socket.onopen = () => {
-      console.log('Roadmap WebSocket connection established');
-      // Subscribe to roadmap updates
-      socket.send(JSON.stringify({ 
-        type: 'subscribeRoadmap', 
-        data: { clientId: `roadmap-${Date.now()}` } 
-      }));
-    };
+    setRoadmapData(INITIAL_ROADMAP_DATA);
+    setLoading(false);
+  }, []);
 
-    socket.onmessage = (event) => {
-      const message = JSON.parse(event.data);
-      
-      if (message.type === 'roadmapUpdate') {
-        // Update specific milestone status
-        setRoadmapData(prevData => {
-          const newData = { ...prevData };
-          const { milestoneId, status, completionDate } = message.data;
-          
-          // Find and update the milestone
-          newData.phases.forEach(phase => {
-            const milestone = phase.milestones.find(m => m.id === milestoneId);
-            if (milestone) {
-              milestone.status = status;
-              if (completionDate) {
-                milestone.completionDate = completionDate;
-              }
-              // Recalculate phase progress
-              phase.progress = calculatePhaseProgress(phase.milestones);
-            }
-          });
-          
-          // Recalculate overall progress
-          newData.overallProgress = calculateOverallProgress(newData.phases);
-          
-          return newData;
-        });
-      }
-    };
+  /**
+   * Subscribe to roadmap updates on the network's shared WebSocket. The
+   * server forgets the subscription with the connection, so it is sent again
+   * every time the socket (re)opens; a socket that is already open when the
+   * page mounts gets it straight away.
+   */
+  useEffect(() => {
+    if (wsClient && wsClient.getStatus() === 'open') subscribeRoadmap(wsClient);
+  }, [wsClient]);
 
-    socket.onclose = () => {
-      console.log('Roadmap WebSocket connection closed');
-    };
+  useWsStatusChange((status) => {
+    if (status === 'open') subscribeRoadmap(wsClient);
+  });
 
-    socket.onerror = (error) => {
-      console.error('Roadmap WebSocket error:', error);
-    };
+  useWsMessage('roadmapUpdate', (message) => {
+    // Update specific milestone status; the initial data is a shared module
+    // constant, so changed phases and milestones are copied, never mutated
+    setRoadmapData(prevData => {
+      if (!prevData) return prevData;
+      const { milestoneId, status, completionDate } = message.data;
 
-    // Set initial data
-    setRoadmapData(initialRoadmapData);
-    setLoading(false);
+      const phases = prevData.phases.map(phase => {
+        if (!phase.milestones.some(m => m.id === milestoneId)) return phase;
+        const milestones = phase.milestones.map(m => (m.id === milestoneId
+          ? { ...m, status, ...(completionDate ? { completionDate } : {}) }
+          : m));
+        // Recalculate phase progress
+        return { ...phase, milestones, progress: calculatePhaseProgress(milestones) };
+      });
 
-    return () => {
-      socket.close();
-    };
-  }, []);
+      // Recalculate overall progress
+      return { ...prevData, phases, overallProgress: calculateOverallProgress(phases) };
+    });
+  });
 
   /**
    * Calculate phase progress based on milestone completion
@@ -937,7 +933,7 @@ const RoadmapPage = () => {
             fontSize: { xs: '1.3rem', sm: '1.6rem', md: '2rem' }
           }}
         >
-          Activated July 17, 2026 · Block {DD_ACTIVATION_HEIGHT.toLocaleString()}
+          Activated July 17, 2026 · Block {formatNumber(DD_ACTIVATION_HEIGHT)}
         </Typography>
 
         <Divider sx={{ maxWidth: '200px', mx: 'auto', mb: 2, borderColor: 'rgba(255,183,77,0.5)', borderWidth: 2 }} />
@@ -987,7 +983,7 @@ const RoadmapPage = () => {
                 Activated At Block
               </Typography>
               <Typography variant="caption" sx={{ color: 'rgba(255,255,255,0.8)' }}>
-                {DD_ACTIVATION_HEIGHT.toLocaleString()}
+                {formatNumber(DD_ACTIVATION_HEIGHT)}
               </Typography>
             </Paper>
           </Grid>
@@ -1020,7 +1016,7 @@ const RoadmapPage = () => {
             mx: 'auto'
           }}
         >
-          DigiDollar activated on mainnet at block {DD_ACTIVATION_HEIGHT.toLocaleString()} on July 17, 2026 (shipped in v9.26.2; current release v9.26.4). Minting, sending, and redeeming are fully live — mining pools, wallets & exchanges should upgrade to v9.26.4 to publish oracle bundles.
+          DigiDollar activated on mainnet at block {formatNumber(DD_ACTIVATION_HEIGHT)} on July 17, 2026 (shipped in v9.26.2; current release v9.26.4). Minting, sending, and redeeming are fully live — mining pools, wallets & exchanges should upgrade to v9.26.4 to publish oracle bundles.
         </Typography>
       </CardContent>
     </Card>
@@ -1258,7 +1254,7 @@ const RoadmapPage = () => {
                     
                     {/* Expandable Milestones in Timeline */}
                     <Collapse in={expandedPhases[phase.id]}>
-                      <Box sx={{ mt: 2, pt: 2, borderTop: '1px solid #e0e0e0' }}>
+                      <Box sx={{ mt: 2, pt: 2, borderTop: '1px solid', borderColor: 'divider' }}>
                         <Typography variant="subtitle2" fontWeight="bold" sx={{ mb: 1 }}>
                           Milestones ({phase.milestones.filter(m => m.status === 'completed').length}/{phase.milestones.length})
                         </Typography>
@@ -1672,7 +1668,7 @@ const RoadmapPage = () => {
     <Box 
       sx={{ 
         py: 4, 
-        backgroundImage: 'linear-gradient(to bottom, #f8f9fa, #ffffff)',
+        backgroundImage: (theme) => theme.palette.background.page,
         minHeight: '100vh'
       }}
     >
@@ -1,15 +1,22 @@
-import React, { useRef, useEffect, useState, memo, useCallback } from 'react';
+import React, { useRef, useEffect, useState, memo } from 'react';
+import { useLocation } from 'react-router-dom';
 import { Chart, registerables } from 'chart.js';
 import 'chartjs-adapter-luxon';
 import {
   Typography, Container, Box, Card, CardContent,
-  Divider, Grid, Chip
+  Divider, Grid, Chip, useTheme
 } from '@mui/material';
 import TokenIcon from '@mui/icons-material/Token';
 import HourglassEmptyIcon from '@mui/icons-material/HourglassEmpty';
 import PeopleIcon from '@mui/icons-material/People';
 import CalendarTodayIcon from '@mui/icons-material/CalendarToday';
 import { useNetwork } from '../context/NetworkContext';
+import { useLocale } from '../context/LocaleContext';
+import { useWsMessage } from '../hooks/useWsMessage';
+import { useTxOutsetInfo } from '../hooks/useNetworkData';
+import { getChartColors } from '../utils/theme';
+import { applyHiddenDatasets, decodeChartState, hiddenDatasetLabels } from '../utils/chartLink';
+import ChartActions from '../components/ChartActions';
 
 // Register Chart.js components globally (once outside component)
 Chart.register(...registerables);
@@ -134,154 +141,64 @@ const StatCard = memo(({ title, value, percentage, percentageLabel, description,
  * - Per-person distribution statistics
  * - Mining schedule and completion timeline
  * 
- * Features real-time data updates via WebSocket with fallback to default values
+ * Features real-time data updates via the shared WebSocket with fallback to default values
  * for immediate rendering and better user experience.
  */
-const SupplyPage = ({ worldPopulation, txOutsetInfo: propTxOutsetInfo }) => {
+const SupplyPage = ({ worldPopulation }) => {
+  const { t, formatNumber } = useLocale();
   const chartRef = useRef(null);
   const chartInstanceRef = useRef(null);
-  const { getApiUrl, wsBaseUrl, isTestnet, theme: networkTheme } = useNetwork();
+  const { isTestnet, theme: networkTheme } = useNetwork();
+  // Legend series switched off: from a shared link (?hide=) at first, then
+  // kept across the rebuilds that follow each supply update.
+  const { search } = useLocation();
+  const hiddenSeries = useRef(null);
+  if (hiddenSeries.current === null) hiddenSeries.current = decodeChartState(search).hidden || [];
+  const chartColors = getChartColors(useTheme());
 
   // Initialize with default data to prevent loading states and null checks
   const [txOutsetInfo, setTxOutsetInfo] = useState(DEFAULT_SUPPLY_DATA);
-  const [localTxOutsetInfo, setLocalTxOutsetInfo] = useState(null);
 
-  // Memoize getApiUrl to use in useEffect dependencies
-  const memoizedGetApiUrl = useCallback(getApiUrl, [getApiUrl]);
+  // Network-aware REST supply data, refreshed every 30 seconds
+  const { data: supplyData } = useTxOutsetInfo({ pollInterval: 30000 });
 
   /**
-   * Fetch supply data from API when prop is not provided (e.g., for testnet)
-   * This ensures the page works independently when not receiving data via props
+   * Real-time supply data over the network's shared WebSocket
+   * State starts from DEFAULT_SUPPLY_DATA so the chart renders immediately
+   * and keeps that data if the feed never delivers.
    */
-  useEffect(() => {
-    if (!propTxOutsetInfo) {
-      const fetchData = async () => {
-        try {
-          const response = await fetch(memoizedGetApiUrl('/gettxoutsetinfo'));
-          const data = await response.json();
-          setLocalTxOutsetInfo(data);
-        } catch (error) {
-          console.error('Error fetching tx outset info:', error);
-        }
-      };
-      fetchData();
+  useWsMessage('initialData', (message) => {
+    // Update with real supply data when received
+    if (message.data.txOutsetInfo) {
+      setTxOutsetInfo(message.data.txOutsetInfo);
     }
-  }, [propTxOutsetInfo, memoizedGetApiUrl]);
-
-  // Use the prop if provided, otherwise use local state fetched from API
-  const supplyData = propTxOutsetInfo || localTxOutsetInfo;
-
-  /**
-   * WebSocket connection management for real-time supply data
-   * Implements reconnection logic and graceful fallback to default data
-   */
-  useEffect(() => {
-    console.log(`Connecting to WebSocket at: ${wsBaseUrl}`);
-    let socket;
-    let reconnectAttempts = 0;
-    const maxReconnectAttempts = 3;
-    const reconnectDelay = 2000; // 2 seconds
-
-    // Start with default data to render chart immediately
-    // This ensures the page is functional even if WebSocket fails
-    const defaultSupplyData = {
-      total_amount: 18363414093, // Approximate current supply as of July 2026 (gettxoutsetinfo snapshot)
-      height: 23785928,          // Snapshot block height (July 2026)
-      bestblock: "00000000000000000000000000000000",
-      txouts: 15906225,
-      bogosize: 1190129395
-    };
-
-    // Initialize with default data for immediate display
-    setTxOutsetInfo(defaultSupplyData);
-
-    /**
-     * Initialize WebSocket connection with retry logic
-     * Handles connection, error, and reconnection scenarios
-     */
-    const connectWebSocket = () => {
-      try {
-        // Close existing socket if it exists
-        if (socket) {
-          socket.close();
-        }
-
-        socket = new WebSocket(wsBaseUrl);
-        
-        // Connection established successfully
-        socket.onopen = () => {
-          console.log('Supply WebSocket connection established successfully');
-          reconnectAttempts = 0; // Reset reconnect counter on successful connection
-        };
-        
-        // Handle connection errors
-        socket.onerror = (error) => {
-          console.error('Supply WebSocket connection error:', error);
-          // Chart already displays with default data, so no user-facing error
-        };
-        
-        // Process incoming real-time data
-        socket.onmessage = (event) => {
-          try {
-            const message = JSON.parse(event.data);
-            
-            // Update with real supply data when received
-            if (message.type === 'initialData' && message.data.txOutsetInfo) {
-              console.log('Updating supply data with real values');
-              setTxOutsetInfo(message.data.txOutsetInfo);
-            }
-          } catch (err) {
-            console.error('Error processing supply WebSocket message:', err);
-            // Chart continues displaying with default data
-          }
-        };
-        
-        // Handle connection closure with reconnection logic
-        socket.onclose = (event) => {
-          console.log('Supply WebSocket connection closed', event.code, event.reason);
-          
-          // Attempt to reconnect if not max attempts reached and not a normal closure
-          if (reconnectAttempts < maxReconnectAttempts && event.code !== 1000) {
-            console.log(`Attempting to reconnect (${reconnectAttempts + 1}/${maxReconnectAttempts})...`);
-            setTimeout(connectWebSocket, reconnectDelay);
-            reconnectAttempts++;
-          }
-        };
-      } catch (err) {
-        console.error('Error creating supply WebSocket connection:', err);
-        // Chart already displayed with default data
-      }
-    };
-    
-    // Initial connection attempt
-    connectWebSocket();
-
-    // Cleanup function
-    return () => {
-      if (socket) {
-        // Use normal closure code
-        socket.close(1000, "Component unmounted");
-      }
-    };
-  }, [wsBaseUrl]);
+  });
 
   /**
    * Create Chart.js configuration for supply timeline visualization
    * Optimized for performance with simplified styling and minimal complexity
    * 
    * @param {number} currentSupply - Current DGB supply amount
+   * @param {Object} chartColors - Chart tokens of the active theme
+   * @param {Object} networkTheme - Network palette for the active colour mode
+   * @param {Object} locale - `t` and `formatNumber` from useLocale()
    * @returns {Object} - Chart.js configuration object
    */
-  const createChartConfig = (currentSupply) => {
+  const createChartConfig = (currentSupply, chartColors, networkTheme, { t, formatNumber }) => {
+    // A DGB amount in billions for the axis and tooltip ("18.4 B")
+    const billions = (value, digits) => t('supply.billionsShort', {
+      amount: formatNumber(value / 1000000000, { minimumFractionDigits: digits, maximumFractionDigits: digits }),
+    });
+
     const totalSupply = 21000000000; // Maximum DGB supply
     const today = new Date();
     const start = new Date('2014-01-10'); // DigiByte launch date
     const end = new Date('2035-07-01');   // Estimated mining completion
     
-    // Define reusable color constants for consistency
-    const transparentGridColor = 'rgba(0, 0, 0, 0.05)';
-    const dgbBlueColor = '#0066cc';
-    const dgbDarkColor = '#002352';
+    // Network palette and chart tokens for the current colour mode
+    const transparentGridColor = chartColors.grid;
+    const dgbBlueColor = networkTheme.secondary;
+    const dgbDarkColor = networkTheme.primary;
     
     return {
       type: 'line',
@@ -290,7 +207,7 @@ const SupplyPage = ({ worldPopulation, txOutsetInfo: propTxOutsetInfo }) => {
         datasets: [
           // Historical and current supply
           {
-            label: 'DGB Supply History',
+            label: t('supply.supplyHistory'),
             data: [0, currentSupply, currentSupply],
             borderColor: dgbBlueColor,
             backgroundColor: dgbBlueColor,
@@ -301,9 +218,9 @@ const SupplyPage = ({ worldPopulation, txOutsetInfo: propTxOutsetInfo }) => {
           },
           // Maximum supply line (21 billion cap)
           {
-            label: 'Max DGB Supply',
+            label: t('supply.maxSupply'),
             data: [{x: start, y: totalSupply}, {x: end, y: totalSupply}],
-            borderColor: '#000',
+            borderColor: chartColors.text,
             borderWidth: 2,
             borderDash: [5, 5],
             pointRadius: 0,
@@ -311,7 +228,7 @@ const SupplyPage = ({ worldPopulation, txOutsetInfo: propTxOutsetInfo }) => {
           },
           // Future supply projection
           {
-            label: 'DGB Yet To Be Mined',
+            label: t('supply.yetToBeMined'),
             data: [{x: today, y: currentSupply}, {x: end, y: totalSupply}],
             borderColor: dgbDarkColor,
             backgroundColor: dgbDarkColor,
@@ -362,10 +279,11 @@ const SupplyPage = ({ worldPopulation, txOutsetInfo: propTxOutsetInfo }) => {
             },
             title: {
               display: true,
-              text: 'Year',
-              color: '#555',
+              text: t('supply.year'),
+              color: chartColors.text,
             },
             ticks: {
+              color: chartColors.text,
               maxTicksLimit: 5,
               autoSkip: true,
             }
@@ -373,12 +291,13 @@ const SupplyPage = ({ worldPopulation, txOutsetInfo: propTxOutsetInfo }) => {
           y: {
             title: {
               display: true,
-              text: 'DGB Supply (in Billions)',
-              color: '#555',
+              text: t('supply.supplyAxis'),
+              color: chartColors.text,
             },
             ticks: {
+              color: chartColors.text,
               // Format large numbers as billions
-              callback: (value) => `${(value / 1000000000).toFixed(1)} B`,
+              callback: (value) => billions(value, 1),
               maxTicksLimit: 6,
             },
             grid: {
@@ -399,20 +318,21 @@ const SupplyPage = ({ worldPopulation, txOutsetInfo: propTxOutsetInfo }) => {
               boxWidth: 10,
               boxHeight: 10,
               padding: 10,
+              color: chartColors.text,
               font: { size: 11 }
             }
           },
           tooltip: {
             enabled: true,
-            backgroundColor: '#fff',
-            titleColor: '#333',
-            bodyColor: '#333',
-            borderColor: '#ddd',
+            backgroundColor: chartColors.tooltip,
+            titleColor: chartColors.tooltipText,
+            bodyColor: chartColors.tooltipText,
+            borderColor: chartColors.grid,
             borderWidth: 1,
             padding: 6,
             callbacks: {
               // Format tooltip values as billions
-              label: (context) => `${context.dataset.label}: ${(context.raw / 1000000000).toFixed(2)} B`
+              label: (context) => `${context.dataset.label}: ${billions(context.raw, 2)}`
             }
           }
         },
@@ -432,7 +352,7 @@ const SupplyPage = ({ worldPopulation, txOutsetInfo: propTxOutsetInfo }) => {
     if (!chartRef.current) return;
 
     // Use supplyData which combines prop, local fetch, and WebSocket data
-    // Priority: propTxOutsetInfo > localTxOutsetInfo > txOutsetInfo (WebSocket) > DEFAULT_SUPPLY_DATA
+    // Priority: REST supplyData > txOutsetInfo (WebSocket) > DEFAULT_SUPPLY_DATA
     const effectiveSupplyData = supplyData || txOutsetInfo || DEFAULT_SUPPLY_DATA;
     const currentSupply = effectiveSupplyData.total_amount;
     console.log('Rendering supply chart with data:', currentSupply);
@@ -465,12 +385,13 @@ const SupplyPage = ({ worldPopulation, txOutsetInfo: propTxOutsetInfo }) => {
     ctx.clearRect(0, 0, canvasElement.width, canvasElement.height);
     
     // Create chart configuration
-    const config = createChartConfig(currentSupply);
+    const config = createChartConfig(currentSupply, chartColors, networkTheme, { t, formatNumber });
     
     // Create new chart with comprehensive error handling
     try {
       console.log('Creating new chart with clean registry');
       chartInstanceRef.current = new Chart(ctx, config);
+      applyHiddenDatasets(chartInstanceRef.current, hiddenSeries.current);
     } catch (err) {
       console.error('Error creating chart:', err);
       
@@ -488,7 +409,7 @@ const SupplyPage = ({ worldPopulation, txOutsetInfo: propTxOutsetInfo }) => {
             labels: [start, today, end],
             datasets: [{
               data: [0, currentSupply, totalSupply],
-              borderColor: '#0066cc',
+              borderColor: networkTheme.secondary,
               borderWidth: 2,
             }]
           },
@@ -510,11 +431,12 @@ const SupplyPage = ({ worldPopulation, txOutsetInfo: propTxOutsetInfo }) => {
     // Cleanup function
     return () => {
       if (chartInstanceRef.current) {
+        hiddenSeries.current = hiddenDatasetLabels(chartInstanceRef.current);
         chartInstanceRef.current.destroy();
         chartInstanceRef.current = null;
       }
     };
-  }, [supplyData, txOutsetInfo]); // Re-render when supply data changes
+  }, [supplyData, txOutsetInfo, chartColors, networkTheme, t, formatNumber]); // Re-render on new data, a palette or a language change
 
   // Calculate supply statistics with safe defaults
   // Use supplyData which combines prop, local fetch, and WebSocket data
@@ -522,9 +444,14 @@ const SupplyPage = ({ worldPopulation, txOutsetInfo: propTxOutsetInfo }) => {
   const totalSupply = 21000000000;
   const currentSupply = effectiveSupplyData.total_amount;
   const remainingSupply = totalSupply - currentSupply;
-  const currentSupplyPercentage = ((currentSupply / totalSupply) * 100).toFixed(1);
-  const remainingSupplyPercentage = ((remainingSupply / totalSupply) * 100).toFixed(1);
-  const dgbPerPerson = worldPopulation ? (currentSupply / worldPopulation).toFixed(2) : (currentSupply / 8200000000).toFixed(2);
+  const population = worldPopulation || 8200000000;
+  const dgbPerPerson = formatNumber(currentSupply / population, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const billionDgb = (value) => t('supply.billionDgb', {
+    amount: formatNumber(value / 1000000000, { minimumFractionDigits: 2, maximumFractionDigits: 2 }),
+  });
+  const shareOfMax = (value) => formatNumber(value / totalSupply, {
+    style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1,
+  });
 
   /**
    * HeroSection - Page header with title and description
@@ -533,11 +460,11 @@ const SupplyPage = ({ worldPopulation, txOutsetInfo: propTxOutsetInfo }) => {
     <Card
       elevation={2}
       sx={{
-        backgroundColor: '#f2f4f8',
+        backgroundColor: 'background.subtle',
         borderRadius: '12px',
         mb: 4,
         overflow: 'hidden',
-        backgroundImage: 'linear-gradient(135deg, #f8f9fa 0%, #e8eef7 100%)',
+        backgroundImage: (theme) => theme.palette.background.hero,
         border: `1px solid ${isTestnet ? 'rgba(230, 81, 0, 0.2)' : 'rgba(0, 35, 82, 0.1)'}`
       }}
     >
@@ -566,7 +493,7 @@ const SupplyPage = ({ worldPopulation, txOutsetInfo: propTxOutsetInfo }) => {
               fontSize: { xs: '1.8rem', sm: '2.3rem', md: '2.8rem' }
             }}
           >
-            DigiByte Supply Statistics
+            {t('supply.title')}
           </Typography>
         </Box>
         
@@ -579,12 +506,11 @@ const SupplyPage = ({ worldPopulation, txOutsetInfo: propTxOutsetInfo }) => {
             maxWidth: '800px', 
             mx: 'auto', 
             mb: 3,
-            color: '#555',
+            color: 'text.secondary',
             fontSize: '1.1rem'
           }}
         >
-          DigiByte has a limited supply of 21 billion DGB that will be fully mined by the year 2035.
-          The blockchain was launched on January 10th, 2014 with a fair, pre-announced public launch.
+          {t('supply.intro')}
         </Typography>
       </CardContent>
     </Card>
@@ -598,24 +524,24 @@ const SupplyPage = ({ worldPopulation, txOutsetInfo: propTxOutsetInfo }) => {
       {/* Current Supply Card */}
       <Grid item xs={12} md={6}>
         <StatCard
-          title="Current Circulating Supply"
-          value={`${(currentSupply / 1000000000).toFixed(2)} Billion DGB`}
-          percentage={`${currentSupplyPercentage}%`}
-          percentageLabel="of the maximum supply"
-          description="The current circulating supply calculated from all UTXO's as of the latest block."
+          title={t('supply.currentTitle')}
+          value={billionDgb(currentSupply)}
+          percentage={shareOfMax(currentSupply)}
+          percentageLabel={t('supply.ofMaxSupply')}
+          description={t('supply.currentDescription')}
           icon={<TokenIcon sx={{ color: 'white' }} />}
-          color="#0066cc"
+          color={networkTheme.secondary}
         />
       </Grid>
       
       {/* Remaining Supply Card */}
       <Grid item xs={12} md={6}>
         <StatCard
-          title="Remaining Supply To Be Mined"
-          value={`${(remainingSupply / 1000000000).toFixed(2)} Billion DGB`}
-          percentage={`${remainingSupplyPercentage}%`}
-          percentageLabel="of the maximum supply"
-          description="Remaining DGB to be mined until the maximum supply of 21 billion DGB is reached in 2035."
+          title={t('supply.remainingTitle')}
+          value={billionDgb(remainingSupply)}
+          percentage={shareOfMax(remainingSupply)}
+          percentageLabel={t('supply.ofMaxSupply')}
+          description={t('supply.remainingDescription')}
           icon={<HourglassEmptyIcon sx={{ color: 'white' }} />}
           color="#fb8c00"
         />
@@ -631,11 +557,11 @@ const SupplyPage = ({ worldPopulation, txOutsetInfo: propTxOutsetInfo }) => {
       {/* Per Person Distribution Stats */}
       <Grid item xs={12} md={6}>
         <StatCard
-          title="DGB Per Person"
+          title={t('supply.perPersonTitle')}
           value={`${dgbPerPerson} DGB`}
-          percentage={worldPopulation ? worldPopulation.toLocaleString() : "8,200,000,000"}
-          percentageLabel="World Population"
-          description="The amount of DigiByte available per person on Earth if evenly distributed based on current supply."
+          percentage={formatNumber(population)}
+          percentageLabel={t('supply.worldPopulation')}
+          description={t('supply.perPersonDescription')}
           icon={<PeopleIcon sx={{ color: 'white' }} />}
           color="#43a047"
         />
@@ -644,11 +570,11 @@ const SupplyPage = ({ worldPopulation, txOutsetInfo: propTxOutsetInfo }) => {
       {/* Mining Timeline Information */}
       <Grid item xs={12} md={6}>
         <StatCard
-          title="Mining End Date"
+          title={t('supply.miningEndTitle')}
           value="2035"
-          percentage="21 Years Total"
-          percentageLabel="Mining Duration"
-          description="DigiByte follows a 21 year mining schedule which will be completed in the year 2035."
+          percentage={t('supply.miningYears')}
+          percentageLabel={t('supply.miningDuration')}
+          description={t('supply.miningEndDescription')}
           icon={<CalendarTodayIcon sx={{ color: 'white' }} />}
           color="#9c27b0"
         />
@@ -661,17 +587,27 @@ const SupplyPage = ({ worldPopulation, txOutsetInfo: propTxOutsetInfo }) => {
    */
   const ChartSection = () => (
     <Card 
+      id="supply-timeline"
       elevation={3}
       sx={{
         p: { xs: 2, md: 3 },
         borderRadius: '12px',
         mb: 4,
-        overflow: 'hidden'
+        overflow: 'hidden',
+        scrollMarginTop: 80
       }}
     >
-      <Typography variant="h5" fontWeight="bold" sx={{ mb: 3, textAlign: 'center' }}>
-        DigiByte Supply Distribution Timeline
+      <Typography variant="h5" fontWeight="bold" sx={{ mb: 1, textAlign: 'center' }}>
+        {t('supply.chartTitle')}
       </Typography>
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>
+        <ChartActions
+          id="supply-timeline"
+          name="supply-timeline"
+          target={chartRef}
+          linkState={() => ({ hidden: hiddenDatasetLabels(chartInstanceRef.current) })}
+        />
+      </Box>
       
       {/* Chart container with optimized styling */}
       <Box 
@@ -693,8 +629,8 @@ const SupplyPage = ({ worldPopulation, txOutsetInfo: propTxOutsetInfo }) => {
         />
       </Box>
       
-      <Typography variant="body2" sx={{ mt: 2, textAlign: 'center', color: '#666' }}>
-        This chart shows the historical and projected supply distribution of DigiByte from launch in 2014 until mining completion in 2035.
+      <Typography variant="body2" sx={{ mt: 2, textAlign: 'center', color: 'text.secondary' }}>
+        {t('supply.chartCaption')}
       </Typography>
     </Card>
   );
@@ -704,7 +640,7 @@ const SupplyPage = ({ worldPopulation, txOutsetInfo: propTxOutsetInfo }) => {
     <Box 
       sx={{ 
         py: 4, 
-        backgroundImage: 'linear-gradient(to bottom, #f8f9fa, #ffffff)',
+        backgroundImage: (theme) => theme.palette.background.page,
         minHeight: '100vh'
       }}
     >
@@ -1,7 +1,9 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import { Container, Typography, Box, Paper, LinearProgress } from '@mui/material';
 import styles from '../App.module.css';
 import { useNetwork } from '../context/NetworkContext';
+import { useLocale } from '../context/LocaleContext';
+import { useWsMessage } from '../hooks/useWsMessage';
 
 /**
  * BIP9 activation threshold (70% of miners must signal support)
@@ -267,32 +269,35 @@ const BIP9ExplanationSection = () => (
  * @param {Object} props.taprootStatus - Complete Taproot status object
  * @returns {JSX.Element} Technical parameters component
  */
-const TechnicalParametersSection = ({ taprootStatus }) => (
-  <Paper className={styles.paper}>
-    <Typography variant="h5" gutterBottom align="center" sx={{ color: '#002456', fontSize: '1.5rem' }}>
-      DigiByte Taproot Activation Parameters
-    </Typography>
-    <Box sx={{ width: '80%', margin: '0 auto' }}>
-      <Typography variant="body1" paragraph sx={{ textAlign: 'left', fontSize: '1.2rem' }}>
-        <strong>Activation Window:</strong> {ACTIVATION_WINDOW.toLocaleString()} blocks (approximately 1 week)
-        <br />
-        <strong>Required Threshold:</strong> {Math.floor(ACTIVATION_WINDOW * 0.7).toLocaleString()} blocks (70% of activation window)
-        <br />
-        {taprootStatus.active || taprootStatus.bip9?.status === 'active' ? (
-          <>
-            <strong>Current Progress:</strong> Signaling complete — Taproot activated at block 21,168,000
-          </>
-        ) : (
-          <>
-            <strong>Current Progress:</strong> {taprootStatus.bip9?.statistics?.elapsed} blocks into current window
-            <br />
-            <strong>Supporting Blocks:</strong> {taprootStatus.bip9?.statistics?.count} blocks signaling support
-          </>
-        )}
+const TechnicalParametersSection = ({ taprootStatus }) => {
+  const { formatNumber } = useLocale();
+  return (
+    <Paper className={styles.paper}>
+      <Typography variant="h5" gutterBottom align="center" sx={{ color: '#002456', fontSize: '1.5rem' }}>
+        DigiByte Taproot Activation Parameters
       </Typography>
-    </Box>
-  </Paper>
-);
+      <Box sx={{ width: '80%', margin: '0 auto' }}>
+        <Typography variant="body1" paragraph sx={{ textAlign: 'left', fontSize: '1.2rem' }}>
+          <strong>Activation Window:</strong> {formatNumber(ACTIVATION_WINDOW)} blocks (approximately 1 week)
+          <br />
+          <strong>Required Threshold:</strong> {Math.floorformatNumber(ACTIVATION_WINDOW * 0.7)} blocks (70% of activation window)
+          <br />
+          {taprootStatus.active || taprootStatus.bip9?.status === 'active' ? (
+            <>
+              <strong>Current Progress:</strong> Signaling complete — Taproot activated at block 21,168,000
+            </>
+          ) : (
+            <>
+              <strong>Current Progress:</strong> {taprootStatus.bip9?.statistics?.elapsed} blocks into current window
+              <br />
+              <strong>Supporting Blocks:</strong> {taprootStatus.bip9?.statistics?.count} blocks signaling support
+            </>
+          )}
+        </Typography>
+      </Box>
+    </Paper>
+  );
+};
 
 /**
  * TaprootPage component - DigiByte Taproot activation status tracker
@@ -302,7 +307,7 @@ const TechnicalParametersSection = ({ taprootStatus }) => (
  * support, and detailed technical information about the activation process.
  * 
  * Features:
- * - Real-time WebSocket updates for activation status
+ * - Real-time updates for activation status via the shared WebSocket
  * - Progress visualization with threshold indicators
  * - Recent block analysis for current support levels
  * - Educational content about BIP9 activation process
@@ -312,7 +317,7 @@ const TechnicalParametersSection = ({ taprootStatus }) => (
  * @returns {JSX.Element} Complete Taproot activation page
  */
 const TaprootPage = () => {
-  const { wsBaseUrl, isTestnet } = useNetwork();
+  const { isTestnet } = useNetwork();
 
   // Taproot activation status from blockchain
   const [taprootStatus, setTaprootStatus] = useState({
@@ -408,65 +413,34 @@ const TaprootPage = () => {
   };
 
   /**
-   * WebSocket connection effect for real-time Taproot status updates
+   * Real-time Taproot status updates over the network's shared WebSocket
    * Handles initial blockchain data and real-time block updates
    */
-  useEffect(() => {
-    const socket = new WebSocket(wsBaseUrl);
-
-    /**
-     * WebSocket connection opened successfully
-     * Ready to receive Taproot activation data
-     */
-    socket.onopen = () => {
-      console.log('WebSocket connection established for Taproot page');
-    };
-
-    /**
-     * Handle incoming WebSocket messages with blockchain data
-     * @param {MessageEvent} event - WebSocket message event
-     */
-    socket.onmessage = (event) => {
-      try {
-        const message = JSON.parse(event.data);
-        console.log('Received message:', message);
-
-        if (message.type === 'initialData') {
-        /**
-         * Process initial blockchain data including Taproot status
-         * Extracts Taproot soft fork information from blockchain info
-         */
-        const taproot = message.data.blockchainInfo.softforks.taproot;
-        setTaprootStatus(taproot);
-      } else if (message.type === 'recentBlocks') {
-        /**
-         * Process initial block data for support calculation
-         * Keeps last 240 blocks (approximately 1 hour) for analysis
-         */
-        console.log('Received recent blocks:', message.data);
-        setRecentBlocks(message.data.slice(-240));
-      } else if (message.type === 'newBlock') {
-        /**
-         * Handle real-time new block updates
-         * Maintains rolling window of last 240 blocks
-         */
-        console.log('Received new block:', message.data);
-        setRecentBlocks(prevBlocks => {
-          const updatedBlocks = [message.data, ...prevBlocks];
-          return updatedBlocks.slice(0, 240);
-        });
-      }
-      } catch (error) {
-        console.error('Error parsing WebSocket message:', error);
-      }
-    };
-
-    /**
-     * Cleanup function to close WebSocket connection
-     * Prevents memory leaks when component unmounts
-     */
-    return () => socket.close();
-  }, [wsBaseUrl]);
+  useWsMessage(['initialData', 'recentBlocks', 'newBlock'], (message) => {
+    if (message.type === 'initialData') {
+      /**
+       * Process initial blockchain data including Taproot status
+       * Extracts Taproot soft fork information from blockchain info
+       */
+      const taproot = message.data.blockchainInfo.softforks.taproot;
+      setTaprootStatus(taproot);
+    } else if (message.type === 'recentBlocks') {
+      /**
+       * Process initial block data for support calculation
+       * Keeps last 240 blocks (approximately 1 hour) for analysis
+       */
+      setRecentBlocks(message.data.slice(-240));
+    } else if (message.type === 'newBlock') {
+      /**
+       * Handle real-time new block updates
+       * Maintains rolling window of last 240 blocks
+       */
+      setRecentBlocks(prevBlocks => {
+        const updatedBlocks = [message.data, ...prevBlocks];
+        return updatedBlocks.slice(0, 240);
+      });
+    }
+  });
 
   // Calculate derived values
   const progress = calculateProgress();
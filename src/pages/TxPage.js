@@ -0,0 +1,407 @@
+import React, { useEffect, useState } from 'react';
+import { Link as RouterLink, useParams } from 'react-router-dom';
+import {
+  Container, Typography, Box, Divider, Grid,
+  Table, TableContainer, TableHead, TableBody, TableRow, TableCell,
+  Paper, Chip, CircularProgress, Link, Alert,
+} from '@mui/material';
+import { alpha } from '@mui/material/styles';
+import SwapHorizIcon from '@mui/icons-material/SwapHoriz';
+import OpenInNewIcon from '@mui/icons-material/OpenInNew';
+import AttachMoneyIcon from '@mui/icons-material/AttachMoney';
+import { useNetwork } from '../context/NetworkContext';
+import { useLocale } from '../context/LocaleContext';
+import { DetailField, SectionCard } from '../components/DetailSection';
+import {
+  classifyDigiDollar, computeFee, computeFeeRate, decodeTaprootSpend,
+  describeTxOutput, isRbfSignaled, isTxid,
+} from '../utils/txDecode';
+
+const DIGIDOLLAR_LABELS = {
+  mint: {
+    label: 'Mint',
+    description: 'DGB is locked as time-locked collateral and new DigiDollars are issued.',
+  },
+  transfer: {
+    label: 'Transfer',
+    description: 'DigiDollars move between holders; no collateral changes hands.',
+  },
+  redeem: {
+    label: 'Redeem',
+    description: 'DigiDollars are burned and the matching DGB collateral is unlocked.',
+  },
+};
+
+const GRAPH_WIDTH = 600;
+const GRAPH_ROW = 28;
+const GRAPH_MIN_STROKE = 2;
+const GRAPH_MAX_STROKE = 20;
+
+/**
+ * Input → output flow. Each input and output is a band into / out of the
+ * transaction node, its width proportional to the value it carries; the fee
+ * leaves as a dashed band.
+ */
+const TxFlowGraph = ({ inputs, outputs, fee, color }) => {
+  const { formatDgb } = useLocale();
+  const inputValues = inputs.map((input) => input.prevout?.value ?? 0);
+  const outputValues = outputs.map((out) => out.value || 0);
+  const rows = Math.max(inputs.length, outputs.length + (fee > 0 ? 1 : 0), 1);
+  const height = rows * GRAPH_ROW + GRAPH_ROW;
+  const center = { x: GRAPH_WIDTH / 2, y: height / 2 };
+  const total = Math.max(...inputValues, ...outputValues, fee || 0, 0) || 1;
+  const stroke = (value) => GRAPH_MIN_STROKE + (GRAPH_MAX_STROKE - GRAPH_MIN_STROKE) * (value / total);
+  const rowY = (i, count) => center.y + (i - (count - 1) / 2) * GRAPH_ROW;
+  const curve = (x1, y1, x2, y2) => {
+    const mid = (x1 + x2) / 2;
+    return `M ${x1} ${y1} C ${mid} ${y1}, ${mid} ${y2}, ${x2} ${y2}`;
+  };
+
+  const outputRows = outputs.length + (fee > 0 ? 1 : 0);
+
+  return (
+    <Box sx={{ overflowX: 'auto' }}>
+      <svg
+        data-testid="tx-flow-graph"
+        viewBox={`0 0 ${GRAPH_WIDTH} ${height}`}
+        width="100%"
+        style={{ minWidth: 320, maxHeight: 480 }}
+        role="img"
+        aria-label={`${inputs.length} inputs flowing to ${outputs.length} outputs`}
+      >
+        {inputs.map((input, i) => (
+          <path
+            key={`in-${i}`}
+            data-testid="tx-flow-input"
+            d={curve(20, rowY(i, inputs.length), center.x, center.y)}
+            stroke="#0066cc"
+            strokeOpacity={0.55}
+            strokeWidth={stroke(inputValues[i])}
+            fill="none"
+          >
+            <title>{`Input ${i}: ${input.coinbase != null ? 'coinbase' : formatDgb(input.prevout?.value)}`}</title>
+          </path>
+        ))}
+        {outputs.map((out, i) => (
+          <path
+            key={`out-${i}`}
+            data-testid="tx-flow-output"
+            d={curve(center.x, center.y, GRAPH_WIDTH - 20, rowY(i, outputRows))}
+            stroke="#4caf50"
+            strokeOpacity={0.55}
+            strokeWidth={stroke(outputValues[i])}
+            fill="none"
+          >
+            <title>{`Output ${out.n ?? i}: ${formatDgb(out.value)}`}</title>
+          </path>
+        ))}
+        {fee > 0 && (
+          <path
+            d={curve(center.x, center.y, GRAPH_WIDTH - 20, rowY(outputs.length, outputRows))}
+            stroke="#ff9800"
+            strokeDasharray="6 4"
+            strokeWidth={stroke(fee)}
+            fill="none"
+          >
+            <title>{`Fee: ${formatDgb(fee)}`}</title>
+          </path>
+        )}
+        <circle cx={center.x} cy={center.y} r={10} fill={color} />
+      </svg>
+    </Box>
+  );
+};
+
+/** Revealed tapscript and control-block details of a script-path spend. */
+const ScriptPathDetails = ({ spend }) => (
+  <Box
+    data-testid="taproot-script-path"
+    sx={{ mt: 1, p: 1.5, borderRadius: '8px', bgcolor: 'rgba(0, 102, 204, 0.06)' }}
+  >
+    <Grid container spacing={1}>
+      <DetailField label="Leaf Version" md={3}>{`0x${spend.leafVersion.toString(16)}`}</DetailField>
+      <DetailField label="Merkle Depth" md={3}>{spend.depth}</DetailField>
+      <DetailField label="Internal Key" mono md={6}>{spend.internalKey}</DetailField>
+      <DetailField label="Tapscript" mono md={12}>{spend.script || '—'}</DetailField>
+      {spend.annex && <DetailField label="Annex" mono md={12}>{spend.annex}</DetailField>}
+    </Grid>
+  </Box>
+);
+
+const spendLabel = (input, spend) => {
+  if (input.coinbase != null) return 'Coinbase';
+  if (spend?.type === 'script-path') return 'Taproot script path';
+  if (spend?.type === 'key-path') return 'Taproot key path';
+  return input.prevout?.scriptPubKey?.type || (input.txinwitness ? 'Witness' : 'Legacy');
+};
+
+/** Decoded DigiDollar action, with the marker output it came from. */
+const DigiDollarDetails = ({ dd }) => {
+  const { formatNumber } = useLocale();
+  const { label, description } = DIGIDOLLAR_LABELS[dd.type];
+  return (
+    <Box
+      sx={{
+        p: 2,
+        borderRadius: '8px',
+        bgcolor: (theme) => alpha(theme.palette.success.main, 0.12),
+        border: (theme) => `1px solid ${alpha(theme.palette.success.main, 0.35)}`,
+      }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <AttachMoneyIcon sx={{ color: 'success.main' }} />
+        <Typography variant="h6" fontWeight="bold" sx={{ color: 'success.main' }}>
+          DigiDollar {label}
+        </Typography>
+      </Box>
+      <Typography variant="body2" sx={{ mb: 2 }}>{description}</Typography>
+      <Grid container spacing={2}>
+        <DetailField label="Amount" md={4}>
+          {dd.amountUsd != null
+            ? `${formatNumber(dd.amountUsd, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} DD`
+            : '—'}
+        </DetailField>
+        <DetailField label="Marker Output" md={4}>{dd.vout != null ? `#${dd.vout}` : '—'}</DetailField>
+      </Grid>
+    </Box>
+  );
+};
+
+/**
+ * TxPage — detail view for one transaction, reached from TransactionCard or
+ * by URL (`/tx/:txid`, `/testnet/tx/:txid`).
+ *
+ * Fetches `/api/getrawtransaction/:txid` (verbose, with `vin[].prevout` and
+ * `fee` when the server can resolve them) and renders the summary (fee, fee
+ * rate, size, confirmations, RBF), an input → output flow graph, the inputs
+ * with Taproot script-path spends decoded, the outputs, and any DigiDollar
+ * mint / transfer / redeem.
+ */
+const TxPage = () => {
+  const { txid } = useParams();
+  const { formatNumber, formatDgb, formatBlockTime } = useLocale();
+  const { getApiUrl, getNetworkPath, isTestnet, theme: networkTheme } = useNetwork();
+  const primaryColor = networkTheme.primary;
+  const validTxid = isTxid(txid);
+
+  const [tx, setTx] = useState(null);
+  const [loading, setLoading] = useState(validTxid);
+  const [error, setError] = useState(validTxid ? null : `${txid} is not a valid transaction id.`);
+
+  useEffect(() => {
+    if (!validTxid) {
+      setTx(null);
+      setLoading(false);
+      setError(`${txid} is not a valid transaction id.`);
+      return undefined;
+    }
+
+    let isMounted = true;
+    setLoading(true);
+    setError(null);
+
+    const fetchTransaction = async () => {
+      try {
+        const response = await fetch(getApiUrl(`/getrawtransaction/${txid}`));
+        if (response.status === 404) throw new Error(`Transaction ${txid} was not found.`);
+        if (!response.ok) throw new Error('Failed to load transaction.');
+        const data = await response.json();
+        if (isMounted) setTx(data);
+      } catch (err) {
+        console.error('Error fetching transaction:', err);
+        if (isMounted) {
+          setTx(null);
+          setError(err.message);
+        }
+      } finally {
+        if (isMounted) setLoading(false);
+      }
+    };
+
+    fetchTransaction();
+    return () => {
+      isMounted = false;
+    };
+  }, [getApiUrl, txid, validTxid]);
+
+  const inputs = Array.isArray(tx?.vin) ? tx.vin : [];
+  const outputs = Array.isArray(tx?.vout) ? tx.vout : [];
+  const fee = computeFee(tx);
+  const vsize = tx?.vsize ?? tx?.size;
+  const feeRate = computeFeeRate(fee, vsize);
+  const rbf = tx ? isRbfSignaled(tx) : false;
+  const digidollar = tx ? classifyDigiDollar(tx) : null;
+  const spends = inputs.map(decodeTaprootSpend);
+  const confirmations = tx?.confirmations || 0;
+  const explorerUrl = `https://${isTestnet ? 'testnet.' : ''}digiexplorer.info/tx/${txid}`;
+
+  return (
+    <Box sx={{ py: 4, backgroundImage: (theme) => theme.palette.background.page, minHeight: '100vh' }}>
+      <Container maxWidth="lg">
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 3, flexWrap: 'wrap' }}>
+          <SwapHorizIcon sx={{ fontSize: '2.5rem', color: primaryColor }} />
+          <Typography
+            variant="h3"
+            component="h1"
+            fontWeight="800"
+            sx={{ color: primaryColor, fontSize: { xs: '1.8rem', md: '2.4rem' } }}
+          >
+            Transaction
+          </Typography>
+          {isTestnet && (
+            <Chip label="TESTNET" sx={{ bgcolor: primaryColor, color: 'white', fontWeight: 'bold' }} />
+          )}
+        </Box>
+
+        {loading && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+            <CircularProgress />
+          </Box>
+        )}
+
+        {!loading && error && (
+          <Alert severity="error" sx={{ mb: 3 }}>{error}</Alert>
+        )}
+
+        {!loading && tx && (
+          <>
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 3 }}>
+              <Chip
+                label={confirmations > 0 ? 'Confirmed' : 'Unconfirmed (mempool)'}
+                color={confirmations > 0 ? 'success' : 'warning'}
+              />
+              {rbf && <Chip label="RBF" variant="outlined" color="warning" />}
+              {digidollar && (
+                <Chip label={`DigiDollar ${DIGIDOLLAR_LABELS[digidollar.type].label}`} sx={{ bgcolor: '#2e7d32', color: 'white' }} />
+              )}
+              {spends.some((spend) => spend?.type === 'script-path') && (
+                <Chip label="Taproot script path" variant="outlined" color="primary" />
+              )}
+            </Box>
+
+            <SectionCard title="Summary" color={primaryColor} testId="tx-summary">
+              <Grid container spacing={2}>
+                <DetailField label="Transaction ID" mono md={12}>{tx.txid || txid}</DetailField>
+                <DetailField label="Confirmations" md={3}>{formatNumber(confirmations)}</DetailField>
+                <DetailField label="Block" md={3}>
+                  {tx.blockhash ? (
+                    <Link component={RouterLink} to={getNetworkPath(`/block/${tx.blockhash}`)}>
+                      {Number.isFinite(tx.blockheight) ? formatNumber(tx.blockheight) : `${tx.blockhash.substring(0, 16)}...`}
+                    </Link>
+                  ) : 'Mempool'}
+                </DetailField>
+                <DetailField label="Time" md={3}>{formatBlockTime(tx.blocktime ?? tx.time)}</DetailField>
+                <DetailField label="Replace-by-fee" md={3}>{rbf ? 'Yes (BIP125)' : 'No'}</DetailField>
+                <DetailField label="Fee" md={3}>{formatDgb(fee)}</DetailField>
+                <DetailField label="Fee Rate" md={3}>
+                  {feeRate != null ? `${formatNumber(feeRate, { maximumFractionDigits: 2 })} sat/vB` : '—'}
+                </DetailField>
+                <DetailField label="Virtual Size" md={3}>{Number.isFinite(vsize) ? `${formatNumber(vsize)} vB` : '—'}</DetailField>
+                <DetailField label="Weight" md={3}>{Number.isFinite(tx.weight) ? `${formatNumber(tx.weight)} WU` : '—'}</DetailField>
+                <DetailField label="Size" md={3}>{Number.isFinite(tx.size) ? `${formatNumber(tx.size)} bytes` : '—'}</DetailField>
+                <DetailField label="Version" md={3}>{tx.version ?? '—'}</DetailField>
+                <DetailField label="Locktime" md={3}>{formatNumber(tx.locktime)}</DetailField>
+              </Grid>
+              <Divider sx={{ my: 2 }} />
+              <Link
+                href={explorerUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+                sx={{ display: 'inline-flex', alignItems: 'center', gap: 0.5 }}
+              >
+                View on DigiExplorer <OpenInNewIcon sx={{ fontSize: 16 }} />
+              </Link>
+            </SectionCard>
+
+            {digidollar && (
+              <SectionCard title="DigiDollar" color="#2e7d32" testId="tx-digidollar">
+                <DigiDollarDetails dd={digidollar} />
+              </SectionCard>
+            )}
+
+            <SectionCard title="Flow" color={primaryColor} testId="tx-flow">
+              <TxFlowGraph inputs={inputs} outputs={outputs} fee={fee} color={primaryColor} />
+            </SectionCard>
+
+            <SectionCard title={`Inputs (${inputs.length})`} color={primaryColor} testId="tx-inputs">
+              <TableContainer component={Paper} elevation={0} sx={{ border: '1px solid', borderColor: 'divider' }}>
+                <Table size="small">
+                  <TableHead sx={{ backgroundColor: `${primaryColor}12` }}>
+                    <TableRow>
+                      <TableCell><strong>#</strong></TableCell>
+                      <TableCell><strong>Previous Output</strong></TableCell>
+                      <TableCell><strong>Address</strong></TableCell>
+                      <TableCell><strong>Spend</strong></TableCell>
+                      <TableCell align="right"><strong>Value</strong></TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {inputs.map((input, i) => (
+                      <TableRow key={`${input.txid || 'coinbase'}-${input.vout ?? i}`}>
+                        <TableCell sx={{ verticalAlign: 'top' }}>{i}</TableCell>
+                        <TableCell sx={{ fontFamily: 'monospace', fontSize: '0.8rem', overflowWrap: 'anywhere', verticalAlign: 'top' }}>
+                          {input.coinbase != null ? 'Newly generated coins' : (
+                            <Link component={RouterLink} to={getNetworkPath(`/tx/${input.txid}`)}>
+                              {`${input.txid.substring(0, 16)}...:${input.vout}`}
+                            </Link>
+                          )}
+                          {spends[i]?.type === 'script-path' && <ScriptPathDetails spend={spends[i]} />}
+                        </TableCell>
+                        <TableCell sx={{ fontFamily: 'monospace', fontSize: '0.8rem', overflowWrap: 'anywhere', verticalAlign: 'top' }}>
+                          {input.prevout?.scriptPubKey?.address ? (
+                            <Link component={RouterLink} to={getNetworkPath(`/address/${input.prevout.scriptPubKey.address}`)}>
+                              {input.prevout.scriptPubKey.address}
+                            </Link>
+                          ) : '—'}
+                        </TableCell>
+                        <TableCell sx={{ verticalAlign: 'top' }}>{spendLabel(input, spends[i])}</TableCell>
+                        <TableCell align="right" sx={{ verticalAlign: 'top' }}>{formatDgb(input.prevout?.value)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </SectionCard>
+
+            <SectionCard title={`Outputs (${outputs.length})`} color={primaryColor} testId="tx-outputs">
+              <TableContainer component={Paper} elevation={0} sx={{ border: '1px solid', borderColor: 'divider' }}>
+                <Table size="small">
+                  <TableHead sx={{ backgroundColor: `${primaryColor}12` }}>
+                    <TableRow>
+                      <TableCell><strong>#</strong></TableCell>
+                      <TableCell><strong>Type</strong></TableCell>
+                      <TableCell><strong>Address / Script</strong></TableCell>
+                      <TableCell align="right"><strong>Value</strong></TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {outputs.map((out, i) => {
+                      const n = out.n ?? i;
+                      const isMarker = digidollar && digidollar.vout === n;
+                      return (
+                        <TableRow key={n} sx={isMarker ? { bgcolor: (theme) => alpha(theme.palette.success.main, 0.12) } : undefined}>
+                          <TableCell>{n}</TableCell>
+                          <TableCell>{describeTxOutput(out.scriptPubKey)}</TableCell>
+                          <TableCell sx={{ fontFamily: 'monospace', fontSize: '0.8rem', overflowWrap: 'anywhere' }}>
+                            {out.scriptPubKey?.address ? (
+                              <Link component={RouterLink} to={getNetworkPath(`/address/${out.scriptPubKey.address}`)}>
+                                {out.scriptPubKey.address}
+                              </Link>
+                            ) : (out.scriptPubKey?.asm || out.scriptPubKey?.hex || '—')}
+                          </TableCell>
+                          <TableCell align="right">{formatDgb(out.value)}</TableCell>
+                        </TableRow>
+                      );
+                    })}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </SectionCard>
+          </>
+        )}
+      </Container>
+    </Box>
+  );
+};
+
+export default TxPage;
@@ -1,14 +1,12 @@
-import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import React, { useState, useEffect, startTransition, useDeferredValue } from 'react';
 import { 
-  Container, Typography, Grid, Button, Card, CardContent, 
-  Box, Divider, Chip, useMediaQuery, useTheme, Pagination,
+  Container, Typography, Grid, Card, CardContent, 
+  Box, Divider, Chip, useMediaQuery, useTheme,
   LinearProgress, TextField, InputAdornment, IconButton,
   Collapse, List, ListItem, ListItemText, Tooltip, Badge,
-  ToggleButton, ToggleButtonGroup, Fade, Zoom
+  ToggleButton, ToggleButtonGroup, Fade
 } from '@mui/material';
 import AccountBalanceWalletIcon from '@mui/icons-material/AccountBalanceWallet';
-import ArrowForwardIosIcon from '@mui/icons-material/ArrowForwardIos';
-import ArrowBackIosNewIcon from '@mui/icons-material/ArrowBackIosNew';
 import SpeedIcon from '@mui/icons-material/Speed';
 import StorageIcon from '@mui/icons-material/Storage';
 import AccessTimeIcon from '@mui/icons-material/AccessTime';
@@ -27,7 +25,25 @@ import MemoryIcon from '@mui/icons-material/Memory';
 import InfoIcon from '@mui/icons-material/Info';
 import QueryBuilderIcon from '@mui/icons-material/QueryBuilder';
 import SecurityIcon from '@mui/icons-material/Security';
+import VisibilityIcon from '@mui/icons-material/Visibility';
+import VisibilityOutlinedIcon from '@mui/icons-material/VisibilityOutlined';
+import { Link as RouterLink } from 'react-router-dom';
 import { useNetwork } from '../context/NetworkContext';
+import { useWsMessage, useWsStatus } from '../hooks/useWsMessage';
+import { useQueryParams } from '../hooks/useQueryParams';
+import { useFilteredTransactions } from '../hooks/useFilteredTransactions';
+import { stringParam, enumParam } from '../utils/queryParams';
+import { useLocale } from '../context/LocaleContext';
+import { useTxWatch } from '../context/TxWatchContext';
+import LoadingCard from '../components/LoadingCard';
+import ExportMenu from '../components/ExportMenu';
+import MempoolProjection from '../components/MempoolProjection';
+import MempoolHistoryChart from '../components/MempoolHistoryChart';
+import FeeEstimator from '../components/FeeEstimator';
+import TxWatchlist from '../components/TxWatchlist';
+import VirtualList from '../components/VirtualList';
+import { minFeeRateFromStats, recordFirstSeen } from '../utils/feeEstimate';
+import { TX_SORTS, calculateTotalValue } from '../utils/txFilter';
 
 /**
  * Priority color mapping for transaction fee priorities
@@ -50,6 +66,16 @@ const CONFIRMATION_COLORS = {
   6: '#4caf50',     // Dark green - 6+ confirmations
 };
 
+/**
+ * Search, filter and sort live in the query string (`?q=&priority=&sort=`),
+ * so a filtered view can be bookmarked.
+ */
+const TXS_QUERY = {
+  q: stringParam(''),
+  priority: enumParam(['all', 'high', 'medium', 'low']),
+  sort: enumParam(TX_SORTS),
+};
+
 /**
  * Hero section component for the TxsPage
  * Displays title, description, and real-time transaction information
@@ -62,11 +88,11 @@ const HeroSection = ({ isTestnet, networkTheme }) => (
   <Card
     elevation={2}
     sx={{
-      backgroundColor: '#f2f4f8',
+      backgroundColor: 'background.subtle',
       borderRadius: '12px',
       mb: 4,
       overflow: 'hidden',
-      backgroundImage: 'linear-gradient(135deg, #f8f9fa 0%, #e8eef7 100%)',
+      backgroundImage: (theme) => theme.palette.background.hero,
       border: `1px solid ${isTestnet ? 'rgba(230, 81, 0, 0.2)' : 'rgba(0, 35, 82, 0.1)'}`
     }}
   >
@@ -107,7 +133,7 @@ const HeroSection = ({ isTestnet, networkTheme }) => (
         sx={{ 
           maxWidth: '800px', 
           mx: 'auto',
-          color: '#555',
+          color: 'text.secondary',
           fontSize: '1.1rem'
         }}
       >
@@ -117,17 +143,6 @@ const HeroSection = ({ isTestnet, networkTheme }) => (
   </Card>
 );
 
-/**
- * Loading state component displayed while mempool data is being fetched
- * @returns {JSX.Element} Loading card with spinner message
- */
-const LoadingCard = () => (
-  <Card elevation={3} sx={{ p: 4, textAlign: 'center', borderRadius: '12px' }}>
-    <Typography variant="h5" sx={{ mb: 2 }}>Loading transaction data...</Typography>
-    <LinearProgress sx={{ maxWidth: 300, mx: 'auto' }} />
-  </Card>
-);
-
 /**
  * Empty state component displayed when no transactions match filters
  * @returns {JSX.Element} Empty state card
@@ -162,16 +177,6 @@ const getConfirmationColor = (confirmations) => {
   return CONFIRMATION_COLORS[confirmations] || CONFIRMATION_COLORS[0];
 };
 
-/**
- * Format number with thousands separators (commas)
- * @param {number} num - Number to format
- * @returns {string} Formatted number string with commas
- */
-const formatNumber = (num) => {
-  if (num === undefined || num === null) return '0';
-  return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",");
-};
-
 /**
  * Format DGB value with proper decimal places
  * @param {number} value - Value in DGB
@@ -182,31 +187,6 @@ const formatDGB = (value) => {
   return value.toFixed(8);
 };
 
-/**
- * Format timestamp to relative time (e.g., "2 minutes ago")
- * @param {number} timestamp - Unix timestamp in seconds
- * @returns {string} Relative time string
- */
-const formatRelativeTime = (timestamp) => {
-  const now = Date.now() / 1000;
-  const diff = now - timestamp;
-  
-  if (diff < 60) return 'just now';
-  if (diff < 3600) return `${Math.floor(diff / 60)} minutes ago`;
-  if (diff < 86400) return `${Math.floor(diff / 3600)} hours ago`;
-  return `${Math.floor(diff / 86400)} days ago`;
-};
-
-/**
- * Calculate total value from transaction outputs
- * @param {Array} outputs - Array of transaction outputs
- * @returns {number} Total value in DGB
- */
-const calculateTotalValue = (outputs) => {
-  if (!outputs || !Array.isArray(outputs)) return 0;
-  return outputs.reduce((sum, output) => sum + (output.amount || output.value || 0), 0);
-};
-
 /**
  * Fee distribution chart component
  * Displays visual representation of fee ranges in mempool
@@ -257,6 +237,7 @@ const FeeDistributionChart = ({ feeDistribution }) => {
  * Displays overall mempool metrics with enhanced visuals
  */
 const MempoolStats = ({ stats, transactions }) => {
+  const { formatNumber } = useLocale();
   const highPriorityCount = transactions.filter(tx => tx.priority === 'high').length;
   const memoryUsagePercent = stats.maxmempool ? (stats.usage / stats.maxmempool) * 100 : 0;
   
@@ -272,7 +253,7 @@ const MempoolStats = ({ stats, transactions }) => {
                   Mempool Size
                 </Typography>
                 <Typography variant="h5" fontWeight="bold" color="primary">
-                  {formatNumber(stats.size)}
+                  {formatNumber(stats.size ?? 0)}
                 </Typography>
                 <Typography variant="caption" color="text.secondary">
                   transactions
@@ -432,7 +413,7 @@ const EducationalContent = () => (
         </Grid>
         
         <Grid item xs={12}>
-          <Box sx={{ bgcolor: '#f8f9fa', p: 2, borderRadius: 1, border: '1px solid #e9ecef' }}>
+          <Box sx={{ bgcolor: 'background.subtle', p: 2, borderRadius: 1, border: '1px solid', borderColor: 'divider' }}>
             <Typography variant="body2" color="text.secondary" sx={{ textAlign: 'center' }}>
               <strong>💡 Pro Tip:</strong> DigiByte processes transactions 40x faster than Bitcoin with much lower fees. 
               An empty mempool means the network is efficiently processing all transactions in real-time!
@@ -522,308 +503,325 @@ const SearchAndFilter = ({ searchTerm, onSearchChange, filterPriority, onFilterC
   );
 };
 
+// Rows of the virtualized lists are keyed by txid.
+const txKey = (transaction) => transaction.txid;
+
 /**
- * Enhanced transaction card component with expandable details
+ * Enhanced transaction card component with expandable details.
+ * The txid links to the in-app transaction detail page (/tx/:txid) via `to`;
+ * the eye button adds it to the watchlist (TxWatchContext).
  */
-const TransactionCard = ({ transaction, index, isMobile, isConfirmed = false }) => {
+const TransactionCard = ({ transaction, isMobile, isConfirmed = false, to }) => {
+  const { formatNumber, formatRelativeTime } = useLocale();
+  const { isWatched, watch, unwatch } = useTxWatch();
   const [expanded, setExpanded] = useState(false);
+  const watched = isWatched(transaction.txid);
   const totalValue = transaction.value || calculateTotalValue(transaction.outputs);
   const hasLeftMempool = transaction.removedAt && !isConfirmed;
   
   return (
-    <Zoom in={true} style={{ transitionDelay: `${index * 50}ms` }}>
-      <Grid item xs={12}>
-        <Card 
-          elevation={2}
-          sx={{
-            borderRadius: '8px',
-            transition: 'all 0.3s ease',
-            '&:hover': {
-              transform: 'translateY(-2px)',
-              boxShadow: '0 8px 16px rgba(0,0,0,0.1)',
-            },
-            overflow: 'hidden',
-            borderLeft: `5px solid ${isConfirmed ? getConfirmationColor(transaction.confirmations || 0) : getPriorityColor(transaction.priority)}`,
-            opacity: hasLeftMempool ? 0.7 : 1,
-            backgroundColor: hasLeftMempool ? 'rgba(0, 0, 0, 0.02)' : 'white',
-          }}
-        >
-          <CardContent sx={{ p: { xs: 2, md: 3 } }}>
-            <Grid container spacing={2} alignItems="center">
-              <Grid item xs={12} md={expanded ? 12 : 3}>
-                <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
-                  <Box>
-                    <Typography variant="body2" color="text.secondary" sx={{ fontSize: '0.75rem' }}>
-                      Transaction ID
-                    </Typography>
-                    <Box
-                      component="a"
-                      href={`https://digiexplorer.info/tx/${transaction.txid}`}
-                      target="_blank"
-                      rel="noopener noreferrer"
-                      sx={{
-                        textDecoration: 'none',
-                        color: 'inherit',
-                        '&:hover': { color: '#0066cc' }
-                      }}
-                    >
-                      <Typography 
-                        variant="body2" 
-                        fontWeight="medium" 
-                        sx={{ 
-                          fontFamily: 'monospace',
-                          bgcolor: 'rgba(0, 0, 0, 0.04)',
-                          p: 0.5,
-                          borderRadius: 1,
-                          fontSize: { xs: '0.7rem', md: '0.8rem' },
-                          wordBreak: 'break-all'
-                        }}
-                      >
-                        {isMobile ? transaction.txid.substring(0, 16) + '...' : transaction.txid}
-                      </Typography>
-                    </Box>
-                  </Box>
+    <Card 
+      elevation={2}
+      sx={{
+        borderRadius: '8px',
+        transition: 'all 0.3s ease',
+        '&:hover': {
+          transform: 'translateY(-2px)',
+          boxShadow: '0 8px 16px rgba(0,0,0,0.1)',
+        },
+        overflow: 'hidden',
+        borderLeft: `5px solid ${isConfirmed ? getConfirmationColor(transaction.confirmations || 0) : getPriorityColor(transaction.priority)}`,
+        opacity: hasLeftMempool ? 0.7 : 1,
+        backgroundColor: hasLeftMempool ? 'rgba(0, 0, 0, 0.02)' : 'white',
+      }}
+    >
+      <CardContent sx={{ p: { xs: 2, md: 3 } }}>
+        <Grid container spacing={2} alignItems="center">
+          <Grid item xs={12} md={expanded ? 12 : 3}>
+            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+              <Box>
+                <Typography variant="body2" color="text.secondary" sx={{ fontSize: '0.75rem' }}>
+                  Transaction ID
+                </Typography>
+                <Box
+                  component={RouterLink}
+                  to={to}
+                  sx={{
+                    textDecoration: 'none',
+                    color: 'inherit',
+                    '&:hover': { color: '#0066cc' }
+                  }}
+                >
+                  <Typography 
+                    variant="body2" 
+                    fontWeight="medium" 
+                    sx={{ 
+                      fontFamily: 'monospace',
+                      bgcolor: 'rgba(0, 0, 0, 0.04)',
+                      p: 0.5,
+                      borderRadius: 1,
+                      fontSize: { xs: '0.7rem', md: '0.8rem' },
+                      wordBreak: 'break-all'
+                    }}
+                  >
+                    {isMobile ? transaction.txid.substring(0, 16) + '...' : transaction.txid}
+                  </Typography>
+                </Box>
+              </Box>
+              <Box sx={{ display: 'flex', ml: 1 }}>
+                <Tooltip title={watched ? 'Stop watching' : 'Watch until confirmed'}>
                   <IconButton
-                    onClick={() => setExpanded(!expanded)}
+                    onClick={() => (watched ? unwatch(transaction.txid) : watch(transaction))}
                     size="small"
-                    sx={{ ml: 1 }}
+                    aria-label={watched ? `Stop watching ${transaction.txid}` : `Watch ${transaction.txid}`}
+                    aria-pressed={watched}
+                    sx={{ color: watched ? '#0066cc' : 'text.secondary' }}
                   >
-                    {expanded ? <ExpandLessIcon /> : <ExpandMoreIcon />}
+                    {watched ? <VisibilityIcon /> : <VisibilityOutlinedIcon />}
                   </IconButton>
+                </Tooltip>
+                <IconButton
+                  onClick={() => setExpanded(!expanded)}
+                  size="small"
+                >
+                  {expanded ? <ExpandLessIcon /> : <ExpandMoreIcon />}
+                </IconButton>
+              </Box>
+            </Box>
+          </Grid>
+          
+          {!expanded && (
+            <>
+              <Grid item xs={6} sm={3} md={2}>
+                <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                  <AttachMoneyIcon sx={{ fontSize: '1.2rem', mr: 1, color: '#0066cc' }} />
+                  <Box>
+                    <Typography variant="body2" color="text.secondary" sx={{ fontSize: '0.75rem' }}>
+                      Value
+                    </Typography>
+                    <Typography variant="body2" fontWeight="bold" color="primary">
+                      {formatNumber(Math.floor(totalValue))} DGB
+                    </Typography>
+                  </Box>
                 </Box>
               </Grid>
               
-              {!expanded && (
-                <>
-                  <Grid item xs={6} sm={3} md={2}>
-                    <Box sx={{ display: 'flex', alignItems: 'center' }}>
-                      <AttachMoneyIcon sx={{ fontSize: '1.2rem', mr: 1, color: '#0066cc' }} />
-                      <Box>
-                        <Typography variant="body2" color="text.secondary" sx={{ fontSize: '0.75rem' }}>
-                          Value
-                        </Typography>
-                        <Typography variant="body2" fontWeight="bold" color="primary">
-                          {formatNumber(Math.floor(totalValue))} DGB
-                        </Typography>
-                      </Box>
-                    </Box>
-                  </Grid>
-                  
-                  <Grid item xs={6} sm={3} md={1.5}>
-                    <Box sx={{ display: 'flex', alignItems: 'center' }}>
-                      <AttachMoneyIcon sx={{ fontSize: '1rem', mr: 0.5, color: '#666' }} />
-                      <Box>
-                        <Typography variant="body2" color="text.secondary" sx={{ fontSize: '0.75rem' }}>
-                          Fee
-                        </Typography>
-                        <Typography variant="body2" fontWeight="medium">
-                          {formatDGB(transaction.fee)}
-                        </Typography>
-                      </Box>
-                    </Box>
-                  </Grid>
-                  
-                  <Grid item xs={6} sm={3} md={1.5}>
-                    <Box sx={{ display: 'flex', alignItems: 'center' }}>
-                      <StorageIcon sx={{ fontSize: '1.2rem', mr: 1, color: '#0066cc' }} />
-                      <Box>
-                        <Typography variant="body2" color="text.secondary" sx={{ fontSize: '0.75rem' }}>
-                          Size
-                        </Typography>
-                        <Typography variant="body2" fontWeight="medium">
-                          {transaction.vsize || transaction.size} vB
-                        </Typography>
-                      </Box>
-                    </Box>
-                  </Grid>
-                  
-                  <Grid item xs={6} sm={3} md={1.5}>
-                    <Box sx={{ display: 'flex', alignItems: 'center' }}>
-                      <AccessTimeIcon sx={{ fontSize: '1.2rem', mr: 1, color: '#0066cc' }} />
-                      <Box>
-                        <Typography variant="body2" color="text.secondary" sx={{ fontSize: '0.75rem' }}>
-                          Time
+              <Grid item xs={6} sm={3} md={1.5}>
+                <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                  <AttachMoneyIcon sx={{ fontSize: '1rem', mr: 0.5, color: 'text.secondary' }} />
+                  <Box>
+                    <Typography variant="body2" color="text.secondary" sx={{ fontSize: '0.75rem' }}>
+                      Fee
+                    </Typography>
+                    <Typography variant="body2" fontWeight="medium">
+                      {formatDGB(transaction.fee)}
+                    </Typography>
+                  </Box>
+                </Box>
+              </Grid>
+              
+              <Grid item xs={6} sm={3} md={1.5}>
+                <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                  <StorageIcon sx={{ fontSize: '1.2rem', mr: 1, color: '#0066cc' }} />
+                  <Box>
+                    <Typography variant="body2" color="text.secondary" sx={{ fontSize: '0.75rem' }}>
+                      Size
+                    </Typography>
+                    <Typography variant="body2" fontWeight="medium">
+                      {transaction.vsize || transaction.size} vB
+                    </Typography>
+                  </Box>
+                </Box>
+              </Grid>
+              
+              <Grid item xs={6} sm={3} md={1.5}>
+                <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                  <AccessTimeIcon sx={{ fontSize: '1.2rem', mr: 1, color: '#0066cc' }} />
+                  <Box>
+                    <Typography variant="body2" color="text.secondary" sx={{ fontSize: '0.75rem' }}>
+                      Time
+                    </Typography>
+                    <Typography variant="body2" fontWeight="medium">
+                      {formatRelativeTime((transaction.time || transaction.blocktime) * 1000)}
+                    </Typography>
+                  </Box>
+                </Box>
+              </Grid>
+              
+              <Grid item xs={6} sm={3} md={1.5}>
+                <Box>
+                  {isConfirmed ? (
+                    <Badge badgeContent={transaction.confirmations} color="success" max={6}>
+                      <Chip 
+                        icon={<CheckCircleIcon />}
+                        label="Confirmed" 
+                        size="small" 
+                        color="success"
+                        sx={{ fontWeight: 'medium', fontSize: '0.75rem' }} 
+                      />
+                    </Badge>
+                  ) : hasLeftMempool ? (
+                    <Chip 
+                      icon={<AccessTimeIcon />}
+                      label={`Left Mempool ${formatRelativeTime(transaction.removedAt)}`} 
+                      size="small" 
+                      sx={{ 
+                        bgcolor: 'rgba(0, 0, 0, 0.12)',
+                        color: 'text.secondary',
+                        fontWeight: 'medium',
+                        fontSize: '0.75rem'
+                      }} 
+                    />
+                  ) : (
+                    <Chip 
+                      icon={<SpeedIcon />}
+                      label={transaction.priority?.charAt(0).toUpperCase() + transaction.priority?.slice(1) || 'Unknown'} 
+                      size="small" 
+                      sx={{ 
+                        bgcolor: getPriorityColor(transaction.priority) + '20',
+                        color: getPriorityColor(transaction.priority),
+                        fontWeight: 'medium',
+                        fontSize: '0.75rem'
+                      }} 
+                    />
+                  )}
+                </Box>
+              </Grid>
+            </>
+          )}
+        </Grid>
+        
+        <Collapse in={expanded} timeout="auto" unmountOnExit>
+          <Divider sx={{ my: 2 }} />
+          <Grid container spacing={3}>
+            <Grid item xs={12} md={6}>
+              <Typography variant="subtitle2" gutterBottom sx={{ display: 'flex', alignItems: 'center' }}>
+                <SwapHorizIcon sx={{ mr: 1 }} />
+                Inputs ({transaction.inputs?.length || 0})
+              </Typography>
+              <List dense>
+                {Array.isArray(transaction.inputs) && transaction.inputs.length > 0 ? (
+                  transaction.inputs.map((input, idx) => (
+                    <ListItem key={idx} sx={{ pl: 0 }}>
+                      <ListItemText
+                        primary={
+                          <Typography variant="body2" sx={{ fontFamily: 'monospace', fontSize: '0.8rem' }}>
+                            {input.address || 'Unknown Address'}
+                          </Typography>
+                        }
+                        secondary={
+                          <Typography variant="caption" color="text.secondary">
+                            {formatDGB(input.amount)} DGB
+                            {input.txid && ` (${input.txid.substring(0, 8)}...)`}
+                          </Typography>
+                        }
+                      />
+                    </ListItem>
+                  ))
+                ) : (
+                  <ListItem sx={{ pl: 0 }}>
+                    <ListItemText 
+                      primary={
+                        <Typography variant="body2" color="text.secondary">
+                          No input data available
                         </Typography>
-                        <Typography variant="body2" fontWeight="medium">
-                          {formatRelativeTime(transaction.time || transaction.blocktime)}
+                      }
+                    />
+                  </ListItem>
+                )}
+              </List>
+            </Grid>
+            
+            <Grid item xs={12} md={6}>
+              <Typography variant="subtitle2" gutterBottom sx={{ display: 'flex', alignItems: 'center' }}>
+                <SwapHorizIcon sx={{ mr: 1, transform: 'rotate(180deg)' }} />
+                Outputs ({transaction.outputs?.length || 0})
+              </Typography>
+              <List dense>
+                {Array.isArray(transaction.outputs) && transaction.outputs.length > 0 ? (
+                  transaction.outputs.map((output, idx) => (
+                    <ListItem key={idx} sx={{ pl: 0 }}>
+                      <ListItemText
+                        primary={
+                          <Typography variant="body2" sx={{ fontFamily: 'monospace', fontSize: '0.8rem' }}>
+                            {output.address || 'Unknown Address'}
+                          </Typography>
+                        }
+                        secondary={
+                          <Typography variant="caption" color="text.secondary">
+                            {formatDGB(output.amount)} DGB
+                            {output.type && ` (${output.type})`}
+                          </Typography>
+                        }
+                      />
+                    </ListItem>
+                  ))
+                ) : (
+                  <ListItem sx={{ pl: 0 }}>
+                    <ListItemText 
+                      primary={
+                        <Typography variant="body2" color="text.secondary">
+                          No output data available
                         </Typography>
-                      </Box>
-                    </Box>
-                  </Grid>
-                  
-                  <Grid item xs={6} sm={3} md={1.5}>
-                    <Box>
-                      {isConfirmed ? (
-                        <Badge badgeContent={transaction.confirmations} color="success" max={6}>
-                          <Chip 
-                            icon={<CheckCircleIcon />}
-                            label="Confirmed" 
-                            size="small" 
-                            color="success"
-                            sx={{ fontWeight: 'medium', fontSize: '0.75rem' }} 
-                          />
-                        </Badge>
-                      ) : hasLeftMempool ? (
-                        <Chip 
-                          icon={<AccessTimeIcon />}
-                          label={`Left Mempool ${formatRelativeTime(transaction.removedAt / 1000)}`} 
-                          size="small" 
-                          sx={{ 
-                            bgcolor: 'rgba(0, 0, 0, 0.12)',
-                            color: 'text.secondary',
-                            fontWeight: 'medium',
-                            fontSize: '0.75rem'
-                          }} 
-                        />
-                      ) : (
-                        <Chip 
-                          icon={<SpeedIcon />}
-                          label={transaction.priority?.charAt(0).toUpperCase() + transaction.priority?.slice(1) || 'Unknown'} 
-                          size="small" 
-                          sx={{ 
-                            bgcolor: getPriorityColor(transaction.priority) + '20',
-                            color: getPriorityColor(transaction.priority),
-                            fontWeight: 'medium',
-                            fontSize: '0.75rem'
-                          }} 
-                        />
-                      )}
-                    </Box>
-                  </Grid>
-                </>
-              )}
+                      }
+                    />
+                  </ListItem>
+                )}
+              </List>
             </Grid>
             
-            <Collapse in={expanded} timeout="auto" unmountOnExit>
-              <Divider sx={{ my: 2 }} />
-              <Grid container spacing={3}>
-                <Grid item xs={12} md={6}>
-                  <Typography variant="subtitle2" gutterBottom sx={{ display: 'flex', alignItems: 'center' }}>
-                    <SwapHorizIcon sx={{ mr: 1 }} />
-                    Inputs ({transaction.inputs?.length || 0})
+            <Grid item xs={12}>
+              <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mt: 1 }}>
+                <Typography variant="caption" color="text.secondary">
+                  <strong>Fee Rate:</strong> {transaction.fee_rate || Math.round((transaction.fee * 100000000) / (transaction.vsize || transaction.size))} sat/vB
+                </Typography>
+                {transaction.descendantcount !== undefined && (
+                  <Typography variant="caption" color="text.secondary">
+                    <strong>Descendants:</strong> {transaction.descendantcount} ({transaction.descendantsize} vB)
                   </Typography>
-                  <List dense>
-                    {Array.isArray(transaction.inputs) && transaction.inputs.length > 0 ? (
-                      transaction.inputs.map((input, idx) => (
-                        <ListItem key={idx} sx={{ pl: 0 }}>
-                          <ListItemText
-                            primary={
-                              <Typography variant="body2" sx={{ fontFamily: 'monospace', fontSize: '0.8rem' }}>
-                                {input.address || 'Unknown Address'}
-                              </Typography>
-                            }
-                            secondary={
-                              <Typography variant="caption" color="text.secondary">
-                                {formatDGB(input.amount)} DGB
-                                {input.txid && ` (${input.txid.substring(0, 8)}...)`}
-                              </Typography>
-                            }
-                          />
-                        </ListItem>
-                      ))
-                    ) : (
-                      <ListItem sx={{ pl: 0 }}>
-                        <ListItemText 
-                          primary={
-                            <Typography variant="body2" color="text.secondary">
-                              No input data available
-                            </Typography>
-                          }
-                        />
-                      </ListItem>
-                    )}
-                  </List>
-                </Grid>
-                
-                <Grid item xs={12} md={6}>
-                  <Typography variant="subtitle2" gutterBottom sx={{ display: 'flex', alignItems: 'center' }}>
-                    <SwapHorizIcon sx={{ mr: 1, transform: 'rotate(180deg)' }} />
-                    Outputs ({transaction.outputs?.length || 0})
+                )}
+                {transaction.ancestorcount !== undefined && (
+                  <Typography variant="caption" color="text.secondary">
+                    <strong>Ancestors:</strong> {transaction.ancestorcount} ({transaction.ancestorsize} vB)
                   </Typography>
-                  <List dense>
-                    {Array.isArray(transaction.outputs) && transaction.outputs.length > 0 ? (
-                      transaction.outputs.map((output, idx) => (
-                        <ListItem key={idx} sx={{ pl: 0 }}>
-                          <ListItemText
-                            primary={
-                              <Typography variant="body2" sx={{ fontFamily: 'monospace', fontSize: '0.8rem' }}>
-                                {output.address || 'Unknown Address'}
-                              </Typography>
-                            }
-                            secondary={
-                              <Typography variant="caption" color="text.secondary">
-                                {formatDGB(output.amount)} DGB
-                                {output.type && ` (${output.type})`}
-                              </Typography>
-                            }
-                          />
-                        </ListItem>
-                      ))
-                    ) : (
-                      <ListItem sx={{ pl: 0 }}>
-                        <ListItemText 
-                          primary={
-                            <Typography variant="body2" color="text.secondary">
-                              No output data available
-                            </Typography>
-                          }
-                        />
-                      </ListItem>
-                    )}
-                  </List>
-                </Grid>
-                
-                <Grid item xs={12}>
-                  <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mt: 1 }}>
-                    <Typography variant="caption" color="text.secondary">
-                      <strong>Fee Rate:</strong> {transaction.fee_rate || Math.round((transaction.fee * 100000000) / (transaction.vsize || transaction.size))} sat/vB
-                    </Typography>
-                    {transaction.descendantcount !== undefined && (
-                      <Typography variant="caption" color="text.secondary">
-                        <strong>Descendants:</strong> {transaction.descendantcount} ({transaction.descendantsize} vB)
-                      </Typography>
-                    )}
-                    {transaction.ancestorcount !== undefined && (
-                      <Typography variant="caption" color="text.secondary">
-                        <strong>Ancestors:</strong> {transaction.ancestorcount} ({transaction.ancestorsize} vB)
-                      </Typography>
-                    )}
-                    {isConfirmed && transaction.blockhash && (
-                      <Typography variant="caption" color="text.secondary">
-                        <strong>Block:</strong> {transaction.blockheight} ({transaction.blockhash.substring(0, 10)}...)
-                      </Typography>
-                    )}
-                  </Box>
-                </Grid>
-              </Grid>
-            </Collapse>
-          </CardContent>
-        </Card>
-      </Grid>
-    </Zoom>
+                )}
+                {isConfirmed && transaction.blockhash && (
+                  <Typography variant="caption" color="text.secondary">
+                    <strong>Block:</strong> {transaction.blockheight} ({transaction.blockhash.substring(0, 10)}...)
+                  </Typography>
+                )}
+              </Box>
+            </Grid>
+          </Grid>
+        </Collapse>
+      </CardContent>
+    </Card>
   );
 };
 
 /**
- * Section header component with educational explanations
+ * Section header component with educational explanations; `action` sits at
+ * the end of the title row (the section's Export menu)
  */
-const SectionHeader = ({ title, subtitle, icon: Icon, explanation }) => (
+const SectionHeader = ({ title, subtitle, icon: Icon, explanation, action }) => (
   <Box sx={{ mb: 3 }}>
-    <Typography 
-      variant="h4" 
-      component="h2" 
-      fontWeight="700" 
-      sx={{ 
-        color: '#002352',
-        letterSpacing: '0.5px',
-        mb: 1,
-        display: 'flex',
-        alignItems: 'center'
-      }}
-    >
-      {Icon && <Icon sx={{ mr: 2, fontSize: '2rem' }} />}
-      {title}
-    </Typography>
+    <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: 1, mb: 1 }}>
+      <Typography 
+        variant="h4" 
+        component="h2" 
+        fontWeight="700" 
+        sx={{ 
+          color: '#002352',
+          letterSpacing: '0.5px',
+          display: 'flex',
+          alignItems: 'center'
+        }}
+      >
+        {Icon && <Icon sx={{ mr: 2, fontSize: '2rem' }} />}
+        {title}
+      </Typography>
+      {action}
+    </Box>
     {subtitle && (
       <Typography 
         variant="body1" 
@@ -837,9 +835,10 @@ const SectionHeader = ({ title, subtitle, icon: Icon, explanation }) => (
       <Box sx={{ 
         ml: Icon ? 6 : 0, 
         p: 2, 
-        bgcolor: '#f8f9fa', 
+        bgcolor: 'background.subtle', 
         borderRadius: 1, 
-        border: '1px solid #e9ecef',
+        border: '1px solid',
+        borderColor: 'divider',
         mt: 1
       }}>
         <Typography variant="body2" color="text.secondary">
@@ -850,85 +849,6 @@ const SectionHeader = ({ title, subtitle, icon: Icon, explanation }) => (
   </Box>
 );
 
-/**
- * Pagination controls component
- * Handles navigation between pages of transactions with responsive design
- */
-const PaginationControls = ({ 
-  currentPage, 
-  totalPages, 
-  onPrevPage, 
-  onNextPage, 
-  onPageChange, 
-  isMobile, 
-  isTablet 
-}) => (
-  <Box sx={{ 
-    display: 'flex', 
-    justifyContent: 'space-between', 
-    mt: 4, 
-    flexDirection: { xs: 'column', sm: 'row' },
-    alignItems: 'center',
-    gap: 2
-  }}>
-    <Button 
-      variant="contained" 
-      onClick={onPrevPage} 
-      disabled={currentPage === 0}
-      startIcon={<ArrowBackIosNewIcon />}
-      sx={{
-        backgroundColor: '#002352',
-        '&:hover': {
-          backgroundColor: '#001a3e',
-        },
-        fontWeight: 'medium',
-        borderRadius: '8px',
-        boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
-        width: { xs: '100%', sm: 'auto' },
-      }}
-    >
-      Previous
-    </Button>
-    
-    {!isMobile && !isTablet && (
-      <Pagination 
-        count={totalPages} 
-        page={currentPage + 1} 
-        onChange={onPageChange}
-        color="primary"
-        sx={{
-          '& .MuiPaginationItem-root': {
-            fontWeight: 'medium',
-          },
-          '& .Mui-selected': {
-            backgroundColor: '#0066cc !important',
-            color: 'white',
-          }
-        }}
-      />
-    )}
-    
-    <Button 
-      variant="contained" 
-      onClick={onNextPage} 
-      disabled={currentPage >= totalPages - 1}
-      endIcon={<ArrowForwardIosIcon />}
-      sx={{
-        backgroundColor: '#0066cc',
-        '&:hover': {
-          backgroundColor: '#0055aa',
-        },
-        fontWeight: 'medium',
-        borderRadius: '8px',
-        boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
-        width: { xs: '100%', sm: 'auto' },
-      }}
-    >
-      Next
-    </Button>
-  </Box>
-);
-
 /**
  * TxsPage component - Enhanced DigiByte transaction explorer
  * 
@@ -938,12 +858,21 @@ const PaginationControls = ({
  * - Advanced filtering and sorting capabilities
  * - Expandable transaction details with input/output information
  * - Visual fee distribution and mempool statistics
+ * - Mempool count, size and median fee rate over 1h / 24h / 7d, with block arrivals
+ * - Projected next blocks by fee rate, with the searched transaction's place
+ *   in the queue
+ * - Fee recommendations per confirmation target with a session chart
+ * - Watchlist of transactions followed to a confirmation target, with notifications
  * 
  * Features:
- * - WebSocket connection for real-time updates
+ * - Shared WebSocket subscription for real-time updates
  * - Search by transaction ID
  * - Filter by priority level
  * - Sort by time, value, fee, or size
+ * - Search, filters and sort kept in the URL
+ * - Windowed lists that hold their scroll position as new transactions
+ *   arrive; large mempools are filtered and sorted in a web worker
+ * - CSV/JSON export of the filtered mempool and confirmed lists
  * - Responsive design with mobile optimization
  * - Smooth animations and transitions
  * - Accessibility features
@@ -952,13 +881,11 @@ const PaginationControls = ({
  * @returns {JSX.Element} Complete transaction explorer with real-time updates
  */
 const TxsPage = () => {
-  const { wsBaseUrl, getApiUrl, isTestnet, theme: networkTheme } = useNetwork();
+  const { getApiUrl, getNetworkPath, isTestnet, theme: networkTheme } = useNetwork();
 
   // Transaction data state management
   const [mempoolTransactions, setMempoolTransactions] = useState([]);
   const [confirmedTransactions, setConfirmedTransactions] = useState([]);
-  const [displayedMempool, setDisplayedMempool] = useState([]);
-  const [displayedConfirmed, setDisplayedConfirmed] = useState([]);
   const [mempoolStats, setMempoolStats] = useState({
     size: 0,
     bytes: 0,
@@ -969,332 +896,200 @@ const TxsPage = () => {
     totalfee: 0,
     feeDistribution: null
   });
+
+  // Latest block's confirmed transactions, animated out of the projection
+  const [minedBlock, setMinedBlock] = useState(null);
+
+  // txid → first seen in the mempool (epoch seconds), for the fee estimator
+  const [firstSeen, setFirstSeen] = useState({});
   
-  // Search and filter state
-  const [searchTerm, setSearchTerm] = useState('');
-  const [filterPriority, setFilterPriority] = useState('all');
-  const [sortBy, setSortBy] = useState('time');
-  
-  // Pagination state
-  const [mempoolPage, setMempoolPage] = useState(0);
-  const [confirmedPage, setConfirmedPage] = useState(0);
+  // Search, filter and sort (query string, see TXS_QUERY)
+  const [query, setQuery] = useQueryParams(TXS_QUERY);
+  const { q: searchTerm, priority: filterPriority, sort: sortBy } = query;
   
   // Loading states
   const [loading, setLoading] = useState(true);
   const [confirmedLoading, setConfirmedLoading] = useState(true);
   
-  // WebSocket ref and reconnection state
-  const wsRef = useRef(null);
-  const reconnectTimeoutRef = useRef(null);
-  const reconnectAttemptsRef = useRef(0);
-  
-  // Connection state
-  const [isConnected, setIsConnected] = useState(false);
+  // Connection state of the shared WebSocket
+  const isConnected = useWsStatus() === 'open';
   
   // Responsive design hooks
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
-  const isTablet = useMediaQuery(theme.breakpoints.down('md'));
 
   /**
-   * Filter and sort transactions based on current state
+   * The controls update immediately; the lists re-filter from these deferred
+   * copies in an interruptible render, so typing stays responsive while the
+   * feed is busy. `isFilterPending` dims the lists until they catch up.
    */
-  const filterAndSortTransactions = useCallback((transactions) => {
-    let filtered = [...transactions];
-    
-    // Apply search filter
-    if (searchTerm) {
-      filtered = filtered.filter(tx => 
-        tx.txid.toLowerCase().includes(searchTerm.toLowerCase())
-      );
-    }
-    
-    // Apply priority filter
-    if (filterPriority !== 'all') {
-      filtered = filtered.filter(tx => tx.priority === filterPriority);
-    }
-    
-    // Apply sorting
-    filtered.sort((a, b) => {
-      switch (sortBy) {
-        case 'value':
-          const aValue = a.value || calculateTotalValue(a.outputs);
-          const bValue = b.value || calculateTotalValue(b.outputs);
-          return bValue - aValue;
-        case 'fee':
-          return (b.fee || 0) - (a.fee || 0);
-        case 'size':
-          return (b.vsize || b.size || 0) - (a.vsize || a.size || 0);
-        case 'time':
-        default:
-          return (b.time || b.blocktime || 0) - (a.time || a.blocktime || 0);
-      }
-    });
-    
-    return filtered;
-  }, [searchTerm, filterPriority, sortBy]);
+  const deferredSearchTerm = useDeferredValue(searchTerm);
+  const deferredFilterPriority = useDeferredValue(filterPriority);
+  const deferredSortBy = useDeferredValue(sortBy);
+  const filterOptions = { search: deferredSearchTerm, priority: deferredFilterPriority, sort: deferredSortBy };
 
   /**
-   * Memoized filtered transactions
+   * Filtered and sorted lists (hooks/useFilteredTransactions): in a web
+   * worker once the mempool is large, so a busy feed does not block input.
    */
-  const filteredMempool = useMemo(() => 
-    filterAndSortTransactions(mempoolTransactions), 
-    [mempoolTransactions, filterAndSortTransactions]
-  );
-  
-  const filteredConfirmed = useMemo(() => 
-    filterAndSortTransactions(confirmedTransactions), 
-    [confirmedTransactions, filterAndSortTransactions]
-  );
+  const mempoolView = useFilteredTransactions(mempoolTransactions, filterOptions);
+  const confirmedView = useFilteredTransactions(confirmedTransactions, filterOptions);
+  const filteredMempool = mempoolView.transactions;
+  const filteredConfirmed = confirmedView.transactions;
+
+  const isFilterPending = deferredSearchTerm !== searchTerm
+    || deferredFilterPriority !== filterPriority
+    || deferredSortBy !== sortBy
+    || mempoolView.pending
+    || confirmedView.pending;
 
   // No fallback to demo data - only show real blockchain data
 
   /**
-   * WebSocket connection setup with automatic reconnection
-   * Handles initial connection, reconnection logic, and cleanup
+   * Real-time transaction feed over the network's shared WebSocket.
+   * Reconnection is handled by the shared client. Updates are transitions:
+   * React batches a burst of messages and lets input interrupt the re-render.
    */
-  useEffect(() => {
-    let isMounted = true;
-
-    const connectWebSocket = () => {
-      if (!isMounted) return;
-
-      const socket = new WebSocket(wsBaseUrl);
-      wsRef.current = socket;
-
+  useWsMessage([
+    'mempool',
+    'recentTransactions',
+    'newTransaction',
+    'transactionConfirmed',
+    'confirmedTransaction',
+    'removedTransaction'
+  ], (message) => startTransition(() => {
+    if (message.type === 'mempool') {
       /**
-       * WebSocket connection opened successfully
+       * Process enhanced mempool data
+       * Includes fee distribution and total value
        */
-      socket.onopen = () => {
-        console.log('WebSocket connection established for transactions page');
-        reconnectAttemptsRef.current = 0;
-        setIsConnected(true);
-        
-        // Server will immediately send cached data (mempool & confirmed transactions)
-        // If no data arrives within 2 seconds, show empty state
-        setTimeout(() => {
-          if (loading) {
-            console.log('No initial data received, showing empty state');
-            setLoading(false);
-          }
-          if (confirmedLoading) {
-            setConfirmedLoading(false);
-          }
-        }, 2000);
-      };
-
+      console.log('Live mempool data received:', message.data);
+      setMempoolStats(message.data.stats || {});
+      setMempoolTransactions(message.data.transactions || []);
+      setFirstSeen((prev) => recordFirstSeen(prev, message.data.transactions));
+      setLoading(false);
+    } else if (message.type === 'recentTransactions') {
       /**
-       * Handle incoming WebSocket messages with transaction data
-       * @param {MessageEvent} event - WebSocket message event
+       * Process recent confirmed transactions
+       * Shows individual transactions with confirmation counts
        */
-      socket.onmessage = (event) => {
-        try {
-          const message = JSON.parse(event.data);
-
-          if (message.type === 'mempool') {
-            /**
-             * Process enhanced mempool data
-             * Includes fee distribution and total value
-             */
-            console.log('Live mempool data received:', message.data);
-            setMempoolStats(message.data.stats || {});
-            setMempoolTransactions(message.data.transactions || []);
-            setLoading(false);
-          } else if (message.type === 'recentTransactions') {
-            /**
-             * Process recent confirmed transactions
-             * Shows individual transactions with confirmation counts
-             */
-            console.log('✅ Received recent confirmed transactions:', message.data?.length || 0);
-            setConfirmedTransactions(message.data || []);
-            setConfirmedLoading(false);
-            
-            // Log transaction details for debugging
-            if (message.data && message.data.length > 0) {
-              console.log(`   Latest confirmed tx: ${message.data[0].txid?.substring(0, 16)}...`);
-              console.log(`   Block height: ${message.data[0].blockHeight}`);
-              console.log(`   Confirmations: ${message.data[0].confirmations}`);
-            }
-          } else if (message.type === 'newTransaction') {
-            /**
-             * Handle real-time new transaction
-             * Prepends new transaction with animation
-             */
-            setMempoolTransactions((prevTxs) => [message.data, ...prevTxs]);
-            // Update stats
-            setMempoolStats((prevStats) => ({
-              ...prevStats,
-              size: prevStats.size + 1,
-              bytes: prevStats.bytes + (message.data.vsize || message.data.size || 0),
-              totalfee: prevStats.totalfee + (message.data.fee || 0)
-            }));
-          } else if (message.type === 'transactionConfirmed') {
-            /**
-             * Handle bulk transaction confirmations from new block
-             * Moves multiple transactions from mempool to confirmed list
-             */
-            const { transactions: confirmedTxs, blockHeight, blockHash } = message.data;
-            console.log(`🔄 Moving ${confirmedTxs.length} transactions from mempool to confirmed (block ${blockHeight})`);
-            
-            // Remove confirmed transactions from mempool
-            const confirmedTxIds = confirmedTxs.map(tx => tx.txid);
-            setMempoolTransactions((prevTxs) => 
-              prevTxs.filter(tx => !confirmedTxIds.includes(tx.txid))
-            );
-            
-            // Add to confirmed transactions list
-            setConfirmedTransactions((prevTxs) => [...confirmedTxs, ...prevTxs.slice(0, 10 - confirmedTxs.length)]);
-            
-            // Update mempool stats
-            setMempoolStats((prevStats) => ({
-              ...prevStats,
-              size: Math.max(0, prevStats.size - confirmedTxs.length),
-              totalfee: Math.max(0, prevStats.totalfee - confirmedTxs.reduce((sum, tx) => sum + (tx.fee || 0), 0))
-            }));
-            
-          } else if (message.type === 'confirmedTransaction') {
-            /**
-             * Handle single transaction confirmation (legacy support)
-             * Moves from mempool to confirmed list
-             */
-            const confirmedTx = message.data;
-            setMempoolTransactions((prevTxs) => 
-              prevTxs.filter(tx => tx.txid !== confirmedTx.txid)
-            );
-            // Add to confirmed transactions if we have the full data
-            if (confirmedTx.inputs && confirmedTx.outputs) {
-              setConfirmedTransactions((prevTxs) => [confirmedTx, ...prevTxs]);
-            }
-          } else if (message.type === 'removedTransaction') {
-            /**
-             * Handle transaction removal (confirmed in block)
-             * Removes transaction from mempool
-             */
-            setMempoolTransactions((prevTxs) => 
-              prevTxs.filter(tx => tx.txid !== message.data.txid)
-            );
-          } else if (message.type === 'recentBlocks') {
-            /**
-             * Fallback for basic block data
-             * Extract transactions from recent blocks if detailed tx data not available
-             */
-            console.log('Recent blocks received:', message.data?.length || 0);
-            // Don't use blocks as fallback for transactions
-          }
-        } catch (error) {
-          console.error('Error parsing WebSocket message:', error);
-        }
-      };
+      console.log('✅ Received recent confirmed transactions:', message.data?.length || 0);
+      setConfirmedTransactions(message.data || []);
+      setConfirmedLoading(false);
 
+      // Log transaction details for debugging
+      if (message.data && message.data.length > 0) {
+        console.log(`   Latest confirmed tx: ${message.data[0].txid?.substring(0, 16)}...`);
+        console.log(`   Block height: ${message.data[0].blockHeight}`);
+        console.log(`   Confirmations: ${message.data[0].confirmations}`);
+      }
+    } else if (message.type === 'newTransaction') {
       /**
-       * Handle WebSocket errors
+       * Handle real-time new transaction
+       * Prepends it (the list keeps the reader's scroll position)
        */
-      socket.onerror = (error) => {
-        console.error('WebSocket error:', error);
-      };
-
+      setMempoolTransactions((prevTxs) => [message.data, ...prevTxs]);
+      setFirstSeen((prev) => recordFirstSeen(prev, [message.data]));
+      // Update stats
+      setMempoolStats((prevStats) => ({
+        ...prevStats,
+        size: prevStats.size + 1,
+        bytes: prevStats.bytes + (message.data.vsize || message.data.size || 0),
+        totalfee: prevStats.totalfee + (message.data.fee || 0)
+      }));
+    } else if (message.type === 'transactionConfirmed') {
       /**
-       * Handle WebSocket connection closure with reconnection logic
+       * Handle bulk transaction confirmations from new block
+       * Moves multiple transactions from mempool to confirmed list
        */
-      socket.onclose = () => {
-        console.log('WebSocket disconnected - attempting reconnection...');
-        wsRef.current = null;
-        setIsConnected(false);
+      const { transactions: confirmedTxs, blockHeight, blockHash } = message.data;
+      console.log(`🔄 Moving ${confirmedTxs.length} transactions from mempool to confirmed (block ${blockHeight})`);
 
-        if (isMounted) {
-          // Exponential backoff for reconnection
-          const timeout = Math.min(1000 * Math.pow(2, reconnectAttemptsRef.current), 30000);
-          reconnectAttemptsRef.current++;
-          
-          reconnectTimeoutRef.current = setTimeout(() => {
-            if (isMounted) {
-              connectWebSocket();
-            }
-          }, timeout);
-        }
-      };
-    };
+      // Remove confirmed transactions from mempool
+      const confirmedTxIds = confirmedTxs.map(tx => tx.txid);
+      // The mempool copies carry the fee rates the projection was drawn with
+      const minedTxs = mempoolTransactions.filter(tx => confirmedTxIds.includes(tx.txid));
+      setMinedBlock({ height: blockHeight, transactions: minedTxs.length ? minedTxs : confirmedTxs });
+      setMempoolTransactions((prevTxs) => 
+        prevTxs.filter(tx => !confirmedTxIds.includes(tx.txid))
+      );
 
-    // Initial connection
-    connectWebSocket();
+      // Add to confirmed transactions list; the block arrived now if it
+      // carries no time (the fee estimator measures waits up to it)
+      const arrivedAt = Math.floor(Date.now() / 1000);
+      const stampedTxs = confirmedTxs.map((tx) => (tx.blocktime ? tx : { ...tx, blocktime: arrivedAt }));
+      setConfirmedTransactions((prevTxs) => [...stampedTxs, ...prevTxs.slice(0, 10 - confirmedTxs.length)]);
 
-    /**
-     * Cleanup function to properly close WebSocket connection
-     * and clear reconnection timeouts
-     */
-    return () => {
-      isMounted = false;
-      
-      if (reconnectTimeoutRef.current) {
-        clearTimeout(reconnectTimeoutRef.current);
-      }
-      
-      if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
-        wsRef.current.close();
-      }
-    };
-  }, [wsBaseUrl]);
-
-  /**
-   * Pagination effect for mempool transactions
-   * Shows 20 transactions per page
-   */
-  useEffect(() => {
-    const TRANSACTIONS_PER_PAGE = 20;
-    const startIndex = mempoolPage * TRANSACTIONS_PER_PAGE;
-    const endIndex = startIndex + TRANSACTIONS_PER_PAGE;
-    setDisplayedMempool(filteredMempool.slice(startIndex, endIndex));
-  }, [filteredMempool, mempoolPage]);
+      // Update mempool stats
+      setMempoolStats((prevStats) => ({
+        ...prevStats,
+        size: Math.max(0, prevStats.size - confirmedTxs.length),
+        totalfee: Math.max(0, prevStats.totalfee - confirmedTxs.reduce((sum, tx) => sum + (tx.fee || 0), 0))
+      }));
 
-  /**
-   * Pagination effect for confirmed transactions
-   */
-  useEffect(() => {
-    const TRANSACTIONS_PER_PAGE = 20;
-    const startIndex = confirmedPage * TRANSACTIONS_PER_PAGE;
-    const endIndex = startIndex + TRANSACTIONS_PER_PAGE;
-    setDisplayedConfirmed(filteredConfirmed.slice(startIndex, endIndex));
-  }, [filteredConfirmed, confirmedPage]);
+    } else if (message.type === 'confirmedTransaction') {
+      /**
+       * Handle single transaction confirmation (legacy support)
+       * Moves from mempool to confirmed list
+       */
+      const confirmedTx = message.data;
+      setMempoolTransactions((prevTxs) => 
+        prevTxs.filter(tx => tx.txid !== confirmedTx.txid)
+      );
+      // Add to confirmed transactions if we have the full data
+      if (confirmedTx.inputs && confirmedTx.outputs) {
+        setConfirmedTransactions((prevTxs) => [confirmedTx, ...prevTxs]);
+      }
+    } else if (message.type === 'removedTransaction') {
+      /**
+       * Handle transaction removal (confirmed in block)
+       * Removes transaction from mempool
+       */
+      setMempoolTransactions((prevTxs) => 
+        prevTxs.filter(tx => tx.txid !== message.data.txid)
+      );
+    }
+  }));
 
   /**
-   * Reset page when filters change
+   * The server immediately sends cached data (mempool & confirmed transactions)
+   * once connected. If no data arrives within 2 seconds, show the empty state.
    */
   useEffect(() => {
-    setMempoolPage(0);
-    setConfirmedPage(0);
-  }, [searchTerm, filterPriority, sortBy]);
-
-  /**
-   * Pagination handlers
-   */
-  const handleMempoolPrevPage = () => setMempoolPage((prev) => prev - 1);
-  const handleMempoolNextPage = () => setMempoolPage((prev) => prev + 1);
-  const handleMempoolPageChange = (event, value) => setMempoolPage(value - 1);
-  
-  const handleConfirmedPrevPage = () => setConfirmedPage((prev) => prev - 1);
-  const handleConfirmedNextPage = () => setConfirmedPage((prev) => prev + 1);
-  const handleConfirmedPageChange = (event, value) => setConfirmedPage(value - 1);
+    if (!isConnected) return undefined;
+    const timer = setTimeout(() => {
+      setLoading(false);
+      setConfirmedLoading(false);
+    }, 2000);
+    return () => clearTimeout(timer);
+  }, [isConnected]);
 
   /**
    * Filter and sort handlers
    */
-  const handleSearchChange = (value) => setSearchTerm(value);
+  // Typing replaces the history entry rather than adding one per keystroke
+  const handleSearchChange = (value) => setQuery({ q: value }, { replace: true });
   const handleFilterChange = (event, newFilter) => {
-    if (newFilter !== null) setFilterPriority(newFilter);
+    if (newFilter !== null) setQuery({ priority: newFilter });
   };
   const handleSortChange = (event, newSort) => {
-    if (newSort !== null) setSortBy(newSort);
+    if (newSort !== null) setQuery({ sort: newSort });
   };
 
-  // Calculate total pages
-  const mempoolTotalPages = Math.ceil(filteredMempool.length / 20);
-  const confirmedTotalPages = Math.ceil(filteredConfirmed.length / 20);
+  const renderTransaction = (isConfirmed) => (transaction) => (
+    <TransactionCard
+      transaction={transaction}
+      isMobile={isMobile}
+      isConfirmed={isConfirmed}
+      to={getNetworkPath(`/tx/${transaction.txid}`)}
+    />
+  );
 
   return (
     <Box 
       sx={{ 
         py: 4, 
-        backgroundImage: 'linear-gradient(to bottom, #f8f9fa, #ffffff)',
+        backgroundImage: (theme) => theme.palette.background.page,
         minHeight: '100vh'
       }}
     >
@@ -1313,7 +1108,7 @@ const TxsPage = () => {
         </Box>
 
         {loading ? (
-          <LoadingCard />
+          <LoadingCard message="Loading transaction data..." progress />
         ) : (
           <Fade in={true}>
             <Box>
@@ -1324,7 +1119,28 @@ const TxsPage = () => {
               {(mempoolStats.size > 0 || mempoolTransactions.length > 0) && (
                 <MempoolStats stats={mempoolStats} transactions={mempoolTransactions} />
               )}
+
+              <MempoolHistoryChart />
+
+              {(mempoolTransactions.length > 0 || minedBlock) && (
+                <MempoolProjection
+                  transactions={mempoolTransactions}
+                  searchTerm={deferredSearchTerm}
+                  minedBlock={minedBlock}
+                />
+              )}
+
+              {(mempoolTransactions.length > 0 || confirmedTransactions.length > 0) && (
+                <FeeEstimator
+                  transactions={mempoolTransactions}
+                  confirmed={confirmedTransactions}
+                  firstSeen={firstSeen}
+                  minFeeRate={minFeeRateFromStats(mempoolStats)}
+                />
+              )}
               
+              <TxWatchlist />
+
               <SearchAndFilter
                 searchTerm={searchTerm}
                 onSearchChange={handleSearchChange}
@@ -1341,36 +1157,20 @@ const TxsPage = () => {
                   subtitle={`${filteredMempool.length} unconfirmed transactions waiting to be included in a block`}
                   icon={PoolIcon}
                   explanation="These are live transactions that have been broadcast to the DigiByte network but haven't been confirmed yet. Higher fee rates get priority for inclusion in the next block. DigiByte's fast 15-second block times mean most transactions confirm quickly."
+                  action={<ExportMenu name="mempool" rows={filteredMempool} />}
                 />
                 
-                {displayedMempool.length === 0 ? (
+                {filteredMempool.length === 0 ? (
                   <EmptyState message={searchTerm || filterPriority !== 'all' ? "No transactions match your filters" : "No transactions in mempool"} />
                 ) : (
-                  <>
-                    <Grid container spacing={2}>
-                      {displayedMempool.map((transaction, index) => (
-                        <TransactionCard
-                          key={transaction.txid}
-                          transaction={transaction}
-                          index={index}
-                          isMobile={isMobile}
-                          isConfirmed={false}
-                        />
-                      ))}
-                    </Grid>
-
-                    {mempoolTotalPages > 1 && (
-                      <PaginationControls
-                        currentPage={mempoolPage}
-                        totalPages={mempoolTotalPages}
-                        onPrevPage={handleMempoolPrevPage}
-                        onNextPage={handleMempoolNextPage}
-                        onPageChange={handleMempoolPageChange}
-                        isMobile={isMobile}
-                        isTablet={isTablet}
-                      />
-                    )}
-                  </>
+                  <VirtualList
+                    aria-label="Mempool transactions"
+                    aria-busy={isFilterPending}
+                    items={filteredMempool}
+                    getKey={txKey}
+                    renderItem={renderTransaction(false)}
+                    sx={{ opacity: isFilterPending ? 0.6 : 1, transition: 'opacity 0.2s' }}
+                  />
                 )}
               </Box>
               
@@ -1384,6 +1184,7 @@ const TxsPage = () => {
                            "No recent confirmed transactions available"}
                   icon={CheckCircleIcon}
                   explanation="These transactions have been successfully included in mined blocks and are now permanently recorded on the DigiByte blockchain. Each confirmation represents an additional block mined on top, making the transaction more secure. 6 confirmations (~90 seconds) is considered final by most services."
+                  action={<ExportMenu name="confirmed-transactions" rows={filteredConfirmed} />}
                 />
                 
                 {confirmedLoading ? (
@@ -1394,31 +1195,14 @@ const TxsPage = () => {
                     <LinearProgress sx={{ maxWidth: 300, mx: 'auto' }} />
                   </Card>
                 ) : confirmedTransactions.length > 0 ? (
-                  <>
-                    <Grid container spacing={2}>
-                      {displayedConfirmed.map((transaction, index) => (
-                        <TransactionCard
-                          key={transaction.txid}
-                          transaction={transaction}
-                          index={index}
-                          isMobile={isMobile}
-                          isConfirmed={true}
-                        />
-                      ))}
-                    </Grid>
-
-                    {confirmedTotalPages > 1 && (
-                      <PaginationControls
-                        currentPage={confirmedPage}
-                        totalPages={confirmedTotalPages}
-                        onPrevPage={handleConfirmedPrevPage}
-                        onNextPage={handleConfirmedNextPage}
-                        onPageChange={handleConfirmedPageChange}
-                        isMobile={isMobile}
-                        isTablet={isTablet}
-                      />
-                    )}
-                  </>
+                  <VirtualList
+                    aria-label="Confirmed transactions"
+                    aria-busy={isFilterPending}
+                    items={filteredConfirmed}
+                    getKey={txKey}
+                    renderItem={renderTransaction(true)}
+                    sx={{ opacity: isFilterPending ? 0.6 : 1, transition: 'opacity 0.2s' }}
+                  />
                 ) : (
                   <Card elevation={3} sx={{ p: 4, textAlign: 'center', borderRadius: '12px' }}>
                     <Typography variant="h6" color="text.secondary" sx={{ mb: 2 }}>
@@ -4,6 +4,7 @@ import {
   Divider, Grid, Alert, Button, Select, MenuItem,
   FormControl, InputLabel, Chip
 } from '@mui/material';
+import { alpha } from '@mui/material/styles';
 import SwapHorizIcon from '@mui/icons-material/SwapHoriz';
 import SecurityIcon from '@mui/icons-material/Security';
 import UploadFileIcon from '@mui/icons-material/UploadFile';
@@ -189,7 +190,7 @@ const WalletConvertPage = () => {
             Oracle Wallet Migration Tool
           </Typography>
           <Divider sx={{ maxWidth: '150px', mx: 'auto', mb: 2, borderColor: '#4caf50', borderWidth: 2 }} />
-          <Typography variant="body1" sx={{ maxWidth: '800px', mx: 'auto', color: '#555' }}>
+          <Typography variant="body1" sx={{ maxWidth: '800px', mx: 'auto', color: 'text.secondary' }}>
             Patch the SQLite <code>application_id</code> bytes in a wallet.dat file to migrate between testnet versions.
             Use this when copying an oracle wallet from one testnet to another —
             Testnet26 (introduced in RC44 and current through v9.26.4) uses a fresh genesis, P2P port 12033, and network magic bytes <code>0xFEC6B9E7</code>,
@@ -232,7 +233,9 @@ const WalletConvertPage = () => {
               border: isDragOver
                 ? '3px dashed #4caf50'
                 : '3px dashed #c8e6c9',
-              backgroundColor: isDragOver ? '#e8f5e9' : '#fafafa',
+              backgroundColor: isDragOver
+                ? (theme) => alpha(theme.palette.success.main, 0.12)
+                : 'background.subtle',
               transition: 'all 0.2s ease',
               '&:hover': {
                 borderColor: '#4caf50',
@@ -241,7 +244,7 @@ const WalletConvertPage = () => {
             }}
           >
             <UploadFileIcon sx={{ fontSize: '4rem', color: isDragOver ? '#4caf50' : '#9e9e9e', mb: 2 }} />
-            <Typography variant="h6" sx={{ color: '#555', mb: 1 }}>
+            <Typography variant="h6" sx={{ color: 'text.secondary', mb: 1 }}>
               Drag & drop your wallet.dat here, or click to select
             </Typography>
             <Typography variant="body2" color="text.secondary">
@@ -265,7 +268,7 @@ const WalletConvertPage = () => {
           )}
 
           {fileBuffer && currentAppId !== null && (
-            <Paper elevation={1} sx={{ mt: 3, p: 3, backgroundColor: '#f8f9fa', borderRadius: '8px' }}>
+            <Paper elevation={1} sx={{ mt: 3, p: 3, backgroundColor: 'background.subtle', borderRadius: '8px' }}>
               <Typography variant="subtitle2" fontWeight="bold" sx={{ mb: 2 }}>
                 File Loaded: {fileName}
               </Typography>
@@ -393,7 +396,7 @@ const WalletConvertPage = () => {
 
           <Grid container spacing={3}>
             <Grid item xs={12} md={6}>
-              <Paper elevation={1} sx={{ p: 3, backgroundColor: '#f8f9fa', borderRadius: '8px', height: '100%' }}>
+              <Paper elevation={1} sx={{ p: 3, backgroundColor: 'background.subtle', borderRadius: '8px', height: '100%' }}>
                 <Typography variant="subtitle1" fontWeight="bold" sx={{ mb: 2 }}>
                   Step-by-Step Guide
                 </Typography>
@@ -424,7 +427,7 @@ const WalletConvertPage = () => {
             </Grid>
 
             <Grid item xs={12} md={6}>
-              <Paper elevation={1} sx={{ p: 3, backgroundColor: '#f8f9fa', borderRadius: '8px', height: '100%' }}>
+              <Paper elevation={1} sx={{ p: 3, backgroundColor: 'background.subtle', borderRadius: '8px', height: '100%' }}>
                 <Typography variant="subtitle1" fontWeight="bold" sx={{ mb: 2 }}>
                   Required: digibyte.conf Setting
                 </Typography>
@@ -475,7 +478,7 @@ const WalletConvertPage = () => {
                     textAlign: 'center',
                     borderRadius: '8px',
                     borderTop: `3px solid ${networkColor(name)}`,
-                    backgroundColor: '#f8f9fa'
+                    backgroundColor: 'background.subtle'
                   }}
                 >
                   <Typography variant="subtitle2" fontWeight="bold" sx={{ color: networkColor(name) }}>
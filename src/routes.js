@@ -0,0 +1,425 @@
+/**
+ * Route registry — the single list of pages for both networks.
+ *
+ * Everything that needs to know which pages exist reads it:
+ *
+ *   - App.js builds the mainnet and testnet <Route> trees (plus a 404 route;
+ *     the chromeless /embed/:widget routes sit outside the registry)
+ *   - Header builds the desktop menu and the grouped mobile drawer
+ *   - components/PageMeta.js and utils/pageMeta.js set per-page head tags
+ *   - scripts/generate-sitemap.mjs and scripts/prerender.mjs write
+ *     public/sitemap.xml and the prerendered HTML
+ *
+ * A route is:
+ *
+ *   id           stable key
+ *   path         mainnet path; the testnet copy lives under /testnet
+ *   page         component name, mapped to its lazy chunk in src/lazyPages.js
+ *   props        extra props for the page component
+ *   label        nav.* message key
+ *   networks     networks the page exists on
+ *   nav          NAV_GROUPS id, or null to keep it out of the menus
+ *   ogImage      Open Graph image, relative to the site root
+ *   feature      feature flag; the route disappears when the flag is disabled
+ *   title        page title and prerendered heading ({param} placeholders
+ *                are filled from the URL)
+ *   fullTitle    mainnet <title> used as is instead of SITE.titleTemplate
+ *   description  meta description
+ *   changefreq / priority / testnetPriority   sitemap hints
+ *
+ * This file is plain data with no imports so the Node build scripts can load
+ * it; page components are looked up by name in src/lazyPages.js.
+ */
+
+export const TESTNET_PREFIX = '/testnet';
+
+export const SITE = {
+  siteUrl: 'https://digibyte.io',
+  siteName: 'DigiByte Stats',
+  titleTemplate: '{title} | DigiByte Stats',
+  testnetTitleTemplate: '{title} | DigiByte Testnet Stats',
+  defaultImage: '/og-image.png',
+  defaultChangefreq: 'daily',
+  defaultPriority: 0.5,
+  defaultTestnetPriority: 0.5,
+  notFound: {
+    title: 'Page Not Found',
+    description: 'This page does not exist on DigiByte Stats.',
+  },
+};
+
+/** Menu sections, in display order. */
+export const NAV_GROUPS = [
+  { id: 'chain', label: 'nav.groups.chain' },
+  { id: 'mining', label: 'nav.groups.mining' },
+  { id: 'community', label: 'nav.groups.community' },
+  { id: 'digidollar', label: 'nav.groups.digidollar' },
+];
+
+const BOTH = ['mainnet', 'testnet'];
+const MAINNET = ['mainnet'];
+const TESTNET = ['testnet'];
+
+export const WORLD_POPULATION = 8100000000;
+
+export const ROUTES = [
+  {
+    id: 'home',
+    path: '/',
+    page: 'HomePage',
+    label: 'nav.home',
+    networks: BOTH,
+    nav: 'chain',
+    title: 'Real-time DGB Network Analytics',
+    fullTitle: 'DigiByte Blockchain Stats | Real-time DGB Network Analytics',
+    description: 'Real-time DigiByte blockchain statistics, network analytics, and visualizations. Track blocks, transactions, hashrate, mining algorithms, node distribution, and supply data.',
+    changefreq: 'hourly',
+    priority: 1.0,
+    testnetPriority: 0.6,
+  },
+  {
+    id: 'blocks',
+    path: '/blocks',
+    page: 'BlocksPage',
+    label: 'nav.blocks',
+    networks: BOTH,
+    nav: 'chain',
+    ogImage: '/og-images/og-blocks.png',
+    title: 'Latest Blocks',
+    description: 'The latest DigiByte blocks as they are mined: height, mining algorithm, pool, transaction count and time between blocks.',
+    changefreq: 'always',
+    priority: 0.9,
+  },
+  {
+    id: 'block',
+    path: '/block/:hashOrHeight',
+    page: 'BlockPage',
+    label: 'nav.block',
+    networks: BOTH,
+    nav: null,
+    ogImage: '/og-images/og-blocks.png',
+    title: 'Block {hashOrHeight}',
+    description: 'DigiByte block {hashOrHeight}: header, mining algorithm, reward and the transactions it contains.',
+  },
+  {
+    id: 'tx',
+    path: '/tx/:txid',
+    page: 'TxPage',
+    label: 'nav.tx',
+    networks: BOTH,
+    nav: null,
+    ogImage: '/og-images/og-blocks.png',
+    title: 'Transaction {txid}',
+    description: 'DigiByte transaction {txid}: inputs, outputs, fee and confirmations.',
+  },
+  {
+    id: 'address',
+    path: '/address/:addr',
+    page: 'AddressPage',
+    label: 'nav.address',
+    networks: BOTH,
+    nav: null,
+    ogImage: '/og-images/og-blocks.png',
+    title: 'Address {addr}',
+    description: 'DigiByte address {addr}: balance, unspent outputs, transaction history and blocks mined.',
+  },
+  {
+    id: 'tips',
+    path: '/tips',
+    page: 'ChainTipsPage',
+    label: 'nav.tips',
+    networks: BOTH,
+    nav: 'chain',
+    ogImage: '/og-images/og-blocks.png',
+    title: 'Chain Tips & Forks',
+    description: 'Live DigiByte chain tips: the active chain, competing forks and orphaned blocks, with a fork-risk level.',
+    changefreq: 'always',
+    priority: 0.8,
+  },
+  {
+    id: 'txs',
+    path: '/txs',
+    page: 'TxsPage',
+    label: 'nav.txs',
+    networks: BOTH,
+    nav: 'chain',
+    ogImage: '/og-images/og-blocks.png',
+    title: 'Transactions & Mempool',
+    description: 'Recent confirmed DigiByte transactions and the live mempool, with fees and sizes.',
+    changefreq: 'always',
+    priority: 0.9,
+  },
+  {
+    id: 'supply',
+    path: '/supply',
+    page: 'SupplyPage',
+    props: { worldPopulation: WORLD_POPULATION },
+    label: 'nav.supply',
+    networks: BOTH,
+    nav: 'chain',
+    ogImage: '/og-images/og-supply.png',
+    title: 'DGB Supply',
+    description: 'DigiByte circulating supply, the 21 billion DGB cap, emission schedule and DGB per person.',
+    changefreq: 'daily',
+    priority: 0.8,
+  },
+  {
+    id: 'algos',
+    path: '/algos',
+    page: 'AlgosPage',
+    label: 'nav.algos',
+    networks: BOTH,
+    nav: 'mining',
+    title: 'Mining Algorithms',
+    description: 'Share of recent DigiByte blocks mined by each of the five algorithms: SHA256, Scrypt, Skein, Qubit and Odocrypt.',
+    changefreq: 'hourly',
+    priority: 0.8,
+  },
+  {
+    id: 'difficulties',
+    path: '/difficulties',
+    page: 'DifficultiesPage',
+    label: 'nav.difficulties',
+    networks: BOTH,
+    nav: 'mining',
+    title: 'Mining Difficulties',
+    description: 'Current DigiByte mining difficulty for each of the five algorithms.',
+    changefreq: 'hourly',
+    priority: 0.8,
+  },
+  {
+    id: 'hashrate',
+    path: '/hashrate',
+    page: 'HashratePage',
+    label: 'nav.hashrate',
+    networks: BOTH,
+    nav: 'mining',
+    title: 'Hashrate by Algorithm',
+    description: 'Estimated DigiByte network hashrate for each mining algorithm.',
+    changefreq: 'hourly',
+    priority: 0.8,
+  },
+  {
+    id: 'pools',
+    path: '/pools',
+    page: 'PoolsPage',
+    label: 'nav.pools',
+    networks: MAINNET,
+    nav: 'mining',
+    title: 'Mining Pools',
+    description: 'Which pools and solo miners found recent DigiByte blocks, by algorithm.',
+    changefreq: 'hourly',
+    priority: 0.7,
+  },
+  {
+    id: 'poolUpgrades',
+    path: '/pool-upgrades',
+    page: 'PoolUpgradeTrackerPage',
+    label: 'nav.upgrades',
+    networks: BOTH,
+    nav: 'mining',
+    title: 'Pool Upgrade Tracker',
+    description: 'Which DigiByte mining pools attach DigiDollar oracle bundles to the blocks they mine.',
+    changefreq: 'hourly',
+    priority: 0.7,
+    testnetPriority: 0.4,
+  },
+  {
+    id: 'nodes',
+    path: '/nodes',
+    page: 'NodesPage',
+    label: 'nav.nodes',
+    networks: BOTH,
+    nav: 'community',
+    ogImage: '/og-images/og-nodes.png',
+    title: 'Node Map',
+    description: 'Reachable DigiByte nodes on a world map, with versions and countries.',
+    changefreq: 'daily',
+    priority: 0.8,
+  },
+  {
+    id: 'downloads',
+    path: '/downloads',
+    page: 'DownloadsPage',
+    label: 'nav.downloads',
+    networks: MAINNET,
+    nav: 'community',
+    title: 'Downloads',
+    description: 'Download counts for DigiByte Core releases across platforms.',
+    changefreq: 'weekly',
+    priority: 0.7,
+  },
+  {
+    id: 'roadmap',
+    path: '/roadmap',
+    page: 'RoadmapPage',
+    label: 'nav.roadmap',
+    networks: MAINNET,
+    nav: 'community',
+    title: 'Roadmap',
+    description: 'The DigiByte roadmap: shipped milestones and planned work through 2035.',
+    changefreq: 'weekly',
+    priority: 0.7,
+  },
+  {
+    // Generator for the iframe widgets served chromeless at /embed/:widget
+    // (src/utils/embed.js); the widget routes themselves live in App.js.
+    id: 'embed',
+    path: '/embed',
+    page: 'EmbedGeneratorPage',
+    label: 'nav.embed',
+    networks: BOTH,
+    nav: 'community',
+    title: 'Embed Widgets',
+    description: 'Live DigiByte widgets for your own site: block height, oracle price, DigiDollar supply, hashrate and fork risk, with a copy-and-paste iframe snippet.',
+    changefreq: 'monthly',
+    priority: 0.5,
+    testnetPriority: 0.3,
+  },
+  {
+    id: 'digidollar',
+    path: '/digidollar',
+    page: 'DigiDollarPage',
+    label: 'nav.digidollar',
+    networks: BOTH,
+    nav: 'digidollar',
+    feature: 'digidollar',
+    title: 'DigiDollar',
+    description: 'How DigiDollar works: a decentralized stablecoin minted against time-locked DGB on the DigiByte blockchain.',
+    changefreq: 'daily',
+    priority: 0.7,
+  },
+  {
+    id: 'activation',
+    path: '/activation',
+    page: 'DDActivationPage',
+    label: 'nav.activation',
+    networks: BOTH,
+    nav: 'digidollar',
+    feature: 'digidollar',
+    title: 'DigiDollar Activation',
+    description: 'DigiDollar soft-fork activation: BIP9 deployment state, signalling blocks and threshold.',
+    changefreq: 'hourly',
+    priority: 0.7,
+  },
+  {
+    id: 'oracles',
+    path: '/oracles',
+    page: 'OraclesPage',
+    label: 'nav.oracles',
+    networks: BOTH,
+    nav: 'digidollar',
+    feature: 'digidollar',
+    title: 'DigiDollar Oracles',
+    description: "DigiDollar oracle price feeds: the consensus DGB price, each oracle's report and its freshness.",
+    changefreq: 'hourly',
+    priority: 0.7,
+  },
+  {
+    id: 'ddstats',
+    path: '/ddstats',
+    page: 'DDStatsPage',
+    label: 'nav.ddStats',
+    networks: BOTH,
+    nav: 'digidollar',
+    feature: 'digidollar',
+    title: 'DigiDollar Stats',
+    description: 'DigiDollar network statistics: DGB locked, DigiDollars in circulation and system health.',
+    changefreq: 'hourly',
+    priority: 0.7,
+  },
+  {
+    // Testnet tool for moving wallets across resets; shared by direct link.
+    id: 'convert',
+    path: '/convert',
+    page: 'WalletConvertPage',
+    label: 'nav.convert',
+    networks: TESTNET,
+    nav: null,
+    feature: 'walletConvert',
+    title: 'Wallet Converter',
+    description: 'Move a DigiByte wallet file to the current testnet by rewriting its network application ID.',
+    changefreq: 'monthly',
+    testnetPriority: 0.4,
+  },
+  {
+    // Taproot activated long ago; kept for existing links, not in the menus.
+    id: 'taproot',
+    path: '/taproot',
+    page: 'TaprootPage',
+    label: 'nav.taproot',
+    networks: BOTH,
+    nav: null,
+    feature: 'taproot',
+    title: 'Taproot',
+    description: 'Taproot soft-fork activation status on DigiByte.',
+    changefreq: 'weekly',
+    priority: 0.6,
+    testnetPriority: 0.4,
+  },
+];
+
+/**
+ * Feature flags switched off for this build, from the comma-separated
+ * REACT_APP_DISABLED_FEATURES (e.g. "taproot,walletConvert"). Build-time, so
+ * the app, sitemap and prerendered pages always agree.
+ *
+ * @returns {Set<string>}
+ */
+export const disabledFeatures = () => new Set(
+  (process.env.REACT_APP_DISABLED_FEATURES || '')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean)
+);
+
+/**
+ * Whether a route's feature flag (if any) is on.
+ *
+ * @param {Object} route - A ROUTES entry
+ * @param {Set<string>} [disabled]
+ * @returns {boolean}
+ */
+export const isRouteEnabled = (route, disabled = disabledFeatures()) => (
+  !route.feature || !disabled.has(route.feature)
+);
+
+/**
+ * Enabled routes of one network, in registry order.
+ *
+ * @param {'mainnet'|'testnet'} network
+ * @param {Set<string>} [disabled]
+ * @returns {Array<Object>}
+ */
+export const routesFor = (network, disabled = disabledFeatures()) => ROUTES.filter((route) => (
+  route.networks.includes(network) && isRouteEnabled(route, disabled)
+));
+
+/**
+ * Full URL path of a registry path on a network.
+ *
+ * @param {string} path - Mainnet path, e.g. '/blocks'
+ * @param {'mainnet'|'testnet'} network
+ * @returns {string} - e.g. '/testnet/blocks'
+ */
+export const networkPath = (path, network) => {
+  if (network !== 'testnet') return path;
+  return path === '/' ? TESTNET_PREFIX : `${TESTNET_PREFIX}${path}`;
+};
+
+/**
+ * Menu sections of one network: NAV_GROUPS with their enabled routes, empty
+ * sections dropped.
+ *
+ * @param {'mainnet'|'testnet'} network
+ * @param {Set<string>} [disabled]
+ * @returns {Array<{ id: string, label: string, routes: Array<Object> }>}
+ */
+export const navGroupsFor = (network, disabled = disabledFeatures()) => {
+  const routes = routesFor(network, disabled);
+  return NAV_GROUPS
+    .map((group) => ({ ...group, routes: routes.filter((route) => route.nav === group.id) }))
+    .filter((group) => group.routes.length > 0);
+};
+
+export default ROUTES;
@@ -1,6 +1,5 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { screen, fireEvent, waitFor } from '@testing-library/react';
-import { act } from 'react-dom/test-utils';
+import { screen, fireEvent, waitFor, act } from '@testing-library/react';
 import fs from 'fs';
 import path from 'path';
 import WalletConvertPage, {
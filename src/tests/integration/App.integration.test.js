@@ -1,6 +1,7 @@
-import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach } from 'vitest';
 import { screen, fireEvent, waitFor, render } from '@testing-library/react';
 import App from '../../App';
+import { PAGE_NAMES, loadPage } from '../../lazyPages';
 import { createWebSocketMock, waitForAsync } from '../utils/testUtils';
 import { mockApiResponses, generateWebSocketMessage } from '../mocks/mockData';
 
@@ -11,14 +12,6 @@ function renderApp(options = {}) {
   return render(<App />);
 }
 
-// Mock the config
-vi.mock('../../config', () => ({
-  default: {
-    apiBaseUrl: 'http://localhost:5001',
-    wsBaseUrl: 'ws://localhost:5002'
-  }
-}));
-
 // Mock Material-UI's useMediaQuery for mobile tests
 let isMobileView = false;
 
@@ -61,6 +54,12 @@ describe('App Integration Tests', () => {
   let mockWebSocket;
   let webSocketInstances;
 
+  // Routes render lazy page chunks; resolve them all once up front so the
+  // tests wait on rendering rather than on module loading.
+  beforeAll(async () => {
+    await Promise.all(PAGE_NAMES.map(loadPage));
+  }, 60000);
+
   beforeEach(() => {
     // Setup WebSocket mock
     wsSetup = createWebSocketMock();
@@ -94,8 +93,10 @@ describe('App Integration Tests', () => {
     it('should navigate between pages using header links', async () => {
       renderApp();
       
-      // Should start on home page
-      expect(screen.getByText('DigiByte Blockchain Statistics')).toBeInTheDocument();
+      // Should start on home page (its chunk loads lazily)
+      await waitFor(() => {
+        expect(screen.getByText('DigiByte Blockchain Statistics')).toBeInTheDocument();
+      });
       
       // Navigate to Nodes page
       const nodesLink = screen.getByRole('link', { name: /nodes/i });
@@ -114,10 +115,12 @@ describe('App Integration Tests', () => {
       });
     });
 
-    it('should handle direct URL navigation', () => {
+    it('should handle direct URL navigation', async () => {
       renderApp({ route: '/supply' });
       
-      expect(screen.getByText('DigiByte Supply Statistics')).toBeInTheDocument();
+      await waitFor(() => {
+        expect(screen.getByText('DigiByte Supply Statistics')).toBeInTheDocument();
+      });
     });
 
     it('should maintain WebSocket connections across navigation', async () => {
@@ -125,11 +128,10 @@ describe('App Integration Tests', () => {
       
       await waitForAsync();
 
-      // Two WebSockets: one for the home page and one for the site-wide
+      // One shared WebSocket carries both the home page and the site-wide
       // fork-alert banner mounted in the layout.
-      expect(webSocketInstances.length).toBe(2);
-      // The page's socket is the last one created at initial render.
-      const pageWs = webSocketInstances[webSocketInstances.length - 1];
+      expect(webSocketInstances.length).toBe(1);
+      const sharedWs = webSocketInstances[0];
 
       // Navigate to another page
       const nodesLink = screen.getByRole('link', { name: /nodes/i });
@@ -137,13 +139,9 @@ describe('App Integration Tests', () => {
 
       await waitForAsync();
 
-      // The page WebSocket should be closed after navigating away (the banner
-      // socket persists with the layout).
-      expect(pageWs.readyState).toBe(WebSocket.CLOSED);
-
-      // A new page WebSocket should be created and open.
-      const newPageWs = webSocketInstances[webSocketInstances.length - 1];
-      expect(newPageWs.readyState).toBe(WebSocket.OPEN);
+      // The new page reuses the open connection instead of opening its own.
+      expect(webSocketInstances.length).toBe(1);
+      expect(sharedWs.readyState).toBe(WebSocket.OPEN);
     });
   });
 
@@ -161,13 +159,39 @@ describe('App Integration Tests', () => {
     it.each(routes)('renders $route with the correct network feed', async ({ route, title, wsUrl }) => {
       renderApp({ route });
 
-      expect(screen.getByText(title)).toBeInTheDocument();
+      await waitFor(() => {
+        expect(screen.getByText(title)).toBeInTheDocument();
+      });
 
       await waitForAsync();
       expect(webSocketInstances[0].url).toBe(wsUrl);
     });
   });
 
+  describe('Embed Widgets', () => {
+    it('renders /embed/:widget without the site header and footer', async () => {
+      renderApp({ route: '/embed/hashrate?network=testnet' });
+
+      await waitFor(() => {
+        expect(screen.getByText('Hashrate by Algorithm')).toBeInTheDocument();
+      });
+      expect(screen.queryByRole('banner')).not.toBeInTheDocument();
+      expect(screen.queryByRole('contentinfo')).not.toBeInTheDocument();
+
+      await waitForAsync();
+      expect(webSocketInstances[0].url).toBe('ws://localhost:5003');
+    });
+
+    it('keeps the generator page inside the site layout', async () => {
+      renderApp({ route: '/embed' });
+
+      await waitFor(() => {
+        expect(screen.getByRole('heading', { level: 1, name: 'Embed Widgets' })).toBeInTheDocument();
+      });
+      expect(screen.getByRole('banner')).toBeInTheDocument();
+    });
+  });
+
   describe('Data Flow', () => {
     it('should share theme across all pages', async () => {
       renderApp();
@@ -235,11 +259,10 @@ describe('App Integration Tests', () => {
       // Navigate to a non-existent route
       renderApp({ route: '/non-existent-page' });
 
-      // App doesn't have 404 handling, so no route matches
-      // The app container should still be rendered (even if empty)
-      // This is expected behavior - routes don't have a catch-all
+      // Unknown paths render the catch-all 404 page inside the layout
       const appContainer = document.querySelector('[class*="app"]');
       expect(appContainer).toBeInTheDocument();
+      expect(screen.getByRole('heading', { level: 1, name: 'Page not found' })).toBeInTheDocument();
 
       // Navigate back to a valid page
       renderApp({ route: '/' });
@@ -366,7 +389,7 @@ describe('App Integration Tests', () => {
       
       // Should end on the last page
       expect(screen.getByText('DigiByte Hashrate By Algo')).toBeInTheDocument();
-    });
+    }, 15000);
 
     it('should clean up resources when switching pages', async () => {
       renderApp();
@@ -381,8 +404,7 @@ describe('App Integration Tests', () => {
         expect(screen.getByText('DigiByte Supply Statistics')).toBeInTheDocument();
       });
 
-      // Capture the supply page's socket (the last created after that navigation).
-      const supplyWs = webSocketInstances[webSocketInstances.length - 1];
+      const sharedWs = webSocketInstances[0];
 
       // Navigate away
       const homeLink = screen.getByRole('link', { name: /home/i });
@@ -392,8 +414,10 @@ describe('App Integration Tests', () => {
         expect(screen.getByText('DigiByte Blockchain Statistics')).toBeInTheDocument();
       });
 
-      // The previous page's WebSocket should be closed.
-      expect(supplyWs.readyState).toBe(WebSocket.CLOSED);
+      // Page subscriptions are released, but the layout's shared connection
+      // stays open and is never duplicated.
+      expect(webSocketInstances.length).toBe(1);
+      expect(sharedWs.readyState).toBe(WebSocket.OPEN);
     });
   });
 
@@ -13,14 +13,6 @@ import DifficultiesPage from '../../../pages/DifficultiesPage';
 import BlocksPage from '../../../pages/BlocksPage';
 import AlgosPage from '../../../pages/AlgosPage';
 
-// Mock dependencies
-vi.mock('../../../config', () => ({
-  default: {
-    apiBaseUrl: 'http://localhost:5001',
-    wsBaseUrl: 'ws://localhost:5002'
-  }
-}));
-
 // Mock Chart.js
 vi.mock('chart.js', async () => {
   const actual = await vi.importActual('chart.js');
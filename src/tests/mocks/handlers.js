@@ -3,6 +3,36 @@ import { mockApiResponses } from './mockData';
 
 const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:3001';
 
+// GET /api/blocks?before=&limit=[&algo=&pool=&bundle=1] — a deterministic
+// chain below `before` whose algo and pool cycle by height. It carries no
+// oracle bundles, so `bundle=1` finds nothing.
+const mockOlderBlocks = (params) => {
+  const before = Number(params.get('before'));
+  const limit = Number(params.get('limit')) || 100;
+  const algo = params.get('algo');
+  const pool = (params.get('pool') || '').toLowerCase();
+  if (params.get('bundle') === '1') return { data: [], hasMore: false };
+  const data = [];
+  let height = before - 1;
+  for (; height >= 0 && data.length < limit; height -= 1) {
+    const block = {
+      height,
+      hash: `00000000000000000000${height.toString(16).padStart(12, '0')}fedcba98765432`,
+      time: 1700000000 + height * 15,
+      size: 1234,
+      txCount: 5 + (height % 20),
+      poolIdentifier: height % 3 === 0 ? 'DigiHash Pool' : height % 3 === 1 ? 'Mining Dutch' : 'Unknown',
+      algo: ['sha256d', 'scrypt', 'skein', 'qubit', 'odo'][height % 5],
+      difficulty: 12345678.9,
+      hasOracleBundle: false,
+    };
+    if (algo && block.algo !== algo) continue;
+    if (pool && !block.poolIdentifier.toLowerCase().includes(pool)) continue;
+    data.push(block);
+  }
+  return { data, hasMore: height >= 0 };
+};
+
 export const handlers = [
   // Homepage API endpoints
   http.get(`${API_BASE_URL}/api/homepage-data`, () => {
@@ -110,6 +140,24 @@ export const handlers = [
     return HttpResponse.json({ visitsLast30Days: 0, totalVisits: 0, uniqueVisitors: 0 });
   }),
 
+  // Older blocks below the WebSocket window (BlocksPage paging)
+  http.get('http://localhost:5001/api/blocks', ({ request }) => {
+    return HttpResponse.json(mockOlderBlocks(new URL(request.url).searchParams));
+  }),
+
+  http.get('http://localhost:5001/api/testnet/blocks', ({ request }) => {
+    return HttpResponse.json(mockOlderBlocks(new URL(request.url).searchParams));
+  }),
+
+  // Mempool history is optional on the backend; by default it has none
+  http.get('http://localhost:5001/api/history/mempool', () => {
+    return HttpResponse.json({ error: 'Not found' }, { status: 404 });
+  }),
+
+  http.get('http://localhost:5001/api/testnet/history/mempool', () => {
+    return HttpResponse.json({ error: 'Not found' }, { status: 404 });
+  }),
+
   // Handle any other endpoint on port 5001
   http.get('http://localhost:5001/*', ({ request }) => {
     console.error(`Unhandled GET request on port 5001: ${request.url}`);
@@ -4,6 +4,11 @@ import { afterEach, beforeAll, afterAll, vi } from 'vitest';
 import { server } from './mocks/server';
 import 'vitest-canvas-mock';
 
+// vitest-canvas-mock loads jest-canvas-mock without awaiting it and drops its
+// global `jest` shim in afterAll, so a fast test file can finish first and the
+// late load throws "jest is not defined". Wait for that load here.
+await import('jest-canvas-mock/lib/window.js');
+
 // Mock Chart.js before any imports
 const createMockChartInstance = () => ({
   destroy: vi.fn(),
@@ -19,11 +24,13 @@ const createMockChartInstance = () => ({
 // Store all created instances for testing
 const chartInstances = [];
 
-const mockChart = vi.fn().mockImplementation(() => {
+const createTrackedChart = () => {
   const instance = createMockChartInstance();
   chartInstances.push(instance);
   return instance;
-});
+};
+
+const mockChart = vi.fn().mockImplementation(createTrackedChart);
 
 mockChart.register = vi.fn();
 mockChart.defaults = {};
@@ -56,10 +63,13 @@ beforeAll(() => {
   server.listen({ onUnhandledRequest: 'error' });
 });
 
-// Clear Chart instances before each test
+// Clear Chart instances before each test. The implementation is reinstalled
+// because a test's vi.restoreAllMocks() strips it, and React 18 runs effect
+// cleanups (chart.destroy()) synchronously when the next test unmounts.
 beforeEach(() => {
   chartInstances.length = 0;
   mockChart.mockClear();
+  mockChart.mockImplementation(createTrackedChart);
 });
 
 // Reset any request handlers that we may add during the tests,
@@ -152,21 +162,3 @@ global.IntersectionObserver = vi.fn().mockImplementation(() => ({
   unobserve: vi.fn(),
   disconnect: vi.fn(),
 }));
-
-// Suppress console errors in tests unless explicitly testing error handling
-const originalError = console.error;
-beforeAll(() => {
-  console.error = (...args) => {
-    if (
-      typeof args[0] === 'string' &&
-      args[0].includes('Warning: ReactDOM.render is no longer supported')
-    ) {
-      return;
-    }
-    originalError.call(console, ...args);
-  };
-});
-
-afterAll(() => {
-  console.error = originalError;
-});
\ No newline at end of file
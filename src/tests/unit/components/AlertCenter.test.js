@@ -0,0 +1,95 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { screen, fireEvent, within, waitFor } from '@testing-library/react';
+import { renderWithProviders, createWebSocketMock } from '../../utils/testUtils';
+import AlertCenter from '../../../components/AlertCenter';
+import { AlertsProvider } from '../../../context/AlertsContext';
+import { loadAlertRules, loadAlertHistory, saveAlertHistory } from '../../../utils/alerts';
+
+const renderCenter = () => renderWithProviders(<AlertsProvider><AlertCenter /></AlertsProvider>);
+
+describe('AlertCenter', () => {
+  let wsSetup;
+
+  beforeEach(() => {
+    localStorage.clear();
+    wsSetup = createWebSocketMock();
+    global.WebSocket = wsSetup.MockWebSocket;
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    wsSetup.clearInstances();
+    vi.restoreAllMocks();
+  });
+
+  const openDrawer = () => {
+    fireEvent.click(screen.getByRole('button', { name: 'Alerts and notifications' }));
+    return screen.getByRole('region', { name: 'Alerts' });
+  };
+
+  it('starts with no rules or alerts', () => {
+    renderCenter();
+    const drawer = openDrawer();
+
+    expect(within(drawer).getByText('No alerts yet.')).toBeInTheDocument();
+    expect(within(drawer).getByText('No rules yet. Add one below.')).toBeInTheDocument();
+  });
+
+  it('adds, toggles and removes a rule', () => {
+    renderCenter();
+    const drawer = openDrawer();
+
+    fireEvent.click(within(drawer).getByRole('button', { name: 'Add rule' }));
+    expect(within(drawer).getByText('Fork alert level ≥ Elevated')).toBeInTheDocument();
+    expect(loadAlertRules('mainnet')).toHaveLength(1);
+
+    fireEvent.click(within(drawer).getByRole('checkbox', { name: 'Fork alert level ≥ Elevated' }));
+    expect(loadAlertRules('mainnet')[0].enabled).toBe(false);
+
+    fireEvent.click(within(drawer).getByRole('button', { name: 'Remove rule' }));
+    expect(loadAlertRules('mainnet')).toHaveLength(0);
+  });
+
+  it('adds a numeric rule with a custom threshold', () => {
+    renderCenter();
+    const drawer = openDrawer();
+
+    fireEvent.mouseDown(within(drawer).getByRole('combobox', { name: /Condition/ }));
+    fireEvent.click(screen.getByRole('option', { name: 'DD health' }));
+    fireEvent.change(within(drawer).getByLabelText('Threshold'), { target: { value: '175' } });
+    fireEvent.click(within(drawer).getByRole('button', { name: 'Add rule' }));
+
+    expect(within(drawer).getByText('DD health < 175%')).toBeInTheDocument();
+    expect(loadAlertRules('mainnet')[0]).toMatchObject({ metric: 'ddHealth', operator: '<', threshold: 175 });
+  });
+
+  it('badges unread alerts and marks them read on close', async () => {
+    saveAlertHistory('mainnet', [
+      { id: 'a', ruleId: 'r', network: 'mainnet', title: 'Oracle price is stale', detail: 'Now: yes', at: Date.now(), read: false },
+    ]);
+    renderCenter();
+
+    expect(screen.getByText('1')).toBeInTheDocument();
+    const drawer = openDrawer();
+    expect(within(drawer).getByText('Oracle price is stale')).toBeInTheDocument();
+
+    fireEvent.click(within(drawer).getByRole('button', { name: 'close' }));
+    await waitFor(() => expect(loadAlertHistory('mainnet')[0].read).toBe(true));
+  });
+
+  it('offers to enable browser notifications', async () => {
+    const requestPermission = vi.fn(() => Promise.resolve('granted'));
+    window.Notification = { permission: 'default', requestPermission };
+    try {
+      renderCenter();
+      const drawer = openDrawer();
+
+      fireEvent.click(within(drawer).getByRole('button', { name: 'Enable browser notifications' }));
+      expect(requestPermission).toHaveBeenCalled();
+      expect(await within(drawer).findByText('Browser notifications are on.')).toBeInTheDocument();
+    } finally {
+      delete window.Notification;
+    }
+  });
+});
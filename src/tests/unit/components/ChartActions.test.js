@@ -0,0 +1,77 @@
+import React, { useRef } from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { screen, fireEvent, waitFor } from '@testing-library/react';
+import { renderWithProviders } from '../../utils/testUtils';
+import ChartActions from '../../../components/ChartActions';
+
+const CanvasChart = (props) => {
+  const ref = useRef(null);
+  return (
+    <div id="hashrate-history">
+      <canvas ref={ref} width={600} height={300} />
+      <ChartActions id="hashrate-history" name="hashrate-history" target={ref} {...props} />
+    </div>
+  );
+};
+
+describe('ChartActions', () => {
+  let writeText;
+
+  beforeEach(() => {
+    writeText = vi.fn(() => Promise.resolve());
+    Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('copies a link carrying the non-default chart state and the chart fragment', async () => {
+    renderWithProviders(
+      <CanvasChart
+        linkState={{ range: '1y', zoom: [5, 80], hidden: ['Odo'] }}
+        linkDefaults={{ range: '30d', hidden: ['Odo'] }}
+      />,
+      { route: '/hashrate' },
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: 'Share hashrate-history' }));
+    fireEvent.click(screen.getByRole('menuitem', { name: 'Copy link' }));
+
+    await waitFor(() => expect(writeText).toHaveBeenCalledTimes(1));
+    expect(writeText.mock.calls[0][0]).toBe(`${window.location.origin}/hashrate?range=1y&zoom=5-80#hashrate-history`);
+    expect(await screen.findByText('Link copied')).toBeInTheDocument();
+  });
+
+  it('reads a linkState function when the link is copied', async () => {
+    const linkState = vi.fn(() => ({ hidden: ['Reorgs'] }));
+    renderWithProviders(<CanvasChart linkState={linkState} />, { route: '/chaintips' });
+    expect(linkState).not.toHaveBeenCalled();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Share hashrate-history' }));
+    fireEvent.click(screen.getByRole('menuitem', { name: 'Copy link' }));
+
+    await waitFor(() => expect(writeText).toHaveBeenCalledTimes(1));
+    expect(writeText.mock.calls[0][0]).toMatch(/\/chaintips\?hide=Reorgs#hashrate-history$/);
+  });
+
+  it('downloads the chart as a PNG named after the network', async () => {
+    const clicks = [];
+    const spy = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function click() {
+      clicks.push(this.download);
+    });
+    renderWithProviders(<CanvasChart />, { network: 'testnet' });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Share hashrate-history' }));
+    fireEvent.click(screen.getByRole('menuitem', { name: 'Download PNG' }));
+
+    await waitFor(() => expect(clicks).toEqual(['dgbstats-testnet-hashrate-history.png']));
+    spy.mockRestore();
+  });
+
+  it('is disabled until the chart is drawn', () => {
+    renderWithProviders(<CanvasChart ready={false} />);
+
+    expect(screen.getByRole('button', { name: 'Share hashrate-history' })).toBeDisabled();
+  });
+});
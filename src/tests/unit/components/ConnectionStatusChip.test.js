@@ -0,0 +1,125 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { screen } from '@testing-library/react';
+import { renderWithProviders, createWebSocketMock, waitForAsync } from '../../utils/testUtils';
+import ConnectionStatusChip, { formatLastUpdate } from '../../../components/ConnectionStatusChip';
+import { useWsMessage } from '../../../hooks/useWsMessage';
+import { LocaleProvider } from '../../../context/LocaleContext';
+import { translate } from '../../../locales';
+
+// Stands in for a page: subscribing is what opens the shared socket.
+const Subscriber = () => {
+  useWsMessage('newBlock', () => {});
+  return null;
+};
+
+describe('ConnectionStatusChip', () => {
+  let wsSetup;
+  let webSocketInstances;
+
+  beforeEach(() => {
+    wsSetup = createWebSocketMock();
+    webSocketInstances = wsSetup.instances;
+    global.WebSocket = wsSetup.MockWebSocket;
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    wsSetup.clearInstances();
+    vi.restoreAllMocks();
+  });
+
+  it('renders nothing while nothing is subscribed', () => {
+    renderWithProviders(<ConnectionStatusChip />);
+
+    expect(screen.queryByTestId('connection-status')).not.toBeInTheDocument();
+  });
+
+  it('shows Connected with the age of the last update', async () => {
+    renderWithProviders(<><Subscriber /><ConnectionStatusChip /></>);
+    await waitForAsync();
+
+    const chip = screen.getByTestId('connection-status');
+    expect(chip).toHaveAttribute('data-state', 'connected');
+    expect(screen.getByText('Connected')).toBeInTheDocument();
+    expect(screen.getByText(/last update \d+ s ago/)).toBeInTheDocument();
+  });
+
+  it('shows Reconnecting after an abnormal close', async () => {
+    renderWithProviders(<><Subscriber /><ConnectionStatusChip /></>);
+    await waitForAsync();
+
+    webSocketInstances[0].triggerClose();
+
+    expect(screen.getByTestId('connection-status')).toHaveAttribute('data-state', 'reconnecting');
+    expect(screen.getByText('Reconnecting')).toBeInTheDocument();
+  });
+
+  it('shows Offline when the browser is offline and no retry is pending', async () => {
+    vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    renderWithProviders(<><Subscriber /><ConnectionStatusChip /></>);
+    await waitForAsync();
+
+    webSocketInstances[0].triggerClose();
+
+    expect(screen.getByTestId('connection-status')).toHaveAttribute('data-state', 'offline');
+    expect(screen.getByText('Offline')).toBeInTheDocument();
+  });
+
+  it('shows how old the on-screen data is while offline', async () => {
+    vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    renderWithProviders(<><Subscriber /><ConnectionStatusChip /></>);
+    await waitForAsync();
+
+    webSocketInstances[0].triggerClose();
+
+    expect(screen.getByTestId('offline-snapshot')).toHaveTextContent(/^Offline — data as of \d{2}:\d{2}/);
+  });
+
+  it('shows no data-age badge while connected', async () => {
+    renderWithProviders(<><Subscriber /><ConnectionStatusChip /></>);
+    await waitForAsync();
+
+    expect(screen.queryByTestId('offline-snapshot')).not.toBeInTheDocument();
+  });
+
+  it('hides the age text in compact mode', async () => {
+    renderWithProviders(<><Subscriber /><ConnectionStatusChip compact /></>);
+    await waitForAsync();
+
+    expect(screen.getByText('Connected')).toBeInTheDocument();
+    expect(screen.queryByText(/last update/)).not.toBeInTheDocument();
+  });
+
+  it('follows the selected locale', async () => {
+    renderWithProviders(
+      <LocaleProvider><Subscriber /><ConnectionStatusChip /></LocaleProvider>,
+      { route: '/?lang=es' }
+    );
+    await waitForAsync();
+
+    expect(screen.getByText('Conectado')).toBeInTheDocument();
+    expect(screen.getByText(/última actualización hace \d+ s/)).toBeInTheDocument();
+    expect(screen.queryByText('Connected')).not.toBeInTheDocument();
+  });
+});
+
+describe('formatLastUpdate', () => {
+  const now = 1_700_000_000_000;
+
+  it('handles a feed with no messages yet', () => {
+    expect(formatLastUpdate(null, now)).toBe('no updates yet');
+  });
+
+  it('uses seconds, minutes and hours', () => {
+    expect(formatLastUpdate(now - 12_000, now)).toBe('last update 12 s ago');
+    expect(formatLastUpdate(now - 5 * 60_000, now)).toBe('last update 5 min ago');
+    expect(formatLastUpdate(now - 3 * 3_600_000, now)).toBe('last update 3 h ago');
+  });
+
+  it('formats through the given locale', () => {
+    const t = (key, vars) => translate('zh', key, vars);
+    expect(formatLastUpdate(null, now, t)).toBe('暂无更新');
+    expect(formatLastUpdate(now - 5 * 60_000, now, t)).toBe('上次更新 5 分钟前');
+  });
+});
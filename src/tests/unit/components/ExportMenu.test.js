@@ -0,0 +1,78 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { screen, fireEvent } from '@testing-library/react';
+import { renderWithProviders } from '../../utils/testUtils';
+import ExportMenu from '../../../components/ExportMenu';
+
+const rows = [
+  { height: 20000001, hash: 'abc', algo: 'sha256d' },
+  { height: 20000000, hash: 'def', algo: 'scrypt' },
+];
+
+// jsdom's Blob has no text().
+const readBlob = (blob) => new Promise((resolve) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.readAsText(blob);
+});
+
+// Reads back the Blob handed to URL.createObjectURL and the <a download> name.
+const captureDownloads = () => {
+  const downloads = [];
+  URL.createObjectURL = vi.fn((blob) => {
+    downloads.push({ blob });
+    return 'blob:export';
+  });
+  URL.revokeObjectURL = vi.fn();
+  vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function click() {
+    downloads[downloads.length - 1].filename = this.download;
+  });
+  return downloads;
+};
+
+describe('ExportMenu', () => {
+  let downloads;
+
+  beforeEach(() => {
+    downloads = captureDownloads();
+  });
+
+  afterEach(() => {
+    HTMLAnchorElement.prototype.click.mockRestore();
+  });
+
+  it('downloads a CSV of payload field names after a metadata block', async () => {
+    renderWithProviders(<ExportMenu name="blocks" rows={rows} />, { network: 'testnet' });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Export blocks' }));
+    fireEvent.click(screen.getByRole('menuitem', { name: 'Download CSV' }));
+
+    expect(downloads).toHaveLength(1);
+    expect(downloads[0].filename).toMatch(/^dgbstats-testnet-blocks-\d{8}T\d{6}Z\.csv$/);
+    const lines = (await readBlob(downloads[0].blob)).split('\r\n');
+    expect(lines[0]).toBe('network,testnet');
+    expect(lines[1]).toMatch(/^height,/);
+    expect(lines[2]).toMatch(/^generatedAt,\d{4}-\d{2}-\d{2}T/);
+    expect(lines.slice(3, 7)).toEqual(['', 'height,hash,algo', '20000001,abc,sha256d', '20000000,def,scrypt']);
+  });
+
+  it('downloads JSON, calling a rows function only on demand', async () => {
+    const getRows = vi.fn(() => rows);
+    renderWithProviders(<ExportMenu name="miners" rows={getRows} />);
+    expect(getRows).not.toHaveBeenCalled();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Export miners' }));
+    fireEvent.click(screen.getByRole('menuitem', { name: 'Download JSON' }));
+
+    const file = JSON.parse(await readBlob(downloads[0].blob));
+    expect(file.meta.network).toBe('mainnet');
+    expect(file.data).toEqual(rows);
+    expect(downloads[0].filename).toMatch(/\.json$/);
+  });
+
+  it('is disabled while there is nothing to export', () => {
+    renderWithProviders(<ExportMenu name="orphans" rows={[]} />);
+
+    expect(screen.getByRole('button', { name: 'Export orphans' })).toBeDisabled();
+  });
+});
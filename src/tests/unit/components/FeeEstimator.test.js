@@ -0,0 +1,35 @@
+import React from 'react';
+import { describe, it, expect } from 'vitest';
+import { screen } from '@testing-library/react';
+import { renderWithProviders } from '../../utils/testUtils';
+import FeeEstimator from '../../../components/FeeEstimator';
+
+const tx = (txid, rate, extra = {}) => ({ txid, vsize: 100, fee: (rate * 100) / 100000000, time: 0, ...extra });
+
+const mempool = [tx('aaaa1111', 200), tx('bbbb2222', 60), tx('cccc3333', 40)];
+
+describe('FeeEstimator', () => {
+  it('shows a recommendation per target with the mempool percentiles', () => {
+    renderWithProviders(<FeeEstimator transactions={mempool} minFeeRate={1} />);
+
+    const targets = screen.getAllByTestId('fee-target');
+    expect(targets).toHaveLength(3);
+    expect(targets[0]).toHaveTextContent('Next block (~15s)');
+    // The whole mempool fits in one block: the minimum fee is enough
+    expect(targets[0]).toHaveTextContent('1.0 sat/vB');
+    expect(targets[0]).toHaveTextContent('Lowest fee rate accepted');
+    expect(screen.getByTestId('fee-percentiles')).toHaveTextContent('p50 60 sat/vB');
+    expect(screen.getByText(/Based on 3 queued transactions/)).toBeInTheDocument();
+  });
+
+  it('raises the recommendation to what recent confirmations paid', () => {
+    const now = Date.now() / 1000;
+    const confirmed = ['x', 'y', 'z'].map((txid) => tx(txid, 25, { blocktime: now, firstSeen: now - 10 }));
+    renderWithProviders(<FeeEstimator transactions={mempool} confirmed={confirmed} minFeeRate={1} />);
+
+    const targets = screen.getAllByTestId('fee-target');
+    expect(targets[0]).toHaveTextContent('25 sat/vB');
+    expect(targets[0]).toHaveTextContent('From recent confirmations');
+    expect(screen.getByText('Based on 3 queued and 3 recently confirmed transactions.')).toBeInTheDocument();
+  });
+});
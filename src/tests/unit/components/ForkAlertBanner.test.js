@@ -3,13 +3,6 @@ import { screen, waitFor, fireEvent, act } from '@testing-library/react';
 import ForkAlertBanner from '../../../components/ForkAlertBanner';
 import { renderWithProviders, createWebSocketMock, waitForAsync } from '../../utils/testUtils';
 
-vi.mock('../../../config', () => ({
-  default: {
-    apiBaseUrl: 'http://localhost:5001',
-    wsBaseUrl: 'ws://localhost:5002',
-  },
-}));
-
 describe('ForkAlertBanner', () => {
   let wsSetup;
   let mockWebSocket;
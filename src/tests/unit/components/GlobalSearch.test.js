@@ -0,0 +1,115 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { screen, fireEvent, waitFor } from '@testing-library/react';
+import { http, HttpResponse } from 'msw';
+import { server } from '../../mocks/server';
+import { renderWithProviders } from '../../utils/testUtils';
+import GlobalSearch from '../../../components/GlobalSearch';
+import { SEARCH_HISTORY_KEY, loadSearchHistory } from '../../../utils/search';
+
+const HASH = 'cd'.repeat(32);
+const BECH32_TESTNET = 'dgbt1qqqqsyqcyq5rqwzqfpg9scrgwpugpzysnhap3sh';
+
+const search = (text) => {
+  const input = screen.getByRole('combobox', { name: /Search blocks/ });
+  fireEvent.change(input, { target: { value: text } });
+  fireEvent.keyDown(input, { key: 'Enter' });
+  return input;
+};
+
+describe('GlobalSearch', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('routes a height to the block page and records it', async () => {
+    renderWithProviders(<GlobalSearch />);
+
+    search('23800000');
+
+    await waitFor(() => expect(window.location.pathname).toBe('/block/23800000'));
+    expect(loadSearchHistory('mainnet')).toEqual([
+      { label: 'Block 23,800,000', network: 'mainnet', path: '/block/23800000' },
+    ]);
+  });
+
+  it('prefixes targets with /testnet on testnet', async () => {
+    renderWithProviders(<GlobalSearch />, { network: 'testnet', route: '/testnet' });
+
+    search('600');
+
+    await waitFor(() => expect(window.location.pathname).toBe('/testnet/block/600'));
+  });
+
+  it('opens a hash as a block when the node knows it', async () => {
+    server.use(http.get(`http://localhost:5001/api/getblock/${HASH}`, () => HttpResponse.json({ hash: HASH })));
+    renderWithProviders(<GlobalSearch />);
+
+    search(HASH);
+
+    await waitFor(() => expect(window.location.pathname).toBe(`/block/${HASH}`));
+  });
+
+  it('falls back to the transaction page for other hashes', async () => {
+    server.use(http.get(`http://localhost:5001/api/getblock/${HASH}`, () => HttpResponse.json({}, { status: 404 })));
+    renderWithProviders(<GlobalSearch />);
+
+    search(HASH);
+
+    await waitFor(() => expect(window.location.pathname).toBe(`/tx/${HASH}`));
+    expect(loadSearchHistory('mainnet')[0].label).toMatch(/^Transaction cdcdcd/);
+  });
+
+  it('links oracles to their row on the Oracles page', async () => {
+    renderWithProviders(<GlobalSearch />);
+
+    search('oracle 12');
+
+    await waitFor(() => expect(window.location.pathname).toBe('/oracles'));
+    expect(window.location.hash).toBe('#oracle-12');
+  });
+
+  it('opens addresses on the address page of the address network', async () => {
+    const open = vi.spyOn(window, 'open').mockImplementation(() => null);
+    renderWithProviders(<GlobalSearch />);
+
+    search(BECH32_TESTNET);
+
+    await waitFor(() => expect(window.location.pathname).toBe(`/testnet/address/${BECH32_TESTNET}`));
+    expect(open).not.toHaveBeenCalled();
+    expect(loadSearchHistory('mainnet')[0]).toEqual({
+      label: `Address ${BECH32_TESTNET}`,
+      network: 'mainnet',
+      path: `/testnet/address/${BECH32_TESTNET}`,
+    });
+  });
+
+  it('says so when nothing matches', async () => {
+    renderWithProviders(<GlobalSearch />);
+
+    const input = search('not a thing');
+
+    expect(await screen.findByRole('tooltip')).toHaveTextContent('No block, transaction, address, oracle or pool matches');
+    expect(input).toHaveAttribute('aria-invalid', 'true');
+  });
+
+  it('lists recent searches for the current network while empty', async () => {
+    localStorage.setItem(SEARCH_HISTORY_KEY, JSON.stringify([
+      { label: 'Block 42', network: 'mainnet', path: '/block/42' },
+      { label: 'Block 7', network: 'testnet', path: '/testnet/block/7' },
+    ]));
+    renderWithProviders(<GlobalSearch />);
+
+    fireEvent.mouseDown(screen.getByRole('combobox', { name: /Search blocks/ }));
+
+    expect(await screen.findByText('Recent searches')).toBeInTheDocument();
+    expect(screen.queryByText('Block 7')).not.toBeInTheDocument();
+    fireEvent.click(screen.getByText('Block 42'));
+
+    await waitFor(() => expect(window.location.pathname).toBe('/block/42'));
+  });
+});
@@ -2,6 +2,11 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { screen, fireEvent, within } from '@testing-library/react';
 import { renderWithProviders } from '../../utils/testUtils';
 import Header from '../../../components/Header';
+import { ColorModeProvider, COLOR_MODE_KEY } from '../../../context/ColorModeContext';
+import { LocaleProvider, LOCALE_KEY } from '../../../context/LocaleContext';
+import { prefetchPage } from '../../../lazyPages';
+
+vi.mock('../../../lazyPages', () => ({ prefetchPage: vi.fn() }));
 
 describe('Header', () => {
   describe('Mainnet Mode', () => {
@@ -225,6 +230,29 @@ describe('Header', () => {
       // Should have multiple testnet links (Home, Blocks, Txs, etc.)
       expect(testnetLinks.length).toBeGreaterThan(5);
     });
+
+    it('should group drawer links under the route registry nav groups', () => {
+      renderWithProviders(<Header />, { network: 'mainnet' });
+
+      fireEvent.click(screen.getByLabelText('menu'));
+
+      ['Blockchain', 'Mining', 'Network & Project', 'DigiDollar'].forEach((group) => {
+        expect(screen.getByText(group, { selector: 'li' })).toBeInTheDocument();
+      });
+      // Routed but unlisted pages stay out of the menus
+      expect(screen.queryAllByRole('link', { name: 'Taproot' })).toHaveLength(0);
+    });
+    it('should prefetch a page chunk when its menu link is hovered or focused', () => {
+      prefetchPage.mockClear();
+      renderWithProviders(<Header />, { network: 'mainnet' });
+
+      const [roadmap] = screen.getAllByRole('link', { name: 'Roadmap' });
+      fireEvent.mouseEnter(roadmap);
+      expect(prefetchPage).toHaveBeenCalledWith('RoadmapPage');
+
+      fireEvent.focus(screen.getAllByRole('link', { name: 'Nodes' })[0]);
+      expect(prefetchPage).toHaveBeenCalledWith('NodesPage');
+    });
   });
 
   describe('Logo and Branding', () => {
@@ -256,6 +284,14 @@ describe('Header', () => {
     });
   });
 
+  describe('Global search', () => {
+    it('should render the search box in the desktop bar and the mobile toolbar', () => {
+      renderWithProviders(<Header />, { network: 'mainnet' });
+
+      expect(screen.getAllByRole('combobox', { name: /Search blocks, transactions, addresses/ })).toHaveLength(2);
+    });
+  });
+
   describe('Accessibility', () => {
     it('should have accessible menu button', () => {
       renderWithProviders(<Header />, { network: 'mainnet' });
@@ -281,4 +317,51 @@ describe('Header', () => {
       expect(digiExplorerLink).toHaveAttribute('rel', 'noopener noreferrer');
     });
   });
+
+  describe('Colour mode toggle', () => {
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    it('cycles the theme preference and persists it', () => {
+      localStorage.setItem(COLOR_MODE_KEY, 'light');
+      renderWithProviders(<ColorModeProvider><Header /></ColorModeProvider>, { network: 'mainnet' });
+
+      const toggle = screen.getAllByRole('button', { name: /Theme: Light/ })[0];
+      fireEvent.click(toggle);
+
+      expect(localStorage.getItem(COLOR_MODE_KEY)).toBe('dark');
+      expect(screen.getAllByRole('button', { name: /Theme: Dark/ }).length).toBeGreaterThan(0);
+    });
+
+    it('labels the system preference with the resolved mode', () => {
+      localStorage.setItem(COLOR_MODE_KEY, 'system');
+      renderWithProviders(<ColorModeProvider><Header /></ColorModeProvider>, { network: 'testnet', route: '/testnet' });
+
+      expect(screen.getAllByRole('button', { name: /Theme: System \(light\)/ }).length).toBeGreaterThan(0);
+    });
+  });
+  describe('Language selector', () => {
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    it('switches the navigation language and persists the choice', () => {
+      renderWithProviders(<LocaleProvider><Header /></LocaleProvider>, { network: 'mainnet' });
+
+      fireEvent.click(screen.getAllByRole('button', { name: /Language: English/ })[0]);
+      fireEvent.click(screen.getByRole('menuitem', { name: 'Español' }));
+
+      expect(localStorage.getItem(LOCALE_KEY)).toBe('es');
+      expect(screen.getAllByText('Bloques').length).toBeGreaterThan(0);
+      expect(screen.getAllByRole('button', { name: /Idioma: Español/ }).length).toBeGreaterThan(0);
+    });
+
+    it('starts in the language given by ?lang=', () => {
+      renderWithProviders(<LocaleProvider><Header /></LocaleProvider>, { network: 'mainnet', route: '/?lang=zh' });
+
+      expect(screen.getAllByText('区块').length).toBeGreaterThan(0);
+      expect(screen.getAllByText('主网').length).toBeGreaterThan(0);
+    });
+  });
 });
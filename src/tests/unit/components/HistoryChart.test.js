@@ -1,6 +1,6 @@
 import { describe, it, expect } from 'vitest';
 import {
-  resolveView, bucketLabel, applyZoom, sliderMarks,
+  resolveView, bucketLabel, applyZoom, clampZoom, sliderMarks,
   entryToDate, monthYearLabel, fullDateLabel,
   HISTORY_RANGES, DEFAULT_RANGE_KEY, ZOOMABLE_RANGES,
   DGB_ERAS, eraBoundariesInRange, erasOverlappingRange, activeAlgosIn,
@@ -89,6 +89,22 @@ describe('applyZoom', () => {
   });
 });
 
+describe('clampZoom', () => {
+  it('keeps a window that fits the entries', () => {
+    expect(clampZoom([10, 50], 100)).toEqual([10, 50]);
+  });
+
+  it('trims the end to the last entry', () => {
+    expect(clampZoom([10, 500], 100)).toEqual([10, 99]);
+  });
+
+  it('drops a window narrower than three entries, or with no data yet', () => {
+    expect(clampZoom([98, 120], 100)).toBeNull();
+    expect(clampZoom([0, 50], 0)).toBeNull();
+    expect(clampZoom(null, 100)).toBeNull();
+  });
+});
+
 describe('sliderMarks', () => {
   it('returns evenly-spaced marks bounded by maxMarks, spanning the range', () => {
     const m = sliderMarks(Array.from({ length: 365 }, () => ({ date: '2026-06-08' })), 7);
@@ -0,0 +1,99 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { screen, fireEvent, waitFor } from '@testing-library/react';
+import { http, HttpResponse } from 'msw';
+import { server } from '../../mocks/server';
+import { renderWithProviders, createWebSocketMock, waitForAsync } from '../../utils/testUtils';
+import MempoolHistoryChart from '../../../components/MempoolHistoryChart';
+import { loadSessionHistory } from '../../../utils/mempoolHistory';
+
+const HOUR = 3600000;
+
+const lastChartConfig = () => {
+  const { calls } = global._mockChart.mock;
+  return calls[calls.length - 1][1];
+};
+
+const series = (label) => lastChartConfig().data.datasets.find((dataset) => dataset.label === label);
+
+describe('MempoolHistoryChart', () => {
+  let wsSetup;
+  let logSpy;
+
+  beforeEach(() => {
+    sessionStorage.clear();
+    wsSetup = createWebSocketMock();
+    global.WebSocket = wsSetup.MockWebSocket;
+    logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    wsSetup.clearInstances();
+    // Only the console spy: restoreAllMocks() would also strip the shared
+    // canvas getContext mock from setup.js and the next chart would not build.
+    logSpy.mockRestore();
+  });
+
+  it('charts the session samples with block markers on the 1H range', async () => {
+    renderWithProviders(<MempoolHistoryChart />);
+    await waitForAsync();
+    expect(screen.getByText('No mempool samples in this range yet.')).toBeInTheDocument();
+
+    const ws = wsSetup.instances[0];
+    ws.receiveMessage({
+      type: 'mempool',
+      data: { stats: { size: 42, bytes: 2097152 }, transactions: [{ txid: 'a', vsize: 100, fee_rate: 3 }] },
+    });
+    ws.receiveMessage({ type: 'newBlock', data: { height: 100, timestamp: Math.floor(Date.now() / 1000) } });
+
+    await waitFor(() => {
+      expect(series('Transactions').data).toEqual([{ x: expect.any(Number), y: 42 }]);
+    });
+    expect(series('Size (MB)').data[0].y).toBe(2);
+    expect(series('Median fee rate (sat/vB)').data[0].y).toBe(3);
+    expect(lastChartConfig().options.plugins.blockMarkers.times).toHaveLength(1);
+    expect(loadSessionHistory('mainnet')).toHaveLength(1);
+    expect(screen.getByText(/Sampled while this page is open/)).toBeInTheDocument();
+  });
+
+  it('saves the newest sample of the interval when unmounted', async () => {
+    const { unmount } = renderWithProviders(<MempoolHistoryChart />, { network: 'testnet' });
+    await waitForAsync();
+
+    const ws = wsSetup.instances[0];
+    ws.receiveMessage({ type: 'mempool', data: { stats: { size: 5, bytes: 1024 }, transactions: [] } });
+    ws.receiveMessage({ type: 'mempool', data: { stats: { size: 7, bytes: 1024 }, transactions: [] } });
+    await waitFor(() => {
+      expect(series('Transactions').data.map((point) => point.y)).toEqual([7]);
+    });
+
+    unmount();
+    expect(loadSessionHistory('testnet').map((sample) => sample.count)).toEqual([7]);
+    expect(loadSessionHistory('mainnet')).toEqual([]);
+  });
+
+  it('continues the server series and switches range', async () => {
+    const now = Date.now();
+    server.use(
+      http.get('http://localhost:5001/api/history/mempool', () => HttpResponse.json({
+        data: [
+          { time: now - 48 * HOUR, count: 10, bytes: 1048576, medianFeeRate: 1 },
+          { time: now - 2 * HOUR, count: 20, bytes: 1048576, medianFeeRate: 2 },
+          { time: now - HOUR / 2, count: 30, bytes: 1048576, medianFeeRate: 3 },
+        ],
+      }))
+    );
+    renderWithProviders(<MempoolHistoryChart />);
+
+    await waitFor(() => {
+      expect(screen.getByText(/Recorded by the server/)).toBeInTheDocument();
+    });
+    expect(series('Transactions').data.map((point) => point.y)).toEqual([30]);
+
+    fireEvent.click(screen.getByRole('button', { name: '7D' }));
+    await waitFor(() => {
+      expect(series('Transactions').data.map((point) => point.y)).toEqual([10, 20, 30]);
+    });
+    expect(lastChartConfig().options.plugins.blockMarkers.times).toEqual([]);
+  });
+});
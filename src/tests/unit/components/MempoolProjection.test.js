@@ -0,0 +1,61 @@
+import React from 'react';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { screen, act } from '@testing-library/react';
+import { renderWithProviders } from '../../utils/testUtils';
+import MempoolProjection from '../../../components/MempoolProjection';
+
+const tx = (txid, rate) => ({ txid, vsize: 100, fee: (rate * 100) / 100000000, time: 0 });
+
+const mempool = [
+  tx('aaaa1111', 200), tx('bbbb2222', 60), tx('cccc3333', 40), tx('dddd4444', 5), tx('eeee5555', 1),
+];
+
+describe('MempoolProjection', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('draws each projected block as fee bands with its fee range', () => {
+    renderWithProviders(<MempoolProjection transactions={mempool} maxVsize={200} count={2} />);
+
+    const blocks = screen.getAllByTestId('projected-block');
+    expect(blocks).toHaveLength(2);
+    expect(screen.getByText('Next block')).toBeInTheDocument();
+    expect(screen.getByText('In 2+ blocks')).toBeInTheDocument();
+    expect(screen.getByText('60–200 sat/vB')).toBeInTheDocument();
+    const bands = blocks[0].querySelectorAll('[data-testid="projection-band"]');
+    expect([...bands].map((band) => band.dataset.band)).toEqual(['100-500', '50-100']);
+  });
+
+  it('shows where a searched transaction sits in the queue', () => {
+    renderWithProviders(<MempoolProjection transactions={mempool} searchTerm="cccc" maxVsize={200} />);
+
+    expect(screen.getByTestId('projection-position')).toHaveTextContent(
+      'Transaction cccc3333... is #3 in the queue at 40 sat/vB with 0.2 kvB ahead of it: projected in 2 blocks.'
+    );
+    expect(screen.getByText('Your tx')).toBeInTheDocument();
+  });
+
+  it('asks for more of an ambiguous txid and reports one that is not queued', () => {
+    const { rerender } = renderWithProviders(
+      <MempoolProjection transactions={[...mempool, tx('aaaa9999', 3)]} searchTerm="aaaa" />
+    );
+    expect(screen.getByText('Type more of the txid to locate it in the queue.')).toBeInTheDocument();
+
+    rerender(<MempoolProjection transactions={mempool} searchTerm="ffff" />);
+    expect(screen.getByText('The searched transaction is not in the mempool.')).toBeInTheDocument();
+  });
+
+  it('slides a mined block out and then removes it', () => {
+    vi.useFakeTimers();
+    renderWithProviders(
+      <MempoolProjection transactions={mempool} minedBlock={{ height: 23800000, transactions: [tx('ffff6666', 80)] }} />
+    );
+
+    expect(screen.getByTestId('mined-block')).toHaveTextContent('Mined in block 23,800,000');
+    act(() => {
+      vi.advanceTimersByTime(1500);
+    });
+    expect(screen.queryByTestId('mined-block')).not.toBeInTheDocument();
+  });
+});
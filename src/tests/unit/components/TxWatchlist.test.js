@@ -0,0 +1,69 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { screen, fireEvent } from '@testing-library/react';
+import { renderWithProviders, createWebSocketMock } from '../../utils/testUtils';
+import TxWatchlist from '../../../components/TxWatchlist';
+import { TxWatchProvider } from '../../../context/TxWatchContext';
+import { createWatch, loadWatches, saveWatches } from '../../../utils/txWatch';
+
+const txid = (char) => char.repeat(64);
+const NOW = Date.now();
+
+describe('TxWatchlist', () => {
+  let wsSetup;
+
+  beforeEach(() => {
+    localStorage.clear();
+    wsSetup = createWebSocketMock();
+    global.WebSocket = wsSetup.MockWebSocket;
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    wsSetup.clearInstances();
+    vi.restoreAllMocks();
+  });
+
+  const renderWatchlist = (watches) => {
+    saveWatches('mainnet', watches);
+    return renderWithProviders(<TxWatchProvider><TxWatchlist /></TxWatchProvider>);
+  };
+
+  it('renders nothing without watches', () => {
+    renderWatchlist([]);
+    expect(screen.queryByTestId('tx-watchlist')).not.toBeInTheDocument();
+  });
+
+  it('shows each watch with its stage and outcome', () => {
+    renderWatchlist([
+      {
+        ...createWatch('mainnet', { txid: txid('a'), blockHeight: 100 }, { target: 1, tipHeight: 100, now: NOW }),
+        firstSeen: NOW - 20000,
+        inBlockAt: NOW - 5000,
+      },
+      { ...createWatch('mainnet', { txid: txid('b'), fee: 0.0001 }, { now: NOW }), status: 'replaced', replacedBy: txid('c') },
+    ]);
+
+    const rows = screen.getAllByTestId('watch-row');
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toHaveTextContent('Confirmed');
+    expect(rows[0]).toHaveTextContent('1/1 confirmations');
+    expect(rows[0]).toHaveTextContent('in block 100 after 15s');
+    expect(rows[1]).toHaveTextContent('Replaced by cccccccccccccccc...');
+    expect(screen.getByRole('link', { name: 'cccccccccccccccc...' })).toHaveAttribute('href', `/tx/${txid('c')}`);
+  });
+
+  it('clears confirmed watches and removes single ones', () => {
+    renderWatchlist([
+      createWatch('mainnet', { txid: txid('a'), blockHeight: 100 }, { target: 1, tipHeight: 100, now: NOW }),
+      createWatch('mainnet', { txid: txid('b') }, { now: NOW }),
+      createWatch('mainnet', { txid: txid('d') }, { now: NOW }),
+    ]);
+
+    fireEvent.click(screen.getByText('Clear confirmed'));
+    expect(screen.getAllByTestId('watch-row')).toHaveLength(2);
+
+    fireEvent.click(screen.getByLabelText(`Stop watching ${txid('b')}`));
+    expect(loadWatches('mainnet').map((watch) => watch.txid)).toEqual([txid('d')]);
+  });
+});
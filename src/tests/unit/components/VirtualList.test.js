@@ -0,0 +1,100 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import VirtualList from '../../../components/VirtualList';
+
+const items = (from, count) => Array.from({ length: count }, (_, i) => ({ id: from + i }));
+
+const List = ({ rows, ...props }) => (
+  <VirtualList
+    aria-label="Rows"
+    items={rows}
+    getKey={(row) => row.id}
+    renderItem={(row) => <div>{`Row ${row.id}`}</div>}
+    estimateHeight={100}
+    gap={0}
+    overscan={0}
+    {...props}
+  />
+);
+
+// jsdom has no layout: place the list `top` px above the 768px viewport.
+const scrollTo = (top) => {
+  screen.getByRole('list', { name: 'Rows' }).getBoundingClientRect = () => ({ top: -top });
+  fireEvent.scroll(window);
+};
+
+const mounted = () => screen.getAllByRole('listitem').map((item) => item.textContent);
+
+describe('VirtualList', () => {
+  let scrollBy;
+
+  beforeEach(() => {
+    scrollBy = vi.spyOn(window, 'scrollBy').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    scrollBy.mockRestore();
+  });
+
+  it('mounts only the rows in the viewport and follows the scroll', async () => {
+    render(<List rows={items(0, 100)} />);
+
+    expect(mounted()).toEqual(['Row 0', 'Row 1', 'Row 2', 'Row 3', 'Row 4', 'Row 5', 'Row 6', 'Row 7']);
+    expect(screen.getAllByRole('listitem')[0]).toHaveAttribute('aria-setsize', '100');
+
+    scrollTo(1000);
+    await waitFor(() => {
+      expect(mounted()[0]).toBe('Row 10');
+    });
+    expect(mounted()).toHaveLength(8);
+    expect(screen.getAllByRole('listitem')[0]).toHaveAttribute('aria-posinset', '11');
+  });
+
+  it('keeps the scroll position when rows are prepended, once scrolled into', async () => {
+    const { rerender } = render(<List rows={items(0, 100)} />);
+
+    // At the top new rows simply appear above
+    rerender(<List rows={items(-1, 101)} />);
+    expect(scrollBy).not.toHaveBeenCalled();
+
+    scrollTo(1000);
+    await waitFor(() => {
+      expect(mounted()[0]).toBe('Row 9');
+    });
+    rerender(<List rows={items(-3, 103)} />);
+    expect(scrollBy).toHaveBeenCalledWith(0, 200);
+  });
+
+  it('lays rows out at their measured heights', () => {
+    let onResize;
+    const original = global.ResizeObserver;
+    global.ResizeObserver = class {
+      constructor(callback) { onResize = callback; }
+      observe() {}
+      unobserve() {}
+      disconnect() {}
+    };
+    try {
+      render(<List rows={items(0, 100)} />);
+      const targets = screen.getAllByRole('listitem');
+      targets.forEach((target) => Object.defineProperty(target, 'offsetHeight', { value: 400 }));
+      act(() => onResize(targets.map((target) => ({ target }))));
+
+      expect(mounted()).toEqual(['Row 0', 'Row 1']);
+    } finally {
+      global.ResizeObserver = original;
+    }
+  });
+
+  it('reports reaching the end of the list', async () => {
+    const onEndReached = vi.fn();
+    render(<List rows={items(0, 100)} onEndReached={onEndReached} />);
+    expect(onEndReached).not.toHaveBeenCalled();
+
+    scrollTo(9500);
+    await waitFor(() => {
+      expect(onEndReached).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { screen, fireEvent } from '@testing-library/react';
+import { renderWithProviders, createWebSocketMock, waitForAsync } from '../../utils/testUtils';
+import { AlertsProvider, useAlerts } from '../../../context/AlertsContext';
+import { createAlertRule, saveAlertRules, loadAlertHistory } from '../../../utils/alerts';
+
+const Probe = () => {
+  const { rules, history, unreadCount, markAllRead, updateRule } = useAlerts();
+  return (
+    <div>
+      <span data-testid="rules">{rules.length}</span>
+      <span data-testid="unread">{unreadCount}</span>
+      <ul>
+        {history.map((entry) => <li key={entry.id}>{`${entry.title} | ${entry.detail}`}</li>)}
+      </ul>
+      <button onClick={markAllRead}>read</button>
+      <button onClick={() => updateRule(rules[0].id, { enabled: false })}>disable</button>
+    </div>
+  );
+};
+
+describe('AlertsContext', () => {
+  let wsSetup;
+  let webSocketInstances;
+
+  beforeEach(() => {
+    localStorage.clear();
+    wsSetup = createWebSocketMock();
+    webSocketInstances = wsSetup.instances;
+    global.WebSocket = wsSetup.MockWebSocket;
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    wsSetup.clearInstances();
+    delete window.Notification;
+    vi.restoreAllMocks();
+  });
+
+  const renderWithRule = async (metric, overrides) => {
+    saveAlertRules('mainnet', [createAlertRule('mainnet', metric, overrides)]);
+    renderWithProviders(<AlertsProvider><Probe /></AlertsProvider>);
+    await waitForAsync();
+    return webSocketInstances[0];
+  };
+
+  it('does not open the feed without enabled rules', async () => {
+    renderWithProviders(<AlertsProvider><Probe /></AlertsProvider>);
+    await waitForAsync();
+
+    expect(screen.getByTestId('rules')).toHaveTextContent('0');
+    expect(webSocketInstances).toHaveLength(0);
+  });
+
+  it('fires once when a rule starts to hold and re-arms when it clears', async () => {
+    const ws = await renderWithRule('forkLevel');
+
+    ws.receiveMessage({ type: 'forkAlert', data: { level: 'critical' } });
+    ws.receiveMessage({ type: 'forkAlert', data: { level: 'critical' } });
+    expect(screen.getAllByRole('listitem')).toHaveLength(1);
+    expect(screen.getByText('Fork alert level ≥ Elevated | Now: Critical')).toBeInTheDocument();
+
+    ws.receiveMessage({ type: 'forkAlert', data: { level: 'none' } });
+    ws.receiveMessage({ type: 'forkAlert', data: { level: 'elevated' } });
+    expect(screen.getAllByRole('listitem')).toHaveLength(2);
+    expect(screen.getByTestId('unread')).toHaveTextContent('2');
+    expect(loadAlertHistory('mainnet')).toHaveLength(2);
+  });
+
+  it('marks history read', async () => {
+    const ws = await renderWithRule('oracleStale');
+    ws.receiveMessage({ type: 'oracleData', data: { price: { is_stale: true } } });
+    expect(screen.getByTestId('unread')).toHaveTextContent('1');
+
+    fireEvent.click(screen.getByText('read'));
+    expect(screen.getByTestId('unread')).toHaveTextContent('0');
+    expect(loadAlertHistory('mainnet')[0].read).toBe(true);
+  });
+
+  it('ignores disabled rules', async () => {
+    const ws = await renderWithRule('ddHealth', { threshold: 150 });
+    fireEvent.click(screen.getByText('disable'));
+    ws.receiveMessage({ type: 'ddStatsData', data: { stats: { health_percentage: 120 } } });
+
+    expect(screen.queryAllByRole('listitem')).toHaveLength(0);
+  });
+
+  it('shows a browser notification once permission is granted', async () => {
+    const notification = vi.fn();
+    notification.permission = 'granted';
+    window.Notification = notification;
+    const ws = await renderWithRule('orphans24h', { operator: '>', threshold: 2 });
+
+    ws.receiveMessage({ type: 'chainTips', data: { orphans24h: 5 } });
+
+    expect(notification).toHaveBeenCalledTimes(1);
+    expect(notification).toHaveBeenCalledWith('DigiByte Stats', expect.objectContaining({
+      body: 'Orphans (24h) > 2 — Now: 5',
+    }));
+  });
+
+  it('does not notify without permission', async () => {
+    const notification = vi.fn();
+    notification.permission = 'default';
+    window.Notification = notification;
+    const ws = await renderWithRule('oracleStale');
+
+    ws.receiveMessage({ type: 'oracleData', data: { price: { is_stale: true } } });
+
+    expect(notification).not.toHaveBeenCalled();
+    expect(screen.getAllByRole('listitem')).toHaveLength(1);
+  });
+});
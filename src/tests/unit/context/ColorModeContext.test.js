@@ -0,0 +1,103 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import {
+  ColorModeProvider, useColorMode, COLOR_MODE_KEY,
+} from '../../../context/ColorModeContext';
+
+const TestComponent = () => {
+  const { preference, mode, setPreference, cyclePreference } = useColorMode();
+  return (
+    <div>
+      <span data-testid="preference">{preference}</span>
+      <span data-testid="mode">{mode}</span>
+      <button onClick={cyclePreference}>cycle</button>
+      <button onClick={() => setPreference('dark')}>dark</button>
+      <button onClick={() => setPreference('sepia')}>sepia</button>
+    </div>
+  );
+};
+
+const mockSystemScheme = (dark) => {
+  const listeners = [];
+  window.matchMedia = vi.fn().mockImplementation((query) => ({
+    matches: dark,
+    media: query,
+    addEventListener: (type, fn) => listeners.push(fn),
+    removeEventListener: vi.fn(),
+  }));
+  return (matches) => listeners.forEach((fn) => fn({ matches }));
+};
+
+describe('ColorModeContext', () => {
+  const originalMatchMedia = window.matchMedia;
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    window.matchMedia = originalMatchMedia;
+  });
+
+  it('defaults to following the system scheme', () => {
+    mockSystemScheme(true);
+    render(<ColorModeProvider><TestComponent /></ColorModeProvider>);
+
+    expect(screen.getByTestId('preference')).toHaveTextContent('system');
+    expect(screen.getByTestId('mode')).toHaveTextContent('dark');
+  });
+
+  it('tracks live changes to the system scheme', () => {
+    const emit = mockSystemScheme(false);
+    render(<ColorModeProvider><TestComponent /></ColorModeProvider>);
+    expect(screen.getByTestId('mode')).toHaveTextContent('light');
+
+    act(() => emit(true));
+
+    expect(screen.getByTestId('mode')).toHaveTextContent('dark');
+  });
+
+  it('restores a stored preference over the system scheme', () => {
+    mockSystemScheme(true);
+    localStorage.setItem(COLOR_MODE_KEY, 'light');
+    render(<ColorModeProvider><TestComponent /></ColorModeProvider>);
+
+    expect(screen.getByTestId('preference')).toHaveTextContent('light');
+    expect(screen.getByTestId('mode')).toHaveTextContent('light');
+  });
+
+  it('ignores unknown stored and requested preferences', () => {
+    mockSystemScheme(false);
+    localStorage.setItem(COLOR_MODE_KEY, 'sepia');
+    render(<ColorModeProvider><TestComponent /></ColorModeProvider>);
+    expect(screen.getByTestId('preference')).toHaveTextContent('system');
+
+    fireEvent.click(screen.getByText('sepia'));
+
+    expect(screen.getByTestId('preference')).toHaveTextContent('system');
+    expect(localStorage.getItem(COLOR_MODE_KEY)).toBe('sepia');
+  });
+
+  it('cycles light → dark → system and persists each choice', () => {
+    mockSystemScheme(false);
+    localStorage.setItem(COLOR_MODE_KEY, 'light');
+    render(<ColorModeProvider><TestComponent /></ColorModeProvider>);
+
+    fireEvent.click(screen.getByText('cycle'));
+    expect(screen.getByTestId('mode')).toHaveTextContent('dark');
+    expect(localStorage.getItem(COLOR_MODE_KEY)).toBe('dark');
+
+    fireEvent.click(screen.getByText('cycle'));
+    expect(screen.getByTestId('preference')).toHaveTextContent('system');
+    expect(screen.getByTestId('mode')).toHaveTextContent('light');
+    expect(localStorage.getItem(COLOR_MODE_KEY)).toBe('system');
+  });
+
+  it('falls back to light mode outside a provider', () => {
+    render(<TestComponent />);
+
+    expect(screen.getByTestId('mode')).toHaveTextContent('light');
+    fireEvent.click(screen.getByText('dark'));
+    expect(screen.getByTestId('mode')).toHaveTextContent('light');
+  });
+});
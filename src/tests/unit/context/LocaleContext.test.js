@@ -0,0 +1,129 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { MemoryRouter, useLocation } from 'react-router-dom';
+import { LocaleProvider, useLocale, LOCALE_KEY } from '../../../context/LocaleContext';
+
+const TestComponent = () => {
+  const { locale, setLocale, t, tRich, formatNumber, formatRelativeTime } = useLocale();
+  const location = useLocation();
+  return (
+    <div>
+      <span data-testid="locale">{locale}</span>
+      <span data-testid="search">{location.search}</span>
+      <span data-testid="nav">{t('nav.blocks')}</span>
+      <span data-testid="number">{formatNumber(1234567)}</span>
+      <span data-testid="just-now">{formatRelativeTime(Date.now())}</span>
+      <p data-testid="rich">{tRich('home.about')}</p>
+      <button onClick={() => setLocale('zh')}>zh</button>
+      <button onClick={() => setLocale('fr')}>fr</button>
+    </div>
+  );
+};
+
+const renderAt = (route) => render(
+  <MemoryRouter initialEntries={[route]}>
+    <LocaleProvider>
+      <TestComponent />
+    </LocaleProvider>
+  </MemoryRouter>
+);
+
+const setBrowserLanguages = (languages) => {
+  Object.defineProperty(window.navigator, 'languages', { value: languages, configurable: true });
+};
+
+describe('LocaleContext', () => {
+  const originalLanguages = window.navigator.languages;
+
+  beforeEach(() => {
+    localStorage.clear();
+    setBrowserLanguages(['en-US']);
+  });
+
+  afterEach(() => {
+    setBrowserLanguages(originalLanguages);
+  });
+
+  it('defaults to English', () => {
+    renderAt('/');
+
+    expect(screen.getByTestId('locale')).toHaveTextContent('en');
+    expect(screen.getByTestId('nav')).toHaveTextContent('Blocks');
+    expect(screen.getByTestId('number')).toHaveTextContent('1,234,567');
+    expect(document.documentElement.lang).toBe('en');
+  });
+
+  it('follows the browser languages', () => {
+    setBrowserLanguages(['fr-FR', 'zh-CN']);
+    renderAt('/');
+
+    expect(screen.getByTestId('locale')).toHaveTextContent('zh');
+  });
+
+  it('prefers a stored choice over the browser', () => {
+    setBrowserLanguages(['zh-CN']);
+    localStorage.setItem(LOCALE_KEY, 'es');
+    renderAt('/');
+
+    expect(screen.getByTestId('locale')).toHaveTextContent('es');
+    expect(screen.getByTestId('number')).toHaveTextContent('1.234.567');
+    expect(screen.getByTestId('just-now')).toHaveTextContent('justo ahora');
+  });
+
+  it('lets ?lang= win and persists it', () => {
+    localStorage.setItem(LOCALE_KEY, 'zh');
+    renderAt('/blocks?lang=es');
+
+    expect(screen.getByTestId('locale')).toHaveTextContent('es');
+    expect(screen.getByTestId('nav')).toHaveTextContent('Bloques');
+    expect(localStorage.getItem(LOCALE_KEY)).toBe('es');
+    expect(document.documentElement.lang).toBe('es');
+  });
+
+  it('ignores an unsupported ?lang= value', () => {
+    renderAt('/?lang=fr');
+
+    expect(screen.getByTestId('locale')).toHaveTextContent('en');
+    expect(localStorage.getItem(LOCALE_KEY)).toBeNull();
+  });
+
+  it('setLocale stores the choice and rewrites ?lang=', () => {
+    renderAt('/blocks?lang=es&page=2');
+    fireEvent.click(screen.getByText('zh'));
+
+    expect(screen.getByTestId('locale')).toHaveTextContent('zh');
+    expect(screen.getByTestId('nav')).toHaveTextContent('区块');
+    expect(localStorage.getItem(LOCALE_KEY)).toBe('zh');
+    expect(screen.getByTestId('search')).toHaveTextContent('?lang=zh&page=2');
+  });
+
+  it('setLocale leaves a URL without ?lang= alone and ignores unsupported codes', () => {
+    renderAt('/blocks');
+    fireEvent.click(screen.getByText('fr'));
+    expect(screen.getByTestId('locale')).toHaveTextContent('en');
+
+    fireEvent.click(screen.getByText('zh'));
+    expect(screen.getByTestId('locale')).toHaveTextContent('zh');
+    expect(screen.getByTestId('search')).toBeEmptyDOMElement();
+  });
+
+  it('renders rich messages with markup', () => {
+    renderAt('/');
+
+    const strong = screen.getByTestId('rich').querySelector('strong');
+    expect(strong).toHaveTextContent('NO');
+  });
+
+  it('falls back to English outside a provider', () => {
+    render(
+      <MemoryRouter>
+        <TestComponent />
+      </MemoryRouter>
+    );
+
+    expect(screen.getByTestId('locale')).toHaveTextContent('en');
+    expect(screen.getByTestId('nav')).toHaveTextContent('Blocks');
+    fireEvent.click(screen.getByText('zh'));
+    expect(screen.getByTestId('locale')).toHaveTextContent('en');
+  });
+});
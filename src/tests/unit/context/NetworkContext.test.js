@@ -1,6 +1,10 @@
-import { describe, it, expect, vi } from 'vitest';
+import React, { useState } from 'react';
+import { describe, it, expect, vi, afterEach } from 'vitest';
 import { render, screen } from '@testing-library/react';
 import { NetworkProvider, useNetwork } from '../../../context/NetworkContext';
+import { useWsMessage } from '../../../hooks/useWsMessage';
+import { createWebSocketMock, waitForAsync } from '../../utils/testUtils';
+import { ColorModeProvider, COLOR_MODE_KEY } from '../../../context/ColorModeContext';
 
 // Test component that uses the useNetwork hook
 const TestComponent = () => {
@@ -171,5 +175,98 @@ describe('NetworkContext', () => {
       expect(screen.getByTestId('getApiUrl')).toHaveTextContent(initialApiUrl);
       expect(screen.getByTestId('name')).toHaveTextContent('testnet');
     });
+
+    it('should keep getApiUrl stable when the client or colour mode changes', async () => {
+      const seen = new Set();
+      const Probe = () => {
+        const { getApiUrl, wsClient } = useNetwork();
+        seen.add(getApiUrl);
+        return <span data-testid="client">{wsClient ? 'ready' : 'pending'}</span>;
+      };
+      localStorage.setItem(COLOR_MODE_KEY, 'light');
+      render(
+        <ColorModeProvider>
+          <NetworkProvider network="mainnet">
+            <Probe />
+          </NetworkProvider>
+        </ColorModeProvider>
+      );
+
+      expect(await screen.findByText('ready')).toBeInTheDocument();
+      expect(seen.size).toBe(1);
+      localStorage.clear();
+    });
+  });
+
+  describe('Colour Mode Palettes', () => {
+    afterEach(() => {
+      localStorage.clear();
+    });
+
+    it.each([
+      ['mainnet', '#3d8bfd'],
+      ['testnet', '#43a047'],
+    ])('should switch %s to its dark palette in dark mode', (network, primary) => {
+      localStorage.setItem(COLOR_MODE_KEY, 'dark');
+      render(
+        <ColorModeProvider>
+          <NetworkProvider network={network}>
+            <TestComponent />
+          </NetworkProvider>
+        </ColorModeProvider>
+      );
+
+      expect(screen.getByTestId('primaryColor')).toHaveTextContent(primary);
+    });
+
+    it('should keep the light palette in light mode', () => {
+      localStorage.setItem(COLOR_MODE_KEY, 'light');
+      render(
+        <ColorModeProvider>
+          <NetworkProvider network="testnet">
+            <TestComponent />
+          </NetworkProvider>
+        </ColorModeProvider>
+      );
+
+      expect(screen.getByTestId('primaryColor')).toHaveTextContent('#2e7d32');
+    });
+  });
+
+  describe('Shared WebSocket Client', () => {
+    let wsSetup;
+
+    afterEach(() => {
+      wsSetup.clearInstances();
+      vi.restoreAllMocks();
+    });
+
+    const LatestBlock = () => {
+      const [height, setHeight] = useState(null);
+      useWsMessage('newBlock', (message) => setHeight(message.data.height));
+      return <span data-testid="height">{height}</span>;
+    };
+
+    it('should keep delivering messages under StrictMode', async () => {
+      wsSetup = createWebSocketMock();
+      global.WebSocket = wsSetup.MockWebSocket;
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+
+      render(
+        <React.StrictMode>
+          <NetworkProvider network="mainnet">
+            <LatestBlock />
+          </NetworkProvider>
+        </React.StrictMode>
+      );
+      await waitForAsync();
+
+      // StrictMode's effect remount closes the first client; the one in use
+      // must be the live client created on remount
+      const open = wsSetup.instances.filter((ws) => ws.readyState === WebSocket.OPEN);
+      expect(open).toHaveLength(1);
+      open[0].receiveMessage({ type: 'newBlock', data: { height: 123 } });
+      expect(screen.getByTestId('height')).toHaveTextContent('123');
+    });
   });
 });
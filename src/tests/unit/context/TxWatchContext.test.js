@@ -0,0 +1,90 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { screen, fireEvent } from '@testing-library/react';
+import { renderWithProviders, createWebSocketMock, waitForAsync } from '../../utils/testUtils';
+import { TxWatchProvider, useTxWatch } from '../../../context/TxWatchContext';
+import { createWatch, loadWatches, saveWatches } from '../../../utils/txWatch';
+
+const Probe = () => {
+  const { watches, watch, unwatch } = useTxWatch();
+  return (
+    <div>
+      <ul>
+        {watches.map((entry) => <li key={entry.txid}>{`${entry.txid} | ${entry.status} | ${entry.confirmations}`}</li>)}
+      </ul>
+      <button onClick={() => watch({ txid: 'abc123' }, 2)}>watch</button>
+      <button onClick={() => unwatch('abc123')}>unwatch</button>
+    </div>
+  );
+};
+
+describe('TxWatchContext', () => {
+  let wsSetup;
+  let webSocketInstances;
+
+  beforeEach(() => {
+    localStorage.clear();
+    wsSetup = createWebSocketMock();
+    webSocketInstances = wsSetup.instances;
+    global.WebSocket = wsSetup.MockWebSocket;
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    wsSetup.clearInstances();
+    delete window.Notification;
+    vi.restoreAllMocks();
+  });
+
+  const renderProbe = async () => {
+    renderWithProviders(<TxWatchProvider><Probe /></TxWatchProvider>);
+    await waitForAsync();
+  };
+
+  it('does not open the feed without watches', async () => {
+    await renderProbe();
+
+    expect(screen.queryAllByRole('listitem')).toHaveLength(0);
+    expect(webSocketInstances).toHaveLength(0);
+  });
+
+  it('follows a watched transaction to its target and saves it', async () => {
+    await renderProbe();
+    fireEvent.click(screen.getByText('watch'));
+    await waitForAsync();
+    const ws = webSocketInstances[0];
+
+    ws.receiveMessage({ type: 'newTransaction', data: { txid: 'abc123', fee: 0.0001 } });
+    expect(screen.getByText('abc123 | mempool | 0')).toBeInTheDocument();
+
+    ws.receiveMessage({ type: 'transactionConfirmed', data: { blockHeight: 50, transactions: [{ txid: 'abc123' }] } });
+    ws.receiveMessage({ type: 'newBlock', data: { height: 51 } });
+    expect(screen.getByText('abc123 | complete | 2')).toBeInTheDocument();
+    expect(loadWatches('mainnet')[0]).toMatchObject({ txid: 'abc123', status: 'complete' });
+
+    fireEvent.click(screen.getByText('unwatch'));
+    expect(screen.queryAllByRole('listitem')).toHaveLength(0);
+    expect(loadWatches('mainnet')).toEqual([]);
+  });
+
+  it('restores saved watches and notifies on completion once permission is granted', async () => {
+    const notification = vi.fn();
+    notification.permission = 'granted';
+    window.Notification = notification;
+    const txid = `${'a'.repeat(10)}${'0'.repeat(48)}bbbbbb`;
+    saveWatches('mainnet', [createWatch('mainnet', { txid, blockHeight: 70 }, { target: 3, tipHeight: 70 })]);
+    await renderProbe();
+    const ws = webSocketInstances[0];
+
+    ws.receiveMessage({ type: 'newBlock', data: { height: 71 } });
+    expect(notification).not.toHaveBeenCalled();
+    ws.receiveMessage({ type: 'newBlock', data: { height: 72 } });
+
+    expect(screen.getByText(`${txid} | complete | 3`)).toBeInTheDocument();
+    expect(notification).toHaveBeenCalledTimes(1);
+    expect(notification).toHaveBeenCalledWith('DigiByte Stats', expect.objectContaining({
+      body: 'Transaction aaaaaaaaaa…bbbbbb reached 3 confirmations (block 70)',
+      tag: `tx-${txid}`,
+    }));
+  });
+});
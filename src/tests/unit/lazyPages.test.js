@@ -0,0 +1,41 @@
+import React, { Suspense } from 'react';
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import { ROUTES } from '../../routes';
+import { LAZY_PAGES, PAGE_NAMES, loadPage, prefetchPage } from '../../lazyPages';
+import { PageSkeleton } from '../../components/LoadingCard';
+
+describe('lazy pages', () => {
+  it('has a lazy component for every registry page and no extras', () => {
+    const registryPages = new Set(ROUTES.map((route) => route.page));
+
+    expect(new Set(PAGE_NAMES)).toEqual(registryPages);
+    PAGE_NAMES.forEach((name) => expect(LAZY_PAGES[name]).toBeDefined());
+  });
+
+  it('loads each page module once and shares the promise with prefetch', async () => {
+    prefetchPage('TaprootPage');
+    const first = loadPage('TaprootPage');
+
+    expect(loadPage('TaprootPage')).toBe(first);
+    expect(typeof (await first).default).toBe('function');
+  });
+
+  it('rejects unknown pages, and prefetch ignores them', async () => {
+    await expect(loadPage('NoSuchPage')).rejects.toThrow('Unknown page: NoSuchPage');
+    expect(() => prefetchPage('NoSuchPage')).not.toThrow();
+  });
+
+  it('shows the page skeleton until the chunk arrives', async () => {
+    const Page = LAZY_PAGES.DownloadsPage;
+    const { container } = render(
+      <Suspense fallback={<PageSkeleton />}>
+        <Page />
+      </Suspense>
+    );
+
+    expect(screen.getByTestId('page-skeleton')).toHaveTextContent('Loading...');
+    await screen.findByRole('heading', { level: 1 }, { timeout: 5000 });
+    expect(container.querySelector('[data-testid="page-skeleton"]')).toBeNull();
+  });
+});
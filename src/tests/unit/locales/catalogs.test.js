@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { catalogs, LOCALES, DEFAULT_LOCALE, matchLocale, translate } from '../../../locales';
+
+const flatten = (node, prefix = '') => Object.entries(node).flatMap(([key, value]) => (
+  typeof value === 'object' ? flatten(value, `${prefix}${key}.`) : [[`${prefix}${key}`, value]]
+));
+
+const placeholders = (message) => (message.match(/\{\w+\}/g) || []).sort();
+const tags = (message) => (message.match(/<\/?(strong|em|code)>/g) || []).length;
+
+describe('locales', () => {
+  const english = Object.fromEntries(flatten(catalogs.en));
+
+  it('has a catalog for every selector entry', () => {
+    LOCALES.forEach(({ code }) => expect(catalogs[code]).toBeDefined());
+    expect(LOCALES[0].code).toBe(DEFAULT_LOCALE);
+  });
+
+  LOCALES.filter(({ code }) => code !== DEFAULT_LOCALE).forEach(({ code }) => {
+    describe(`${code} catalog`, () => {
+      const messages = Object.fromEntries(flatten(catalogs[code]));
+
+      it('translates every English key and nothing else', () => {
+        expect(Object.keys(messages).sort()).toEqual(Object.keys(english).sort());
+      });
+
+      it('keeps the same placeholders and rich-text tags', () => {
+        Object.entries(english).forEach(([key, message]) => {
+          expect(placeholders(messages[key]), key).toEqual(placeholders(message));
+          expect(tags(messages[key]), key).toBe(tags(message));
+        });
+      });
+    });
+  });
+
+  describe('matchLocale', () => {
+    it('maps language tags to supported codes', () => {
+      expect(matchLocale('es-MX')).toBe('es');
+      expect(matchLocale('zh-Hans-CN')).toBe('zh');
+      expect(matchLocale('EN_us')).toBe('en');
+    });
+
+    it('returns null for unsupported or missing tags', () => {
+      expect(matchLocale('fr')).toBeNull();
+      expect(matchLocale('')).toBeNull();
+      expect(matchLocale(null)).toBeNull();
+    });
+  });
+
+  describe('translate', () => {
+    it('looks up dotted keys', () => {
+      expect(translate('es', 'nav.blocks')).toBe('Bloques');
+      expect(translate('zh', 'nav.blocks')).toBe('区块');
+    });
+
+    it('substitutes placeholders and keeps unknown ones', () => {
+      expect(translate('en', 'home.blockHeight', { height: '600' })).toBe('Block 600');
+      expect(translate('en', 'home.blockHeight', {})).toBe('Block {height}');
+    });
+
+    it('falls back to English, then to the key', () => {
+      expect(translate('fr', 'nav.blocks')).toBe('Blocks');
+      expect(translate('es', 'missing.key')).toBe('missing.key');
+      expect(translate('es', 'nav')).toBe('nav');
+    });
+  });
+});
@@ -0,0 +1,165 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { screen, waitFor, within } from '@testing-library/react';
+import { Routes, Route } from 'react-router-dom';
+import { http, HttpResponse } from 'msw';
+import { server } from '../../mocks/server';
+import { renderWithProviders, createWebSocketMock, waitForAsync } from '../../utils/testUtils';
+import AddressPage from '../../../pages/AddressPage';
+
+const ADDRESS = 'DTnt7VZqR5ofHhAxZuDy4m3PhSjKFXpw3e';
+const BECH32_TESTNET = 'dgbt1qqqqsyqcyq5rqwzqfpg9scrgwpugpzysnhap3sh';
+const TXID_IN = 'aa'.repeat(32);
+const TXID_OUT = 'bb'.repeat(32);
+
+const mockAddressIndex = (address = ADDRESS, prefix = '') => {
+  server.use(
+    http.get(`http://localhost:5001/api${prefix}/getaddressbalance/${address}`, () => HttpResponse.json({
+      balance: 150000000,
+      received: 250000000,
+    })),
+    http.get(`http://localhost:5001/api${prefix}/getaddressutxos/${address}`, () => HttpResponse.json([
+      { address, txid: TXID_IN, outputIndex: 1, satoshis: 150000000, height: 100 },
+    ])),
+    http.get(`http://localhost:5001/api${prefix}/getaddressdeltas/${address}`, () => HttpResponse.json([
+      { address, txid: TXID_IN, index: 1, satoshis: 150000000, height: 100 },
+      { address, txid: TXID_OUT, index: 0, satoshis: -100000000, height: 90 },
+      { address, txid: TXID_OUT, index: 1, satoshis: 40000000, height: 90 },
+    ])),
+  );
+};
+
+const renderAddressPage = (route = `/address/${ADDRESS}`, network = 'mainnet') => renderWithProviders(
+  <Routes>
+    <Route path="/address/:addr" element={<AddressPage />} />
+    <Route path="/testnet/address/:addr" element={<AddressPage />} />
+  </Routes>,
+  { route, network }
+);
+
+describe('AddressPage', () => {
+  let wsSetup;
+
+  beforeEach(() => {
+    wsSetup = createWebSocketMock();
+    global.WebSocket = wsSetup.MockWebSocket;
+  });
+
+  afterEach(() => {
+    wsSetup.instances.forEach((ws) => ws.close());
+    wsSetup.clearInstances();
+    vi.restoreAllMocks();
+  });
+
+  it('shows balance, received and sent totals from the address index', async () => {
+    mockAddressIndex();
+    renderAddressPage();
+
+    const summary = await screen.findByTestId('address-summary');
+    await waitFor(() => expect(within(summary).getByText('1.5 DGB')).toBeInTheDocument());
+    expect(within(summary).getByText('2.5 DGB')).toBeInTheDocument();
+    expect(within(summary).getByText('1 DGB')).toBeInTheDocument();
+    expect(within(summary).getByRole('link', { name: /View on DigiExplorer/ }))
+      .toHaveAttribute('href', `https://digiexplorer.info/address/${ADDRESS}`);
+  });
+
+  it('lists UTXOs and per-transaction history linked to the transaction page', async () => {
+    mockAddressIndex();
+    renderAddressPage();
+
+    const utxos = await screen.findByTestId('address-utxos');
+    expect(within(utxos).getByRole('link', { name: `${TXID_IN.substring(0, 16)}...:1` }))
+      .toHaveAttribute('href', `/tx/${TXID_IN}`);
+
+    const history = screen.getByTestId('address-history');
+    const rows = within(history).getAllByRole('row').slice(1);
+    expect(rows).toHaveLength(2);
+    expect(within(rows[0]).getByText('Received')).toBeInTheDocument();
+    expect(within(rows[0]).getByText('+1.5 DGB')).toBeInTheDocument();
+    // TXID_OUT spent 1 DGB and sent 0.4 DGB of change back: net 0.6 DGB sent.
+    expect(within(rows[1]).getByText('Sent')).toBeInTheDocument();
+    expect(within(rows[1]).getByText('−0.6 DGB')).toBeInTheDocument();
+  });
+
+  it('summarizes blocks mined by a payout address from the live feed', async () => {
+    mockAddressIndex();
+    renderAddressPage();
+    await waitForAsync();
+
+    wsSetup.instances[0].receiveMessage({
+      type: 'recentBlocks',
+      data: [
+        { hash: 'h4', height: 4, minerAddress: ADDRESS, poolIdentifier: 'DigiHash', algo: 'sha256d', hasOracleBundle: true, oracleSignerCount: 7 },
+        { hash: 'h3', height: 3, minedTo: ADDRESS, poolIdentifier: 'DigiHash', algo: 'scrypt' },
+        { hash: 'h2', height: 2, minerAddress: ADDRESS, poolIdentifier: 'DigiHash', algo: 'sha256d' },
+        { hash: 'h1', height: 1, minerAddress: 'DOther', algo: 'odo' },
+      ],
+    });
+
+    const mining = await screen.findByTestId('address-mining');
+    expect(within(mining).getByText('Publishing DigiDollar Bundles (33%)')).toBeInTheDocument();
+    expect(within(mining).getByText('Pool: DigiHash')).toBeInTheDocument();
+    expect(within(mining).getByText('3 of the last 4 (75.0%)')).toBeInTheDocument();
+    expect(within(mining).getByText('4 · 7 signers')).toBeInTheDocument();
+
+    const algoRows = within(screen.getByTestId('address-algo-split')).getAllByRole('row').slice(1);
+    expect(algoRows.map((row) => row.textContent)).toEqual(['sha256d21', 'scrypt10']);
+    expect(within(mining).getByRole('link', { name: '4' })).toHaveAttribute('href', '/block/h4');
+  });
+
+  it('omits the mining section for addresses with no blocks in the window', async () => {
+    mockAddressIndex();
+    renderAddressPage();
+    await waitForAsync();
+
+    wsSetup.instances[0].receiveMessage({
+      type: 'recentBlocks',
+      data: [{ hash: 'h1', height: 1, minerAddress: 'DOther', algo: 'odo' }],
+    });
+
+    await screen.findByTestId('address-history');
+    expect(screen.queryByTestId('address-mining')).not.toBeInTheDocument();
+  });
+
+  it('keeps the mining section when the address index is unavailable', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    server.use(http.get('http://localhost:5001/api/getaddress*', () => HttpResponse.json({}, { status: 500 })));
+    renderAddressPage();
+    await waitForAsync();
+
+    wsSetup.instances[0].receiveMessage({
+      type: 'recentBlocks',
+      data: [{ hash: 'h1', height: 1, minerAddress: ADDRESS, algo: 'odo' }],
+    });
+
+    expect(await screen.findByText(/Balance and history are unavailable/)).toBeInTheDocument();
+    expect(await screen.findByTestId('address-mining')).toBeInTheDocument();
+    expect(screen.getByText('No bundles')).toBeInTheDocument();
+    expect(screen.queryByTestId('address-utxos')).not.toBeInTheDocument();
+  });
+
+  it('rejects input that is not an address without fetching', async () => {
+    const fetchSpy = vi.spyOn(global, 'fetch');
+    renderAddressPage('/address/not-an-address');
+
+    expect(await screen.findByText('not-an-address is not a valid DigiByte address.')).toBeInTheDocument();
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
+
+  it('points a testnet address opened on mainnet at the testnet page', async () => {
+    renderAddressPage(`/address/${BECH32_TESTNET}`);
+
+    expect(await screen.findByText(/is a testnet address/)).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'View it on testnet' }))
+      .toHaveAttribute('href', `/testnet/address/${BECH32_TESTNET}`);
+  });
+
+  it('reads testnet addresses through the testnet API prefix', async () => {
+    mockAddressIndex(BECH32_TESTNET, '/testnet');
+    renderAddressPage(`/testnet/address/${BECH32_TESTNET}`, 'testnet');
+
+    expect(await screen.findByText('TESTNET')).toBeInTheDocument();
+    const summary = screen.getByTestId('address-summary');
+    await waitFor(() => expect(within(summary).getByText('1.5 DGB')).toBeInTheDocument());
+  });
+});
@@ -4,14 +4,6 @@ import * as d3 from 'd3';
 import AlgosPage from '../../../pages/AlgosPage';
 import { renderWithProviders, createWebSocketMock, waitForAsync, mockD3Selection } from '../../utils/testUtils';
 
-// Mock the config
-vi.mock('../../../config', () => ({
-  default: {
-    apiBaseUrl: 'http://localhost:5001',
-    wsBaseUrl: 'ws://localhost:5002'
-  }
-}));
-
 // Mock D3
 vi.mock('d3', () => ({
   select: vi.fn(),
@@ -317,7 +309,7 @@ describe('AlgosPage', () => {
       
       ws.onerror(new Error('Connection failed'));
       
-      expect(consoleErrorSpy).toHaveBeenCalledWith('WebSocket connection error:', expect.any(Error));
+      expect(consoleErrorSpy).toHaveBeenCalledWith('WebSocket error:', expect.any(Error));
       
       // Page should still render
       expect(screen.getByText('Realtime DigiByte Blocks By Algo')).toBeInTheDocument();
@@ -336,7 +328,7 @@ describe('AlgosPage', () => {
       // Send malformed data
       ws.onmessage({ data: 'invalid json' });
       
-      expect(consoleErrorSpy).toHaveBeenCalledWith('Error processing WebSocket message:', expect.any(Error));
+      expect(consoleErrorSpy).toHaveBeenCalledWith('Error parsing WebSocket message:', expect.any(Error));
       
       // Should not crash
       expect(screen.getByText('Realtime DigiByte Blocks By Algo')).toBeInTheDocument();
@@ -0,0 +1,141 @@
+import React from 'react';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { screen, waitFor, within } from '@testing-library/react';
+import { Routes, Route } from 'react-router-dom';
+import { http, HttpResponse } from 'msw';
+import { server } from '../../mocks/server';
+import { renderWithProviders, buildOracleScript } from '../../utils/testUtils';
+import BlockPage from '../../../pages/BlockPage';
+
+const HASH = 'aa'.repeat(32);
+const PREV = 'bb'.repeat(32);
+const NEXT = 'cc'.repeat(32);
+
+const mockBlock = (overrides = {}) => ({
+  hash: HASH,
+  height: 23800000,
+  confirmations: 3,
+  size: 1234,
+  weight: 4000,
+  version: 0x20800602,
+  merkleroot: 'dd'.repeat(32),
+  time: 1760000000,
+  mediantime: 1759999900,
+  nonce: 42,
+  bits: '1a0fffff',
+  difficulty: 1234567.89,
+  chainwork: '00'.repeat(32),
+  nTx: 2,
+  previousblockhash: PREV,
+  nextblockhash: NEXT,
+  algo: 'skein',
+  poolIdentifier: 'DigiHash',
+  minerAddress: 'dgb1qminer',
+  hasOracleBundle: true,
+  oracleSignerCount: 7,
+  oraclePriceUsd: 0.00913,
+  tx: [{
+    txid: 'ee'.repeat(32),
+    vout: [
+      { n: 0, value: 277.5, scriptPubKey: { type: 'witness_v0_keyhash', address: 'dgb1qminer', hex: '0014aa' } },
+      {
+        n: 1,
+        value: 0,
+        scriptPubKey: {
+          type: 'nulldata',
+          hex: buildOracleScript({ signerIds: [0, 3, 9, 17, 25, 33, 34], priceMicroUsd: 9130 }),
+        },
+      },
+    ],
+  }, 'ff'.repeat(32)],
+  ...overrides,
+});
+
+const renderBlockPage = (route = `/block/${HASH}`, network = 'mainnet') => renderWithProviders(
+  <Routes>
+    <Route path="/block/:hashOrHeight" element={<BlockPage />} />
+    <Route path="/testnet/block/:hashOrHeight" element={<BlockPage />} />
+  </Routes>,
+  { route, network }
+);
+
+describe('BlockPage', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('fetches the block by hash and renders header fields', async () => {
+    server.use(http.get(`http://localhost:5001/api/getblock/${HASH}`, () => HttpResponse.json(mockBlock())));
+
+    renderBlockPage();
+
+    expect(await screen.findByRole('heading', { name: 'Block 23,800,000' })).toBeInTheDocument();
+    const header = screen.getByTestId('block-header');
+    expect(within(header).getByText(HASH)).toBeInTheDocument();
+    expect(within(header).getByText('skein')).toBeInTheDocument();
+    expect(within(header).getByText('DigiHash')).toBeInTheDocument();
+    expect(within(header).getAllByText('dgb1qminer').length).toBeGreaterThan(0);
+    expect(within(header).getByRole('link', { name: /View on DigiExplorer/ }))
+      .toHaveAttribute('href', `https://digiexplorer.info/block/${HASH}`);
+  });
+
+  it('decodes version bits per BIP9 deployment', async () => {
+    server.use(http.get(`http://localhost:5001/api/getblock/${HASH}`, () => HttpResponse.json(mockBlock())));
+
+    renderBlockPage();
+
+    const version = await screen.findByTestId('block-version');
+    expect(within(version).getByText('0x20800602')).toBeInTheDocument();
+    expect(within(version).getByText('Algo bits: skein')).toBeInTheDocument();
+    expect(within(version).getByText(/DigiDollar \(bit 23\)/)).toBeInTheDocument();
+  });
+
+  it('renders coinbase outputs and the decoded oracle bundle', async () => {
+    server.use(http.get(`http://localhost:5001/api/getblock/${HASH}`, () => HttpResponse.json(mockBlock())));
+
+    renderBlockPage();
+
+    const coinbase = await screen.findByTestId('block-coinbase');
+    expect(within(coinbase).getByText('OP_ORACLE bundle')).toBeInTheDocument();
+    expect(within(coinbase).getByText('277.5 DGB')).toBeInTheDocument();
+
+    const bundle = within(coinbase).getByTestId('oracle-bundle');
+    expect(within(bundle).getByText('$0.009130 / DGB')).toBeInTheDocument();
+    expect(within(bundle).getByText('v0x03')).toBeInTheDocument();
+    ['#0', '#3', '#9', '#17', '#25', '#33', '#34'].forEach((id) => {
+      expect(within(bundle).getByText(id)).toBeInTheDocument();
+    });
+  });
+
+  it('links prev/next blocks within the current network', async () => {
+    server.use(http.get('http://localhost:5001/api/testnet/getblock/600', () => HttpResponse.json(mockBlock({ height: 600 }))));
+
+    renderBlockPage('/testnet/block/600', 'testnet');
+
+    expect(await screen.findByRole('link', { name: /Previous/ })).toHaveAttribute('href', `/testnet/block/${PREV}`);
+    expect(screen.getByRole('link', { name: /Next/ })).toHaveAttribute('href', `/testnet/block/${NEXT}`);
+    expect(screen.getByRole('link', { name: /View on DigiExplorer/ }))
+      .toHaveAttribute('href', `https://testnet.digiexplorer.info/block/${HASH}`);
+  });
+
+  it('disables Next at the chain tip and notes blocks without a bundle', async () => {
+    const tip = mockBlock({ nextblockhash: undefined, hasOracleBundle: false, tx: [{ vout: [] }] });
+    server.use(http.get(`http://localhost:5001/api/getblock/${HASH}`, () => HttpResponse.json(tip)));
+
+    renderBlockPage();
+
+    expect(await screen.findByText('No DigiDollar oracle bundle in this block.')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: /Next/ })).toHaveAttribute('aria-disabled', 'true');
+  });
+
+  it('shows an error for an unknown block', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    server.use(http.get('http://localhost:5001/api/getblock/999999999', () => HttpResponse.json({ error: 'not found' }, { status: 404 })));
+
+    renderBlockPage('/block/999999999');
+
+    await waitFor(() => {
+      expect(screen.getByRole('alert')).toHaveTextContent('Block 999999999 was not found.');
+    });
+  });
+});
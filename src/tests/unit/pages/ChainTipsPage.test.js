@@ -2,13 +2,7 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { screen, waitFor, within, act } from '@testing-library/react';
 import ChainTipsPage, { buildOrphanBuckets, buildDailySeries } from '../../../pages/ChainTipsPage';
 import { renderWithProviders, createWebSocketMock, waitForAsync } from '../../utils/testUtils';
-
-vi.mock('../../../config', () => ({
-  default: {
-    apiBaseUrl: 'http://localhost:5001',
-    wsBaseUrl: 'ws://localhost:5002',
-  },
-}));
+import { LocaleProvider } from '../../../context/LocaleContext';
 
 const TOP = 23784910;
 
@@ -110,6 +104,21 @@ describe('ChainTipsPage', () => {
     expect(within(deepest).getByText('4')).toBeInTheDocument();
   });
 
+  it('renders the page copy and fork-risk strip in the active locale', async () => {
+    renderWithProviders(<LocaleProvider><ChainTipsPage /></LocaleProvider>, { route: '/?lang=es' });
+    await waitForAsync();
+    webSocketInstances[0].receiveMessage({ type: 'chainTips', data: chainTipsData });
+
+    await waitFor(() => {
+      expect(screen.getByText('Altura activa')).toBeInTheDocument();
+    });
+    expect(screen.getByText('Puntas de cadena y huérfanos')).toBeInTheDocument();
+    expect(screen.getByText('23.784.910')).toBeInTheDocument();
+    expect(screen.getByText('Red saludable')).toBeInTheDocument();
+    expect(screen.getByText('Punta activa')).toBeInTheDocument();
+    expect(screen.getByText('hace 1 min')).toBeInTheDocument();
+  });
+
   it('renders chain-tips table rows with status chips', async () => {
     renderWithProviders(<ChainTipsPage />);
     await waitForAsync();
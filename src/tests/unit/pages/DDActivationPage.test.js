@@ -1,7 +1,8 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { screen, waitFor, act } from '@testing-library/react';
+import { screen, waitFor } from '@testing-library/react';
 import { http, HttpResponse } from 'msw';
 import DDActivationPage from '../../../pages/DDActivationPage';
+import { LocaleProvider } from '../../../context/LocaleContext';
 import { renderWithProviders, createWebSocketMock, waitForAsync } from '../../utils/testUtils';
 import { server } from '../../mocks/server';
 import { mockApiResponses } from '../../mocks/mockData';
@@ -174,9 +175,7 @@ describe('DDActivationPage', () => {
       await waitForAsync();
       const ws = webSocketInstances[0];
 
-      act(() => {
-        ws.onclose({ type: 'close', code: 1006, reason: 'abnormal closure' });
-      });
+      ws.triggerClose(1006, 'abnormal closure');
 
       await waitFor(() => {
         expect(screen.queryByText('Loading activation data...')).not.toBeInTheDocument();
@@ -1221,6 +1220,20 @@ describe('DDActivationPage', () => {
       });
     });
 
+    it('should group block counts for the interface language', async () => {
+      renderWithProviders(
+        <LocaleProvider><DDActivationPage /></LocaleProvider>,
+        { network: 'mainnet', route: '/?lang=es' }
+      );
+      await waitForAsync();
+      sendDeploymentData(webSocketInstances[0], mockDeploymentStarted);
+
+      await waitFor(() => {
+        expect(screen.getByText('40.320 blocks')).toBeInTheDocument();
+      });
+      expect(screen.getByText('23.627.520')).toBeInTheDocument();
+    });
+
     it('should show mainnet CLI command without -testnet flag', async () => {
       renderWithProviders(<DDActivationPage />, { network: 'mainnet' });
       await waitForAsync();
@@ -23,14 +23,6 @@ global.ResizeObserver = vi.fn().mockImplementation(() => ({
   disconnect: vi.fn(),
 }));
 
-// Mock the config first
-vi.mock('../../../config', () => ({
-  default: {
-    apiBaseUrl: 'http://localhost:5001',
-    wsBaseUrl: 'ws://localhost:5002'
-  }
-}));
-
 // Mock chartjs-adapter-luxon
 vi.mock('chartjs-adapter-luxon', () => ({}));
 
@@ -322,7 +314,7 @@ describe('DifficultiesPage', () => {
       
       await waitForAsync();
       
-      expect(consoleLogSpy).toHaveBeenCalledWith('WebSocket connection established for difficulties page');
+      expect(consoleLogSpy).toHaveBeenCalledWith('WebSocket connection established (ws://localhost:5002)');
       
       consoleLogSpy.mockRestore();
     });
@@ -336,7 +328,7 @@ describe('DifficultiesPage', () => {
       
       unmount();
       
-      expect(consoleLogSpy).toHaveBeenCalledWith('WebSocket connection closed - difficulties page');
+      expect(consoleLogSpy).toHaveBeenCalledWith('WebSocket connection closed (ws://localhost:5002)');
       
       consoleLogSpy.mockRestore();
     });
@@ -2,6 +2,7 @@ import { describe, it, expect, vi } from 'vitest';
 import { screen } from '@testing-library/react';
 import DigiDollarPage from '../../../pages/DigiDollarPage';
 import { renderWithProviders } from '../../utils/testUtils';
+import { LocaleProvider } from '../../../context/LocaleContext';
 
 describe('DigiDollarPage', () => {
   describe('Rendering', () => {
@@ -146,4 +147,27 @@ describe('DigiDollarPage', () => {
       expect(useCasesButton).toHaveAttribute('href', 'https://github.com/orgs/DigiByte-Core/discussions/325');
     });
   });
+
+  describe('Locale', () => {
+    it('should render the explainer copy and collateral table in the active locale', () => {
+      renderWithProviders(<LocaleProvider><DigiDollarPage /></LocaleProvider>, { route: '/?lang=es' });
+
+      expect(screen.getByText('¿Qué es DigiDollar?')).toBeInTheDocument();
+      expect(screen.getByText('Requisitos de garantía')).toBeInTheDocument();
+      expect(screen.getByText('Periodo de bloqueo')).toBeInTheDocument();
+      expect(screen.getAllByText('30 días').length).toBeGreaterThan(0);
+      expect(screen.getByText(/^caída del 71,4\s%$/)).toBeInTheDocument();
+      expect(screen.getByText('Estado actual:')).toBeInTheDocument();
+      expect(screen.getByRole('link', { name: /Libro blanco/ })).toBeInTheDocument();
+      expect(screen.queryByText('Key Benefits')).not.toBeInTheDocument();
+    });
+
+    it('should render the integration guides card in the active locale', () => {
+      renderWithProviders(<LocaleProvider><DigiDollarPage /></LocaleProvider>, { route: '/?lang=es' });
+
+      expect(screen.getByText('Guías de integración de DigiDollar')).toBeInTheDocument();
+      expect(screen.getByRole('link', { name: /Guía de integración en carteras/ })).toBeInTheDocument();
+      expect(screen.queryByText('Wallet Integration Guide')).not.toBeInTheDocument();
+    });
+  });
 });
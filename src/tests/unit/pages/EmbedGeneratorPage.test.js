@@ -0,0 +1,70 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { screen, fireEvent, waitFor, within } from '@testing-library/react';
+import EmbedGeneratorPage from '../../../pages/EmbedGeneratorPage';
+import { renderWithProviders } from '../../utils/testUtils';
+
+const snippet = () => screen.getByTestId('embed-snippet').value;
+
+describe('EmbedGeneratorPage', () => {
+  beforeEach(() => {
+    // jsdom tries to load the preview iframe from a server that is not running.
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+    delete navigator.clipboard;
+    vi.clearAllMocks();
+  });
+
+  it('starts with the block height widget on the current network', () => {
+    renderWithProviders(<EmbedGeneratorPage />, { route: '/embed' });
+
+    expect(screen.getByRole('heading', { level: 1, name: 'Embed Widgets' })).toBeInTheDocument();
+    expect(snippet()).toBe(
+      `<iframe src="${window.location.origin}/embed/block-height" title="DigiByte Block Height" `
+      + 'width="100%" height="200" style="border:0;max-width:640px" loading="lazy"></iframe>'
+    );
+    expect(screen.getByTitle('DigiByte Block Height')).toHaveAttribute('src', '/embed/block-height');
+  });
+
+  it('defaults to testnet on the testnet copy of the page', () => {
+    renderWithProviders(<EmbedGeneratorPage />, { route: '/testnet/embed', network: 'testnet' });
+
+    expect(snippet()).toContain('/embed/block-height?network=testnet');
+  });
+
+  it('updates the snippet and preview for the chosen widget, theme and accent', () => {
+    renderWithProviders(<EmbedGeneratorPage />, { route: '/embed' });
+
+    fireEvent.mouseDown(screen.getByRole('combobox', { name: /Widget/ }));
+    fireEvent.click(within(screen.getByRole('listbox')).getByText('Fork Risk'));
+    fireEvent.click(screen.getByRole('button', { name: 'Dark' }));
+    fireEvent.change(screen.getByLabelText('Accent colour'), { target: { value: '#F60' } });
+
+    expect(snippet()).toContain('/embed/fork-risk?theme=dark&accent=ff6600"');
+    expect(snippet()).toContain('height="130"');
+    expect(screen.getByTitle('DigiByte Fork Risk')).toHaveAttribute('src', '/embed/fork-risk?theme=dark&accent=ff6600');
+  });
+
+  it('flags an invalid accent and leaves it out of the snippet', () => {
+    renderWithProviders(<EmbedGeneratorPage />, { route: '/embed' });
+
+    fireEvent.change(screen.getByLabelText('Accent colour'), { target: { value: 'orange' } });
+
+    expect(screen.getByText('Not a hex colour; the network colour is used.')).toBeInTheDocument();
+    expect(snippet()).not.toContain('accent=');
+  });
+
+  it('copies the snippet to the clipboard', async () => {
+    const writeText = vi.fn().mockResolvedValue();
+    Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+    renderWithProviders(<EmbedGeneratorPage />, { route: '/embed' });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Copy code' }));
+
+    await waitFor(() => expect(screen.getByRole('button', { name: 'Copied' })).toBeInTheDocument());
+    expect(writeText).toHaveBeenCalledWith(snippet());
+  });
+});
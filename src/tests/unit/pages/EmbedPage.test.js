@@ -0,0 +1,100 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { screen, waitFor } from '@testing-library/react';
+import { Routes, Route } from 'react-router-dom';
+import EmbedPage from '../../../pages/EmbedPage';
+import { renderWithProviders, createWebSocketMock, waitForAsync } from '../../utils/testUtils';
+
+const renderEmbed = (route) => renderWithProviders(
+  <Routes>
+    <Route path="/embed/:widget" element={<EmbedPage />} />
+  </Routes>,
+  { route }
+);
+
+describe('EmbedPage', () => {
+  let wsSetup;
+  let webSocketInstances;
+
+  beforeEach(() => {
+    wsSetup = createWebSocketMock();
+    webSocketInstances = wsSetup.instances;
+    global.WebSocket = wsSetup.MockWebSocket;
+  });
+
+  afterEach(() => {
+    webSocketInstances.forEach((ws) => ws.close());
+    wsSetup.clearInstances();
+    document.head.querySelectorAll('meta[name="robots"]').forEach((meta) => meta.remove());
+    vi.clearAllMocks();
+  });
+
+  it('renders the block height in a StatCard with no site chrome', async () => {
+    renderEmbed('/embed/block-height');
+    await waitForAsync();
+
+    webSocketInstances[0].receiveMessage({ type: 'initialData', data: { blockchainInfo: { blocks: 21000000 } } });
+    await waitFor(() => expect(screen.getByText('21,000,000')).toBeInTheDocument());
+
+    webSocketInstances[0].receiveMessage({ type: 'newBlock', data: { height: 21000001 } });
+    await waitFor(() => expect(screen.getByText('21,000,001')).toBeInTheDocument());
+
+    expect(screen.getByText('Block Height')).toBeInTheDocument();
+    expect(screen.queryByRole('navigation')).not.toBeInTheDocument();
+    expect(screen.getByRole('link', { name: /DigiByte Stats/ })).toHaveAttribute('href', '/');
+  });
+
+  it('applies the accent colour and dark theme from the query string', async () => {
+    const { container } = renderEmbed('/embed/block-height?theme=dark&accent=ff6600');
+    await waitForAsync();
+
+    const avatar = container.querySelector('.MuiAvatar-root');
+    expect(getComputedStyle(avatar).backgroundColor).toBe('rgb(255, 102, 0)');
+    expect(getComputedStyle(document.body).backgroundColor).toBe('rgb(15, 20, 28)');
+  });
+
+  it('connects to the testnet feed and links back to the testnet page', async () => {
+    renderEmbed('/embed/fork-risk?network=testnet');
+    await waitForAsync();
+
+    expect(wsSetup.MockWebSocket).toHaveBeenCalledWith('ws://localhost:5003');
+    webSocketInstances[0].receiveMessage({
+      type: 'forkAlert',
+      data: { level: 'elevated', reason: 'competing branch at tip' },
+    });
+
+    await waitFor(() => expect(screen.getByText('Elevated — Competing Branch')).toBeInTheDocument());
+    expect(screen.getByText('competing branch at tip')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: /DigiByte Stats/ })).toHaveAttribute('href', '/testnet/tips');
+  });
+
+  it('shows the oracle price and DD supply widgets once their feeds arrive', async () => {
+    renderEmbed('/embed/oracle-price');
+    await waitForAsync();
+    webSocketInstances[0].receiveMessage({
+      type: 'oracleData',
+      data: { price: { price_micro_usd: 12345, last_update_height: 500, is_stale: false } },
+    });
+
+    await waitFor(() => expect(screen.getByText('$0.012345')).toBeInTheDocument());
+    expect(screen.getByText('Block 500')).toBeInTheDocument();
+    expect(screen.getByText('Fresh')).toBeInTheDocument();
+  });
+
+  it('says so when the feed is unavailable', async () => {
+    renderEmbed('/embed/dd-supply');
+    await waitForAsync();
+    webSocketInstances[0].triggerClose();
+
+    await waitFor(() => expect(screen.getByText('Live data unavailable')).toBeInTheDocument());
+  });
+
+  it('keeps widgets out of search results and handles unknown widgets', async () => {
+    renderEmbed('/embed/nope');
+    await waitForAsync();
+
+    expect(screen.getByText(/Unknown widget “nope”/)).toBeInTheDocument();
+    expect(document.head.querySelector('meta[name="robots"]')).toHaveAttribute('content', 'noindex');
+    expect(document.title).toBe('Unknown widget | DigiByte Stats');
+  });
+});
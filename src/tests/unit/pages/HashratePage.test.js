@@ -20,14 +20,6 @@ const mockRecentBlocks = {
   ]
 };
 
-// Mock the config
-vi.mock('../../../config', () => ({
-  default: {
-    apiBaseUrl: 'http://localhost:5001',
-    wsBaseUrl: 'ws://localhost:5002'
-  }
-}));
-
 // Mock the shared history hook so the Hashrate History chart has fixture
 // data without hitting the network-aware /history endpoints.
 const historyFixture = {
@@ -175,6 +167,41 @@ describe('HashratePage', () => {
         screen.getByText(/Per-algorithm network hashrate over time/)
       ).toBeInTheDocument();
     });
+
+    it('should open the history chart in the range and series of a share link', async () => {
+      renderWithProviders(<HashratePage />, { route: '/hashrate?range=1y&hide=Odo#hashrate-history' });
+
+      await waitForAsync();
+      webSocketInstances[0].receiveMessage(mockRecentBlocks);
+
+      await waitFor(() => {
+        expect(screen.getByRole('button', { name: '1Y' })).toHaveAttribute('aria-pressed', 'true');
+      });
+      expect(screen.getByRole('button', { name: 'Show Odo' })).toHaveAttribute('aria-pressed', 'false');
+      expect(screen.getByRole('button', { name: 'Hide Scrypt' })).toHaveAttribute('aria-pressed', 'true');
+      expect(screen.getByRole('button', { name: 'Share hashrate-history' })).toBeEnabled();
+    });
+
+    it('should keep the history range in the URL so back restores it', async () => {
+      renderWithProviders(<HashratePage />, { route: '/hashrate' });
+
+      await waitForAsync();
+      webSocketInstances[0].receiveMessage(mockRecentBlocks);
+
+      await waitFor(() => {
+        expect(screen.getByRole('button', { name: '30D' })).toHaveAttribute('aria-pressed', 'true');
+      });
+
+      fireEvent.click(screen.getByRole('button', { name: '3Y' }));
+      expect(window.location.search).toBe('?range=3y');
+      expect(screen.getByRole('button', { name: '3Y' })).toHaveAttribute('aria-pressed', 'true');
+
+      window.history.back();
+      await waitFor(() => {
+        expect(screen.getByRole('button', { name: '30D' })).toHaveAttribute('aria-pressed', 'true');
+      });
+      expect(window.location.search).toBe('');
+    });
   });
 
   describe('WebSocket Connection', () => {
@@ -3,41 +3,14 @@ import { screen, fireEvent, waitFor } from '@testing-library/react';
 import { renderWithProviders, createWebSocketMock, waitForAsync } from '../../utils/testUtils';
 
 import HomePage from '../../../pages/HomePage';
-
-// Mock the config
-vi.mock('../../../config', () => ({
-  default: {
-    apiBaseUrl: 'http://localhost:5001',
-    wsBaseUrl: 'ws://localhost:5002'
-  }
-}));
-
-// Mock utils
-vi.mock('../../../utils', () => ({
-  formatNumber: (num) => num.toLocaleString(),
-  numberWithCommas: (x) => x ? x.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",") : "0"
-}));
+import { LocaleProvider } from '../../../context/LocaleContext';
 
 describe('HomePage', () => {
   let mockWebSocket;
   let webSocketInstances;
   let wsSetup;
 
-  // Helper function to render HomePage with required props
-  const renderHomePage = () => {
-    return renderWithProviders(
-      <HomePage 
-        numberWithCommas={(x) => {
-          if (x === null || x === undefined) return "0";
-          return x.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",");
-        }}
-        formatNumber={(num) => {
-          if (num === null || num === undefined) return "0";
-          return num.toLocaleString();
-        }}
-      />
-    );
-  };
+  const renderHomePage = (options) => renderWithProviders(<HomePage />, options);
 
   beforeEach(() => {
     // Setup WebSocket mock
@@ -343,6 +316,25 @@ describe('HomePage', () => {
         expect(screen.getByText('12,345,678,901.23 DGB')).toBeInTheDocument(); // Supply with commas
       });
     });
+
+    it('should format numbers and copy for the active locale', async () => {
+      renderWithProviders(<LocaleProvider><HomePage /></LocaleProvider>, { route: '/?lang=es' });
+
+      await waitForAsync();
+      webSocketInstances[0].receiveMessage({
+        type: 'initialData',
+        data: {
+          blockchainInfo: { blocks: 123456789 },
+          txOutsetInfo: { total_amount: 12345678901.234 }
+        }
+      });
+
+      await waitFor(() => {
+        expect(screen.getByText('Estadísticas de la blockchain de DigiByte')).toBeInTheDocument();
+        expect(screen.getByText('123.456.789')).toBeInTheDocument();
+        expect(screen.getByText('12.345.678.901,23 DGB')).toBeInTheDocument();
+      });
+    });
   });
 
   describe('User Interactions', () => {
@@ -4,14 +4,6 @@ import NodesPage from '../../../pages/NodesPage';
 import { renderWithProviders, createWebSocketMock, waitForAsync } from '../../utils/testUtils';
 import { mockApiResponses, generateWebSocketMessage } from '../../mocks/mockData';
 
-// Mock the config
-vi.mock('../../../config', () => ({
-  default: {
-    apiBaseUrl: 'http://localhost:5001',
-    wsBaseUrl: 'ws://localhost:5002'
-  }
-}));
-
 // Mock d3
 const mockD3Select = vi.fn();
 const mockGeoNaturalEarth1 = vi.fn(() => ({
@@ -244,6 +236,32 @@ describe('NodesPage', () => {
       });
     });
 
+    it('should open the map at the zoom in the URL and record zoom changes', async () => {
+      const { container } = renderWithProviders(<NodesPage />, { route: '/nodes?zoom=2,-100,-50' });
+
+      await waitForAsync();
+      webSocketInstances[0].receiveMessage({
+        type: 'geoData',
+        data: mockApiResponses.nodesData.nodes
+      });
+
+      await waitFor(() => {
+        expect(container.querySelector('g[transform="translate(-100,-50) scale(2)"]')).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByTitle('Zoom In'));
+      await waitFor(() => {
+        expect(new URLSearchParams(window.location.search).get('zoom')).toMatch(/^3,/);
+      }, { timeout: 2000 });
+
+      // Back to the previous zoom level
+      window.history.back();
+      await waitFor(() => {
+        expect(window.location.search).toBe('?zoom=2,-100,-50');
+        expect(container.querySelector('g[transform="translate(-100,-50) scale(2)"]')).toBeInTheDocument();
+      }, { timeout: 2000 });
+    });
+
   });
 
   describe('Country Grouping', () => {
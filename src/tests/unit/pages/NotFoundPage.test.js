@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { screen } from '@testing-library/react';
+import NotFoundPage from '../../../pages/NotFoundPage';
+import { renderWithProviders } from '../../utils/testUtils';
+
+describe('NotFoundPage', () => {
+  it('names the missing path and links back to the mainnet dashboard', () => {
+    renderWithProviders(<NotFoundPage />, { route: '/no-such-page' });
+
+    expect(screen.getByRole('heading', { level: 1, name: 'Page not found' })).toBeInTheDocument();
+    expect(screen.getByTestId('not-found-path')).toHaveTextContent('/no-such-page');
+    expect(screen.getByRole('link', { name: 'Back to the mainnet dashboard' })).toHaveAttribute('href', '/');
+  });
+
+  it('lists the menu pages of the current network', () => {
+    renderWithProviders(<NotFoundPage />, { route: '/testnet/nope', network: 'testnet' });
+
+    const nav = screen.getByRole('navigation', { name: 'Pages on this network' });
+    expect(nav).toHaveTextContent('Mining');
+    expect(screen.getByRole('link', { name: 'Blocks' })).toHaveAttribute('href', '/testnet/blocks');
+    expect(screen.getByRole('link', { name: 'Back to the testnet dashboard' })).toHaveAttribute('href', '/testnet');
+    // Pools is mainnet-only
+    expect(screen.queryByRole('link', { name: 'Pools' })).not.toBeInTheDocument();
+  });
+});
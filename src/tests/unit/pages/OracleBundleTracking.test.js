@@ -25,14 +25,6 @@ import PoolsPage from '../../../pages/PoolsPage';
 import DDActivationPage from '../../../pages/DDActivationPage';
 import { renderWithProviders, createWebSocketMock, waitForAsync, generateMockBlock } from '../../utils/testUtils';
 
-// Mock the config used by PoolsPage (and available to others)
-vi.mock('../../../config', () => ({
-  default: {
-    apiBaseUrl: 'http://localhost:5001',
-    wsBaseUrl: 'ws://localhost:5002'
-  }
-}));
-
 /** Block fixture shaped exactly like a dgbstats-server WS block object. */
 const wsBlock = (overrides = {}) => ({
   ...generateMockBlock(),
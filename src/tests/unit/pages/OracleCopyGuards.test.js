@@ -3,14 +3,17 @@ import fs from 'fs';
 import path from 'path';
 
 describe('RC44 oracle copy guards', () => {
+  // Page copy now lives in the locale catalogs, so the English catalog is
+  // guarded alongside the page sources
   const pageSources = [
-    'HomePage.js',
-    'OraclesPage.js',
-    'DigiDollarPage.js',
-    'DDStatsPage.js',
-    'WalletConvertPage.js',
-    'RoadmapPage.js'
-  ].map((file) => fs.readFileSync(path.join(process.cwd(), 'src/pages', file), 'utf8')).join('\n');
+    'pages/HomePage.js',
+    'pages/OraclesPage.js',
+    'pages/DigiDollarPage.js',
+    'pages/DDStatsPage.js',
+    'pages/WalletConvertPage.js',
+    'pages/RoadmapPage.js',
+    'locales/en.js'
+  ].map((file) => fs.readFileSync(path.join(process.cwd(), 'src', file), 'utf8')).join('\n');
 
   it('should not publish stale oracle protocol or exchange-count copy', () => {
     expect(pageSources).not.toMatch(/CoinMarketCap/);
@@ -2,6 +2,7 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { screen, waitFor, act } from '@testing-library/react';
 import { http, HttpResponse } from 'msw';
 import OraclesPage from '../../../pages/OraclesPage';
+import { LocaleProvider } from '../../../context/LocaleContext';
 import { renderWithProviders, createWebSocketMock, waitForAsync } from '../../utils/testUtils';
 import { server } from '../../mocks/server';
 import { mockApiResponses } from '../../mocks/mockData';
@@ -453,6 +454,20 @@ describe('OraclesPage', () => {
       });
     });
 
+    it('highlights the oracle named in the URL hash', async () => {
+      renderWithProviders(<OraclesPage />, { network: 'testnet', route: '/testnet/oracles#oracle-1' });
+      await waitForAsync();
+      const ws = webSocketInstances[0];
+
+      sendOracleData(ws);
+
+      await waitFor(() => {
+        expect(screen.getByText('Green Candle').closest('tr')).toHaveClass('Mui-selected');
+      });
+      expect(screen.getByText('Jared').closest('tr')).not.toHaveClass('Mui-selected');
+      expect(screen.getByText('Green Candle').closest('tr')).toHaveAttribute('id', 'oracle-1');
+    });
+
     it('should display reporting status correctly', async () => {
       renderWithProviders(<OraclesPage />, { network: 'testnet' });
       await waitForAsync();
@@ -576,6 +591,27 @@ describe('OraclesPage', () => {
     });
   });
 
+  describe('Locale', () => {
+    it('should render the oracle copy in the active locale', async () => {
+      renderWithProviders(
+        <LocaleProvider><OraclesPage /></LocaleProvider>,
+        { network: 'testnet', route: '/?lang=es' }
+      );
+      await waitForAsync();
+      sendOracleData(webSocketInstances[0]);
+
+      await waitFor(() => {
+        expect(screen.getByText('Estado de la red de oráculos')).toBeInTheDocument();
+      });
+      expect(screen.getByText('Precio del oráculo en Testnet')).toBeInTheDocument();
+      expect(screen.getByText('Precio DGB/USD')).toBeInTheDocument();
+      expect(screen.getByText('¿Qué son los oráculos?')).toBeInTheDocument();
+      expect(screen.getByText('hace 3 min 0 s')).toBeInTheDocument();
+      expect(screen.getAllByText('No firma')).toHaveLength(28);
+      expect(screen.getByText('Válido durante 20 bloques')).toBeInTheDocument();
+    });
+  });
+
   describe('Technical Details', () => {
     it('should display phase two testnet specifications', async () => {
       renderWithProviders(<OraclesPage />, { network: 'testnet' });
@@ -828,7 +864,7 @@ describe('OraclesPage', () => {
       const ws = webSocketInstances[0];
 
       ws.receiveMessage({ type: 'ddDeploymentData', data: { status: 'defined' } });
-      ws.onerror?.(new Event('error'));
+      ws.triggerError(new Event('error'));
 
       expect(screen.getByText('Oracle Network Waiting for Activation')).toBeInTheDocument();
       expect(screen.getByText(/live oracle price reporting is not available yet/i)).toBeInTheDocument();
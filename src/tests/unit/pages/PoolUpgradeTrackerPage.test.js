@@ -3,14 +3,6 @@ import { screen, waitFor, within } from '@testing-library/react';
 import PoolUpgradeTrackerPage from '../../../pages/PoolUpgradeTrackerPage';
 import { renderWithProviders, createWebSocketMock, waitForAsync } from '../../utils/testUtils';
 
-// Mock the config
-vi.mock('../../../config', () => ({
-  default: {
-    apiBaseUrl: 'http://localhost:5001',
-    wsBaseUrl: 'ws://localhost:5002'
-  }
-}));
-
 // -----------------------------------------------------------------------------
 // Block fixtures — shape matches what dgbstats-server ships on every block.
 // DigiDollar is ACTIVE: BIP9 bit-23 signaling is over. The post-activation
@@ -205,6 +197,20 @@ describe('PoolUpgradeTrackerPage', () => {
     });
   });
 
+  describe('Search links', () => {
+    it('opens and highlights the pool named in ?pool=', async () => {
+      renderWithProviders(<PoolUpgradeTrackerPage />, { route: '/pool-upgrades?pool=oldpool' });
+      await waitForAsync();
+      webSocketInstances[0].receiveMessage({ type: 'recentBlocks', data: adoptionBlocks });
+
+      await waitFor(() => {
+        expect(screen.getByText('Algorithm breakdown — OldPool')).toBeInTheDocument();
+      });
+      expect(screen.getByText('OldPool').closest('tr')).toHaveClass('Mui-selected');
+      expect(screen.queryByText('Algorithm breakdown — BundlePool')).not.toBeInTheDocument();
+    });
+  });
+
   describe('Empty state', () => {
     it('should show an empty-table message when no blocks are received', async () => {
       await renderWithBlocks([]);
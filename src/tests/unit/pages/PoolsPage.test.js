@@ -5,14 +5,6 @@ import { renderWithProviders, createWebSocketMock, waitForAsync } from '../../ut
 import { mockApiResponses, generateWebSocketMessage } from '../../mocks/mockData';
 import * as d3 from 'd3';
 
-// Mock the config
-vi.mock('../../../config', () => ({
-  default: {
-    apiBaseUrl: 'http://localhost:5001',
-    wsBaseUrl: 'ws://localhost:5002'
-  }
-}));
-
 // Mock d3
 vi.mock('d3', () => {
   const mockArc = {
@@ -285,6 +277,25 @@ describe('PoolsPage', () => {
       });
     });
 
+    it('links each miner address to its address page', async () => {
+      renderWithProviders(<PoolsPage />);
+
+      await waitForAsync();
+      const ws = webSocketInstances[0];
+
+      ws.receiveMessage({
+        type: 'recentBlocks',
+        data: [
+          { minerAddress: 'DAddr1', poolIdentifier: 'Pool A', height: 2 },
+          { minedTo: 'DAddr1', poolIdentifier: 'Pool A', height: 1 },
+          { minerAddress: 'DAddr2', poolIdentifier: 'Pool B', height: 3 },
+        ],
+      });
+
+      expect(await screen.findByRole('link', { name: 'DAddr1' })).toHaveAttribute('href', '/address/DAddr1');
+      expect(screen.getByRole('link', { name: 'DAddr2' })).toHaveAttribute('href', '/address/DAddr2');
+    });
+
   });
 
   describe('D3.js Pie Chart', () => {
@@ -36,4 +36,24 @@ describe('RoadmapPage oracle consensus copy', () => {
       expect(screen.getByText(/Final testnet26 release candidate before mainnet/i)).toBeInTheDocument();
     });
   });
+
+  it('subscribes to roadmap updates again after a reconnect', async () => {
+    const subscriptions = (ws) => ws.getSentMessages()
+      .filter((data) => JSON.parse(data).type === 'subscribeRoadmap');
+
+    renderWithProviders(<RoadmapPage />);
+    await waitFor(() => {
+      expect(subscriptions(webSocketInstances[0])).toHaveLength(1);
+    });
+
+    // The server drops the connection; the client reconnects after its backoff
+    webSocketInstances[0].triggerClose();
+    await waitFor(() => {
+      expect(webSocketInstances).toHaveLength(2);
+    }, { timeout: 3000 });
+    await waitFor(() => {
+      expect(subscriptions(webSocketInstances[1])).toHaveLength(1);
+    });
+    expect(subscriptions(webSocketInstances[0])).toHaveLength(1);
+  });
 });
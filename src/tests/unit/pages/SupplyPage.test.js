@@ -1,17 +1,10 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { screen, fireEvent, waitFor } from '@testing-library/react';
 import SupplyPage from '../../../pages/SupplyPage';
+import { LocaleProvider } from '../../../context/LocaleContext';
 import { renderWithProviders, createWebSocketMock, waitForAsync, mockChartJs } from '../../utils/testUtils';
 import { mockApiResponses, generateWebSocketMessage } from '../../mocks/mockData';
 
-// Mock the config
-vi.mock('../../../config', () => ({
-  default: {
-    apiBaseUrl: 'http://localhost:5001',
-    wsBaseUrl: 'ws://localhost:5002'
-  }
-}));
-
 // Mock chartjs-adapter-luxon
 vi.mock('chartjs-adapter-luxon', () => ({}));
 
@@ -85,6 +78,16 @@ describe('SupplyPage', () => {
       // Check for default supply value (18.36 Billion DGB, July 2026 snapshot)
       expect(screen.getByText(/18\.36 Billion DGB/)).toBeInTheDocument();
     });
+
+    it('should render the copy and figures in the active locale', () => {
+      renderWithProviders(<LocaleProvider><SupplyPage /></LocaleProvider>, { route: '/?lang=es' });
+
+      expect(screen.getByText('Estadísticas de suministro de DigiByte')).toBeInTheDocument();
+      expect(screen.getByText('Suministro circulante actual')).toBeInTheDocument();
+      expect(screen.getByText('18,36 mil millones de DGB')).toBeInTheDocument();
+      expect(screen.getByText(/^87,4\s%$/)).toBeInTheDocument();
+      expect(screen.getByText('8.200.000.000')).toBeInTheDocument();
+    });
   });
 
   describe('WebSocket Connection', () => {
@@ -121,17 +124,20 @@ describe('SupplyPage', () => {
       const ws = webSocketInstances[initialCount - 1]; // Get the last (most recent) WebSocket
       
       // Simulate connection close with error code (not normal closure)
-      ws.onclose({ type: 'close', code: 1006, reason: 'Connection lost' });
+      ws.triggerClose(1006, 'Connection lost');
       
-      // Wait for reconnection attempt (2 seconds delay as per component)
+      // Wait for reconnection attempt (~1 second first backoff in the shared client)
       await waitFor(() => {
         // Should have created one more WebSocket instance
         expect(webSocketInstances.length).toBeGreaterThan(initialCount);
       }, { timeout: 3000 });
       
       // Verify reconnection was logged
-      expect(consoleLogSpy).toHaveBeenCalledWith('Supply WebSocket connection closed', 1006, 'Connection lost');
-      expect(consoleLogSpy).toHaveBeenCalledWith('Attempting to reconnect (1/3)...');
+      expect(consoleLogSpy).toHaveBeenCalledWith('WebSocket connection closed (ws://localhost:5002)');
+      // First backoff is 1s plus up to 30% jitter
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        expect.stringMatching(/^Reconnecting WebSocket in 1\d{3}ms \(attempt 1\)$/)
+      );
       
       consoleLogSpy.mockRestore();
     });
@@ -238,13 +244,14 @@ describe('SupplyPage', () => {
         expect(mockChart).toHaveBeenCalled();
       });
       
+      // Let the socket open (and the initial renders settle) before counting
+      await waitForAsync();
+      const ws = webSocketInstances[0];
+
       const initialCallCount = mockChart.mock.calls.length;
       const chartInstances = global._chartInstances;
       const firstChartInstance = chartInstances[chartInstances.length - 1];
       
-      await waitForAsync();
-      const ws = webSocketInstances[0];
-      
       ws.receiveMessage({
         type: 'initialData',
         data: {
@@ -278,7 +285,7 @@ describe('SupplyPage', () => {
       
       ws.triggerError(new Error('Connection failed'));
       
-      expect(consoleErrorSpy).toHaveBeenCalledWith('Supply WebSocket connection error:', expect.objectContaining({
+      expect(consoleErrorSpy).toHaveBeenCalledWith('WebSocket error:', expect.objectContaining({
         type: 'error',
         error: expect.any(Error)
       }));
@@ -0,0 +1,147 @@
+import React from 'react';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { screen, waitFor, within } from '@testing-library/react';
+import { Routes, Route } from 'react-router-dom';
+import { http, HttpResponse } from 'msw';
+import { server } from '../../mocks/server';
+import { renderWithProviders, buildDigiDollarScript } from '../../utils/testUtils';
+import TxPage from '../../../pages/TxPage';
+
+const TXID = '12'.repeat(32);
+const PREV_TXID = '34'.repeat(32);
+const BLOCK_HASH = '56'.repeat(32);
+const INTERNAL_KEY = '11'.repeat(32);
+const TAPSCRIPT = `20${'22'.repeat(32)}ac`;
+
+const mockTx = (overrides = {}) => ({
+  txid: TXID,
+  version: 2,
+  size: 300,
+  vsize: 200,
+  weight: 800,
+  locktime: 0,
+  blockhash: BLOCK_HASH,
+  blockheight: 23800000,
+  confirmations: 4,
+  blocktime: 1760000000,
+  vin: [{
+    txid: PREV_TXID,
+    vout: 1,
+    sequence: 0xfffffffd,
+    txinwitness: ['ab'.repeat(64), TAPSCRIPT, `c0${INTERNAL_KEY}`],
+    prevout: {
+      value: 1500.5,
+      scriptPubKey: { type: 'witness_v1_taproot', address: 'dgb1pinput' },
+    },
+  }],
+  vout: [
+    { n: 0, value: 1500, scriptPubKey: { type: 'witness_v1_taproot', address: 'dgb1pcollateral', hex: `5120${'55'.repeat(32)}` } },
+    { n: 1, value: 0, scriptPubKey: { type: 'nulldata', hex: buildDigiDollarScript({ type: 1, amountCents: 12345 }) } },
+  ],
+  ...overrides,
+});
+
+const renderTxPage = (route = `/tx/${TXID}`, network = 'mainnet') => renderWithProviders(
+  <Routes>
+    <Route path="/tx/:txid" element={<TxPage />} />
+    <Route path="/testnet/tx/:txid" element={<TxPage />} />
+  </Routes>,
+  { route, network }
+);
+
+describe('TxPage', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('renders fee, fee rate, size and confirmation summary', async () => {
+    server.use(http.get(`http://localhost:5001/api/getrawtransaction/${TXID}`, () => HttpResponse.json(mockTx())));
+
+    renderTxPage();
+
+    const summary = await screen.findByTestId('tx-summary');
+    expect(within(summary).getByText(TXID)).toBeInTheDocument();
+    expect(within(summary).getByText('0.5 DGB')).toBeInTheDocument();
+    expect(within(summary).getByText('250,000 sat/vB')).toBeInTheDocument();
+    expect(within(summary).getByText('200 vB')).toBeInTheDocument();
+    expect(within(summary).getByText('800 WU')).toBeInTheDocument();
+    expect(within(summary).getByText('Yes (BIP125)')).toBeInTheDocument();
+    expect(within(summary).getByRole('link', { name: '23,800,000' })).toHaveAttribute('href', `/block/${BLOCK_HASH}`);
+    expect(screen.getByText('Confirmed')).toBeInTheDocument();
+    expect(screen.getByText('RBF')).toBeInTheDocument();
+  });
+
+  it('draws one flow band per input and output', async () => {
+    server.use(http.get(`http://localhost:5001/api/getrawtransaction/${TXID}`, () => HttpResponse.json(mockTx())));
+
+    renderTxPage();
+
+    await screen.findByTestId('tx-flow-graph');
+    expect(screen.getAllByTestId('tx-flow-input')).toHaveLength(1);
+    expect(screen.getAllByTestId('tx-flow-output')).toHaveLength(2);
+  });
+
+  it('decodes Taproot script-path inputs', async () => {
+    server.use(http.get(`http://localhost:5001/api/getrawtransaction/${TXID}`, () => HttpResponse.json(mockTx())));
+
+    renderTxPage();
+
+    const inputs = await screen.findByTestId('tx-inputs');
+    expect(within(inputs).getByText('Taproot script path')).toBeInTheDocument();
+    const details = within(inputs).getByTestId('taproot-script-path');
+    expect(within(details).getByText(INTERNAL_KEY)).toBeInTheDocument();
+    expect(within(details).getByText(TAPSCRIPT)).toBeInTheDocument();
+    expect(within(inputs).getByRole('link', { name: /^343434/ })).toHaveAttribute('href', `/tx/${PREV_TXID}`);
+  });
+
+  it('explains DigiDollar mints and marks the marker output', async () => {
+    server.use(http.get(`http://localhost:5001/api/getrawtransaction/${TXID}`, () => HttpResponse.json(mockTx())));
+
+    renderTxPage();
+
+    const dd = await screen.findByTestId('tx-digidollar');
+    expect(within(dd).getByText('DigiDollar Mint')).toBeInTheDocument();
+    expect(within(dd).getByText('123.45 DD')).toBeInTheDocument();
+    expect(within(screen.getByTestId('tx-outputs')).getByText('OP_DIGIDOLLAR marker')).toBeInTheDocument();
+  });
+
+  it('shows mempool transactions on testnet without a DigiDollar section', async () => {
+    const pending = mockTx({
+      blockhash: undefined,
+      confirmations: undefined,
+      vin: [{ txid: PREV_TXID, vout: 0, sequence: 0xffffffff }],
+      vout: [{ n: 0, value: 5, scriptPubKey: { type: 'pubkeyhash', address: 'shtest' } }],
+      fee: 0.0001,
+    });
+    server.use(http.get(`http://localhost:5001/api/testnet/getrawtransaction/${TXID}`, () => HttpResponse.json(pending)));
+
+    renderTxPage(`/testnet/tx/${TXID}`, 'testnet');
+
+    expect(await screen.findByText('Unconfirmed (mempool)')).toBeInTheDocument();
+    expect(screen.getByText('Mempool')).toBeInTheDocument();
+    expect(screen.queryByText('RBF')).not.toBeInTheDocument();
+    expect(screen.queryByTestId('tx-digidollar')).not.toBeInTheDocument();
+    expect(screen.getByRole('link', { name: /View on DigiExplorer/ }))
+      .toHaveAttribute('href', `https://testnet.digiexplorer.info/tx/${TXID}`);
+  });
+
+  it('rejects malformed txids without fetching', async () => {
+    const fetchSpy = vi.spyOn(global, 'fetch');
+
+    renderTxPage('/tx/not-a-txid');
+
+    expect(screen.getByRole('alert')).toHaveTextContent('not-a-txid is not a valid transaction id.');
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
+
+  it('shows an error for an unknown transaction', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    server.use(http.get(`http://localhost:5001/api/getrawtransaction/${TXID}`, () => HttpResponse.json({ error: 'not found' }, { status: 404 })));
+
+    renderTxPage();
+
+    await waitFor(() => {
+      expect(screen.getByRole('alert')).toHaveTextContent(`Transaction ${TXID} was not found.`);
+    });
+  });
+});
@@ -1,16 +1,10 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { screen, fireEvent, waitFor, act } from '@testing-library/react';
+import { screen, fireEvent, waitFor, within, act } from '@testing-library/react';
 import TxsPage from '../../../pages/TxsPage';
+import { TxWatchProvider } from '../../../context/TxWatchContext';
+import { WORKER_THRESHOLD, handleFilterRequest } from '../../../utils/txFilter';
 import { renderWithProviders, createWebSocketMock, waitForAsync } from '../../utils/testUtils';
 
-// Mock the config
-vi.mock('../../../config', () => ({
-  default: {
-    apiBaseUrl: 'http://localhost:5001',
-    wsBaseUrl: 'ws://localhost:5002'
-  }
-}));
-
 // Sample transaction data for testing
 const sampleMempoolData = {
   type: 'mempool',
@@ -220,6 +214,39 @@ describe('TxsPage', () => {
       });
     });
 
+    it('should keep the search box responsive while a burst of transactions arrives', async () => {
+      renderWithProviders(<TxsPage />);
+
+      await waitForAsync();
+      const ws = webSocketInstances[0];
+      ws.receiveMessage(sampleMempoolData);
+
+      await waitFor(() => {
+        expect(screen.queryByText('Loading transaction data...')).not.toBeInTheDocument();
+      });
+
+      // One batched render for the whole burst
+      act(() => {
+        for (let i = 0; i < 30; i += 1) {
+          ws.onmessage({ data: JSON.stringify({
+            type: 'newTransaction',
+            data: { ...sampleMempoolData.data.transactions[1], txid: `ffff${i}`.padEnd(64, '0') },
+          }) });
+        }
+      });
+      expect(screen.getAllByText(/ffff/i).length).toBeGreaterThan(0);
+
+      const searchInput = screen.getByPlaceholderText(/Search/i);
+      fireEvent.change(searchInput, { target: { value: 'e928e6' } });
+
+      // The input updates at once; the lists follow the deferred search term
+      expect(searchInput).toHaveValue('e928e6');
+      await waitFor(() => {
+        expect(screen.queryAllByText(/ffff/i)).toHaveLength(0);
+        expect(screen.getAllByText(/e928e6/i).length).toBeGreaterThan(0);
+      });
+    });
+
     it('should have filter buttons', async () => {
       renderWithProviders(<TxsPage />);
 
@@ -237,6 +264,33 @@ describe('TxsPage', () => {
       const buttons = screen.getAllByRole('button');
       expect(buttons.length).toBeGreaterThan(0);
     });
+
+    it('should restore search, filter and sort from the URL and keep them in sync', async () => {
+      renderWithProviders(<TxsPage />, { route: '/txs?q=abcdef&priority=medium' });
+
+      await waitForAsync();
+      webSocketInstances[0].receiveMessage(sampleMempoolData);
+
+      await waitFor(() => {
+        expect(screen.queryByText('Loading transaction data...')).not.toBeInTheDocument();
+      });
+      expect(screen.getByPlaceholderText(/Search/i)).toHaveValue('abcdef');
+      expect(screen.getByRole('button', { name: 'medium' })).toHaveAttribute('aria-pressed', 'true');
+      await waitFor(() => {
+        expect(screen.getAllByText(/abcdef1234/i).length).toBeGreaterThan(0);
+      });
+      expect(screen.queryAllByText(/e928e6/i)).toHaveLength(0);
+
+      // A new sort keeps the other parameters
+      fireEvent.click(screen.getByRole('button', { name: 'fee' }));
+      expect(new URLSearchParams(window.location.search).toString()).toBe('q=abcdef&priority=medium&sort=fee');
+
+      window.history.back();
+      await waitFor(() => {
+        expect(screen.getByRole('button', { name: 'time' })).toHaveAttribute('aria-pressed', 'true');
+      });
+      expect(screen.getByRole('button', { name: 'fee' })).toHaveAttribute('aria-pressed', 'false');
+    });
   });
 
   describe('Transaction Details', () => {
@@ -307,6 +361,205 @@ describe('TxsPage', () => {
     });
   });
 
+  describe('Block Projection', () => {
+    it('should project the mempool into next blocks and place a searched txid in the queue', async () => {
+      const txid = sampleMempoolData.data.transactions[0].txid;
+      renderWithProviders(<TxsPage />, { route: `/txs?q=${txid}` });
+
+      await waitForAsync();
+      webSocketInstances[0].receiveMessage(sampleMempoolData);
+
+      await waitFor(() => {
+        expect(screen.getByTestId('mempool-projection')).toBeInTheDocument();
+      });
+      expect(screen.getByText('Next block')).toBeInTheDocument();
+      // 5.7 sat/vB (second sample) is ahead of 4 sat/vB
+      expect(screen.getByTestId('projection-position')).toHaveTextContent('is #2 in the queue');
+      expect(screen.getByTestId('projection-position')).toHaveTextContent('projected for the next block');
+    });
+
+    it('should slide out the transactions of a mined block', async () => {
+      renderWithProviders(<TxsPage />);
+
+      await waitForAsync();
+      const ws = webSocketInstances[0];
+      ws.receiveMessage(sampleMempoolData);
+      await waitFor(() => {
+        expect(screen.getByText('3 txs · 0.8 kvB')).toBeInTheDocument();
+      });
+
+      ws.receiveMessage({
+        type: 'transactionConfirmed',
+        data: {
+          transactions: [sampleMempoolData.data.transactions[1]],
+          blockHeight: 23800000,
+          blockHash: 'ab'.repeat(32)
+        }
+      });
+
+      await waitFor(() => {
+        expect(screen.getByTestId('mined-block')).toHaveTextContent('Mined in block 23,800,000');
+      });
+      expect(screen.getByText('2 txs · 0.5 kvB')).toBeInTheDocument();
+    });
+  });
+
+  describe('Mempool History', () => {
+    it('should chart the mempool from the session samples', async () => {
+      renderWithProviders(<TxsPage />);
+
+      await waitForAsync();
+      webSocketInstances[0].receiveMessage(sampleMempoolData);
+
+      const chart = await screen.findByTestId('mempool-history');
+      expect(chart).toHaveTextContent('Mempool History');
+      expect(screen.getByRole('button', { name: '24H' })).toBeInTheDocument();
+      expect(chart.querySelector('canvas')).toBeInTheDocument();
+    });
+  });
+
+  describe('Fee Estimates', () => {
+    it('should recommend a fee rate per confirmation target', async () => {
+      renderWithProviders(<TxsPage />);
+
+      await waitForAsync();
+      webSocketInstances[0].receiveMessage(sampleMempoolData);
+
+      await waitFor(() => {
+        expect(screen.getByTestId('fee-estimator')).toBeInTheDocument();
+      });
+      const targets = screen.getAllByTestId('fee-target');
+      expect(targets.map((target) => target.firstChild.textContent)).toEqual([
+        'Next block (~15s)', 'Within 5 blocks (~75s)', 'Within 1 hour'
+      ]);
+      // Three small transactions fit in the next block; with no minimum fee in
+      // the stats the lowest queued rate (2.5 sat/vB) is the floor
+      expect(targets[0]).toHaveTextContent('2.5 sat/vB');
+      expect(screen.getByTestId('fee-percentiles')).toHaveTextContent('p50 4.0 sat/vB');
+    });
+  });
+
+  describe('Watchlist', () => {
+    beforeEach(() => localStorage.clear());
+
+    it('should watch a transaction from its card until it confirms', async () => {
+      const txid = sampleMempoolData.data.transactions[0].txid;
+      renderWithProviders(<TxWatchProvider><TxsPage /></TxWatchProvider>);
+
+      await waitForAsync();
+      webSocketInstances[0].receiveMessage(sampleMempoolData);
+
+      await waitFor(() => {
+        expect(screen.getByLabelText(`Watch ${txid}`)).toBeInTheDocument();
+      });
+      expect(screen.queryByTestId('tx-watchlist')).not.toBeInTheDocument();
+      fireEvent.click(screen.getByLabelText(`Watch ${txid}`));
+
+      const watchlist = await screen.findByTestId('tx-watchlist');
+      expect(watchlist).toHaveTextContent('Watched Transactions (1)');
+      expect(watchlist).toHaveTextContent('In mempool');
+      expect(screen.getByLabelText(`Stop watching ${txid}`, { selector: '[aria-pressed]' })).toHaveAttribute('aria-pressed', 'true');
+
+      webSocketInstances[0].receiveMessage({
+        type: 'transactionConfirmed',
+        data: { blockHeight: 1000, blockHash: 'h1000', transactions: [sampleMempoolData.data.transactions[0]] }
+      });
+
+      await waitFor(() => {
+        expect(watchlist).toHaveTextContent('Confirming');
+      });
+      expect(watchlist).toHaveTextContent('1/6 confirmations');
+      expect(watchlist).toHaveTextContent('in block 1,000');
+    });
+  });
+
+  describe('Large Mempools', () => {
+    const largeMempool = (count) => ({
+      type: 'mempool',
+      data: {
+        stats: { size: count, bytes: count * 250 },
+        transactions: Array.from({ length: count }, (_, i) => ({
+          txid: `${i.toString(16).padStart(8, '0')}${'a'.repeat(56)}`,
+          size: 250,
+          fee: 0.00001,
+          priority: 'medium',
+          value: 1,
+          time: 1700000000 + i,
+          inputs: [],
+          outputs: []
+        }))
+      }
+    });
+
+    // Answers asynchronously with the worker's own handler, as the worker would.
+    class FakeWorker {
+      constructor() {
+        FakeWorker.requests = [];
+        FakeWorker.instance = this;
+      }
+
+      postMessage(request) {
+        FakeWorker.requests.push(request);
+        setTimeout(() => this.onmessage({ data: handleFilterRequest(request) }));
+      }
+
+      terminate() {
+        this.terminated = true;
+      }
+    }
+
+    beforeEach(() => {
+      global.Worker = FakeWorker;
+    });
+
+    afterEach(() => {
+      delete global.Worker;
+    });
+
+    it('should filter a large mempool in a worker and window its list', async () => {
+      const { unmount } = renderWithProviders(<TxsPage />);
+
+      await waitForAsync();
+      webSocketInstances[0].receiveMessage(largeMempool(WORKER_THRESHOLD));
+
+      const list = await screen.findByRole('list', { name: 'Mempool transactions' });
+      await waitFor(() => {
+        expect(list).toHaveAttribute('aria-busy', 'false');
+      });
+      const items = within(list).getAllByRole('listitem');
+      expect(items.length).toBeLessThan(50);
+      expect(items[0]).toHaveAttribute('aria-setsize', String(WORKER_THRESHOLD));
+      // Newest first, as sorted by the worker
+      expect(items[0]).toHaveTextContent('000007cf');
+      expect(FakeWorker.requests[0].rows[0]).toEqual(expect.objectContaining({ txid: expect.any(String), time: 1700000000 }));
+
+      fireEvent.change(screen.getByPlaceholderText(/Search/i), { target: { value: '000007cE' } });
+      await waitFor(() => {
+        expect(within(list).getAllByRole('listitem')).toHaveLength(1);
+      });
+      expect(within(list).getByRole('listitem')).toHaveTextContent('000007ce');
+
+      unmount();
+      expect(FakeWorker.instance.terminated).toBe(true);
+    });
+
+    it('should show the filtered order, not the raw feed, before the worker first answers', async () => {
+      global.Worker = class SilentWorker {
+        postMessage() {}
+
+        terminate() {}
+      };
+      renderWithProviders(<TxsPage />);
+
+      await waitForAsync();
+      webSocketInstances[0].receiveMessage(largeMempool(WORKER_THRESHOLD));
+
+      const list = await screen.findByRole('list', { name: 'Mempool transactions' });
+      expect(list).toHaveAttribute('aria-busy', 'true');
+      expect(within(list).getAllByRole('listitem')[0]).toHaveTextContent('000007cf');
+    });
+  });
+
   describe('Testnet Network', () => {
     it('should render the page on testnet network', () => {
       renderWithProviders(<TxsPage />, { network: 'testnet' });
@@ -0,0 +1,78 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { existsSync } from 'fs';
+import path from 'path';
+import {
+  ROUTES, NAV_GROUPS, disabledFeatures, isRouteEnabled, navGroupsFor, networkPath, routesFor,
+} from '../../routes';
+import en from '../../locales/en';
+
+const lookup = (key) => key.split('.').reduce((node, part) => node?.[part], en);
+
+describe('route registry', () => {
+  it('has unique ids and paths', () => {
+    expect(new Set(ROUTES.map((route) => route.id)).size).toBe(ROUTES.length);
+    expect(new Set(ROUTES.map((route) => route.path)).size).toBe(ROUTES.length);
+  });
+
+  it('points every route at a page module, a message and a known nav group', () => {
+    const groups = NAV_GROUPS.map((group) => group.id);
+    ROUTES.forEach((route) => {
+      expect(existsSync(path.resolve(__dirname, '../../pages', `${route.page}.js`))).toBe(true);
+      expect(typeof lookup(route.label)).toBe('string');
+      expect(route.nav === null || groups.includes(route.nav)).toBe(true);
+      expect(route.title && route.description).toBeTruthy();
+    });
+    NAV_GROUPS.forEach((group) => expect(typeof lookup(group.label)).toBe('string'));
+  });
+
+  it('keeps mainnet-only and testnet-only pages on their network', () => {
+    const mainnet = routesFor('mainnet').map((route) => route.path);
+    const testnet = routesFor('testnet').map((route) => route.path);
+
+    expect(mainnet).toEqual(expect.arrayContaining(['/pools', '/downloads', '/roadmap']));
+    expect(testnet).not.toEqual(expect.arrayContaining(['/pools']));
+    expect(testnet).toContain('/convert');
+    expect(mainnet).not.toContain('/convert');
+  });
+
+  it('builds network paths', () => {
+    expect(networkPath('/', 'mainnet')).toBe('/');
+    expect(networkPath('/', 'testnet')).toBe('/testnet');
+    expect(networkPath('/blocks', 'testnet')).toBe('/testnet/blocks');
+  });
+
+  it('groups menu routes in NAV_GROUPS order and leaves unlisted routes out', () => {
+    const groups = navGroupsFor('mainnet');
+    const paths = groups.flatMap((group) => group.routes.map((route) => route.path));
+
+    expect(groups.map((group) => group.id)).toEqual(['chain', 'mining', 'community', 'digidollar']);
+    expect(paths[0]).toBe('/');
+    expect(paths).not.toContain('/taproot');
+    expect(paths).not.toContain('/block/:hashOrHeight');
+  });
+
+  it('drops empty groups when their routes are disabled', () => {
+    const groups = navGroupsFor('mainnet', new Set(['digidollar']));
+    expect(groups.map((group) => group.id)).not.toContain('digidollar');
+  });
+});
+
+describe('feature flags', () => {
+  const original = process.env.REACT_APP_DISABLED_FEATURES;
+
+  afterEach(() => {
+    if (original === undefined) delete process.env.REACT_APP_DISABLED_FEATURES;
+    else process.env.REACT_APP_DISABLED_FEATURES = original;
+  });
+
+  it('reads disabled flags from REACT_APP_DISABLED_FEATURES', () => {
+    process.env.REACT_APP_DISABLED_FEATURES = ' taproot, walletConvert ,';
+    expect([...disabledFeatures()]).toEqual(['taproot', 'walletConvert']);
+    expect(routesFor('testnet').map((route) => route.id)).not.toContain('convert');
+  });
+
+  it('enables every route by default', () => {
+    delete process.env.REACT_APP_DISABLED_FEATURES;
+    expect(ROUTES.every((route) => isRouteEnabled(route))).toBe(true);
+  });
+});
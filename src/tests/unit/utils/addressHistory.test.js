@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { groupAddressDeltas, satsToDgb, summarizeBalance } from '../../../utils/addressHistory';
+
+describe('summarizeBalance', () => {
+  it('converts satoshis and derives the amount sent', () => {
+    expect(summarizeBalance({ balance: 150000000, received: 250000000 })).toEqual({
+      balance: 1.5,
+      received: 2.5,
+      sent: 1,
+    });
+  });
+
+  it('leaves missing amounts empty', () => {
+    expect(summarizeBalance(null)).toEqual({ balance: null, received: null, sent: null });
+    expect(satsToDgb(undefined)).toBeNull();
+  });
+});
+
+describe('groupAddressDeltas', () => {
+  it('nets deltas per transaction, newest first, mempool on top', () => {
+    expect(groupAddressDeltas([
+      { txid: 'a', satoshis: 100000000, height: 5 },
+      { txid: 'b', satoshis: -100000000, height: 9 },
+      { txid: 'b', satoshis: 25000000, height: 9 },
+      { txid: 'c', satoshis: 5000 },
+    ])).toEqual([
+      { txid: 'c', height: null, amount: 0.00005, direction: 'received' },
+      { txid: 'b', height: 9, amount: 0.75, direction: 'sent' },
+      { txid: 'a', height: 5, amount: 1, direction: 'received' },
+    ]);
+  });
+
+  it('ignores malformed payloads', () => {
+    expect(groupAddressDeltas({ error: 'index disabled' })).toEqual([]);
+    expect(groupAddressDeltas([null, { satoshis: 1 }])).toEqual([]);
+  });
+});
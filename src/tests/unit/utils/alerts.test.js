@@ -0,0 +1,127 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  ALERT_HISTORY_LIMIT, ALERT_RULES_KEY,
+  applyAlertMessage, createAlertRule, describeAlert, evaluateRule, metricValue,
+  loadAlertHistory, loadAlertRules, saveAlertHistory, saveAlertRules,
+} from '../../../utils/alerts';
+import { translate } from '../../../locales';
+
+const rule = (metric, operator, threshold) => ({ id: metric, metric, operator, threshold, enabled: true });
+
+describe('alert rules', () => {
+  describe('applyAlertMessage', () => {
+    it('reads each metric from its message', () => {
+      let readings = {};
+      readings = applyAlertMessage(readings, { type: 'forkAlert', data: { level: 'critical' } }, 0);
+      readings = applyAlertMessage(readings, { type: 'oracleData', data: { price: { is_stale: true } } }, 0);
+      readings = applyAlertMessage(readings, { type: 'ddStatsData', data: { stats: { health_percentage: 142 } } }, 0);
+      readings = applyAlertMessage(readings, { type: 'chainTips', data: { orphans24h: 4 } }, 0);
+      readings = applyAlertMessage(readings, { type: 'newBlock', data: { height: 1 } }, 5000);
+
+      expect(readings).toEqual({
+        forkLevel: 'critical', oracleStale: true, ddHealth: 142, orphans24h: 4, lastBlockAt: 5000,
+      });
+    });
+
+    it('treats a zero DD health as unknown', () => {
+      const readings = applyAlertMessage({ ddHealth: 300 }, { type: 'ddStatsData', data: { stats: { health_percentage: 0 } } }, 0);
+      expect(readings.ddHealth).toBeNull();
+    });
+
+    it('falls back to the orphan list length', () => {
+      const readings = applyAlertMessage({}, { type: 'chainTips', data: { orphans: [{}, {}] } }, 0);
+      expect(readings.orphans24h).toBe(2);
+    });
+
+    it('ignores unrelated or empty messages', () => {
+      const readings = { forkLevel: 'none' };
+      expect(applyAlertMessage(readings, { type: 'recentBlocks', data: [] }, 0)).toBe(readings);
+      expect(applyAlertMessage(readings, { type: 'forkAlert' }, 0)).toBe(readings);
+      expect(applyAlertMessage(readings, { type: 'forkAlert', data: { level: 'bogus' } }, 0)).toBe(readings);
+    });
+  });
+
+  describe('evaluateRule', () => {
+    it('compares fork levels by severity', () => {
+      expect(evaluateRule(rule('forkLevel', '>=', 'elevated'), { forkLevel: 'critical' }, 0)).toBe(true);
+      expect(evaluateRule(rule('forkLevel', '>=', 'elevated'), { forkLevel: 'elevated' }, 0)).toBe(true);
+      expect(evaluateRule(rule('forkLevel', '>=', 'critical'), { forkLevel: 'elevated' }, 0)).toBe(false);
+    });
+
+    it('matches flags', () => {
+      expect(evaluateRule(rule('oracleStale', 'is', true), { oracleStale: true }, 0)).toBe(true);
+      expect(evaluateRule(rule('oracleStale', 'is', true), { oracleStale: false }, 0)).toBe(false);
+    });
+
+    it('compares numbers', () => {
+      expect(evaluateRule(rule('ddHealth', '<', 150), { ddHealth: 149 }, 0)).toBe(true);
+      expect(evaluateRule(rule('ddHealth', '<', 150), { ddHealth: 150 }, 0)).toBe(false);
+      expect(evaluateRule(rule('ddHealth', '<=', 150), { ddHealth: 150 }, 0)).toBe(true);
+      expect(evaluateRule(rule('orphans24h', '>', 3), { orphans24h: 4 }, 0)).toBe(true);
+    });
+
+    it('measures the block gap in whole minutes', () => {
+      const readings = { lastBlockAt: 0 };
+      expect(metricValue('blockGap', readings, 4.9 * 60000)).toBe(4);
+      expect(evaluateRule(rule('blockGap', '>=', 5), readings, 4.9 * 60000)).toBe(false);
+      expect(evaluateRule(rule('blockGap', '>=', 5), readings, 5 * 60000)).toBe(true);
+    });
+
+    it('never matches an unknown value or metric', () => {
+      expect(evaluateRule(rule('ddHealth', '<', 150), {}, 0)).toBe(false);
+      expect(evaluateRule(rule('forkLevel', '>=', 'none'), {}, 0)).toBe(false);
+      expect(evaluateRule(rule('hashrate', '<', 1), { hashrate: 0 }, 0)).toBe(false);
+    });
+  });
+
+  describe('describeAlert', () => {
+    const describeEn = describeAlert((key, vars) => translate('en', key, vars));
+
+    it('renders rules and values', () => {
+      expect(describeEn.rule(rule('forkLevel', '>=', 'elevated'))).toBe('Fork alert level ≥ Elevated');
+      expect(describeEn.rule(rule('oracleStale', 'is', true))).toBe('Oracle price is stale');
+      expect(describeEn.rule(rule('ddHealth', '<', 150))).toBe('DD health < 150%');
+      expect(describeEn.rule(rule('blockGap', '>=', 5))).toBe('Minutes without a new block ≥ 5 min');
+      expect(describeEn.value('forkLevel', 'critical')).toBe('Critical');
+      expect(describeEn.value('oracleStale', true)).toBe('yes');
+    });
+  });
+
+  describe('storage', () => {
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    it('creates rules with the metric defaults', () => {
+      const created = createAlertRule('mainnet', 'ddHealth');
+      expect(created).toMatchObject({ network: 'mainnet', metric: 'ddHealth', operator: '<', threshold: 150, enabled: true });
+      expect(created.id).toEqual(expect.any(String));
+    });
+
+    it('keeps rules per network', () => {
+      saveAlertRules('mainnet', [createAlertRule('mainnet', 'forkLevel')]);
+      saveAlertRules('testnet', [createAlertRule('testnet', 'oracleStale'), createAlertRule('testnet', 'blockGap')]);
+      saveAlertRules('mainnet', [createAlertRule('mainnet', 'orphans24h')]);
+
+      expect(loadAlertRules('mainnet').map((r) => r.metric)).toEqual(['orphans24h']);
+      expect(loadAlertRules('testnet').map((r) => r.metric)).toEqual(['oracleStale', 'blockGap']);
+    });
+
+    it('drops unknown metrics and survives corrupt storage', () => {
+      localStorage.setItem(ALERT_RULES_KEY, JSON.stringify([{ network: 'mainnet', metric: 'nope' }]));
+      expect(loadAlertRules('mainnet')).toEqual([]);
+
+      localStorage.setItem(ALERT_RULES_KEY, '{not json');
+      expect(loadAlertRules('mainnet')).toEqual([]);
+    });
+
+    it('caps the history', () => {
+      const entries = Array.from({ length: ALERT_HISTORY_LIMIT + 5 }, (_, i) => ({ id: String(i), network: 'mainnet' }));
+      const kept = saveAlertHistory('mainnet', entries);
+
+      expect(kept).toHaveLength(ALERT_HISTORY_LIMIT);
+      expect(loadAlertHistory('mainnet')[0].id).toBe('0');
+      expect(loadAlertHistory('testnet')).toEqual([]);
+    });
+  });
+});
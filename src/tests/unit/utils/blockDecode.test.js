@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import {
+  decodeBlockVersion,
+  decodeOracleBundle,
+  describeOutput,
+  findOracleBundle,
+} from '../../../utils/blockDecode';
+import { buildOracleScript } from '../../utils/testUtils';
+
+describe('decodeBlockVersion', () => {
+  it('decodes a clean non-signalling sha256d block', () => {
+    expect(decodeBlockVersion(0x20000202)).toEqual({
+      hex: '0x20000202',
+      usesVersionBits: true,
+      algo: 'sha256d',
+      signals: [],
+      rolledBits: [],
+      unknownBits: [],
+    });
+  });
+
+  it('reports DigiDollar (bit 23) and Algolock (bit 0) signals', () => {
+    const decoded = decodeBlockVersion(0x20800603);
+    expect(decoded.algo).toBe('skein');
+    expect(decoded.signals).toEqual([
+      { bit: 0, name: 'Algolock' },
+      { bit: 23, name: 'DigiDollar' },
+    ]);
+  });
+
+  it('separates BIP320 rolled bits when the server flags version rolling', () => {
+    const decoded = decodeBlockVersion(0x20810202, { versionRolled: true });
+    expect(decoded.signals).toEqual([]);
+    expect(decoded.rolledBits).toEqual([16, 23]);
+  });
+
+  it('lists unassigned bits and handles negative int32 versions', () => {
+    expect(decodeBlockVersion(0x20000e12).unknownBits).toEqual([4]);
+    expect(decodeBlockVersion(0x20000e12).algo).toBe('odo');
+    expect(decodeBlockVersion(-1).usesVersionBits).toBe(false);
+    expect(decodeBlockVersion(undefined)).toBeNull();
+  });
+});
+
+describe('decodeOracleBundle', () => {
+  it('decodes price, signer ids and MuSig2 context version', () => {
+    const script = buildOracleScript({
+      signerIds: [0, 3, 9, 17, 25, 33, 34],
+      priceMicroUsd: 9130,
+      timestamp: 1760000000,
+    });
+
+    expect(decodeOracleBundle(script)).toEqual({
+      version: 3,
+      musig2ContextVersion: 2,
+      signerIds: [0, 3, 9, 17, 25, 33, 34],
+      priceMicroUsd: 9130,
+      priceUsd: 0.00913,
+      timestamp: 1760000000,
+      signature: 'ab'.repeat(64),
+    });
+  });
+
+  it('rejects other scripts and truncated payloads', () => {
+    expect(decodeOracleBundle('6a0401020304')).toBeNull();
+    expect(decodeOracleBundle(buildOracleScript().slice(0, 40))).toBeNull();
+    expect(decodeOracleBundle('not-hex')).toBeNull();
+  });
+});
+
+describe('findOracleBundle', () => {
+  const coinbaseBlock = (vout) => ({ tx: [{ vout }] });
+
+  it('finds the bundle among coinbase outputs', () => {
+    const block = coinbaseBlock([
+      { n: 0, value: 277.5, scriptPubKey: { type: 'witness_v0_keyhash', hex: '0014aa' } },
+      { n: 1, value: 0, scriptPubKey: { type: 'nulldata', hex: buildOracleScript({ signerIds: [1, 2] }) } },
+    ]);
+
+    const bundle = findOracleBundle(block);
+    expect(bundle.vout).toBe(1);
+    expect(bundle.signerIds).toEqual([1, 2]);
+  });
+
+  it('prefers a bundle decoded by the server', () => {
+    const block = {
+      ...coinbaseBlock([{ n: 2, scriptPubKey: { hex: '6abf00' } }]),
+      oracleBundle: { version: 3, musig2_context_version: 2, signer_ids: ['4', '5'], price_micro_usd: 9000 },
+    };
+
+    expect(findOracleBundle(block)).toMatchObject({
+      vout: 2,
+      signerIds: [4, 5],
+      priceUsd: 0.009,
+      musig2ContextVersion: 2,
+    });
+  });
+
+  it('returns null without a bundle', () => {
+    expect(findOracleBundle(coinbaseBlock([{ n: 0, scriptPubKey: { hex: '76a9' } }]))).toBeNull();
+    expect(findOracleBundle({})).toBeNull();
+  });
+});
+
+describe('describeOutput', () => {
+  it('labels oracle, OP_RETURN and standard outputs', () => {
+    expect(describeOutput({ hex: buildOracleScript(), type: 'nulldata' })).toBe('OP_ORACLE bundle');
+    expect(describeOutput({ hex: '6a24aa21a9ed', type: 'nulldata' })).toBe('OP_RETURN');
+    expect(describeOutput({ hex: '0014aa', type: 'witness_v0_keyhash' })).toBe('witness_v0_keyhash');
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import {
+  blockMatchesFilters, hasBlockFilters, mergeBlocks, lowestHeight,
+  blocksEndpoint, parseBlocksResponse,
+} from '../../../utils/blockPaging';
+
+const block = (height, extra = {}) => ({
+  height, hash: `h${height}`, algo: 'scrypt', poolIdentifier: 'DigiHash Pool', hasOracleBundle: false, ...extra,
+});
+
+describe('blockMatchesFilters', () => {
+  it('matches every block without filters', () => {
+    expect(blockMatchesFilters(block(1), {})).toBe(true);
+    expect(hasBlockFilters({ algo: '', pool: '  ', bundle: false })).toBe(false);
+  });
+
+  it('filters by algorithm, treating odocrypt as odo', () => {
+    expect(blockMatchesFilters(block(1), { algo: 'scrypt' })).toBe(true);
+    expect(blockMatchesFilters(block(1), { algo: 'skein' })).toBe(false);
+    expect(blockMatchesFilters(block(1, { algo: 'odocrypt' }), { algo: 'odo' })).toBe(true);
+  });
+
+  it('filters by pool substring, ignoring case and blanks', () => {
+    expect(blockMatchesFilters(block(1), { pool: ' digihash ' })).toBe(true);
+    expect(blockMatchesFilters(block(1), { pool: 'dutch' })).toBe(false);
+    expect(blockMatchesFilters(block(1, { poolIdentifier: null }), { pool: 'dutch' })).toBe(false);
+  });
+
+  it('filters by oracle bundle', () => {
+    expect(blockMatchesFilters(block(1), { bundle: true })).toBe(false);
+    expect(blockMatchesFilters(block(1, { hasOracleBundle: true }), { bundle: true })).toBe(true);
+  });
+});
+
+describe('mergeBlocks', () => {
+  it('sorts newest first and keeps the first block per height', () => {
+    const live = [block(12, { hash: 'live' }), block(11)];
+    const older = [block(11, { hash: 'stale' }), block(10)];
+    const merged = mergeBlocks([block(13)], live, older);
+    expect(merged.map((b) => b.height)).toEqual([13, 12, 11, 10]);
+    expect(merged[2].hash).toBe('h11');
+  });
+
+  it('finds the lowest height', () => {
+    expect(lowestHeight([block(5), block(3), block(9)])).toBe(3);
+    expect(lowestHeight([])).toBeNull();
+  });
+});
+
+describe('blocksEndpoint', () => {
+  it('builds the paging path with only the filters that are set', () => {
+    expect(blocksEndpoint({ before: 100, limit: 20 })).toBe('/blocks?before=100&limit=20');
+    expect(blocksEndpoint({
+      before: 100, limit: 20, algo: 'odo', pool: ' Dutch ', bundle: true,
+    })).toBe('/blocks?before=100&limit=20&algo=odo&pool=Dutch&bundle=1');
+  });
+});
+
+describe('parseBlocksResponse', () => {
+  it('reads data and hasMore', () => {
+    expect(parseBlocksResponse({ data: [block(1)], hasMore: false }, 10)).toEqual({ blocks: [block(1)], hasMore: false });
+  });
+
+  it('derives hasMore from a full page when the flag is missing', () => {
+    expect(parseBlocksResponse([block(2), block(1)], 2).hasMore).toBe(true);
+    expect(parseBlocksResponse({ data: [block(1)] }, 2).hasMore).toBe(false);
+    expect(parseBlocksResponse({ error: 'x' }, 2)).toEqual({ blocks: [], hasMore: false });
+  });
+});
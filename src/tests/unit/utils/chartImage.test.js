@@ -0,0 +1,101 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  chartImageFilename, chartSize, canvasToSvg, serializeSvg, downloadChartImage,
+} from '../../../utils/chartImage';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const donut = () => {
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('width', '400');
+  svg.setAttribute('height', '300');
+  const path = document.createElementNS(SVG_NS, 'path');
+  path.setAttribute('d', 'M0,0L10,10');
+  svg.appendChild(path);
+  return svg;
+};
+
+const canvas = () => {
+  const el = document.createElement('canvas');
+  el.width = 800;
+  el.height = 400;
+  return el;
+};
+
+beforeEach(() => {
+  vi.spyOn(HTMLCanvasElement.prototype, 'toDataURL').mockReturnValue('data:image/png;base64,AAAA');
+});
+
+afterEach(() => {
+  HTMLCanvasElement.prototype.toDataURL.mockRestore();
+});
+
+describe('chartImageFilename', () => {
+  it('names the file after the network and chart', () => {
+    expect(chartImageFilename('hashrate-history', 'testnet', 'png')).toBe('dgbstats-testnet-hashrate-history.png');
+  });
+});
+
+describe('chartSize', () => {
+  it('uses the canvas backing store and the SVG attributes', () => {
+    expect(chartSize(canvas())).toEqual({ width: 800, height: 400 });
+    expect(chartSize(donut())).toEqual({ width: 400, height: 300 });
+  });
+});
+
+describe('serializeSvg', () => {
+  it('produces a standalone document with a background behind the chart', () => {
+    const svg = donut();
+    const text = serializeSvg(svg, '#112233');
+
+    expect(text).toContain(`xmlns="${SVG_NS}"`);
+    expect(text).toContain('viewBox="0 0 400 300"');
+    expect(text.indexOf('fill="#112233"')).toBeLessThan(text.indexOf('<path'));
+    expect(svg.querySelector('rect')).toBeNull();
+  });
+});
+
+describe('canvasToSvg', () => {
+  it('wraps the flattened canvas bitmap in an <image>', () => {
+    const text = canvasToSvg(canvas(), '#ffffff');
+
+    expect(text).toMatch(/^<svg [^>]*width="800" height="400"/);
+    expect(text).toMatch(/<image width="800" height="400" xlink:href="data:image\/png/);
+  });
+});
+
+describe('downloadChartImage', () => {
+  afterEach(() => {
+    HTMLAnchorElement.prototype.click.mockRestore();
+  });
+
+  const captureClicks = () => {
+    const clicks = [];
+    vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function click() {
+      clicks.push({ filename: this.download, href: this.href });
+    });
+    return clicks;
+  };
+
+  it('downloads a canvas chart as a PNG data URL', async () => {
+    const clicks = captureClicks();
+    await downloadChartImage(canvas(), 'png', { filename: 'chart.png', background: '#fff' });
+
+    expect(clicks).toEqual([{ filename: 'chart.png', href: expect.stringMatching(/^data:image\/png/) }]);
+  });
+
+  it('downloads an SVG chart as an SVG file', async () => {
+    const clicks = captureClicks();
+    const blobs = [];
+    URL.createObjectURL = vi.fn((blob) => {
+      blobs.push(blob);
+      return 'blob:chart';
+    });
+    URL.revokeObjectURL = vi.fn();
+
+    await downloadChartImage(donut(), 'svg', { filename: 'donut.svg', background: '#fff' });
+
+    expect(clicks[0].filename).toBe('donut.svg');
+    expect(blobs[0].type).toBe('image/svg+xml');
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  decodeChartState, encodeChartState, chartShareUrl,
+  hiddenDatasetLabels, applyHiddenDatasets,
+} from '../../../utils/chartLink';
+
+const fakeChart = (labels, hidden = []) => {
+  const visible = labels.map((label) => !hidden.includes(label));
+  return {
+    data: { datasets: labels.map((label) => ({ label })) },
+    isDatasetVisible: (index) => visible[index],
+    setDatasetVisibility: vi.fn((index, value) => { visible[index] = value; }),
+    update: vi.fn(),
+  };
+};
+
+describe('decodeChartState', () => {
+  it('reads range, zoom and hidden series', () => {
+    expect(decodeChartState('?range=1y&zoom=10-200&hide=Odo,Qubit')).toEqual({
+      range: '1y', zoom: [10, 200], hidden: ['Odo', 'Qubit'],
+    });
+  });
+
+  it('returns nulls for missing or malformed values', () => {
+    expect(decodeChartState('')).toEqual({ range: null, zoom: null, hidden: null });
+    expect(decodeChartState('?zoom=200-10').zoom).toBeNull();
+    expect(decodeChartState('?zoom=abc').zoom).toBeNull();
+  });
+
+  it('treats an empty hide as "nothing hidden"', () => {
+    expect(decodeChartState(new URLSearchParams('hide=')).hidden).toEqual([]);
+  });
+});
+
+describe('encodeChartState', () => {
+  const defaults = { range: '30d', hidden: ['Odo'] };
+
+  it('leaves out values equal to the defaults', () => {
+    expect(encodeChartState({ range: '30d', zoom: null, hidden: ['Odo'] }, defaults)).toEqual({});
+  });
+
+  it('writes range, zoom and a hidden set that differs from the default', () => {
+    expect(encodeChartState({ range: '5y', zoom: [3, 90], hidden: new Set() }, defaults))
+      .toEqual({ range: '5y', zoom: '3-90', hide: '' });
+  });
+
+  it('round-trips through decodeChartState', () => {
+    const params = new URLSearchParams(encodeChartState({ range: 'all', zoom: [0, 42], hidden: ['Scrypt'] }, defaults));
+    expect(decodeChartState(params)).toEqual({ range: 'all', zoom: [0, 42], hidden: ['Scrypt'] });
+  });
+});
+
+describe('chartShareUrl', () => {
+  it('keeps other query parameters, replaces chart ones and adds the fragment', () => {
+    const location = { origin: 'https://digibyte.io', pathname: '/hashrate', search: '?foo=1&range=7d' };
+    expect(chartShareUrl(location, 'hashrate-history', { range: '1y' }, { range: '30d' }))
+      .toBe('https://digibyte.io/hashrate?foo=1&range=1y#hashrate-history');
+  });
+
+  it('has no query string when the chart is in its default state', () => {
+    const location = { origin: 'https://digibyte.io', pathname: '/supply', search: '' };
+    expect(chartShareUrl(location, 'supply-timeline')).toBe('https://digibyte.io/supply#supply-timeline');
+  });
+});
+
+describe('Chart.js hidden datasets', () => {
+  it('lists the datasets switched off in the legend', () => {
+    expect(hiddenDatasetLabels(fakeChart(['Orphans', 'Reorgs'], ['Reorgs']))).toEqual(['Reorgs']);
+    expect(hiddenDatasetLabels(null)).toEqual([]);
+  });
+
+  it('switches off the named datasets and redraws without animation', () => {
+    const chart = fakeChart(['Orphans', 'Reorgs']);
+    applyHiddenDatasets(chart, ['Orphans', 'Unknown']);
+    expect(chart.setDatasetVisibility).toHaveBeenCalledTimes(1);
+    expect(chart.setDatasetVisibility).toHaveBeenCalledWith(0, false);
+    expect(chart.update).toHaveBeenCalledWith('none');
+    expect(hiddenDatasetLabels(chart)).toEqual(['Orphans']);
+  });
+
+  it('leaves the chart alone when nothing is hidden', () => {
+    const chart = fakeChart(['Orphans']);
+    applyHiddenDatasets(chart, []);
+    expect(chart.update).not.toHaveBeenCalled();
+  });
+});
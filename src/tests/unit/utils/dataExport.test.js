@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildExport,
+  csvCell,
+  exportFilename,
+  exportMetadata,
+  flattenRow,
+  tipHeight,
+  toCsv,
+  toJson,
+} from '../../../utils/dataExport';
+
+const meta = exportMetadata({
+  network: 'testnet',
+  height: 123456,
+  generatedAt: new Date('2026-10-18T12:00:00.250Z'),
+});
+
+const fakeClient = (messages) => ({ getLastMessage: (type) => messages[type] });
+
+describe('exportMetadata', () => {
+  it('records network, height and an ISO timestamp', () => {
+    expect(meta).toEqual({ network: 'testnet', height: 123456, generatedAt: '2026-10-18T12:00:00.250Z' });
+  });
+
+  it('uses null for an unknown height', () => {
+    expect(exportMetadata({ network: 'mainnet' }).height).toBeNull();
+  });
+});
+
+describe('tipHeight', () => {
+  it('takes the highest of the cached recent blocks and initialData', () => {
+    expect(tipHeight(fakeClient({
+      recentBlocks: { data: [{ height: 200 }, { height: 199 }] },
+      initialData: { data: { blockchainInfo: { blocks: 150 } } },
+    }))).toBe(200);
+    expect(tipHeight(fakeClient({ initialData: { data: { blockchainInfo: { blocks: 150 } } } }))).toBe(150);
+  });
+
+  it('returns null before anything has arrived', () => {
+    expect(tipHeight(fakeClient({}))).toBeNull();
+    expect(tipHeight(null)).toBeNull();
+  });
+});
+
+describe('flattenRow / csvCell', () => {
+  it('flattens nested objects into dotted keys and keeps arrays whole', () => {
+    expect(flattenRow({ date: '2026-10-17', perAlgo: { SHA256D: { blocks: 3 } }, tags: ['a'] })).toEqual({
+      date: '2026-10-17',
+      'perAlgo.SHA256D.blocks': 3,
+      tags: ['a'],
+    });
+  });
+
+  it('quotes cells that need it', () => {
+    expect(csvCell('plain')).toBe('plain');
+    expect(csvCell('a,b')).toBe('"a,b"');
+    expect(csvCell('say "hi"')).toBe('"say ""hi"""');
+    expect(csvCell(['x', 'y'])).toBe('"[""x"",""y""]"');
+    expect(csvCell(null)).toBe('');
+    expect(csvCell(false)).toBe('false');
+  });
+
+  it('neutralises text a spreadsheet would run as a formula', () => {
+    expect(csvCell('=HYPERLINK("http://x","y")')).toBe('"\'=HYPERLINK(""http://x"",""y"")"');
+    expect(csvCell('@SUM(A1:A9)')).toBe("'@SUM(A1:A9)");
+    expect(csvCell('+1')).toBe("'+1");
+    expect(csvCell('-cmd')).toBe("'-cmd");
+    expect(csvCell('\tx')).toBe("'\tx");
+    expect(csvCell('\rx')).toBe('"\'\rx"');
+    expect(csvCell(-5)).toBe('-5');
+    expect(csvCell('DigiHash')).toBe('DigiHash');
+  });
+});
+
+describe('toCsv / toJson', () => {
+  const rows = [
+    { height: 10, hash: 'aa', poolIdentifier: 'DigiHash, Inc.' },
+    { height: 9, hash: 'bb', algo: 'scrypt' },
+  ];
+
+  it('starts with the payload field names as the header row', () => {
+    expect(toCsv(rows).split('\r\n')).toEqual([
+      'height,hash,poolIdentifier,algo',
+      '10,aa,"DigiHash, Inc.",',
+      '9,bb,,scrypt',
+      '',
+    ]);
+  });
+
+  it('opens with the metadata as key,value rows and a blank line', () => {
+    expect(toCsv(rows, ['height', 'hash'], meta).split('\r\n')).toEqual([
+      'network,testnet',
+      'height,123456',
+      'generatedAt,2026-10-18T12:00:00.250Z',
+      '',
+      'height,hash',
+      '10,aa',
+      '9,bb',
+      '',
+    ]);
+    expect(toCsv(rows, ['height'], { ...meta, network: '=cmd', height: null }).split('\r\n').slice(0, 2))
+      .toEqual(["network,'=cmd", 'height,']);
+  });
+
+  it('follows an explicit column order', () => {
+    expect(toCsv(rows, ['hash', 'height']).split('\r\n')[0]).toBe('hash,height');
+  });
+
+  it('nests the rows under data next to meta in JSON', () => {
+    expect(JSON.parse(toJson(rows, meta))).toEqual({ meta, data: rows });
+  });
+
+  it('picks the format and MIME type', () => {
+    expect(buildExport('json', rows, meta).mimeType).toBe('application/json');
+    expect(buildExport('csv', rows, meta).mimeType).toMatch(/^text\/csv/);
+    expect(buildExport('csv', rows, meta).content).toMatch(/^network,testnet\r\n/);
+  });
+});
+
+describe('exportFilename', () => {
+  it('names the file after network, dataset, height and time', () => {
+    expect(exportFilename('blocks', meta, 'csv')).toBe('dgbstats-testnet-blocks-h123456-20261018T120000Z.csv');
+    expect(exportFilename('blocks', { ...meta, height: null }, 'json')).toBe('dgbstats-testnet-blocks-20261018T120000Z.json');
+  });
+});
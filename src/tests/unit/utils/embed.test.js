@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import {
+  EMBED_WIDGETS,
+  embedSnippet,
+  embedSourcePath,
+  embedUrl,
+  embedWidgets,
+  findEmbedWidget,
+  normalizeAccent,
+  parseEmbedOptions,
+} from '../../../utils/embed';
+
+describe('normalizeAccent', () => {
+  it('accepts 3- and 6-digit hex with or without #', () => {
+    expect(normalizeAccent('FF6600')).toBe('#ff6600');
+    expect(normalizeAccent('#f60')).toBe('#ff6600');
+  });
+
+  it('rejects anything else', () => {
+    expect(normalizeAccent('')).toBeNull();
+    expect(normalizeAccent(null)).toBeNull();
+    expect(normalizeAccent('red')).toBeNull();
+    expect(normalizeAccent('ff66001')).toBeNull();
+    expect(normalizeAccent('url(x)')).toBeNull();
+  });
+});
+
+describe('parseEmbedOptions', () => {
+  it('reads theme, accent and network', () => {
+    expect(parseEmbedOptions('?theme=dark&accent=ff6600&network=testnet')).toEqual({
+      theme: 'dark',
+      accent: '#ff6600',
+      network: 'testnet',
+    });
+  });
+
+  it('falls back to the defaults for missing or unknown values', () => {
+    expect(parseEmbedOptions('')).toEqual({ theme: 'light', accent: null, network: 'mainnet' });
+    expect(parseEmbedOptions('?theme=sepia&accent=nope&network=regtest')).toEqual({
+      theme: 'light',
+      accent: null,
+      network: 'mainnet',
+    });
+  });
+});
+
+describe('embedUrl / embedSnippet', () => {
+  it('omits default options from the URL', () => {
+    expect(embedUrl('hashrate')).toBe('/embed/hashrate');
+    expect(embedUrl('hashrate', { theme: 'light', network: 'mainnet', accent: null })).toBe('/embed/hashrate');
+  });
+
+  it('round-trips non-default options through parseEmbedOptions', () => {
+    const url = embedUrl('fork-risk', { theme: 'dark', accent: '#F60', network: 'testnet' }, 'https://digibyte.io');
+
+    expect(url).toBe('https://digibyte.io/embed/fork-risk?theme=dark&accent=ff6600&network=testnet');
+    expect(parseEmbedOptions(new URL(url).search)).toEqual({ theme: 'dark', accent: '#ff6600', network: 'testnet' });
+  });
+
+  it('builds an iframe with the widget title and height', () => {
+    const widget = findEmbedWidget('block-height');
+    const snippet = embedSnippet(widget, { theme: 'dark' }, 'https://digibyte.io');
+
+    expect(snippet).toMatch(/^<iframe src="https:\/\/digibyte\.io\/embed\/block-height\?theme=dark"/);
+    expect(snippet).toContain('title="DigiByte Block Height"');
+    expect(snippet).toContain(`height="${widget.height}"`);
+    expect(snippet).toMatch(/<\/iframe>$/);
+  });
+
+  it('links each widget back to its page on the chosen network', () => {
+    expect(embedSourcePath(findEmbedWidget('fork-risk'), 'mainnet')).toBe('/tips');
+    expect(embedSourcePath(findEmbedWidget('block-height'), 'testnet')).toBe('/testnet');
+  });
+});
+
+describe('embedWidgets', () => {
+  it('lists the five widgets with unique ids', () => {
+    const ids = EMBED_WIDGETS.map((widget) => widget.id);
+    expect(ids).toEqual(['block-height', 'oracle-price', 'dd-supply', 'hashrate', 'fork-risk']);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  it('drops widgets whose feature flag is disabled', () => {
+    const ids = embedWidgets(new Set(['digidollar'])).map((widget) => widget.id);
+
+    expect(ids).toEqual(['block-height', 'hashrate', 'fork-risk']);
+    expect(findEmbedWidget('oracle-price', new Set(['digidollar']))).toBeNull();
+    expect(findEmbedWidget('no-such-widget')).toBeNull();
+  });
+});
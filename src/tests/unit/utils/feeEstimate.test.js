@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import {
+  FEE_TARGETS, minFeeRateFromStats, percentile, mempoolPercentiles, mempoolRateForTarget,
+  inclusionBlocks, recordFirstSeen, observeInclusions, observedRateForTarget, estimateFees, appendFeeSample,
+} from '../../../utils/feeEstimate';
+
+// vsize 100 at the server's `fee_rate` (sat/vB)
+const tx = (txid, rate, extra = {}) => ({ txid, vsize: 100, fee_rate: rate, time: 0, ...extra });
+
+describe('mempool signals', () => {
+  it('converts the mempool minimum fee from DGB/kvB', () => {
+    expect(minFeeRateFromStats({ minfee: 0.00001 })).toBeCloseTo(1);
+    expect(minFeeRateFromStats({})).toBe(0);
+  });
+
+  it('takes nearest-rank percentiles', () => {
+    expect(percentile([1, 2, 3, 4], 50)).toBe(2);
+    expect(percentile([1, 2, 3, 4], 90)).toBe(4);
+    expect(percentile([], 50)).toBeNull();
+    expect(mempoolPercentiles([tx('a', 5), tx('b', 1), tx('c', 20)])).toEqual({
+      p10: 1, p25: 1, p50: 5, p75: 20, p90: 20,
+    });
+  });
+
+  it('finds the rate to beat for a number of blocks', () => {
+    const mempool = [tx('a', 50), tx('b', 40), tx('c', 30), tx('d', 20), tx('e', 10)];
+    expect(mempoolRateForTarget(mempool, 1, 200)).toBe(30);
+    expect(mempoolRateForTarget(mempool, 2, 200)).toBe(10);
+    expect(mempoolRateForTarget(mempool, 3, 200)).toBeNull();
+  });
+});
+
+describe('observed inclusion', () => {
+  it('counts the blocks waited from block time, or from age and confirmations', () => {
+    expect(inclusionBlocks({ blocktime: 1045 }, 1000, 2000)).toBe(3);
+    expect(inclusionBlocks({ blocktime: 1000 }, 1000, 2000)).toBe(1);
+    // seen 150s (10 blocks) ago, 8 confirmations → waited 3 blocks
+    expect(inclusionBlocks({ confirmations: 8 }, 1850, 2000)).toBe(3);
+    expect(inclusionBlocks({ confirmations: 8 }, undefined, 2000)).toBeNull();
+    expect(inclusionBlocks({}, 1000, 2000)).toBeNull();
+  });
+
+  it('remembers first-seen times and forgets old ones', () => {
+    const seen = recordFirstSeen({ old: 1 }, [tx('a', 1, { time: 9000 }), tx('b', 1, { time: 0 })], 10000);
+    expect(seen).toEqual({ a: 9000, b: 10000 });
+    expect(recordFirstSeen(seen, [tx('a', 1, { time: 9999 })], 10000)).toBe(seen);
+  });
+
+  it('picks the lowest rate that confirmed in time often enough', () => {
+    const observations = [
+      { feeRate: 100, blocks: 1 }, { feeRate: 80, blocks: 1 }, { feeRate: 60, blocks: 1 },
+      { feeRate: 40, blocks: 4 }, { feeRate: 20, blocks: 5 },
+    ];
+    expect(observedRateForTarget(observations, 1)).toBe(60);
+    expect(observedRateForTarget(observations, 5)).toBe(20);
+    expect(observedRateForTarget(observations.slice(0, 2), 1)).toBeNull();
+  });
+
+  it('uses the first-seen map for confirmed transactions without firstSeen', () => {
+    const confirmed = [tx('a', 10, { blocktime: 1015 }), tx('b', 10, { blocktime: 1015, firstSeen: 1000 }), tx('c', 10)];
+    expect(observeInclusions(confirmed, { a: 985 }, 2000)).toEqual([
+      { feeRate: 10, blocks: 2 }, { feeRate: 10, blocks: 1 },
+    ]);
+  });
+});
+
+describe('estimateFees', () => {
+  it('recommends the higher signal per target, never more for a slower one', () => {
+    const mempool = [tx('a', 50), tx('b', 40), tx('c', 30)];
+    const confirmed = [
+      tx('x', 90, { blocktime: 1015 }), tx('y', 80, { blocktime: 1015 }), tx('z', 70, { blocktime: 1015 }),
+    ];
+    const { targets, percentiles, observations } = estimateFees({
+      mempool, confirmed, firstSeen: { x: 1000, y: 1000, z: 1000 }, minFeeRate: 1, now: 2000, maxVsize: 200,
+    });
+
+    expect(targets.map((target) => target.key)).toEqual(FEE_TARGETS.map((target) => target.key));
+    expect(targets[0]).toMatchObject({ feeRate: 70, mempoolRate: 30, observedRate: 70, basis: 'observed' });
+    expect(targets[2]).toMatchObject({ feeRate: 70, mempoolRate: null });
+    expect(percentiles.p50).toBe(40);
+    expect(observations).toBe(3);
+  });
+
+  it('falls back to the mempool minimum, else the lowest queued rate', () => {
+    const { targets } = estimateFees({ mempool: [], minFeeRate: 2 });
+    expect(targets.every((target) => target.feeRate === 2 && target.basis === 'minimum')).toBe(true);
+
+    const queued = estimateFees({ mempool: [tx('a', 5), tx('b', 3)] });
+    expect(queued.targets[0]).toMatchObject({ feeRate: 3, basis: 'minimum' });
+    expect(estimateFees({ mempool: [] }).targets[0].feeRate).toBe(0);
+  });
+
+  it('finds the lowest queued rate in a mempool too large to spread into arguments', () => {
+    const mempool = Array.from({ length: 500000 }, (_, i) => tx(`t${i}`, 2 + (i % 50)));
+    expect(estimateFees({ mempool }).targets[2]).toMatchObject({ feeRate: 2, basis: 'minimum' });
+  });
+});
+
+describe('appendFeeSample', () => {
+  const estimate = (rate) => ({ targets: FEE_TARGETS.map((target) => ({ key: target.key, feeRate: rate })) });
+
+  it('keeps one sample per block interval, up to the limit', () => {
+    let history = appendFeeSample([], estimate(5), 0);
+    history = appendFeeSample(history, estimate(6), 14000);
+    expect(history).toEqual([{ time: 14000, next: 6, '5blocks': 6, '1hour': 6 }]);
+
+    history = appendFeeSample(history, estimate(7), 15000);
+    history = appendFeeSample(history, estimate(8), 30000, 2);
+    expect(history.map((sample) => sample.next)).toEqual([7, 8]);
+  });
+});
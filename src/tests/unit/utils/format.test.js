@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import {
+  formatNumber, formatDate, formatDgb, formatBlockTime, formatRelativeTime,
+} from '../../../utils/format';
+
+describe('format utils', () => {
+  describe('formatNumber', () => {
+    it('groups digits per locale', () => {
+      expect(formatNumber(1234567, 'en')).toBe('1,234,567');
+      expect(formatNumber(1234567, 'es')).toBe('1.234.567');
+      expect(formatNumber(1234567, 'zh')).toBe('1,234,567');
+    });
+
+    it('accepts numeric strings and Intl options', () => {
+      expect(formatNumber('1234.5', 'en', { minimumFractionDigits: 2 })).toBe('1,234.50');
+      expect(formatNumber(0.5, 'es', { minimumFractionDigits: 2 })).toBe('0,50');
+    });
+
+    it('renders missing or non-numeric values as an em dash', () => {
+      expect(formatNumber(null, 'en')).toBe('—');
+      expect(formatNumber(undefined, 'en')).toBe('—');
+      expect(formatNumber('', 'en')).toBe('—');
+      expect(formatNumber('abc', 'en')).toBe('—');
+      expect(formatNumber(Infinity, 'en')).toBe('—');
+    });
+  });
+
+  describe('formatDate', () => {
+    const date = Date.UTC(2014, 0, 10, 12);
+
+    it('formats a medium date by default', () => {
+      expect(formatDate(date, 'en', { dateStyle: 'medium', timeZone: 'UTC' })).toBe('Jan 10, 2014');
+      expect(formatDate(date, 'es', { dateStyle: 'long', timeZone: 'UTC' })).toBe('10 de enero de 2014');
+      expect(formatDate(date, 'zh', { dateStyle: 'long', timeZone: 'UTC' })).toBe('2014年1月10日');
+    });
+
+    it('renders invalid dates as an em dash', () => {
+      expect(formatDate('not a date', 'en')).toBe('—');
+      expect(formatDate(null, 'en')).toBe('—');
+    });
+  });
+
+  describe('formatDgb / formatBlockTime', () => {
+    it('formats DGB amounts with up to 8 decimals', () => {
+      expect(formatDgb(1234.5, 'en')).toBe('1,234.5 DGB');
+      expect(formatDgb(0.123456789, 'es')).toBe('0,12345679 DGB');
+      expect(formatDgb(undefined, 'en')).toBe('—');
+    });
+
+    it('formats epoch seconds as a date and time', () => {
+      expect(formatBlockTime(Date.UTC(2014, 0, 10, 12) / 1000, 'en')).toMatch(/^Jan 10, 2014, \d{1,2}:\d{2}:\d{2}/);
+      expect(formatBlockTime(null, 'en')).toBe('—');
+    });
+  });
+
+  describe('formatRelativeTime', () => {
+    const now = Date.UTC(2026, 0, 1);
+
+    it('returns the justNow text under a minute', () => {
+      expect(formatRelativeTime(now - 30 * 1000, 'en', { now })).toBe('just now');
+      expect(formatRelativeTime(now - 30 * 1000, 'es', { now, justNow: 'justo ahora' })).toBe('justo ahora');
+    });
+
+    it('uses minutes, hours and days', () => {
+      expect(formatRelativeTime(now - 5 * 60000, 'en', { now })).toBe('5 minutes ago');
+      expect(formatRelativeTime(now - 3 * 3600000, 'en', { now })).toBe('3 hours ago');
+      expect(formatRelativeTime(now - 2 * 86400000, 'en', { now })).toBe('2 days ago');
+    });
+
+    it('localises the phrase', () => {
+      expect(formatRelativeTime(now - 5 * 60000, 'es', { now })).toBe('hace 5 minutos');
+      expect(formatRelativeTime(now - 5 * 60000, 'zh', { now })).toBe('5分钟前');
+    });
+
+    it('supports the narrow style', () => {
+      expect(formatRelativeTime(now - 3 * 3600000, 'en', { now, style: 'narrow' })).toBe('3h ago');
+    });
+
+    it('returns null for a missing timestamp', () => {
+      expect(formatRelativeTime(undefined, 'en', { now })).toBeNull();
+      expect(formatRelativeTime(NaN, 'en', { now })).toBeNull();
+    });
+  });
+});
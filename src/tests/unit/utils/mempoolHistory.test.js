@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  MEMPOOL_HISTORY_KEY, SAMPLE_INTERVAL_MS, BLOCK_ARRIVAL_LIMIT,
+  appendMempoolSample, blockMarkersBetween, loadSessionHistory, mempoolSample, mergeMempoolHistory,
+  parseMempoolHistory, recordBlockArrivals, samplesInRange, saveSessionHistory,
+} from '../../../utils/mempoolHistory';
+
+const HOUR = 3600000;
+const NOW = 1700000000000;
+
+const tx = (rate) => ({ txid: `t${rate}`, vsize: 100, fee_rate: rate });
+
+describe('mempool history', () => {
+  describe('mempoolSample', () => {
+    it('reads count and bytes from the stats and the median feerate from the transactions', () => {
+      const sample = mempoolSample({ stats: { size: 1234, bytes: 567890 }, transactions: [tx(1), tx(30), tx(4)] }, NOW);
+      expect(sample).toEqual({ time: NOW, count: 1234, bytes: 567890, medianFeeRate: 4 });
+    });
+
+    it('falls back to the listed transactions without stats', () => {
+      expect(mempoolSample({ transactions: [tx(2), tx(3)] }, NOW)).toEqual({ time: NOW, count: 2, bytes: 200, medianFeeRate: 2 });
+      expect(mempoolSample({}, NOW)).toEqual({ time: NOW, count: 0, bytes: 0, medianFeeRate: null });
+    });
+  });
+
+  it('keeps one session sample per interval up to the limit', () => {
+    let history = [];
+    history = appendMempoolSample(history, { time: NOW, count: 1 });
+    history = appendMempoolSample(history, { time: NOW + 1000, count: 2 });
+    expect(history).toEqual([{ time: NOW + 1000, count: 2 }]);
+
+    for (let i = 1; i <= 4; i += 1) {
+      history = appendMempoolSample(history, { time: NOW + i * SAMPLE_INTERVAL_MS, count: i }, 3);
+    }
+    expect(history.map((sample) => sample.count)).toEqual([2, 3, 4]);
+  });
+
+  it('parses the server series in any time unit, oldest first', () => {
+    const samples = parseMempoolHistory({
+      data: [
+        { time: new Date(NOW).toISOString(), count: 5, bytes: 100, medianFeeRate: 2 },
+        { timestamp: (NOW - HOUR) / 1000, size: '4', bytes: 80, median_fee_rate: null },
+        { time: 'never', count: 1 },
+      ],
+    });
+    expect(samples).toEqual([
+      { time: NOW - HOUR, count: 4, bytes: 80, medianFeeRate: null },
+      { time: NOW, count: 5, bytes: 100, medianFeeRate: 2 },
+    ]);
+    expect(parseMempoolHistory({ error: 'Not found' })).toEqual([]);
+  });
+
+  it('continues the server series with later session samples and slices a range', () => {
+    const server = [{ time: NOW - 30 * HOUR }, { time: NOW - 2 * HOUR }];
+    const session = [{ time: NOW - 3 * HOUR }, { time: NOW - HOUR / 2 }];
+    const merged = mergeMempoolHistory(server, session);
+    expect(merged.map((sample) => sample.time)).toEqual([NOW - 30 * HOUR, NOW - 2 * HOUR, NOW - HOUR / 2]);
+
+    expect(samplesInRange(merged, '1h', NOW)).toHaveLength(1);
+    expect(samplesInRange(merged, '24h', NOW)).toHaveLength(2);
+    expect(samplesInRange(merged, '7d', NOW)).toHaveLength(3);
+    expect(samplesInRange(merged, 'bogus', NOW)).toHaveLength(1);
+  });
+
+  it('records each block once, at its own time when it has one', () => {
+    let arrivals = recordBlockArrivals([], [{ height: 10, timestamp: NOW / 1000 - 30 }, { height: 11 }], NOW);
+    expect(arrivals).toEqual([{ height: 10, time: NOW - 30000 }, { height: 11, time: NOW }]);
+    expect(recordBlockArrivals(arrivals, [{ height: 11 }], NOW + 1)).toBe(arrivals);
+
+    arrivals = recordBlockArrivals([], Array.from({ length: BLOCK_ARRIVAL_LIMIT + 10 }, (_, i) => ({ height: i, timestamp: i })), NOW);
+    expect(arrivals).toHaveLength(BLOCK_ARRIVAL_LIMIT);
+    expect(arrivals[0].height).toBe(10);
+    expect(blockMarkersBetween(arrivals, 20000, 29000).map((arrival) => arrival.height)).toEqual([20, 21, 22, 23, 24, 25, 26, 27, 28, 29]);
+  });
+
+  describe('session storage', () => {
+    beforeEach(() => sessionStorage.clear());
+
+    it('keeps each network apart', () => {
+      saveSessionHistory('mainnet', [{ time: NOW, count: 1 }]);
+      saveSessionHistory('testnet', [{ time: NOW, count: 2 }]);
+      expect(loadSessionHistory('mainnet')).toEqual([{ time: NOW, count: 1 }]);
+      expect(loadSessionHistory('testnet')).toEqual([{ time: NOW, count: 2 }]);
+    });
+
+    it('ignores unreadable storage', () => {
+      sessionStorage.setItem(MEMPOOL_HISTORY_KEY, '{oops');
+      expect(loadSessionHistory('mainnet')).toEqual([]);
+    });
+  });
+});
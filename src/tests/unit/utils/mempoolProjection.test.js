@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import {
+  txFeeRate, feeBand, bandBreakdown, projectBlocks, findInProjection,
+} from '../../../utils/mempoolProjection';
+
+// fee in DGB: vsize 100 at `rate` sat/vB
+const tx = (txid, rate, extra = {}) => ({ txid, vsize: 100, fee: (rate * 100) / 100000000, time: 0, ...extra });
+
+describe('txFeeRate and feeBand', () => {
+  it('prefers the server fee_rate and falls back to fee over vsize', () => {
+    expect(txFeeRate({ fee_rate: 42, fee: 1, vsize: 1 })).toBe(42);
+    expect(txFeeRate({ fee: 0.00001, size: 250 })).toBeCloseTo(4);
+    expect(txFeeRate({ fee: 0.1 })).toBe(0);
+  });
+
+  it('puts a rate in its band', () => {
+    expect(feeBand(0).key).toBe('0-10');
+    expect(feeBand(10).key).toBe('10-50');
+    expect(feeBand(499.9).key).toBe('100-500');
+    expect(feeBand(900).key).toBe('500+');
+  });
+
+  it('totals the bands highest first', () => {
+    expect(bandBreakdown([tx('a', 5), tx('b', 600), tx('c', 7)])).toEqual([
+      { key: '500+', color: '#f44336', count: 1, vsize: 100 },
+      { key: '0-10', color: '#4caf50', count: 2, vsize: 200 },
+    ]);
+  });
+});
+
+describe('projectBlocks', () => {
+  const mempool = [tx('low', 2), tx('high', 200), tx('mid', 60), tx('mid-old', 60, { time: -10 }), tx('min', 1)];
+
+  it('fills templates by fee rate, oldest first on ties', () => {
+    const blocks = projectBlocks(mempool, { maxVsize: 200, count: 4 });
+    expect(blocks.map((block) => block.txs.map((t) => t.txid))).toEqual([
+      ['high', 'mid-old'], ['mid', 'low'], ['min'],
+    ]);
+    expect(blocks[0]).toMatchObject({ vsize: 200, minFeeRate: 60, maxFeeRate: 200, medianFeeRate: 130, overflow: false });
+  });
+
+  it('puts everything left into the last block', () => {
+    const blocks = projectBlocks(mempool, { maxVsize: 200, count: 2 });
+    expect(blocks).toHaveLength(2);
+    expect(blocks[1].txs).toHaveLength(3);
+    expect(blocks[1].overflow).toBe(true);
+  });
+
+  it('locates a transaction in the queue', () => {
+    const blocks = projectBlocks(mempool, { maxVsize: 200 });
+    expect(findInProjection(blocks, 'low')).toEqual({
+      block: 1, rank: 4, vsizeAhead: 300, feeRate: 2, band: '0-10',
+    });
+    expect(findInProjection(blocks, 'gone')).toBeNull();
+  });
+
+  it('projects nothing for an empty mempool', () => {
+    expect(projectBlocks([])).toEqual([]);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import {
+  formatHashrate,
+  hashratesByAlgo,
+  minerAddressOf,
+  poolKey,
+  summarizeMinerBlocks,
+  upgradeStateOf,
+} from '../../../utils/miningStats';
+
+describe('minerAddressOf / poolKey', () => {
+  it('prefers minerAddress over minedTo', () => {
+    expect(minerAddressOf({ minerAddress: 'DA', minedTo: 'DB' })).toBe('DA');
+    expect(minerAddressOf({ minedTo: 'DB' })).toBe('DB');
+  });
+
+  it('keys pools by coinbase tag, falling back to the payout address', () => {
+    expect(poolKey({ poolIdentifier: ' DigiHash ', minerAddress: 'DA' })).toBe('DigiHash');
+    expect(poolKey({ poolIdentifier: 'Unknown', minerAddress: 'DA' })).toBe('DA');
+    expect(poolKey({})).toBe('Unknown');
+  });
+});
+
+describe('upgradeStateOf', () => {
+  it('is publishing once any block carries a bundle', () => {
+    expect(upgradeStateOf([{}, { hasOracleBundle: true }])).toBe('publishing');
+    expect(upgradeStateOf([{}, {}])).toBe('none');
+  });
+});
+
+describe('summarizeMinerBlocks', () => {
+  it('counts bundles, the latest bundle and the per-algo split', () => {
+    const stats = summarizeMinerBlocks([
+      { height: 10, algo: 'sha256d', hasOracleBundle: true, oracleSignerCount: 5, oraclePriceUsd: 0.01 },
+      { height: 12, algo: 'scrypt', hasOracleBundle: true, oracleSignerCount: 7, oraclePriceUsd: 0.02 },
+      { height: 13, algo: 'sha256d' },
+      { height: 11, algo: 'sha256d' },
+    ]);
+
+    expect(stats).toMatchObject({
+      total: 4,
+      bundles: 2,
+      bundlePct: 50,
+      status: 'publishing',
+      lastBundleHeight: 12,
+      lastSigners: 7,
+      lastPriceUsd: 0.02,
+      latestHeight: 13,
+      algoList: ['sha256d', 'scrypt'],
+    });
+    expect(stats.algoBreakdown).toEqual([
+      { algo: 'sha256d', n: 3, bundles: 1 },
+      { algo: 'scrypt', n: 1, bundles: 1 },
+    ]);
+  });
+
+  it('reports no bundles for an empty or bundle-free window', () => {
+    expect(summarizeMinerBlocks([])).toMatchObject({ total: 0, bundlePct: 0, status: 'none', lastBundleHeight: -1 });
+    expect(summarizeMinerBlocks([{ height: 1 }]).algoList).toEqual(['unknown']);
+  });
+});
+
+describe('hashratesByAlgo', () => {
+  const now = 1700000000000;
+  const at = (secondsAgo) => (now / 1000) - secondsAgo;
+
+  it('estimates each algorithm from its last-hour blocks and difficulty', () => {
+    const rates = hashratesByAlgo([
+      { algo: 'Scrypt', difficulty: 100, timestamp: at(60) },
+      { algo: 'Scrypt', difficulty: 300, timestamp: at(120) },
+      { algo: 'SHA256D', difficulty: 1000, timestamp: at(7200) },
+    ], now);
+
+    // (2 blocks / 48) × 200 avg difficulty × 2^32 / 75
+    expect(rates.Scrypt).toBeCloseTo((2 / 48) * 200 * 2 ** 32 / 75);
+    expect(rates).toMatchObject({ SHA256D: 0, Skein: 0, Qubit: 0, Odo: 0 });
+  });
+});
+
+describe('formatHashrate', () => {
+  it('scales to the most readable unit', () => {
+    expect(formatHashrate(0)).toBe('0.00 H/s');
+    expect(formatHashrate(1500)).toBe('1.50 KH/s');
+    expect(formatHashrate(2.5e15)).toBe('2.50 PH/s');
+    expect(formatHashrate(3e21)).toBe('3000.00 EH/s');
+  });
+});
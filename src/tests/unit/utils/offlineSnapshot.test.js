@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { createSnapshotStore, SNAPSHOT_TYPES } from '../../../utils/offlineSnapshot';
+
+describe('offlineSnapshot', () => {
+  it('keeps the dashboard snapshot types', () => {
+    expect(SNAPSHOT_TYPES).toEqual(['initialData', 'recentBlocks', 'chainTips', 'oracleData', 'ddStatsData']);
+  });
+
+  it('loads nothing and saves nowhere without IndexedDB', async () => {
+    expect(typeof indexedDB).toBe('undefined');
+    const store = createSnapshotStore('mainnet');
+
+    await expect(store.save({ type: 'initialData', data: {} })).resolves.toBeUndefined();
+    await expect(store.load()).resolves.toEqual([]);
+  });
+
+  it('ignores types that are not kept offline', async () => {
+    const store = createSnapshotStore('testnet');
+
+    await expect(store.save({ type: 'newTransaction', data: {} })).resolves.toBeUndefined();
+    await expect(store.save(null)).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,120 @@
+import React from 'react';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { render } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import { ROUTES, SITE } from '../../../routes';
+import {
+  applyPageMeta, matchRoute, resolvePageMeta, splitNetworkPath,
+} from '../../../utils/pageMeta';
+import PageMeta from '../../../components/PageMeta';
+
+const resolve = (pathname) => resolvePageMeta(pathname, SITE, ROUTES);
+const page = (id) => ROUTES.find((route) => route.id === id);
+
+const headContent = (selector, attribute = 'content') => (
+  document.head.querySelector(selector)?.getAttribute(attribute)
+);
+
+describe('splitNetworkPath', () => {
+  it('separates the testnet prefix from the route path', () => {
+    expect(splitNetworkPath('/testnet/blocks')).toEqual({ network: 'testnet', path: '/blocks' });
+    expect(splitNetworkPath('/testnet')).toEqual({ network: 'testnet', path: '/' });
+    expect(splitNetworkPath('/oracles/')).toEqual({ network: 'mainnet', path: '/oracles' });
+    expect(splitNetworkPath('/testnetwork')).toEqual({ network: 'mainnet', path: '/testnetwork' });
+  });
+});
+
+describe('matchRoute', () => {
+  it('returns decoded params for a matching pattern', () => {
+    expect(matchRoute('/tx/:txid', '/tx/abc%20def')).toEqual({ txid: 'abc def' });
+    expect(matchRoute('/blocks', '/blocks')).toEqual({});
+  });
+
+  it('returns null when segments differ', () => {
+    expect(matchRoute('/tx/:txid', '/block/1')).toBeNull();
+    expect(matchRoute('/tx/:txid', '/tx/1/2')).toBeNull();
+  });
+});
+
+describe('resolvePageMeta', () => {
+  it('resolves a mainnet page with its own image and canonical URL', () => {
+    const meta = resolve('/nodes');
+    expect(meta.route).toBe(page('nodes'));
+    expect(meta).toMatchObject({
+      network: 'mainnet',
+      title: 'Node Map | DigiByte Stats',
+      url: 'https://digibyte.io/nodes',
+      image: 'https://digibyte.io/og-images/og-nodes.png',
+      priority: 0.8,
+    });
+  });
+
+  it('uses the testnet title template, URL and priority under /testnet', () => {
+    const meta = resolve('/testnet/tips');
+    expect(meta.title).toBe('Chain Tips & Forks | DigiByte Testnet Stats');
+    expect(meta.url).toBe('https://digibyte.io/testnet/tips');
+    expect(meta.priority).toBe(0.5);
+    expect(resolve('/testnet').url).toBe('https://digibyte.io/testnet');
+  });
+
+  it('keeps the full home title on mainnet only', () => {
+    expect(resolve('/').title).toBe(page('home').fullTitle);
+    expect(resolve('/testnet').title).toBe('Real-time DGB Network Analytics | DigiByte Testnet Stats');
+  });
+
+  it('fills route params, shortening long ones in the title', () => {
+    const txid = 'a'.repeat(56) + 'bbbbbbbb';
+    const meta = resolve(`/testnet/tx/${txid}`);
+    expect(meta.route).toBe(page('tx'));
+    expect(meta.title).toBe('Transaction aaaaaaaa…bbbbbbbb | DigiByte Testnet Stats');
+    expect(meta.description).toContain(txid);
+    expect(resolve('/block/123').heading).toBe('Block 123');
+  });
+
+  it('gives unknown paths the not-found text with their own URL', () => {
+    const meta = resolve('/nope');
+    expect(meta.route).toBeNull();
+    expect(meta.title).toBe('Page Not Found | DigiByte Stats');
+    expect(meta.url).toBe('https://digibyte.io/nope');
+  });
+
+  it('only matches routes that exist on the network', () => {
+    expect(resolve('/testnet/pools').route).toBeNull();
+    expect(resolve('/convert').route).toBeNull();
+    expect(resolve('/testnet/convert').route).toBe(page('convert'));
+  });
+
+  it('falls back to the default image', () => {
+    expect(resolve('/oracles').image).toBe('https://digibyte.io/og-image.png');
+  });
+});
+
+describe('applyPageMeta', () => {
+  beforeEach(() => {
+    document.head.innerHTML = '<meta name="description" content="old" /><link rel="canonical" href="https://digibyte.io/" />';
+  });
+
+  it('updates existing tags and creates missing ones', () => {
+    applyPageMeta(resolve('/supply'));
+
+    expect(document.title).toBe('DGB Supply | DigiByte Stats');
+    expect(headContent('meta[name="description"]')).toBe(page('supply').description);
+    expect(headContent('link[rel="canonical"]', 'href')).toBe('https://digibyte.io/supply');
+    expect(headContent('meta[property="og:image"]')).toBe('https://digibyte.io/og-images/og-supply.png');
+    expect(headContent('meta[name="twitter:title"]')).toBe('DGB Supply | DigiByte Stats');
+    expect(document.head.querySelectorAll('meta[name="description"]')).toHaveLength(1);
+  });
+});
+
+describe('PageMeta', () => {
+  it('applies the metadata of the current route', () => {
+    render(
+      <MemoryRouter initialEntries={['/testnet/oracles']}>
+        <PageMeta />
+      </MemoryRouter>
+    );
+
+    expect(document.title).toBe('DigiDollar Oracles | DigiByte Testnet Stats');
+    expect(headContent('meta[property="og:url"]')).toBe('https://digibyte.io/testnet/oracles');
+  });
+});
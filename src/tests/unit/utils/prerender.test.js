@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { ROOT_DIR, loadRoutes } from '../../../../scripts/routes.mjs';
+import { buildSitemap } from '../../../../scripts/generate-sitemap.mjs';
+import { outputFile, renderRouteBody, renderRouteHtml } from '../../../../scripts/prerender.mjs';
+
+const TEMPLATE = [
+  '<!doctype html><html><head><title>Old</title>',
+  '<meta name="title" content="Old"/><meta name="description" content="Old"/>',
+  '<meta property="og:url" content="https://digibyte.io/"/><meta property="og:title" content="Old"/>',
+  '<meta property="og:description" content="Old"/><meta property="og:image" content="https://digibyte.io/og-image.png"/>',
+  '<meta name="twitter:url" content="https://digibyte.io/"/><meta name="twitter:title" content="Old"/>',
+  '<meta name="twitter:description" content="Old"/><meta name="twitter:image" content="https://digibyte.io/og-image.png"/>',
+  '<link rel="canonical" href="https://digibyte.io/"/></head>',
+  '<body><div id="root"></div><script src="/static/js/main.js"></script></body></html>',
+].join('');
+
+describe('loadRoutes', () => {
+  it('lists the static pages of both networks, mainnet first', () => {
+    const paths = loadRoutes().map((route) => route.path);
+
+    expect(paths[0]).toBe('/');
+    expect(paths).toContain('/testnet/convert');
+    expect(paths).not.toContain('/convert');
+    expect(paths).not.toContain('/testnet/pools');
+    expect(paths.some((routePath) => routePath.includes(':'))).toBe(false);
+    expect(paths.indexOf('/taproot')).toBeLessThan(paths.indexOf('/testnet'));
+  });
+
+  it('leaves out routes behind a disabled feature flag', () => {
+    const paths = loadRoutes({ disabled: new Set(['digidollar']) }).map((route) => route.path);
+
+    expect(paths).not.toContain('/oracles');
+    expect(paths).not.toContain('/testnet/ddstats');
+    expect(paths).toContain('/blocks');
+  });
+});
+
+describe('buildSitemap', () => {
+  it('lists the static routes, mainnet first', () => {
+    const xml = buildSitemap(loadRoutes());
+
+    expect(xml).toContain('<loc>https://digibyte.io/tips</loc>');
+    expect(xml).toContain('<loc>https://digibyte.io/testnet/convert</loc>');
+    expect(xml).not.toContain(':txid');
+    expect(xml.indexOf('<!-- Mainnet Pages -->')).toBeLessThan(xml.indexOf('<!-- Testnet Pages -->'));
+  });
+
+  it('matches the committed public/sitemap.xml', () => {
+    const committed = readFileSync(path.join(ROOT_DIR, 'public', 'sitemap.xml'), 'utf8');
+    expect(buildSitemap(loadRoutes())).toBe(committed);
+  });
+});
+
+describe('renderRouteHtml', () => {
+  const routes = loadRoutes();
+  const tips = routes.find((route) => route.path === '/tips');
+  const mainnet = routes.filter((route) => route.network === 'mainnet');
+
+  it('rewrites the head tags for the route', () => {
+    const html = renderRouteHtml(TEMPLATE, tips, mainnet);
+
+    expect(html).toContain('<title>Chain Tips &amp; Forks | DigiByte Stats</title>');
+    expect(html).toContain('<meta property="og:url" content="https://digibyte.io/tips"/>');
+    expect(html).toContain('<meta name="twitter:image" content="https://digibyte.io/og-images/og-blocks.png"/>');
+    expect(html).toContain('<link rel="canonical" href="https://digibyte.io/tips"/>');
+    expect(html).not.toContain('content="Old"');
+    expect(html).toContain('<script src="/static/js/main.js"></script>');
+  });
+
+  it('puts a heading, summary and page list inside #root', () => {
+    const body = renderRouteBody(tips, mainnet);
+
+    expect(body).toContain('<h1>Chain Tips &amp; Forks</h1>');
+    expect(body).toContain('<a href="/oracles">DigiDollar Oracles</a>');
+    expect(renderRouteHtml(TEMPLATE, tips, mainnet)).toContain(`<div id="root">${body}</div>`);
+  });
+
+  it('can rerun over an already prerendered file', () => {
+    const oracles = routes.find((route) => route.path === '/oracles');
+    const html = renderRouteHtml(renderRouteHtml(TEMPLATE, tips, mainnet), oracles, []);
+
+    expect(html).toContain('<h1>DigiDollar Oracles</h1>');
+    expect(html).not.toContain('Chain Tips');
+  });
+
+  it('writes each route to its own index.html', () => {
+    expect(outputFile('/', '/build')).toBe(path.join('/build', 'index.html'));
+    expect(outputFile('/testnet/blocks', '/build')).toBe(path.join('/build', 'testnet', 'blocks', 'index.html'));
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import {
+  stringParam, enumParam, flagParam, intParam, readQuery, writeQuery,
+} from '../../../utils/queryParams';
+
+const schema = {
+  q: stringParam(''),
+  sort: enumParam(['time', 'value', 'fee']),
+};
+
+describe('readQuery', () => {
+  it('reads each parameter with its codec', () => {
+    expect(readQuery('?q=abc&sort=fee', schema)).toEqual({ q: 'abc', sort: 'fee' });
+  });
+
+  it('falls back to the defaults for missing or malformed values', () => {
+    expect(readQuery('', schema)).toEqual({ q: '', sort: 'time' });
+    expect(readQuery('?sort=height', schema)).toEqual({ q: '', sort: 'time' });
+  });
+});
+
+describe('flagParam and intParam', () => {
+  const filters = { bundle: flagParam(), height: intParam() };
+
+  it('reads switches and integers', () => {
+    expect(readQuery('?bundle=1&height=1200', filters)).toEqual({ bundle: true, height: 1200 });
+    expect(readQuery('?bundle=yes&height=-5', filters)).toEqual({ bundle: false, height: null });
+  });
+
+  it('writes them and drops the defaults', () => {
+    expect(writeQuery('', filters, { bundle: true, height: 0 })).toBe('?bundle=1&height=0');
+    expect(writeQuery('?bundle=1&height=7', filters, { bundle: false, height: null })).toBe('');
+  });
+});
+
+describe('writeQuery', () => {
+  it('keeps parameters outside the schema', () => {
+    expect(writeQuery('?lang=es', schema, { q: 'abc', sort: 'value' })).toBe('?lang=es&q=abc&sort=value');
+  });
+
+  it('removes parameters set to their default or null', () => {
+    expect(writeQuery('?q=abc&sort=fee', schema, { q: '', sort: null })).toBe('');
+    expect(writeQuery('?sort=fee', schema, { sort: 'time' })).toBe('');
+  });
+
+  it('ignores keys that are not in the schema', () => {
+    expect(writeQuery('', schema, { other: 'x' })).toBe('');
+  });
+
+  it('compares object values by their serialised form', () => {
+    const zoom = {
+      defaultValue: { k: 1 },
+      parse: (raw) => ({ k: Number(raw) }),
+      serialize: ({ k }) => String(k),
+    };
+    expect(writeQuery('?zoom=2', { zoom }, { zoom: { k: 1 } })).toBe('');
+    expect(writeQuery('', { zoom }, { zoom: { k: 3 } })).toBe('?zoom=3');
+  });
+});
@@ -0,0 +1,90 @@
+import React from 'react';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import { http, HttpResponse } from 'msw';
+import { server } from '../../mocks/server';
+import {
+  getRuntimeEndpoints,
+  loadRuntimeConfig,
+  setRuntimeConfig,
+} from '../../../utils/runtimeConfig';
+import { NetworkProvider, getNetworkConfig, useNetwork } from '../../../context/NetworkContext';
+
+const Endpoints = () => {
+  const { apiBaseUrl, wsBaseUrl, getApiUrl } = useNetwork();
+  return (
+    <div>
+      <span data-testid="apiBaseUrl">{apiBaseUrl}</span>
+      <span data-testid="wsBaseUrl">{wsBaseUrl}</span>
+      <span data-testid="getApiUrl">{getApiUrl('/getblockchaininfo')}</span>
+    </div>
+  );
+};
+
+describe('runtime config', () => {
+  afterEach(() => {
+    setRuntimeConfig({});
+    vi.restoreAllMocks();
+  });
+
+  it('has no overrides by default', () => {
+    expect(getRuntimeEndpoints('mainnet')).toEqual({});
+    expect(getNetworkConfig('mainnet').wsBaseUrl).toBe('ws://localhost:5002');
+  });
+
+  it('applies the shared apiBaseUrl and per-network endpoints', () => {
+    setRuntimeConfig({
+      apiBaseUrl: 'https://api.example.org/',
+      testnet: { wsBaseUrl: 'wss://example.org/ws-testnet', apiBaseUrl: 'https://testnet-api.example.org' },
+    });
+
+    expect(getRuntimeEndpoints('mainnet')).toEqual({ apiBaseUrl: 'https://api.example.org' });
+    expect(getRuntimeEndpoints('testnet')).toEqual({
+      apiBaseUrl: 'https://testnet-api.example.org',
+      wsBaseUrl: 'wss://example.org/ws-testnet',
+    });
+  });
+
+  it('ignores unknown keys and non-string values', () => {
+    setRuntimeConfig({ mainnet: { wsBaseUrl: 42, basePath: '/evil' }, apiBaseUrl: '' });
+
+    expect(getRuntimeEndpoints('mainnet')).toEqual({});
+    expect(getNetworkConfig('mainnet').basePath).toBe('');
+  });
+
+  it('routes NetworkProvider endpoints through the override', () => {
+    setRuntimeConfig({ apiBaseUrl: 'https://api.example.org', mainnet: { wsBaseUrl: 'wss://example.org/ws' } });
+
+    render(
+      <NetworkProvider network="mainnet">
+        <Endpoints />
+      </NetworkProvider>
+    );
+
+    expect(screen.getByTestId('apiBaseUrl')).toHaveTextContent('https://api.example.org');
+    expect(screen.getByTestId('wsBaseUrl')).toHaveTextContent('wss://example.org/ws');
+    expect(screen.getByTestId('getApiUrl')).toHaveTextContent('https://api.example.org/api/getblockchaininfo');
+  });
+
+  it('loads /runtime-config.json', async () => {
+    server.use(
+      http.get('*/runtime-config.json', () => HttpResponse.json({ mainnet: { wsBaseUrl: 'wss://example.org/ws' } }))
+    );
+
+    await loadRuntimeConfig();
+
+    expect(getNetworkConfig('mainnet').wsBaseUrl).toBe('wss://example.org/ws');
+  });
+
+  it('keeps build defaults when the file is missing or not JSON', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    server.use(
+      http.get('*/runtime-config.json', () => new HttpResponse('<!doctype html>', {
+        headers: { 'Content-Type': 'text/html' },
+      }))
+    );
+
+    await expect(loadRuntimeConfig()).resolves.toEqual({});
+    expect(getNetworkConfig('mainnet').wsBaseUrl).toBe('ws://localhost:5002');
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  SEARCH_HISTORY_KEY,
+  SEARCH_HISTORY_LIMIT,
+  addressNetwork,
+  classifyQuery,
+  loadSearchHistory,
+  saveSearchHistory,
+} from '../../../utils/search';
+
+const BECH32_MAINNET = 'dgb1qqqqsyqcyq5rqwzqfpg9scrgwpugpzysnzhtfd6';
+const BECH32_TESTNET = 'dgbt1qqqqsyqcyq5rqwzqfpg9scrgwpugpzysnhap3sh';
+const BECH32M_MAINNET = 'dgb1pqqqsyqcyq5rqwzqfpg9scrgwpugpzysnzs23v9ccrydpk8qarc0s470eva';
+const HASH = 'ab'.repeat(32);
+
+describe('addressNetwork', () => {
+  it('verifies bech32 and bech32m checksums', () => {
+    expect(addressNetwork(BECH32_MAINNET)).toBe('mainnet');
+    expect(addressNetwork(BECH32_MAINNET.toUpperCase())).toBe('mainnet');
+    expect(addressNetwork(BECH32M_MAINNET)).toBe('mainnet');
+    expect(addressNetwork(BECH32_TESTNET)).toBe('testnet');
+    expect(addressNetwork(`${BECH32_MAINNET.slice(0, -1)}7`)).toBeNull();
+  });
+
+  it('recognises base58 prefixes per network', () => {
+    expect(addressNetwork('DTnt7VZqR5ofHhAxZuDy4m3PhSjKFXpw3e')).toBe('mainnet');
+    expect(addressNetwork('SQTqPkzBzNMgScNATJgrtbkZbxxkvFSU36')).toBe('mainnet');
+    expect(addressNetwork('sgbBaf5JX6LGSfV9fsBFf4qLGxAwwyuQTr')).toBe('testnet');
+    expect(addressNetwork('D0lO')).toBeNull();
+    expect(addressNetwork('hello')).toBeNull();
+  });
+});
+
+describe('classifyQuery', () => {
+  it('treats digits as a block height', () => {
+    expect(classifyQuery(' 23800000 ')).toEqual([{ kind: 'height', value: 23800000, label: 'Block 23,800,000' }]);
+  });
+
+  it('treats 64 hex characters as a block-or-transaction hash', () => {
+    const [candidate] = classifyQuery(HASH.toUpperCase());
+    expect(candidate.kind).toBe('hash');
+    expect(candidate.value).toBe(HASH);
+  });
+
+  it('tags addresses with their network', () => {
+    expect(classifyQuery(BECH32_TESTNET)).toEqual([
+      { kind: 'address', value: BECH32_TESTNET, network: 'testnet', label: `Address ${BECH32_TESTNET}` },
+    ]);
+  });
+
+  it('matches oracles by id and operator name', () => {
+    expect(classifyQuery('oracle 12')[0]).toEqual({ kind: 'oracle', value: 12, label: 'Oracle 12 — DaPunzy' });
+    expect(classifyQuery('Oracle:3')[0]).toEqual({ kind: 'oracle', value: 3, label: 'Oracle 3' });
+    expect(classifyQuery('oracle 99')).toEqual([]);
+    expect(classifyQuery('dapunzy')[0].value).toBe(12);
+  });
+
+  it('matches pool names exactly before by prefix', () => {
+    const poolNames = ['DigiHash', 'DigiHash EU', 'Other'];
+    expect(classifyQuery('digihash', { poolNames }).map((c) => c.label)).toEqual([
+      'Oracle 28 — DigiHash',
+      'Pool DigiHash',
+      'Pool DigiHash EU',
+    ]);
+    expect(classifyQuery('nothing here', { poolNames })).toEqual([]);
+  });
+});
+
+describe('search history', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('stores newest first per network and de-duplicates targets', () => {
+    saveSearchHistory({ label: 'Block 1', network: 'mainnet', path: '/block/1' });
+    saveSearchHistory({ label: 'Block 1', network: 'testnet', path: '/testnet/block/1' });
+    const history = saveSearchHistory({ label: 'Block 1 again', network: 'mainnet', path: '/block/1' });
+
+    expect(history).toEqual([{ label: 'Block 1 again', network: 'mainnet', path: '/block/1' }]);
+    expect(loadSearchHistory('testnet')).toEqual([{ label: 'Block 1', network: 'testnet', path: '/testnet/block/1' }]);
+  });
+
+  it(`keeps at most ${SEARCH_HISTORY_LIMIT} entries per network`, () => {
+    for (let i = 0; i < SEARCH_HISTORY_LIMIT + 3; i += 1) {
+      saveSearchHistory({ label: `Block ${i}`, network: 'mainnet', path: `/block/${i}` });
+    }
+    const history = loadSearchHistory('mainnet');
+    expect(history).toHaveLength(SEARCH_HISTORY_LIMIT);
+    expect(history[0].label).toBe(`Block ${SEARCH_HISTORY_LIMIT + 2}`);
+  });
+
+  it('ignores corrupt storage', () => {
+    localStorage.setItem(SEARCH_HISTORY_KEY, '{not json');
+    expect(loadSearchHistory('mainnet')).toEqual([]);
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { registerServiceWorker, SERVICE_WORKER_URL } from '../../../utils/serviceWorker';
+
+describe('registerServiceWorker', () => {
+  const originalEnv = process.env.NODE_ENV;
+
+  afterEach(() => {
+    process.env.NODE_ENV = originalEnv;
+    delete navigator.serviceWorker;
+    vi.restoreAllMocks();
+  });
+
+  const mockServiceWorker = () => {
+    const register = vi.fn(() => Promise.resolve({}));
+    Object.defineProperty(navigator, 'serviceWorker', { value: { register }, configurable: true });
+    return register;
+  };
+
+  it('does nothing outside production builds', () => {
+    const register = mockServiceWorker();
+    process.env.NODE_ENV = 'test';
+
+    expect(registerServiceWorker()).toBe(false);
+    window.dispatchEvent(new Event('load'));
+    expect(register).not.toHaveBeenCalled();
+  });
+
+  it('does nothing when the browser has no service workers', () => {
+    process.env.NODE_ENV = 'production';
+
+    expect(registerServiceWorker()).toBe(false);
+  });
+
+  it('registers the worker once the page has loaded', () => {
+    const register = mockServiceWorker();
+    process.env.NODE_ENV = 'production';
+
+    expect(registerServiceWorker()).toBe(true);
+    expect(register).not.toHaveBeenCalled();
+    window.dispatchEvent(new Event('load'));
+    expect(register).toHaveBeenCalledWith(SERVICE_WORKER_URL);
+    expect(SERVICE_WORKER_URL).toMatch(/\/service-worker\.js$/);
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { createTheme } from '@mui/material/styles';
+import { createAppTheme, getChartColors } from '../../../utils/theme';
+
+const MAINNET = { primary: '#002352', secondary: '#0066cc' };
+
+describe('createAppTheme', () => {
+  it('builds a light theme from the network palette', () => {
+    const theme = createAppTheme({ mode: 'light', networkTheme: MAINNET });
+
+    expect(theme.palette.mode).toBe('light');
+    expect(theme.palette.primary.main).toBe('#002352');
+    expect(theme.palette.secondary.main).toBe('#0066cc');
+    expect(theme.palette.background.subtle).toBe('#f2f4f8');
+    expect(theme.palette.chart.stroke).toBe('#ffffff');
+  });
+
+  it('swaps surfaces and chart tokens in dark mode', () => {
+    const theme = createAppTheme({ mode: 'dark', networkTheme: { primary: '#43a047', secondary: '#66bb6a' } });
+
+    expect(theme.palette.mode).toBe('dark');
+    expect(theme.palette.primary.main).toBe('#43a047');
+    expect(theme.palette.background.default).toBe('#0f141c');
+    expect(theme.palette.background.page).toMatch(/linear-gradient/);
+    expect(theme.palette.chart.text).toBe('#d6dde8');
+    expect(theme.palette.text.primary).toBe('#fff');
+  });
+
+  it('treats an unknown mode as light', () => {
+    const theme = createAppTheme({ mode: 'sepia', networkTheme: MAINNET });
+
+    expect(theme.palette.mode).toBe('light');
+    expect(theme.palette.background.default).toBe('#ffffff');
+  });
+});
+
+describe('getChartColors', () => {
+  it('reads the chart tokens of an app theme', () => {
+    const theme = createAppTheme({ mode: 'dark', networkTheme: MAINNET });
+
+    expect(getChartColors(theme)).toBe(theme.palette.chart);
+  });
+
+  it('falls back to light tokens for plain MUI themes', () => {
+    expect(getChartColors(createTheme()).text).toBe('#333333');
+    expect(getChartColors(undefined).grid).toBe('rgba(0, 0, 0, 0.1)');
+  });
+});
@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import {
+  classifyDigiDollar,
+  computeFee,
+  computeFeeRate,
+  decodeDigiDollarMarker,
+  decodeTaprootSpend,
+  describeTxOutput,
+  isRbfSignaled,
+  isTxid,
+} from '../../../utils/txDecode';
+import { buildDigiDollarScript } from '../../utils/testUtils';
+
+const SIG = 'ab'.repeat(64);
+const INTERNAL_KEY = '11'.repeat(32);
+const TAPSCRIPT = `20${'22'.repeat(32)}ac`;
+const controlBlock = (leafVersion = 'c0', depth = 1) => `${leafVersion}${INTERNAL_KEY}${'33'.repeat(32 * depth)}`;
+
+describe('isTxid', () => {
+  it('accepts 64 hex characters only', () => {
+    expect(isTxid('a'.repeat(64))).toBe(true);
+    expect(isTxid('a'.repeat(63))).toBe(false);
+    expect(isTxid('z'.repeat(64))).toBe(false);
+    expect(isTxid(undefined)).toBe(false);
+  });
+});
+
+describe('isRbfSignaled', () => {
+  it('prefers the mempool bip125-replaceable flag', () => {
+    expect(isRbfSignaled({ 'bip125-replaceable': true, vin: [{ sequence: 0xffffffff }] })).toBe(true);
+    expect(isRbfSignaled({ 'bip125-replaceable': false, vin: [{ sequence: 1 }] })).toBe(false);
+  });
+
+  it('falls back to input sequences below 0xfffffffe', () => {
+    expect(isRbfSignaled({ vin: [{ sequence: 0xffffffff }, { sequence: 0xfffffffd }] })).toBe(true);
+    expect(isRbfSignaled({ vin: [{ sequence: 0xfffffffe }] })).toBe(false);
+    expect(isRbfSignaled({ vin: [{ coinbase: '03', sequence: 0 }] })).toBe(false);
+  });
+});
+
+describe('computeFee / computeFeeRate', () => {
+  it('uses the server fee when present', () => {
+    expect(computeFee({ fee: 0.001, vin: [{ txid: 'x', vout: 0 }], vout: [] })).toBe(0.001);
+  });
+
+  it('sums prevouts minus outputs', () => {
+    const tx = {
+      vin: [{ prevout: { value: 10.5 } }, { prevout: { value: 0.2 } }],
+      vout: [{ value: 10 }, { value: 0.69 }],
+    };
+    expect(computeFee(tx)).toBe(0.01);
+  });
+
+  it('returns null when a prevout is missing or for coinbase', () => {
+    expect(computeFee({ vin: [{ prevout: { value: 1 } }, {}], vout: [] })).toBeNull();
+    expect(computeFee({ vin: [{ coinbase: '03' }], vout: [{ value: 277 }] })).toBeNull();
+  });
+
+  it('converts DGB fees to sat/vB', () => {
+    expect(computeFeeRate(0.0000141, 141)).toBeCloseTo(10);
+    expect(computeFeeRate(null, 141)).toBeNull();
+    expect(computeFeeRate(0.1, 0)).toBeNull();
+  });
+});
+
+describe('decodeTaprootSpend', () => {
+  it('recognises a key-path spend', () => {
+    expect(decodeTaprootSpend({ txinwitness: [SIG] })).toEqual({ type: 'key-path' });
+  });
+
+  it('decodes a script-path spend and its control block', () => {
+    const spend = decodeTaprootSpend({ txinwitness: [SIG, TAPSCRIPT, controlBlock('c1', 2)] });
+    expect(spend).toEqual({
+      type: 'script-path',
+      leafVersion: 0xc0,
+      depth: 2,
+      internalKey: INTERNAL_KEY,
+      script: TAPSCRIPT,
+      annex: null,
+    });
+  });
+
+  it('strips an annex before reading the control block', () => {
+    const spend = decodeTaprootSpend({ txinwitness: [SIG, TAPSCRIPT, controlBlock(), '50aa'] });
+    expect(spend.type).toBe('script-path');
+    expect(spend.annex).toBe('50aa');
+    expect(spend.script).toBe(TAPSCRIPT);
+  });
+
+  it('does not mistake segwit v0 witnesses for taproot', () => {
+    expect(decodeTaprootSpend({ txinwitness: [SIG, `02${'44'.repeat(32)}`] })).toBeNull();
+    expect(decodeTaprootSpend({
+      txinwitness: [SIG, TAPSCRIPT, controlBlock()],
+      prevout: { scriptPubKey: { type: 'witness_v0_scripthash' } },
+    })).toBeNull();
+    expect(decodeTaprootSpend({})).toBeNull();
+  });
+});
+
+describe('DigiDollar', () => {
+  it('decodes marker outputs', () => {
+    expect(decodeDigiDollarMarker(buildDigiDollarScript({ type: 1, amountCents: 12345 })))
+      .toEqual({ type: 'mint', amountCents: 12345 });
+    expect(decodeDigiDollarMarker(buildDigiDollarScript({ type: 3, amountCents: 100 })).type).toBe('redeem');
+    expect(decodeDigiDollarMarker(buildDigiDollarScript({ type: 9 }))).toBeNull();
+    expect(decodeDigiDollarMarker('6abb02')).toBeNull();
+  });
+
+  it('classifies a transaction from its marker output', () => {
+    const tx = {
+      vout: [
+        { n: 0, value: 1000, scriptPubKey: { type: 'witness_v1_taproot', hex: `5120${'55'.repeat(32)}` } },
+        { n: 1, value: 0, scriptPubKey: { type: 'nulldata', hex: buildDigiDollarScript({ type: 2, amountCents: 5000 }) } },
+      ],
+    };
+    expect(classifyDigiDollar(tx)).toEqual({ type: 'transfer', amountCents: 5000, amountUsd: 50, vout: 1 });
+    expect(describeTxOutput(tx.vout[1].scriptPubKey)).toBe('OP_DIGIDOLLAR marker');
+    expect(describeTxOutput(tx.vout[0].scriptPubKey)).toBe('witness_v1_taproot');
+  });
+
+  it('prefers the server-decoded digidollar field', () => {
+    expect(classifyDigiDollar({ digidollar: { type: 'redeem', amount_cents: 250 }, vout: [] }))
+      .toEqual({ type: 'redeem', amountCents: 250, amountUsd: 2.5, vout: null });
+  });
+
+  it('returns null for ordinary transactions', () => {
+    expect(classifyDigiDollar({ vout: [{ value: 1, scriptPubKey: { type: 'pubkeyhash', hex: '76a9' } }] })).toBeNull();
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import {
+  calculateTotalValue, filterAndSortIndices, filterAndSortTransactions, handleFilterRequest, txFilterRow,
+} from '../../../utils/txFilter';
+
+const txs = [
+  { txid: 'AAA111', priority: 'high', value: 5, fee: 0.2, vsize: 300, time: 100 },
+  { txid: 'bbb222', priority: 'low', outputs: [{ value: 7 }, { amount: 3 }], fee: 0.1, size: 500, time: 300 },
+  { txid: 'ccc111', priority: 'high', value: 1, vsize: 100, blocktime: 200 },
+];
+
+describe('transaction filter', () => {
+  it('reads the sort fields with the fallbacks the cards use', () => {
+    expect(calculateTotalValue([{ value: 7 }, { amount: 3 }])).toBe(10);
+    expect(calculateTotalValue(null)).toBe(0);
+    expect(txFilterRow(txs[1])).toEqual({ txid: 'bbb222', priority: 'low', value: 10, fee: 0.1, size: 500, time: 300 });
+    expect(txFilterRow(txs[2])).toMatchObject({ fee: 0, size: 100, time: 200 });
+  });
+
+  it('searches txids case-insensitively and filters by priority', () => {
+    expect(filterAndSortTransactions(txs, { search: 'aaa' }).map((tx) => tx.txid)).toEqual(['AAA111']);
+    expect(filterAndSortTransactions(txs, { search: '111', priority: 'high' }).map((tx) => tx.txid)).toEqual(['ccc111', 'AAA111']);
+    expect(filterAndSortTransactions(txs, { priority: 'medium' })).toEqual([]);
+  });
+
+  it('sorts largest or newest first, keeping the original order on ties', () => {
+    const order = (sort) => filterAndSortTransactions(txs, { sort }).map((tx) => tx.txid);
+    expect(order('time')).toEqual(['bbb222', 'ccc111', 'AAA111']);
+    expect(order('value')).toEqual(['bbb222', 'AAA111', 'ccc111']);
+    expect(order('fee')).toEqual(['AAA111', 'bbb222', 'ccc111']);
+    expect(order('size')).toEqual(['bbb222', 'AAA111', 'ccc111']);
+    expect(filterAndSortIndices([{ txid: 'a', time: 1 }, { txid: 'b', time: 1 }])).toEqual([0, 1]);
+  });
+
+  it('answers worker requests with indices under the request id', () => {
+    const rows = txs.map(txFilterRow);
+    expect(handleFilterRequest({ id: 7, rows, options: { sort: 'fee' } })).toEqual({ id: 7, indices: [0, 1, 2] });
+  });
+});
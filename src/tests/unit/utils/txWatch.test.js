@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  TX_WATCH_LIMIT, TX_WATCHLIST_KEY,
+  applyWatchMessage, createWatch, newlyCompleted, settleWatch, watchDurations, loadWatches, saveWatches,
+} from '../../../utils/txWatch';
+
+const NOW = 1700000000000;
+
+const apply = (state, ...messages) => messages.reduce(
+  (current, [message, now = NOW]) => applyWatchMessage(current, message, now),
+  state,
+);
+
+describe('transaction watchlist', () => {
+  describe('createWatch', () => {
+    it('starts pending for a bare txid', () => {
+      const watch = createWatch('mainnet', { txid: 'aa' }, { now: NOW });
+      expect(watch).toMatchObject({ txid: 'aa', network: 'mainnet', status: 'pending', target: 6, addedAt: NOW });
+    });
+
+    it('starts in the mempool with its entry time and inputs', () => {
+      const watch = createWatch('mainnet', {
+        txid: 'aa', fee: 0.0001, time: NOW / 1000 - 30, inputs: [{ txid: 'prev', vout: 1 }],
+      }, { now: NOW });
+      expect(watch).toMatchObject({ status: 'mempool', firstSeen: NOW - 30000, inputs: ['prev:1'] });
+    });
+
+    it('starts confirming for a confirmed transaction', () => {
+      const watch = createWatch('mainnet', { txid: 'aa', blockHeight: 100, confirmations: 1 }, { target: 3, tipHeight: 101, now: NOW });
+      expect(watch).toMatchObject({ status: 'confirming', blockHeight: 100, confirmations: 2 });
+    });
+  });
+
+  describe('applyWatchMessage', () => {
+    it('follows a transaction from the mempool to its target', () => {
+      const start = { watches: [createWatch('mainnet', { txid: 'aa' }, { target: 3, now: NOW })], tipHeight: null };
+      const state = apply(
+        start,
+        [{ type: 'newBlock', data: { height: 99 } }],
+        [{ type: 'newTransaction', data: { txid: 'aa', fee: 0.0001 } }, NOW + 1000],
+        [{ type: 'transactionConfirmed', data: { blockHeight: 100, blockHash: 'h100', transactions: [{ txid: 'aa' }] } }, NOW + 16000],
+        [{ type: 'newBlock', data: { height: 101 } }, NOW + 31000],
+      );
+      expect(state.watches[0]).toMatchObject({
+        status: 'confirming', firstSeen: NOW + 1000, blockHeight: 100, blockHash: 'h100', confirmations: 2,
+      });
+
+      const done = apply(state, [{ type: 'newBlock', data: { height: 102 } }, NOW + 46000]);
+      expect(done.watches[0]).toMatchObject({ status: 'complete', confirmations: 3, completedAt: NOW + 46000 });
+      expect(watchDurations(done.watches[0])).toEqual({ toBlock: 15000, toTarget: 45000 });
+      expect(newlyCompleted(state.watches, done.watches)).toHaveLength(1);
+      expect(newlyCompleted(done.watches, done.watches)).toHaveLength(0);
+    });
+
+    it('returns the same state for unrelated messages', () => {
+      const state = { watches: [createWatch('mainnet', { txid: 'aa' }, { now: NOW })], tipHeight: 5 };
+      expect(applyWatchMessage(state, { type: 'newTransaction', data: { txid: 'bb' } }, NOW)).toBe(state);
+      expect(applyWatchMessage(state, { type: 'newBlock', data: { height: 5 } }, NOW)).toBe(state);
+      expect(applyWatchMessage(state, { type: 'forkAlert', data: {} }, NOW)).toBe(state);
+    });
+
+    it('marks a watch replaced when a new transaction spends its inputs', () => {
+      const watch = createWatch('mainnet', { txid: 'aa', fee: 0.0001, inputs: [{ txid: 'prev', vout: 0 }] }, { now: NOW });
+      const state = apply({ watches: [watch], tipHeight: 10 }, [{
+        type: 'newTransaction', data: { txid: 'bb', inputs: [{ txid: 'prev', vout: 0 }] },
+      }]);
+      expect(state.watches[0]).toMatchObject({ status: 'replaced', replacedBy: 'bb', leftAt: NOW });
+    });
+
+    it('reads the removal reason', () => {
+      const watches = ['aa', 'bb', 'cc'].map((txid) => createWatch('mainnet', { txid, fee: 0.0001 }, { now: NOW }));
+      const state = apply(
+        { watches, tipHeight: 10 },
+        [{ type: 'removedTransaction', data: { txid: 'aa', reason: 'expiry' } }],
+        [{ type: 'removedTransaction', data: { txid: 'bb', reason: 'conflict' } }],
+        [{ type: 'removedTransaction', data: { txid: 'cc' } }],
+      );
+      expect(state.watches.map((watch) => watch.status)).toEqual(['evicted', 'replaced', 'left']);
+    });
+
+    it('counts a transaction that left without a block as evicted after two blocks', () => {
+      const watch = createWatch('mainnet', { txid: 'aa', fee: 0.0001 }, { now: NOW });
+      const left = apply({ watches: [watch], tipHeight: 10 }, [{ type: 'removedTransaction', data: { txid: 'aa' } }]);
+      expect(apply(left, [{ type: 'newBlock', data: { height: 11 } }]).watches[0].status).toBe('left');
+      expect(apply(left, [{ type: 'newBlock', data: { height: 12 } }]).watches[0].status).toBe('evicted');
+
+      const confirmed = apply(left, [{ type: 'transactionConfirmed', data: { blockHeight: 11, transactions: [{ txid: 'aa' }] } }]);
+      expect(confirmed.watches[0]).toMatchObject({ status: 'confirming', blockHeight: 11 });
+    });
+  });
+
+  it('settles a raised target back to confirming', () => {
+    const watch = settleWatch(createWatch('mainnet', { txid: 'aa', blockHeight: 100 }, { target: 1, tipHeight: 100, now: NOW }), 100);
+    expect(watch.status).toBe('complete');
+    expect(settleWatch({ ...watch, target: 6 }, 100)).toMatchObject({ status: 'confirming', completedAt: null });
+  });
+
+  describe('storage', () => {
+    beforeEach(() => localStorage.clear());
+
+    it('keeps each network apart and caps the list', () => {
+      const watches = Array.from({ length: TX_WATCH_LIMIT + 5 }, (_, i) => createWatch('mainnet', { txid: `m${i}` }, { now: NOW }));
+      expect(saveWatches('mainnet', watches)).toHaveLength(TX_WATCH_LIMIT);
+      saveWatches('testnet', [createWatch('testnet', { txid: 't0' }, { now: NOW })]);
+
+      expect(loadWatches('mainnet').map((watch) => watch.txid)).toEqual(watches.slice(0, TX_WATCH_LIMIT).map((watch) => watch.txid));
+      expect(loadWatches('testnet')).toHaveLength(1);
+    });
+
+    it('ignores unreadable storage', () => {
+      localStorage.setItem(TX_WATCHLIST_KEY, '{oops');
+      expect(loadWatches('mainnet')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,333 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  createWsClient,
+  foldNewBlock,
+  getReconnectDelay,
+  HEARTBEAT_INTERVAL,
+  STALE_TIMEOUT,
+  ALL_MESSAGES as ALL,
+} from '../../../utils/wsClient';
+import { createWebSocketMock, waitForAsync } from '../../utils/testUtils';
+
+describe('createWsClient (shared WebSocket)', () => {
+  let wsSetup;
+  let webSocketInstances;
+  let client;
+
+  beforeEach(() => {
+    wsSetup = createWebSocketMock();
+    webSocketInstances = wsSetup.instances;
+    global.WebSocket = wsSetup.MockWebSocket;
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    client = createWsClient('ws://localhost:5002');
+  });
+
+  afterEach(() => {
+    client.close();
+    wsSetup.clearInstances();
+    vi.restoreAllMocks();
+  });
+
+  it('does not connect until the first subscription', () => {
+    expect(webSocketInstances.length).toBe(0);
+    expect(client.getStatus()).toBe('idle');
+  });
+
+  it('multiplexes every subscriber over one socket', async () => {
+    const onBlock = vi.fn();
+    const onTips = vi.fn();
+    client.subscribe('newBlock', onBlock);
+    client.subscribe(['chainTips', 'newBlock'], onTips);
+    await waitForAsync();
+
+    expect(webSocketInstances.length).toBe(1);
+    expect(client.getStatus()).toBe('open');
+
+    webSocketInstances[0].receiveMessage({ type: 'newBlock', data: { height: 1, hash: 'a' } });
+    webSocketInstances[0].receiveMessage({ type: 'chainTips', data: { tips: [] } });
+
+    expect(onBlock).toHaveBeenCalledTimes(1);
+    expect(onTips).toHaveBeenCalledTimes(2);
+    expect(onTips).toHaveBeenLastCalledWith({ type: 'chainTips', data: { tips: [] } });
+  });
+
+  it('replays the cached snapshot to a late subscriber', async () => {
+    client.subscribe('initialData', () => {});
+    await waitForAsync();
+    webSocketInstances[0].receiveMessage({ type: 'initialData', data: { blockchainInfo: { blocks: 42 } } });
+
+    const late = vi.fn();
+    client.subscribe('initialData', late);
+
+    expect(late).toHaveBeenCalledWith({ type: 'initialData', data: { blockchainInfo: { blocks: 42 } } });
+  });
+
+  it('never replays event messages, but folds newBlock into recentBlocks', async () => {
+    client.subscribe(['recentBlocks', 'newBlock'], () => {});
+    await waitForAsync();
+    const ws = webSocketInstances[0];
+    ws.receiveMessage({ type: 'recentBlocks', data: [{ height: 10, hash: 'b10' }, { height: 9, hash: 'b9' }] });
+    ws.receiveMessage({ type: 'newBlock', data: { height: 11, hash: 'b11' } });
+
+    const late = vi.fn();
+    client.subscribe(['recentBlocks', 'newBlock'], late);
+
+    expect(late).toHaveBeenCalledTimes(1);
+    expect(late.mock.calls[0][0].type).toBe('recentBlocks');
+    expect(late.mock.calls[0][0].data.map((b) => b.height)).toEqual([11, 10]);
+  });
+
+  it('stops delivering after unsubscribe', async () => {
+    const handler = vi.fn();
+    const unsubscribe = client.subscribe('forkAlert', handler);
+    await waitForAsync();
+    unsubscribe();
+
+    webSocketInstances[0].receiveMessage({ type: 'forkAlert', data: { level: 'critical' } });
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('isolates a throwing handler from its siblings', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const sibling = vi.fn();
+    client.subscribe('oracleData', () => { throw new Error('boom'); });
+    client.subscribe('oracleData', sibling);
+    await waitForAsync();
+
+    webSocketInstances[0].receiveMessage({ type: 'oracleData', data: {} });
+    expect(sibling).toHaveBeenCalledTimes(1);
+  });
+
+  it('queues sends until the socket opens', async () => {
+    client.send({ type: 'subscribeRoadmap' });
+    expect(webSocketInstances.length).toBe(1);
+    expect(webSocketInstances[0].getSentMessages()).toEqual([]);
+
+    await waitForAsync();
+    expect(webSocketInstances[0].getSentMessages()).toEqual([JSON.stringify({ type: 'subscribeRoadmap' })]);
+  });
+
+  it('reconnects after an abnormal close', async () => {
+    vi.useFakeTimers();
+    try {
+      client.subscribe('newBlock', () => {});
+      vi.advanceTimersByTime(0);
+      webSocketInstances[0].onclose({ type: 'close', code: 1006 });
+      expect(client.getStatus()).toBe('closed');
+
+      expect(client.isReconnecting()).toBe(true);
+
+      vi.advanceTimersByTime(1300);
+      expect(webSocketInstances.length).toBe(2);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('retries when the WebSocket constructor throws', () => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const Working = global.WebSocket;
+    global.WebSocket = function BrokenWebSocket() { throw new Error('blocked'); };
+    try {
+      client.subscribe('newBlock', () => {});
+      expect(client.getStatus()).toBe('closed');
+      expect(client.isReconnecting()).toBe(true);
+
+      global.WebSocket = Working;
+      vi.advanceTimersByTime(1300);
+      expect(webSocketInstances.length).toBe(1);
+    } finally {
+      global.WebSocket = Working;
+      vi.useRealTimers();
+    }
+  });
+
+  it('waits for the browser to come back online before retrying', () => {
+    vi.useFakeTimers();
+    const onLine = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    try {
+      client.subscribe('newBlock', () => {});
+      vi.advanceTimersByTime(0);
+      webSocketInstances[0].onclose({ type: 'close', code: 1006 });
+
+      vi.advanceTimersByTime(60000);
+      expect(webSocketInstances.length).toBe(1);
+      expect(client.isReconnecting()).toBe(false);
+
+      onLine.mockReturnValue(true);
+      window.dispatchEvent(new Event('online'));
+      expect(webSocketInstances.length).toBe(2);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('sends heartbeat pings and swallows pongs', () => {
+    vi.useFakeTimers();
+    try {
+      const handler = vi.fn();
+      client.subscribe(ALL, handler);
+      vi.advanceTimersByTime(0);
+      const ws = webSocketInstances[0];
+
+      vi.advanceTimersByTime(HEARTBEAT_INTERVAL);
+      expect(ws.getSentMessages()).toEqual([JSON.stringify({ type: 'ping' })]);
+
+      ws.receiveMessage({ type: 'pong' });
+      expect(handler).not.toHaveBeenCalled();
+      expect(client.getLastMessageAt()).toBe(Date.now());
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('replaces a connection that goes silent after answering pings', () => {
+    vi.useFakeTimers();
+    try {
+      client.subscribe('newBlock', () => {});
+      vi.advanceTimersByTime(0);
+      const ws = webSocketInstances[0];
+      ws.receiveMessage({ type: 'pong' });
+
+      // Staleness is checked on the first heartbeat tick past STALE_TIMEOUT.
+      const ticks = Math.floor(STALE_TIMEOUT / HEARTBEAT_INTERVAL) + 1;
+      vi.advanceTimersByTime(HEARTBEAT_INTERVAL * ticks);
+      expect(ws.close).toHaveBeenCalled();
+      expect(client.getStatus()).toBe('closed');
+      expect(client.isReconnecting()).toBe(true);
+
+      vi.advanceTimersByTime(1300);
+      expect(webSocketInstances.length).toBe(2);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('keeps a quiet connection when the server never answers pings', () => {
+    vi.useFakeTimers();
+    try {
+      client.subscribe('newBlock', () => {});
+      vi.advanceTimersByTime(0);
+
+      vi.advanceTimersByTime(STALE_TIMEOUT * 3);
+      expect(webSocketInstances[0].close).not.toHaveBeenCalled();
+      expect(client.getStatus()).toBe('open');
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('closes the socket and does not reconnect once disposed', async () => {
+    client.subscribe('newBlock', () => {});
+    await waitForAsync();
+    const ws = webSocketInstances[0];
+
+    client.close();
+    expect(ws.close).toHaveBeenCalled();
+    expect(webSocketInstances.length).toBe(1);
+  });
+});
+
+describe('createWsClient offline snapshots', () => {
+  let wsSetup;
+  let webSocketInstances;
+  let client;
+
+  const createMemoryStore = (entries = []) => ({
+    load: vi.fn(() => Promise.resolve(entries)),
+    save: vi.fn(() => Promise.resolve()),
+  });
+
+  beforeEach(() => {
+    wsSetup = createWebSocketMock();
+    webSocketInstances = wsSetup.instances;
+    global.WebSocket = wsSetup.MockWebSocket;
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    client.close();
+    wsSetup.clearInstances();
+    vi.restoreAllMocks();
+  });
+
+  it('restores stored snapshots and reports their age', async () => {
+    const stored = { type: 'initialData', data: { blockchainInfo: { blocks: 7 } } };
+    client = createWsClient('ws://localhost:5002', {
+      snapshotStore: createMemoryStore([{ type: 'initialData', message: stored, savedAt: 1234 }]),
+    });
+    const handler = vi.fn();
+    client.subscribe('initialData', handler);
+    await waitForAsync();
+
+    expect(handler).toHaveBeenCalledWith(stored);
+    expect(client.getLastMessage('initialData')).toEqual(stored);
+    expect(client.getRestoredAt()).toBe(1234);
+
+    webSocketInstances[0].receiveMessage({ type: 'initialData', data: { blockchainInfo: { blocks: 8 } } });
+    expect(client.getRestoredAt()).toBeNull();
+  });
+
+  it('never restores over data the server already sent', async () => {
+    let resolveLoad;
+    const store = createMemoryStore();
+    store.load.mockReturnValue(new Promise((resolve) => { resolveLoad = resolve; }));
+    client = createWsClient('ws://localhost:5002', { snapshotStore: store });
+    const handler = vi.fn();
+    client.subscribe('chainTips', handler);
+    await waitForAsync();
+    webSocketInstances[0].receiveMessage({ type: 'chainTips', data: { tips: ['live'] } });
+
+    resolveLoad([{ type: 'chainTips', message: { type: 'chainTips', data: { tips: ['old'] } }, savedAt: 1 }]);
+    await waitForAsync();
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(client.getLastMessage('chainTips').data.tips).toEqual(['live']);
+    expect(client.getRestoredAt()).toBeNull();
+  });
+
+  it('saves snapshots, including recentBlocks with folded new blocks', async () => {
+    const store = createMemoryStore();
+    client = createWsClient('ws://localhost:5002', { snapshotStore: store });
+    client.subscribe(['recentBlocks', 'newBlock'], () => {});
+    await waitForAsync();
+    const ws = webSocketInstances[0];
+    ws.receiveMessage({ type: 'recentBlocks', data: [{ height: 10, hash: 'b10' }] });
+    ws.receiveMessage({ type: 'newBlock', data: { height: 11, hash: 'b11' } });
+    ws.receiveMessage({ type: 'newTransaction', data: { txid: 'x' } });
+
+    expect(store.save).toHaveBeenCalledTimes(2);
+    expect(store.save.mock.calls[1][0].data.map((b) => b.height)).toEqual([11]);
+  });
+});
+
+describe('getReconnectDelay', () => {
+  it('doubles from 1s and caps at 30s before jitter', () => {
+    const noJitter = () => 0;
+    expect([0, 1, 2, 3, 4, 5, 10].map((n) => getReconnectDelay(n, noJitter)))
+      .toEqual([1000, 2000, 4000, 8000, 16000, 30000, 30000]);
+  });
+
+  it('stretches each delay by at most 30%', () => {
+    expect(getReconnectDelay(0, () => 0.999)).toBe(1300);
+    expect(getReconnectDelay(10, () => 0.5)).toBe(34500);
+  });
+});
+
+describe('foldNewBlock', () => {
+  const snapshot = { type: 'recentBlocks', data: [{ height: 2, hash: 'h2' }, { height: 1, hash: 'h1' }] };
+
+  it('prepends the block and keeps the list length', () => {
+    const folded = foldNewBlock(snapshot, { height: 3, hash: 'h3' });
+    expect(folded.data.map((b) => b.hash)).toEqual(['h3', 'h2']);
+  });
+
+  it('ignores a block the snapshot already holds', () => {
+    expect(foldNewBlock(snapshot, { height: 2, hash: 'h2' })).toBe(snapshot);
+  });
+
+  it('is a no-op without a snapshot', () => {
+    expect(foldNewBlock(undefined, { height: 3 })).toBeUndefined();
+  });
+});
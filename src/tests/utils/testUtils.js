@@ -104,8 +104,10 @@ export class MockWebSocket {
       }
     });
 
-    // Simulate connection opening asynchronously wrapped in act
+    // Simulate connection opening asynchronously wrapped in act; a socket
+    // closed before then stays closed
     setTimeout(() => {
+      if (this.readyState === WebSocket.CLOSED) return;
       this.readyState = WebSocket.OPEN;
       if (this.onopen) {
         act(() => {
@@ -142,6 +144,17 @@ export class MockWebSocket {
       });
     }
   }
+
+  // Helper method to simulate the server dropping the connection (1006 by
+  // default) - wrapped in act so React 18 flushes the resulting state updates
+  triggerClose(code = 1006, reason = '') {
+    this.readyState = WebSocket.CLOSED;
+    if (this.onclose) {
+      act(() => {
+        this.onclose({ type: 'close', code, reason });
+      });
+    }
+  }
 }
 
 // Create WebSocket mock
@@ -290,6 +303,40 @@ export const generateMockBlock = (overrides = {}) => ({
   ...overrides
 });
 
+const le64 = (n) => {
+  const out = [];
+  let v = n;
+  for (let i = 0; i < 8; i += 1) {
+    out.push(v % 256);
+    v = Math.floor(v / 256);
+  }
+  return out;
+};
+
+const toHex = (arr) => arr.map((b) => b.toString(16).padStart(2, '0')).join('');
+
+// Build an `OP_RETURN OP_ORACLE <push>` v0x03 DigiDollar bundle scriptPubKey
+// hex (the coinbase output decoded by utils/blockDecode.js).
+export const buildOracleScript = ({
+  version = 3,
+  contextVersion = 2,
+  signerIds = [],
+  priceMicroUsd = 0,
+  timestamp = 0,
+} = {}) => {
+  const bitmap = [0, 0, 0, 0, 0];
+  signerIds.forEach((id) => { bitmap[Math.floor(id / 8)] |= 1 << (id % 8); });
+  const bytes = [version, contextVersion, ...bitmap, ...le64(priceMicroUsd), ...le64(timestamp), ...new Array(64).fill(0xab)];
+  return `6abf4c${toHex([bytes.length])}${toHex(bytes)}`;
+};
+
+// Build an `OP_RETURN OP_DIGIDOLLAR <push>` marker scriptPubKey hex
+// (decoded by utils/txDecode.js); type 1 mint, 2 transfer, 3 redeem.
+export const buildDigiDollarScript = ({ type = 1, amountCents = 0 } = {}) => {
+  const bytes = [type, ...le64(amountCents)];
+  return `6abb${toHex([bytes.length])}${toHex(bytes)}`;
+};
+
 export const generateMockMiner = (overrides = {}) => ({
   name: 'Test Pool',
   address: 'DTestAddress123456789',
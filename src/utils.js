@@ -1,13 +1,6 @@
 // utils.js
 import { useState, useLayoutEffect } from 'react';
-export const formatNumber = (num) => {
-    return num.toString().replace(/(\d)(?=(\d{3})+(?!\d))/g, '$1,');
-  };
-  
-  export const numberWithCommas = (x) => {
-    return x.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",");
-  };
-  
+// Number/date formatting lives in utils/format.js (locale-aware, via useLocale).
   export const useWidth = () => {
     const [width, setWidth] = useState(window.innerWidth);
   
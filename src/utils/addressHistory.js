@@ -0,0 +1,54 @@
+/**
+ * Helpers for the addressindex RPC payloads behind the Address page
+ * (`getaddressbalance`, `getaddressutxos`, `getaddressdeltas`). The node
+ * reports every amount in satoshis.
+ */
+
+export const SATS_PER_DGB = 1e8;
+
+/** Satoshis → DGB, or null when the value is missing. */
+export const satsToDgb = (sats) => (Number.isFinite(sats) ? sats / SATS_PER_DGB : null);
+
+/**
+ * Balance summary from `getaddressbalance` ({ balance, received }).
+ *
+ * @param {{ balance?: number, received?: number }|null} data
+ * @returns {{ balance: number|null, received: number|null, sent: number|null }} amounts in DGB
+ */
+export function summarizeBalance(data) {
+  const balance = Number.isFinite(data?.balance) ? data.balance : null;
+  const received = Number.isFinite(data?.received) ? data.received : null;
+  return {
+    balance: satsToDgb(balance),
+    received: satsToDgb(received),
+    sent: balance != null && received != null ? satsToDgb(received - balance) : null,
+  };
+}
+
+/**
+ * Collapse `getaddressdeltas` entries into one row per transaction, newest
+ * first. A transaction that both spends from and pays back to the address
+ * nets out; its direction follows the sign of the net amount.
+ *
+ * @param {Array<{ txid: string, satoshis: number, height?: number, index?: number }>} deltas
+ * @returns {Array<{ txid: string, height: number|null, amount: number, direction: 'received'|'sent' }>}
+ *   amount in DGB, always positive
+ */
+export function groupAddressDeltas(deltas) {
+  if (!Array.isArray(deltas)) return [];
+  const byTxid = new Map();
+  deltas.forEach((delta) => {
+    if (!delta?.txid) return;
+    const row = byTxid.get(delta.txid) || { txid: delta.txid, height: delta.height ?? null, net: 0 };
+    row.net += delta.satoshis || 0;
+    byTxid.set(delta.txid, row);
+  });
+  return Array.from(byTxid.values())
+    .sort((a, b) => (b.height ?? Infinity) - (a.height ?? Infinity) || 0)
+    .map(({ txid, height, net }) => ({
+      txid,
+      height,
+      amount: satsToDgb(Math.abs(net)),
+      direction: net >= 0 ? 'received' : 'sent',
+    }));
+}
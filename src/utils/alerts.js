@@ -0,0 +1,250 @@
+/**
+ * Alert rules — user-defined conditions on the live feed, evaluated by
+ * `AlertsProvider` (src/context/AlertsContext.js) and shown in the Header
+ * AlertCenter.
+ *
+ * A rule is `{ id, network, metric, operator, threshold, enabled }`. Each
+ * metric reads one value out of the latest WebSocket messages:
+ *
+ *   forkLevel   `forkAlert.level` ('none' < 'elevated' < 'critical')
+ *   oracleStale `oracleData.price.is_stale`
+ *   ddHealth    `ddStatsData.stats.health_percentage`
+ *   blockGap    minutes since the last `newBlock`
+ *   orphans24h  `chainTips.orphans24h`
+ *
+ * A value that has not arrived yet never matches, so a fresh page does not
+ * fire "DD health < 150" before any DD stats are known. Rules and the fired
+ * history are kept per network in localStorage.
+ */
+
+export const ALERT_RULES_KEY = 'dgbstats.alertRules';
+export const ALERT_HISTORY_KEY = 'dgbstats.alertHistory';
+export const ALERT_HISTORY_LIMIT = 50;
+
+/** Fork-alert levels in increasing severity. */
+export const FORK_LEVELS = ['none', 'elevated', 'critical'];
+
+/**
+ * Metric definitions. `kind` decides how the threshold is entered and
+ * compared: a fork level, a yes/no flag, or a number.
+ */
+export const ALERT_METRICS = {
+  forkLevel: { kind: 'level', operators: ['>='], defaultThreshold: 'elevated' },
+  oracleStale: { kind: 'flag', operators: ['is'], defaultThreshold: true },
+  ddHealth: { kind: 'number', operators: ['<', '<=', '>', '>='], defaultThreshold: 150, unit: '%' },
+  blockGap: { kind: 'number', operators: ['>='], defaultThreshold: 5, unit: ' min' },
+  orphans24h: { kind: 'number', operators: ['>', '>='], defaultThreshold: 3 },
+};
+
+/** WebSocket message types the rules are evaluated against. */
+export const ALERT_MESSAGE_TYPES = ['forkAlert', 'oracleData', 'ddStatsData', 'newBlock', 'chainTips'];
+
+/** Display symbols for the comparison operators. */
+export const OPERATOR_SYMBOLS = { '<': '<', '<=': '≤', '>': '>', '>=': '≥', is: '' };
+
+const finiteOrNull = (value) => {
+  const numeric = Number(value);
+  return value !== null && value !== undefined && Number.isFinite(numeric) ? numeric : null;
+};
+
+/**
+ * Fold one WebSocket message into the readings the rules look at.
+ *
+ * @param {Object} readings - Current readings
+ * @param {{ type: string, data: any }} message - Parsed WebSocket message
+ * @param {number} now - Epoch ms the message arrived
+ * @returns {Object} - Updated readings (the same object when nothing changed)
+ */
+export function applyAlertMessage(readings, message, now) {
+  const data = message && message.data;
+  if (!data && message?.type !== 'newBlock') return readings;
+
+  switch (message.type) {
+    case 'forkAlert':
+      return FORK_LEVELS.includes(data.level) ? { ...readings, forkLevel: data.level } : readings;
+    case 'oracleData':
+      return data.price ? { ...readings, oracleStale: Boolean(data.price.is_stale) } : readings;
+    case 'ddStatsData': {
+      // 0 is what the backend sends before DD has any supply; treat it as unknown.
+      const health = finiteOrNull(data.stats?.health_percentage);
+      return { ...readings, ddHealth: health > 0 ? health : null };
+    }
+    case 'newBlock':
+      return { ...readings, lastBlockAt: now };
+    case 'chainTips': {
+      const orphans = finiteOrNull(data.orphans24h ?? (Array.isArray(data.orphans) ? data.orphans.length : null));
+      return orphans === null ? readings : { ...readings, orphans24h: orphans };
+    }
+    default:
+      return readings;
+  }
+}
+
+/**
+ * Current value of a rule's metric, or null while it is unknown.
+ *
+ * @param {string} metric - Key of ALERT_METRICS
+ * @param {Object} readings
+ * @param {number} now - Epoch ms
+ * @returns {string|boolean|number|null}
+ */
+export function metricValue(metric, readings, now) {
+  switch (metric) {
+    case 'forkLevel':
+      return readings.forkLevel ?? null;
+    case 'oracleStale':
+      return typeof readings.oracleStale === 'boolean' ? readings.oracleStale : null;
+    case 'ddHealth':
+      return readings.ddHealth ?? null;
+    case 'blockGap':
+      return Number.isFinite(readings.lastBlockAt) ? Math.floor((now - readings.lastBlockAt) / 60000) : null;
+    case 'orphans24h':
+      return readings.orphans24h ?? null;
+    default:
+      return null;
+  }
+}
+
+const compare = (value, operator, threshold) => {
+  switch (operator) {
+    case '<': return value < threshold;
+    case '<=': return value <= threshold;
+    case '>': return value > threshold;
+    case '>=': return value >= threshold;
+    default: return false;
+  }
+};
+
+/**
+ * Whether a rule's condition currently holds.
+ *
+ * @param {{ metric: string, operator: string, threshold: any }} rule
+ * @param {Object} readings
+ * @param {number} now - Epoch ms
+ * @returns {boolean}
+ */
+export function evaluateRule(rule, readings, now) {
+  const definition = ALERT_METRICS[rule.metric];
+  const value = metricValue(rule.metric, readings, now);
+  if (!definition || value === null) return false;
+
+  switch (definition.kind) {
+    case 'level':
+      return compare(FORK_LEVELS.indexOf(value), rule.operator, FORK_LEVELS.indexOf(rule.threshold));
+    case 'flag':
+      return value === Boolean(rule.threshold);
+    default: {
+      const threshold = finiteOrNull(rule.threshold);
+      return threshold !== null && compare(value, rule.operator, threshold);
+    }
+  }
+}
+
+/**
+ * A new rule for `metric` with the metric's default operator and threshold.
+ *
+ * @param {string} network
+ * @param {string} metric - Key of ALERT_METRICS
+ * @param {Object} [overrides] - operator / threshold
+ * @returns {Object}
+ */
+export function createAlertRule(network, metric, overrides = {}) {
+  const definition = ALERT_METRICS[metric];
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    network,
+    metric,
+    operator: definition.operators[0],
+    threshold: definition.defaultThreshold,
+    enabled: true,
+    ...overrides,
+  };
+}
+
+/**
+ * Human-readable form of a rule and of a metric value, in the active locale.
+ *
+ * @param {Function} t - Translator from useLocale()
+ * @returns {{ rule: (rule: Object) => string, value: (metric: string, value: any) => string }}
+ */
+export const describeAlert = (t) => ({
+  rule: (rule) => {
+    const definition = ALERT_METRICS[rule.metric];
+    const label = t(`alerts.metrics.${rule.metric}`);
+    if (definition.kind === 'flag') return label;
+    const threshold = definition.kind === 'level'
+      ? t(`alerts.levels.${rule.threshold}`)
+      : `${rule.threshold}${definition.unit || ''}`;
+    return `${label} ${OPERATOR_SYMBOLS[rule.operator]} ${threshold}`;
+  },
+  value: (metric, value) => {
+    const definition = ALERT_METRICS[metric];
+    if (definition.kind === 'level') return t(`alerts.levels.${value}`);
+    if (definition.kind === 'flag') return t(value ? 'alerts.yes' : 'alerts.no');
+    return `${value}${definition.unit || ''}`;
+  },
+});
+
+const readStored = (key) => {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(key));
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const writeStored = (key, network, entries) => {
+  const others = readStored(key).filter((entry) => entry && entry.network !== network);
+  try {
+    window.localStorage.setItem(key, JSON.stringify([...others, ...entries]));
+  } catch (error) {
+    // Unsaved alerts still run for this visit.
+  }
+};
+
+/**
+ * The saved rules of one network.
+ *
+ * @param {string} network
+ * @returns {Array<Object>}
+ */
+export function loadAlertRules(network) {
+  return readStored(ALERT_RULES_KEY).filter((rule) => (
+    rule && rule.network === network && ALERT_METRICS[rule.metric]
+  ));
+}
+
+/**
+ * Replace the saved rules of one network.
+ *
+ * @param {string} network
+ * @param {Array<Object>} rules
+ */
+export function saveAlertRules(network, rules) {
+  writeStored(ALERT_RULES_KEY, network, rules.map((rule) => ({ ...rule, network })));
+}
+
+/**
+ * Fired alerts of one network, newest first.
+ *
+ * @param {string} network
+ * @returns {Array<{ id: string, ruleId: string, network: string, title: string, detail: string, at: number, read: boolean }>}
+ */
+export function loadAlertHistory(network) {
+  return readStored(ALERT_HISTORY_KEY).filter((entry) => entry && entry.network === network);
+}
+
+/**
+ * Replace the fired-alert history of one network, keeping the newest
+ * ALERT_HISTORY_LIMIT entries.
+ *
+ * @param {string} network
+ * @param {Array<Object>} entries - Newest first
+ * @returns {Array<Object>} - The entries kept
+ */
+export function saveAlertHistory(network, entries) {
+  const kept = entries.slice(0, ALERT_HISTORY_LIMIT);
+  writeStored(ALERT_HISTORY_KEY, network, kept);
+  return kept;
+}
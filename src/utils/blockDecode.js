@@ -0,0 +1,226 @@
+/**
+ * Decoding helpers for the block detail page (/block/:hashOrHeight).
+ *
+ * DigiByte block versions pack three things into one int32:
+ *
+ *   bits 29-31  `001` top bits — BIP9 versionbits in use (0x20000000)
+ *   bits  8-11  mining algorithm (Core's BLOCK_VERSION_ALGO mask, 0x0F00)
+ *   bit   1     BLOCK_VERSION_DEFAULT (2), set on every modern block
+ *   others      BIP9 deployment signals, or BIP320 version rolling
+ *
+ * ASIC SHA256D miners roll bits 13-28 (BIP320, mask 0x1FFFE000) as extra
+ * nonce space, so a bit in that range is only a real signal when the server
+ * has not flagged the block as `versionRolled`.
+ */
+
+export const BIP9_TOP_BITS = 0x20000000;
+const BIP9_TOP_MASK = 0xe0000000;
+const ALGO_MASK = 0x0f00;
+const DEFAULT_VERSION_BIT = 1;
+const VERSION_ROLLING_MASK = 0x1fffe000;
+
+/** Algorithm encoded in bits 8-11 (DigiByte Core primitives/block.h). */
+export const VERSION_ALGOS = {
+  0x0000: 'scrypt',
+  0x0200: 'sha256d',
+  0x0400: 'groestl',
+  0x0600: 'skein',
+  0x0800: 'qubit',
+  0x0e00: 'odo',
+};
+
+/** Known BIP9 deployments by bit (both are ACTIVE on mainnet and testnet). */
+export const BIP9_DEPLOYMENTS = {
+  0: 'Algolock',
+  23: 'DigiDollar',
+};
+
+/**
+ * Decode a block's nVersion.
+ *
+ * @param {number} version block nVersion (signed or unsigned int32)
+ * @param {{ versionRolled?: boolean }} [options] server-side BIP320 detection
+ * @returns {{
+ *   hex: string,
+ *   usesVersionBits: boolean,
+ *   algo: string|null,
+ *   signals: Array<{ bit: number, name: string }>,
+ *   rolledBits: number[],
+ *   unknownBits: number[],
+ * }|null}
+ */
+export function decodeBlockVersion(version, { versionRolled = false } = {}) {
+  if (!Number.isFinite(version)) return null;
+  const v = version >>> 0;
+  const usesVersionBits = ((v & BIP9_TOP_MASK) >>> 0) === BIP9_TOP_BITS;
+  const algo = VERSION_ALGOS[v & ALGO_MASK] ?? null;
+
+  const signals = [];
+  const rolledBits = [];
+  const unknownBits = [];
+  if (usesVersionBits) {
+    for (let bit = 0; bit <= 28; bit += 1) {
+      const mask = 2 ** bit;
+      if (!(v & mask) || bit === DEFAULT_VERSION_BIT || (ALGO_MASK & mask)) continue;
+      if (versionRolled && (VERSION_ROLLING_MASK & mask)) {
+        rolledBits.push(bit);
+      } else if (BIP9_DEPLOYMENTS[bit]) {
+        signals.push({ bit, name: BIP9_DEPLOYMENTS[bit] });
+      } else {
+        unknownBits.push(bit);
+      }
+    }
+  }
+
+  return {
+    hex: `0x${v.toString(16).padStart(8, '0')}`,
+    usesVersionBits,
+    algo,
+    signals,
+    rolledBits,
+    unknownBits,
+  };
+}
+
+// --- DigiDollar oracle bundle ----------------------------------------------
+
+const OP_RETURN = 0x6a;
+const OP_ORACLE = 0xbf;
+const OP_PUSHDATA1 = 0x4c;
+const ORACLE_SLOTS = 35;
+const BITMAP_BYTES = Math.ceil(ORACLE_SLOTS / 8);
+const SIGNATURE_BYTES = 64;
+
+/** Hex string to bytes; null for odd-length or non-hex input. */
+export const hexToBytes = (hex) => {
+  if (typeof hex !== 'string' || hex.length % 2 !== 0 || /[^0-9a-f]/i.test(hex)) return null;
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i += 1) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+};
+
+export const bytesToHex = (bytes) => Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+
+// Little-endian uint64 as a Number (prices and timestamps fit in 53 bits).
+export const readUint64LE = (bytes, offset) => {
+  let value = 0;
+  for (let i = 7; i >= 0; i -= 1) {
+    value = value * 256 + bytes[offset + i];
+  }
+  return value;
+};
+
+/** True when a scriptPubKey hex starts with OP_RETURN OP_ORACLE. */
+export const isOracleScript = (hex) => typeof hex === 'string' && hex.toLowerCase().startsWith('6abf');
+
+/**
+ * Decode a compact v0x03 DigiDollar oracle bundle from its coinbase
+ * scriptPubKey: `OP_RETURN OP_ORACLE <push>` followed by
+ *
+ *   version (1) | MuSig2 context version (1) | participation bitmap (5, LE,
+ *   bit n = oracle slot n) | price micro-USD (8, LE) | timestamp (8, LE) |
+ *   aggregate Schnorr signature (64)
+ *
+ * Returns null for anything that is not a well-formed bundle.
+ *
+ * @param {string} scriptHex scriptPubKey hex
+ * @returns {{
+ *   version: number,
+ *   musig2ContextVersion: number,
+ *   signerIds: number[],
+ *   priceMicroUsd: number,
+ *   priceUsd: number,
+ *   timestamp: number,
+ *   signature: string,
+ * }|null}
+ */
+export function decodeOracleBundle(scriptHex) {
+  const script = hexToBytes(scriptHex);
+  if (!script || script.length < 3 || script[0] !== OP_RETURN || script[1] !== OP_ORACLE) return null;
+
+  let offset = 2;
+  let length = script[offset];
+  offset += 1;
+  if (length === OP_PUSHDATA1) {
+    length = script[offset];
+    offset += 1;
+  } else if (length > 0x4b) {
+    return null;
+  }
+
+  const payload = script.subarray(offset, offset + length);
+  const expected = 2 + BITMAP_BYTES + 8 + 8 + SIGNATURE_BYTES;
+  if (payload.length !== length || length < expected) return null;
+
+  const signerIds = [];
+  for (let slot = 0; slot < ORACLE_SLOTS; slot += 1) {
+    if (payload[2 + Math.floor(slot / 8)] & (1 << (slot % 8))) signerIds.push(slot);
+  }
+
+  const priceOffset = 2 + BITMAP_BYTES;
+  const priceMicroUsd = readUint64LE(payload, priceOffset);
+  const sigOffset = priceOffset + 16;
+
+  return {
+    version: payload[0],
+    musig2ContextVersion: payload[1],
+    signerIds,
+    priceMicroUsd,
+    priceUsd: priceMicroUsd / 1000000,
+    timestamp: readUint64LE(payload, priceOffset + 8),
+    signature: bytesToHex(payload.subarray(sigOffset, sigOffset + SIGNATURE_BYTES)),
+  };
+}
+
+/**
+ * Normalize the server's pre-decoded `oracleBundle` (snake_case, like the
+ * getoraclesigners feed) into the decodeOracleBundle shape.
+ */
+const fromServerBundle = (bundle) => {
+  const priceMicroUsd = Number(bundle.price_micro_usd ?? 0);
+  return {
+    version: bundle.version ?? null,
+    musig2ContextVersion: bundle.musig2_context_version ?? null,
+    signerIds: (bundle.signer_ids || []).map(Number),
+    priceMicroUsd,
+    priceUsd: bundle.price_usd ?? priceMicroUsd / 1000000,
+    timestamp: bundle.timestamp ?? null,
+    signature: bundle.signature ?? null,
+  };
+};
+
+/**
+ * Locate and decode the oracle bundle in a verbose getblock result. A bundle
+ * decoded by the server wins; otherwise the coinbase outputs are scanned.
+ *
+ * @param {object} block getblock (verbosity 2) response
+ * @returns {(ReturnType<typeof decodeOracleBundle> & { vout: number|null })|null}
+ */
+export function findOracleBundle(block) {
+  const coinbase = Array.isArray(block?.tx) ? block.tx[0] : null;
+  const outputs = Array.isArray(coinbase?.vout) ? coinbase.vout : [];
+  const voutIndex = outputs.findIndex((out) => isOracleScript(out?.scriptPubKey?.hex));
+  const vout = voutIndex >= 0 ? (outputs[voutIndex].n ?? voutIndex) : null;
+
+  if (block?.oracleBundle) {
+    return { ...fromServerBundle(block.oracleBundle), vout };
+  }
+  if (voutIndex < 0) return null;
+  const decoded = decodeOracleBundle(outputs[voutIndex].scriptPubKey.hex);
+  return decoded ? { ...decoded, vout } : null;
+}
+
+/**
+ * Short label for a coinbase output's script type.
+ *
+ * @param {object} scriptPubKey
+ * @returns {string}
+ */
+export function describeOutput(scriptPubKey) {
+  if (!scriptPubKey) return 'unknown';
+  if (isOracleScript(scriptPubKey.hex)) return 'OP_ORACLE bundle';
+  if (scriptPubKey.type === 'nulldata') return 'OP_RETURN';
+  return scriptPubKey.type || 'unknown';
+}
@@ -0,0 +1,104 @@
+/**
+ * Block list paging beyond the WebSocket's recent window — the helpers
+ * behind useBlockHistory (src/hooks/useBlockHistory.js).
+ *
+ * The live window (`recentBlocks` + `newBlock`, ~240 blocks) is continued
+ * downwards from the server:
+ *
+ *   GET /api/blocks?before=<height>&limit=<n>[&algo=][&pool=][&bundle=1]
+ *     → { data: Block[], hasMore: boolean }
+ *
+ * `before` is exclusive; `data` is newest first, in the `recentBlocks` block
+ * shape. `algo`, `pool` (case-insensitive substring of `poolIdentifier`) and
+ * `bundle=1` (only blocks carrying a DigiDollar oracle bundle) filter on the
+ * server; `blockMatchesFilters` applies the same rules to the live window.
+ */
+
+export const BLOCK_FETCH_LIMIT = 100;
+export const BLOCK_FETCH_MAX = 500;
+
+/** Algorithm filter values (the `algo` field of a block, lower-case). */
+export const BLOCK_ALGOS = ['sha256d', 'scrypt', 'skein', 'qubit', 'odo'];
+
+// Odocrypt blocks are reported as either 'odo' or 'odocrypt'.
+const normalizeAlgo = (algo) => {
+  const name = String(algo || '').toLowerCase();
+  return name === 'odocrypt' ? 'odo' : name;
+};
+
+/**
+ * @typedef {Object} BlockFilters
+ * @property {string} [algo] one of BLOCK_ALGOS, or '' for all
+ * @property {string} [pool] substring of the pool identifier
+ * @property {boolean} [bundle] only blocks with an oracle bundle
+ */
+
+/** True when any filter is set. */
+export const hasBlockFilters = ({ algo, pool, bundle } = {}) => Boolean(algo || (pool && pool.trim()) || bundle);
+
+/**
+ * Whether a block passes the filters (the server's rules, for the live window).
+ *
+ * @param {object} block
+ * @param {BlockFilters} filters
+ * @returns {boolean}
+ */
+export const blockMatchesFilters = (block, { algo, pool, bundle } = {}) => {
+  if (algo && normalizeAlgo(block.algo) !== normalizeAlgo(algo)) return false;
+  const poolText = (pool || '').trim().toLowerCase();
+  if (poolText && !String(block.poolIdentifier || '').toLowerCase().includes(poolText)) return false;
+  if (bundle && !block.hasOracleBundle) return false;
+  return true;
+};
+
+const blockKey = (block) => (Number.isFinite(block?.height) ? block.height : block?.hash);
+
+/**
+ * Merge block lists newest first, one block per height. Earlier lists win,
+ * so pass the fresher source (the live window) first.
+ *
+ * @param {...object[]} lists
+ * @returns {object[]}
+ */
+export const mergeBlocks = (...lists) => {
+  const byKey = new Map();
+  lists.forEach((list) => (list || []).forEach((block) => {
+    const key = blockKey(block);
+    if (key !== undefined && !byKey.has(key)) byKey.set(key, block);
+  }));
+  return [...byKey.values()].sort((a, b) => (b.height ?? 0) - (a.height ?? 0));
+};
+
+/** Lowest block height in a list, or null. */
+export const lowestHeight = (blocks = []) => blocks.reduce(
+  (low, block) => (Number.isFinite(block?.height) && (low === null || block.height < low) ? block.height : low),
+  null,
+);
+
+/**
+ * API path (for getApiUrl) of one page of older blocks.
+ *
+ * @param {{ before: number, limit?: number } & BlockFilters} params
+ * @returns {string}
+ */
+export const blocksEndpoint = ({ before, limit = BLOCK_FETCH_LIMIT, algo, pool, bundle }) => {
+  const params = new URLSearchParams({ before: String(before), limit: String(limit) });
+  if (algo) params.set('algo', algo);
+  if (pool && pool.trim()) params.set('pool', pool.trim());
+  if (bundle) params.set('bundle', '1');
+  return `/blocks?${params}`;
+};
+
+/**
+ * Blocks and the "more below" flag from a `/api/blocks` response. Without a
+ * `hasMore` flag, a full page means there may be more.
+ *
+ * @param {{ data?: object[], hasMore?: boolean }|object[]} json
+ * @param {number} limit the requested page size
+ * @returns {{ blocks: object[], hasMore: boolean }}
+ */
+export const parseBlocksResponse = (json, limit) => {
+  const blocks = Array.isArray(json) ? json : (Array.isArray(json?.data) ? json.data : []);
+  const hasMore = typeof json?.hasMore === 'boolean' ? json.hasMore : blocks.length >= limit;
+  return { blocks, hasMore };
+};
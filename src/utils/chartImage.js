@@ -0,0 +1,139 @@
+/**
+ * Chart image export — PNG and SVG downloads for ChartActions
+ * (src/components/ChartActions.js).
+ *
+ * Two kinds of chart are on the site:
+ *
+ *   canvas  Chart.js (HistoryChart, the Chain Tips orphans chart, the Supply
+ *           timeline). PNG is the canvas itself; SVG wraps that bitmap in an
+ *           <image>, since Chart.js has no vector output.
+ *   svg     D3 (the Algos and Pools donuts). SVG is the element serialised;
+ *           PNG is that SVG drawn onto a canvas at 2x.
+ *
+ * Chart.js leaves the canvas transparent and the D3 donuts draw on the page
+ * background, so both formats are flattened onto `background` (the theme's
+ * paper colour) to stay readable outside the page.
+ */
+
+import { downloadFile, downloadUrl } from './dataExport';
+
+export const IMAGE_FORMATS = ['png', 'svg'];
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+
+/**
+ * File name for a chart image, e.g. `dgbstats-mainnet-hashrate-history.png`.
+ *
+ * @param {string} name chart name (kebab-case)
+ * @param {string} network
+ * @param {'png'|'svg'} format
+ * @returns {string}
+ */
+export const chartImageFilename = (name, network, format) => `dgbstats-${network}-${name}.${format}`;
+
+/** Pixel size of a chart element (canvas backing store, or the SVG's box). */
+export const chartSize = (element) => {
+  if (element.tagName.toLowerCase() === 'canvas') {
+    return { width: element.width, height: element.height };
+  }
+  const width = Number(element.getAttribute('width')) || element.clientWidth || 0;
+  const height = Number(element.getAttribute('height')) || element.clientHeight || 0;
+  return { width, height };
+};
+
+/**
+ * PNG data URL of a canvas flattened onto a background colour.
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} background
+ * @returns {string}
+ */
+export const canvasToPng = (canvas, background) => {
+  const out = document.createElement('canvas');
+  out.width = canvas.width;
+  out.height = canvas.height;
+  const ctx = out.getContext('2d');
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, out.width, out.height);
+  ctx.drawImage(canvas, 0, 0);
+  return out.toDataURL('image/png');
+};
+
+/**
+ * Standalone SVG document for a canvas chart: the PNG as an <image>.
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} background
+ * @returns {string}
+ */
+export const canvasToSvg = (canvas, background) => {
+  const { width, height } = chartSize(canvas);
+  return `<svg xmlns="${SVG_NS}" xmlns:xlink="${XLINK_NS}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+    + `<image width="${width}" height="${height}" xlink:href="${canvasToPng(canvas, background)}"/></svg>`;
+};
+
+/**
+ * Standalone SVG document for a D3 chart, with a background rect behind the
+ * existing content.
+ *
+ * @param {SVGSVGElement} svg
+ * @param {string} background
+ * @returns {string}
+ */
+export const serializeSvg = (svg, background) => {
+  const { width, height } = chartSize(svg);
+  const copy = svg.cloneNode(true);
+  copy.setAttribute('xmlns', SVG_NS);
+  copy.setAttribute('width', width);
+  copy.setAttribute('height', height);
+  if (!copy.getAttribute('viewBox')) copy.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  const rect = document.createElementNS(SVG_NS, 'rect');
+  rect.setAttribute('width', '100%');
+  rect.setAttribute('height', '100%');
+  rect.setAttribute('fill', background);
+  copy.insertBefore(rect, copy.firstChild);
+  return new XMLSerializer().serializeToString(copy);
+};
+
+/**
+ * PNG data URL of an SVG chart, rendered at `scale` for a crisp bitmap.
+ *
+ * @param {SVGSVGElement} svg
+ * @param {string} background
+ * @param {number} [scale=2]
+ * @returns {Promise<string>}
+ */
+export const svgToPng = (svg, background, scale = 2) => new Promise((resolve, reject) => {
+  const { width, height } = chartSize(svg);
+  const image = new Image();
+  image.onload = () => {
+    const out = document.createElement('canvas');
+    out.width = width * scale;
+    out.height = height * scale;
+    const ctx = out.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.drawImage(image, 0, 0, width, height);
+    resolve(out.toDataURL('image/png'));
+  };
+  image.onerror = () => reject(new Error('Could not render the chart'));
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(serializeSvg(svg, background))}`;
+});
+
+/**
+ * Download one chart element as PNG or SVG.
+ *
+ * @param {HTMLCanvasElement|SVGSVGElement} element
+ * @param {'png'|'svg'} format
+ * @param {{ filename: string, background: string }} options
+ * @returns {Promise<void>}
+ */
+export const downloadChartImage = async (element, format, { filename, background }) => {
+  const isCanvas = element.tagName.toLowerCase() === 'canvas';
+  if (format === 'svg') {
+    const svg = isCanvas ? canvasToSvg(element, background) : serializeSvg(element, background);
+    downloadFile(filename, svg, 'image/svg+xml');
+    return;
+  }
+  downloadUrl(filename, isCanvas ? canvasToPng(element, background) : await svgToPng(element, background));
+};
@@ -0,0 +1,94 @@
+/**
+ * Chart share links — the view state of a chart encoded in the page URL, so
+ * a copied link opens the same view.
+ *
+ *   range  HistoryChart range key ('1y', '5y', ...)
+ *   zoom   `lo-hi` inclusive entry indices into the range (see applyZoom)
+ *   hide   comma-separated series names that are switched off; present but
+ *          empty means "nothing hidden", even where the chart hides some
+ *          series by default
+ *
+ * Values equal to the chart's defaults are left out. The link's fragment is
+ * the chart's element id, so it also scrolls to the chart.
+ */
+
+export const CHART_PARAMS = ['range', 'zoom', 'hide'];
+
+const sameSet = (a = [], b = []) => a.length === b.length && a.every((item) => b.includes(item));
+
+/** `lo-hi` → [lo, hi], or null unless lo < hi. */
+export const parseZoom = (raw) => {
+  const match = /^(\d+)-(\d+)$/.exec(raw || '');
+  if (!match) return null;
+  const zoom = [Number(match[1]), Number(match[2])];
+  return zoom[0] < zoom[1] ? zoom : null;
+};
+
+/** [lo, hi] → `lo-hi`. */
+export const formatZoom = (zoom) => `${zoom[0]}-${zoom[1]}`;
+
+/**
+ * Read chart state from a query string. Missing or malformed values are null.
+ *
+ * @param {string|URLSearchParams} search
+ * @returns {{ range: string|null, zoom: number[]|null, hidden: string[]|null }}
+ */
+export const decodeChartState = (search) => {
+  const params = search instanceof URLSearchParams ? search : new URLSearchParams(search);
+  return {
+    range: params.get('range') || null,
+    zoom: parseZoom(params.get('zoom')),
+    hidden: params.has('hide') ? params.get('hide').split(',').map((name) => name.trim()).filter(Boolean) : null,
+  };
+};
+
+/**
+ * Query parameters for a chart state, leaving out defaults.
+ *
+ * @param {{ range?: string, zoom?: number[]|null, hidden?: string[]|Set<string>|null }} state
+ * @param {{ range?: string, hidden?: string[] }} [defaults]
+ * @returns {Object<string, string>}
+ */
+export const encodeChartState = ({ range, zoom, hidden } = {}, defaults = {}) => {
+  const params = {};
+  if (range && range !== defaults.range) params.range = range;
+  if (Array.isArray(zoom) && zoom.length === 2) params.zoom = formatZoom(zoom);
+  const hiddenList = hidden ? [...hidden] : null;
+  if (hiddenList && !sameSet(hiddenList, defaults.hidden)) params.hide = hiddenList.join(',');
+  return params;
+};
+
+/**
+ * Absolute link to the current page showing a chart in the given state.
+ * Query parameters that are not chart state are kept.
+ *
+ * @param {{ origin: string, pathname: string, search?: string }} location
+ * @param {string} chartId element id of the chart
+ * @param {object} [state] see encodeChartState
+ * @param {object} [defaults]
+ * @returns {string}
+ */
+export const chartShareUrl = (location, chartId, state = {}, defaults = {}) => {
+  const params = new URLSearchParams(location.search || '');
+  CHART_PARAMS.forEach((name) => params.delete(name));
+  Object.entries(encodeChartState(state, defaults)).forEach(([name, value]) => params.set(name, value));
+  const query = params.toString();
+  return `${location.origin}${location.pathname}${query ? `?${query}` : ''}#${chartId}`;
+};
+
+/** Labels of the Chart.js datasets currently switched off in the legend. */
+export const hiddenDatasetLabels = (chart) => {
+  if (!chart || !chart.data?.datasets || typeof chart.isDatasetVisible !== 'function') return [];
+  return chart.data.datasets
+    .filter((dataset, index) => !chart.isDatasetVisible(index))
+    .map((dataset) => dataset.label);
+};
+
+/** Switch off the Chart.js datasets named in `labels` (from a share link). */
+export const applyHiddenDatasets = (chart, labels) => {
+  if (!chart || !chart.data?.datasets || !labels || !labels.length) return;
+  chart.data.datasets.forEach((dataset, index) => {
+    if (labels.includes(dataset.label)) chart.setDatasetVisibility(index, false);
+  });
+  chart.update('none');
+};
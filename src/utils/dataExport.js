@@ -0,0 +1,199 @@
+/**
+ * Table and chart export — CSV and JSON downloads for the ExportMenu
+ * (src/components/ExportMenu.js).
+ *
+ * Rows are exported with the field names of the WebSocket (or REST) payload
+ * they came from, so a file lines up with the API docs: a block row keeps
+ * `height`, `hash`, `algo`, `poolIdentifier`, ... rather than the column
+ * titles on screen. Nested objects are flattened into dotted columns in CSV
+ * (`algos.SHA256D.difficulty`) and left nested in JSON.
+ *
+ * Both formats carry the same metadata:
+ *
+ *   network      'mainnet' | 'testnet'
+ *   height       chain tip when the file was made (null if not known yet)
+ *   generatedAt  ISO-8601 timestamp
+ *
+ * JSON holds it as a `meta` object next to the `data` array. CSV opens with
+ * it as `key,value` rows and a blank line, then the header row and the data:
+ *
+ *   network,mainnet
+ *   height,23869440
+ *   generatedAt,2026-10-18T12:00:00.000Z
+ *
+ *   height,hash,algo,...
+ *
+ * The file name repeats it: `dgbstats-mainnet-blocks-h23869440-20261018T120000Z.csv`.
+ *
+ * Fields such as a block's `poolIdentifier` are miner-controlled text, so CSV
+ * cells that a spreadsheet would run as a formula are neutralised.
+ */
+
+export const EXPORT_FORMATS = ['csv', 'json'];
+
+const MIME_TYPES = {
+  csv: 'text/csv;charset=utf-8',
+  json: 'application/json',
+};
+
+const isPlainObject = (value) => value !== null
+  && typeof value === 'object'
+  && !Array.isArray(value)
+  && !(value instanceof Date);
+
+/**
+ * Chain tip known to the network's WebSocket client: the newest cached
+ * `recentBlocks` entry or the `initialData` block count, whichever is higher.
+ *
+ * @param {{ getLastMessage: Function }|null} wsClient
+ * @returns {number|null}
+ */
+export const tipHeight = (wsClient) => {
+  if (!wsClient || typeof wsClient.getLastMessage !== 'function') return null;
+  const blocks = wsClient.getLastMessage('recentBlocks')?.data;
+  const candidates = [
+    Array.isArray(blocks) && blocks.length ? blocks[0]?.height : null,
+    wsClient.getLastMessage('initialData')?.data?.blockchainInfo?.blocks,
+  ].map(Number).filter((n) => Number.isFinite(n) && n > 0);
+  return candidates.length ? Math.max(...candidates) : null;
+};
+
+/**
+ * Metadata header shared by both formats.
+ *
+ * @param {{ network: string, height?: number|null, generatedAt?: Date }} params
+ * @returns {{ network: string, height: number|null, generatedAt: string }}
+ */
+export const exportMetadata = ({ network, height = null, generatedAt = new Date() }) => ({
+  network,
+  height: Number.isFinite(height) ? height : null,
+  generatedAt: generatedAt.toISOString(),
+});
+
+/**
+ * Flatten one row for CSV: nested plain objects become dotted keys, arrays
+ * and dates stay whole (serialised by `csvCell`).
+ */
+export const flattenRow = (row, prefix = '') => {
+  if (!isPlainObject(row)) return prefix ? { [prefix]: row } : {};
+  return Object.entries(row).reduce((flat, [key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    return isPlainObject(value) && Object.keys(value).length
+      ? { ...flat, ...flattenRow(value, path) }
+      : { ...flat, [path]: value };
+  }, {});
+};
+
+/**
+ * CSV columns for a set of flattened rows: every key that appears, in the
+ * order first seen.
+ *
+ * @param {object[]} rows flattened rows
+ * @returns {string[]}
+ */
+export const exportFields = (rows = []) => {
+  const fields = new Set();
+  rows.forEach((row) => Object.keys(row).forEach((key) => fields.add(key)));
+  return [...fields];
+};
+
+// Leading characters that make Excel, Sheets or LibreOffice read a cell as a
+// formula (OWASP "CSV injection").
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * One CSV cell (RFC 4180 quoting). Text starting like a formula is prefixed
+ * with `'` so spreadsheets show it as text; numbers are left as they are.
+ */
+export const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === 'object') text = JSON.stringify(value);
+  else text = String(value);
+  if (typeof value !== 'number' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {object[]} rows payload rows
+ * @param {string[]} [fields] column order; defaults to every flattened key
+ * @param {object} [meta] from `exportMetadata`; written as the leading block
+ * @returns {string}
+ */
+export const toCsv = (rows = [], fields, meta) => {
+  const flat = rows.map((row) => flattenRow(row));
+  const columns = fields || exportFields(flat);
+  const metaLines = meta
+    ? [...Object.entries(meta).map((entry) => entry.map(csvCell).join(',')), '']
+    : [];
+  const lines = [...metaLines, columns.map(csvCell).join(',')];
+  flat.forEach((row) => lines.push(columns.map((column) => csvCell(row[column])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * @param {object[]} rows payload rows
+ * @param {object} meta from `exportMetadata`
+ * @returns {string}
+ */
+export const toJson = (rows = [], meta) => `${JSON.stringify({ meta, data: rows }, null, 2)}\n`;
+
+/**
+ * File name for an export, e.g. `dgbstats-mainnet-blocks-h23869440-20261018T120000Z.csv`
+ * (the `h<height>` part only when the chain tip is known).
+ *
+ * @param {string} name dataset name (kebab-case)
+ * @param {object} meta from `exportMetadata`
+ * @param {'csv'|'json'} format
+ * @returns {string}
+ */
+export const exportFilename = (name, meta, format) => {
+  const stamp = meta.generatedAt.replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  const height = meta.height === null ? '' : `-h${meta.height}`;
+  return `dgbstats-${meta.network}-${name}${height}-${stamp}.${format}`;
+};
+
+/**
+ * Build the file for one dataset.
+ *
+ * @param {'csv'|'json'} format
+ * @param {object[]} rows
+ * @param {object} meta
+ * @param {string[]} [fields] CSV column order
+ * @returns {{ content: string, mimeType: string }}
+ */
+export const buildExport = (format, rows, meta, fields) => ({
+  content: format === 'json' ? toJson(rows, meta) : toCsv(rows, fields, meta),
+  mimeType: MIME_TYPES[format] || MIME_TYPES.csv,
+});
+
+/**
+ * Click a hidden `<a download>` for a URL (object URL or data URL).
+ *
+ * @param {string} filename
+ * @param {string} url
+ */
+export const downloadUrl = (filename, url) => {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+};
+
+/**
+ * Hand a file to the browser as a download.
+ *
+ * @param {string} filename
+ * @param {string} content
+ * @param {string} mimeType
+ */
+export const downloadFile = (filename, content, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  downloadUrl(filename, url);
+  // Revoke after the click has been handled; some browsers read the URL late.
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,166 @@
+/**
+ * Embeddable widgets — the list of widgets served under `/embed/:widget` and
+ * the query-string options every widget accepts.
+ *
+ *   theme    'light' (default) or 'dark'
+ *   accent   hex colour without '#', 3 or 6 digits (e.g. 'ff6600'); replaces
+ *            the network's primary colour
+ *   network  'mainnet' (default) or 'testnet'
+ *
+ * Unknown or malformed values fall back to the defaults, so a hand-edited
+ * snippet never breaks the widget. pages/EmbedPage.js renders the widgets and
+ * pages/EmbedGeneratorPage.js builds the iframe snippet from the same data.
+ */
+
+import { disabledFeatures, networkPath } from '../routes';
+
+/**
+ * A widget is:
+ *
+ *   id           URL segment, /embed/<id>
+ *   title        iframe title and widget heading
+ *   description  one line for the generator page
+ *   page         full page the widget links back to (registry path)
+ *   height       suggested iframe height in px
+ *   feature      feature flag; the widget disappears when it is disabled
+ */
+export const EMBED_WIDGETS = [
+  {
+    id: 'block-height',
+    title: 'Block Height',
+    description: 'Current DigiByte block height, updated live.',
+    page: '/',
+    height: 200,
+  },
+  {
+    id: 'oracle-price',
+    title: 'Oracle DGB/USD Price',
+    description: 'Consensus DGB/USD price from the DigiDollar oracle network.',
+    page: '/oracles',
+    height: 260,
+    feature: 'digidollar',
+  },
+  {
+    id: 'dd-supply',
+    title: 'DigiDollar Supply',
+    description: 'DigiDollars in circulation, DGB locked, collateral ratio and active oracles.',
+    page: '/ddstats',
+    height: 420,
+    feature: 'digidollar',
+  },
+  {
+    id: 'hashrate',
+    title: 'Hashrate by Algorithm',
+    description: 'Estimated hashrate of each of the five mining algorithms over the last hour.',
+    page: '/hashrate',
+    height: 300,
+  },
+  {
+    id: 'fork-risk',
+    title: 'Fork Risk',
+    description: 'Live fork-risk level from the chain-tips monitor.',
+    page: '/tips',
+    height: 130,
+  },
+];
+
+export const EMBED_THEMES = ['light', 'dark'];
+export const EMBED_NETWORKS = ['mainnet', 'testnet'];
+
+export const DEFAULT_EMBED_OPTIONS = { theme: 'light', accent: null, network: 'mainnet' };
+
+const HEX_COLOR = /^[0-9a-f]{3}([0-9a-f]{3})?$/i;
+
+/**
+ * Enabled widgets, in display order.
+ *
+ * @param {Set<string>} [disabled]
+ * @returns {Array<Object>}
+ */
+export const embedWidgets = (disabled = disabledFeatures()) => EMBED_WIDGETS.filter((widget) => (
+  !widget.feature || !disabled.has(widget.feature)
+));
+
+/**
+ * Look up an enabled widget by id.
+ *
+ * @param {string} id
+ * @param {Set<string>} [disabled]
+ * @returns {Object|null}
+ */
+export const findEmbedWidget = (id, disabled = disabledFeatures()) => (
+  embedWidgets(disabled).find((widget) => widget.id === id) || null
+);
+
+/**
+ * Normalise an accent colour to '#rrggbb', or null when it is not a 3- or
+ * 6-digit hex colour (with or without '#').
+ *
+ * @param {string|null|undefined} value
+ * @returns {string|null}
+ */
+export const normalizeAccent = (value) => {
+  const hex = String(value || '').trim().replace(/^#/, '');
+  if (!HEX_COLOR.test(hex)) return null;
+  const full = hex.length === 3 ? hex.split('').map((digit) => digit + digit).join('') : hex;
+  return `#${full.toLowerCase()}`;
+};
+
+/**
+ * Read the widget options from a query string.
+ *
+ * @param {string} search - e.g. '?theme=dark&accent=ff6600'
+ * @returns {{ theme: string, accent: string|null, network: string }}
+ */
+export const parseEmbedOptions = (search) => {
+  const params = new URLSearchParams(search || '');
+  const theme = params.get('theme');
+  const network = params.get('network');
+  return {
+    theme: EMBED_THEMES.includes(theme) ? theme : DEFAULT_EMBED_OPTIONS.theme,
+    accent: normalizeAccent(params.get('accent')),
+    network: EMBED_NETWORKS.includes(network) ? network : DEFAULT_EMBED_OPTIONS.network,
+  };
+};
+
+/**
+ * URL of a widget; options left at their defaults are omitted.
+ *
+ * @param {string} id - Widget id
+ * @param {Object} [options] - theme / accent / network
+ * @param {string} [origin] - Site origin, e.g. 'https://digibyte.io'
+ * @returns {string}
+ */
+export const embedUrl = (id, options = {}, origin = '') => {
+  const params = new URLSearchParams();
+  const accent = normalizeAccent(options.accent);
+  if (options.theme && options.theme !== DEFAULT_EMBED_OPTIONS.theme) params.set('theme', options.theme);
+  if (accent) params.set('accent', accent.slice(1));
+  if (options.network && options.network !== DEFAULT_EMBED_OPTIONS.network) params.set('network', options.network);
+  const query = params.toString();
+  return `${origin}/embed/${id}${query ? `?${query}` : ''}`;
+};
+
+/**
+ * Full-page link a widget points back to.
+ *
+ * @param {Object} widget - EMBED_WIDGETS entry
+ * @param {string} network
+ * @returns {string}
+ */
+export const embedSourcePath = (widget, network) => networkPath(widget.page, network);
+
+/**
+ * The iframe snippet for a widget.
+ *
+ * @param {Object} widget - EMBED_WIDGETS entry
+ * @param {Object} [options] - theme / accent / network
+ * @param {string} [origin] - Site origin
+ * @returns {string}
+ */
+export const embedSnippet = (widget, options = {}, origin = '') => (
+  `<iframe src="${embedUrl(widget.id, options, origin)}" title="DigiByte ${widget.title}" `
+  + `width="100%" height="${widget.height}" style="border:0;max-width:640px" loading="lazy"></iframe>`
+);
+
+export default EMBED_WIDGETS;
@@ -0,0 +1,242 @@
+/**
+ * Fee estimation for confirmation targets — the model behind the TxsPage
+ * FeeEstimator panel (src/components/FeeEstimator.js).
+ *
+ * Two signals are combined per target:
+ *   - the mempool: the feerate a transaction must beat to be among the first
+ *     `blocks` templates' worth of queued vbytes (the same ordering as
+ *     mempoolProjection.projectBlocks);
+ *   - observed inclusion: recently confirmed transactions, how many blocks
+ *     each waited between first seen and its block, and the lowest feerate
+ *     at which SUCCESS_RATIO of the transactions paying at least that much
+ *     confirmed within the target (the bucket approach of estimatesmartfee).
+ * The recommendation is the higher of the two, never below the mempool
+ * minimum fee (or, when the stats carry none, the lowest rate queued), and
+ * never higher for a slower target than for a faster one.
+ */
+
+import { BLOCK_MAX_VSIZE, txFeeRate, txVsize } from './mempoolProjection';
+
+/** DigiByte target block spacing (all five algos combined), seconds. */
+export const BLOCK_TIME_SECONDS = 15;
+
+/** Confirmation targets, fastest first. */
+export const FEE_TARGETS = [
+  { key: 'next', label: 'Next block (~15s)', blocks: 1 },
+  { key: '5blocks', label: 'Within 5 blocks (~75s)', blocks: 5 },
+  { key: '1hour', label: 'Within 1 hour', blocks: 3600 / BLOCK_TIME_SECONDS },
+];
+
+/** Share of observed transactions at or above a rate that must have confirmed in time. */
+export const SUCCESS_RATIO = 0.85;
+
+/** Observed inclusions needed before they count towards a target. */
+export const MIN_OBSERVATIONS = 3;
+
+/** Session samples kept for the recommendation chart (an hour of blocks). */
+export const FEE_HISTORY_LIMIT = 240;
+
+/** Mempool feerate percentiles shown next to the recommendations. */
+export const FEE_PERCENTILES = [10, 25, 50, 75, 90];
+
+const SATS_PER_DGB = 100000000;
+
+/** getmempoolinfo `mempoolminfee` / the stats `minfee` (DGB/kvB) in sat/vB. */
+export const minFeeRateFromStats = (stats) => {
+  const minfee = Number(stats?.minfee);
+  return Number.isFinite(minfee) && minfee > 0 ? (minfee * SATS_PER_DGB) / 1000 : 0;
+};
+
+/**
+ * Nearest-rank percentile of an ascending list.
+ *
+ * @param {number[]} sorted ascending
+ * @param {number} p 0-100
+ * @returns {number|null}
+ */
+export const percentile = (sorted, p) => {
+  if (!sorted.length) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+};
+
+/** `FEE_PERCENTILES` of the mempool feerates, keyed `p10`, `p25`, ... */
+export const mempoolPercentiles = (transactions) => {
+  const rates = (transactions || []).map(txFeeRate).sort((a, b) => a - b);
+  return Object.fromEntries(FEE_PERCENTILES.map((p) => [`p${p}`, percentile(rates, p)]));
+};
+
+/**
+ * The feerate to beat to be within the first `blocks` templates: the rate of
+ * the transaction straddling that many blocks' worth of vbytes in the queue,
+ * or null when the whole mempool fits (any rate above the minimum will do).
+ *
+ * @param {object[]} transactions mempool transactions
+ * @param {number} blocks
+ * @param {number} [maxVsize=BLOCK_MAX_VSIZE]
+ * @returns {number|null}
+ */
+export const mempoolRateForTarget = (transactions, blocks, maxVsize = BLOCK_MAX_VSIZE) => {
+  const queue = (transactions || [])
+    .map((tx) => ({ feeRate: txFeeRate(tx), vsize: txVsize(tx) }))
+    .sort((a, b) => b.feeRate - a.feeRate);
+  const depth = blocks * maxVsize;
+  let queued = 0;
+  for (const entry of queue) {
+    queued += entry.vsize;
+    if (queued > depth) return entry.feeRate;
+  }
+  return null;
+};
+
+/**
+ * Blocks a confirmed transaction waited between first seen and its block:
+ * from `blocktime` when the block time is known, otherwise from its age and
+ * `confirmations` (the blocks mined since its own). At least 1.
+ *
+ * @param {object} tx confirmed transaction
+ * @param {number|undefined} firstSeen epoch seconds
+ * @param {number} now epoch seconds
+ * @returns {number|null} null when first seen is unknown
+ */
+export const inclusionBlocks = (tx, firstSeen, now) => {
+  if (!Number.isFinite(firstSeen)) return null;
+  if (Number.isFinite(tx.blocktime)) {
+    return Math.max(1, Math.ceil((tx.blocktime - firstSeen) / BLOCK_TIME_SECONDS));
+  }
+  if (Number.isFinite(tx.confirmations) && tx.confirmations > 0) {
+    const age = Math.round((now - firstSeen) / BLOCK_TIME_SECONDS);
+    return Math.max(1, age - (tx.confirmations - 1));
+  }
+  return null;
+};
+
+/**
+ * Remember when each transaction was first seen in the mempool: its `time`
+ * (the node's entry time) or `now`. Entries older than twice the slowest
+ * target are dropped.
+ *
+ * @param {Object<string, number>} firstSeen txid → epoch seconds
+ * @param {object[]} transactions mempool transactions
+ * @param {number} [now] epoch seconds
+ * @returns {Object<string, number>} `firstSeen` itself when nothing changed
+ */
+export const recordFirstSeen = (firstSeen, transactions, now = Date.now() / 1000) => {
+  const horizon = now - 2 * FEE_TARGETS[FEE_TARGETS.length - 1].blocks * BLOCK_TIME_SECONDS;
+  const fresh = (transactions || [])
+    .filter((tx) => tx.txid && !(tx.txid in firstSeen))
+    .map((tx) => [tx.txid, Number.isFinite(tx.time) && tx.time > 0 ? tx.time : now])
+    .filter(([, seen]) => seen >= horizon);
+  const stale = Object.keys(firstSeen).filter((txid) => firstSeen[txid] < horizon);
+  if (!fresh.length && !stale.length) return firstSeen;
+  const next = { ...firstSeen };
+  stale.forEach((txid) => { delete next[txid]; });
+  fresh.forEach(([txid, seen]) => { next[txid] = seen; });
+  return next;
+};
+
+/**
+ * Feerate and wait of each confirmed transaction whose first-seen time is
+ * known (its own `firstSeen`, else the `firstSeen` map).
+ *
+ * @param {object[]} confirmed
+ * @param {Object<string, number>} [firstSeen] txid → epoch seconds
+ * @param {number} [now] epoch seconds
+ * @returns {{ feeRate: number, blocks: number }[]}
+ */
+export const observeInclusions = (confirmed, firstSeen = {}, now = Date.now() / 1000) => (confirmed || [])
+  .map((tx) => ({
+    feeRate: txFeeRate(tx),
+    blocks: inclusionBlocks(tx, tx.firstSeen ?? firstSeen[tx.txid], now),
+  }))
+  .filter((observation) => observation.blocks !== null);
+
+/**
+ * The lowest feerate at which at least SUCCESS_RATIO of the observed
+ * transactions paying that much or more confirmed within `blocks`.
+ *
+ * @param {{ feeRate: number, blocks: number }[]} observations
+ * @param {number} blocks
+ * @returns {number|null} null with fewer than MIN_OBSERVATIONS, or when no
+ *   rate reaches the ratio
+ */
+export const observedRateForTarget = (observations, blocks) => {
+  if (observations.length < MIN_OBSERVATIONS) return null;
+  const sorted = [...observations].sort((a, b) => b.feeRate - a.feeRate);
+  let seen = 0;
+  let inTime = 0;
+  let rate = null;
+  sorted.forEach((observation) => {
+    seen += 1;
+    if (observation.blocks <= blocks) inTime += 1;
+    if (seen >= MIN_OBSERVATIONS && inTime / seen >= SUCCESS_RATIO) rate = observation.feeRate;
+  });
+  return rate;
+};
+
+/**
+ * @typedef {Object} FeeRecommendation
+ * @property {string} key FEE_TARGETS key
+ * @property {string} label
+ * @property {number} blocks
+ * @property {number} feeRate recommended sat/vB
+ * @property {number|null} mempoolRate rate to beat in the queue
+ * @property {number|null} observedRate rate that confirmed in time lately
+ * @property {'mempool'|'observed'|'minimum'} basis the signal that set `feeRate`
+ */
+
+/**
+ * Recommend a feerate for each of FEE_TARGETS.
+ *
+ * @param {Object} input
+ * @param {object[]} input.mempool mempool transactions
+ * @param {object[]} [input.confirmed] recently confirmed transactions
+ * @param {Object<string, number>} [input.firstSeen] txid → epoch seconds
+ * @param {number} [input.minFeeRate=0] mempool minimum, sat/vB; 0 for unknown
+ * @param {number} [input.now] epoch seconds
+ * @param {number} [input.maxVsize=BLOCK_MAX_VSIZE]
+ * @returns {{ targets: FeeRecommendation[], percentiles: object, observations: number }}
+ */
+export const estimateFees = ({
+  mempool, confirmed = [], firstSeen = {}, minFeeRate = 0, now = Date.now() / 1000, maxVsize = BLOCK_MAX_VSIZE,
+}) => {
+  const observations = observeInclusions(confirmed, firstSeen, now);
+  // Reduced rather than spread: a busy mempool is too many arguments for Math.min.
+  const floor = minFeeRate > 0
+    ? minFeeRate
+    : (mempool || []).reduce((lowest, tx) => Math.min(lowest, txFeeRate(tx)), Infinity);
+  let ceiling = Infinity;
+  const targets = FEE_TARGETS.map(({ key, label, blocks }) => {
+    const mempoolRate = mempoolRateForTarget(mempool, blocks, maxVsize);
+    const observedRate = observedRateForTarget(observations, blocks);
+    const candidates = [
+      ['minimum', Number.isFinite(floor) ? floor : 0],
+      ['observed', observedRate ?? 0],
+      ['mempool', mempoolRate ?? 0],
+    ];
+    const [basis, best] = candidates.reduce((top, candidate) => (candidate[1] > top[1] ? candidate : top));
+    const feeRate = Math.min(best, ceiling);
+    ceiling = feeRate;
+    return { key, label, blocks, feeRate, mempoolRate, observedRate, basis };
+  });
+  return { targets, percentiles: mempoolPercentiles(mempool), observations: observations.length };
+};
+
+/**
+ * Add an estimate to the session history: one sample per BLOCK_TIME_SECONDS
+ * interval (a newer estimate in the same interval replaces that interval's
+ * sample), at most `limit` samples.
+ *
+ * @param {{ time: number }[]} history samples, oldest first
+ * @param {{ targets: FeeRecommendation[] }} estimate
+ * @param {number} time epoch milliseconds
+ * @param {number} [limit=FEE_HISTORY_LIMIT]
+ * @returns {object[]} a new array of `{ time, [targetKey]: feeRate }`
+ */
+export const appendFeeSample = (history, estimate, time, limit = FEE_HISTORY_LIMIT) => {
+  const sample = { time, ...Object.fromEntries(estimate.targets.map((target) => [target.key, target.feeRate])) };
+  const interval = (t) => Math.floor(t / (BLOCK_TIME_SECONDS * 1000));
+  const last = history[history.length - 1];
+  const base = last && interval(last.time) === interval(time) ? history.slice(0, -1) : history;
+  return [...base, sample].slice(-limit);
+};
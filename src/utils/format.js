@@ -0,0 +1,90 @@
+/**
+ * Locale-aware number, date and relative-time formatting built on `Intl`.
+ *
+ * These are the pure versions; components use the bound copies from
+ * `useLocale()` (src/context/LocaleContext.js), which pass the active locale.
+ * Missing or non-numeric values render as an em dash rather than "NaN".
+ */
+
+const EMPTY = '—';
+
+/**
+ * Group and round a number for `locale` ("1,234,567" / "1.234.567").
+ *
+ * @param {number|string} value - Number (or numeric string) to format
+ * @param {string} locale - BCP 47 tag, e.g. 'en', 'es', 'zh'
+ * @param {Intl.NumberFormatOptions} [options] - e.g. fraction digits
+ * @returns {string}
+ */
+export const formatNumber = (value, locale = 'en', options) => {
+  if (value === null || value === undefined || value === '') return EMPTY;
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric)) return EMPTY;
+  return new Intl.NumberFormat(locale, options).format(numeric);
+};
+
+/**
+ * Format a date or timestamp (milliseconds) for `locale`.
+ *
+ * @param {Date|number|string} value - Date, epoch milliseconds or ISO string
+ * @param {string} locale - BCP 47 tag
+ * @param {Intl.DateTimeFormatOptions} [options] - defaults to a medium date
+ * @returns {string}
+ */
+export const formatDate = (value, locale = 'en', options = { dateStyle: 'medium' }) => {
+  if (value === null || value === undefined || value === '') return EMPTY;
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return EMPTY;
+  return new Intl.DateTimeFormat(locale, options).format(date);
+};
+
+/**
+ * A DGB amount with up to 8 decimals ("1,234.5 DGB").
+ *
+ * @param {number} value - Amount in DGB
+ * @param {string} locale - BCP 47 tag
+ * @returns {string}
+ */
+export const formatDgb = (value, locale = 'en') => (Number.isFinite(value)
+  ? `${formatNumber(value, locale, { maximumFractionDigits: 8 })} DGB`
+  : EMPTY);
+
+/**
+ * Date and time of a block or transaction from its epoch-seconds field
+ * (`time`, `mediantime`, `blocktime`, a feed block's `timestamp`).
+ *
+ * @param {number} seconds - Epoch seconds
+ * @param {string} locale - BCP 47 tag
+ * @returns {string}
+ */
+export const formatBlockTime = (seconds, locale = 'en') => (Number.isFinite(seconds)
+  ? formatDate(seconds * 1000, locale, { dateStyle: 'medium', timeStyle: 'medium' })
+  : EMPTY);
+
+/**
+ * Relative time of a past timestamp ("5 minutes ago", "hace 5 minutos",
+ * "5分钟前"). Under a minute it returns `justNow`, which callers take from
+ * the message catalog.
+ *
+ * @param {number} timestamp - Epoch milliseconds
+ * @param {string} locale - BCP 47 tag
+ * @param {Object} [options]
+ * @param {'long'|'short'|'narrow'} [options.style='long'] - Intl unit style
+ * @param {string} [options.justNow='just now'] - Text for < 1 minute
+ * @param {number} [options.now=Date.now()] - Reference time (tests)
+ * @returns {string|null} - null when `timestamp` is not a number
+ */
+export const formatRelativeTime = (timestamp, locale = 'en', {
+  style = 'long',
+  justNow = 'just now',
+  now = Date.now(),
+} = {}) => {
+  if (!Number.isFinite(timestamp)) return null;
+  const minutes = Math.floor((now - timestamp) / 60000);
+  if (minutes < 1) return justNow;
+  const rtf = new Intl.RelativeTimeFormat(locale, { style, numeric: 'always' });
+  if (minutes < 60) return rtf.format(-minutes, 'minute');
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return rtf.format(-hours, 'hour');
+  return rtf.format(-Math.floor(hours / 24), 'day');
+};
@@ -0,0 +1,188 @@
+/**
+ * Mempool history — transaction count, size and median feerate over time for
+ * the TxsPage MempoolHistoryChart (src/components/MempoolHistoryChart.js).
+ *
+ * Two sources are merged:
+ *   - the session: one sample per SAMPLE_INTERVAL_MS from the `mempool`
+ *     messages received while the Txs page is open, kept in a ring buffer of
+ *     SESSION_HISTORY_LIMIT samples (24 hours) in sessionStorage, per network;
+ *   - the server: `GET /api/history/mempool?hours=` when the backend records
+ *     one (useMempoolHistory). The session continues it after its last sample.
+ *
+ * A sample is `{ time, count, bytes, medianFeeRate }` (epoch ms, transactions,
+ * bytes, sat/vB or null without transactions).
+ */
+
+import { percentile } from './feeEstimate';
+import { txFeeRate, txVsize } from './mempoolProjection';
+
+export const MEMPOOL_HISTORY_KEY = 'dgbstats.mempoolHistory';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/** Chart ranges, shortest first. */
+export const MEMPOOL_HISTORY_RANGES = [
+  { key: '1h', label: '1H', ms: HOUR_MS },
+  { key: '24h', label: '24H', ms: 24 * HOUR_MS },
+  { key: '7d', label: '7D', ms: 7 * 24 * HOUR_MS },
+];
+export const DEFAULT_MEMPOOL_RANGE = '1h';
+
+/** One session sample per interval; a later message in the same interval replaces it. */
+export const SAMPLE_INTERVAL_MS = 30 * 1000;
+
+/** Session samples kept: 24 hours at one per SAMPLE_INTERVAL_MS. */
+export const SESSION_HISTORY_LIMIT = (24 * HOUR_MS) / SAMPLE_INTERVAL_MS;
+
+/** Block arrivals kept for the markers: an hour of blocks, as `recentBlocks` and `newBlock` bring them. */
+export const BLOCK_ARRIVAL_LIMIT = 240;
+
+/** Ranges the arrivals cover, and so get block markers. */
+export const MARKED_RANGES = ['1h'];
+
+/**
+ * A sample of one `mempool` message. Count and bytes come from the stats
+ * (getmempoolinfo), falling back to the listed transactions; the median
+ * feerate is over the listed transactions.
+ *
+ * @param {{ stats?: object, transactions?: object[] }} data
+ * @param {number} time epoch ms
+ * @returns {{ time: number, count: number, bytes: number, medianFeeRate: number|null }}
+ */
+export const mempoolSample = (data, time) => {
+  const transactions = Array.isArray(data?.transactions) ? data.transactions : [];
+  const stats = data?.stats || {};
+  const rates = transactions.map(txFeeRate).filter(Number.isFinite).sort((a, b) => a - b);
+  return {
+    time,
+    count: Number.isFinite(stats.size) ? stats.size : transactions.length,
+    bytes: Number.isFinite(stats.bytes) ? stats.bytes : transactions.reduce((sum, tx) => sum + txVsize(tx), 0),
+    medianFeeRate: percentile(rates, 50),
+  };
+};
+
+/**
+ * Add a sample to the session ring buffer.
+ *
+ * @param {object[]} history oldest first
+ * @param {object} sample
+ * @param {number} [limit=SESSION_HISTORY_LIMIT]
+ * @returns {object[]}
+ */
+export const appendMempoolSample = (history, sample, limit = SESSION_HISTORY_LIMIT) => {
+  const interval = (t) => Math.floor(t / SAMPLE_INTERVAL_MS);
+  const last = history[history.length - 1];
+  const base = last && interval(last.time) === interval(sample.time) ? history.slice(0, -1) : history;
+  return [...base, sample].slice(-limit);
+};
+
+// Epoch seconds, epoch ms or an ISO string → epoch ms.
+const toTime = (value) => {
+  if (typeof value === 'string') return Date.parse(value);
+  if (!Number.isFinite(value)) return NaN;
+  return value < 1e12 ? value * 1000 : value;
+};
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Samples of a `/api/history/mempool` response (`{ data: [{ time, count,
+ * bytes, medianFeeRate }] }`; `timestamp`, `size` and `median_fee_rate` are
+ * read too), oldest first. Unreadable entries are dropped.
+ *
+ * @param {object} response
+ * @returns {object[]}
+ */
+export const parseMempoolHistory = (response) => (Array.isArray(response?.data) ? response.data : [])
+  .map((entry) => ({
+    time: toTime(entry?.time ?? entry?.timestamp),
+    count: toNumber(entry?.count ?? entry?.size),
+    bytes: toNumber(entry?.bytes),
+    medianFeeRate: toNumber(entry?.medianFeeRate ?? entry?.median_fee_rate),
+  }))
+  .filter((sample) => Number.isFinite(sample.time))
+  .sort((a, b) => a.time - b.time);
+
+/** The server series followed by the session samples taken after its last one. */
+export const mergeMempoolHistory = (server = [], session = []) => {
+  const lastServer = server.length ? server[server.length - 1].time : -Infinity;
+  return [...server, ...session.filter((sample) => sample.time > lastServer)];
+};
+
+/** The range entry for a key (the default range for an unknown one). */
+export const mempoolRange = (key) => MEMPOOL_HISTORY_RANGES.find((range) => range.key === key)
+  || MEMPOOL_HISTORY_RANGES.find((range) => range.key === DEFAULT_MEMPOOL_RANGE);
+
+/**
+ * Samples within a range ending now.
+ *
+ * @param {object[]} samples oldest first
+ * @param {string} rangeKey
+ * @param {number} [now=Date.now()]
+ * @returns {object[]}
+ */
+export const samplesInRange = (samples, rangeKey, now = Date.now()) => {
+  const from = now - mempoolRange(rangeKey).ms;
+  return samples.filter((sample) => sample.time >= from);
+};
+
+/**
+ * Add blocks from `recentBlocks` / `newBlock` to the arrivals, one per
+ * height, oldest first. A block's own `timestamp` is used when it has one.
+ *
+ * @param {{ height: number, time: number }[]} arrivals
+ * @param {object[]} blocks
+ * @param {number} [now=Date.now()]
+ * @returns {{ height: number, time: number }[]} `arrivals` itself when nothing is new
+ */
+export const recordBlockArrivals = (arrivals, blocks, now = Date.now()) => {
+  const known = new Set(arrivals.map((arrival) => arrival.height));
+  const added = (blocks || [])
+    .filter((block) => Number.isFinite(block?.height) && !known.has(block.height))
+    .map((block) => ({ height: block.height, time: Number.isFinite(block.timestamp) ? block.timestamp * 1000 : now }));
+  if (!added.length) return arrivals;
+  return [...arrivals, ...added].sort((a, b) => a.time - b.time).slice(-BLOCK_ARRIVAL_LIMIT);
+};
+
+/** Block arrivals between two times (epoch ms), inclusive. */
+export const blockMarkersBetween = (arrivals, from, to) => (
+  arrivals.filter((arrival) => arrival.time >= from && arrival.time <= to)
+);
+
+const readStored = () => {
+  try {
+    const parsed = JSON.parse(window.sessionStorage.getItem(MEMPOOL_HISTORY_KEY));
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * This session's samples for one network, oldest first.
+ *
+ * @param {string} network
+ * @returns {object[]}
+ */
+export function loadSessionHistory(network) {
+  const samples = readStored()[network];
+  return Array.isArray(samples) ? samples.filter((sample) => Number.isFinite(sample?.time)) : [];
+}
+
+/**
+ * Replace this session's samples for one network.
+ *
+ * @param {string} network
+ * @param {object[]} samples
+ */
+export function saveSessionHistory(network, samples) {
+  try {
+    window.sessionStorage.setItem(MEMPOOL_HISTORY_KEY, JSON.stringify({ ...readStored(), [network]: samples }));
+  } catch (error) {
+    // Unsaved samples still chart until the page is left.
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * Next-block projection of the mempool — the model behind the TxsPage
+ * MempoolProjection view (src/components/MempoolProjection.js).
+ *
+ * Transactions are taken highest feerate first (oldest first on ties) and
+ * packed into block templates of BLOCK_MAX_VSIZE, the way a miner's
+ * getblocktemplate fills a block. Ancestor packages (CPFP) are not modelled:
+ * each transaction is placed by its own feerate. The last projected block
+ * takes everything that did not fit in the ones before it.
+ */
+
+/** DigiByte Core MAX_BLOCK_WEIGHT (4,000,000) in virtual bytes. */
+export const BLOCK_MAX_VSIZE = 1000000;
+
+export const PROJECTED_BLOCKS = 4;
+
+/**
+ * Feerate bands (sat/vB), lowest first; the same ranges and colours as the
+ * TxsPage fee distribution bar.
+ */
+export const FEE_BANDS = [
+  { key: '0-10', min: 0, color: '#4caf50' },
+  { key: '10-50', min: 10, color: '#8bc34a' },
+  { key: '50-100', min: 50, color: '#ffc107' },
+  { key: '100-500', min: 100, color: '#ff9800' },
+  { key: '500+', min: 500, color: '#f44336' },
+];
+
+/** Virtual size of a mempool transaction (bytes). */
+export const txVsize = (tx) => tx.vsize || tx.size || 0;
+
+/**
+ * Feerate in sat/vB: the server's `fee_rate` when present, otherwise the fee
+ * (DGB) over the virtual size — as TransactionCard shows it.
+ */
+export const txFeeRate = (tx) => {
+  if (Number.isFinite(tx.fee_rate)) return tx.fee_rate;
+  const vsize = txVsize(tx);
+  return vsize ? ((tx.fee || 0) * 100000000) / vsize : 0;
+};
+
+/** The FEE_BANDS entry a feerate falls in. */
+export const feeBand = (feeRate) => FEE_BANDS.reduce(
+  (band, candidate) => (feeRate >= candidate.min ? candidate : band),
+  FEE_BANDS[0],
+);
+
+/**
+ * Per-band totals of a list of transactions, highest band first (the order
+ * they stack in a projected block, top down).
+ *
+ * @param {object[]} txs
+ * @returns {{ key: string, color: string, count: number, vsize: number }[]}
+ */
+export const bandBreakdown = (txs) => {
+  const totals = new Map(FEE_BANDS.map((band) => [band.key, { ...band, count: 0, vsize: 0 }]));
+  txs.forEach((tx) => {
+    const total = totals.get(feeBand(txFeeRate(tx)).key);
+    total.count += 1;
+    total.vsize += txVsize(tx);
+  });
+  return [...totals.values()]
+    .filter((band) => band.count > 0)
+    .reverse()
+    .map(({ key, color, count, vsize }) => ({ key, color, count, vsize }));
+};
+
+const median = (sorted) => {
+  if (!sorted.length) return 0;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * @typedef {Object} ProjectedBlock
+ * @property {number} index 0 = the next block
+ * @property {object[]} txs transactions in template order
+ * @property {number} vsize
+ * @property {number} fees total fee (DGB)
+ * @property {number} minFeeRate
+ * @property {number} maxFeeRate
+ * @property {number} medianFeeRate
+ * @property {boolean} overflow true for a last block holding more than fits
+ * @property {Array} bands bandBreakdown of `txs`
+ */
+
+/**
+ * Project the next block templates from the mempool.
+ *
+ * @param {object[]} transactions mempool transactions
+ * @param {object} [opts]
+ * @param {number} [opts.count=PROJECTED_BLOCKS] blocks to project
+ * @param {number} [opts.maxVsize=BLOCK_MAX_VSIZE] template size
+ * @returns {ProjectedBlock[]}
+ */
+export const projectBlocks = (transactions, { count = PROJECTED_BLOCKS, maxVsize = BLOCK_MAX_VSIZE } = {}) => {
+  const queue = [...(transactions || [])]
+    .map((tx) => ({ tx, feeRate: txFeeRate(tx), vsize: txVsize(tx) }))
+    .sort((a, b) => (b.feeRate - a.feeRate) || ((a.tx.time || 0) - (b.tx.time || 0)));
+
+  const blocks = [];
+  let current = [];
+  let currentVsize = 0;
+  queue.forEach((entry) => {
+    const isLast = blocks.length === count - 1;
+    if (!isLast && current.length && currentVsize + entry.vsize > maxVsize) {
+      blocks.push(current);
+      current = [];
+      currentVsize = 0;
+    }
+    current.push(entry);
+    currentVsize += entry.vsize;
+  });
+  if (current.length) blocks.push(current);
+
+  return blocks.map((entries, index) => {
+    const rates = entries.map((entry) => entry.feeRate).sort((a, b) => a - b);
+    const vsize = entries.reduce((sum, entry) => sum + entry.vsize, 0);
+    const txs = entries.map((entry) => entry.tx);
+    return {
+      index,
+      txs,
+      vsize,
+      fees: txs.reduce((sum, tx) => sum + (tx.fee || 0), 0),
+      minFeeRate: rates[0],
+      maxFeeRate: rates[rates.length - 1],
+      medianFeeRate: median(rates),
+      overflow: vsize > maxVsize,
+      bands: bandBreakdown(txs),
+    };
+  });
+};
+
+/**
+ * Where a transaction sits in the projected queue.
+ *
+ * @param {ProjectedBlock[]} blocks from projectBlocks
+ * @param {string} txid
+ * @returns {{ block: number, rank: number, vsizeAhead: number, feeRate: number, band: string }|null}
+ *   `rank` is the 1-based position in the whole queue; `vsizeAhead` the
+ *   virtual bytes queued ahead of it
+ */
+export const findInProjection = (blocks, txid) => {
+  let rank = 0;
+  let vsizeAhead = 0;
+  for (const block of blocks) {
+    for (const tx of block.txs) {
+      rank += 1;
+      if (tx.txid === txid) {
+        const feeRate = txFeeRate(tx);
+        return { block: block.index, rank, vsizeAhead, feeRate, band: feeBand(feeRate).key };
+      }
+      vsizeAhead += txVsize(tx);
+    }
+  }
+  return null;
+};
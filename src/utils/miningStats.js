@@ -0,0 +1,135 @@
+/**
+ * Aggregation over the recent-blocks feed: per-miner summaries shared by the
+ * Pools, Pool Upgrades and Address pages, and the per-algorithm hashrate
+ * estimate shared by HashratePage and the hashrate embed widget.
+ *
+ * BOTH BIP9 deployments (DigiDollar bit 23 and Algolock bit 0) are ACTIVE,
+ * so version bits prove nothing any more. The one provable positive is a
+ * block carrying a v0x03 DigiDollar Bundle (`hasOracleBundle`):
+ *   'publishing' — at least one bundle block in the window
+ *   'none'       — no bundles in the window
+ */
+
+/** Payout address a block was mined to. */
+export const minerAddressOf = (block) => block.minerAddress || block.minedTo;
+
+/** Pool key: coinbase tag when known, otherwise the payout address. */
+export function poolKey(block) {
+  const id = (block.poolIdentifier || '').trim();
+  if (id && id.toLowerCase() !== 'unknown') return id;
+  return minerAddressOf(block) || 'Unknown';
+}
+
+/** 'publishing' when any block carries a DigiDollar Bundle, else 'none'. */
+export const upgradeStateOf = (blocks) => (blocks.some((b) => b.hasOracleBundle) ? 'publishing' : 'none');
+
+/**
+ * Summarize one miner's (or pool's) blocks.
+ *
+ * @param {Array<object>} blocks blocks from the recentBlocks / newBlock feed
+ * @returns {{
+ *   total: number,
+ *   bundles: number,
+ *   bundlePct: number,
+ *   status: 'publishing'|'none',
+ *   lastBundleHeight: number,
+ *   lastSigners: number|null,
+ *   lastPriceUsd: number|null,
+ *   latestHeight: number,
+ *   algoBreakdown: Array<{ algo: string, n: number, bundles: number }>,
+ *   algoList: string[],
+ * }}
+ */
+export function summarizeMinerBlocks(blocks) {
+  let bundles = 0;
+  let lastBundleHeight = -1;
+  let lastSigners = null;
+  let lastPriceUsd = null;
+  let latestHeight = -1;
+  const algos = new Map();
+
+  blocks.forEach((b) => {
+    const height = b.height || 0;
+    const hasBundle = !!b.hasOracleBundle;
+    if (hasBundle) {
+      bundles += 1;
+      if (height > lastBundleHeight) {
+        lastBundleHeight = height;
+        lastSigners = b.oracleSignerCount ?? null;
+        lastPriceUsd = b.oraclePriceUsd ?? null;
+      }
+    }
+    const algo = b.algo || 'unknown';
+    if (!algos.has(algo)) algos.set(algo, { algo, n: 0, bundles: 0 });
+    const a = algos.get(algo);
+    a.n += 1;
+    if (hasBundle) a.bundles += 1;
+    if (height > latestHeight) latestHeight = height;
+  });
+
+  const total = blocks.length;
+  return {
+    total,
+    bundles,
+    bundlePct: total ? Math.round((bundles / total) * 100) : 0,
+    status: bundles > 0 ? 'publishing' : 'none',
+    lastBundleHeight,
+    lastSigners,
+    lastPriceUsd,
+    latestHeight,
+    algoBreakdown: Array.from(algos.values()).sort((x, y) => y.n - x.n),
+    algoList: Array.from(algos.keys()),
+  };
+}
+
+/** DigiByte's five active mining algorithms, as named in block `algo`. */
+export const HASHRATE_ALGOS = ['SHA256D', 'Scrypt', 'Skein', 'Qubit', 'Odo'];
+
+/**
+ * Estimated hashrate (H/s) of each algorithm from the last hour of blocks.
+ *
+ * Hashrate Formula: [(blocks/hour ÷ 48) × avg_difficulty × 2^32] ÷ 75
+ * Where:
+ * - 48 = target blocks per hour per algorithm (75 seconds × 48 = 3600 seconds)
+ * - 2^32 = conversion factor for difficulty calculation
+ * - 75 = per-algorithm block target time in seconds
+ *
+ * @param {Array<object>} blocks blocks from the recentBlocks / newBlock feed
+ * @param {number} [now] current time in ms
+ * @returns {Object<string, number>} hashrate per algorithm, 0 when none mined
+ */
+export function hashratesByAlgo(blocks, now = Date.now()) {
+  const oneHourAgo = now - 60 * 60 * 1000;
+  const hourBlocks = blocks.filter((block) => block.timestamp * 1000 >= oneHourAgo);
+
+  return HASHRATE_ALGOS.reduce((acc, algo) => {
+    const algoBlocks = hourBlocks.filter((block) => block.algo === algo);
+    const blocksPerHour = algoBlocks.length;
+    const avgDifficulty = blocksPerHour > 0
+      ? algoBlocks.reduce((sum, block) => sum + block.difficulty, 0) / blocksPerHour
+      : 0;
+    const hashrate = blocksPerHour > 0
+      ? (blocksPerHour / 48) * avgDifficulty * Math.pow(2, 32) / 75
+      : 0;
+    return { ...acc, [algo]: hashrate };
+  }, {});
+}
+
+/**
+ * Format a raw hashrate (H/s) with the most readable unit.
+ *
+ * @param {number} n raw hashrate in H/s
+ * @returns {string} e.g. '1.25 PH/s'
+ */
+export function formatHashrate(n) {
+  const units = ['H/s', 'KH/s', 'MH/s', 'GH/s', 'TH/s', 'PH/s', 'EH/s'];
+  let value = Number(n) || 0;
+  let index = 0;
+
+  while (value >= 1000 && index < units.length - 1) {
+    value /= 1000;
+    index++;
+  }
+
+  return `${value.toFixed(2)} ${units[index]}`;
+}
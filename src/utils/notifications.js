@@ -0,0 +1,35 @@
+/**
+ * Browser notifications shared by the alert rules (AlertsContext) and the
+ * transaction watchlist (TxWatchContext). Permission is requested from the
+ * Header AlertCenter or the watchlist panel, both through `useAlerts()`.
+ */
+
+export const NOTIFICATION_TITLE = 'DigiByte Stats';
+
+/** 'granted' | 'denied' | 'default', or 'unsupported' without the API. */
+export const notificationPermission = () => (
+  typeof window !== 'undefined' && window.Notification ? window.Notification.permission : 'unsupported'
+);
+
+/**
+ * Show a notification once permission is granted; a no-op otherwise.
+ * Clicking it brings the tab forward. Mobile browsers only show
+ * notifications through the service worker.
+ *
+ * @param {string} title
+ * @param {NotificationOptions} options
+ */
+export const showBrowserNotification = (title, options) => {
+  if (notificationPermission() !== 'granted') return;
+  try {
+    const notification = new window.Notification(title, options);
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+    };
+  } catch (error) {
+    navigator.serviceWorker?.getRegistration?.()
+      .then((registration) => registration?.showNotification(title, options))
+      .catch(() => {});
+  }
+};
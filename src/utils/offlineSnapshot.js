@@ -0,0 +1,77 @@
+/**
+ * Offline snapshot store — the last payload of each key snapshot type,
+ * persisted per network in IndexedDB so a later visit without a connection
+ * still has something to render.
+ *
+ * The shared WebSocket client (utils/wsClient.js) saves every snapshot it
+ * caches and, when created, restores the stored ones for subscribers that
+ * have nothing fresher. Where IndexedDB is unavailable (private modes, old
+ * browsers, tests) the store loads nothing and saves nowhere.
+ */
+
+/** Snapshot types worth keeping for offline visits. */
+export const SNAPSHOT_TYPES = ['initialData', 'recentBlocks', 'chainTips', 'oracleData', 'ddStatsData'];
+
+const DB_NAME = 'dgbstats';
+const DB_VERSION = 1;
+const STORE = 'snapshots';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      // Blocked or denied storage: carry on without persistence.
+      request.onerror = () => resolve(null);
+    });
+  }
+  return dbPromise;
+};
+
+const run = (mode, operation) => openDb().then((db) => {
+  if (!db) return null;
+  return new Promise((resolve) => {
+    const tx = db.transaction(STORE, mode);
+    const request = operation(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => resolve(null);
+    tx.onabort = () => resolve(null);
+  });
+}).catch(() => null);
+
+/**
+ * Create the snapshot store for one network.
+ *
+ * @param {string} network - 'mainnet' | 'testnet'
+ * @returns {{
+ *   load: () => Promise<Array<{ type: string, message: object, savedAt: number }>>,
+ *   save: (message: object) => Promise<void>
+ * }}
+ */
+export const createSnapshotStore = (network) => ({
+  load: () => run('readonly', (store) => store.getAll()).then((rows) => (
+    (rows || [])
+      .filter((row) => row.network === network && SNAPSHOT_TYPES.includes(row.type))
+      .map(({ type, message, savedAt }) => ({ type, message, savedAt }))
+  )),
+
+  save: (message) => {
+    if (!message || !SNAPSHOT_TYPES.includes(message.type)) return Promise.resolve();
+    const row = {
+      key: `${network}:${message.type}`,
+      network,
+      type: message.type,
+      message,
+      savedAt: Date.now(),
+    };
+    return run('readwrite', (store) => store.put(row)).then(() => undefined);
+  },
+});
+
+export default createSnapshotStore;
@@ -0,0 +1,39 @@
+/**
+ * Oracle slot constants shared by the Oracles page and the Header search.
+ */
+
+/** DigiDollar oracle slots (ids 0-34). */
+export const ORACLE_TOTAL_SLOTS = 35;
+
+// Oracle name mapping for cases where daemon returns "Unknown".
+// The node's vOracleNodes list uses placeholder keys for IDs 9 and 10;
+// their real-world operator names must be supplied here.
+export const ORACLE_NAMES = {
+  7: 'LookInto',        // Oracle 7
+  9: 'Ogilvie',         // Oracle 9
+  10: 'ChopperBrian',   // Oracle 10
+  11: 'hallvardo',      // Oracle 11
+  12: 'DaPunzy',        // Oracle 12
+  13: 'DigiByteForce',  // Oracle 13
+  14: 'Neel',           // Oracle 14
+  15: 'DigiSwarm',      // Oracle 15
+  16: 'GTO90',          // Oracle 16
+  17: 'digibyte-maxi',  // Oracle 17
+  18: 'Anthony',        // Oracle 18
+  19: 'mbah_jambon',    // Oracle 19
+  20: 'Camden',         // Oracle 20
+  21: 'Twoface123',     // Oracle 21
+  22: 'LivingTheLife',  // Oracle 22
+  23: 'ChozenOne43',    // Oracle 23
+  24: 'ckunchained',    // Oracle 24
+  25: 'JMag',           // Oracle 25
+  26: 'HashedMax',      // Oracle 26
+  27: 'DennisPitallano',// Oracle 27
+  28: 'DigiHash',       // Oracle 28
+  29: 'Michael E',      // Oracle 29
+  30: 'DigibyteDaily',  // Oracle 30
+  31: 'Peer2Peer / DigiRoos', // Oracle 31
+  32: '3DogsKanab',     // Oracle 32
+  33: 'LiberatedLark',  // Oracle 33
+  34: 'Manu_DGB_oracle' // Oracle 34
+};
@@ -0,0 +1,158 @@
+/**
+ * Per-route page metadata — title, description, canonical URL and Open Graph
+ * image for every mainnet and testnet page.
+ *
+ * The text and images live in the route registry (src/routes.js); a
+ * `/testnet` prefix selects the testnet title template and sitemap priority.
+ * Two consumers share it:
+ *
+ *   - `components/PageMeta.js` rewrites the document head on every
+ *     client-side navigation.
+ *   - `scripts/prerender.mjs` bakes the same tags into one HTML file per
+ *     route after `npm run build`, and `scripts/generate-sitemap.mjs` writes
+ *     `public/sitemap.xml` from the registry.
+ *
+ * This module is plain ESM with no imports so the Node build scripts can load
+ * it too; callers pass the registry's SITE and routes in.
+ */
+
+// Same prefix as src/routes.js, repeated to keep this module import-free.
+const TESTNET_PREFIX = '/testnet';
+
+// Long hashes and addresses would push the site name out of a tab title.
+const shortenParam = (value) => (
+  value.length > 20 ? `${value.slice(0, 8)}…${value.slice(-8)}` : value
+);
+
+const fillTemplate = (template, values) => template.replace(
+  /\{(\w+)\}/g,
+  (match, key) => (values[key] !== undefined ? values[key] : match)
+);
+
+/**
+ * Split a pathname into its network and the mainnet-relative route path.
+ *
+ * @param {string} pathname - e.g. '/testnet/blocks'
+ * @returns {{ network: 'mainnet'|'testnet', path: string }}
+ */
+export const splitNetworkPath = (pathname) => {
+  const clean = `/${String(pathname || '').split(/[?#]/)[0].replace(/^\/+|\/+$/g, '')}`;
+  if (clean === TESTNET_PREFIX || clean.startsWith(`${TESTNET_PREFIX}/`)) {
+    return { network: 'testnet', path: clean.slice(TESTNET_PREFIX.length) || '/' };
+  }
+  return { network: 'mainnet', path: clean };
+};
+
+/**
+ * Match a route pattern such as `/tx/:txid` against a path.
+ *
+ * @param {string} pattern
+ * @param {string} path
+ * @returns {Object|null} - The decoded params, or null when it does not match
+ */
+export const matchRoute = (pattern, path) => {
+  const patternParts = pattern.split('/').filter(Boolean);
+  const pathParts = path.split('/').filter(Boolean);
+  if (patternParts.length !== pathParts.length) return null;
+
+  const params = {};
+  for (let i = 0; i < patternParts.length; i += 1) {
+    if (patternParts[i].startsWith(':')) {
+      try {
+        params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+      } catch (error) {
+        params[patternParts[i].slice(1)] = pathParts[i];
+      }
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null;
+    }
+  }
+  return params;
+};
+
+/**
+ * Resolve the metadata of one page.
+ *
+ * Paths that match no route on their network get SITE.notFound with
+ * `route: null`.
+ *
+ * @param {string} pathname - Location pathname, with or without `/testnet`
+ * @param {Object} site - SITE from src/routes.js
+ * @param {Array<Object>} routes - Enabled registry routes
+ * @returns {{
+ *   network: string, route: Object|null, title: string, heading: string,
+ *   description: string, url: string, image: string,
+ *   changefreq: string, priority: number
+ * }}
+ */
+export const resolvePageMeta = (pathname, site, routes) => {
+  const { network, path } = splitNetworkPath(pathname);
+  const isTestnet = network === 'testnet';
+  const candidates = routes.filter((route) => route.networks.includes(network));
+
+  let params = {};
+  let route = candidates.find((candidate) => candidate.path === path);
+  if (!route) {
+    route = candidates.find((candidate) => candidate.path.includes(':') && matchRoute(candidate.path, path));
+    params = route ? matchRoute(route.path, path) : {};
+  }
+
+  const page = route || site.notFound;
+  const shortParams = Object.fromEntries(Object.entries(params).map(([key, value]) => [key, shortenParam(value)]));
+  const heading = fillTemplate(page.title, shortParams);
+  const title = !isTestnet && page.fullTitle
+    ? page.fullTitle
+    : fillTemplate(isTestnet ? site.testnetTitleTemplate : site.titleTemplate, { title: heading });
+  const fullPath = isTestnet ? `${TESTNET_PREFIX}${path === '/' ? '' : path}` : path;
+
+  return {
+    network,
+    route: route || null,
+    title,
+    heading,
+    description: fillTemplate(page.description, params),
+    url: `${site.siteUrl}${fullPath}`,
+    image: `${site.siteUrl}${page.ogImage || site.defaultImage}`,
+    changefreq: page.changefreq || site.defaultChangefreq,
+    priority: isTestnet
+      ? (page.testnetPriority ?? site.defaultTestnetPriority)
+      : (page.priority ?? site.defaultPriority),
+  };
+};
+
+// [selector, attribute, element to create when missing, meta field]
+const HEAD_TAGS = [
+  ['meta[name="title"]', 'content', { name: 'title' }, 'title'],
+  ['meta[name="description"]', 'content', { name: 'description' }, 'description'],
+  ['meta[property="og:url"]', 'content', { property: 'og:url' }, 'url'],
+  ['meta[property="og:title"]', 'content', { property: 'og:title' }, 'title'],
+  ['meta[property="og:description"]', 'content', { property: 'og:description' }, 'description'],
+  ['meta[property="og:image"]', 'content', { property: 'og:image' }, 'image'],
+  ['meta[name="twitter:url"]', 'content', { name: 'twitter:url' }, 'url'],
+  ['meta[name="twitter:title"]', 'content', { name: 'twitter:title' }, 'title'],
+  ['meta[name="twitter:description"]', 'content', { name: 'twitter:description' }, 'description'],
+  ['meta[name="twitter:image"]', 'content', { name: 'twitter:image' }, 'image'],
+  ['link[rel="canonical"]', 'href', { rel: 'canonical' }, 'url'],
+];
+
+/**
+ * Write a page's metadata into the document head, creating any tag that is
+ * missing.
+ *
+ * @param {Object} meta - From resolvePageMeta()
+ * @param {Document} [doc]
+ */
+export const applyPageMeta = (meta, doc = document) => {
+  doc.title = meta.title;
+  HEAD_TAGS.forEach(([selector, attribute, attributes, field]) => {
+    let element = doc.head.querySelector(selector);
+    if (!element) {
+      element = doc.createElement(selector.startsWith('link') ? 'link' : 'meta');
+      Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+      doc.head.appendChild(element);
+    }
+    element.setAttribute(attribute, meta[field]);
+  });
+};
+
+export default resolvePageMeta;
@@ -0,0 +1,83 @@
+/**
+ * Page view state in the query string — the codecs and pure read/write
+ * helpers behind useQueryParams (src/hooks/useQueryParams.js).
+ *
+ * A schema maps each query parameter to a codec:
+ *
+ *   defaultValue  value when the parameter is missing or malformed; a value
+ *                 equal to it is left out of the URL
+ *   parse         raw string → value, or null when the string is not valid
+ *   serialize     value → raw string
+ *
+ * Parameters not in the schema (`lang`, another component's state) are kept.
+ */
+
+/** Free text, e.g. a search box. */
+export const stringParam = (defaultValue = '') => ({
+  defaultValue,
+  parse: (raw) => raw,
+  serialize: (value) => String(value),
+});
+
+/** One of a fixed set of keys, e.g. a sort order. */
+export const enumParam = (values, defaultValue = values[0]) => ({
+  defaultValue,
+  parse: (raw) => (values.includes(raw) ? raw : null),
+  serialize: (value) => String(value),
+});
+
+/** On/off switch, written `=1` when on. */
+export const flagParam = () => ({
+  defaultValue: false,
+  parse: (raw) => (raw === '1' ? true : raw === '0' ? false : null),
+  serialize: (value) => (value ? '1' : '0'),
+});
+
+/** Non-negative integer, e.g. a block height; null (absent) by default. */
+export const intParam = (defaultValue = null) => ({
+  defaultValue,
+  parse: (raw) => (/^\d+$/.test(raw) ? Number(raw) : null),
+  serialize: (value) => String(value),
+});
+
+const isDefault = (codec, value) => value === null
+  || value === undefined
+  || value === codec.defaultValue
+  || (codec.defaultValue !== null && codec.serialize(value) === codec.serialize(codec.defaultValue));
+
+/**
+ * Values for every parameter in `schema`.
+ *
+ * @param {string} search location.search
+ * @param {Object<string, { defaultValue: *, parse: Function }>} schema
+ * @returns {Object<string, *>}
+ */
+export const readQuery = (search, schema) => {
+  const params = new URLSearchParams(search);
+  return Object.fromEntries(Object.entries(schema).map(([name, codec]) => {
+    const raw = params.get(name);
+    const value = raw === null ? null : codec.parse(raw);
+    return [name, value === null || value === undefined ? codec.defaultValue : value];
+  }));
+};
+
+/**
+ * Query string with `patch` applied. Parameters set to their default (or
+ * null) are removed.
+ *
+ * @param {string} search current location.search
+ * @param {object} schema
+ * @param {Object<string, *>} patch values for some of the schema's parameters
+ * @returns {string} '' or '?…'
+ */
+export const writeQuery = (search, schema, patch) => {
+  const params = new URLSearchParams(search);
+  Object.entries(patch).forEach(([name, value]) => {
+    const codec = schema[name];
+    if (!codec) return;
+    if (isDefault(codec, value)) params.delete(name);
+    else params.set(name, codec.serialize(value));
+  });
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
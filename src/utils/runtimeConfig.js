@@ -0,0 +1,76 @@
+/**
+ * Runtime endpoint configuration, so one build can be deployed against any
+ * backend.
+ *
+ * `src/index.js` awaits `loadRuntimeConfig()` before the first render. It
+ * fetches `/runtime-config.json` from the site root; a missing, invalid or
+ * non-JSON file is ignored and the build-time `REACT_APP_*` defaults in
+ * NetworkContext apply. Only endpoint keys are honoured:
+ *
+ *   {
+ *     "apiBaseUrl": "https://api.example.org",
+ *     "mainnet": { "wsBaseUrl": "wss://example.org/ws" },
+ *     "testnet": { "wsBaseUrl": "wss://example.org/ws-testnet" }
+ *   }
+ *
+ * A per-network `apiBaseUrl` wins over the top-level one.
+ */
+
+export const RUNTIME_CONFIG_URL = '/runtime-config.json';
+
+const ENDPOINT_KEYS = ['apiBaseUrl', 'wsBaseUrl'];
+
+let runtimeConfig = {};
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Keep only non-empty string endpoint keys, dropping any trailing slash.
+const pickEndpoints = (source) => {
+  if (!isPlainObject(source)) return {};
+  return ENDPOINT_KEYS.reduce((acc, key) => {
+    const value = source[key];
+    if (typeof value === 'string' && value.trim()) {
+      acc[key] = value.trim().replace(/\/+$/, '');
+    }
+    return acc;
+  }, {});
+};
+
+/**
+ * Endpoint overrides for one network (empty object when none are configured).
+ *
+ * @param {string} network 'mainnet' | 'testnet'
+ * @returns {{ apiBaseUrl?: string, wsBaseUrl?: string }}
+ */
+export function getRuntimeEndpoints(network) {
+  const shared = pickEndpoints({ apiBaseUrl: runtimeConfig.apiBaseUrl });
+  return { ...shared, ...pickEndpoints(runtimeConfig[network]) };
+}
+
+/**
+ * Replace the active runtime configuration. Used by the loader and by tests.
+ *
+ * @param {object} config parsed runtime-config.json contents
+ */
+export function setRuntimeConfig(config) {
+  runtimeConfig = isPlainObject(config) ? config : {};
+}
+
+/**
+ * Fetch and apply `/runtime-config.json`. Never rejects.
+ *
+ * @param {string} [url]
+ * @returns {Promise<object>} the applied configuration
+ */
+export async function loadRuntimeConfig(url = RUNTIME_CONFIG_URL) {
+  try {
+    const response = await fetch(url, { cache: 'no-store' });
+    if (response.ok) {
+      setRuntimeConfig(await response.json());
+    }
+  } catch (error) {
+    // Dev servers answer unknown paths with index.html; fall back to defaults.
+    console.warn('Runtime config not loaded, using build defaults:', error.message);
+  }
+  return runtimeConfig;
+}
@@ -0,0 +1,180 @@
+import { ORACLE_NAMES, ORACLE_TOTAL_SLOTS } from './oracles';
+import { formatNumber } from './format';
+
+/**
+ * Query classification and recent-search history for the Header search.
+ *
+ * `classifyQuery` turns free text into candidate targets, most specific
+ * first:
+ *
+ *   height   all digits                          → /block/:height
+ *   hash     64 hex chars (block or tx)          → resolved by GlobalSearch
+ *   address  dgb1… / dgbt1… bech32, D/S/3 or s/y base58
+ *   oracle   "oracle 12", "oracle:12" or an operator name
+ *   pool     a pool identifier seen in the recent-blocks feed
+ *
+ * History lives in localStorage, newest first, tagged with the network it
+ * was made on.
+ */
+
+export const SEARCH_HISTORY_KEY = 'dgbstats.recentSearches';
+export const SEARCH_HISTORY_LIMIT = 8;
+
+const MAX_HEIGHT = 1e9;
+const BASE58 = '[1-9A-HJ-NP-Za-km-z]';
+const BASE58_ADDRESS = {
+  mainnet: new RegExp(`^[DS3]${BASE58}{25,34}$`),
+  testnet: new RegExp(`^[sy]${BASE58}{25,34}$`),
+};
+const BECH32_HRP = { dgb: 'mainnet', dgbt: 'testnet' };
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+const BECH32_CONST = 1;
+const BECH32M_CONST = 0x2bc830a3;
+
+const bech32Polymod = (values) => {
+  let chk = 1;
+  values.forEach((value) => {
+    const top = chk >>> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ value;
+    BECH32_GENERATOR.forEach((gen, i) => {
+      if ((top >>> i) & 1) chk ^= gen;
+    });
+  });
+  return chk >>> 0;
+};
+
+const bech32HrpExpand = (hrp) => [
+  ...Array.from(hrp, (c) => c.charCodeAt(0) >> 5),
+  0,
+  ...Array.from(hrp, (c) => c.charCodeAt(0) & 31),
+];
+
+/**
+ * Network of a checksummed DigiByte bech32 / bech32m address, or null.
+ *
+ * @param {string} value
+ * @returns {'mainnet'|'testnet'|null}
+ */
+export function bech32Network(value) {
+  if (value.length > 90 || (value !== value.toLowerCase() && value !== value.toUpperCase())) return null;
+  const lower = value.toLowerCase();
+  const sep = lower.lastIndexOf('1');
+  const network = BECH32_HRP[lower.slice(0, sep)];
+  if (!network || lower.length - sep - 1 < 6) return null;
+
+  const data = Array.from(lower.slice(sep + 1), (c) => BECH32_CHARSET.indexOf(c));
+  if (data.some((d) => d < 0)) return null;
+  const check = bech32Polymod([...bech32HrpExpand(lower.slice(0, sep)), ...data]);
+  return check === BECH32_CONST || check === BECH32M_CONST ? network : null;
+}
+
+/**
+ * Network a DigiByte address belongs to (bech32 checksum verified; base58 by
+ * version prefix and length), or null when the input is not an address.
+ *
+ * @param {string} value
+ * @returns {'mainnet'|'testnet'|null}
+ */
+export function addressNetwork(value) {
+  if (typeof value !== 'string') return null;
+  if (/^dgbt?1/i.test(value)) return bech32Network(value);
+  if (BASE58_ADDRESS.mainnet.test(value)) return 'mainnet';
+  if (BASE58_ADDRESS.testnet.test(value)) return 'testnet';
+  return null;
+}
+
+/** Abbreviated hash for labels, e.g. `000000a1b2c3…d4e5f6`. */
+export const shortHash = (hash) => `${hash.slice(0, 12)}…${hash.slice(-6)}`;
+
+/**
+ * Candidate targets for a search query, most specific first; empty when
+ * nothing matches.
+ *
+ * @param {string} raw user input
+ * @param {{ poolNames?: string[], oracleNames?: Object<number, string> }} [context]
+ * @returns {Array<{ kind: string, value: string|number, label: string, network?: string }>}
+ */
+export function classifyQuery(raw, { poolNames = [], oracleNames = ORACLE_NAMES } = {}) {
+  const query = (raw || '').trim();
+  if (!query) return [];
+
+  if (/^\d+$/.test(query)) {
+    const height = Number(query);
+    return height <= MAX_HEIGHT ? [{ kind: 'height', value: height, label: `Block ${formatNumber(height)}` }] : [];
+  }
+  if (/^[0-9a-f]{64}$/i.test(query)) {
+    const hash = query.toLowerCase();
+    return [{ kind: 'hash', value: hash, label: `Block or transaction ${shortHash(hash)}` }];
+  }
+  const network = addressNetwork(query);
+  if (network) {
+    return [{ kind: 'address', value: query, network, label: `Address ${query}` }];
+  }
+
+  const candidates = [];
+  const lower = query.toLowerCase();
+  const oracleId = lower.match(/^oracle\s*[:#]?\s*(\d+)$/);
+  if (oracleId && Number(oracleId[1]) < ORACLE_TOTAL_SLOTS) {
+    const id = Number(oracleId[1]);
+    candidates.push({ kind: 'oracle', value: id, label: `Oracle ${id}${oracleNames[id] ? ` — ${oracleNames[id]}` : ''}` });
+  }
+  Object.entries(oracleNames).forEach(([id, name]) => {
+    if (name.toLowerCase() === lower) {
+      candidates.push({ kind: 'oracle', value: Number(id), label: `Oracle ${id} — ${name}` });
+    }
+  });
+  // Exact pool names first, then prefix matches.
+  const pools = [...new Set(poolNames.filter(Boolean))];
+  const exact = pools.filter((name) => name.toLowerCase() === lower);
+  const partial = pools.filter((name) => name.toLowerCase() !== lower && name.toLowerCase().startsWith(lower));
+  [...exact, ...partial].forEach((name) => {
+    candidates.push({ kind: 'pool', value: name, label: `Pool ${name}` });
+  });
+  return candidates;
+}
+
+const readHistory = () => {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(SEARCH_HISTORY_KEY));
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Recent searches made on one network, newest first.
+ *
+ * @param {string} network
+ * @returns {Array<{ label: string, network: string, path?: string, href?: string }>}
+ */
+export function loadSearchHistory(network) {
+  return readHistory().filter((entry) => entry && entry.network === network && entry.label);
+}
+
+/**
+ * Record a resolved search, dropping any older entry for the same target.
+ * Storage failures (private mode, quota) are ignored.
+ *
+ * @param {{ label: string, network: string, path?: string, href?: string }} entry
+ * @returns {Array<object>} the updated history for the entry's network
+ */
+export function saveSearchHistory(entry) {
+  const target = entry.path || entry.href;
+  const next = [
+    entry,
+    ...readHistory().filter((e) => !(e.network === entry.network && (e.path || e.href) === target)),
+  ];
+  const perNetwork = {};
+  const trimmed = next.filter((e) => {
+    perNetwork[e.network] = (perNetwork[e.network] || 0) + 1;
+    return perNetwork[e.network] <= SEARCH_HISTORY_LIMIT;
+  });
+  try {
+    window.localStorage.setItem(SEARCH_HISTORY_KEY, JSON.stringify(trimmed));
+  } catch (error) {
+    // History is a convenience; searching still works without it.
+  }
+  return trimmed.filter((e) => e.network === entry.network);
+}
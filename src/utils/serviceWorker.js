@@ -0,0 +1,29 @@
+/**
+ * Service worker registration for the installable, offline-capable app.
+ *
+ * `public/service-worker.js` caches the app shell; the live data shown
+ * offline comes from the IndexedDB snapshot store (utils/offlineSnapshot.js).
+ * Only production builds register it, so the dev server never serves stale
+ * bundles from cache.
+ */
+
+export const SERVICE_WORKER_URL = `${process.env.PUBLIC_URL || ''}/service-worker.js`;
+
+/**
+ * Register the service worker once the page has loaded.
+ *
+ * @returns {boolean} true when registration was scheduled
+ */
+export const registerServiceWorker = () => {
+  if (process.env.NODE_ENV !== 'production') return false;
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return false;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(SERVICE_WORKER_URL).catch((error) => {
+      console.error('Service worker registration failed:', error);
+    });
+  });
+  return true;
+};
+
+export default registerServiceWorker;
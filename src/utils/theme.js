@@ -0,0 +1,106 @@
+import { createTheme } from '@mui/material/styles';
+
+/**
+ * MUI theme for one network palette in one colour mode.
+ *
+ * Besides the standard palette, pages read these tokens instead of
+ * hardcoding colours:
+ *
+ *   background.page    full-page backdrop gradient
+ *   background.hero    page hero-card gradient
+ *   background.subtle  tinted panel / hero-card fill
+ *   background.code    monospace value wells (hashes, scripts)
+ *   chart.text / chart.grid / chart.tooltip / chart.tooltipText / chart.stroke /
+ *   chart.surface      Chart.js and D3 axes, gridlines, tooltips, slice borders
+ *                      and the plot-area tint
+ *
+ * `networkTheme` is the `{ primary, secondary }` pair from NetworkContext for
+ * the same mode, so mainnet blue and testnet green both carry through.
+ */
+
+const SURFACES = {
+  light: {
+    background: {
+      default: '#ffffff',
+      paper: '#ffffff',
+      page: 'linear-gradient(to bottom, #f8f9fa, #ffffff)',
+      hero: 'linear-gradient(135deg, #f8f9fa 0%, #e8eef7 100%)',
+      subtle: '#f2f4f8',
+      code: 'rgba(0, 0, 0, 0.04)',
+    },
+    chart: {
+      text: '#333333',
+      grid: 'rgba(0, 0, 0, 0.1)',
+      tooltip: 'rgba(0, 35, 82, 0.9)',
+      tooltipText: '#ffffff',
+      stroke: '#ffffff',
+      surface: '#f7f8fb',
+    },
+  },
+  dark: {
+    background: {
+      default: '#0f141c',
+      paper: '#161d29',
+      page: 'linear-gradient(to bottom, #0f141c, #131a25)',
+      hero: 'linear-gradient(135deg, #182131 0%, #1d2838 100%)',
+      subtle: '#1d2635',
+      code: 'rgba(255, 255, 255, 0.06)',
+    },
+    chart: {
+      text: '#d6dde8',
+      grid: 'rgba(255, 255, 255, 0.12)',
+      tooltip: 'rgba(22, 29, 41, 0.95)',
+      tooltipText: '#ffffff',
+      stroke: '#161d29',
+      surface: 'rgba(255, 255, 255, 0.03)',
+    },
+  },
+};
+
+export const createAppTheme = ({ mode = 'light', networkTheme }) => {
+  const paletteMode = SURFACES[mode] ? mode : 'light';
+  const surfaces = SURFACES[paletteMode];
+  return createTheme({
+    palette: {
+      mode: paletteMode,
+      primary: { main: networkTheme.primary, contrastText: '#ffffff' },
+      secondary: { main: networkTheme.secondary, contrastText: '#ffffff' },
+      background: surfaces.background,
+      chart: surfaces.chart,
+    },
+    typography: {
+      fontFamily: '"Roboto", "Helvetica", "Arial", sans-serif',
+      h1: { fontWeight: 700 },
+      h2: { fontWeight: 600 },
+      h3: { fontWeight: 600 },
+      h4: { fontWeight: 600 },
+      h5: { fontWeight: 500 },
+      h6: { fontWeight: 500 },
+    },
+    components: {
+      MuiButton: {
+        styleOverrides: {
+          root: {
+            borderRadius: 8,
+            textTransform: 'none',
+            fontWeight: 500,
+          },
+        },
+      },
+      MuiCard: {
+        styleOverrides: {
+          root: {
+            borderRadius: 8,
+            boxShadow: '0 4px 8px rgba(0,0,0,0.05)',
+          },
+        },
+      },
+    },
+  });
+};
+
+/**
+ * Chart.js / D3 colour tokens of a theme; light-mode values when the theme
+ * was not built by `createAppTheme` (components rendered outside a layout).
+ */
+export const getChartColors = (theme) => theme?.palette?.chart || SURFACES.light.chart;
@@ -0,0 +1,212 @@
+import { bytesToHex, describeOutput, hexToBytes, readUint64LE } from './blockDecode';
+
+/**
+ * Decoding helpers for the transaction detail page (/tx/:txid), working on a
+ * verbose `getrawtransaction` result (values in DGB, `vin[].prevout` when the
+ * server resolved the spent outputs).
+ *
+ * DigiDollar transactions are tagged by a marker output
+ *
+ *   OP_RETURN OP_DIGIDOLLAR (0xbb) <push: type (1) | DD amount in cents (8, LE)>
+ *
+ * with type 0x01 mint, 0x02 transfer, 0x03 redeem. A `digidollar` object
+ * decoded by the server wins over the marker.
+ */
+
+const OP_RETURN = 0x6a;
+const OP_DIGIDOLLAR = 0xbb;
+const OP_PUSHDATA1 = 0x4c;
+const TAPROOT_ANNEX_TAG = 0x50;
+const TAPROOT_LEAF_TAPSCRIPT = 0xc0;
+const TAPROOT_CONTROL_BASE = 33;
+const TAPROOT_CONTROL_NODE = 32;
+const TAPROOT_CONTROL_MAX_NODES = 128;
+
+/** Inputs with a sequence below this signal opt-in replace-by-fee (BIP125). */
+export const RBF_SEQUENCE_THRESHOLD = 0xfffffffe;
+
+/** DigiDollar transaction types by marker type byte. */
+export const DIGIDOLLAR_TYPES = {
+  1: 'mint',
+  2: 'transfer',
+  3: 'redeem',
+};
+
+/** A txid is 32 bytes of hex. */
+export const isTxid = (value) => typeof value === 'string' && /^[0-9a-f]{64}$/i.test(value);
+
+const sum = (values) => values.reduce((acc, v) => acc + v, 0);
+
+// DGB amounts carry 8 decimals; round away float noise from sums.
+const roundDgb = (value) => Math.round(value * 1e8) / 1e8;
+
+const isCoinbase = (tx) => Array.isArray(tx?.vin) && tx.vin.some((input) => input.coinbase != null);
+
+/**
+ * Whether the transaction signals BIP125 replaceability, either as reported
+ * by the mempool (`bip125-replaceable`) or from its input sequences.
+ *
+ * @param {object} tx
+ * @returns {boolean}
+ */
+export function isRbfSignaled(tx) {
+  if (typeof tx?.['bip125-replaceable'] === 'boolean') return tx['bip125-replaceable'];
+  const inputs = Array.isArray(tx?.vin) ? tx.vin : [];
+  return inputs.some((input) => input.coinbase == null
+    && Number.isFinite(input.sequence)
+    && input.sequence < RBF_SEQUENCE_THRESHOLD);
+}
+
+/**
+ * Fee in DGB: the server's `fee` when present, otherwise inputs minus outputs
+ * when every input's prevout value is known. Null for coinbase transactions
+ * and when it cannot be determined.
+ *
+ * @param {object} tx
+ * @returns {number|null}
+ */
+export function computeFee(tx) {
+  if (!tx || isCoinbase(tx)) return null;
+  if (Number.isFinite(tx.fee)) return tx.fee;
+  const inputs = Array.isArray(tx.vin) ? tx.vin : [];
+  const inputValues = inputs.map((input) => input.prevout?.value);
+  if (inputs.length === 0 || !inputValues.every(Number.isFinite)) return null;
+  const outputs = Array.isArray(tx.vout) ? tx.vout : [];
+  return roundDgb(sum(inputValues) - sum(outputs.map((out) => out.value || 0)));
+}
+
+/**
+ * Fee rate in sat/vB.
+ *
+ * @param {number|null} feeDgb
+ * @param {number} vsize virtual size in vbytes
+ * @returns {number|null}
+ */
+export function computeFeeRate(feeDgb, vsize) {
+  if (!Number.isFinite(feeDgb) || !Number.isFinite(vsize) || vsize <= 0) return null;
+  return (feeDgb * 1e8) / vsize;
+}
+
+/**
+ * Classify how a witness input spends. Taproot key-path spends carry a lone
+ * Schnorr signature; script-path spends end with the revealed tapscript and
+ * a control block (0xc0 leaf version | internal key | merkle path), followed
+ * by an optional annex (0x50 tag).
+ *
+ * Without a prevout only the tapscript leaf version (0xc0) is accepted, so a
+ * P2WSH witness is not mistaken for a script-path spend.
+ *
+ * @param {object} input vin entry
+ * @returns {{
+ *   type: 'key-path',
+ * }|{
+ *   type: 'script-path',
+ *   leafVersion: number,
+ *   depth: number,
+ *   internalKey: string,
+ *   script: string,
+ *   annex: string|null,
+ * }|null}
+ */
+export function decodeTaprootSpend(input) {
+  const witness = Array.isArray(input?.txinwitness) ? [...input.txinwitness] : [];
+  if (witness.length === 0) return null;
+  const prevoutType = input.prevout?.scriptPubKey?.type;
+  if (prevoutType && prevoutType !== 'witness_v1_taproot') return null;
+
+  let annex = null;
+  const last = hexToBytes(witness[witness.length - 1]);
+  if (witness.length >= 2 && last && last[0] === TAPROOT_ANNEX_TAG) {
+    annex = witness.pop();
+  }
+
+  if (witness.length === 1) {
+    const sig = hexToBytes(witness[0]);
+    return sig && (sig.length === 64 || sig.length === 65) ? { type: 'key-path' } : null;
+  }
+
+  const control = hexToBytes(witness[witness.length - 1]);
+  if (!control || control.length < TAPROOT_CONTROL_BASE) return null;
+  const pathBytes = control.length - TAPROOT_CONTROL_BASE;
+  const depth = pathBytes / TAPROOT_CONTROL_NODE;
+  if (!Number.isInteger(depth) || depth > TAPROOT_CONTROL_MAX_NODES) return null;
+
+  const leafVersion = control[0] & 0xfe;
+  if (!prevoutType && leafVersion !== TAPROOT_LEAF_TAPSCRIPT) return null;
+
+  return {
+    type: 'script-path',
+    leafVersion,
+    depth,
+    internalKey: bytesToHex(control.subarray(1, TAPROOT_CONTROL_BASE)),
+    script: witness[witness.length - 2],
+    annex,
+  };
+}
+
+/** True when a scriptPubKey hex starts with OP_RETURN OP_DIGIDOLLAR. */
+export const isDigiDollarScript = (hex) => typeof hex === 'string' && hex.toLowerCase().startsWith('6abb');
+
+/**
+ * Decode a DigiDollar marker script. Returns null for anything malformed.
+ *
+ * @param {string} scriptHex scriptPubKey hex
+ * @returns {{ type: string, amountCents: number }|null}
+ */
+export function decodeDigiDollarMarker(scriptHex) {
+  const script = hexToBytes(scriptHex);
+  if (!script || script.length < 3 || script[0] !== OP_RETURN || script[1] !== OP_DIGIDOLLAR) return null;
+
+  let offset = 2;
+  let length = script[offset];
+  offset += 1;
+  if (length === OP_PUSHDATA1) {
+    length = script[offset];
+    offset += 1;
+  } else if (length > 0x4b) {
+    return null;
+  }
+
+  const payload = script.subarray(offset, offset + length);
+  if (payload.length !== length || length < 9) return null;
+  const type = DIGIDOLLAR_TYPES[payload[0]];
+  if (!type) return null;
+  return { type, amountCents: readUint64LE(payload, 1) };
+}
+
+/**
+ * Identify a DigiDollar mint, transfer or redeem.
+ *
+ * @param {object} tx verbose getrawtransaction result
+ * @returns {{ type: string, amountCents: number|null, amountUsd: number|null, vout: number|null }|null}
+ */
+export function classifyDigiDollar(tx) {
+  const outputs = Array.isArray(tx?.vout) ? tx.vout : [];
+  const markerIndex = outputs.findIndex((out) => isDigiDollarScript(out?.scriptPubKey?.hex));
+  const vout = markerIndex >= 0 ? (outputs[markerIndex].n ?? markerIndex) : null;
+
+  if (tx?.digidollar && Object.values(DIGIDOLLAR_TYPES).includes(tx.digidollar.type)) {
+    const cents = tx.digidollar.amount_cents;
+    const amountCents = Number.isFinite(cents) ? cents : null;
+    return {
+      type: tx.digidollar.type,
+      amountCents,
+      amountUsd: amountCents != null ? amountCents / 100 : null,
+      vout,
+    };
+  }
+  if (markerIndex < 0) return null;
+  const marker = decodeDigiDollarMarker(outputs[markerIndex].scriptPubKey.hex);
+  return marker ? { ...marker, amountUsd: marker.amountCents / 100, vout } : null;
+}
+
+/**
+ * Short label for a transaction output's script type.
+ *
+ * @param {object} scriptPubKey
+ * @returns {string}
+ */
+export function describeTxOutput(scriptPubKey) {
+  if (isDigiDollarScript(scriptPubKey?.hex)) return 'OP_DIGIDOLLAR marker';
+  return describeOutput(scriptPubKey);
+}
@@ -0,0 +1,92 @@
+/**
+ * Transaction list filtering for TxsPage — search by txid, priority filter
+ * and sort, shared by the page (small lists) and the filter web worker
+ * (src/workers/txFilter.worker.js) for large mempools.
+ *
+ * The work is done on compact rows (`txFilterRow`) rather than the
+ * transactions themselves, so only a few fields per transaction are copied
+ * to the worker, and the result is a list of indices into the original
+ * array (`filterAndSortIndices`), so the objects never need to come back.
+ */
+
+/** Lists at least this long are filtered in the worker where one is available. */
+export const WORKER_THRESHOLD = 2000;
+
+/** Sort orders, as in TxsPage's `?sort=`. */
+export const TX_SORTS = ['time', 'value', 'fee', 'size'];
+
+/**
+ * Total value of a transaction's outputs.
+ *
+ * @param {Array} outputs
+ * @returns {number} DGB
+ */
+export const calculateTotalValue = (outputs) => {
+  if (!outputs || !Array.isArray(outputs)) return 0;
+  return outputs.reduce((sum, output) => sum + (output.amount || output.value || 0), 0);
+};
+
+/**
+ * The fields a transaction is filtered and sorted by.
+ *
+ * @param {object} tx
+ * @returns {{ txid: string, priority: string, value: number, fee: number, size: number, time: number }}
+ */
+export const txFilterRow = (tx) => ({
+  txid: (tx.txid || '').toLowerCase(),
+  priority: tx.priority,
+  value: tx.value || calculateTotalValue(tx.outputs),
+  fee: tx.fee || 0,
+  size: tx.vsize || tx.size || 0,
+  time: tx.time || tx.blocktime || 0,
+});
+
+const COMPARATORS = {
+  value: (a, b) => b.value - a.value,
+  fee: (a, b) => b.fee - a.fee,
+  size: (a, b) => b.size - a.size,
+  time: (a, b) => b.time - a.time,
+};
+
+/**
+ * Indices of the rows that match, in display order (largest / newest first;
+ * ties keep their original order).
+ *
+ * @param {object[]} rows from `txFilterRow`
+ * @param {{ search?: string, priority?: string, sort?: string }} [options]
+ * @returns {number[]}
+ */
+export const filterAndSortIndices = (rows, { search = '', priority = 'all', sort = 'time' } = {}) => {
+  const needle = search.toLowerCase();
+  const compare = COMPARATORS[sort] || COMPARATORS.time;
+  const indices = [];
+  rows.forEach((row, index) => {
+    if (needle && !row.txid.includes(needle)) return;
+    if (priority !== 'all' && row.priority !== priority) return;
+    indices.push(index);
+  });
+  return indices.sort((a, b) => compare(rows[a], rows[b]) || a - b);
+};
+
+/**
+ * Filter and sort transactions on the calling thread.
+ *
+ * @param {object[]} transactions
+ * @param {{ search?: string, priority?: string, sort?: string }} [options]
+ * @returns {object[]}
+ */
+export const filterAndSortTransactions = (transactions, options) => (
+  filterAndSortIndices(transactions.map(txFilterRow), options).map((index) => transactions[index])
+);
+
+/**
+ * The worker's side of the protocol: `{ id, rows, options }` in,
+ * `{ id, indices }` out (the id lets the page drop superseded answers).
+ *
+ * @param {{ id: number, rows: object[], options: object }} request
+ * @returns {{ id: number, indices: number[] }}
+ */
+export const handleFilterRequest = ({ id, rows, options }) => ({
+  id,
+  indices: filterAndSortIndices(rows, options),
+});
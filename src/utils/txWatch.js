@@ -0,0 +1,288 @@
+/**
+ * Transaction watchlist — the lifecycle of individually watched txids,
+ * tracked by `TxWatchProvider` (src/context/TxWatchContext.js) from the live
+ * feed and shown in the TxsPage watchlist panel.
+ *
+ * A watch is `{ txid, network, status, target, addedAt, firstSeen,
+ * blockHeight, blockHash, inBlockAt, confirmations, completedAt, leftAt,
+ * leftAtHeight, replacedBy, inputs }` (times in epoch ms). Its status moves
+ *
+ *   pending → mempool → confirming → complete
+ *
+ * `pending` until the txid shows up in the mempool, `confirming` once it is
+ * in a block, `complete` at `target` confirmations. Off the happy path:
+ *
+ *   left      `removedTransaction` without a reason; the next block may still
+ *             confirm it (the feed also removes transactions it mines)
+ *   evicted   removed for expiry / size limit, or `left` for EVICT_AFTER_BLOCKS
+ *             blocks without confirming
+ *   replaced  a new transaction spends one of its inputs (RBF), or it was
+ *             removed for a conflict
+ *
+ * A confirmation always wins: an evicted or replaced watch that later shows
+ * up in a block moves on to `confirming`. Watches are kept per network in
+ * localStorage.
+ */
+
+export const TX_WATCHLIST_KEY = 'dgbstats.txWatchlist';
+export const TX_WATCH_LIMIT = 20;
+
+/** Confirmations a new watch waits for. */
+export const DEFAULT_CONFIRMATION_TARGET = 6;
+
+/** Targets offered in the watchlist panel. */
+export const CONFIRMATION_TARGETS = [1, 3, 6, 12, 30, 100];
+
+/** Blocks a transaction that left the mempool gets to confirm before it counts as evicted. */
+export const EVICT_AFTER_BLOCKS = 2;
+
+/** Statuses that no longer change without a confirmation. */
+export const FINISHED_STATUSES = ['complete', 'evicted', 'replaced'];
+
+/** Feed messages the tracker reads. */
+export const TX_WATCH_MESSAGE_TYPES = [
+  'mempool', 'newTransaction', 'transactionConfirmed', 'confirmedTransaction',
+  'recentTransactions', 'removedTransaction', 'newBlock', 'recentBlocks', 'initialData',
+];
+
+const REPLACED_REASONS = ['replaced', 'conflict'];
+
+const outpoints = (tx) => (Array.isArray(tx?.inputs) ? tx.inputs : [])
+  .filter((input) => input && input.txid && input.vout !== undefined)
+  .map((input) => `${input.txid}:${input.vout}`);
+
+const blockHeightOf = (tx) => tx.blockHeight ?? tx.blockheight ?? null;
+
+/**
+ * A new watch of `tx` (a mempool or confirmed transaction from the feed, or
+ * just `{ txid }`).
+ *
+ * @param {string} network
+ * @param {object} tx
+ * @param {Object} [opts]
+ * @param {number} [opts.target=DEFAULT_CONFIRMATION_TARGET]
+ * @param {number|null} [opts.tipHeight] current chain height, for a confirmed tx
+ * @param {number} [opts.now=Date.now()]
+ * @returns {object}
+ */
+export const createWatch = (network, tx, { target = DEFAULT_CONFIRMATION_TARGET, tipHeight = null, now = Date.now() } = {}) => {
+  const watch = {
+    txid: tx.txid,
+    network,
+    status: 'pending',
+    target,
+    addedAt: now,
+    firstSeen: null,
+    blockHeight: null,
+    blockHash: null,
+    inBlockAt: null,
+    confirmations: 0,
+    completedAt: null,
+    leftAt: null,
+    leftAtHeight: null,
+    replacedBy: null,
+    inputs: outpoints(tx),
+  };
+  const height = blockHeightOf(tx);
+  if (height !== null || tx.confirmations > 0) {
+    return confirmWatch(watch, tx, { height, tipHeight, now });
+  }
+  return tx.fee !== undefined || tx.time ? seeWatch(watch, tx, now) : watch;
+};
+
+/** Recompute confirmations and completion against the chain tip. */
+export const settleWatch = (watch, tipHeight, now = Date.now()) => {
+  if (watch.blockHeight === null) return watch;
+  const confirmations = Number.isFinite(tipHeight)
+    ? Math.max(watch.confirmations, tipHeight - watch.blockHeight + 1)
+    : watch.confirmations;
+  const complete = confirmations >= watch.target;
+  return {
+    ...watch,
+    confirmations,
+    status: complete ? 'complete' : 'confirming',
+    completedAt: complete ? (watch.completedAt ?? now) : null,
+  };
+};
+
+// First sighting in the mempool (the node's entry time when it has one).
+const seeWatch = (watch, tx, now) => {
+  if (watch.blockHeight !== null || (watch.status === 'mempool' && watch.firstSeen !== null)) return watch;
+  const seenAt = Number.isFinite(tx.time) && tx.time > 0 ? Math.min(tx.time * 1000, now) : now;
+  return {
+    ...watch,
+    status: 'mempool',
+    firstSeen: watch.firstSeen ?? seenAt,
+    leftAt: null,
+    leftAtHeight: null,
+    inputs: watch.inputs.length ? watch.inputs : outpoints(tx),
+  };
+};
+
+const confirmWatch = (watch, tx, { height, hash, tipHeight, now }) => {
+  const blockHeight = height ?? (Number.isFinite(tipHeight) && tx.confirmations > 0
+    ? tipHeight - tx.confirmations + 1
+    : null);
+  if (blockHeight === null) return watch;
+  return settleWatch({
+    ...watch,
+    blockHeight,
+    blockHash: hash ?? tx.blockhash ?? tx.blockHash ?? watch.blockHash,
+    inBlockAt: watch.inBlockAt ?? (Number.isFinite(tx.blocktime) ? tx.blocktime * 1000 : now),
+    confirmations: Math.max(1, tx.confirmations || 1),
+    replacedBy: null,
+  }, tipHeight, now);
+};
+
+/**
+ * @typedef {Object} WatchState
+ * @property {object[]} watches newest first
+ * @property {number|null} tipHeight latest chain height seen on the feed
+ */
+
+/**
+ * Apply one feed message to the watchlist.
+ *
+ * @param {WatchState} state
+ * @param {{ type: string, data: any }} message
+ * @param {number} [now=Date.now()]
+ * @returns {WatchState} `state` itself when nothing changed
+ */
+export const applyWatchMessage = (state, message, now = Date.now()) => {
+  const { data } = message;
+  if (!data) return state;
+  let { tipHeight } = state;
+  const byTxid = new Map(state.watches.map((watch) => [watch.txid, watch]));
+  const update = (txid, change) => {
+    const watch = byTxid.get(txid);
+    if (watch) byTxid.set(txid, change(watch));
+  };
+  const confirmAll = (txs, block = {}) => (txs || []).forEach((tx) => update(tx.txid, (watch) => (
+    confirmWatch(watch, tx, { height: block.height ?? blockHeightOf(tx), hash: block.hash, tipHeight, now })
+  )));
+
+  switch (message.type) {
+    case 'mempool':
+      (data.transactions || []).forEach((tx) => update(tx.txid, (watch) => seeWatch(watch, tx, now)));
+      break;
+    case 'newTransaction': {
+      update(data.txid, (watch) => seeWatch(watch, data, now));
+      const spent = new Set(outpoints(data));
+      if (spent.size) {
+        byTxid.forEach((watch) => {
+          if (watch.txid === data.txid || watch.blockHeight !== null) return;
+          if (watch.inputs.some((outpoint) => spent.has(outpoint))) {
+            byTxid.set(watch.txid, { ...watch, status: 'replaced', replacedBy: data.txid, leftAt: watch.leftAt ?? now });
+          }
+        });
+      }
+      break;
+    }
+    case 'transactionConfirmed':
+      tipHeight = Math.max(tipHeight ?? 0, data.blockHeight || 0) || tipHeight;
+      confirmAll(data.transactions, { height: data.blockHeight, hash: data.blockHash });
+      break;
+    case 'confirmedTransaction':
+      confirmAll([data]);
+      break;
+    case 'recentTransactions':
+      confirmAll(Array.isArray(data) ? data : []);
+      break;
+    case 'removedTransaction':
+      update(data.txid, (watch) => {
+        if (watch.blockHeight !== null || watch.status === 'replaced') return watch;
+        let status = 'left';
+        if (REPLACED_REASONS.includes(data.reason)) status = 'replaced';
+        else if (data.reason) status = 'evicted';
+        return {
+          ...watch, status, leftAt: now, leftAtHeight: tipHeight, replacedBy: data.replacedBy ?? watch.replacedBy,
+        };
+      });
+      break;
+    case 'newBlock':
+      tipHeight = Math.max(tipHeight ?? 0, data.height || 0) || tipHeight;
+      break;
+    case 'recentBlocks':
+      tipHeight = Math.max(tipHeight ?? 0, ...(Array.isArray(data) ? data.map((block) => block.height || 0) : [])) || tipHeight;
+      break;
+    case 'initialData':
+      tipHeight = Math.max(tipHeight ?? 0, data.blockchainInfo?.blocks || 0) || tipHeight;
+      break;
+    default:
+      return state;
+  }
+
+  if (tipHeight !== state.tipHeight) {
+    byTxid.forEach((watch, txid) => {
+      if (watch.blockHeight !== null) {
+        byTxid.set(txid, settleWatch(watch, tipHeight, now));
+      } else if (watch.status === 'left' && Number.isFinite(watch.leftAtHeight)
+        && tipHeight >= watch.leftAtHeight + EVICT_AFTER_BLOCKS) {
+        byTxid.set(txid, { ...watch, status: 'evicted' });
+      }
+    });
+  }
+
+  const watches = state.watches.map((watch) => byTxid.get(watch.txid));
+  const changed = tipHeight !== state.tipHeight || watches.some((watch, index) => watch !== state.watches[index]);
+  return changed ? { watches, tipHeight } : state;
+};
+
+/** Watches of `prev` that reached `complete` in `next`. */
+export const newlyCompleted = (prev, next) => {
+  const before = new Map(prev.map((watch) => [watch.txid, watch.status]));
+  return next.filter((watch) => (
+    watch.status === 'complete' && before.has(watch.txid) && before.get(watch.txid) !== 'complete'
+  ));
+};
+
+/**
+ * Milliseconds from first seen (or, for a transaction already confirmed when
+ * watched, from being added) to its block, and to its target.
+ *
+ * @returns {{ toBlock: number|null, toTarget: number|null }}
+ */
+export const watchDurations = (watch) => {
+  const start = watch.firstSeen;
+  return {
+    toBlock: start !== null && watch.inBlockAt !== null ? Math.max(0, watch.inBlockAt - start) : null,
+    toTarget: start !== null && watch.completedAt !== null ? Math.max(0, watch.completedAt - start) : null,
+  };
+};
+
+const readStored = () => {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(TX_WATCHLIST_KEY));
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * The saved watches of one network, newest first.
+ *
+ * @param {string} network
+ * @returns {object[]}
+ */
+export function loadWatches(network) {
+  return readStored().filter((watch) => watch && watch.network === network && typeof watch.txid === 'string');
+}
+
+/**
+ * Replace the saved watches of one network, keeping the newest TX_WATCH_LIMIT.
+ *
+ * @param {string} network
+ * @param {object[]} watches
+ * @returns {object[]} the kept watches
+ */
+export function saveWatches(network, watches) {
+  const kept = watches.slice(0, TX_WATCH_LIMIT);
+  const others = readStored().filter((watch) => watch && watch.network !== network);
+  try {
+    window.localStorage.setItem(TX_WATCHLIST_KEY, JSON.stringify([...others, ...kept]));
+  } catch (error) {
+    // An unsaved watchlist still tracks for this visit.
+  }
+  return kept;
+}
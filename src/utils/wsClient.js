@@ -0,0 +1,382 @@
+/**
+ * Shared, multiplexed WebSocket client — one connection per network.
+ *
+ * NetworkProvider owns a single client for its `wsBaseUrl`; pages and the
+ * fork banner subscribe by message `type` instead of each opening their own
+ * socket. The socket is opened lazily on the first subscription and lives
+ * until the provider unmounts, so navigating between pages of the same
+ * network never reconnects.
+ *
+ * Reconnect policy (the only one in the app — pages do not retry on their own):
+ * an abnormal close is retried with exponential backoff plus jitter (~1s, 2s,
+ * 4s ... capped at 30s, each delay stretched by up to 30% so a server restart
+ * is not met by every browser at once). While the browser reports itself
+ * offline no retry is scheduled; the `online` event reconnects immediately.
+ *
+ * Heartbeat: while open, the client sends `{ type: 'ping' }` every 25s. Once
+ * the server has answered with a `pong`, a connection that then receives no
+ * message at all for 60s is treated as dead and replaced. Servers that do not
+ * answer pings are never dropped for being quiet.
+ *
+ * The client also remembers the last message of every snapshot type
+ * (`initialData`, `recentBlocks`, `chainTips`, `oracleData`, ...). A new
+ * subscriber is replayed the cached value synchronously, so a page that mounts
+ * after the server already pushed its snapshot renders immediately instead of
+ * waiting for the next push.
+ *
+ * Event types (`newBlock`, `newTransaction`, ...) describe a single change, so
+ * replaying them to a late subscriber would double-apply them. They are never
+ * cached as-is; `newBlock` is folded into the cached `recentBlocks` snapshot
+ * instead so the replayed list stays current.
+ *
+ * With a `snapshotStore` (utils/offlineSnapshot.js) those snapshots also
+ * outlive the page: each one is saved as it arrives, and on creation the
+ * stored ones are restored for any type the server has not sent yet, so an
+ * offline visit renders the last-known data. `getRestoredAt()` tells the UI
+ * how old that data is until live traffic replaces it.
+ */
+
+/** Message types that describe one change rather than a full snapshot. */
+export const EVENT_MESSAGE_TYPES = new Set([
+  'newBlock',
+  'newTransaction',
+  'transactionConfirmed',
+  'confirmedTransaction',
+  'removedTransaction',
+]);
+
+/** Subscribe to this pseudo-type to receive every message (no replay). */
+export const ALL_MESSAGES = '*';
+
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+const RECONNECT_JITTER = 0.3;
+export const HEARTBEAT_INTERVAL = 25000;
+export const STALE_TIMEOUT = 60000;
+
+/** Heartbeat message types; handled by the client and never delivered. */
+const PING = 'ping';
+const PONG = 'pong';
+
+const toTypeList = (types) => (Array.isArray(types) ? types : [types]);
+
+/**
+ * Fold a `newBlock` event into a cached `recentBlocks` message, keeping the
+ * list length stable and skipping blocks the snapshot already contains.
+ */
+export function foldNewBlock(recentBlocksMessage, block) {
+  if (!recentBlocksMessage || !Array.isArray(recentBlocksMessage.data) || !block) {
+    return recentBlocksMessage;
+  }
+  const blocks = recentBlocksMessage.data;
+  const isSame = (b) => b && (block.hash ? b.hash === block.hash : b.height === block.height);
+  if (blocks.some(isSame)) {
+    return recentBlocksMessage;
+  }
+  const limit = Math.max(blocks.length, 1);
+  return { ...recentBlocksMessage, data: [block, ...blocks].slice(0, limit) };
+}
+
+/**
+ * Backoff delay before reconnect attempt `attempt` (0-based).
+ *
+ * @param {number} attempt
+ * @param {() => number} [random] source of randomness in [0, 1)
+ * @returns {number} delay in ms
+ */
+export function getReconnectDelay(attempt, random = Math.random) {
+  const base = Math.min(RECONNECT_BASE_DELAY * 2 ** attempt, RECONNECT_MAX_DELAY);
+  return Math.round(base * (1 + RECONNECT_JITTER * random()));
+}
+
+const isBrowserOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+/**
+ * Create a client for one WebSocket endpoint.
+ *
+ * @param {string} url WebSocket URL (the network's `wsBaseUrl`)
+ * @param {Object} [options]
+ * @param {{ load: Function, save: Function }} [options.snapshotStore] persists snapshots across visits
+ * @returns {{
+ *   subscribe: (types: string|string[], handler: (message: object) => void) => () => void,
+ *   onStatus: (listener: (status: string) => void) => () => void,
+ *   getStatus: () => string,
+ *   getLastMessage: (type: string) => object|undefined,
+ *   getLastMessageAt: () => number|null,
+ *   getRestoredAt: () => number|null,
+ *   isReconnecting: () => boolean,
+ *   send: (payload: object|string) => void,
+ *   close: () => void
+ * }}
+ */
+export function createWsClient(url, { snapshotStore } = {}) {
+  let socket = null;
+  let disposed = false;
+  let reconnectTimer = null;
+  let reconnectAttempts = 0;
+  let heartbeatTimer = null;
+  let heartbeatAcked = false;
+  let lastMessageAt = null;
+  let restoredAt = null;
+  // 'idle' until the first subscription, then 'connecting' | 'open' | 'closed'.
+  let status = 'idle';
+  const handlers = new Map();
+  const statusListeners = new Set();
+  const lastMessages = new Map();
+  const pendingSends = [];
+
+  const setStatus = (next) => {
+    if (status === next) return;
+    status = next;
+    statusListeners.forEach((listener) => listener(next));
+  };
+
+  const invoke = (handler, message) => {
+    try {
+      handler(message);
+    } catch (err) {
+      console.error(`Error handling WebSocket message "${message.type}":`, err);
+    }
+  };
+
+  const deliver = (type, message) => {
+    const set = handlers.get(type);
+    if (!set) return;
+    // Copy so a handler that unsubscribes mid-dispatch does not skip a sibling.
+    Array.from(set).forEach((handler) => invoke(handler, message));
+  };
+
+  const persist = (message) => {
+    if (!snapshotStore) return;
+    snapshotStore.save(message).catch((err) => {
+      console.error(`Error saving offline snapshot "${message.type}":`, err);
+    });
+  };
+
+  const remember = (message) => {
+    if (message.type === 'newBlock') {
+      const folded = foldNewBlock(lastMessages.get('recentBlocks'), message.data);
+      if (folded) {
+        lastMessages.set('recentBlocks', folded);
+        persist(folded);
+      }
+      return;
+    }
+    if (!EVENT_MESSAGE_TYPES.has(message.type)) {
+      lastMessages.set(message.type, message);
+      persist(message);
+    }
+  };
+
+  // Restore stored snapshots, never over anything the server already sent.
+  if (snapshotStore) {
+    snapshotStore.load().then((entries) => {
+      if (disposed) return;
+      entries.forEach(({ type, message, savedAt }) => {
+        if (lastMessages.has(type)) return;
+        lastMessages.set(type, message);
+        restoredAt = Math.max(restoredAt || 0, savedAt);
+        deliver(type, message);
+      });
+    }).catch((err) => {
+      console.error('Error loading offline snapshots:', err);
+    });
+  }
+
+  const stopHeartbeat = () => {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  };
+
+  const scheduleReconnect = () => {
+    if (disposed || reconnectTimer || isBrowserOffline()) return;
+    const delay = getReconnectDelay(reconnectAttempts);
+    reconnectAttempts += 1;
+    console.log(`Reconnecting WebSocket in ${delay}ms (attempt ${reconnectAttempts})`);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, delay);
+  };
+
+  // Abandon a socket that stopped answering. A stalled socket may never fire
+  // onclose, so it is detached first and the reconnect scheduled directly.
+  const dropStaleSocket = () => {
+    console.log(`WebSocket connection stale, reconnecting (${url})`);
+    const stale = socket;
+    stale.onopen = null;
+    stale.onmessage = null;
+    stale.onerror = null;
+    stale.onclose = null;
+    socket = null;
+    stopHeartbeat();
+    try {
+      stale.close(4000, 'Heartbeat timeout');
+    } catch (err) {
+      // Already closing; nothing to release.
+    }
+    setStatus('closed');
+    scheduleReconnect();
+  };
+
+  const startHeartbeat = () => {
+    stopHeartbeat();
+    heartbeatAcked = false;
+    heartbeatTimer = setInterval(() => {
+      if (!socket) return;
+      if (heartbeatAcked && Date.now() - lastMessageAt > STALE_TIMEOUT) {
+        dropStaleSocket();
+        return;
+      }
+      socket.send(JSON.stringify({ type: PING }));
+    }, HEARTBEAT_INTERVAL);
+  };
+
+  const handleOnline = () => {
+    if (socket || disposed || status === 'idle') return;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    connect();
+  };
+
+  if (typeof window !== 'undefined') {
+    window.addEventListener('online', handleOnline);
+  }
+
+  const connect = () => {
+    if (socket || disposed) return;
+    setStatus('connecting');
+
+    try {
+      socket = new WebSocket(url);
+    } catch (err) {
+      console.error('Error creating WebSocket connection:', err);
+      socket = null;
+      setStatus('closed');
+      scheduleReconnect();
+      return;
+    }
+
+    socket.onopen = () => {
+      console.log(`WebSocket connection established (${url})`);
+      reconnectAttempts = 0;
+      lastMessageAt = Date.now();
+      startHeartbeat();
+      setStatus('open');
+      pendingSends.splice(0).forEach((payload) => socket.send(payload));
+    };
+
+    socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (err) {
+        console.error('Error parsing WebSocket message:', err);
+        return;
+      }
+      lastMessageAt = Date.now();
+      if (!message || typeof message.type !== 'string') return;
+      if (message.type === PONG) {
+        heartbeatAcked = true;
+        return;
+      }
+      if (message.type === PING) return;
+
+      restoredAt = null;
+      remember(message);
+      deliver(message.type, message);
+      deliver(ALL_MESSAGES, message);
+    };
+
+    socket.onerror = (error) => {
+      console.error('WebSocket error:', error);
+      setStatus('closed');
+    };
+
+    socket.onclose = (event) => {
+      console.log(`WebSocket connection closed (${url})`);
+      socket = null;
+      stopHeartbeat();
+      if (disposed) return;
+      setStatus('closed');
+
+      // Code 1000 is a deliberate close; anything else is retried.
+      if (event && event.code !== 1000) {
+        scheduleReconnect();
+      }
+    };
+  };
+
+  return {
+    subscribe(types, handler) {
+      const typeList = toTypeList(types);
+      typeList.forEach((type) => {
+        if (!handlers.has(type)) handlers.set(type, new Set());
+        handlers.get(type).add(handler);
+      });
+
+      // Replay cached snapshots before any live traffic reaches the handler.
+      typeList.forEach((type) => {
+        const cached = type !== ALL_MESSAGES && lastMessages.get(type);
+        if (cached) invoke(handler, cached);
+      });
+
+      connect();
+
+      return () => {
+        typeList.forEach((type) => {
+          const set = handlers.get(type);
+          if (!set) return;
+          set.delete(handler);
+          if (set.size === 0) handlers.delete(type);
+        });
+      };
+    },
+
+    onStatus(listener) {
+      statusListeners.add(listener);
+      return () => statusListeners.delete(listener);
+    },
+
+    getStatus: () => status,
+
+    getLastMessage: (type) => lastMessages.get(type),
+
+    /** Epoch ms of the last frame received (any type), or null. */
+    getLastMessageAt: () => lastMessageAt,
+
+    /** Save time (epoch ms) of restored offline data, until live data arrives; else null. */
+    getRestoredAt: () => restoredAt,
+
+    /** True while a reconnect is scheduled or a retry is still connecting. */
+    isReconnecting: () => reconnectTimer !== null || (status === 'connecting' && reconnectAttempts > 0),
+
+    send(payload) {
+      const data = typeof payload === 'string' ? payload : JSON.stringify(payload);
+      if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(data);
+      } else {
+        pendingSends.push(data);
+        connect();
+      }
+    },
+
+    close() {
+      disposed = true;
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+      stopHeartbeat();
+      if (typeof window !== 'undefined') {
+        window.removeEventListener('online', handleOnline);
+      }
+      handlers.clear();
+      statusListeners.clear();
+      pendingSends.length = 0;
+      if (socket) {
+        socket.close(1000, 'Client closed');
+      }
+    },
+  };
+}
+
+export default createWsClient;
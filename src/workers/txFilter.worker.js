@@ -0,0 +1,11 @@
+/**
+ * Transaction filter worker — filters and sorts large mempool lists off the
+ * main thread for useFilteredTransactions (src/hooks/useFilteredTransactions.js).
+ * The protocol and the filtering live in src/utils/txFilter.js.
+ */
+
+import { handleFilterRequest } from '../utils/txFilter';
+
+globalThis.onmessage = (event) => {
+  globalThis.postMessage(handleFilterRequest(event.data));
+};